@@ -0,0 +1,68 @@
+import { getN3TransactionStatus } from '../../app/actions/pendingTransactionActions'
+import { N3_TX_STATUS } from '../../app/core/constants'
+
+const HASH =
+  '0x6c6bd4f58c4a6a5e7c6fb3ec4d8ac5ef2b8e3d3b1ba2b6ba53ba3d7a77e8f1c0'
+
+const createClient = ({
+  blockCount = 100,
+  rawTransaction,
+  applicationLog,
+}) => ({
+  getBlockCount: () => Promise.resolve(blockCount),
+  getRawTransaction: () =>
+    rawTransaction
+      ? Promise.resolve(rawTransaction)
+      : Promise.reject(new Error('Unknown transaction')),
+  getApplicationLog: () =>
+    applicationLog
+      ? Promise.resolve(applicationLog)
+      : Promise.reject(new Error('Unknown transaction')),
+})
+
+describe('getN3TransactionStatus', () => {
+  const transaction = { hash: HASH, validUntilBlock: 120 }
+
+  test('reports the exception of a transaction that FAULTed', async () => {
+    const client = createClient({
+      rawTransaction: { hash: HASH, blockhash: '0x01' },
+      applicationLog: {
+        executions: [{ vmstate: 'FAULT', exception: 'ASSERT is executed' }],
+      },
+    })
+    expect(await getN3TransactionStatus(client, transaction)).toEqual({
+      status: N3_TX_STATUS.FAULT,
+      exception: 'ASSERT is executed',
+    })
+  })
+
+  test('falls back to the VM state of the transaction without a log', async () => {
+    const client = createClient({
+      rawTransaction: { hash: HASH, blockhash: '0x01', vmstate: 'HALT' },
+    })
+    expect(await getN3TransactionStatus(client, transaction)).toEqual({
+      status: N3_TX_STATUS.HALT,
+    })
+    expect(
+      await getN3TransactionStatus(
+        createClient({ rawTransaction: { hash: HASH, blockhash: '0x01' } }),
+        transaction,
+      ),
+    ).toEqual({ status: N3_TX_STATUS.INCLUDED })
+  })
+
+  test('is pending until the block count passes validUntilBlock', async () => {
+    expect(
+      await getN3TransactionStatus(
+        createClient({ blockCount: 120, rawTransaction: { hash: HASH } }),
+        transaction,
+      ),
+    ).toEqual({ status: N3_TX_STATUS.PENDING })
+    expect(
+      await getN3TransactionStatus(
+        createClient({ blockCount: 121 }),
+        transaction,
+      ),
+    ).toEqual({ status: N3_TX_STATUS.EXPIRED })
+  })
+})
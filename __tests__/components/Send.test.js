@@ -3,6 +3,7 @@ import { mount } from 'enzyme'
 import { uniqueId } from 'lodash-es'
 import configureStore from 'redux-mock-store'
 import { Provider } from 'react-redux'
+import { MemoryRouter } from 'react-router-dom'
 import { progressValues } from 'spunky'
 import { injectIntl } from 'react-intl'
 
@@ -16,6 +17,23 @@ import { DEFAULT_LANGUAGE } from '../../app/core/constants'
 
 const { LOADED, LOADING } = progressValues
 
+// the blocklist is only checked against the bundled addresses, and neither
+// it nor the name service reach the network or the storage
+jest.mock('../../app/core/blocklist', () => ({
+  isBlockedAddress: async address =>
+    jest.requireActual('../../app/util/blacklist').default.includes(address),
+  isBlockedContract: async () => false,
+}))
+
+jest.mock('../../app/core/nns', () => ({
+  ...jest.requireActual('../../app/core/nns'),
+  resolveNNSName: jest.fn(async () => {
+    throw new Error('The name service is not available in tests.')
+  }),
+  getChangedNNSTarget: jest.fn(async () => null),
+  saveNNSTarget: jest.fn(async () => undefined),
+}))
+
 const initialState = {
   spunky: {
     settings: {
@@ -36,14 +54,16 @@ const setup = props => {
   const wrapper = mount(
     <Provider store={store}>
       <IntlWrapper>
-        <SendWithIntl
-          {...props}
-          sendableAssets={{ NEO: { balance: 5, symbol: 'NEO' } }}
-          prices={{ NEO: 38 }}
-          contacts={{ NeoFriend: 'AMKxqiSSLR89wLVEk5CoGRjKHRrmrR8bDr' }}
-          currencyCode="usd"
-          shouldRenderHeaderBar={false}
-        />{' '}
+        <MemoryRouter initialEntries={['/']} keyLength={0}>
+          <SendWithIntl
+            {...props}
+            sendableAssets={{ NEO: { balance: 5, symbol: 'NEO' } }}
+            prices={{ NEO: 38 }}
+            contacts={{ NeoFriend: 'AMKxqiSSLR89wLVEk5CoGRjKHRrmrR8bDr' }}
+            currencyCode="usd"
+            shouldRenderHeaderBar={false}
+          />
+        </MemoryRouter>{' '}
       </IntlWrapper>
     </Provider>,
   )
@@ -67,5 +67,6 @@ describe('Settings', () => {
   test('renders without crashing', () => {
     const { wrapper } = setup()
     expect(wrapper).toMatchSnapshot()
+    wrapper.unmount()
   })
 })
@@ -0,0 +1,265 @@
+import N3Helper from '../../app/context/WalletConnect/helpers'
+
+const RPC_ADDRESS = 'https://node.example'
+
+const mockExecute = jest.fn()
+const mockSendRawTransaction = jest.fn()
+
+jest.mock('@cityofzion/neon-js-next', () => ({
+  __esModule: true,
+  default: {
+    create: { query: query => query },
+    u: { HexString: { fromHex: hex => hex } },
+  },
+  wallet: {
+    sign: (hex, privateKey) => `${privateKey}:${hex}`,
+    verify: (hex, signature) => signature.endsWith(`:${hex}`),
+  },
+  rpc: {
+    RPCClient: jest.fn(() => ({
+      execute: mockExecute,
+      sendRawTransaction: mockSendRawTransaction,
+    })),
+  },
+  sc: {
+    OpCode: {
+      NEWMAP: 'NEWMAP',
+      DUP: 'DUP',
+      SETITEM: 'SETITEM',
+      PACK: 'PACK',
+      NEWARRAY0: 'NEWARRAY0',
+    },
+    CallFlags: { All: 15 },
+    InteropServiceCode: { SYSTEM_CONTRACT_CALL: 'System.Contract.Call' },
+    ContractParam: { hash160: value => ({ hash160: value }) },
+  },
+}))
+
+// records what is pushed, in order
+const createScriptBuilder = () => {
+  const script = []
+  const record = value => {
+    script.push(value)
+    return sb // eslint-disable-line no-use-before-define
+  }
+  const sb = {
+    script,
+    emit: record,
+    emitPush: record,
+    emitNumber: record,
+    emitString: record,
+    emitHexString: record,
+    emitSysCall: record,
+  }
+  return sb
+}
+
+describe('N3Helper tests', () => {
+  const account = { publicKey: 'publicKey', privateKey: 'privateKey' }
+  const helper = new N3Helper(RPC_ADDRESS)
+
+  beforeEach(() => {
+    mockExecute.mockReset()
+    mockSendRawTransaction.mockReset()
+  })
+
+  // the transaction the invocations would be built into
+  const mockTransaction = () => {
+    const amount = value => ({
+      value,
+      toDecimal: () => (value / 10 ** 8).toFixed(8),
+      add: other => amount(value + other.value),
+    })
+    const trx = {
+      networkFee: amount(123000),
+      systemFee: amount(997775),
+      sign: jest.fn(),
+      hash: () => 'abcd',
+      serialize: () => '00abcd',
+    }
+    const tested = new N3Helper(RPC_ADDRESS)
+    tested.buildTransaction = jest.fn(() =>
+      Promise.resolve({ trx, networkMagic: 894710606 }),
+    )
+    return { tested, trx }
+  }
+  const invocations = {
+    invocations: [
+      {
+        scriptHash: '0xd2a4cff31913016155e38e474a2c06d08be276cf',
+        operation: 'symbol',
+        args: [],
+      },
+    ],
+    signers: [{ scopes: 1 }],
+  }
+
+  test('messages signed without salt verify without one', async () => {
+    const response = await helper.rpcCall(account, {
+      id: 1,
+      jsonrpc: '2.0',
+      method: 'signMessageWithoutSalt',
+      params: 'Hello',
+    })
+
+    expect(response.isMessage).toBe(true)
+    expect(response.result.salt).toBeUndefined()
+    expect(response.result.publicKey).toEqual(account.publicKey)
+    expect(response.result.messageHex).toEqual('010001f00548656c6c6f0000')
+    expect(helper.verifyMessage(response.result)).toBe(true)
+  })
+
+  test('wallet information is shared without a transaction', async () => {
+    const response = await helper.rpcCall(
+      account,
+      { id: 1, jsonrpc: '2.0', method: 'getWalletInfo' },
+      true,
+    )
+
+    expect(response).toEqual({
+      id: 1,
+      jsonrpc: '2.0',
+      result: { isLedger: true },
+      isMessage: false,
+      isSignedTransaction: false,
+      isInformation: true,
+    })
+  })
+
+  test('network versions include the RPC address', async () => {
+    mockExecute.mockResolvedValue({ protocol: { network: 860833102 } })
+
+    const response = await helper.rpcCall(account, {
+      id: 1,
+      jsonrpc: '2.0',
+      method: 'getNetworkVersion',
+    })
+
+    expect(response.result).toEqual({
+      rpcAddress: RPC_ADDRESS,
+      protocol: { network: 860833102 },
+    })
+  })
+
+  test('map parameters are built entry by entry', () => {
+    const sb = createScriptBuilder()
+    N3Helper.emitContractCall(sb, {
+      scriptHash: '0xd2a4cff31913016155e38e474a2c06d08be276cf',
+      operation: 'put',
+      args: [
+        {
+          type: 'Array',
+          value: [
+            {
+              type: 'Map',
+              value: [
+                {
+                  key: { type: 'String', value: 'owner' },
+                  value: {
+                    type: 'Address',
+                    value: 'NdtB8RXRmJ7Nhw1FPTm7E6HoDZGnDw37nf',
+                  },
+                },
+              ],
+            },
+            { type: 'Integer', value: '7' },
+          ],
+        },
+      ],
+    })
+
+    expect(sb.script).toEqual([
+      // the items of the array are pushed last to first
+      { type: 'Integer', value: '7' },
+      'NEWMAP',
+      'DUP',
+      { type: 'String', value: 'owner' },
+      { hash160: 'NdtB8RXRmJ7Nhw1FPTm7E6HoDZGnDw37nf' },
+      'SETITEM',
+      2,
+      'PACK',
+      1,
+      'PACK',
+      15,
+      'put',
+      '0xd2a4cff31913016155e38e474a2c06d08be276cf',
+      'System.Contract.Call',
+    ])
+  })
+
+  test('iterators are traversed on the node', async () => {
+    mockExecute.mockResolvedValue([{ type: 'Integer', value: '1' }])
+
+    const response = await helper.rpcCall(account, {
+      id: 1,
+      jsonrpc: '2.0',
+      method: 'traverseIterator',
+      params: ['session', 'iterator', 10],
+    })
+
+    expect(response.result).toEqual([{ type: 'Integer', value: '1' }])
+    expect(mockExecute).toHaveBeenCalledWith({
+      method: 'traverseiterator',
+      params: ['session', 'iterator', 10],
+      jsonrpc: '2.0',
+    })
+  })
+  test('transactions are signed for the dApp without being relayed', async () => {
+    const { tested, trx } = mockTransaction()
+
+    const response = await tested.rpcCall(account, {
+      id: 1,
+      jsonrpc: '2.0',
+      method: 'signTransaction',
+      params: invocations,
+    })
+
+    expect(trx.sign).toHaveBeenCalledWith(account, 894710606)
+    expect(response).toEqual({
+      id: 1,
+      jsonrpc: '2.0',
+      result: { hash: '0xabcd', transaction: '00abcd' },
+      isMessage: false,
+      isSignedTransaction: true,
+      isInformation: false,
+    })
+    expect(mockSendRawTransaction).not.toHaveBeenCalled()
+    expect(mockExecute).not.toHaveBeenCalled()
+  })
+
+  test('fees are calculated without signing', async () => {
+    const { tested, trx } = mockTransaction()
+
+    const response = await tested.rpcCall(account, {
+      id: 1,
+      jsonrpc: '2.0',
+      method: 'calculateFee',
+      params: invocations,
+    })
+
+    expect(response.result).toEqual({
+      networkFee: '0.00123000',
+      systemFee: '0.00997775',
+      total: '0.01120775',
+    })
+    expect(response.isInformation).toBe(true)
+    expect(trx.sign).not.toHaveBeenCalled()
+    expect(mockExecute).not.toHaveBeenCalled()
+  })
+
+  test('a message that does not verify is not sent to the node', async () => {
+    const response = await helper.rpcCall(account, {
+      id: 1,
+      jsonrpc: '2.0',
+      method: 'verifyMessage',
+      params: {
+        publicKey: account.publicKey,
+        data: 'privateKey:01',
+        messageHex: '00',
+      },
+    })
+
+    expect(response.result).toBe(false)
+    expect(mockExecute).not.toHaveBeenCalled()
+  })
+})
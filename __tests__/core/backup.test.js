@@ -0,0 +1,164 @@
+import storage from 'electron-json-storage'
+
+import {
+  createBackup,
+  readBackup,
+  getRestorePreview,
+  restoreBackup,
+} from '../../app/core/backup'
+import { lockStorage } from '../../app/core/storage'
+import { encryptWithPassword } from '../../app/core/encryption'
+
+describe('backup tests', () => {
+  let data
+
+  const account = (label, address, key) => ({
+    address,
+    label,
+    isDefault: false,
+    lock: false,
+    key,
+    contract: {},
+    extra: null,
+  })
+
+  const contact = (name, address) => ({
+    name,
+    addresses: [{ address, chain: 'neo2', label: '' }],
+    notes: '',
+    tags: [],
+  })
+
+  const findItem = (items, id) => items.find(item => item.id === id)
+
+  beforeEach(() => {
+    data = {
+      userWallet: {
+        name: 'userWallet',
+        accounts: [account('main', 'AddressA', 'keyA')],
+      },
+      n3UserWallet: {
+        name: 'n3UserWallet',
+        accounts: [account('savings', 'NAddressB', 'keyB')],
+      },
+      addressBook: { alice: 'AddressC' },
+      settings: {
+        theme: 'Dark',
+        chain: 'neo3',
+        tokens: [{ networkId: '1', scriptHash: 'abc', isUserGenerated: true }],
+      },
+      'selectedNode-MainNet': { node: 'https://node', timestamp: 1 },
+    }
+    storage.get = jest.fn((key, callback) => callback(null, data[key] || {}))
+    storage.set = jest.fn((key, value, callback) => {
+      data[key] = value
+      callback(null)
+    })
+    storage.keys = jest.fn(callback => callback(null, Object.keys(data)))
+    lockStorage()
+  })
+
+  test('backs up everything in a file encrypted with a password', async () => {
+    const file = JSON.parse(await createBackup('password'))
+
+    expect(file.type).toEqual('neon-wallet-backup')
+    expect(JSON.stringify(file)).not.toContain('AddressA')
+    await expect(readBackup(file, 'wrong', 'neo2')).rejects.toThrow(
+      'The password is incorrect.',
+    )
+
+    const backup = await readBackup(file, 'password', 'neo2')
+    expect(backup.wallets.neo2.accounts[0].label).toEqual('main')
+    expect(backup.wallets.neo3.accounts[0].label).toEqual('savings')
+    expect(backup.contacts).toEqual({ alice: contact('alice', 'AddressC') })
+    expect(backup.tokens.length).toEqual(1)
+    expect(backup.nodes.MainNet.node).toEqual('https://node')
+    expect(backup.settings).toEqual({ theme: 'Dark' })
+  })
+
+  test('migrates the address books of version 1 backups', async () => {
+    const file = {
+      type: 'neon-wallet-backup',
+      version: 1,
+      encryption: await encryptWithPassword('password', {
+        contacts: { neo2: { alice: 'AddressC' }, neo3: { alice: 'NAddressJ' } },
+      }),
+    }
+
+    const backup = await readBackup(file, 'password', 'neo2')
+    expect(backup.contacts.alice.addresses).toEqual([
+      { address: 'NAddressJ', chain: 'neo3', label: '' },
+      { address: 'AddressC', chain: 'neo2', label: '' },
+    ])
+  })
+
+  test('reads wallet files saved by earlier versions', async () => {
+    const backup = await readBackup(
+      { accounts: [account('other', 'AddressD', 'keyD')] },
+      null,
+      'neo2',
+    )
+    expect(backup.wallets.neo2.accounts[0].label).toEqual('other')
+
+    const oldBackup = await readBackup({ old: 'keyE' }, null, 'neo3')
+    expect(oldBackup.wallets.neo3.accounts[0].key).toEqual('keyE')
+  })
+
+  test('previews conflicts and applies the chosen actions', async () => {
+    const backup = {
+      wallets: {
+        neo2: {
+          accounts: [
+            {
+              ...account('renamed', 'AddressA', 'keyA2'),
+              extra: { scrypt: { cost: 1024, blockSize: 8, parallel: 8 } },
+            },
+            account('main', 'AddressF', 'keyF'),
+            account('new', 'AddressG', 'keyG'),
+          ],
+        },
+      },
+      contacts: {
+        alice: contact('alice', 'AddressH'),
+        bob: contact('bob', 'AddressI'),
+      },
+      tokens: [],
+      nodes: {},
+      settings: { theme: 'Light' },
+    }
+
+    const items = await getRestorePreview(backup)
+    expect(findItem(items, 'account:neo2:0')).toMatchObject({
+      conflict: 'address',
+      action: 'merge',
+    })
+    expect(findItem(items, 'account:neo2:1')).toMatchObject({
+      conflict: 'label',
+      renameTo: 'main (2)',
+      action: 'rename',
+    })
+    expect(findItem(items, 'account:neo2:2').conflict).toEqual(null)
+    expect(findItem(items, 'contact:alice').renameTo).toEqual('alice (2)')
+
+    const choices = items.map(
+      item => (item.id === 'contact:bob' ? { ...item, action: 'skip' } : item),
+    )
+    const { wallets } = await restoreBackup(backup, choices)
+
+    expect(wallets.neo2.accounts.map(({ label }) => label)).toEqual([
+      'renamed',
+      'main (2)',
+      'new',
+    ])
+    // the local key is kept over the one of the backup
+    expect(wallets.neo2.accounts[0].key).toEqual('keyA')
+    expect(wallets.neo2.accounts[0].extra).toEqual(null)
+    expect(data.contacts.contacts).toEqual({
+      alice: contact('alice', 'AddressC'),
+      'alice (2)': contact('alice (2)', 'AddressH'),
+    })
+    expect(data.settings.theme).toEqual('Light')
+    expect(data.settings.chain).toEqual('neo3')
+    expect(data.n3UserWallet.accounts.length).toEqual(1)
+  })
+})
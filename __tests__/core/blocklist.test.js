@@ -0,0 +1,105 @@
+import axios from 'axios'
+import storage from 'electron-json-storage'
+
+import {
+  getBlocklist,
+  refreshBlocklist,
+  isBlockedAddress,
+  isBlockedContract,
+  isBlockedUrl,
+  resetBlocklist,
+} from '../../app/core/blocklist'
+import { lockStorage } from '../../app/core/storage'
+
+jest.mock('axios')
+
+describe('blocklist tests', () => {
+  let data
+  const lists = {
+    'blockedAddresses.json': ['NPhishingAddress'],
+    'blockedContracts.json': ['0xABCDEF'],
+    'blockedDomains.json': ['phishing.example'],
+  }
+
+  beforeEach(() => {
+    data = {}
+    storage.get = jest.fn((key, callback) => callback(null, data[key] || {}))
+    storage.set = jest.fn((key, value, callback) => {
+      data[key] = value
+      callback(null)
+    })
+    storage.keys = jest.fn(callback => callback(null, Object.keys(data)))
+    axios.get.mockImplementation(url =>
+      Promise.resolve({ data: lists[url.split('/').pop()] }),
+    )
+    lockStorage()
+    resetBlocklist()
+  })
+
+  test('downloads and stores the lists the first time they are used', async () => {
+    expect(await isBlockedAddress('NPhishingAddress')).toEqual(true)
+    // the bundled addresses are always included
+    expect(
+      await isBlockedAddress('ARU4Sw9yyqgfjxfqF1TNwWHHFvLbAVdTj1'),
+    ).toEqual(true)
+    expect(await isBlockedAddress('NSafeAddress')).toEqual(false)
+    expect(await isBlockedContract('abcdef')).toEqual(true)
+    expect(await isBlockedUrl('https://app.phishing.example/connect')).toEqual(
+      true,
+    )
+    expect(await isBlockedUrl('https://notphishing.example')).toEqual(false)
+    expect(data.blocklist.version).toEqual(2)
+  })
+
+  test('uses the stored lists while offline', async () => {
+    await refreshBlocklist()
+    resetBlocklist()
+    axios.get.mockImplementation(() => Promise.reject(new Error('offline')))
+
+    expect(await isBlockedUrl('phishing.example')).toEqual(true)
+    await refreshBlocklist()
+    expect((await getBlocklist()).contracts).toEqual(['abcdef'])
+  })
+
+  test('ignores a stored list with an outdated layout', async () => {
+    data.blocklist = {
+      version: 0,
+      updatedAt: new Date().getTime(),
+      domains: ['phishing.example'],
+    }
+    axios.get.mockImplementation(() => Promise.reject(new Error('offline')))
+
+    // the outdated domains are not used, and none were downloaded instead
+    await expect(isBlockedUrl('phishing.example')).rejects.toThrow(
+      'The blocklist of phishing domains could not be downloaded',
+    )
+    expect(
+      await isBlockedAddress('ARU4Sw9yyqgfjxfqF1TNwWHHFvLbAVdTj1'),
+    ).toEqual(true)
+  })
+  test('lists that were never downloaded are not reported as safe', async () => {
+    axios.get.mockImplementation(
+      url =>
+        url.endsWith('blockedAddresses.json')
+          ? Promise.resolve({ data: lists['blockedAddresses.json'] })
+          : Promise.reject(new Error('Request failed with status code 404')),
+    )
+
+    expect(await isBlockedAddress('NPhishingAddress')).toEqual(true)
+    await expect(isBlockedContract('abcdef')).rejects.toThrow(
+      'The blocklist of phishing contracts could not be downloaded, the contracts of this request were not checked.',
+    )
+    await expect(isBlockedUrl('https://phishing.example')).rejects.toThrow(
+      'The blocklist of phishing domains could not be downloaded, this dApp was not checked.',
+    )
+    expect(data.blocklist.contracts).toEqual(null)
+
+    // the missing lists are downloaded again once they can be
+    axios.get.mockImplementation(url =>
+      Promise.resolve({ data: lists[url.split('/').pop()] }),
+    )
+    await refreshBlocklist()
+    expect(await isBlockedContract('abcdef')).toEqual(true)
+    expect(await isBlockedUrl('https://phishing.example')).toEqual(true)
+  })
+})
@@ -0,0 +1,113 @@
+import {
+  migrateLegacyContacts,
+  getContactAddressBook,
+  filterContacts,
+  parseContactsFile,
+  createContactsFile,
+} from '../../app/core/contacts'
+
+jest.mock('../../app/core/wallet', () => ({
+  isN3Address: address => /^N[1-9A-HJ-NP-Za-km-z]{33}$/.test(address),
+  isLegacyAddress: address => /^A[1-9A-HJ-NP-Za-km-z]{33}$/.test(address),
+}))
+
+const N3_ADDRESS = 'NZNovyMgBnmhrCCM4WEUcQXDWwzCbDL8DP'
+const OTHER_N3_ADDRESS = 'NdtB8RXRmJ7Nhw1FPTm7E6HoDZGnDw37nf'
+const LEGACY_ADDRESS = 'AK2nJJpJr6o664CWJKi1QRXjqeic2zRp8y'
+
+describe('contacts tests', () => {
+  const contacts = {
+    alice: {
+      name: 'alice',
+      addresses: [
+        { address: N3_ADDRESS, chain: 'neo3', label: 'main' },
+        { address: OTHER_N3_ADDRESS, chain: 'neo3', label: 'cold' },
+        { address: LEGACY_ADDRESS, chain: 'neo2', label: '' },
+      ],
+      notes: 'Met at the meetup, pays rent',
+      tags: ['friends', 'rent'],
+    },
+    bob: {
+      name: 'bob',
+      addresses: [{ address: OTHER_N3_ADDRESS, chain: 'neo3', label: '' }],
+      notes: '',
+      tags: ['work'],
+    },
+  }
+
+  test('migrateLegacyContacts merges names used on both chains', () => {
+    expect(
+      migrateLegacyContacts({
+        neo2: { alice: LEGACY_ADDRESS },
+        neo3: { alice: N3_ADDRESS, bob: OTHER_N3_ADDRESS },
+      }),
+    ).toEqual({
+      alice: {
+        name: 'alice',
+        addresses: [
+          { address: N3_ADDRESS, chain: 'neo3', label: '' },
+          { address: LEGACY_ADDRESS, chain: 'neo2', label: '' },
+        ],
+        notes: '',
+        tags: [],
+      },
+      bob: {
+        name: 'bob',
+        addresses: [{ address: OTHER_N3_ADDRESS, chain: 'neo3', label: '' }],
+        notes: '',
+        tags: [],
+      },
+    })
+  })
+
+  test('getContactAddressBook lists every address on the chain', () => {
+    expect(getContactAddressBook(contacts, 'neo3')).toEqual({
+      'alice (main)': N3_ADDRESS,
+      'alice (cold)': OTHER_N3_ADDRESS,
+      bob: OTHER_N3_ADDRESS,
+    })
+    expect(getContactAddressBook(contacts, 'neo2')).toEqual({
+      alice: LEGACY_ADDRESS,
+    })
+  })
+
+  test('filterContacts searches names, notes and labels within tags', () => {
+    const names = filter => filterContacts(contacts, filter).map(c => c.name)
+
+    expect(names({ search: 'MEETUP' })).toEqual(['alice'])
+    expect(names({ search: 'cold' })).toEqual(['alice'])
+    expect(names({ search: OTHER_N3_ADDRESS })).toEqual(['alice', 'bob'])
+    expect(names({ search: OTHER_N3_ADDRESS, tags: ['work'] })).toEqual(['bob'])
+    expect(names({ tags: ['friends', 'work'] })).toEqual([])
+  })
+
+  test('contacts survive a CSV and a JSON export', () => {
+    const list = Object.values(contacts)
+
+    expect(
+      parseContactsFile(createContactsFile(list, 'csv'), 'contacts.csv'),
+    ).toEqual(list)
+    expect(
+      parseContactsFile(createContactsFile(list, 'json'), 'contacts.json'),
+    ).toEqual(list)
+  })
+
+  test('parseContactsFile recognizes the chain and rejects invalid rows', () => {
+    expect(
+      parseContactsFile(`Address,Name\n${LEGACY_ADDRESS},"Carol, Inc."`),
+    ).toEqual([
+      {
+        name: 'Carol, Inc.',
+        addresses: [{ address: LEGACY_ADDRESS, chain: 'neo2', label: '' }],
+        notes: '',
+        tags: [],
+      },
+    ])
+    expect(() => parseContactsFile('name,address\ndave,nope')).toThrow(
+      'Invalid address nope.',
+    )
+    expect(() => parseContactsFile('name,notes\ndave,hi')).toThrow(
+      'The CSV header must have a name and an address column.',
+    )
+  })
+})
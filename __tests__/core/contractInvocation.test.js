@@ -0,0 +1,185 @@
+import {
+  SIGNER_SCOPES,
+  buildInvocation,
+  createParam,
+  decodeStackItem,
+  getInvocationPresets,
+  setInvocationPresets,
+  validateParam,
+} from '../../app/core/contractInvocation'
+
+const ADDRESS = 'NdtB8RXRmJ7Nhw1FPTm7E6HoDZGnDw37nf'
+const CONTRACT_HASH = 'd2a4cff31913016155e38e474a2c06d08be276cf'
+
+jest.mock('@cityofzion/neon-js-next', () => ({
+  tx: {
+    WitnessScope: {
+      None: 0,
+      CalledByEntry: 1,
+      CustomContracts: 16,
+      Global: 128,
+    },
+  },
+  wallet: {
+    getAddressFromScriptHash: () => 'NdtB8RXRmJ7Nhw1FPTm7E6HoDZGnDw37nf',
+  },
+  u: {
+    base642hex: base64 => global.Buffer.from(base64, 'base64').toString('hex'),
+    reverseHex: hex =>
+      hex
+        .match(/../g)
+        .reverse()
+        .join(''),
+  },
+}))
+
+jest.mock('../../app/core/wallet', () => ({
+  isN3Address: address => /^N[1-9A-HJ-NP-Za-km-z]{33}$/.test(address),
+  normalizeScriptHash: hash =>
+    String(hash)
+      .replace(/^0x/, '')
+      .toLowerCase(),
+}))
+
+const mockStorage = {}
+
+jest.mock('../../app/core/storage', () => ({
+  getStorage: async key => mockStorage[key],
+  setStorage: async (key, value) => {
+    mockStorage[key] = value
+  },
+}))
+
+describe('contract invocation tests', () => {
+  test('parameters are validated by type, nested ones included', () => {
+    expect(validateParam({ type: 'Hash160', value: ADDRESS })).toBeNull()
+    expect(
+      validateParam({ type: 'Hash160', value: `0x${CONTRACT_HASH}` }),
+    ).toBeNull()
+    expect(validateParam({ type: 'Integer', value: '1.5' }, 'amount')).toEqual(
+      'amount must be a whole number.',
+    )
+    expect(
+      validateParam(
+        {
+          type: 'Array',
+          value: [
+            { type: 'ByteArray', value: '0xabcd' },
+            { type: 'ByteArray', value: 'abc' },
+          ],
+        },
+        'data',
+      ),
+    ).toEqual('data item 1 must be a hexadecimal string.')
+    expect(
+      validateParam(
+        {
+          type: 'Map',
+          value: [{ key: createParam('Array'), value: createParam('String') }],
+        },
+        'options',
+      ),
+    ).toEqual('options key 0 cannot be an Array.')
+    // types of the ABI that have no input are entered as bytes
+    expect(createParam('PublicKey')).toEqual({ type: 'ByteArray', value: '' })
+  })
+
+  test('invocations are built in the format of the dApp API', () => {
+    const invocation = buildInvocation({
+      scriptHash: `0x${CONTRACT_HASH.toUpperCase()}`,
+      operation: 'put',
+      args: [
+        { type: 'Hash160', value: `0x${CONTRACT_HASH}` },
+        { type: 'ByteArray', value: '0x0102ff' },
+        {
+          type: 'Map',
+          value: [
+            {
+              key: { type: 'String', value: 'enabled' },
+              value: { type: 'Boolean', value: 'true' },
+            },
+          ],
+        },
+        { type: 'Array', value: [{ type: 'Integer', value: '-7' }] },
+      ],
+      signer: {
+        scopes: SIGNER_SCOPES.CustomContracts,
+        allowedContracts: [CONTRACT_HASH],
+      },
+    })
+
+    expect(invocation).toEqual({
+      invocations: [
+        {
+          scriptHash: `0x${CONTRACT_HASH}`,
+          operation: 'put',
+          args: [
+            { type: 'Hash160', value: CONTRACT_HASH },
+            { type: 'ByteArray', value: 'AQL/' },
+            {
+              type: 'Map',
+              value: [
+                {
+                  key: { type: 'String', value: 'enabled' },
+                  value: { type: 'Boolean', value: true },
+                },
+              ],
+            },
+            { type: 'Array', value: [{ type: 'Integer', value: '-7' }] },
+          ],
+        },
+      ],
+      signers: [{ scopes: 0x10, allowedContracts: [`0x${CONTRACT_HASH}`] }],
+    })
+  })
+
+  test('stack items are decoded with their text and addresses', () => {
+    const hash = Buffer.from(CONTRACT_HASH, 'hex').toString('base64')
+    const decoded = decodeStackItem({
+      type: 'Array',
+      value: [
+        { type: 'ByteString', value: Buffer.from('NEO').toString('base64') },
+        { type: 'ByteString', value: hash },
+        {
+          type: 'Map',
+          value: [
+            {
+              key: { type: 'Integer', value: '1' },
+              value: { type: 'Boolean', value: false },
+            },
+          ],
+        },
+        { type: 'Any' },
+      ],
+    })
+
+    expect(decoded.items.map(({ value }) => value)).toEqual([
+      '4e454f',
+      CONTRACT_HASH,
+      '',
+      'null',
+    ])
+    expect(decoded.items[0].text).toEqual('NEO')
+    expect(decoded.items[1].text).toBeNull()
+    expect(decoded.items[1].address).toEqual(ADDRESS)
+    expect(decoded.items[2].entries[0].key.value).toEqual('1')
+    expect(decoded.items[2].entries[0].value.value).toEqual('false')
+  })
+
+  test('presets are stored per network', async () => {
+    const preset = {
+      id: '1',
+      name: 'balance',
+      scriptHash: CONTRACT_HASH,
+      operation: 'balanceOf',
+      args: [{ type: 'Hash160', value: ADDRESS }],
+      signer: { scopes: SIGNER_SCOPES.CalledByEntry, allowedContracts: [] },
+    }
+    await setInvocationPresets('TestNet', [preset])
+    await setInvocationPresets('MainNet', [])
+
+    expect(await getInvocationPresets('TestNet')).toEqual([preset])
+    expect(await getInvocationPresets('MainNet')).toEqual([])
+    expect(await getInvocationPresets('PrivateNet')).toEqual([])
+  })
+})
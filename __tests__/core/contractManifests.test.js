@@ -0,0 +1,130 @@
+import {
+  decodeInvocation,
+  describeWitnessScopes,
+  getContractManifest,
+} from '../../app/core/contractManifests'
+
+const RECIPIENT = 'NdtB8RXRmJ7Nhw1FPTm7E6HoDZGnDw37nf'
+const SENDER = 'NZNovyMgBnmhrCCM4WEUcQXDWwzCbDL8DP'
+
+const mockExecute = jest.fn()
+
+jest.mock('@cityofzion/neon-js-next', () => ({
+  wallet: {
+    isAddress: address => /^N[1-9A-HJ-NP-Za-km-z]{33}$/.test(address),
+    getAddressFromScriptHash: () => 'NdtB8RXRmJ7Nhw1FPTm7E6HoDZGnDw37nf',
+  },
+  rpc: {
+    RPCClient: jest.fn(() => ({ execute: mockExecute })),
+    Query: jest.fn(query => query),
+  },
+}))
+
+const TOKEN_HASH = '48c40d4666f93408be1bef038b6722404d9a4c2a'
+const TOKEN_MANIFEST = {
+  name: 'FLM',
+  supportedstandards: ['NEP-17'],
+  abi: {
+    methods: [
+      {
+        name: 'transfer',
+        parameters: [
+          { name: 'from', type: 'Hash160' },
+          { name: 'to', type: 'Hash160' },
+          { name: 'amount', type: 'Integer' },
+          { name: 'data', type: 'Any' },
+        ],
+      },
+    ],
+  },
+}
+
+describe('contract manifest tests', () => {
+  test('manifests are fetched once per endpoint and contract', async () => {
+    mockExecute.mockResolvedValue({ manifest: TOKEN_MANIFEST })
+
+    const manifest = await getContractManifest(
+      `0x${TOKEN_HASH}`,
+      'https://node.example',
+    )
+    await getContractManifest(TOKEN_HASH, 'https://node.example')
+
+    expect(manifest.name).toEqual('FLM')
+    expect(mockExecute).toHaveBeenCalledTimes(1)
+    expect(mockExecute).toHaveBeenCalledWith({
+      method: 'getcontractstate',
+      params: [`0x${TOKEN_HASH}`],
+    })
+  })
+
+  test('invocations are labeled from the ABI', () => {
+    const decoded = decodeInvocation(
+      {
+        scriptHash: `0x${TOKEN_HASH}`,
+        operation: 'transfer',
+        args: [
+          { type: 'Address', value: SENDER },
+          { type: 'ScriptHash', value: `0x${'ab'.repeat(20)}` },
+          { type: 'Integer', value: '150000000' },
+          { type: 'Array', value: [{ type: 'String', value: 'memo' }] },
+        ],
+      },
+      TOKEN_MANIFEST,
+      {
+        tokens: { [TOKEN_HASH]: { symbol: 'FLM', decimals: 8 } },
+        contacts: { [RECIPIENT]: 'Alice' },
+      },
+    )
+
+    expect(decoded.contractName).toEqual('FLM')
+    expect(decoded.params.map(({ name, type }) => [name, type])).toEqual([
+      ['from', 'Hash160'],
+      ['to', 'Hash160'],
+      ['amount', 'Integer'],
+      ['data', 'Any'],
+    ])
+    expect(decoded.params[0]).toMatchObject({ display: SENDER, contact: null })
+    expect(decoded.params[1]).toMatchObject({
+      display: RECIPIENT,
+      contact: 'Alice',
+    })
+    expect(decoded.params[2].display).toEqual('1.5 FLM')
+    expect(decoded.params[3].items[0].display).toEqual('memo')
+  })
+
+  test('contracts without a manifest are shown by hash', () => {
+    const decoded = decodeInvocation(
+      {
+        scriptHash: `0x${TOKEN_HASH}`,
+        operation: 'transfer',
+        args: [{ type: 'Integer', value: 5 }],
+      },
+      null,
+    )
+    expect(decoded.contractName).toEqual(`0x${TOKEN_HASH}`)
+    expect(decoded.params[0]).toMatchObject({
+      name: '0',
+      type: 'Integer',
+      display: '5',
+    })
+  })
+
+  test('risky witness scopes are flagged', () => {
+    expect(describeWitnessScopes(null)).toMatchObject([
+      { scope: 'CalledByEntry', isRisky: false },
+    ])
+    expect(describeWitnessScopes({ scopes: 128 })).toMatchObject([
+      { scope: 'Global', isRisky: true },
+    ])
+
+    const scopes = describeWitnessScopes(
+      { scopes: 17, allowedContracts: [`0x${TOKEN_HASH}`] },
+      { [TOKEN_HASH]: 'FLM' },
+    )
+    expect(scopes.map(({ scope, isRisky }) => [scope, isRisky])).toEqual([
+      ['CalledByEntry', false],
+      ['CustomContracts', true],
+    ])
+    expect(scopes[1].description).toContain(': FLM.')
+  })
+})
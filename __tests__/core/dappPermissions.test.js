@@ -0,0 +1,177 @@
+import {
+  APPROVAL_MODES,
+  canAutoApprove,
+  checkDappRequest,
+  createDappPolicy,
+  recordDappSpending,
+  revokeDappPolicy,
+} from '../../app/core/dappPermissions'
+
+jest.mock('@cityofzion/neon-js-next', () => ({
+  wallet: {
+    isAddress: address => /^N[1-9A-HJ-NP-Za-km-z]{33}$/.test(address),
+  },
+}))
+
+const GAS_HASH = '0xd2a4cff31913016155e38e474a2c06d08be276cf'
+const OTHER_HASH = '0x48c40d4666f93408be1bef038b6722404d9a4c2a'
+const SENDER = 'NZNovyMgBnmhrCCM4WEUcQXDWwzCbDL8DP'
+const RECIPIENT = 'NdtB8RXRmJ7Nhw1FPTm7E6HoDZGnDw37nf'
+
+const session = {
+  topic: 'topic1',
+  peer: {
+    metadata: {
+      name: 'Test dApp',
+      url: 'https://dapp.example',
+      icons: ['https://dapp.example/icon.png'],
+    },
+  },
+  permissions: {
+    jsonrpc: { methods: ['invokeFunction', 'testInvoke', 'signMessage'] },
+  },
+}
+
+const transferGas = amount => ({
+  method: 'invokeFunction',
+  params: {
+    invocations: [
+      {
+        scriptHash: GAS_HASH,
+        operation: 'transfer',
+        args: [
+          { type: 'Address', value: SENDER },
+          { type: 'Address', value: RECIPIENT },
+          { type: 'Integer', value: String(amount * 10 ** 8) },
+          { type: 'Any', value: null },
+        ],
+      },
+    ],
+    signers: [{ scopes: 1 }],
+  },
+})
+
+const NOON = new Date(2026, 9, 19, 12).getTime()
+const NEXT_DAY = new Date(2026, 9, 20, 12).getTime()
+
+describe('dApp permissions tests', () => {
+  test('new sessions may use the methods they asked for', () => {
+    const policy = createDappPolicy(session, NOON)
+    expect(policy).toMatchObject({
+      topic: 'topic1',
+      name: 'Test dApp',
+      url: 'https://dapp.example',
+      allowedMethods: ['invokeFunction', 'testInvoke', 'signMessage'],
+      allowedContracts: [],
+      spendingCaps: [],
+      approvalMode: APPROVAL_MODES.AUTO_READ_ONLY,
+    })
+    expect(() => checkDappRequest(policy, transferGas(1), NOON)).not.toThrow()
+    expect(() =>
+      checkDappRequest(policy, { method: 'multiInvoke', params: {} }, NOON),
+    ).toThrow('Test dApp is not allowed to use multiInvoke.')
+  })
+
+  test('only read-only requests are approved automatically', () => {
+    const policy = createDappPolicy(session, NOON)
+    expect(canAutoApprove(policy, { method: 'testInvoke' })).toBe(true)
+    expect(canAutoApprove(policy, { method: 'signMessage' })).toBe(false)
+    expect(
+      canAutoApprove(
+        { ...policy, approvalMode: APPROVAL_MODES.ALWAYS_ASK },
+        { method: 'testInvoke' },
+      ),
+    ).toBe(false)
+  })
+
+  test('calls are limited to the allowed contracts', () => {
+    const policy = {
+      ...createDappPolicy(session, NOON),
+      allowedContracts: [OTHER_HASH.slice(2)],
+    }
+    expect(() => checkDappRequest(policy, transferGas(1), NOON)).toThrow(
+      `Test dApp is not allowed to call ${GAS_HASH}.`,
+    )
+  })
+
+  test('spending caps hold for a day', () => {
+    const policy = {
+      ...createDappPolicy(session, NOON),
+      spendingCaps: [
+        {
+          scriptHash: GAS_HASH.slice(2),
+          symbol: 'GAS',
+          decimals: 8,
+          amount: '5',
+        },
+      ],
+    }
+    expect(() => checkDappRequest(policy, transferGas(6), NOON)).toThrow(
+      'The request exceeds the daily cap of 5 GAS set for Test dApp.',
+    )
+
+    const spent = recordDappSpending(policy, transferGas(3), NOON)
+    expect(spent.spent.amounts).toEqual({ GAS: '3' })
+    expect(() => checkDappRequest(spent, transferGas(2), NOON)).not.toThrow()
+    expect(() => checkDappRequest(spent, transferGas(3), NOON)).toThrow(
+      'The request exceeds the daily cap of 5 GAS set for Test dApp.',
+    )
+    expect(() =>
+      checkDappRequest(spent, transferGas(3), NEXT_DAY),
+    ).not.toThrow()
+  })
+
+  test('caps can not be bypassed by spending through a contract', () => {
+    const policy = {
+      ...createDappPolicy(session, NOON),
+      spendingCaps: [
+        {
+          scriptHash: GAS_HASH.slice(2),
+          symbol: 'GAS',
+          decimals: 8,
+          amount: '5',
+        },
+      ],
+    }
+    // the swap contract would move the GAS itself, out of sight of the cap
+    const swap = scopes => ({
+      method: 'invokeFunction',
+      params: {
+        invocations: [
+          {
+            scriptHash: OTHER_HASH,
+            operation: 'swap',
+            args: [
+              { type: 'Address', value: SENDER },
+              { type: 'Integer', value: String(100 * 10 ** 8) },
+            ],
+          },
+        ],
+        signers: [{ scopes }],
+      },
+    })
+
+    expect(() => checkDappRequest(policy, swap(128), NOON)).toThrow(
+      'Test dApp has spending caps, so its requests can only be signed with the CalledByEntry scope.',
+    )
+    expect(() => checkDappRequest(policy, swap(16), NOON)).toThrow(
+      'Test dApp has spending caps, so its requests can only be signed with the CalledByEntry scope.',
+    )
+    // with CalledByEntry only the transfers of the request can use the
+    // signature, and they are counted
+    expect(() => checkDappRequest(policy, swap(1), NOON)).not.toThrow()
+
+    const approve = transferGas(1)
+    approve.params.invocations[0].operation = 'approve'
+    expect(() => checkDappRequest(policy, approve, NOON)).toThrow(
+      'Test dApp can only transfer GAS while it has a spending cap on it.',
+    )
+  })
+
+  test('revoked dApps cannot make any request', () => {
+    const policy = revokeDappPolicy(createDappPolicy(session, NOON))
+    expect(() =>
+      checkDappRequest(policy, { method: 'testInvoke', params: {} }, NOON),
+    ).toThrow('Test dApp is not allowed to use testInvoke.')
+  })
+})
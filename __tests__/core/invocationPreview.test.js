@@ -0,0 +1,107 @@
+import {
+  getInvocationPreview,
+  mergeInvocationResults,
+} from '../../app/core/invocationPreview'
+
+jest.mock('@cityofzion/neon-js-next', () => ({
+  api: { getTokenInfos: jest.fn() },
+  wallet: { getAddressFromScriptHash: hash => `address-${hash}` },
+  u: {
+    base642hex: value => global.Buffer.from(value, 'base64').toString('hex'),
+    reverseHex: hex =>
+      hex
+        .match(/../g)
+        .reverse()
+        .join(''),
+  },
+}))
+
+const SENDER_HASH = '11'.repeat(20)
+const RECIPIENT_HASH = '22'.repeat(20)
+const toStackHash = hash => ({
+  type: 'ByteString',
+  value: Buffer.from(hash, 'hex').toString('base64'),
+})
+
+describe('invocationPreview tests', () => {
+  test('decodes transfers and the GAS burned into balance changes', async () => {
+    const result = {
+      state: 'HALT',
+      gasconsumed: '997775',
+      notifications: [
+        {
+          contract: '0xd2a4cff31913016155e38e474a2c06d08be276cf',
+          eventname: 'Transfer',
+          state: {
+            type: 'Array',
+            value: [
+              toStackHash(SENDER_HASH),
+              toStackHash(RECIPIENT_HASH),
+              { type: 'Integer', value: '150000000' },
+            ],
+          },
+        },
+        {
+          contract: '0xef4073a0f2b305a38ec4050e4d3d28bc40ea63f5',
+          eventname: 'Transfer',
+          state: {
+            type: 'Array',
+            value: [
+              { type: 'Any' },
+              toStackHash(RECIPIENT_HASH),
+              { type: 'Integer', value: '3' },
+            ],
+          },
+        },
+      ],
+    }
+
+    const preview = await getInvocationPreview(result, {
+      sender: `address-${SENDER_HASH}`,
+      client: {},
+    })
+
+    expect(preview).toEqual({
+      state: 'HALT',
+      exception: null,
+      gasBurned: '0.00997775',
+      balanceChanges: [
+        {
+          address: `address-${SENDER_HASH}`,
+          contract: 'd2a4cff31913016155e38e474a2c06d08be276cf',
+          symbol: 'GAS',
+          amount: '-1.50997775',
+          tokenIds: [],
+        },
+        {
+          address: `address-${RECIPIENT_HASH}`,
+          contract: 'd2a4cff31913016155e38e474a2c06d08be276cf',
+          symbol: 'GAS',
+          amount: '1.5',
+          tokenIds: [],
+        },
+        {
+          address: `address-${RECIPIENT_HASH}`,
+          contract: 'ef4073a0f2b305a38ec4050e4d3d28bc40ea63f5',
+          symbol: 'NEO',
+          amount: '3',
+          tokenIds: [],
+        },
+      ],
+    })
+  })
+
+  test('mergeInvocationResults reports a FAULT of any of the results', () => {
+    expect(
+      mergeInvocationResults([
+        { state: 'HALT', gasconsumed: '10', notifications: [{ id: 1 }] },
+        { state: 'FAULT', gasconsumed: '5', exception: 'ASSERT failed' },
+      ]),
+    ).toEqual({
+      state: 'FAULT',
+      exception: 'ASSERT failed',
+      gasconsumed: '15',
+      notifications: [{ id: 1 }],
+    })
+  })
+})
@@ -0,0 +1,190 @@
+import http from 'http'
+
+import {
+  ERROR_CODES,
+  handleMessage,
+  isPairableOrigin,
+  startLocalConnector,
+} from '../../app/core/localConnector'
+
+const ORIGIN = 'http://localhost:3000'
+const METHODS = ['testInvoke', 'getWalletInfo']
+
+const createHandlers = (pairedOrigins = []) => ({
+  isPaired: origin => pairedOrigins.includes(origin),
+  onPair: jest.fn(async () => ({ accounts: ['neo3:testnet:address'] })),
+  onRequest: jest.fn(async (origin, request) => ({
+    id: request.id,
+    jsonrpc: '2.0',
+    result: { isLedger: false },
+  })),
+  onLog: jest.fn(),
+})
+
+const post = (port, body, headers) =>
+  new Promise((resolve, reject) => {
+    const req = http.request(
+      {
+        host: '127.0.0.1',
+        port,
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', ...headers },
+      },
+      res => {
+        let data = ''
+        res.on('data', chunk => {
+          data += chunk
+        })
+        res.on('end', () =>
+          resolve({
+            status: res.statusCode,
+            allowedOrigin: res.headers['access-control-allow-origin'],
+            body: data && JSON.parse(data),
+          }),
+        )
+      },
+    )
+    req.on('error', reject)
+    req.end(JSON.stringify(body))
+  })
+
+describe('local connector tests', () => {
+  test('origins have to be paired before making requests', async () => {
+    const handlers = createHandlers()
+    const request = JSON.stringify({ id: 1, method: 'getWalletInfo' })
+
+    expect(await handleMessage(ORIGIN, request, METHODS, handlers)).toEqual({
+      id: 1,
+      jsonrpc: '2.0',
+      error: {
+        code: ERROR_CODES.UNAUTHORIZED,
+        message: `${ORIGIN} is not paired, call pair first`,
+      },
+    })
+    expect(
+      await handleMessage(
+        ORIGIN,
+        JSON.stringify({ id: 2, method: 'pair' }),
+        METHODS,
+        handlers,
+      ),
+    ).toEqual({
+      id: 2,
+      jsonrpc: '2.0',
+      result: { accounts: ['neo3:testnet:address'] },
+    })
+    expect(handlers.onPair).toHaveBeenCalledWith(ORIGIN)
+    expect(handlers.onRequest).not.toHaveBeenCalled()
+  })
+
+  test('only http and https pages can be paired', async () => {
+    const handlers = createHandlers()
+    const pair = JSON.stringify({ id: 1, method: 'pair' })
+
+    for (const origin of [
+      'null',
+      'file://',
+      'chrome-extension://abcdefghijklmnop',
+      'http://localhost:3000/path',
+    ]) {
+      expect(await handleMessage(origin, pair, METHODS, handlers)).toEqual({
+        id: 1,
+        jsonrpc: '2.0',
+        error: {
+          code: ERROR_CODES.UNAUTHORIZED,
+          message: `${origin} can not be paired, only http and https pages can`,
+        },
+      })
+    }
+    expect(handlers.onPair).not.toHaveBeenCalled()
+    expect(isPairableOrigin('https://dapp.example')).toBe(true)
+  })
+
+  test('invalid messages are answered with JSON-RPC errors', async () => {
+    const handlers = createHandlers([ORIGIN])
+
+    const parseError = await handleMessage(ORIGIN, '{', METHODS, handlers)
+    expect(parseError.error.code).toEqual(ERROR_CODES.PARSE_ERROR)
+
+    const noOrigin = await handleMessage(
+      undefined,
+      JSON.stringify({ id: 1, method: 'getWalletInfo' }),
+      METHODS,
+      handlers,
+    )
+    expect(noOrigin.error.code).toEqual(ERROR_CODES.INVALID_REQUEST)
+
+    const unknown = await handleMessage(
+      ORIGIN,
+      JSON.stringify({ id: 1, method: 'sendAllFunds' }),
+      METHODS,
+      handlers,
+    )
+    expect(unknown.error.code).toEqual(ERROR_CODES.METHOD_NOT_FOUND)
+    expect(handlers.onRequest).not.toHaveBeenCalled()
+  })
+
+  test('requests and responses go over HTTP and are logged', async () => {
+    const handlers = createHandlers([ORIGIN])
+    const connector = await startLocalConnector(0, METHODS, handlers)
+
+    try {
+      const response = await post(
+        connector.port,
+        { id: 7, jsonrpc: '2.0', method: 'getWalletInfo' },
+        { Origin: ORIGIN },
+      )
+      expect(response).toEqual({
+        status: 200,
+        allowedOrigin: ORIGIN,
+        body: { id: 7, jsonrpc: '2.0', result: { isLedger: false } },
+      })
+      expect(handlers.onRequest).toHaveBeenCalledWith(ORIGIN, {
+        id: 7,
+        jsonrpc: '2.0',
+        method: 'getWalletInfo',
+      })
+      expect(
+        handlers.onLog.mock.calls.map(([entry]) => [
+          entry.origin,
+          entry.transport,
+          entry.direction,
+        ]),
+      ).toEqual([[ORIGIN, 'http', 'request'], [ORIGIN, 'http', 'response']])
+
+      // requests for other hosts are refused
+      const rebound = await post(
+        connector.port,
+        { id: 8, method: 'getWalletInfo' },
+        { Origin: ORIGIN, Host: 'evil.example' },
+      )
+      expect(rebound.status).toEqual(403)
+    } finally {
+      await connector.close()
+    }
+  })
+
+  test('only paired origins and pairings can read the responses', async () => {
+    const connector = await startLocalConnector(0, METHODS, createHandlers())
+    const otherOrigin = 'http://localhost:4000'
+
+    try {
+      const pairing = await post(
+        connector.port,
+        { id: 1, method: 'pair' },
+        { Origin: otherOrigin },
+      )
+      expect(pairing.allowedOrigin).toEqual(otherOrigin)
+
+      const unpaired = await post(
+        connector.port,
+        { id: 2, method: 'getWalletInfo' },
+        { Origin: otherOrigin },
+      )
+      expect(unpaired.body.error.code).toEqual(ERROR_CODES.UNAUTHORIZED)
+      expect(unpaired.allowedOrigin).toBeUndefined()
+    } finally {
+      await connector.close()
+    }
+  })
+})
@@ -0,0 +1,79 @@
+import {
+  entropyToMnemonic,
+  mnemonicToEntropy,
+  generateMnemonic,
+  validateMnemonic,
+  mnemonicToSeed,
+  getDerivationPath,
+  formatDerivationPath,
+  derivePrivateKey,
+} from '../../app/core/mnemonic'
+
+describe('mnemonic tests', () => {
+  const HARDENED = 0x80000000
+  const mnemonic =
+    'abandon abandon abandon abandon abandon abandon abandon abandon abandon abandon abandon abandon abandon abandon abandon abandon abandon abandon abandon abandon abandon abandon abandon art'
+
+  describe('BIP-39', () => {
+    test('entropyToMnemonic matches the reference vector', () => {
+      expect(entropyToMnemonic(Buffer.alloc(32))).toEqual(mnemonic)
+    })
+
+    test('mnemonicToEntropy round trips', () => {
+      const entropy = Buffer.from('7f7f7f7f7f7f7f7f7f7f7f7f7f7f7f7f', 'hex')
+      expect(mnemonicToEntropy(entropyToMnemonic(entropy))).toEqual(entropy)
+    })
+
+    test('generateMnemonic creates a valid 24 word phrase', () => {
+      const generated = generateMnemonic()
+      expect(generated.split(' ').length).toEqual(24)
+      expect(validateMnemonic(generated)).toEqual(true)
+    })
+
+    test('validateMnemonic rejects bad checksums and unknown words', () => {
+      expect(validateMnemonic(mnemonic.replace(/art$/, 'zoo'))).toEqual(false)
+      expect(validateMnemonic(mnemonic.replace(/art$/, 'neon1'))).toEqual(false)
+      expect(validateMnemonic('abandon abandon')).toEqual(false)
+    })
+
+    test('validateMnemonic ignores case and extra whitespace', () => {
+      expect(validateMnemonic(`  ${mnemonic.toUpperCase()}\n`)).toEqual(true)
+    })
+
+    test('mnemonicToSeed matches the reference vector', () => {
+      expect(mnemonicToSeed(mnemonic, 'TREZOR').toString('hex')).toEqual(
+        'bda85446c68413707090a52022edd26a1c9462295029f2e60cd7c4f2bbd3097170af7a4d73245cafa9c3cca8d561a7c3de6f5d4a10be8ed2a5e608d68f92fcc8',
+      )
+    })
+  })
+
+  describe('SLIP-10 derivation', () => {
+    const seed = Buffer.from('000102030405060708090a0b0c0d0e0f', 'hex')
+
+    test('derives the master key', () => {
+      expect(derivePrivateKey(seed, [])).toEqual(
+        '612091aaa12e22dd2abef664f8a01a82cae99ad7441b7ef8110424915c268bc2',
+      )
+    })
+
+    test('derives hardened and normal children', () => {
+      expect(derivePrivateKey(seed, [HARDENED])).toEqual(
+        '6939694369114c67917a182c59ddb8cafc3004e63ca5d3b84403ba8613debc0c',
+      )
+      expect(derivePrivateKey(seed, [HARDENED, 1])).toEqual(
+        '284e9d38d07d21e4e281b645089a94f4cf5a5a81369acf151a1c3a57f18b2129',
+      )
+      expect(derivePrivateKey(seed, [HARDENED, 1, HARDENED + 2])).toEqual(
+        '694596e8a54f252c960eb771a3c41e7e32496d03b954aeb90f61635b8e092aa7',
+      )
+    })
+  })
+
+  describe('NEO derivation path', () => {
+    test('follows the NEO BIP-44 path', () => {
+      expect(formatDerivationPath(getDerivationPath(3))).toEqual(
+        "m/44'/888'/0'/0/3",
+      )
+    })
+  })
+})
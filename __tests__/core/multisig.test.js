@@ -0,0 +1,88 @@
+import { wallet } from '@cityofzion/neon-js-next'
+
+import {
+  createMultiSigAccount,
+  getMultiSigDetails,
+  getVerificationScriptFromAccount,
+  isMultiSigVerificationScript,
+  sortPublicKeys,
+} from '../../app/core/multisig'
+
+jest.mock('@cityofzion/neon-js-next', () =>
+  jest.requireActual('@cityofzion/neon-js-next/dist/index.js'),
+)
+
+const PUBLIC_KEYS = ['1', '2', '3'].map(
+  digit => new wallet.Account(digit.repeat(64)).publicKey,
+)
+
+describe('multi-signature account tests', () => {
+  test('the verification script and address do not depend on key order', () => {
+    const account = createMultiSigAccount({
+      label: 'treasury',
+      threshold: 2,
+      publicKeys: PUBLIC_KEYS,
+    })
+    const reversed = createMultiSigAccount({
+      label: 'treasury',
+      threshold: 2,
+      publicKeys: [...PUBLIC_KEYS].reverse(),
+    })
+    const script = getVerificationScriptFromAccount(account)
+    const sortedKeys = sortPublicKeys(PUBLIC_KEYS)
+
+    expect(reversed.address).toEqual(account.address)
+    expect(getVerificationScriptFromAccount(reversed)).toEqual(script)
+    // PUSH2, the keys in order, PUSH3 and SYSCALL System.Crypto.CheckMultisig
+    expect(script).toEqual(
+      `12${sortedKeys.map(key => `0c21${key}`).join('')}13419ed0dc3a`,
+    )
+    expect(account.address).toEqual(
+      wallet.getAddressFromScriptHash(
+        wallet.getScriptHashFromVerificationScript(script),
+      ),
+    )
+    expect(isMultiSigVerificationScript(script)).toEqual(true)
+    expect(getMultiSigDetails(script)).toEqual({
+      threshold: 2,
+      publicKeys: sortedKeys,
+    })
+    expect(account.contract.parameters).toHaveLength(2)
+    expect(account.extra.multiSig).toEqual({
+      threshold: 2,
+      publicKeys: sortedKeys,
+    })
+  })
+
+  test('single signature scripts are not multi-signature ones', () => {
+    expect(
+      isMultiSigVerificationScript(
+        wallet.getVerificationScriptFromPublicKey(PUBLIC_KEYS[0]),
+      ),
+    ).toEqual(false)
+  })
+
+  test('invalid accounts are refused', () => {
+    expect(() =>
+      createMultiSigAccount({
+        label: 'treasury',
+        threshold: 4,
+        publicKeys: PUBLIC_KEYS,
+      }),
+    ).toThrow('The number of required signatures must be between 1 and 3.')
+    expect(() =>
+      createMultiSigAccount({
+        label: 'treasury',
+        threshold: 1,
+        publicKeys: [PUBLIC_KEYS[0], PUBLIC_KEYS[0].toUpperCase()],
+      }),
+    ).toThrow('Each public key can only be added once.')
+    expect(() =>
+      createMultiSigAccount({
+        label: 'treasury',
+        threshold: 1,
+        publicKeys: ['02abcd'],
+      }),
+    ).toThrow("'02abcd' is not a valid compressed public key.")
+  })
+})
@@ -0,0 +1,124 @@
+import { rpc } from '@cityofzion/neon-js-next'
+
+import {
+  isNNSName,
+  resolveNNSName,
+  lookupNNSName,
+  getChangedNNSTarget,
+} from '../../app/core/nns'
+import { getStorage } from '../../app/core/storage'
+
+jest.mock('@cityofzion/neon-js-next', () => ({
+  rpc: { RPCClient: jest.fn(), Query: jest.fn() },
+  sc: {
+    ContractParam: {
+      string: value => ({ type: 'String', value }),
+      integer: value => ({ type: 'Integer', value }),
+      hash160: value => ({ type: 'Hash160', value }),
+    },
+  },
+  u: {
+    HexString: {
+      fromBase64: value => ({
+        toAscii: () => global.Buffer.from(value, 'base64').toString('ascii'),
+      }),
+    },
+  },
+  wallet: { isAddress: address => /^N[1-9A-HJ-NP-Za-km-z]{33}$/.test(address) },
+}))
+
+jest.mock('../../app/actions/nodeStorageActions', () => ({
+  getNode: jest.fn(() => Promise.resolve('https://node')),
+  getRPCEndpoint: jest.fn(),
+}))
+
+jest.mock('../../app/core/storage', () => ({
+  getStorage: jest.fn(),
+  setStorage: jest.fn(),
+}))
+
+const ADDRESS = 'NZNovyMgBnmhrCCM4WEUcQXDWwzCbDL8DP'
+const OTHER_ADDRESS = 'NdtB8RXRmJ7Nhw1FPTm7E6HoDZGnDw37nf'
+const toStackString = value => ({
+  type: 'ByteString',
+  value: Buffer.from(value).toString('base64'),
+})
+
+describe('nns tests', () => {
+  test('isNNSName only accepts .neo names', () => {
+    expect(isNNSName('alice.neo')).toEqual(true)
+    expect(isNNSName(' Pay.Alice.NEO ')).toEqual(true)
+    expect(isNNSName(ADDRESS)).toEqual(false)
+    expect(isNNSName('-alice.neo')).toEqual(false)
+    expect(isNNSName('alice.eth')).toEqual(false)
+  })
+
+  test('resolveNNSName returns the address in the TXT record', async () => {
+    const invokeFunction = jest.fn(() =>
+      Promise.resolve({ state: 'HALT', stack: [toStackString(ADDRESS)] }),
+    )
+    rpc.RPCClient.mockImplementation(() => ({ invokeFunction }))
+
+    expect(await resolveNNSName('Alice.neo', 'MainNet')).toEqual(ADDRESS)
+    expect(invokeFunction.mock.calls[0][1]).toEqual('resolve')
+    expect(invokeFunction.mock.calls[0][2][0].value).toEqual('alice.neo')
+  })
+
+  test('resolveNNSName rejects names without an address', async () => {
+    rpc.RPCClient.mockImplementation(() => ({
+      invokeFunction: () =>
+        Promise.resolve({ state: 'FAULT', stack: [], exception: 'expired' }),
+    }))
+
+    await expect(resolveNNSName('bob.neo', 'MainNet')).rejects.toThrow(
+      'bob.neo does not resolve to an N3 address.',
+    )
+  })
+
+  test('lookupNNSName skips names that resolve to another address', async () => {
+    rpc.RPCClient.mockImplementation(() => ({
+      invokeFunction: (hash, operation, [param]) =>
+        Promise.resolve(
+          operation === 'tokensOf'
+            ? {
+                state: 'HALT',
+                stack: [
+                  {
+                    type: 'InteropInterface',
+                    iterator: [
+                      toStackString('sold.neo'),
+                      toStackString('alice.neo'),
+                    ],
+                  },
+                ],
+              }
+            : {
+                state: 'HALT',
+                stack: [
+                  toStackString(
+                    param.value === 'alice.neo' ? ADDRESS : OTHER_ADDRESS,
+                  ),
+                ],
+              },
+        ),
+    }))
+
+    expect(await lookupNNSName(ADDRESS, 'TestNet')).toEqual('alice.neo')
+  })
+
+  test('getChangedNNSTarget returns the address a name used to resolve to', async () => {
+    getStorage.mockImplementation(() =>
+      Promise.resolve({ MainNet: { 'alice.neo': OTHER_ADDRESS } }),
+    )
+
+    expect(await getChangedNNSTarget('alice.neo', ADDRESS, 'MainNet')).toEqual(
+      OTHER_ADDRESS,
+    )
+    expect(
+      await getChangedNNSTarget('alice.neo', OTHER_ADDRESS, 'MainNet'),
+    ).toEqual(null)
+    expect(await getChangedNNSTarget('alice.neo', ADDRESS, 'TestNet')).toEqual(
+      null,
+    )
+  })
+})
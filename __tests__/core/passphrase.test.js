@@ -0,0 +1,142 @@
+import storage from 'electron-json-storage'
+import { wallet } from '@cityofzion/neon-js'
+
+import {
+  changeAccountsPassphrase,
+  getScryptParamsForKey,
+  decryptKey,
+} from '../../app/core/passphrase'
+import { lockStorage } from '../../app/core/storage'
+
+describe('passphrase tests', () => {
+  // cheap parameters, the defaults make every scrypt call take seconds
+  const oldScrypt = { n: 1024, r: 1, p: 1 }
+  const newScrypt = { n: 2048, r: 1, p: 1 }
+  const wifs = [
+    'L4AJ14CNaBWPemRJKC34wyZwbmxg33GETs4Y1F8uK7rRmZ2UHrJn',
+    'KxDgvEKzgSBPPfuVfw67oPQBSjidEiqTHURKSDL1R7yGaGYAeYnr',
+    'L2QTooFoDFyRFTxmtiVHt5CfsXfVnexdbENGDkkrrgTTryiLsPMG',
+  ]
+  let data
+  let accounts
+
+  beforeEach(() => {
+    data = {}
+    storage.get = jest.fn((key, callback) => callback(null, data[key] || {}))
+    storage.set = jest.fn((key, value, callback) => {
+      data[key] = value
+      callback(null)
+    })
+    storage.keys = jest.fn(callback => callback(null, Object.keys(data)))
+    lockStorage()
+
+    accounts = wifs.map((wif, i) => ({
+      address: new wallet.Account(wif).address,
+      label: `account ${i}`,
+      key: wallet.encrypt(wif, 'old passphrase', oldScrypt),
+      extra: null,
+    }))
+    data.userWallet = {
+      name: 'userWallet',
+      version: '1.0',
+      scrypt: { cost: 1024, blockSize: 1, parallel: 1, size: 64 },
+      accounts,
+      extra: null,
+    }
+  })
+
+  test('re-encrypts the selected accounts with the new scrypt parameters', async () => {
+    const onProgress = jest.fn()
+    const updated = await changeAccountsPassphrase({
+      chain: 'neo2',
+      addresses: [accounts[0].address, accounts[1].address],
+      oldPassphrase: 'old passphrase',
+      newPassphrase: 'new passphrase',
+      scrypt: newScrypt,
+      onProgress,
+    })
+
+    expect(onProgress).toHaveBeenLastCalledWith(2, 2)
+    // the wallet keeps the parameters of the key that was left out
+    expect(data.userWallet.scrypt).toEqual({
+      cost: 1024,
+      blockSize: 1,
+      parallel: 1,
+      size: 64,
+    })
+    expect(data.userWallet.accounts).toEqual(updated)
+    expect(
+      await decryptKey(
+        updated[0].key,
+        'new passphrase',
+        'neo2',
+        await getScryptParamsForKey(updated[0].key, 'neo2'),
+      ),
+    ).toEqual(wifs[0])
+    expect(updated[0].extra.scrypt).toEqual({
+      cost: 2048,
+      blockSize: 1,
+      parallel: 1,
+      size: 64,
+    })
+
+    // the account that was left out keeps its key and old parameters
+    expect(updated[2].key).toEqual(accounts[2].key)
+    expect(updated[2].extra).toEqual(null)
+    expect(await getScryptParamsForKey(updated[2].key, 'neo2')).toEqual(
+      oldScrypt,
+    )
+  })
+
+  test('moves the wallet to the new scrypt parameters once every key uses them', async () => {
+    const updated = await changeAccountsPassphrase({
+      chain: 'neo2',
+      addresses: accounts.map(({ address }) => address),
+      oldPassphrase: 'old passphrase',
+      newPassphrase: 'new passphrase',
+      scrypt: newScrypt,
+    })
+
+    expect(data.userWallet.scrypt).toEqual({
+      cost: 2048,
+      blockSize: 1,
+      parallel: 1,
+      size: 64,
+    })
+    expect(updated.map(({ extra }) => extra)).toEqual([null, null, null])
+    expect(await getScryptParamsForKey(updated[2].key, 'neo2')).toEqual(
+      newScrypt,
+    )
+  })
+
+  test('stores nothing when the passphrase is wrong for one account', async () => {
+    data.userWallet.accounts[1].key = wallet.encrypt(
+      wifs[1],
+      'another passphrase',
+      oldScrypt,
+    )
+
+    await expect(
+      changeAccountsPassphrase({
+        chain: 'neo2',
+        addresses: [accounts[0].address, accounts[1].address],
+        oldPassphrase: 'old passphrase',
+        newPassphrase: 'new passphrase',
+        scrypt: newScrypt,
+      }),
+    ).rejects.toThrow("The current passphrase is not correct for 'account 1'.")
+    expect(storage.set).not.toHaveBeenCalled()
+  })
+
+  test('rejects unsafe scrypt parameters', async () => {
+    await expect(
+      changeAccountsPassphrase({
+        chain: 'neo2',
+        addresses: [accounts[0].address],
+        oldPassphrase: 'old passphrase',
+        newPassphrase: 'new passphrase',
+        scrypt: { n: 1000, r: 8, p: 8 },
+      }),
+    ).rejects.toThrow('The scrypt cost (N) must be a power of 2')
+  })
+})
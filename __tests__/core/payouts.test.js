@@ -0,0 +1,98 @@
+import {
+  parsePayoutFile,
+  getPayoutTotals,
+  createPayoutReport,
+} from '../../app/core/payouts'
+
+describe('payouts tests', () => {
+  const address = 'NZNovyMgBnmhrCCM4WEUcQXDWwzCbDL8DP'
+
+  test('parsePayoutFile reads a CSV file without a header', () => {
+    const rows = parsePayoutFile(
+      `# monthly rewards\n${address},GAS,1.5\n\n${address};NEO;2\n`,
+      'payouts.csv',
+    )
+    expect(rows).toEqual([
+      { line: 2, address, symbol: 'GAS', amount: '1.5' },
+      { line: 4, address, symbol: 'NEO', amount: '2' },
+    ])
+  })
+
+  test('parsePayoutFile maps the columns of a CSV header', () => {
+    const rows = parsePayoutFile(
+      `Amount,Recipient,Token\r\n"3",${address},GAS`,
+      'payouts.csv',
+    )
+    expect(rows).toEqual([{ line: 2, address, symbol: 'GAS', amount: '3' }])
+  })
+
+  test('parsePayoutFile rejects a CSV header without an amount column', () => {
+    expect(() =>
+      parsePayoutFile(`address,token\n${address},GAS`, 'payouts.csv'),
+    ).toThrow(
+      'The CSV header must have an address, a token and an amount column.',
+    )
+  })
+
+  test('parsePayoutFile reads a JSON file', () => {
+    const content = JSON.stringify({
+      payouts: [{ to: address, symbol: 'GAS', amount: 0.1 }],
+    })
+    expect(parsePayoutFile(content, 'payouts.json')).toEqual([
+      { line: 1, address, symbol: 'GAS', amount: '0.1' },
+    ])
+  })
+
+  test('parsePayoutFile throws when there are no payouts', () => {
+    expect(() => parsePayoutFile('# nothing here', 'payouts.csv')).toThrow(
+      'No payouts found in the file.',
+    )
+  })
+
+  test('getPayoutTotals sums the amounts per token', () => {
+    expect(
+      getPayoutTotals([
+        { line: 1, address, symbol: 'GAS', amount: '0.1' },
+        { line: 2, address, symbol: 'GAS', amount: '0.2' },
+        { line: 3, address, symbol: 'NEO', amount: '5' },
+      ]),
+    ).toEqual({ GAS: '0.3', NEO: '5' })
+  })
+
+  test('createPayoutReport exports every row with its result', () => {
+    const results = [
+      {
+        line: 1,
+        address,
+        symbol: 'GAS',
+        amount: '1',
+        status: 'sent',
+        txid: '0x1',
+      },
+      {
+        line: 2,
+        address,
+        symbol: 'NEO',
+        amount: '2',
+        status: 'failed',
+        error: 'Insufficient funds, "NEO"',
+      },
+    ]
+    expect(createPayoutReport(results, 'csv')).toEqual(
+      [
+        'line,address,symbol,amount,status,txid,error',
+        `1,${address},GAS,1,sent,0x1,`,
+        `2,${address},NEO,2,failed,,"Insufficient funds, ""NEO"""`,
+      ].join('\n'),
+    )
+    expect(JSON.parse(createPayoutReport(results, 'json'))[1]).toEqual({
+      line: 2,
+      address,
+      symbol: 'NEO',
+      amount: '2',
+      status: 'failed',
+      txid: null,
+      error: 'Insufficient funds, "NEO"',
+    })
+  })
+})
@@ -0,0 +1,137 @@
+import {
+  getNextDueTime,
+  createRecurringPayment,
+  advanceRecurringPayment,
+  getDueRecurringPayments,
+} from '../../app/core/recurringPayments'
+
+jest.mock('../../app/core/wallet', () => ({
+  isN3Address: address => /^N[1-9A-HJ-NP-Za-km-z]{33}$/.test(address),
+  isLegacyAddress: address => /^A[1-9A-HJ-NP-Za-km-z]{33}$/.test(address),
+}))
+
+const N3_ADDRESS = 'NZNovyMgBnmhrCCM4WEUcQXDWwzCbDL8DP'
+const VENDOR_ADDRESS = 'NdtB8RXRmJ7Nhw1FPTm7E6HoDZGnDw37nf'
+
+// schedules run in local time
+const at = (...args) => new Date(...args).getTime()
+
+describe('recurring payments tests', () => {
+  test('monthly payments fall due on the last day of shorter months', () => {
+    const schedule = { type: 'monthly', dayOfMonth: 31 }
+    expect(getNextDueTime(schedule, at(2026, 0, 15, 12))).toEqual(
+      at(2026, 0, 31),
+    )
+    expect(getNextDueTime(schedule, at(2026, 0, 31))).toEqual(at(2026, 1, 28))
+    expect(getNextDueTime(schedule, at(2026, 11, 31, 8))).toEqual(
+      at(2027, 0, 31),
+    )
+  })
+
+  test('cron schedules support lists, ranges and steps', () => {
+    // 9:30 on weekdays
+    const weekdays = { type: 'cron', expression: '30 9 * * 1-5' }
+    // Friday the 2nd of January 2026
+    expect(getNextDueTime(weekdays, at(2026, 0, 2, 10))).toEqual(
+      at(2026, 0, 5, 9, 30),
+    )
+    // every 15 minutes during the first two hours of the 1st and 15th
+    const twiceMonthly = { type: 'cron', expression: '*/15 0-1 1,15 * *' }
+    expect(getNextDueTime(twiceMonthly, at(2026, 0, 1, 1, 45))).toEqual(
+      at(2026, 0, 15),
+    )
+    // either day field matches when both are restricted
+    const firstOrSunday = { type: 'cron', expression: '0 0 1 * 0' }
+    expect(getNextDueTime(firstOrSunday, at(2026, 0, 2))).toEqual(
+      at(2026, 0, 4),
+    )
+  })
+
+  test('invalid schedules are rejected', () => {
+    expect(() =>
+      getNextDueTime({ type: 'cron', expression: '0 9 * *' }, 0),
+    ).toThrow('A cron schedule needs five fields')
+    expect(() =>
+      getNextDueTime({ type: 'cron', expression: '0 24 * * *' }, 0),
+    ).toThrow('Invalid hour "24" in the schedule.')
+    expect(() =>
+      getNextDueTime({ type: 'cron', expression: '0 0 30 2 *' }, 0),
+    ).toThrow('The schedule never falls due.')
+    expect(() =>
+      getNextDueTime({ type: 'monthly', dayOfMonth: 32 }, 0),
+    ).toThrow('The day of the month must be between 1 and 31.')
+  })
+
+  test('payments fall due once and move on when paid or skipped', () => {
+    const payment = createRecurringPayment(
+      {
+        name: ' Rent ',
+        address: N3_ADDRESS,
+        chain: 'neo3',
+        net: 'MainNet',
+        sendEntries: [{ address: VENDOR_ADDRESS, amount: 10, symbol: 'GAS' }],
+        schedule: { type: 'monthly', dayOfMonth: 1 },
+      },
+      null,
+      at(2026, 0, 15),
+    )
+    expect(payment).toMatchObject({
+      name: 'Rent',
+      sendEntries: [{ address: VENDOR_ADDRESS, amount: '10', symbol: 'GAS' }],
+      fees: 0,
+      lastPaidAt: null,
+      nextDueAt: at(2026, 1, 1),
+    })
+
+    const account = { address: N3_ADDRESS, chain: 'neo3', net: 'MainNet' }
+    expect(
+      getDueRecurringPayments([payment], account, at(2026, 0, 31)),
+    ).toEqual([])
+    // missed while the wallet was closed
+    expect(
+      getDueRecurringPayments([payment], account, at(2026, 2, 10)),
+    ).toEqual([payment])
+    expect(
+      getDueRecurringPayments(
+        [payment],
+        { ...account, net: 'TestNet' },
+        at(2026, 2, 10),
+      ),
+    ).toEqual([])
+
+    const paid = advanceRecurringPayment(payment, {
+      paid: true,
+      now: at(2026, 2, 10),
+    })
+    expect(paid.lastPaidAt).toEqual(at(2026, 2, 10))
+    expect(paid.nextDueAt).toEqual(at(2026, 3, 1))
+    const skipped = advanceRecurringPayment(payment, {
+      paid: false,
+      now: at(2026, 2, 10),
+    })
+    expect(skipped.lastPaidAt).toEqual(null)
+    expect(skipped.nextDueAt).toEqual(at(2026, 3, 1))
+  })
+
+  test('createRecurringPayment rejects invalid recipients', () => {
+    const fields = {
+      name: 'Vendors',
+      address: N3_ADDRESS,
+      chain: 'neo3',
+      net: 'MainNet',
+      schedule: { type: 'monthly', dayOfMonth: 1 },
+    }
+    expect(() =>
+      createRecurringPayment({
+        ...fields,
+        sendEntries: [{ address: 'nope', amount: 1, symbol: 'GAS' }],
+      }),
+    ).toThrow('Invalid address nope.')
+    expect(() =>
+      createRecurringPayment({
+        ...fields,
+        sendEntries: [{ address: VENDOR_ADDRESS, amount: 0, symbol: 'GAS' }],
+      }),
+    ).toThrow(`Invalid amount 0 for ${VENDOR_ADDRESS}.`)
+  })
+})
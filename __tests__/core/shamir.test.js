@@ -0,0 +1,55 @@
+import {
+  splitPrivateKey,
+  combineShares,
+  parseShare,
+  createShareFile,
+  readShareFile,
+} from '../../app/core/shamir'
+
+describe('shamir tests', () => {
+  const privateKey =
+    '1dd37fba80fec4e6a6f13fd708d8dcb3b29def768017052f6c930fa1c5d90bbb'
+
+  test('splitPrivateKey creates shares any threshold of which rebuild the key', () => {
+    const shares = splitPrivateKey(privateKey, 5, 3)
+    expect(shares.length).toEqual(5)
+    expect(parseShare(shares[3])).toMatchObject({ threshold: 3, index: 4 })
+
+    expect(combineShares([shares[0], shares[1], shares[2]])).toEqual(privateKey)
+    expect(combineShares([shares[4], shares[1], shares[3]])).toEqual(privateKey)
+    expect(combineShares(shares)).toEqual(privateKey)
+    // the shares of another split of the same key have nothing in common
+    expect(parseShare(splitPrivateKey(privateKey, 5, 3)[0]).id).not.toEqual(
+      parseShare(shares[0]).id,
+    )
+  })
+
+  test('combineShares rejects too few, mixed or damaged shares', () => {
+    const shares = splitPrivateKey(privateKey, 3, 2)
+    const otherShares = splitPrivateKey(privateKey.replace(/^1/, '2'), 3, 2)
+
+    expect(() => combineShares([shares[0], shares[0]])).toThrow(
+      '2 different key shares are required, only 1 provided.',
+    )
+    expect(() => combineShares([shares[0], otherShares[1]])).toThrow(
+      'The key shares do not belong to the same key.',
+    )
+    const damaged = shares[1].replace(/.$/, c => (c === '0' ? '1' : '0'))
+    expect(() => combineShares([shares[0], damaged])).toThrow(
+      'The key could not be rebuilt, a key share is damaged.',
+    )
+    expect(() => splitPrivateKey(privateKey, 2, 3)).toThrow()
+  })
+
+  test('share files can only be read with their password', async () => {
+    const [share] = splitPrivateKey(privateKey, 2, 2)
+    const file = JSON.parse(await createShareFile(share, 'secret'))
+
+    expect(file).toMatchObject({ threshold: 2, index: 1 })
+    expect(JSON.stringify(file)).not.toContain(share)
+    expect(await readShareFile(file, 'secret')).toEqual(share)
+    await expect(readShareFile(file, 'wrong')).rejects.toThrow(
+      'The password is incorrect.',
+    )
+  })
+})
@@ -0,0 +1,127 @@
+import { tx, wallet } from '@cityofzion/neon-js-next'
+
+import { createMultiSigAccount } from '../../app/core/multisig'
+import {
+  addSignatureToContext,
+  buildSignedTransaction,
+  createSigningContext,
+  getMessageForSigning,
+  getSigningStatus,
+  getTransactionFromContext,
+  isSigningContextComplete,
+  parseSigningContext,
+} from '../../app/core/signingContext'
+
+jest.mock('@cityofzion/neon-js-next', () =>
+  jest.requireActual('@cityofzion/neon-js-next/dist/index.js'),
+)
+
+const TEST_NET_MAGIC = 894710606
+const ACCOUNTS = ['1', '2', '3'].map(
+  digit => new wallet.Account(digit.repeat(64)),
+)
+
+const multiSig = createMultiSigAccount({
+  label: 'treasury',
+  threshold: 2,
+  publicKeys: ACCOUNTS.map(({ publicKey }) => publicKey),
+})
+const verificationScript = Buffer.from(
+  multiSig.contract.script,
+  'base64',
+).toString('hex')
+
+const createContext = () =>
+  createSigningContext(
+    new tx.Transaction({
+      script: '11',
+      validUntilBlock: 100,
+      signers: [
+        {
+          account: wallet.getScriptHashFromAddress(multiSig.address),
+          scopes: tx.WitnessScope.CalledByEntry,
+        },
+      ],
+    }),
+    TEST_NET_MAGIC,
+    [verificationScript],
+  )
+
+const sign = (context, account) =>
+  addSignatureToContext(
+    context,
+    account.publicKey,
+    wallet.sign(getMessageForSigning(context), account.privateKey),
+  )
+
+describe('signing context tests', () => {
+  test('a context is read back as it was written', () => {
+    const context = createContext()
+    const parsed = parseSigningContext(JSON.stringify(context))
+
+    expect(parsed).toEqual(context)
+    expect(parsed.hash).toEqual(`0x${getTransactionFromContext(parsed).hash()}`)
+    expect(
+      parsed.items[`0x${wallet.getScriptHashFromAddress(multiSig.address)}`],
+    ).toEqual({
+      script: multiSig.contract.script,
+      parameters: [{ type: 'Signature' }, { type: 'Signature' }],
+      signatures: {},
+    })
+    expect(() =>
+      parseSigningContext({ ...context, hash: `0x${'00'.repeat(32)}` }),
+    ).toThrow('The transaction hash does not match its contents.')
+    expect(() =>
+      parseSigningContext({ ...context, network: 'MainNet' }),
+    ).toThrow('This is not a Neo N3 transaction signing request.')
+  })
+
+  test('witnesses push the signatures in the order of the script keys', () => {
+    const [first, , third] = [...ACCOUNTS].sort(
+      (a, b) =>
+        verificationScript.indexOf(a.publicKey) <
+        verificationScript.indexOf(b.publicKey)
+          ? -1
+          : 1,
+    )
+    const context = createContext()
+
+    // the keys sign out of the order of the script
+    const partial = sign(context, third)
+    expect(isSigningContextComplete(partial)).toEqual(false)
+    expect(() => buildSignedTransaction(partial)).toThrow(
+      `${multiSig.address} requires 2 signature(s) but only has 1.`,
+    )
+
+    const complete = sign(partial, first)
+    expect(getSigningStatus(complete)[0].signedBy).toEqual([
+      first.publicKey,
+      third.publicKey,
+    ])
+    expect(isSigningContextComplete(complete)).toEqual(true)
+
+    const [witness] = buildSignedTransaction(complete).witnesses
+    const message = getMessageForSigning(context)
+    expect(witness.verificationScript.toBigEndian()).toEqual(verificationScript)
+    expect(witness.invocationScript.toBigEndian()).toEqual(
+      `0c40${wallet.sign(message, first.privateKey)}` +
+        `0c40${wallet.sign(message, third.privateKey)}`,
+    )
+  })
+
+  test('signatures of other keys or messages are refused', () => {
+    const context = createContext()
+    const outsider = new wallet.Account('4'.repeat(64))
+
+    expect(() => sign(context, outsider)).toThrow(
+      'The current account is not one of the signers of this transaction.',
+    )
+    expect(() =>
+      addSignatureToContext(
+        context,
+        ACCOUNTS[0].publicKey,
+        wallet.sign('00', ACCOUNTS[0].privateKey),
+      ),
+    ).toThrow('The signature does not match this transaction.')
+  })
+})
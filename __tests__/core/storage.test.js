@@ -0,0 +1,102 @@
+import storage from 'electron-json-storage'
+
+import {
+  getStorage,
+  setStorage,
+  isStorageEncrypted,
+  isStorageUnlocked,
+  unlockStorage,
+  lockStorage,
+  enableStorageEncryption,
+  changeStoragePassword,
+  disableStorageEncryption,
+} from '../../app/core/storage'
+
+describe('storage tests', () => {
+  let data
+
+  beforeEach(() => {
+    data = {}
+    storage.get = jest.fn((key, callback) => callback(null, data[key] || {}))
+    storage.set = jest.fn((key, value, callback) => {
+      data[key] = value
+      callback(null)
+    })
+    storage.remove = jest.fn((key, callback) => {
+      delete data[key]
+      callback(null)
+    })
+    storage.keys = jest.fn(callback => callback(null, Object.keys(data)))
+    lockStorage()
+  })
+
+  test('stores values in plaintext without a master password', async () => {
+    await setStorage('contacts', { alice: 'address' })
+    expect(data.contacts).toEqual({ alice: 'address' })
+    expect(await getStorage('contacts')).toEqual({ alice: 'address' })
+    expect(await isStorageEncrypted()).toEqual(false)
+  })
+
+  test('encrypts existing and new values once enabled', async () => {
+    data.settings = { theme: 'Dark' }
+    await enableStorageEncryption('password')
+
+    expect(await isStorageEncrypted()).toEqual(true)
+    expect(JSON.stringify(data.settings)).not.toContain('Dark')
+    expect(await getStorage('settings')).toEqual({ theme: 'Dark' })
+
+    await setStorage('contacts', ['alice'])
+    expect(JSON.stringify(data.contacts)).not.toContain('alice')
+    expect(await getStorage('contacts')).toEqual(['alice'])
+  })
+
+  test('requires the master password to read encrypted values', async () => {
+    data.settings = { theme: 'Dark' }
+    await enableStorageEncryption('password')
+    lockStorage()
+
+    await expect(getStorage('settings')).rejects.toThrow(
+      'Storage is locked, the master password is required.',
+    )
+    await expect(setStorage('settings', {})).rejects.toThrow(
+      'Storage is locked, the master password is required.',
+    )
+    await expect(unlockStorage('wrong')).rejects.toThrow(
+      'The master password is incorrect.',
+    )
+    expect(isStorageUnlocked()).toEqual(false)
+
+    await unlockStorage('password')
+    expect(await getStorage('settings')).toEqual({ theme: 'Dark' })
+  })
+
+  test('encrypts all values again when the password is changed', async () => {
+    data.settings = { theme: 'Dark' }
+    await enableStorageEncryption('password')
+    const encrypted = data.settings
+
+    await expect(changeStoragePassword('wrong', 'new')).rejects.toThrow(
+      'The master password is incorrect.',
+    )
+    await changeStoragePassword('password', 'new')
+    expect(data.settings).not.toEqual(encrypted)
+    expect(data.storageEncryption.previousKey).toBeUndefined()
+
+    lockStorage()
+    await expect(unlockStorage('password')).rejects.toThrow(
+      'The master password is incorrect.',
+    )
+    await unlockStorage('new')
+    expect(await getStorage('settings')).toEqual({ theme: 'Dark' })
+  })
+
+  test('stores values in plaintext again when disabled', async () => {
+    data.settings = { theme: 'Dark' }
+    await enableStorageEncryption('password')
+    await disableStorageEncryption('password')
+
+    expect(await isStorageEncrypted()).toEqual(false)
+    expect(data.settings).toEqual({ theme: 'Dark' })
+    expect(data.storageEncryption).toBeUndefined()
+  })
+})
@@ -0,0 +1,49 @@
+import { u } from '@cityofzion/neon-js-next'
+
+import {
+  CONFLICTS_ATTRIBUTE_SIZE,
+  createConflictsAttribute,
+  getReplacementNetworkFee,
+} from '../../app/core/transactionReplacement'
+
+const HASH =
+  '0x0102030405060708091011121314151617181920212223242526272829303132'
+
+jest.mock('@cityofzion/neon-js-next', () =>
+  jest.requireActual('@cityofzion/neon-js-next/dist/index.js'),
+)
+
+describe('transaction replacement tests', () => {
+  test('the Conflicts attribute is serialized as its type and hash', () => {
+    const attribute = createConflictsAttribute(HASH.slice(2))
+
+    expect(attribute.size).toEqual(CONFLICTS_ATTRIBUTE_SIZE)
+    expect(attribute.serialize()).toEqual(
+      `21${u.reverseHex(HASH.replace(/^0x/, ''))}`,
+    )
+    expect(attribute.serialize().length / 2).toEqual(attribute.size)
+    expect(attribute.toJson()).toEqual({ type: 'Conflicts', hash: HASH })
+    expect(() => createConflictsAttribute('0x0102')).toThrow(
+      '0x0102 is not a transaction hash.',
+    )
+  })
+
+  test('a replacement pays just more than the transaction it replaces', () => {
+    const feePerByte = u.BigInteger.fromNumber(1000)
+
+    expect(
+      getReplacementNetworkFee(
+        u.BigInteger.fromNumber(150000),
+        '1230000',
+        feePerByte,
+      ).toString(),
+    ).toEqual('1231000')
+    expect(
+      getReplacementNetworkFee(
+        u.BigInteger.fromNumber(1500000),
+        '1230000',
+        feePerByte,
+      ).toString(),
+    ).toEqual('1500000')
+  })
+})
@@ -1,4 +1,18 @@
-import { validateTransactionBeforeSending } from '../../app/core/wallet'
+import {
+  validateTransactionBeforeSending,
+  validateTransactionsBeforeSending,
+  getN3TransferEntries,
+} from '../../app/core/wallet'
+
+jest.mock('@cityofzion/neon-js-next', () => ({
+  wallet: {
+    isAddress: address => /^N[1-9A-HJ-NP-Za-km-z]{33}$/.test(address),
+    getAddressFromScriptHash: () => 'NZNovyMgBnmhrCCM4WEUcQXDWwzCbDL8DP',
+  },
+}))
+
+const LEGACY_ADDRESS = 'APuTTqoxaLvRPTvRSYAtnkF851AWW7kBMZ'
+const N3_ADDRESS = 'NZNovyMgBnmhrCCM4WEUcQXDWwzCbDL8DP'
 
 describe('validateTransactionBeforeSending tests', () => {
   test('balance of type number and with more than 15 significant digts', () => {
@@ -11,4 +25,115 @@ describe('validateTransactionBeforeSending tests', () => {
       validateTransactionBeforeSending(100000000.00000001, sendEntry),
     ).toEqual(null)
   })
+
+  test('rejects addresses of the other chain', () => {
+    expect(
+      validateTransactionBeforeSending(
+        10,
+        { address: LEGACY_ADDRESS, amount: 1, symbol: 'GAS' },
+        'neo3',
+      ),
+    ).toEqual(
+      'That is a Neo Legacy address, it can not receive assets on Neo N3.',
+    )
+    expect(
+      validateTransactionBeforeSending(10, {
+        address: N3_ADDRESS,
+        amount: 1,
+        symbol: 'GAS',
+      }),
+    ).toEqual(
+      'That is a Neo N3 address, it can not receive assets on Neo Legacy.',
+    )
+  })
+
+  test('rejects fractional NEO on N3', () => {
+    expect(
+      validateTransactionBeforeSending(
+        10,
+        { address: N3_ADDRESS, amount: '1.5', symbol: 'NEO' },
+        'neo3',
+      ),
+    ).toEqual('You cannot send fractional amounts of NEO.')
+  })
+})
+
+describe('validateTransactionsBeforeSending tests', () => {
+  const balances = { NEO: 10, GAS: '1.5' }
+
+  test('checks the total of each asset against its balance', () => {
+    const sendEntries = [
+      { address: N3_ADDRESS, amount: 6, symbol: 'NEO' },
+      { address: N3_ADDRESS, amount: 6, symbol: 'NEO' },
+    ]
+    expect(
+      validateTransactionsBeforeSending(balances, sendEntries, {
+        chain: 'neo3',
+      }),
+    ).toEqual('You do not have enough NEO to send 12 NEO in total.')
+  })
+
+  test('checks that the GAS left covers the fees', () => {
+    const sendEntries = [{ address: N3_ADDRESS, amount: 1, symbol: 'GAS' }]
+    expect(
+      validateTransactionsBeforeSending(balances, sendEntries, {
+        chain: 'neo3',
+        fees: '0.4',
+      }),
+    ).toEqual(null)
+    expect(
+      validateTransactionsBeforeSending(balances, sendEntries, {
+        chain: 'neo3',
+        fees: '0.6',
+      }),
+    ).toEqual('You do not have enough GAS to pay the 0.6 GAS transaction fee.')
+  })
+})
+
+describe('getN3TransferEntries tests', () => {
+  test('finds the NEP-17 transfers of tokens the account holds', () => {
+    const invocations = [
+      {
+        scriptHash: '0xd2a4cff31913016155e38e474a2c06d08be276cf',
+        operation: 'transfer',
+        args: [
+          { type: 'Address', value: N3_ADDRESS },
+          {
+            type: 'ScriptHash',
+            value: '0x010101c0775af568185025b0ce43cfaa9b990a2a',
+          },
+          { type: 'Integer', value: 150000000 },
+          { type: 'Any', value: null },
+        ],
+      },
+      {
+        scriptHash: '0x1415ab3b409a95555b77bc4ab6a7d9d7be0eddbd',
+        operation: 'transfer',
+        args: [
+          { type: 'Address', value: N3_ADDRESS },
+          { type: 'Address', value: N3_ADDRESS },
+          { type: 'Integer', value: 25 },
+        ],
+      },
+      {
+        scriptHash: '0x48c40d4666f93408be1bef038b6722404d9a4c2a',
+        operation: 'mint',
+        args: [],
+      },
+    ]
+    const balances = {
+      NEO: 1,
+      GAS: 2,
+      '0x1415ab3b409a95555b77bc4ab6a7d9d7be0eddbd': {
+        symbol: 'TEST',
+        scriptHash: '0x1415ab3b409a95555b77bc4ab6a7d9d7be0eddbd',
+        decimals: '2',
+        balance: '10',
+      },
+    }
+    expect(getN3TransferEntries(invocations, balances)).toEqual([
+      { address: N3_ADDRESS, symbol: 'GAS', amount: '1.5' },
+      { address: N3_ADDRESS, symbol: 'TEST', amount: '0.25' },
+    ])
+  })
 })
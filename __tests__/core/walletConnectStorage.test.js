@@ -0,0 +1,42 @@
+import {
+  clearWalletConnectStorage,
+  createWalletConnectStorage,
+} from '../../app/core/walletConnectStorage'
+
+const mockStorage = {}
+
+jest.mock('../../app/core/storage', () => ({
+  getStorage: async key => mockStorage[key],
+  setStorage: async (key, value) => {
+    mockStorage[key] = JSON.parse(JSON.stringify(value))
+  },
+  removeStorage: async key => {
+    delete mockStorage[key]
+  },
+}))
+
+describe('WalletConnect storage tests', () => {
+  test('the client state is kept under one key of the app storage', async () => {
+    const storage = createWalletConnectStorage()
+    await Promise.all([
+      storage.setItem('wc@2:client:session', [{ topic: 'a' }]),
+      storage.setItem('wc@2:client:pairing', [{ topic: 'b' }]),
+    ])
+    await storage.removeItem('wc@2:client:pairing')
+
+    expect(mockStorage.walletConnect).toEqual({
+      'wc@2:client:session': [{ topic: 'a' }],
+    })
+
+    const reloaded = createWalletConnectStorage()
+    expect(await reloaded.getKeys()).toEqual(['wc@2:client:session'])
+    expect(await reloaded.getEntries()).toEqual([
+      ['wc@2:client:session', [{ topic: 'a' }]],
+    ])
+    expect(await reloaded.getItem('wc@2:client:pairing')).toBeUndefined()
+
+    await clearWalletConnectStorage()
+    expect(mockStorage.walletConnect).toBeUndefined()
+    expect(await createWalletConnectStorage().getKeys()).toEqual([])
+  })
+})
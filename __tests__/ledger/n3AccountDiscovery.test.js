@@ -0,0 +1,128 @@
+import { rpc, wallet } from '@cityofzion/neon-js-next'
+
+import { discoverN3Accounts } from '../../app/ledger/n3AccountDiscovery'
+import { getN3Balances } from '../../app/actions/balancesActions'
+
+jest.mock('@cityofzion/neon-js-next', () =>
+  jest.requireActual('@cityofzion/neon-js-next/dist/index.js'),
+)
+// the APDUs of the NEO3 app, so that the device is only reached through the
+// transport
+jest.mock('@cityofzion/neon-ledger-next', () => {
+  const { Buffer } = require('buffer')
+  return {
+    BIP44: acct =>
+      `8000002c800003788000000000000000${acct.toString(16).padStart(8, '0')}`,
+    getAppName: device =>
+      device
+        .send(0x80, 0x00, 0x00, 0x00, undefined, [0x9000])
+        .then(response => response.toString('ascii').slice(0, -2)),
+    getPublicKey: (device, bip44) =>
+      device
+        .send(0x80, 0x04, 0x00, 0x00, Buffer.from(bip44, 'hex'), [0x9000])
+        .then(response => response.toString('hex').substring(0, 130)),
+  }
+})
+
+const mockTransport = { send: jest.fn(), close: jest.fn() }
+
+jest.mock('@ledgerhq/hw-transport-node-hid-noevents', () => ({
+  isSupported: () => Promise.resolve(true),
+  list: () => Promise.resolve(['ledger']),
+  open: () => Promise.resolve(mockTransport),
+}))
+
+jest.mock('../../app/actions/nodeStorageActions', () => ({
+  getNode: jest.fn(() => Promise.resolve('https://node')),
+  getRPCEndpoint: jest.fn(),
+}))
+
+jest.mock('../../app/actions/balancesActions', () => ({
+  getN3Balances: jest.fn(() => Promise.resolve({ NEO: '1' })),
+}))
+
+// the device derives a different key for each account index
+const ACCOUNTS = ['1', '2', '3', '4', '5', '6', '7', '8'].map(
+  digit => new wallet.Account(digit.repeat(64)),
+)
+
+const OK = Buffer.from('9000', 'hex')
+
+const mockDevice = () => {
+  mockTransport.send.mockImplementation((cla, ins, p1, p2, data) => {
+    if (ins === 0x00)
+      return Promise.resolve(Buffer.concat([Buffer.from('NEO N3'), OK]))
+    const account = ACCOUNTS[data.readUInt32BE(16)]
+    return Promise.resolve(
+      Buffer.concat([
+        Buffer.from(wallet.getPublicKeyUnencoded(account.publicKey), 'hex'),
+        OK,
+      ]),
+    )
+  })
+}
+
+// `history` maps the addresses that have been used to their transfers
+const mockNode = history =>
+  jest
+    .spyOn(rpc.NeoServerRpcClient.prototype, 'execute')
+    .mockImplementation(({ method, params: [address] }) => {
+      if (method === 'getnep17balances') return Promise.resolve({ balance: [] })
+      return Promise.resolve(history[address] || { sent: [], received: [] })
+    })
+
+describe('ledger account discovery tests', () => {
+  beforeEach(() => {
+    mockTransport.send.mockReset()
+    mockTransport.close.mockReset()
+    mockDevice()
+  })
+
+  afterEach(() => {
+    jest.restoreAllMocks()
+  })
+
+  test('the scan stops after gap limit unused accounts in a row', async () => {
+    mockNode({
+      [ACCOUNTS[1].address]: { sent: [{}], received: [] },
+    })
+    const onAccount = jest.fn()
+
+    const discovered = await discoverN3Accounts({
+      net: 'TestNet',
+      gapLimit: 3,
+      onAccount,
+    })
+
+    expect(discovered.map(({ address, isUsed }) => [address, isUsed])).toEqual([
+      [ACCOUNTS[0].address, false],
+      [ACCOUNTS[1].address, true],
+      [ACCOUNTS[2].address, false],
+      [ACCOUNTS[3].address, false],
+      [ACCOUNTS[4].address, false],
+    ])
+    expect(discovered[1].balances).toEqual({ NEO: '1' })
+    expect(getN3Balances).toHaveBeenCalledTimes(1)
+    expect(onAccount.mock.calls.map(([result]) => result)).toEqual(discovered)
+    expect(mockTransport.close).toHaveBeenCalled()
+  })
+
+  test('an account that can not be checked fails the scan', async () => {
+    jest
+      .spyOn(rpc.NeoServerRpcClient.prototype, 'execute')
+      .mockImplementation(
+        ({ params: [address] }) =>
+          address === ACCOUNTS[1].address
+            ? Promise.reject(new Error('RPC timeout'))
+            : Promise.resolve({ balance: [], sent: [], received: [] }),
+      )
+    const onAccount = jest.fn()
+
+    await expect(
+      discoverN3Accounts({ net: 'TestNet', onAccount }),
+    ).rejects.toThrow('RPC timeout')
+    expect(onAccount).toHaveBeenCalledTimes(1)
+    expect(onAccount.mock.calls[0][0].address).toEqual(ACCOUNTS[0].address)
+    expect(mockTransport.close).toHaveBeenCalled()
+  })
+})
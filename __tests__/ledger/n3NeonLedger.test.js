@@ -0,0 +1,99 @@
+import { wallet } from '@cityofzion/neon-js-next'
+
+import { MESSAGES, verifyAddressOnDevice } from '../../app/ledger/n3NeonLedger'
+
+jest.mock('@cityofzion/neon-js-next', () =>
+  jest.requireActual('@cityofzion/neon-js-next/dist/index.js'),
+)
+// the APDUs of the NEO3 app, so that the device is only reached through the
+// transport
+jest.mock('@cityofzion/neon-ledger-next', () => {
+  const { Buffer } = require('buffer')
+  return {
+    BIP44: acct =>
+      `8000002c800003788000000000000000${acct.toString(16).padStart(8, '0')}`,
+    getAppName: device =>
+      device
+        .send(0x80, 0x00, 0x00, 0x00, undefined, [0x9000])
+        .then(response => response.toString('ascii').slice(0, -2)),
+    getPublicKey: (device, bip44) =>
+      device
+        .send(0x80, 0x04, 0x00, 0x00, Buffer.from(bip44, 'hex'), [0x9000])
+        .then(response => response.toString('hex').substring(0, 130)),
+  }
+})
+
+const mockTransport = { send: jest.fn(), close: jest.fn() }
+
+jest.mock('@ledgerhq/hw-transport-node-hid-noevents', () => ({
+  isSupported: () => Promise.resolve(true),
+  list: () => Promise.resolve(['ledger']),
+  open: () => Promise.resolve(mockTransport),
+}))
+
+const ACCOUNTS = ['1', '2'].map(digit => new wallet.Account(digit.repeat(64)))
+const OK = Buffer.from('9000', 'hex')
+
+const transportError = statusCode =>
+  Object.assign(new Error(`Ledger device: 0x${statusCode.toString(16)}`), {
+    statusCode,
+  })
+
+// answers GET_APP_NAME and replies to GET_PUBLIC_KEY with `respond`
+const mockDevice = respond => {
+  mockTransport.send.mockImplementation((cla, ins, p1, p2, data) => {
+    if (ins === 0x00)
+      return Promise.resolve(Buffer.concat([Buffer.from('NEO N3'), OK]))
+    return respond(data.readUInt32BE(16), p1)
+  })
+}
+
+const publicKeyResponse = account =>
+  Promise.resolve(
+    Buffer.concat([
+      Buffer.from(wallet.getPublicKeyUnencoded(account.publicKey), 'hex'),
+      OK,
+    ]),
+  )
+
+describe('n3NeonLedger tests', () => {
+  beforeEach(() => {
+    mockTransport.send.mockReset()
+    mockTransport.close.mockReset()
+  })
+
+  test('the address is shown on the device and compared', async () => {
+    mockDevice((account, p1) => {
+      expect(p1).toEqual(0x01)
+      return publicKeyResponse(ACCOUNTS[account])
+    })
+
+    await expect(
+      verifyAddressOnDevice(1, ACCOUNTS[1].address),
+    ).resolves.toBeUndefined()
+    await expect(verifyAddressOnDevice(0, ACCOUNTS[1].address)).rejects.toThrow(
+      `The Ledger returned ${ACCOUNTS[0].address} for this account instead of ${
+        ACCOUNTS[1].address
+      }. Do not use this address.`,
+    )
+    expect(mockTransport.close).toHaveBeenCalledTimes(2)
+  })
+
+  test('an address rejected on the device is reported as such', async () => {
+    mockDevice(() => Promise.reject(transportError(0x6985)))
+
+    await expect(verifyAddressOnDevice(0, ACCOUNTS[0].address)).rejects.toThrow(
+      MESSAGES.ADDRESS_REJECTED,
+    )
+  })
+
+  test('apps that can not display addresses ask to be updated', async () => {
+    for (const statusCode of [0x6d00, 0x6b00]) {
+      mockDevice(() => Promise.reject(transportError(statusCode)))
+
+      await expect(
+        verifyAddressOnDevice(0, ACCOUNTS[0].address),
+      ).rejects.toThrow(MESSAGES.DISPLAY_NOT_SUPPORTED)
+    }
+  })
+})
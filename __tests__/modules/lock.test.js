@@ -0,0 +1,100 @@
+import { wallet } from '@cityofzion/neon-js-next'
+
+import { lockWallet } from '../../app/modules/lock'
+import { nep2LoginActions } from '../../app/actions/authActions'
+
+jest.mock('@cityofzion/neon-js-next', () =>
+  jest.requireActual('@cityofzion/neon-js-next/dist/index.js'),
+)
+
+// a weak scrypt keeps the test fast
+const SCRYPT = { n: 16, r: 1, p: 1 }
+
+jest.mock('../../app/core/passphrase', () => ({
+  getScryptParamsForKey: () => Promise.resolve({ n: 16, r: 1, p: 1 }),
+}))
+
+const PASSPHRASE = 'correct horse'
+const account = new wallet.Account('1'.repeat(64))
+
+const getState = auth => () => ({ spunky: { auth: { data: auth } } })
+
+// runs the account function of the spunky call actions that were dispatched
+const getAuthResults = dispatch =>
+  Promise.all(
+    dispatch.mock.calls
+      .map(([action]) => action)
+      .filter(action => action.meta && action.meta.id === 'auth')
+      .map(action => action.payload.fn({})),
+  )
+
+describe('lockWallet tests', () => {
+  test('an encrypted key is dropped until it is unlocked again', async () => {
+    const encryptedWIF = await wallet.encrypt(account.WIF, PASSPHRASE, SCRYPT)
+    const dispatch = jest.fn()
+
+    lockWallet()(
+      dispatch,
+      getState({
+        address: account.address,
+        wif: account.WIF,
+        publicKey: account.publicKey,
+        encryptedWIF,
+        hasInternetConnectivity: true,
+      }),
+    )
+
+    expect(dispatch.mock.calls[0][0].type).toEqual('HIDE_MODAL')
+    const [locked] = await getAuthResults(dispatch)
+    expect(locked).toEqual({
+      address: account.address,
+      isHardwareLogin: false,
+      hasInternetConnectivity: true,
+      encryptedWIF,
+      isLocked: true,
+    })
+
+    const unlocked = await nep2LoginActions
+      .call({ passphrase: PASSPHRASE, encryptedWIF, chain: 'neo3' })
+      .payload.fn({})
+    expect(unlocked).toEqual({
+      wif: account.WIF,
+      publicKey: account.publicKey,
+      address: account.address,
+      isHardwareLogin: false,
+      hasInternetConnectivity: expect.any(Boolean),
+      encryptedWIF,
+    })
+  })
+
+  test('a session opened with a private key is ended', async () => {
+    const dispatch = jest.fn()
+
+    lockWallet()(
+      dispatch,
+      getState({
+        address: account.address,
+        wif: account.WIF,
+        hasInternetConnectivity: true,
+      }),
+    )
+
+    expect(await getAuthResults(dispatch)).toEqual([null])
+  })
+
+  test('hardware sessions have no key to lock', () => {
+    const dispatch = jest.fn()
+
+    lockWallet()(
+      dispatch,
+      getState({
+        address: account.address,
+        publicKey: account.publicKey,
+        isHardwareLogin: true,
+        signingFunction: jest.fn(),
+      }),
+    )
+
+    expect(dispatch).not.toHaveBeenCalled()
+  })
+})
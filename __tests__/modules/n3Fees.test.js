@@ -0,0 +1,145 @@
+import { TextEncoder } from 'util'
+import { api, rpc, tx, u, wallet } from '@cityofzion/neon-js-next'
+
+import {
+  buildN3SigningContext,
+  calculateN3Fees,
+} from '../../app/modules/transactions'
+import { getTransactionFromContext } from '../../app/core/signingContext'
+import { N3_VALID_UNTIL_BLOCK_WINDOW } from '../../app/core/constants'
+
+jest.mock('@cityofzion/neon-js-next', () =>
+  jest.requireActual('@cityofzion/neon-js-next/dist/index.js'),
+)
+
+jest.mock('../../app/actions/nodeStorageActions', () => ({
+  getNode: jest.fn(() => Promise.resolve('https://node')),
+  getRPCEndpoint: jest.fn(),
+}))
+
+// jsdom lacks it, the scripts of contract calls encode their method with it
+global.TextEncoder = TextEncoder
+
+const TEST_NET_MAGIC = 894710606
+const BLOCK_COUNT = 1000
+const GAS_HASH = 'd2a4cff31913016155e38e474a2c06d08be276cf'
+const account = new wallet.Account('1'.repeat(64))
+const recipient = new wallet.Account('2'.repeat(64))
+
+// answers the policy, token and transfer scripts the way a node would
+const mockNode = () => {
+  const scriptIncludes = (script, text) =>
+    String(script).includes(u.str2hexstring(text))
+  jest
+    .spyOn(rpc.NeoServerRpcClient.prototype, 'invokeScript')
+    .mockImplementation(script => {
+      if (scriptIncludes(script, 'getFeePerByte')) {
+        return Promise.resolve({
+          state: 'HALT',
+          stack: [{ value: '1000' }, { value: '30' }],
+        })
+      }
+      if (scriptIncludes(script, 'symbol')) {
+        return Promise.resolve({
+          state: 'HALT',
+          stack: [
+            {
+              type: 'ByteString',
+              value: Buffer.from('GAS').toString('base64'),
+            },
+            { type: 'Integer', value: '8' },
+            { type: 'Integer', value: '100' },
+          ],
+        })
+      }
+      return Promise.resolve({
+        state: 'HALT',
+        gasconsumed: '997775',
+        stack: [],
+        notifications: [],
+      })
+    })
+  jest
+    .spyOn(rpc.NeoServerRpcClient.prototype, 'getBlockCount')
+    .mockImplementation(() => Promise.resolve(BLOCK_COUNT))
+  jest
+    .spyOn(rpc.NeoServerRpcClient.prototype, 'execute')
+    .mockImplementation(() =>
+      Promise.resolve({ protocol: { network: TEST_NET_MAGIC } }),
+    )
+}
+
+const buildTransaction = async options =>
+  getTransactionFromContext(
+    await buildN3SigningContext({
+      net: 'TestNet',
+      account,
+      txBuilder: new api.TransactionBuilder()
+        .addScript('11')
+        .addBasicSignatureField(account),
+      ...options,
+    }),
+  )
+
+describe('N3 priority tests', () => {
+  beforeEach(() => {
+    mockNode()
+  })
+
+  afterEach(() => {
+    jest.restoreAllMocks()
+  })
+
+  test('the priority fee is paid on top of the network fee', async () => {
+    const minimum = await buildTransaction({})
+    const prioritized = await buildTransaction({ priorityFee: 0.5 })
+
+    expect(prioritized.networkFee.sub(minimum.networkFee).toDecimal(8)).toEqual(
+      '0.50000000',
+    )
+    expect(prioritized.systemFee.toString()).toEqual('997775')
+  })
+
+  test('the lifespan is the one chosen, up to the longest allowed', async () => {
+    expect((await buildTransaction({})).validUntilBlock).toEqual(
+      BLOCK_COUNT + tx.Transaction.MAX_TRANSACTION_LIFESPAN - 1,
+    )
+    expect(
+      (await buildTransaction({ validUntilBlockWindow: 10 })).validUntilBlock,
+    ).toEqual(BLOCK_COUNT + 9)
+    expect(
+      (await buildTransaction({ validUntilBlockWindow: 100000 }))
+        .validUntilBlock,
+    ).toEqual(BLOCK_COUNT + N3_VALID_UNTIL_BLOCK_WINDOW.MAX - 1)
+  })
+
+  test('the estimated network fee includes the priority fee', async () => {
+    const getState = () => ({
+      spunky: {
+        auth: { data: { address: account.address, wif: account.WIF } },
+        network: { data: '2' },
+        balances: { data: { GAS: '10' } },
+        settings: {
+          data: {
+            tokens: [{ networkId: '2', symbol: 'GAS', scriptHash: GAS_HASH }],
+          },
+        },
+      },
+    })
+    const sendEntries = [
+      { address: recipient.address, amount: '1', symbol: 'GAS' },
+    ]
+
+    const minimum = await calculateN3Fees({ sendEntries })(jest.fn(), getState)
+    const prioritized = await calculateN3Fees({
+      sendEntries,
+      priorityFee: 0.25,
+    })(jest.fn(), getState)
+
+    expect(minimum.transactionCount).toEqual(1)
+    expect(prioritized.systemFee).toEqual(minimum.systemFee)
+    expect(
+      Number(prioritized.networkFee) - Number(minimum.networkFee),
+    ).toBeCloseTo(0.25, 8)
+  })
+})
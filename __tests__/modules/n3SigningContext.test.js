@@ -0,0 +1,125 @@
+import { rpc, tx, wallet } from '@cityofzion/neon-js-next'
+
+import {
+  broadcastN3SigningContext,
+  signN3SigningContext,
+} from '../../app/modules/transactions'
+import { createMultiSigAccount } from '../../app/core/multisig'
+import {
+  createSigningContext,
+  isSigningContextComplete,
+} from '../../app/core/signingContext'
+
+jest.mock('@cityofzion/neon-js-next', () =>
+  jest.requireActual('@cityofzion/neon-js-next/dist/index.js'),
+)
+
+jest.mock('../../app/actions/nodeStorageActions', () => ({
+  getNode: jest.fn(() => Promise.resolve('https://node')),
+  getRPCEndpoint: jest.fn(),
+}))
+
+const TEST_NET_MAGIC = 894710606
+const MAIN_NET_MAGIC = 860833102
+const ACCOUNTS = ['1', '2', '3'].map(
+  digit => new wallet.Account(digit.repeat(64)),
+)
+
+const multiSig = createMultiSigAccount({
+  label: 'treasury',
+  threshold: 2,
+  publicKeys: ACCOUNTS.map(({ publicKey }) => publicKey),
+})
+
+const createContext = () =>
+  createSigningContext(
+    new tx.Transaction({
+      script: '11',
+      validUntilBlock: 100,
+      signers: [
+        {
+          account: wallet.getScriptHashFromAddress(multiSig.address),
+          scopes: tx.WitnessScope.CalledByEntry,
+        },
+      ],
+    }),
+    TEST_NET_MAGIC,
+    [Buffer.from(multiSig.contract.script, 'base64').toString('hex')],
+  )
+
+const getState = account => () => ({
+  spunky: {
+    auth: { data: { address: account.address, wif: account.WIF } },
+    network: { data: '2' },
+  },
+})
+
+const mockNode = networkMagic => {
+  jest
+    .spyOn(rpc.RPCClient.prototype, 'execute')
+    .mockImplementation(() =>
+      Promise.resolve({ protocol: { network: networkMagic } }),
+    )
+  return jest
+    .spyOn(rpc.RPCClient.prototype, 'sendRawTransaction')
+    .mockImplementation(() => Promise.resolve('0xhash'))
+}
+
+describe('offline signing tests', () => {
+  afterEach(() => {
+    jest.restoreAllMocks()
+  })
+
+  test('a partially signed context is completed and broadcast', async () => {
+    const dispatch = jest.fn()
+    const partial = await signN3SigningContext(createContext())(
+      dispatch,
+      getState(ACCOUNTS[0]),
+    )
+    expect(isSigningContextComplete(partial)).toEqual(false)
+
+    const complete = await signN3SigningContext(partial)(
+      dispatch,
+      getState(ACCOUNTS[2]),
+    )
+    expect(isSigningContextComplete(complete)).toEqual(true)
+
+    const sendRawTransaction = mockNode(TEST_NET_MAGIC)
+    expect(
+      await broadcastN3SigningContext(complete)(
+        dispatch,
+        getState(ACCOUNTS[0]),
+      ),
+    ).toEqual('0xhash')
+    const [[transaction]] = sendRawTransaction.mock.calls
+    expect(transaction.witnesses).toHaveLength(1)
+    expect(transaction.hash()).toEqual(complete.hash.replace(/^0x/, ''))
+  })
+
+  test('accounts that are not signers can not sign', async () => {
+    await expect(
+      signN3SigningContext(createContext())(
+        jest.fn(),
+        getState(new wallet.Account('4'.repeat(64))),
+      ),
+    ).rejects.toThrow(
+      'The current account is not one of the signers of this transaction.',
+    )
+  })
+
+  test('a context of another network is not broadcast', async () => {
+    let context = createContext()
+    for (const account of ACCOUNTS.slice(0, 2)) {
+      context = await signN3SigningContext(context)(
+        jest.fn(),
+        getState(account),
+      )
+    }
+
+    const sendRawTransaction = mockNode(MAIN_NET_MAGIC)
+    await expect(
+      broadcastN3SigningContext(context)(jest.fn(), getState(ACCOUNTS[0])),
+    ).rejects.toThrow('This transaction was signed for another network.')
+    expect(sendRawTransaction).not.toHaveBeenCalled()
+  })
+})
@@ -0,0 +1,83 @@
+import { generateUri, parseUri } from '../../app/modules/nep9/nep9'
+
+const LEGACY_ADDRESS = 'AJ3uDTHiRUVF5C7USTQS6DNHMQWPGFe4HF'
+const N3_ADDRESS = 'NNLi44dJNXtDNSBkofB48aTVYtb1zZrNEs'
+const NEO_ASSET_ID =
+  'c56f33fc6ecfcd0c225c4ab356fee59390af8560be0e930faebe74a6daff7c9b'
+const RPX_HASH = 'ecc6b20d3ccac1ee9ef109af5a7cdb85706b1df9'
+const GAS_HASH = 'd2a4cff31913016155e38e474a2c06d08be276cf'
+
+describe('nep9 tests', () => {
+  const specExamples = [
+    `neo:${LEGACY_ADDRESS}`,
+    `neo:${LEGACY_ADDRESS}?asset=${NEO_ASSET_ID}`,
+    `neo:${LEGACY_ADDRESS}?asset=${NEO_ASSET_ID}&amount=1&description=for%20coffee`,
+    `neo:${LEGACY_ADDRESS}?asset=${RPX_HASH}&amount=11.001`,
+    `neo:${N3_ADDRESS}?asset=GAS&amount=1.5&fee=0.1`,
+    `neo:${N3_ADDRESS}?asset=${GAS_HASH}&amount=0.00000001`,
+  ]
+
+  test('spec examples survive a round trip', () => {
+    specExamples.forEach(uri => {
+      expect(generateUri(parseUri(uri))).toEqual(uri)
+    })
+  })
+
+  test('parseUri decodes and normalizes the parameters', () => {
+    expect(
+      parseUri(
+        `NEO:${N3_ADDRESS}?Asset=gas&amount=2&description=caf%C3%A9+%26+cake&invoice=%2342`,
+      ),
+    ).toEqual({
+      address: N3_ADDRESS,
+      asset: 'GAS',
+      amount: '2',
+      description: 'café & cake',
+      extra: { invoice: '#42' },
+    })
+    expect(
+      parseUri(`neo:${N3_ADDRESS}?asset=0x${GAS_HASH.toUpperCase()}`),
+    ).toEqual({ address: N3_ADDRESS, asset: GAS_HASH, extra: {} })
+    expect(parseUri('neo:alice.neo?asset=neo')).toEqual({
+      address: 'alice.neo',
+      asset: 'NEO',
+      extra: {},
+    })
+  })
+
+  test('generateUri encodes values and keeps the unknown parameters', () => {
+    expect(
+      generateUri({
+        address: N3_ADDRESS,
+        asset: `0x${GAS_HASH}`,
+        amount: '',
+        description: 'rent & bills',
+        extra: { invoice: '#42' },
+      }),
+    ).toEqual(
+      `neo:${N3_ADDRESS}?asset=0x${GAS_HASH}&description=rent%20%26%20bills&invoice=%2342`,
+    )
+  })
+
+  test('parseUri rejects invalid URIs', () => {
+    expect(() => parseUri(`bitcoin:${N3_ADDRESS}`)).toThrow('Invalid protocol')
+    expect(() => parseUri('neo:?asset=GAS')).toThrow(
+      'Missing recipient address',
+    )
+    expect(() => parseUri(`neo:${N3_ADDRESS}?description=%E0%A4%A`)).toThrow(
+      'Invalid format',
+    )
+    expect(() => parseUri(`neo:${N3_ADDRESS}?asset=NEP`)).toThrow(
+      'Invalid asset NEP',
+    )
+    expect(() => parseUri(`neo:${N3_ADDRESS}?amount=-1`)).toThrow(
+      'Invalid amount -1',
+    )
+    expect(() => parseUri(`neo:${N3_ADDRESS}?amount=1&amount=2`)).toThrow(
+      'Duplicate parameter amount',
+    )
+    expect(() => parseUri(`neo:${N3_ADDRESS}?req-expiry=100`)).toThrow(
+      'Unsupported required parameter req-expiry',
+    )
+  })
+})
@@ -1,4 +1,29 @@
-import transactionReducer from '../../app/modules/transactions'
+import { rpc } from '@cityofzion/neon-js-next'
+
+import transactionReducer, {
+  replaceN3Transaction,
+} from '../../app/modules/transactions'
+import { getPendingTransactions } from '../../app/actions/pendingTransactionActions'
+
+jest.mock('@cityofzion/neon-js-next', () => ({
+  rpc: { RPCClient: jest.fn() },
+  wallet: {
+    Account: jest.fn(() => ({
+      address: 'NZNovyMgBnmhrCCM4WEUcQXDWwzCbDL8DP',
+    })),
+  },
+}))
+
+jest.mock('../../app/actions/nodeStorageActions', () => ({
+  getNode: jest.fn(() => Promise.resolve('https://node')),
+  getRPCEndpoint: jest.fn(),
+}))
+
+jest.mock('../../app/actions/pendingTransactionActions', () => ({
+  addPendingTransaction: { call: jest.fn() },
+  getPendingTransactions: jest.fn(),
+  pruneConfirmedOrStaleTransaction: jest.fn(),
+}))
 
 describe('transactions module tests', () => {
   const initialState = {
@@ -8,3 +33,53 @@ describe('transactions module tests', () => {
     expect(true).toEqual(true)
   })
 })
+
+describe('replaceN3Transaction', () => {
+  const ADDRESS = 'NZNovyMgBnmhrCCM4WEUcQXDWwzCbDL8DP'
+  const HASH =
+    '0x6c6bd4f58c4a6a5e7c6fb3ec4d8ac5ef2b8e3d3b1ba2b6ba53ba3d7a77e8f1c0'
+  const getState = (
+    auth = {
+      address: ADDRESS,
+      wif: 'KxDgvEKzgSBPPfuVfw67oPQBSjidEiqTHURKSDL1R7yGaGYAeYnr',
+    },
+  ) => () => ({
+    spunky: {
+      auth: { data: auth },
+      balances: { data: {} },
+      network: { data: '1' },
+      settings: { data: { tokens: [] } },
+    },
+  })
+
+  beforeEach(() => {
+    getPendingTransactions.mockImplementation(() =>
+      Promise.resolve({ [ADDRESS]: [{ hash: HASH, sendEntries: [] }] }),
+    )
+  })
+
+  test('refuses to replace from a watch-only account', async () => {
+    await expect(
+      replaceN3Transaction({ hash: HASH.substring(2) })(
+        jest.fn(),
+        getState({ address: ADDRESS }),
+      ),
+    ).rejects.toThrow(
+      'Transactions can not be replaced from a watch-only account.',
+    )
+  })
+
+  test('refuses to replace a transaction that is no longer pending', async () => {
+    rpc.RPCClient.mockImplementation(() => ({
+      getRawTransaction: () =>
+        Promise.resolve({ hash: HASH, blockhash: '0x01' }),
+    }))
+
+    await expect(
+      replaceN3Transaction({ hash: HASH.substring(2), cancel: true })(
+        jest.fn(),
+        getState(),
+      ),
+    ).rejects.toThrow('The transaction is no longer pending.')
+  })
+})
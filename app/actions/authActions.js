@@ -10,6 +10,7 @@ import { resetBalanceState } from './balancesActions'
 import { getSettings } from './settingsActions'
 import { upgradeNEP6AddAddresses } from '../core/account'
 import { validatePassphraseLength } from '../core/wallet'
+import { getScryptParamsForKey } from '../core/passphrase'
 import { legacySignWithLedger } from '../ledger/neonLedger'
 import { signWithLedger } from '../ledger/n3NeonLedger'
 
@@ -20,6 +21,7 @@ type WifLoginProps = {
 type WatchOnlyLoginProps = {
   address: string,
   chain: string,
+  verificationScript?: string,
 }
 
 type LedgerLoginProps = {
@@ -28,6 +30,12 @@ type LedgerLoginProps = {
   account: number,
 }
 
+type LockProps = {
+  address: string,
+  encryptedWIF: string,
+  hasInternetConnectivity: boolean,
+}
+
 type Nep2LoginProps = {
   passphrase: string,
   encryptedWIF: string,
@@ -40,9 +48,12 @@ type AccountType = ?{
   publicKey?: string,
   signingFunction?: Function,
   isHardwareLogin: boolean,
+  ledgerAccount?: number,
   isWatchOnly?: boolean,
   hasInternetConnectivity: boolean,
   encryptedWIF?: string,
+  verificationScript?: string,
+  isLocked?: boolean,
 }
 
 export const ID = 'auth'
@@ -99,22 +110,31 @@ export const n3WifLoginActions = createActions(
 
 export const watchOnlyLoginActions = createActions(
   ID,
-  ({ address, chain }: WatchOnlyLoginProps) => async (): Promise<
-    AccountType,
-  > => {
+  ({
+    address,
+    chain,
+    verificationScript,
+  }: WatchOnlyLoginProps) => async (): Promise<AccountType> => {
     if (chain === 'neo3') {
       if (!n3Wallet.isAddress(address)) {
         throw new Error('Invalid public key entered')
       }
-      // TODO: offline signing flow for n3 totally unsupported
-      // const hasInternetConnectivity = await checkForInternetConnectivity()
-      const hasInternetConnectivity = true
+      if (
+        verificationScript &&
+        n3Wallet.getAddressFromScriptHash(
+          n3Wallet.getScriptHashFromVerificationScript(verificationScript),
+        ) !== address
+      ) {
+        throw new Error('The verification script does not match the address')
+      }
+      const hasInternetConnectivity = await checkForInternetConnectivity()
 
       return {
         address,
         isHardwareLogin: false,
         isWatchOnly: true,
         hasInternetConnectivity,
+        verificationScript,
       }
     }
 
@@ -146,12 +166,14 @@ export const nep2LoginActions = createActions(
         throw new Error('Invalid encrypted key entered')
       }
 
-      const wif = await n3Wallet.decrypt(encryptedWIF, passphrase)
+      const wif = await n3Wallet.decrypt(
+        encryptedWIF,
+        passphrase,
+        await getScryptParamsForKey(encryptedWIF, chain),
+      )
       const account = new n3Wallet.Account(wif)
 
-      // TODO: offline signing flow for n3 totally unsupported
-      // const hasInternetConnectivity = await checkForInternetConnectivity()
-      const hasInternetConnectivity = true
+      const hasInternetConnectivity = await checkForInternetConnectivity()
 
       return {
         wif: account.WIF,
@@ -171,7 +193,11 @@ export const nep2LoginActions = createActions(
       throw new Error('Invalid encrypted key entered')
     }
 
-    const wif = await wallet.decryptAsync(encryptedWIF, passphrase)
+    const wif = await wallet.decryptAsync(
+      encryptedWIF,
+      passphrase,
+      await getScryptParamsForKey(encryptedWIF, chain),
+    )
     const account = new wallet.Account(wif)
 
     await upgradeNEP6AddAddresses(encryptedWIF, wif)
@@ -206,11 +232,30 @@ export const ledgerLoginActions = createActions(
       address: walletAccount.address,
       signingFunction: bindArgsFromN(signFunc, 3, account),
       isHardwareLogin: true,
+      ledgerAccount: account,
       hasInternetConnectivity,
     }
   },
 )
 
+// Replaces the session of an encrypted key with one that only knows its
+// address, so the decrypted key is dropped until `nep2LoginActions` is called
+// again with the passphrase.
+export const lockActions = createActions(
+  ID,
+  ({
+    address,
+    encryptedWIF,
+    hasInternetConnectivity,
+  }: LockProps) => (): AccountType => ({
+    address,
+    isHardwareLogin: false,
+    hasInternetConnectivity,
+    encryptedWIF,
+    isLocked: true,
+  }),
+)
+
 export const logoutActions = createActions(ID, () => (): AccountType => {
   resetBalanceState()
   return null
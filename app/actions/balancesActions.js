@@ -359,7 +359,7 @@ async function getBalances({ net, address, isRetry = false, chain }: Props) {
   return extend({}, ...parsedTokenBalances, ...parsedAssets)
 }
 
-async function getN3Balances({ net, address }: Props) {
+export async function getN3Balances({ net, address }: Props) {
   const balances = {
     NEO: 0,
     GAS: 0,
@@ -1,58 +1,32 @@
 // @flow
 import { createActions } from 'spunky'
-import { wallet } from '@cityofzion/neon-js'
-import { wallet as n3Wallet } from '@cityofzion/neon-js-next'
-import { has, isEmpty, keys, values, indexOf, zipObject, omit } from 'lodash-es'
-
-import { getStorage, setStorage } from '../core/storage'
-import { getSettings } from './settingsActions'
-
-type Contacts = {
-  [name: string]: string,
-}
-
-const STORAGE_KEY = 'addressBook'
-const N3_STORAGE_KEY = 'n3AddressBook'
-
-const getContacts = async (chain: string): Promise<Contacts> =>
-  chain === 'neo3' ? getStorage(N3_STORAGE_KEY) : getStorage(STORAGE_KEY)
-
-const setContacts = async (contacts: Contacts, chain: string): Promise<any> =>
-  setStorage(chain === 'neo3' ? N3_STORAGE_KEY : STORAGE_KEY, contacts)
-
-const validateContact = (name: string, address: string, chain: string) => {
-  if (isEmpty(name)) {
-    throw new Error('Name cannot be empty.')
-  }
-  if (
-    chain === 'neo3' ? !n3Wallet.isAddress(address) : !wallet.isAddress(address)
-  ) {
-    throw new Error(`Invalid address ${address}.`)
-  }
-}
+import { has, omit } from 'lodash-es'
+
+import {
+  getContacts,
+  setContacts,
+  normalizeContact,
+  validateContact,
+  mergeContacts,
+  type Contact,
+  type Contacts,
+} from '../core/contacts'
 
 export const ID = 'contacts'
 export const addContactActions = createActions(
   ID,
-  ({
-    name,
-    address,
-    chain,
-  }: {
-    name: string,
-    address: string,
-    chain: string,
-  }) => async (): Promise<Contacts> => {
-    validateContact(name, address, chain)
+  ({ contact }: { contact: Contact }) => async (): Promise<Contacts> => {
+    const newContact = normalizeContact(contact)
+    validateContact(newContact)
 
-    const contacts = await getContacts(chain)
+    const contacts = await getContacts()
 
-    if (has(contacts, name)) {
-      throw new Error(`Contact "${name}" already exists.`)
+    if (has(contacts, newContact.name)) {
+      throw new Error(`Contact "${newContact.name}" already exists.`)
     }
 
-    const newContacts = { ...contacts, [name]: address }
-    await setContacts(newContacts, chain)
+    const newContacts = { ...contacts, [newContact.name]: newContact }
+    await setContacts(newContacts)
 
     return newContacts
   },
@@ -62,31 +36,33 @@ export const updateContactActions = createActions(
   ID,
   ({
     oldName,
-    newName,
-    newAddress,
-    chain,
+    contact,
   }: {
     oldName: string,
-    newName: string,
-    newAddress: string,
-    chain: string,
+    contact: Contact,
   }) => async (): Promise<Contacts> => {
-    validateContact(newName, newAddress, chain)
+    const newContact = normalizeContact(contact)
+    validateContact(newContact)
 
-    const contacts = await getContacts(chain)
-    const names = keys(contacts)
-    const addresses = values(contacts)
-    const index = indexOf(names, oldName)
+    const contacts = await getContacts()
 
-    if (index === -1) {
+    if (!has(contacts, oldName)) {
       throw new Error(`Contact "${oldName}" does not exist.`)
     }
+    if (newContact.name !== oldName && has(contacts, newContact.name)) {
+      throw new Error(`Contact "${newContact.name}" already exists.`)
+    }
 
-    const newContacts = zipObject(
-      [...names.slice(0, index), newName, ...names.slice(index + 1)],
-      [...addresses.slice(0, index), newAddress, ...addresses.slice(index + 1)],
-    )
-    await setContacts(newContacts, chain)
+    // a renamed contact keeps its position
+    const newContacts = {}
+    Object.keys(contacts).forEach(name => {
+      if (name === oldName) {
+        newContacts[newContact.name] = newContact
+      } else {
+        newContacts[name] = contacts[name]
+      }
+    })
+    await setContacts(newContacts)
 
     return newContacts
   },
@@ -94,24 +70,41 @@ export const updateContactActions = createActions(
 
 export const deleteContactActions = createActions(
   ID,
-  ({ name, chain }: { name: string, chain: string }) => async (): Promise<
-    Contacts,
-  > => {
-    const contacts = await getContacts(chain)
+  ({ name }: { name: string }) => async (): Promise<Contacts> => {
+    const contacts = await getContacts()
 
     if (!has(contacts, name)) {
       throw new Error(`Contact "${name}" does not exist.`)
     }
 
     const newContacts = omit(contacts, name)
-    await setContacts(newContacts, chain)
+    await setContacts(newContacts)
+
+    return newContacts
+  },
+)
+
+export const importContactsActions = createActions(
+  ID,
+  ({ contacts: imported }: { contacts: Array<Contact> }) => async (): Promise<
+    Contacts,
+  > => {
+    const importedContacts = imported.map(normalizeContact)
+    importedContacts.forEach(validateContact)
+
+    // contacts that already exist gain the imported addresses and tags
+    const newContacts = { ...(await getContacts()) }
+    importedContacts.forEach(contact => {
+      newContacts[contact.name] = newContacts[contact.name]
+        ? mergeContacts(newContacts[contact.name], contact)
+        : contact
+    })
+    await setContacts(newContacts)
 
     return newContacts
   },
 )
 
-export default createActions(ID, () => async (): Promise<Contacts> => {
-  const settings = await getSettings()
-  const { chain } = settings
-  return getContacts(chain)
-})
+export default createActions(ID, () => async (): Promise<Contacts> =>
+  getContacts(),
+)
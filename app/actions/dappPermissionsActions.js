@@ -0,0 +1,30 @@
+// @flow
+import { createActions } from 'spunky'
+
+import {
+  getDappPolicies,
+  setDappPolicies,
+  validateDappPolicy,
+  type DappPolicy,
+} from '../core/dappPermissions'
+
+export const ID = 'dappPermissions'
+
+export const saveDappPolicyActions = createActions(
+  ID,
+  ({ policy }: { policy: DappPolicy }) => async (): Promise<{
+    [topic: string]: DappPolicy,
+  }> => {
+    validateDappPolicy(policy)
+
+    const policies = await getDappPolicies()
+    const newPolicies = { ...policies, [policy.topic]: policy }
+    await setDappPolicies(newPolicies)
+
+    return newPolicies
+  },
+)
+
+export default createActions(ID, () => async (): Promise<{
+  [topic: string]: DappPolicy,
+}> => getDappPolicies())
@@ -0,0 +1,54 @@
+// @flow
+import { createActions } from 'spunky'
+
+import {
+  getInvocationPresets,
+  setInvocationPresets,
+  type InvocationPreset,
+} from '../core/contractInvocation'
+
+export const ID = 'invocationPresets'
+
+// a preset saved with the name of another one replaces it
+export const saveInvocationPresetActions = createActions(
+  ID,
+  ({
+    net,
+    preset,
+  }: {
+    net: string,
+    preset: InvocationPreset,
+  }) => async (): Promise<Array<InvocationPreset>> => {
+    if (!preset.name.trim()) {
+      throw new Error('Presets need a name.')
+    }
+
+    const presets = await getInvocationPresets(net)
+    const newPresets = [
+      ...presets.filter(({ name }) => name !== preset.name),
+      preset,
+    ]
+    await setInvocationPresets(net, newPresets)
+
+    return newPresets
+  },
+)
+
+export const deleteInvocationPresetActions = createActions(
+  ID,
+  ({ net, id }: { net: string, id: string }) => async (): Promise<
+    Array<InvocationPreset>,
+  > => {
+    const presets = await getInvocationPresets(net)
+    const newPresets = presets.filter(preset => preset.id !== id)
+    await setInvocationPresets(net, newPresets)
+
+    return newPresets
+  },
+)
+
+export default createActions(
+  ID,
+  ({ net }: { net: string }) => async (): Promise<Array<InvocationPreset>> =>
+    getInvocationPresets(net),
+)
@@ -7,6 +7,7 @@ import { isEmpty } from 'lodash-es'
 import { getStorage, setStorage } from '../core/storage'
 import { N3_DEFAULT_WALLET } from '../core/constants'
 import { Account } from '../core/schemas'
+import { withKeyScryptParams } from '../core/passphrase'
 
 const STORAGE_KEY = 'n3UserWallet'
 
@@ -73,7 +74,9 @@ export const saveAccountActions = createActions(
       throw new Error(`Account '${label}' already exists.`)
     }
 
-    wallet.accounts.push(new Account({ address, label, key }))
+    wallet.accounts.push(
+      withKeyScryptParams(wallet, new Account({ address, label, key })),
+    )
     await setWallet(wallet)
 
     return wallet.accounts
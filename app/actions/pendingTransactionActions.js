@@ -4,6 +4,7 @@ import Neon, { rpc } from '@cityofzion/neon-js'
 import { isEmpty } from 'lodash-es'
 
 import { toBigNumber } from '../core/math'
+import { N3_TX_STATUS } from '../core/constants'
 import { getStorage, setStorage } from '../core/storage'
 import { getNode, getRPCEndpoint } from './nodeStorageActions'
 import {
@@ -110,7 +111,7 @@ export const parseTransactionInfo = async (
   return sorted
 }
 
-const getPendingTransactions = async (): Promise<PendingTransactions> =>
+export const getPendingTransactions = async (): Promise<PendingTransactions> =>
   getStorage(STORAGE_KEY)
 
 const setPendingTransactions = async (
@@ -131,6 +132,47 @@ export const pruneConfirmedOrStaleTransaction = async (
   await setPendingTransactions(storage)
 }
 
+/**
+ * Checks what became of a sent N3 transaction. The block count is read before
+ * looking the transaction up, so a transaction included in the meantime is
+ * not reported as expired.
+ */
+export const getN3TransactionStatus = async (
+  client: Object,
+  transaction: Object,
+): Promise<{ status: $Values<typeof N3_TX_STATUS>, exception?: ?string }> => {
+  const blockCount = await client.getBlockCount()
+  const result = await client
+    .getRawTransaction(transaction.hash, true)
+    .catch(() => null)
+
+  if (result && result.blockhash) {
+    const log = await client
+      .getApplicationLog(transaction.hash)
+      .catch(() => null)
+    const execution = log && log.executions && log.executions[0]
+    const vmstate = execution ? execution.vmstate : result.vmstate
+    if (vmstate === N3_TX_STATUS.FAULT) {
+      return {
+        status: N3_TX_STATUS.FAULT,
+        exception: execution && execution.exception,
+      }
+    }
+    return {
+      status:
+        vmstate === N3_TX_STATUS.HALT
+          ? N3_TX_STATUS.HALT
+          : N3_TX_STATUS.INCLUDED,
+    }
+  }
+
+  // the block at validUntilBlock is the last one the transaction could be in
+  if (transaction.validUntilBlock && blockCount > transaction.validUntilBlock) {
+    return { status: N3_TX_STATUS.EXPIRED }
+  }
+  return { status: N3_TX_STATUS.PENDING }
+}
+
 export const fetchTransactionInfo = async (
   transactions: PendingTransactions = {},
   address: string,
@@ -148,7 +190,11 @@ export const fetchTransactionInfo = async (
     const pendingTransactionInfo = []
 
     for (const transaction of transactions[address]) {
-      if (transaction) {
+      // N3 transactions are followed by the tracker in modules, which removes
+      // them once they are included or expired
+      if (transaction && chain === 'neo3') {
+        pendingTransactionInfo.push({ confirmations: 0, ...transaction })
+      } else if (transaction) {
         const result = await client
           .getRawTransaction(transaction.hash, 1)
           .catch(async e => {
@@ -0,0 +1,76 @@
+// @flow
+import { createActions } from 'spunky'
+
+import {
+  getRecurringPayments,
+  setRecurringPayments,
+  createRecurringPayment,
+  advanceRecurringPayment,
+  type RecurringPayment,
+} from '../core/recurringPayments'
+
+export const ID = 'recurringPayments'
+
+const findPayment = (
+  payments: Array<RecurringPayment>,
+  id: string,
+): RecurringPayment => {
+  const payment = payments.find(item => item.id === id)
+  if (!payment) {
+    throw new Error('The recurring payment does not exist.')
+  }
+  return payment
+}
+
+export const saveRecurringPaymentActions = createActions(
+  ID,
+  ({ payment }: { payment: $Shape<RecurringPayment> }) => async (): Promise<
+    Array<RecurringPayment>,
+  > => {
+    const payments = await getRecurringPayments()
+    const previous = payment.id ? findPayment(payments, payment.id) : null
+    const saved = createRecurringPayment(payment, previous)
+
+    const newPayments = previous
+      ? payments.map(item => (item.id === saved.id ? saved : item))
+      : [...payments, saved]
+    await setRecurringPayments(newPayments)
+
+    return newPayments
+  },
+)
+
+export const deleteRecurringPaymentActions = createActions(
+  ID,
+  ({ id }: { id: string }) => async (): Promise<Array<RecurringPayment>> => {
+    const payments = await getRecurringPayments()
+    findPayment(payments, id)
+
+    const newPayments = payments.filter(item => item.id !== id)
+    await setRecurringPayments(newPayments)
+
+    return newPayments
+  },
+)
+
+// moves the payment to its next due time, after it was sent or skipped
+export const advanceRecurringPaymentActions = createActions(
+  ID,
+  ({ id, paid }: { id: string, paid: boolean }) => async (): Promise<
+    Array<RecurringPayment>,
+  > => {
+    const payments = await getRecurringPayments()
+    const advanced = advanceRecurringPayment(findPayment(payments, id), {
+      paid,
+    })
+
+    const newPayments = payments.map(item => (item.id === id ? advanced : item))
+    await setRecurringPayments(newPayments)
+
+    return newPayments
+  },
+)
+
+export default createActions(ID, () => async (): Promise<
+  Array<RecurringPayment>,
+> => getRecurringPayments())
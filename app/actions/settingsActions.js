@@ -11,6 +11,7 @@ import {
   DEFAULT_CURRENCY_CODE,
   DEFAULT_THEME,
   DEFAULT_LANGUAGE,
+  DEFAULT_AUTO_LOCK_TIMEOUT,
 } from '../core/constants'
 import { version } from '../../package.json'
 
@@ -22,6 +23,9 @@ type Settings = {
   theme: string,
   soundEnabled: boolean,
   chain: string,
+  autoLockTimeout: number,
+  lockOnSuspend: boolean,
+  lockOnScreenLock: boolean,
 }
 
 const STORAGE_KEY = 'settings'
@@ -36,6 +40,9 @@ const DEFAULT_SETTINGS: () => Promise<Settings> = async () => ({
   language: DEFAULT_LANGUAGE,
   // TODO: create constant like the other defaults
   chain: 'neo2',
+  autoLockTimeout: DEFAULT_AUTO_LOCK_TIMEOUT,
+  lockOnSuspend: false,
+  lockOnScreenLock: false,
 })
 
 export const getSettings = async (): Promise<Settings> => {
@@ -7,6 +7,7 @@ import styles from './Transaction.scss'
 import ReceiveIcon from '../../../assets/icons/receive-tx.svg'
 import ContactsAdd from '../../../assets/icons/contacts-add.svg'
 import CopyToClipboard from '../../CopyToClipboard'
+import NNSName from '../../NNSName'
 
 type Props = {
   image: string,
@@ -59,7 +60,10 @@ class N3NEP11SendAbstract extends React.Component<Props> {
             <div className={styles.txAmountContainerN3}>{tokenName}</div>
           </div>
           <div className={styles.txSubjectContainerN3}>
-            <p>{contactTo}</p>
+            <p>
+              {contactTo}
+              {contactTo === to && <NNSName address={to} />}
+            </p>
             <CopyToClipboard
               className={styles.copy}
               text={contactTo}
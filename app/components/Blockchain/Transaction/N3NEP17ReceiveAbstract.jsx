@@ -7,6 +7,7 @@ import styles from './Transaction.scss'
 import ReceiveIcon from '../../../assets/icons/receive-tx.svg'
 import ContactsAdd from '../../../assets/icons/contacts-add.svg'
 import CopyToClipboard from '../../CopyToClipboard'
+import NNSName from '../../NNSName'
 
 type Props = {
   amount: number,
@@ -57,7 +58,10 @@ class N3NEP17ReceiveAbstract extends React.Component<Props> {
             <div className={styles.txAmountContainerN3}>{amount}</div>
           </div>
           <div className={styles.txSubjectContainerN3}>
-            <p>{contactFrom}</p>
+            <p>
+              {contactFrom}
+              {contactFrom === from && <NNSName address={from} />}
+            </p>
             <CopyToClipboard
               className={styles.copy}
               text={contactFrom}
@@ -7,6 +7,7 @@ import styles from './Transaction.scss'
 import SendIcon from '../../../assets/icons/send-tx.svg'
 import ContactsAdd from '../../../assets/icons/contacts-add.svg'
 import CopyToClipboard from '../../CopyToClipboard'
+import NNSName from '../../NNSName'
 
 type Props = {
   amount: string | number,
@@ -57,7 +58,10 @@ class N3NEP17SendAbstract extends React.Component<Props> {
             <div className={styles.txAmountContainerN3}>{amount}</div>
           </div>
           <div className={styles.txSubjectContainerN3}>
-            <p>{contactTo}</p>
+            <p>
+              {contactTo}
+              {contactTo === to && <NNSName address={to} />}
+            </p>
             <CopyToClipboard
               className={styles.copy}
               text={contactTo}
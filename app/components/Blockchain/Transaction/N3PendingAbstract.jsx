@@ -1,11 +1,12 @@
 // @flow
 import React, { Fragment } from 'react'
-import { injectIntl } from 'react-intl'
+import { injectIntl, FormattedMessage } from 'react-intl'
 import classNames from 'classnames'
 
 import styles from './Transaction.scss'
 import SendIcon from '../../../assets/icons/send-tx.svg'
 import { pluralize } from '../../../util/pluralize'
+import Button from '../../Button'
 
 type Props = {
   findContact: (address: string) => React$Node | null,
@@ -19,6 +20,8 @@ type Props = {
   confirmations: number,
 
   renderTxDate: (time: number) => React$Node | null,
+  handleSpeedUp: () => void,
+  handleCancel: () => void,
 }
 
 class N3PendingAbstract extends React.Component<Props> {
@@ -31,6 +34,8 @@ class N3PendingAbstract extends React.Component<Props> {
       findContact,
       confirmations,
       renderTxDate,
+      handleSpeedUp,
+      handleCancel,
     } = this.props
     const contactTo = findContact(to)
     const logo = asset.image && (
@@ -75,6 +80,14 @@ class N3PendingAbstract extends React.Component<Props> {
             <b>{confirmations || 0}</b>{' '}
             {pluralize('Confirmation', confirmations || 0)}
           </div>
+          <div className={styles.pendingTxActions}>
+            <Button className={styles.pendingTxButton} onClick={handleSpeedUp}>
+              <FormattedMessage id="activitySpeedUpTx" />
+            </Button>
+            <Button className={styles.pendingTxButton} onClick={handleCancel}>
+              <FormattedMessage id="activityCancelTx" />
+            </Button>
+          </div>
         </div>
       </Fragment>
     )
@@ -1,7 +1,7 @@
 // @flow
 import React from 'react'
 import type { Node } from 'react'
-import { FormattedMessage } from 'react-intl'
+import { FormattedMessage, IntlShape } from 'react-intl'
 import moment from 'moment'
 import { isEmpty } from 'lodash-es'
 import classNames from 'classnames'
@@ -41,8 +41,13 @@ type Props = {
     amount: string,
     to: string,
     confirmations: number,
+    txid: string,
   },
   showAddContactModal: ({ address: string }) => null,
+  showConfirmModal: (props: Object) => null,
+  replaceN3Transaction: ({ hash: string, cancel?: boolean }) => Promise<*>,
+  showErrorNotification: ({ message: string }) => null,
+  intl: IntlShape,
   tx: Object,
   renderN2Tx?: boolean,
 }
@@ -108,6 +113,29 @@ export default class Transaction extends React.Component<Props> {
     openExplorerTx(networkId, explorer, txid, chain)
   }
 
+  handleReplaceTransaction = (cancel: boolean) => {
+    const { pendingTx, intl, showConfirmModal } = this.props
+    showConfirmModal({
+      title: intl.formatMessage({
+        id: cancel ? 'activityCancelTx' : 'activitySpeedUpTx',
+      }),
+      text: intl.formatMessage({
+        id: cancel ? 'activityCancelTxConfirm' : 'activitySpeedUpTxConfirm',
+      }),
+      height: '200px',
+      onClick: async () => {
+        try {
+          await this.props.replaceN3Transaction({
+            hash: pendingTx.txid,
+            cancel,
+          })
+        } catch (e) {
+          this.props.showErrorNotification({ message: e.message })
+        }
+      },
+    })
+  }
+
   renderTxDate = (time: ?number) => {
     if (!time) {
       return null
@@ -152,6 +180,8 @@ export default class Transaction extends React.Component<Props> {
           {...abstractProps}
           {...this.props.pendingTx}
           renderTxDate={this.renderTxDate}
+          handleSpeedUp={() => this.handleReplaceTransaction(false)}
+          handleCancel={() => this.handleReplaceTransaction(true)}
         />
       ) : (
         <PendingAbstract
@@ -3,27 +3,35 @@ import { compose } from 'recompose'
 import { connect } from 'react-redux'
 import { withData } from 'spunky'
 import { invert } from 'lodash-es'
+import { injectIntl } from 'react-intl'
 
 import Transaction from './Transaction'
 import withNetworkData from '../../../hocs/withNetworkData'
 import withExplorerData from '../../../hocs/withExplorerData'
 import withAuthData from '../../../hocs/withAuthData'
 import { showModal } from '../../../modules/modal'
+import { showErrorNotification } from '../../../modules/notifications'
+import { replaceN3Transaction } from '../../../modules/transactions'
 import { MODAL_TYPES } from '../../../core/constants'
 
 import contactsActions from '../../../actions/contactsActions'
 import withChainData from '../../../hocs/withChainData'
+import { getContactAddressBook } from '../../../core/contacts'
 
 const mapDispatchToProps = dispatch => ({
   showAddContactModal: props =>
     dispatch(showModal(MODAL_TYPES.ADD_CONTACT, props)),
+  showConfirmModal: props => dispatch(showModal(MODAL_TYPES.CONFIRM, props)),
+  replaceN3Transaction: props => dispatch(replaceN3Transaction(props)),
+  showErrorNotification: props => dispatch(showErrorNotification(props)),
 })
 
-const mapContactsDataToProps = (contacts: Object) => ({
-  contacts: invert(contacts),
+const mapContactsDataToProps = (contacts: Object, { chain }: Object) => ({
+  contacts: invert(getContactAddressBook(contacts, chain)),
 })
 
 export default compose(
+  injectIntl,
   connect(
     null,
     mapDispatchToProps,
@@ -1,6 +1,6 @@
 // @flow
 
-import React from 'react'
+import React, { useEffect, useState } from 'react'
 import classNames from 'classnames'
 import { isEmpty } from 'lodash-es'
 import { JsonRpcRequest } from '@json-rpc-tools/utils'
@@ -8,6 +8,7 @@ import { SessionTypes, AppMetadata } from '@walletconnect/types'
 
 import { useWalletConnect } from '../../context/WalletConnect/WalletConnectContext'
 import { ROUTES } from '../../core/constants'
+import { isBlockedUrl } from '../../core/blocklist'
 import CloseButton from '../CloseButton'
 import FullHeightPanel from '../Panel/FullHeightPanel'
 import WallletConnect from '../../assets/icons/wallet_connect.svg'
@@ -30,6 +31,25 @@ const ApproveConnection = ({
   showSuccessNotification: ({ message: string }) => any,
 }) => {
   const walletConnectCtx = useWalletConnect()
+  // null until the dApp has been checked against the blocklist
+  const [isBlocked, setIsBlocked] = useState(null)
+  // set when the blocklist could not be checked, the user decides alone then
+  const [blocklistError, setBlocklistError] = useState('')
+
+  useEffect(
+    () => {
+      if (proposal) {
+        isBlockedUrl(proposal.proposer.metadata.url)
+          .then(setIsBlocked)
+          .catch(e => {
+            setBlocklistError(e.message)
+            setIsBlocked(false)
+          })
+      }
+    },
+    [proposal],
+  )
+
   return (
     <FullHeightPanel
       headerText="Wallet Connect"
@@ -74,22 +94,60 @@ const ApproveConnection = ({
               </div>
             </div>
           </div>
+          {isBlocked && (
+            <DialogueBox
+              icon={
+                <WarningIcon
+                  className={styles.warningIcon}
+                  height={60}
+                  width={60}
+                />
+              }
+              renderText={() => (
+                <div>
+                  {proposal && proposal.proposer.metadata.url} is on the
+                  phishing blocklist. Connecting to it could put your funds at
+                  risk, so the connection can only be rejected.
+                </div>
+              )}
+              className={styles.warningDialogue}
+            />
+          )}
+          {!!blocklistError && (
+            <DialogueBox
+              icon={
+                <WarningIcon
+                  className={styles.warningIcon}
+                  height={60}
+                  width={60}
+                />
+              }
+              renderText={() => (
+                <div>{blocklistError} Only connect to it if you trust it.</div>
+              )}
+              className={styles.warningDialogue}
+            />
+          )}
           <div className={styles.confirmation} style={{ border: 'none' }}>
-            Please confirm you would like to connect
+            {isBlocked
+              ? 'Please reject this connection'
+              : 'Please confirm you would like to connect'}
             <div>
-              <Confirm
-                onClick={() => {
-                  walletConnectCtx.approveSession(proposal)
-                  showSuccessNotification({
-                    message: `You have accepted connection from ${
-                      proposal
-                        ? proposal.proposer.metadata.name
-                        : 'unknown dApp'
-                    }.`,
-                  })
-                  history.push(ROUTES.DASHBOARD)
-                }}
-              />
+              {isBlocked === false && (
+                <Confirm
+                  onClick={() => {
+                    walletConnectCtx.approveSession(proposal)
+                    showSuccessNotification({
+                      message: `You have accepted connection from ${
+                        proposal
+                          ? proposal.proposer.metadata.name
+                          : 'unknown dApp'
+                      }.`,
+                    })
+                    history.push(ROUTES.DASHBOARD)
+                  }}
+                />
+              )}
 
               <Deny
                 onClick={() => {
@@ -0,0 +1,144 @@
+// @flow
+
+import React from 'react'
+import classNames from 'classnames'
+import { JsonRpcRequest } from '@json-rpc-tools/utils'
+
+import { useWalletConnect } from '../../context/WalletConnect/WalletConnectContext'
+import { ROUTES } from '../../core/constants'
+import CloseButton from '../CloseButton'
+import FullHeightPanel from '../Panel/FullHeightPanel'
+import WallletConnect from '../../assets/icons/wallet_connect.svg'
+import styles from '../../containers/ConnectDapp/styles.scss'
+import Confirm from '../../assets/icons/confirm_connection.svg'
+import Deny from '../../assets/icons/deny_connection.svg'
+
+// what the dApp asks for, by method
+const REQUEST_TITLES = {
+  getWalletInfo: 'wants to know which kind of wallet you use',
+  getNetworkVersion: 'wants to know which network you are connected to',
+  traverseIterator: 'wants to read more results of a contract call',
+}
+
+const ApproveInformationRequest = ({
+  request,
+  peer,
+  isHardwareLogin,
+  resetState,
+  history,
+  showSuccessNotification,
+  setLoading,
+  loading,
+  net,
+}: {
+  request: JsonRpcRequest,
+  peer: any,
+  isHardwareLogin: boolean,
+  resetState: () => any,
+  history: any,
+  showSuccessNotification: ({ message: string }) => any,
+  setLoading: boolean => any,
+  loading: boolean,
+  net: string,
+}) => {
+  const walletConnectCtx = useWalletConnect()
+  const { method, params } = request.request
+
+  // the information the dApp receives, as label and value
+  const getDetails = (): Array<[string, string]> => {
+    switch (method) {
+      case 'getWalletInfo':
+        return [['ledger', isHardwareLogin ? 'Yes' : 'No']]
+      case 'getNetworkVersion':
+        return [['network', net]]
+      case 'traverseIterator':
+        return [
+          ['session', String(params[0])],
+          ['iterator', String(params[1])],
+          ['count', String(params[2])],
+        ]
+      default:
+        return []
+    }
+  }
+
+  return (
+    <FullHeightPanel
+      headerText="Wallet Connect"
+      renderCloseButton={() => (
+        <CloseButton
+          routeTo={ROUTES.DASHBOARD}
+          onClick={() => {
+            walletConnectCtx.rejectRequest(request)
+            resetState()
+            history.push(ROUTES.DASHBOARD)
+          }}
+        />
+      )}
+      renderHeaderIcon={() => (
+        <div className={styles.walletConnectIcon}>
+          <WallletConnect />
+        </div>
+      )}
+      renderInstructions={false}
+    >
+      <div
+        className={classNames([
+          styles.approveConnectionContainer,
+          styles.approveRequestContainer,
+        ])}
+      >
+        <img src={peer && peer.metadata.icons[0]} />
+        <h3>
+          {peer && peer.metadata.name} {REQUEST_TITLES[method]}
+        </h3>
+
+        <div className={styles.connectionDetails}>
+          {getDetails().map(([label, value]) => (
+            <div
+              key={label}
+              className={classNames([styles.detailsLabel, styles.detailRow])}
+            >
+              <label>{label}</label>
+              <div>{value}</div>
+            </div>
+          ))}
+        </div>
+
+        <div className={styles.confirmation}>
+          Please confirm you would like to share this information
+          <div>
+            <Confirm
+              onClick={async () => {
+                if (!loading) {
+                  setLoading(true)
+                  await walletConnectCtx.approveRequest(request)
+                  setLoading(false)
+                  resetState()
+                  history.push(ROUTES.DASHBOARD)
+                }
+              }}
+            />
+
+            <Deny
+              onClick={() => {
+                if (!loading) {
+                  showSuccessNotification({
+                    message: `You have denied request from ${
+                      peer ? peer.metadata.name : 'unknown dApp'
+                    }.`,
+                  })
+                  walletConnectCtx.rejectRequest(request)
+                  resetState()
+                  history.push(ROUTES.DASHBOARD)
+                }
+              }}
+            />
+          </div>
+        </div>
+      </div>
+    </FullHeightPanel>
+  )
+}
+
+export default ApproveInformationRequest
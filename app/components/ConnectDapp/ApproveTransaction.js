@@ -1,13 +1,20 @@
 // @flow
 
-import React from 'react'
+import React, { useEffect, useState } from 'react'
 import classNames from 'classnames'
 import { isEmpty } from 'lodash-es'
 import { JsonRpcRequest } from '@json-rpc-tools/utils'
 
 import { useWalletConnect } from '../../context/WalletConnect/WalletConnectContext'
 import { ROUTES } from '../../core/constants'
+import { isBlockedContract, isBlockedUrl } from '../../core/blocklist'
+import {
+  type DecodedInvocation,
+  type DecodedParam,
+  type WitnessScopeDescription,
+} from '../../core/contractManifests'
 import CloseButton from '../CloseButton'
+import InvocationPreview from '../InvocationPreview'
 import FullHeightPanel from '../Panel/FullHeightPanel'
 import WallletConnect from '../../assets/icons/wallet_connect.svg'
 import styles from '../../containers/ConnectDapp/styles.scss'
@@ -27,12 +34,10 @@ import Down from '../../assets/icons/chevron-down.svg'
 
 const electron = require('electron').remote
 
-const WITNESS_SCOPE = {
-  '0': 'None',
-  '1': 'CalledByEntry',
-  '16': 'CustomContracts',
-  '32': 'CustomGroups',
-  '128': 'Global',
+// what the dApp asks for, by method
+const REQUEST_TITLES: { [method: string]: string } = {
+  signTransaction: 'wants you to sign, without sending, a call to',
+  calculateFee: 'wants to know the fees of a call to',
 }
 
 const ApproveTransaction = ({
@@ -45,6 +50,11 @@ const ApproveTransaction = ({
   setLoading,
   loading,
   fee,
+  validationError,
+  preview,
+  decodedInvocations,
+  witnessScopes,
+  address,
   theme,
   requestParamsVisible,
   setRequestParamsVisible,
@@ -59,57 +69,86 @@ const ApproveTransaction = ({
   setLoading: boolean => any,
   loading: boolean,
   fee: string,
+  validationError: string,
+  preview: ?Object,
+  decodedInvocations: Array<DecodedInvocation>,
+  witnessScopes: Array<WitnessScopeDescription>,
+  address: string,
   theme: string,
   requestParamsVisible: { [key: number]: boolean },
   setRequestParamsVisible: ({ [key: number]: boolean }) => any,
   net: string,
 }) => {
   const walletConnectCtx = useWalletConnect()
+  // what the request involves that is on the phishing blocklist, null until
+  // it has been checked
+  const [blockedItems, setBlockedItems] = useState(null)
+  // set when the blocklist could not be checked, the user decides alone then
+  const [blocklistError, setBlocklistError] = useState('')
+
+  useEffect(
+    () => {
+      const checkBlocklist = async () => {
+        const items = []
+        const errors = []
+        const check = async (
+          item: string,
+          isBlocked: string => Promise<boolean>,
+        ) => {
+          try {
+            if (await isBlocked(item)) items.push(item)
+          } catch (e) {
+            if (!errors.includes(e.message)) errors.push(e.message)
+          }
+        }
+        if (peer) await check(peer.metadata.url, isBlockedUrl)
+        for (const { scriptHash } of request.request.params.invocations) {
+          await check(scriptHash, isBlockedContract)
+        }
+        setBlocklistError(errors.join(' '))
+        setBlockedItems(items)
+      }
+      if (request) checkBlocklist()
+    },
+    [request, peer],
+  )
+  const isBlocked = !!blockedItems && !!blockedItems.length
+  const method = request ? request.request.method : ''
 
   const shouldDisplayReqParams = invocation => !!invocation.args.length
 
-  const getParamDefinitions = invocation => {
-    if (invocation.contract && invocation.contract.abi) {
-      return invocation.contract.abi.methods.find(
-        method => method.name === invocation.operation,
-      ).parameters
-    }
-    return new Array(invocation.args.length)
-      .fill()
-      .map((_, i) => ({ name: i, type: 'unknown' }))
-  }
+  const getTypeColor = (type: string) =>
+    TX_STATE_TYPE_MAPPINGS[type] && TX_STATE_TYPE_MAPPINGS[type].color
 
-  const renderParam = (arg: any, definition: any) => (
+  // addresses of contacts are shown with the contact name
+  const getParamText = (param: DecodedParam) =>
+    param.contact ? `${param.contact} (${param.display})` : param.display
+
+  const renderParam = (param: DecodedParam) => (
     <React.Fragment>
-      <div className={styles.parameterName}>{definition.name}:</div>
+      <div className={styles.parameterName}>{param.name}:</div>
       <div
-        className={
-          arg.type === 'Array' ? styles.parameterArray : styles.parameterValue
-        }
-        style={{
-          borderColor:
-            TX_STATE_TYPE_MAPPINGS[definition && definition.type] &&
-            TX_STATE_TYPE_MAPPINGS[definition && definition.type].color,
-        }}
+        className={param.items ? styles.parameterArray : styles.parameterValue}
+        style={{ borderColor: getTypeColor(param.type) }}
       >
-        {arg.type !== 'Array' && (
+        {!param.items && (
           <React.Fragment>
-            <span>{arg.value || 'null'}</span>
-            <CopyToClipboard text={String((arg && arg.value) || 'null')} />
+            <span>{getParamText(param)}</span>
+            <CopyToClipboard text={param.display} />
           </React.Fragment>
         )}
-        {arg.type === 'Array' &&
-          arg.value.map((element, j) => (
-            <div>
+        {param.items &&
+          param.items.map((item, j) => (
+            <div key={j}>
               <div className={styles.arrayValue}>
                 <div className={styles.index}>{j}</div>
-                <span>{element && element.value}</span>
+                <span>{getParamText(item)}</span>
               </div>
-              <CopyToClipboard text={String(element && element.value)} />
+              <CopyToClipboard text={item.display} />
             </div>
           ))}
       </div>
-      <div className={styles.parameterType}>{definition.type}</div>
+      <div className={styles.parameterType}>{param.type}</div>
     </React.Fragment>
   )
 
@@ -152,7 +191,29 @@ const ApproveTransaction = ({
       >
         <img src={peer && peer.metadata.icons[0]} />
 
-        <h3>{peer && peer.metadata.name} wants to call </h3>
+        <h3>
+          {peer && peer.metadata.name}{' '}
+          {REQUEST_TITLES[method] || 'wants to call'}{' '}
+        </h3>
+
+        {method === 'signTransaction' && (
+          <DialogueBox
+            icon={
+              <WarningIcon
+                className={styles.warningIcon}
+                height={60}
+                width={60}
+              />
+            }
+            renderText={() => (
+              <div>
+                The signed transaction is handed to the dApp, which can send it
+                at any time until it expires about 100 blocks from now.
+              </div>
+            )}
+            className={styles.warningDialogue}
+          />
+        )}
 
         {isHardwareLogin && (
           <DialogueBox
@@ -183,11 +244,72 @@ const ApproveTransaction = ({
           />
         )}
 
+        {isBlocked && (
+          <DialogueBox
+            icon={
+              <WarningIcon
+                className={styles.warningIcon}
+                height={60}
+                width={60}
+              />
+            }
+            renderText={() => (
+              <div>
+                This request involves {blockedItems && blockedItems.join(', ')},
+                which is on the phishing blocklist. It could put your funds at
+                risk, so it can only be denied.
+              </div>
+            )}
+            className={styles.warningDialogue}
+          />
+        )}
+
+        {!!blocklistError && (
+          <DialogueBox
+            icon={
+              <WarningIcon
+                className={styles.warningIcon}
+                height={60}
+                width={60}
+              />
+            }
+            renderText={() => (
+              <div>
+                {blocklistError} Only approve it if you trust this dApp.
+              </div>
+            )}
+            className={styles.warningDialogue}
+          />
+        )}
+
+        {!!validationError && (
+          <DialogueBox
+            icon={
+              <WarningIcon
+                className={styles.warningIcon}
+                height={60}
+                width={60}
+              />
+            }
+            renderText={() => (
+              <div>
+                {validationError} The transaction would fail, so it can only be
+                denied.
+              </div>
+            )}
+            className={styles.warningDialogue}
+          />
+        )}
+
         {request &&
           request.request.params.invocations.map((invocation, i) => (
             <React.Fragment key={i}>
               <div className={styles.contractName}>
-                <div className={classNames([])}>{invocation.contract.name}</div>
+                <div className={classNames([])}>
+                  {decodedInvocations[i]
+                    ? decodedInvocations[i].contractName
+                    : invocation.scriptHash}
+                </div>
               </div>
 
               <div className={styles.connectionDetails}>
@@ -252,70 +374,48 @@ const ApproveTransaction = ({
 
                       <div>{requestParamsVisible[i] ? <Up /> : <Down />}</div>
                     </div>
-                    {requestParamsVisible[i] && (
-                      <div className={styles.requestParams}>
-                        {invocation.args.map((p: any, i: number) => {
-                          const paramDefinitions = getParamDefinitions(
-                            invocation,
-                          )
-                          return (
+                    {requestParamsVisible[i] &&
+                      decodedInvocations[i] && (
+                        <div className={styles.requestParams}>
+                          {decodedInvocations[i].params.map(param => (
                             <div
+                              key={param.name}
                               className={styles.methodParameter}
                               style={{
-                                backgroundColor:
-                                  TX_STATE_TYPE_MAPPINGS[
-                                    paramDefinitions[i] &&
-                                      paramDefinitions[i].type
-                                  ] &&
-                                  TX_STATE_TYPE_MAPPINGS[
-                                    paramDefinitions[i] &&
-                                      paramDefinitions[i].type
-                                  ].color,
-                                borderColor:
-                                  TX_STATE_TYPE_MAPPINGS[
-                                    paramDefinitions[i] &&
-                                      paramDefinitions[i].type
-                                  ] &&
-                                  TX_STATE_TYPE_MAPPINGS[
-                                    paramDefinitions[i] &&
-                                      paramDefinitions[i].type
-                                  ].color,
+                                backgroundColor: getTypeColor(param.type),
+                                borderColor: getTypeColor(param.type),
                               }}
                             >
-                              {renderParam(p, paramDefinitions[i])}
+                              {renderParam(param)}
                             </div>
-                          )
-                        })}
-                      </div>
-                    )}
+                          ))}
+                        </div>
+                      )}
                   </div>
                 ) : null}
               </div>
               <br />
             </React.Fragment>
           ))}
-        {request &&
-          request.request.params.signers && (
-            <div
-              className={classNames([
-                styles.detailsLabel,
-                styles.detailRow,
-                styles.sigRow,
-              ])}
-            >
-              <label>signature scope</label>
+        {witnessScopes.map(({ scope, description, isRisky }) => (
+          <div
+            key={scope}
+            className={classNames([
+              styles.detailsLabel,
+              styles.detailRow,
+              styles.sigRow,
+            ])}
+          >
+            <label>signature scope</label>
+            <div className={styles.scopeDescription}>
               <div>
-                {
-                  WITNESS_SCOPE[
-                    String(request.request.params.signers[0].scopes)
-                  ]
-                }
-                {WITNESS_SCOPE[
-                  String(request.request.params.signers[0].scopes)
-                ] === 'Global' && <WarningIcon />}
+                {scope}
+                {isRisky && <WarningIcon />}
               </div>
+              <span>{description}</span>
             </div>
-          )}
+          </div>
+        ))}
         <div
           className={classNames([
             styles.detailsLabel,
@@ -331,18 +431,30 @@ const ApproveTransaction = ({
             </Tooltip>
           </div>
         </div>
+        <InvocationPreview preview={preview} address={address} />
         <div className={styles.confirmation}>
-          Please confirm you would like to proceed
+          {isBlocked || validationError
+            ? 'Please deny this request'
+            : 'Please confirm you would like to proceed'}
           <div>
-            <Confirm
-              onClick={async () => {
-                if (!loading) {
-                  setLoading(true)
-                  await walletConnectCtx.approveRequest(request)
-                  setLoading(false)
-                }
-              }}
-            />
+            {blockedItems &&
+              !isBlocked &&
+              !validationError && (
+                <Confirm
+                  onClick={async () => {
+                    if (!loading) {
+                      setLoading(true)
+                      await walletConnectCtx.approveRequest(request)
+                      setLoading(false)
+                      // nothing is shown once the fees have been shared
+                      if (method === 'calculateFee') {
+                        resetState()
+                        history.push(ROUTES.DASHBOARD)
+                      }
+                    }
+                  }}
+                />
+              )}
 
             <Deny
               onClick={() => {
@@ -34,9 +34,9 @@ const MessageSuccess = () => {
         <h3>
           {' '}
           You have successfully{' '}
-          {walletConnectCtx.messageVerification.method === 'signMessage'
-            ? 'signed'
-            : 'verified'}{' '}
+          {walletConnectCtx.messageVerification.method === 'verifyMessage'
+            ? 'verified'
+            : 'signed'}{' '}
           the message!
         </h3>
         <br />
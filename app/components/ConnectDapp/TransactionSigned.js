@@ -0,0 +1,52 @@
+// @flow
+
+import React from 'react'
+import { useWalletConnect } from '../../context/WalletConnect/WalletConnectContext'
+import { ROUTES } from '../../core/constants'
+import CloseButton from '../CloseButton'
+import FullHeightPanel from '../Panel/FullHeightPanel'
+import WallletConnect from '../../assets/icons/wallet_connect.svg'
+import styles from '../../containers/ConnectDapp/styles.scss'
+import CheckMarkIcon from '../../assets/icons/confirm-circle.svg'
+
+const TransactionSigned = () => {
+  const walletConnectCtx = useWalletConnect()
+  const { signedTransaction } = walletConnectCtx
+  return (
+    <FullHeightPanel
+      headerText="Wallet Connect"
+      renderCloseButton={() => (
+        <CloseButton
+          routeTo={ROUTES.DASHBOARD}
+          onClick={() => {
+            walletConnectCtx.setSignedTransaction(null)
+          }}
+        />
+      )}
+      renderHeaderIcon={() => (
+        <div>
+          <WallletConnect />
+        </div>
+      )}
+      renderInstructions={false}
+    >
+      <div className={styles.txSuccessContainer}>
+        <CheckMarkIcon />
+        <h3> Transaction signed!</h3>
+        <p>
+          The transaction has not been sent. It will appear in your activity
+          feed once the dApp sends it and it has been confirmed.
+        </p>
+        <br />
+        <br />
+        <p>
+          <label>TRANSACTION ID</label>
+          <br />
+          <code>{signedTransaction && signedTransaction.hash}</code>
+        </p>
+      </div>
+    </FullHeightPanel>
+  )
+}
+
+export default TransactionSigned
@@ -73,9 +73,32 @@ const VerifyOrSignMessage = ({
       >
         <img src={peer && peer.metadata.icons[0]} />
         <h3>
-          <h3>{peer && peer.metadata.name} wants you to verify a message</h3>
+          <h3>
+            {peer && peer.metadata.name} wants you to{' '}
+            {isSignMessage ? 'sign' : 'verify'} a message
+          </h3>
         </h3>
 
+        {request.request.method === 'signMessageWithoutSalt' && (
+          <DialogueBox
+            icon={
+              <WarningIcon
+                className={styles.warningIcon}
+                height={60}
+                width={60}
+              />
+            }
+            renderText={() => (
+              <div>
+                This message is signed without a random salt, so signing the
+                same message always gives the same signature. Anyone holding it
+                can reuse it wherever this message is accepted.
+              </div>
+            )}
+            className={styles.warningDialogue}
+          />
+        )}
+
         {isHardwareLogin && (
           <DialogueBox
             icon={
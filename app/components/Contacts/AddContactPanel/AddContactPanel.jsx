@@ -8,28 +8,24 @@ import ContactForm from '../ContactForm'
 import { ROUTES } from '../../../core/constants'
 import AddIcon from '../../../assets/icons/add.svg'
 import BackButton from '../../BackButton'
+import { type Contact } from '../../../core/contacts'
 
 import styles from './AddContactPanel.scss'
 
 type Props = {
   className: ?string,
-  name: string,
   address: string,
   onSave: Function,
-  chain: string,
 }
 
 export default class AddContactPanel extends React.Component<Props> {
   static defaultProps = {
-    name: '',
     address: '',
-    setName: noop,
-    setAddress: noop,
     onSave: noop,
   }
 
   render() {
-    const { className, name, address } = this.props
+    const { className, address } = this.props
 
     return (
       <FullHeightPanel
@@ -47,8 +43,6 @@ export default class AddContactPanel extends React.Component<Props> {
         <div className={styles.formContainer}>
           <ContactForm
             showScanner
-            formName={name}
-            newAddress
             formAddress={address}
             submitLabel={<FormattedMessage id="addToContacts" />}
             onSubmit={this.handleSubmit}
@@ -58,8 +52,7 @@ export default class AddContactPanel extends React.Component<Props> {
     )
   }
 
-  handleSubmit = (name: string, address: string) => {
-    const { chain } = this.props
-    this.props.onSave(name, address, chain)
+  handleSubmit = (contact: Contact) => {
+    this.props.onSave(contact)
   }
 }
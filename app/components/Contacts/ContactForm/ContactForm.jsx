@@ -2,14 +2,22 @@
 import React from 'react'
 import { noop } from 'lodash-es'
 import { FormattedMessage, intlShape } from 'react-intl'
-import { wallet } from '@cityofzion/neon-js'
-import { wallet as n3Wallet } from '@cityofzion/neon-js-next'
 import { type ProgressState } from 'spunky'
 
 import Button from '../../Button'
 import TextInput from '../../Inputs/TextInput'
+import Label from '../../Inputs/Label'
+import StyledReactSelect from '../../Inputs/StyledReactSelect/StyledReactSelect'
 import DialogueBox from '../../DialogueBox'
+import { isBlockedAddress } from '../../../core/blocklist'
+import {
+  isValidContactAddress,
+  type Contact,
+  type ContactAddress,
+  type Contacts,
+} from '../../../core/contacts'
 import AddContactIcon from '../../../assets/icons/contacts-add.svg'
+import AddIcon from '../../../assets/icons/add.svg'
 import WarningIcon from '../../../assets/icons/warning.svg'
 import GridIcon from '../../../assets/icons/grid.svg'
 import styles from './ContactForm.scss'
@@ -18,14 +26,11 @@ import Close from '../../../assets/icons/close.svg'
 
 type Props = {
   submitLabel: string,
-  formName: string,
+  formContact?: Contact,
   formAddress: string,
   mode?: string,
-  contacts: Object,
-  setName: Function,
-  newAddress?: boolean,
-  setAddress: Function,
-  onSubmit: Function,
+  contacts: Contacts,
+  onSubmit: (contact: Contact) => any,
   intl: intlShape,
   chain: string,
   cameraAvailable: boolean,
@@ -34,18 +39,36 @@ type Props = {
 }
 
 type State = {
+  name: string,
+  addresses: Array<ContactAddress>,
+  notes: string,
+  tags: string,
   nameError: string,
-  addressError: string,
+  addressErrors: Array<string>,
   scannerActive: boolean,
 }
 
+const CHAIN_OPTIONS = [
+  { label: 'Neo N3', value: 'neo3' },
+  { label: 'Neo Legacy', value: 'neo2' },
+]
+
+const MAX_NAME_LENGTH = 100
+
 export default class ContactForm extends React.Component<Props, State> {
   constructor(props: Props) {
     super(props)
 
+    const { formContact, formAddress, chain } = props
     this.state = {
+      name: formContact ? formContact.name : '',
+      addresses: formContact
+        ? formContact.addresses
+        : [{ address: formAddress || '', chain, label: '' }],
+      notes: formContact ? formContact.notes : '',
+      tags: formContact ? formContact.tags.join(', ') : '',
       nameError: '',
-      addressError: '',
+      addressErrors: [],
       scannerActive: false,
     }
   }
@@ -56,24 +79,20 @@ export default class ContactForm extends React.Component<Props, State> {
 
   static defaultProps = {
     submitLabel: <FormattedMessage id="saveContactButtonText" />,
-    name: '',
-    address: '',
-    setName: noop,
-    setAddress: noop,
+    formAddress: '',
+    contacts: {},
     onSubmit: noop,
   }
 
   render() {
     const {
       submitLabel,
-      formName,
-      formAddress,
       intl,
       cameraAvailable,
       progress,
       showScanner,
     } = this.props
-    const { nameError, addressError, scannerActive } = this.state
+    const { name, notes, tags, nameError, scannerActive } = this.state
 
     return (
       <section className={styles.contactFormContainer}>
@@ -82,9 +101,11 @@ export default class ContactForm extends React.Component<Props, State> {
             <React.Fragment>
               <div className={styles.scannerContainer}>
                 <QrCodeScanner
-                  callback={a => {
-                    this.props.setAddress(a)
-                    this.validateAddress(a)
+                  callback={address => {
+                    this.handleChangeAddress(
+                      this.state.addresses.length - 1,
+                      address,
+                    )
                     this.toggleScanner()
                   }}
                   callbackProgress={progress}
@@ -116,23 +137,33 @@ export default class ContactForm extends React.Component<Props, State> {
                 placeholder={intl.formatMessage({
                   id: 'enterAContactName',
                 })}
-                value={formName}
+                value={name}
                 onChange={this.handleChangeName}
                 error={nameError}
               />
+              {this.state.addresses.map(this.renderAddress)}
+              <Button
+                className={styles.addAddressButton}
+                renderIcon={AddIcon}
+                onClick={this.handleAddAddress}
+              >
+                <FormattedMessage id="addContactAddress" />
+              </Button>
               <TextInput
-                id="contactAddress"
-                label={intl.formatMessage({
-                  id: 'contactWalletAddress',
-                })}
-                name="address"
+                id="contactTags"
+                name="tags"
+                label={intl.formatMessage({ id: 'contactTags' })}
                 className={styles.input}
-                placeholder={intl.formatMessage({
-                  id: 'enterAWalletAddress',
-                })}
-                value={formAddress}
-                onChange={this.handleChangeAddress}
-                error={addressError}
+                placeholder={intl.formatMessage({ id: 'enterContactTags' })}
+                value={tags}
+                onChange={event => this.setState({ tags: event.target.value })}
+              />
+              <Label label={intl.formatMessage({ id: 'contactNotes' })} />
+              <textarea
+                id="contactNotes"
+                className={styles.notesInput}
+                value={notes}
+                onChange={event => this.setState({ notes: event.target.value })}
               />
               <div className={styles.dialogueAndButtonContainer}>
                 <DialogueBox
@@ -159,7 +190,7 @@ export default class ContactForm extends React.Component<Props, State> {
                   className={styles.submitButton}
                   primary
                   type="submit"
-                  disabled={this.disableButton(formName, formAddress)}
+                  disabled={this.disableButton()}
                   renderIcon={AddContactIcon}
                 >
                   {submitLabel}
@@ -172,130 +203,240 @@ export default class ContactForm extends React.Component<Props, State> {
     )
   }
 
-  componentWillMount() {
-    const { newAddress, setAddress } = this.props
+  renderAddress = (
+    { address, chain, label }: ContactAddress,
+    index: number,
+  ) => {
+    const { intl } = this.props
+    const { addresses, addressErrors } = this.state
 
-    if (newAddress) {
-      setAddress('')
-    }
+    return (
+      <div className={styles.addressRow} key={`address${index}`}>
+        <div className={styles.addressDetails}>
+          <div className={styles.chainSelect}>
+            <StyledReactSelect
+              value={CHAIN_OPTIONS.find(option => option.value === chain)}
+              onChange={option => this.handleChangeChain(index, option.value)}
+              options={CHAIN_OPTIONS}
+              isSearchable={false}
+            />
+          </div>
+          <div className={styles.labelInput}>
+            <TextInput
+              id={`contactAddressLabel${index}`}
+              placeholder={intl.formatMessage({ id: 'enterAnAddressLabel' })}
+              value={label}
+              onChange={event =>
+                this.updateAddress(index, { label: event.target.value })
+              }
+            />
+          </div>
+          {addresses.length > 1 && (
+            <Button
+              className={styles.removeAddressButton}
+              renderIcon={Close}
+              onClick={() => this.handleRemoveAddress(index)}
+            >
+              <FormattedMessage id="removeContactAddress" />
+            </Button>
+          )}
+        </div>
+        <TextInput
+          id={index ? `contactAddress${index}` : 'contactAddress'}
+          label={
+            index
+              ? undefined
+              : intl.formatMessage({
+                  id: 'contactWalletAddress',
+                })
+          }
+          name="address"
+          className={styles.input}
+          placeholder={intl.formatMessage({
+            id: 'enterAWalletAddress',
+          })}
+          value={address}
+          onChange={event =>
+            this.handleChangeAddress(index, event.target.value)
+          }
+          error={addressErrors[index]}
+        />
+      </div>
+    )
   }
 
-  disableButton = (name: string, address: string) => {
-    const { chain } = this.props
-    if (name.length === 0) {
-      return true
-    }
-
-    if (name.length > 100) {
-      return true
+  getContact = (): Contact => {
+    const { name, addresses, notes, tags } = this.state
+    return {
+      name: name.trim(),
+      addresses: addresses.map(address => ({
+        ...address,
+        address: address.address.trim(),
+        label: address.label.trim(),
+      })),
+      notes: notes.trim(),
+      tags: tags.split(',').map(tag => tag.trim()),
     }
+  }
 
-    if (
-      chain === 'neo3'
-        ? !n3Wallet.isAddress(address)
-        : !wallet.isAddress(address)
-    ) {
+  disableButton = () => {
+    const { name, addresses } = this.getContact()
+    if (name.length === 0 || name.length > MAX_NAME_LENGTH) {
       return true
     }
-
-    return false
+    return addresses.some(
+      ({ address, chain }) => !isValidContactAddress(address, chain),
+    )
   }
 
-  validate = (name: string, address: string) => {
-    const validName = this.validateName(name)
-    const validAddress = this.validateAddress(address)
-
-    return validName && validAddress
+  // the contact being edited may keep its own name and addresses
+  getOtherContacts = (): Array<Contact> => {
+    const { contacts, formContact, mode } = this.props
+    return Object.keys(contacts)
+      .filter(
+        name => mode !== 'edit' || !formContact || name !== formContact.name,
+      )
+      .map(name => contacts[name])
   }
 
   validateName = (name: string) => {
-    const { contacts, mode, intl } = this.props
+    const { intl } = this.props
     let error
 
     if (name.length === 0) {
       error = intl.formatMessage({ id: 'errors.contact.nameNull' }) // eslint-disable-line
     }
 
-    if (name.length > 100) {
+    if (name.length > MAX_NAME_LENGTH) {
       error = intl.formatMessage({ id: 'errors.contact.nameLength' })
     }
 
-    if (mode !== 'edit') {
-      const nameExists = Object.keys(contacts).filter(
-        (contactName: string) => contactName === name,
-      )
-
-      if (nameExists.length > 0) {
-        error = intl.formatMessage({ id: 'errors.contact.nameDupe' })
-      }
+    if (this.getOtherContacts().some(contact => contact.name === name)) {
+      error = intl.formatMessage({ id: 'errors.contact.nameDupe' })
     }
 
-    if (error) {
-      this.setState({ nameError: error })
-      return false
-    }
-    return true
+    this.setState({ nameError: error || '' })
+    return !error
   }
 
-  validateAddress = (address: string) => {
-    const { mode, contacts, formAddress, intl, chain } = this.props
-    let error
+  getAddressError = (
+    { address, chain }: ContactAddress,
+    index: number,
+    addresses: Array<ContactAddress>,
+  ): string => {
+    const { intl } = this.props
+
+    if (!isValidContactAddress(address, chain)) {
+      return intl.formatMessage({ id: 'errors.contact.invalidAddress' })
+    }
 
+    const isSameAddress = (other: ContactAddress) =>
+      other.address === address && other.chain === chain
     if (
-      chain === 'neo3'
-        ? !n3Wallet.isAddress(address)
-        : !wallet.isAddress(address)
+      addresses.slice(0, index).some(isSameAddress) ||
+      this.getOtherContacts().some(contact =>
+        contact.addresses.some(isSameAddress),
+      )
     ) {
-      error = intl.formatMessage({ id: 'errors.contact.invalidAddress' })
+      return intl.formatMessage({ id: 'errors.contact.contactExists' })
     }
+    return ''
+  }
 
-    if (mode !== 'edit') {
-      const addressExists = Object.keys(contacts)
-        .map(acc => contacts[acc])
-        .filter(adr => adr === formAddress)
-
-      if (addressExists.length > 0) {
-        error = intl.formatMessage({ id: 'errors.contact.contactExists' })
-      }
-    }
+  validateAddresses = (addresses: Array<ContactAddress>) => {
+    const addressErrors = addresses.map(this.getAddressError)
+    this.setState({ addressErrors })
+    return addressErrors.every(error => !error)
+  }
 
-    if (error) {
-      this.setState({ addressError: error })
+  validateNotBlocked = async (addresses: Array<ContactAddress>) => {
+    const { intl } = this.props
+    const blocked = await Promise.all(
+      addresses.map(({ address }) => isBlockedAddress(address)),
+    )
+    if (blocked.some(isBlocked => isBlocked)) {
+      this.setState(prevState => ({
+        addressErrors: blocked.map(
+          (isBlocked, index) =>
+            isBlocked
+              ? intl.formatMessage({ id: 'errors.contact.blocked' })
+              : prevState.addressErrors[index],
+        ),
+      }))
       return false
     }
     return true
   }
 
-  clearErrors = (name: string) => {
-    if (name === 'name') {
-      this.setState({ nameError: '' })
-    }
-
-    if (name === 'address') {
-      this.setState({ addressError: '' })
-    }
+  updateAddresses = (
+    update: (Array<ContactAddress>) => Array<ContactAddress>,
+    onUpdate?: (Array<ContactAddress>) => any,
+  ) => {
+    this.setState(
+      prevState => ({ addresses: update(prevState.addresses) }),
+      () => onUpdate && onUpdate(this.state.addresses),
+    )
   }
 
+  updateAddress = (
+    index: number,
+    changes: $Shape<ContactAddress>,
+    onUpdate?: (Array<ContactAddress>) => any,
+  ) =>
+    this.updateAddresses(
+      addresses =>
+        addresses.map(
+          (address, i) => (i === index ? { ...address, ...changes } : address),
+        ),
+      onUpdate,
+    )
+
   handleChangeName = (event: Object) => {
-    this.clearErrors(event.target.name)
-    this.props.setName(event.target.value)
-    this.validate(event.target.value, this.props.formAddress)
+    this.setState({ name: event.target.value })
+    this.validateName(event.target.value.trim())
+  }
+
+  handleChangeAddress = (index: number, value: string) => {
+    this.updateAddress(index, { address: value.trim() }, addresses => {
+      if (this.validateAddresses(addresses)) {
+        this.validateNotBlocked(addresses)
+      }
+    })
+  }
+
+  handleChangeChain = (index: number, chain: string) => {
+    this.updateAddress(index, { chain }, this.validateAddresses)
   }
 
-  handleChangeAddress = (event: Object) => {
-    this.clearErrors(event.target.name)
-    this.props.setAddress(event.target.value)
-    this.validate(this.props.formName, event.target.value)
+  handleAddAddress = () => {
+    const { chain } = this.props
+    this.updateAddresses(addresses => [
+      ...addresses,
+      { address: '', chain, label: '' },
+    ])
   }
 
-  handleSubmit = (event: Object) => {
+  handleRemoveAddress = (index: number) => {
+    this.updateAddresses(
+      addresses => addresses.filter((address, i) => i !== index),
+      this.validateAddresses,
+    )
+  }
+
+  handleSubmit = async (event: Object) => {
     event.preventDefault()
-    const { onSubmit, formName, formAddress } = this.props
+    const { onSubmit } = this.props
+    const contact = this.getContact()
 
-    const validInput = this.validate(formName, formAddress)
+    const validName = this.validateName(contact.name)
+    const validAddresses = this.validateAddresses(contact.addresses)
 
-    if (validInput) {
-      onSubmit(formName, formAddress)
+    if (
+      validName &&
+      validAddresses &&
+      (await this.validateNotBlocked(contact.addresses))
+    ) {
+      onSubmit(contact)
     }
   }
 }
@@ -1,5 +1,5 @@
 // @flow
-import { compose, withState } from 'recompose'
+import { compose } from 'recompose'
 import { withData } from 'spunky'
 import { injectIntl } from 'react-intl'
 
@@ -16,12 +16,6 @@ export default compose(
   withAuthData(),
   withChainData(),
   withData(contactsActions, mapContactsDataToProps),
-  withState('formName', 'setName', ({ formName }) => formName || ''),
-  withState(
-    'formAddress',
-    'setAddress',
-    ({ formAddress }) => formAddress || '',
-  ),
   injectIntl,
   withCameraAvailability,
 )(ContactForm)
@@ -1,11 +1,14 @@
 // @flow
 import React from 'react'
+import fs from 'fs'
+import path from 'path'
 import { Link } from 'react-router-dom'
 import { orderBy, groupBy, isEmpty } from 'lodash-es'
 import classNames from 'classnames'
 import { FormattedMessage, IntlShape } from 'react-intl'
 
 import StyledReactSelect from '../../Inputs/StyledReactSelect/StyledReactSelect'
+import TextInput from '../../Inputs/TextInput'
 import HeaderBar from '../../HeaderBar'
 import Address from '../../Blockchain/Address'
 import Panel from '../../Panel'
@@ -15,28 +18,35 @@ import InfoIcon from '../../../assets/icons/info.svg'
 import EditIcon from '../../../assets/icons/edit.svg'
 import DeleteIcon from '../../../assets/icons/delete.svg'
 import SendIcon from '../../../assets/icons/send.svg'
+import ImportIcon from '../../../assets/icons/import.svg'
+import SaveIcon from '../../../assets/icons/save-icon.svg'
 import { ROUTES, MODAL_TYPES } from '../../../core/constants'
+import {
+  filterContacts,
+  getContactTags,
+  parseContactsFile,
+  createContactsFile,
+  type Contact,
+  type ContactAddress,
+  type Contacts,
+} from '../../../core/contacts'
 import CopyToClipboard from '../../CopyToClipboard'
 import LogoWithStrikethrough from '../../LogoWithStrikethrough'
+import NNSName from '../../NNSName'
 
 import styles from './ContactsPanel.scss'
 
-type Contact = {
-  address: string,
-  name: string,
-}
+const { dialog } = require('electron').remote
 
 type OrderDirection = 'desc' | 'asc'
 
-type Contacts = {
-  [key: string]: Contact,
-}
-
 type Props = {
   history: Object,
   contacts: Contacts,
-  deleteContact: (string, string) => void,
+  deleteContact: string => void,
+  importContacts: (Array<Contact>) => void,
   showSuccessNotification: ({ message: string }) => void,
+  showErrorNotification: ({ message: string }) => void,
   showModal: (modalType: string, modalProps: Object) => any,
   intl: IntlShape,
   chain: string,
@@ -47,6 +57,8 @@ type State = {
     label: string,
     value: OrderDirection,
   },
+  search: string,
+  tag: ?string,
 }
 
 type SelectOption = {
@@ -65,25 +77,16 @@ const SORTING_OPTIONS = [
   },
 ]
 
+const CHAIN_NAMES = { neo2: 'Neo Legacy', neo3: 'Neo N3' }
+
 const getContactsInGroups = (
-  contacts: Contacts,
+  contacts: Array<Contact>,
   orderDirection: OrderDirection,
 ) => {
-  /* $FlowFixMe */
-  const contactsArray: Array<Contacts> = Object.entries(contacts).map(
-    ([name, address]) => ({
-      name,
-      address,
-    }),
-  )
-
-  const groupContactsByFirstLetter = groupBy(
-    contactsArray,
-    ({ name }: Contact) => {
-      const firstLetter = name.substr(0, 1).toUpperCase()
-      return /[a-zA-Z]/.test(firstLetter) ? firstLetter : '#'
-    },
-  )
+  const groupContactsByFirstLetter = groupBy(contacts, ({ name }: Contact) => {
+    const firstLetter = name.substr(0, 1).toUpperCase()
+    return /[a-zA-Z]/.test(firstLetter) ? firstLetter : '#'
+  })
 
   const groupedContacts = Object.entries(groupContactsByFirstLetter).map(
     ([groupName, groupContacts]) => ({
@@ -99,80 +102,143 @@ const getContactsInGroups = (
 export default class ContactsPanel extends React.Component<Props, State> {
   state = {
     sorting: SORTING_OPTIONS[0],
+    search: '',
+    tag: null,
   }
 
   renderHeader = () => {
-    const { sorting } = this.state
-    const { contacts } = this.props
+    const { sorting, search, tag } = this.state
+    const { contacts, intl } = this.props
+    const tagOptions = [
+      { label: intl.formatMessage({ id: 'contactsAllTags' }), value: null },
+      ...getContactTags(contacts).map(value => ({ label: value, value })),
+    ]
     return (
-      <div className={styles.headerSelect}>
-        <StyledReactSelect
-          disabled={isEmpty(contacts)}
-          value={sorting}
-          onChange={this.handleSort}
-          options={SORTING_OPTIONS}
-          isSearchable={false}
-          transparent
-          hideHighlight
-        />
+      <div className={styles.header}>
+        <div className={styles.searchInput}>
+          <TextInput
+            id="contactsSearch"
+            placeholder={intl.formatMessage({ id: 'contactsSearch' })}
+            value={search}
+            onChange={event => this.setState({ search: event.target.value })}
+          />
+        </div>
+        <div className={styles.headerSelect}>
+          <StyledReactSelect
+            disabled={tagOptions.length < 2}
+            value={tagOptions.find(option => option.value === tag)}
+            onChange={option => this.setState({ tag: option.value })}
+            options={tagOptions}
+            isSearchable={false}
+            transparent
+            hideHighlight
+          />
+        </div>
+        <div className={styles.headerSelect}>
+          <StyledReactSelect
+            disabled={isEmpty(contacts)}
+            value={sorting}
+            onChange={this.handleSort}
+            options={SORTING_OPTIONS}
+            isSearchable={false}
+            transparent
+            hideHighlight
+          />
+        </div>
       </div>
     )
   }
 
-  renderContact = (address: string, name: string, i: number) => {
-    const { intl } = this.props
+  renderAddress = ({ address, chain: addressChain, label }: ContactAddress) => {
+    const { intl, chain } = this.props
     return (
-      <div
-        key={`contact${name}${i}`}
-        className={classNames(styles.contact, {
-          [styles.oddNumberedRow]: i % 2 === 0,
-        })}
-      >
-        <div className={styles.name}>{name}</div>
-        <div className={styles.address}>
-          <span>{address}</span>
-          <CopyToClipboard
-            className={styles.copy}
-            text={address}
-            tooltip={intl.formatMessage({ id: 'copyAddressTooltip' })}
-          />
-        </div>
-        <div className={styles.actions}>
-          <Button
-            className={styles.editButton}
-            renderIcon={EditIcon}
-            onClick={() => this.handleEdit(name)}
-          >
-            <FormattedMessage id="manageWalletsEdit" />
-          </Button>
-          <Button
-            className={styles.deleteButton}
-            renderIcon={DeleteIcon}
-            onClick={() => this.handleDelete(name)}
-          >
-            <FormattedMessage id="deleteLabel" />
-          </Button>
-          <Address address={address} asWrapper>
-            <Button className={styles.infoButton} renderIcon={InfoIcon}>
-              <FormattedMessage id="sidebarActivity" />
-            </Button>
-          </Address>
-          <Link
-            to={{
-              pathname: ROUTES.SEND,
-              state: { address },
-            }}
-            className={styles.settingsDonations}
-          >
-            <Button className={styles.sendButton} renderIcon={SendIcon}>
-              <FormattedMessage id="sidebarSend" />
-            </Button>
-          </Link>
+      <div key={`address${addressChain}${address}`} className={styles.address}>
+        <div className={styles.addressDetails}>
+          <span className={styles.chainLabel}>
+            {CHAIN_NAMES[addressChain]}
+            {label && ` · ${label}`}
+          </span>
+          <div className={styles.addressValue}>
+            <span>{address}</span>
+            {addressChain === chain && <NNSName address={address} />}
+            <CopyToClipboard
+              className={styles.copy}
+              text={address}
+              tooltip={intl.formatMessage({ id: 'copyAddressTooltip' })}
+            />
+          </div>
         </div>
+        {/* activity and sends only work for the chain the wallet is on */}
+        {addressChain === chain && (
+          <div className={styles.actions}>
+            <Address address={address} asWrapper>
+              <Button className={styles.infoButton} renderIcon={InfoIcon}>
+                <FormattedMessage id="sidebarActivity" />
+              </Button>
+            </Address>
+            <Link
+              to={{
+                pathname: ROUTES.SEND,
+                state: { address },
+              }}
+              className={styles.settingsDonations}
+            >
+              <Button className={styles.sendButton} renderIcon={SendIcon}>
+                <FormattedMessage id="sidebarSend" />
+              </Button>
+            </Link>
+          </div>
+        )}
       </div>
     )
   }
 
+  renderContact = ({ name, addresses, notes, tags }: Contact, i: number) => (
+    <div
+      key={`contact${name}${i}`}
+      className={classNames(styles.contact, {
+        [styles.oddNumberedRow]: i % 2 === 0,
+      })}
+    >
+      <div className={styles.contactDetails}>
+        <div className={styles.name}>{name}</div>
+        {!!tags.length && (
+          <div className={styles.tags}>
+            {tags.map(tag => (
+              <span
+                key={tag}
+                className={styles.tag}
+                onClick={() => this.setState({ tag })}
+              >
+                {tag}
+              </span>
+            ))}
+          </div>
+        )}
+        {notes && <div className={styles.notes}>{notes}</div>}
+      </div>
+      <div className={styles.addresses}>
+        {addresses.map(this.renderAddress)}
+      </div>
+      <div className={styles.actions}>
+        <Button
+          className={styles.editButton}
+          renderIcon={EditIcon}
+          onClick={() => this.handleEdit(name)}
+        >
+          <FormattedMessage id="manageWalletsEdit" />
+        </Button>
+        <Button
+          className={styles.deleteButton}
+          renderIcon={DeleteIcon}
+          onClick={() => this.handleDelete(name)}
+        >
+          <FormattedMessage id="deleteLabel" />
+        </Button>
+      </div>
+    </div>
+  )
+
   handleSort = (option: SelectOption) => {
     this.setState({ sorting: option })
   }
@@ -181,9 +247,79 @@ export default class ContactsPanel extends React.Component<Props, State> {
     this.props.history.push(`/contacts/edit/${encodeURIComponent(name)}`)
   }
 
+  handleImport = async () => {
+    const {
+      importContacts,
+      showSuccessNotification,
+      showErrorNotification,
+    } = this.props
+    const { canceled, filePaths } = await dialog.showOpenDialog({
+      filters: [{ name: 'CSV or JSON', extensions: ['csv', 'json', 'txt'] }],
+    })
+    if (canceled || !filePaths || !filePaths.length) return
+
+    fs.readFile(filePaths[0], 'utf-8', (err, data) => {
+      try {
+        if (err) throw err
+        const contacts = parseContactsFile(data, path.basename(filePaths[0]))
+        importContacts(contacts)
+        showSuccessNotification({
+          message: `${contacts.length} contacts imported.`,
+        })
+      } catch (e) {
+        showErrorNotification({
+          message: `An error occurred reading the file: ${e.message}`,
+        })
+      }
+    })
+  }
+
+  handleExport = async () => {
+    const {
+      contacts,
+      showSuccessNotification,
+      showErrorNotification,
+    } = this.props
+    const { filePath, canceled } = await dialog.showSaveDialog({
+      defaultPath: 'neon-contacts.csv',
+      filters: [
+        { name: 'CSV', extensions: ['csv'] },
+        { name: 'JSON', extensions: ['json'] },
+      ],
+    })
+    if (!filePath || canceled) return
+
+    const format =
+      path.extname(filePath).toLowerCase() === '.json' ? 'json' : 'csv'
+    fs.writeFile(
+      filePath,
+      createContactsFile(
+        Object.keys(contacts).map(name => contacts[name]),
+        format,
+      ),
+      errorWriting => {
+        if (errorWriting) {
+          showErrorNotification({
+            message: `An error occurred creating the file: ${
+              errorWriting.message
+            }`,
+          })
+        } else {
+          showSuccessNotification({
+            message: 'The file has been succesfully saved',
+          })
+        }
+      },
+    )
+  }
+
   render() {
     const { contacts } = this.props
-    const { sorting } = this.state
+    const { sorting, search, tag } = this.state
+    const filteredContacts = filterContacts(contacts, {
+      search,
+      tags: tag ? [tag] : [],
+    })
 
     return (
       <React.Fragment>
@@ -191,12 +327,33 @@ export default class ContactsPanel extends React.Component<Props, State> {
           label={<FormattedMessage id="contactsPageLabel" />}
           shouldRenderRefresh={false}
           renderRightContent={() => (
-            <Link id="add" className={styles.addButton} to={ROUTES.ADD_CONTACT}>
-              <AddIcon className={styles.addIcon} />
-              <span>
-                <FormattedMessage id="newContact" />
-              </span>
-            </Link>
+            <div className={styles.headerActions}>
+              <Button
+                className={styles.headerButton}
+                renderIcon={ImportIcon}
+                onClick={this.handleImport}
+              >
+                <FormattedMessage id="contactsImport" />
+              </Button>
+              <Button
+                className={styles.headerButton}
+                renderIcon={SaveIcon}
+                disabled={isEmpty(contacts)}
+                onClick={this.handleExport}
+              >
+                <FormattedMessage id="contactsExport" />
+              </Button>
+              <Link
+                id="add"
+                className={styles.addButton}
+                to={ROUTES.ADD_CONTACT}
+              >
+                <AddIcon className={styles.addIcon} />
+                <span>
+                  <FormattedMessage id="newContact" />
+                </span>
+              </Link>
+            </div>
           )}
         />
         <Panel
@@ -204,19 +361,17 @@ export default class ContactsPanel extends React.Component<Props, State> {
           renderHeader={this.renderHeader}
           contentClassName={styles.contactPanelContent}
         >
-          {isEmpty(contacts) ? (
+          {isEmpty(filteredContacts) ? (
             <div className={styles.emptyContactsContainer}>
               <LogoWithStrikethrough />
             </div>
           ) : (
             <div className={styles.contacts}>
-              {getContactsInGroups(contacts, sorting.value).map(
+              {getContactsInGroups(filteredContacts, sorting.value).map(
                 ({ groupName, groupContacts }) => (
                   <div key={`group${groupName}`}>
                     <div className={styles.groupHeader}>{groupName}</div>
-                    {groupContacts.map(({ address, name }, i) =>
-                      this.renderContact(address, name, i),
-                    )}
+                    {groupContacts.map(this.renderContact)}
                   </div>
                 ),
               )}
@@ -228,7 +383,7 @@ export default class ContactsPanel extends React.Component<Props, State> {
   }
 
   handleDelete = (name: string) => {
-    const { showModal, showSuccessNotification, intl, chain } = this.props
+    const { showModal, showSuccessNotification, intl } = this.props
 
     showModal(MODAL_TYPES.CONFIRM, {
       title: 'Confirm Delete',
@@ -241,7 +396,7 @@ export default class ContactsPanel extends React.Component<Props, State> {
         </div>
       ),
       onClick: () => {
-        this.props.deleteContact(name, chain)
+        this.props.deleteContact(name)
         showSuccessNotification({
           message: 'Contact removal was successful.',
         })
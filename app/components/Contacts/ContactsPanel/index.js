@@ -7,7 +7,10 @@ import { withActions } from 'spunky'
 import { withRouter } from 'react-router-dom'
 
 import ContactsPanel from './ContactsPanel'
-import { deleteContactActions } from '../../../actions/contactsActions'
+import {
+  deleteContactActions,
+  importContactsActions,
+} from '../../../actions/contactsActions'
 import withFailureNotification from '../../../hocs/withFailureNotification'
 import {
   showErrorNotification,
@@ -26,7 +29,11 @@ const mapDispatchToProps = dispatch =>
   bindActionCreators(actionCreators, dispatch)
 
 const mapContactActionsToProps = actions => ({
-  deleteContact: (name, chain) => actions.call({ name, chain }),
+  deleteContact: name => actions.call({ name }),
+})
+
+const mapImportContactsActionsToProps = actions => ({
+  importContacts: contacts => actions.call({ contacts }),
 })
 
 export default compose(
@@ -37,6 +44,7 @@ export default compose(
   withRouter,
   withChainData(),
   withActions(deleteContactActions, mapContactActionsToProps),
+  withActions(importContactsActions, mapImportContactsActionsToProps),
   withFailureNotification(deleteContactActions),
   injectIntl,
 )(ContactsPanel)
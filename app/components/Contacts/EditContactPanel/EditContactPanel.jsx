@@ -11,31 +11,28 @@ import Close from '../../../assets/icons/close.svg'
 import AddIcon from '../../../assets/icons/add.svg'
 import BackButton from '../../BackButton'
 import { ROUTES, MODAL_TYPES } from '../../../core/constants'
+import { type Contact } from '../../../core/contacts'
 import styles from './EditContactPanel.scss'
 
 type Props = {
   className: ?string,
   name: string,
-  address: string,
+  contact: Contact,
   onSave: Function,
-  deleteContact: (string, string) => void,
+  deleteContact: string => void,
   showSuccessNotification: ({ message: string }) => void,
   showModal: (modalType: string, modalProps: Object) => any,
   intl: IntlShape,
-  chain: string,
 }
 
 export default class EditContactPanel extends React.Component<Props> {
   static defaultProps = {
     name: '',
-    address: '',
-    setName: noop,
-    setAddress: noop,
     onSave: noop,
   }
 
   render() {
-    const { className, name, address } = this.props
+    const { className, contact } = this.props
 
     return (
       <FullHeightPanel
@@ -56,9 +53,8 @@ export default class EditContactPanel extends React.Component<Props> {
       >
         <div className={styles.formContainer}>
           <ContactForm
-            formName={name}
+            formContact={contact}
             mode="edit"
-            formAddress={address}
             onSubmit={this.handleSubmit}
           />
         </div>
@@ -75,13 +71,12 @@ export default class EditContactPanel extends React.Component<Props> {
     </span>
   )
 
-  handleSubmit = (name: string, address: string) => {
-    const { chain } = this.props
-    this.props.onSave(name, address, chain)
+  handleSubmit = (contact: Contact) => {
+    this.props.onSave(contact)
   }
 
   handleDelete = () => {
-    const { name, showModal, showSuccessNotification, intl, chain } = this.props
+    const { name, showModal, showSuccessNotification, intl } = this.props
 
     showModal(MODAL_TYPES.CONFIRM, {
       title: 'Confirm Delete',
@@ -94,7 +89,7 @@ export default class EditContactPanel extends React.Component<Props> {
         </div>
       ),
       onClick: () => {
-        this.props.deleteContact(name, chain)
+        this.props.deleteContact(name)
         showSuccessNotification({
           message: 'Contact removal was successful.',
         })
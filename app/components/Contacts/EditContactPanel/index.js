@@ -3,7 +3,6 @@ import { connect } from 'react-redux'
 import { bindActionCreators } from 'redux'
 import { compose, withProps } from 'recompose'
 import { withActions, progressValues } from 'spunky'
-import { trim } from 'lodash-es'
 import { injectIntl } from 'react-intl'
 
 import EditContactPanel from './EditContactPanel'
@@ -18,7 +17,6 @@ import {
 import withProgressChange from '../../../hocs/withProgressChange'
 import withFailureNotification from '../../../hocs/withFailureNotification'
 import { showModal } from '../../../modules/modal'
-import withChainData from '../../../hocs/withChainData'
 
 const { LOADED } = progressValues
 
@@ -29,20 +27,14 @@ const actionCreators = {
 }
 
 const mapContactActionsToProps = (actions, props) => ({
-  onSave: (name, address, chain) =>
-    actions.call({
-      oldName: props.oldName,
-      newName: trim(name),
-      newAddress: trim(address),
-      chain,
-    }),
+  onSave: contact => actions.call({ oldName: props.oldName, contact }),
 })
 
 const mapDispatchToProps = dispatch =>
   bindActionCreators(actionCreators, dispatch)
 
 const mapDeleteContactActionsToProps = actions => ({
-  deleteContact: (name, chain) => actions.call({ name, chain }),
+  deleteContact: name => actions.call({ name }),
 })
 
 export default compose(
@@ -56,7 +48,6 @@ export default compose(
     LOADED,
     (state, props) => props.onSave && props.onSave(),
   ),
-  withChainData(),
   withActions(updateContactActions, mapContactActionsToProps),
   withActions(deleteContactActions, mapDeleteContactActionsToProps),
   withFailureNotification(deleteContactActions),
@@ -0,0 +1,308 @@
+// @flow
+import React, { Fragment } from 'react'
+import { withRouter } from 'react-router-dom'
+import { IntlShape, injectIntl, FormattedMessage } from 'react-intl'
+
+import PasswordInput from '../Inputs/PasswordInput'
+import TextInput from '../Inputs/TextInput'
+import CheckBox from '../Inputs/CheckBox/CheckBox'
+import Button from '../Button'
+import { generateMnemonic, splitMnemonic } from '../../core/mnemonic'
+import CheckIcon from '../../assets/icons/check.svg'
+import AddIcon from '../../assets/icons/add.svg'
+import BackArrow from '../../assets/icons/arrow.svg'
+import ForwardArrow from '../../assets/icons/forward-arrow.svg'
+import styles from './CreateImportMnemonicWalletForm.scss'
+
+type Option = 'CREATE' | 'IMPORT'
+
+type Props = {
+  generateMnemonicWalletAccounts: Function,
+  history: Object,
+  option: Option,
+  authenticated: boolean,
+  intl: IntlShape,
+  chain: string,
+}
+
+type State = {
+  mnemonic: string,
+  backupConfirmed: boolean,
+  walletName: string,
+  accountCount: string,
+  passphrase: string,
+  passphrase2: string,
+  passphraseValid: boolean,
+  passphrase2Valid: boolean,
+  passphraseError: string,
+  passphrase2Error: string,
+  submitButtonDisabled: boolean,
+  step: number,
+}
+
+const PASS_MIN_LENGTH = 4
+const MAX_ACCOUNT_COUNT = 20
+
+class CreateImportMnemonicWalletForm extends React.Component<Props, State> {
+  state = {
+    mnemonic: this.props.option === 'CREATE' ? generateMnemonic() : '',
+    backupConfirmed: false,
+    walletName: '',
+    accountCount: '1',
+    passphrase: '',
+    passphrase2: '',
+    passphraseValid: false,
+    passphrase2Valid: false,
+    passphraseError: '',
+    passphrase2Error: '',
+    submitButtonDisabled: false,
+    step: this.props.option === 'CREATE' ? 1 : 2,
+  }
+
+  createWalletAccounts = (e: SyntheticMouseEvent<*>) => {
+    e.preventDefault()
+    this.setState({ submitButtonDisabled: true })
+    const {
+      mnemonic,
+      walletName,
+      accountCount,
+      passphrase,
+      passphrase2,
+    } = this.state
+    const {
+      generateMnemonicWalletAccounts,
+      history,
+      authenticated,
+      chain,
+    } = this.props
+
+    generateMnemonicWalletAccounts({
+      mnemonic,
+      passphrase,
+      passphrase2,
+      walletName,
+      accountCount: Number(accountCount),
+      history,
+      authenticated,
+      onFailure: () => this.setState({ submitButtonDisabled: false }),
+      chain,
+    })
+  }
+
+  render = () => {
+    const { step } = this.state
+    const { intl, option } = this.props
+
+    return (
+      <Fragment>
+        <p className={styles.mnemonicInstructions}>
+          {intl.formatMessage({
+            id:
+              option === 'CREATE'
+                ? 'mnemonicCreateInstructions'
+                : 'mnemonicImportInstructions',
+          })}
+        </p>
+        <div id="createWallet" className={styles.flexContainer}>
+          {step === 1 ? this.renderMnemonic() : this.renderDetails()}
+        </div>
+      </Fragment>
+    )
+  }
+
+  renderMnemonic = () => {
+    const { mnemonic, backupConfirmed } = this.state
+
+    return (
+      <form className={styles.importWalletForm}>
+        <div className={styles.mnemonicWords}>
+          {splitMnemonic(mnemonic).map((word, index) => (
+            <span key={index}>
+              <small>{index + 1}</small>
+              {word}
+            </span>
+          ))}
+        </div>
+        <div className={styles.backupConfirmation}>
+          <CheckBox
+            checked={backupConfirmed}
+            onChange={() =>
+              this.setState(prevState => ({
+                backupConfirmed: !prevState.backupConfirmed,
+              }))
+            }
+            renderIcon={() => <CheckIcon />}
+          />
+          <FormattedMessage id="mnemonicBackupConfirmation" />
+        </div>
+        <div className={styles.loginButtonMargin}>
+          <Button
+            renderIcon={ForwardArrow}
+            shouldCenterButtonLabelText
+            primary
+            onClick={() => this.setState({ step: 2 })}
+            disabled={!backupConfirmed}
+          >
+            <FormattedMessage id="nextStep" />
+          </Button>
+        </div>
+      </form>
+    )
+  }
+
+  renderDetails = () => {
+    const {
+      mnemonic,
+      walletName,
+      accountCount,
+      passphraseError,
+      passphrase2Error,
+    } = this.state
+    const { intl, option } = this.props
+
+    return (
+      <form
+        className={styles.importWalletForm}
+        onSubmit={this.createWalletAccounts}
+      >
+        {option === 'IMPORT' && (
+          <PasswordInput
+            value={mnemonic}
+            label={intl.formatMessage({ id: 'recoveryPhraseLabel' })}
+            placeholder={intl.formatMessage({ id: 'recoveryPhraseLabel' })}
+            onChange={e => this.setState({ mnemonic: e.target.value })}
+            autoFocus
+          />
+        )}
+        <TextInput
+          value={walletName}
+          label={intl.formatMessage({ id: 'walletCreationWalletNameLabel' })}
+          placeholder={intl.formatMessage({
+            id: 'walletCreationWalletNamePlaceholder',
+          })}
+          onChange={e => this.setState({ walletName: e.target.value })}
+          autoFocus={option !== 'IMPORT'}
+        />
+        <TextInput
+          type="number"
+          min={1}
+          max={MAX_ACCOUNT_COUNT}
+          value={accountCount}
+          label={intl.formatMessage({ id: 'mnemonicAccountCountLabel' })}
+          onChange={e => this.setState({ accountCount: e.target.value })}
+        />
+        <PasswordInput
+          label={intl.formatMessage({
+            id: 'walletCreationWalletPasswordLabel',
+          })}
+          placeholder={intl.formatMessage({
+            id: 'walletCreationWalletPasswordPlaceholder',
+          })}
+          onChange={this.handleChangePassphrase}
+          error={passphraseError}
+        />
+        <PasswordInput
+          label={intl.formatMessage({
+            id: 'walletCreationWalletPasswordConfirmLabel',
+          })}
+          placeholder={intl.formatMessage({
+            id: 'walletCreationWalletPasswordConfirmPlaceholder',
+          })}
+          onChange={this.handleChangePassphrase2}
+          error={passphrase2Error}
+        />
+        <div className={styles.buttonContainer}>
+          {option === 'CREATE' && (
+            <Button
+              renderIcon={BackArrow}
+              shouldCenterButtonLabelText
+              onClick={() => this.setState({ step: 1 })}
+            >
+              <FormattedMessage id="previousStep" />
+            </Button>
+          )}
+          <Button
+            renderIcon={option === 'IMPORT' ? CheckIcon : AddIcon}
+            type="submit"
+            shouldCenterButtonLabelText
+            primary
+            disabled={this.isDisabled()}
+          >
+            <FormattedMessage
+              id={option === 'IMPORT' ? 'authImportWallet' : 'authCreateWallet'}
+            />
+          </Button>
+        </div>
+      </form>
+    )
+  }
+
+  handleChangePassphrase = (e: SyntheticInputEvent<HTMLInputElement>) => {
+    this.setState({ passphrase: e.target.value }, this.validatePassphrase)
+  }
+
+  handleChangePassphrase2 = (e: SyntheticInputEvent<HTMLInputElement>) => {
+    this.setState({ passphrase2: e.target.value }, this.validatePassphrase2)
+  }
+
+  validatePassphrase = () => {
+    const { passphrase: p } = this.state
+    const { intl } = this.props
+    // validate min char count
+    const errorMessage =
+      p && p.length < PASS_MIN_LENGTH
+        ? intl.formatMessage(
+            {
+              id: 'errors.password.length',
+            },
+            { PASS_MIN_LENGTH },
+          )
+        : ''
+    this.setState(
+      {
+        passphraseError: errorMessage,
+        passphraseValid: !!(p && !errorMessage),
+      },
+      this.validatePassphrase2,
+    )
+  }
+
+  validatePassphrase2 = () => {
+    const { passphrase: p1, passphrase2: p2, passphraseValid } = this.state
+    const { intl } = this.props
+    // validate phrases match
+    const errorMessage =
+      p1 && p2 && p1 !== p2 && passphraseValid
+        ? intl.formatMessage({ id: 'errors.password.match' })
+        : ''
+    this.setState({
+      passphrase2Error: errorMessage,
+      passphrase2Valid: !!(p2 && !errorMessage),
+    })
+  }
+
+  isDisabled = () => {
+    const {
+      mnemonic,
+      walletName,
+      accountCount,
+      passphraseValid,
+      passphrase2Valid,
+      submitButtonDisabled,
+    } = this.state
+    const count = Number(accountCount)
+    if (submitButtonDisabled) return true
+    return !(
+      passphraseValid &&
+      passphrase2Valid &&
+      !!walletName &&
+      !!mnemonic &&
+      Number.isInteger(count) &&
+      count >= 1 &&
+      count <= MAX_ACCOUNT_COUNT
+    )
+  }
+}
+
+// $FlowFixMe
+export default withRouter(injectIntl(CreateImportMnemonicWalletForm))
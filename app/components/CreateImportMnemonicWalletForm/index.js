@@ -0,0 +1,24 @@
+// @flow
+import { connect } from 'react-redux'
+import { bindActionCreators, compose } from 'redux'
+
+import CreateImportMnemonicWalletForm from './CreateImportMnemonicWalletForm'
+import { generateMnemonicWalletAccounts } from '../../modules/generateWallet'
+import withChainData from '../../hocs/withChainData'
+
+const actionCreators = {
+  generateMnemonicWalletAccounts,
+}
+
+const mapDispatchToProps = dispatch =>
+  bindActionCreators(actionCreators, dispatch)
+
+// $FlowFixMe
+export default compose(
+  // $FlowFixMe
+  connect(
+    null,
+    mapDispatchToProps,
+  ),
+  withChainData(),
+)(CreateImportMnemonicWalletForm)
@@ -9,6 +9,7 @@ import PasswordInput from '../Inputs/PasswordInput'
 import StyledReactSelect from '../Inputs/StyledReactSelect/StyledReactSelect'
 import TextInput from '../Inputs/TextInput'
 import Button from '../Button'
+import { getScryptParamsForKey } from '../../core/passphrase'
 import CheckIcon from '../../assets/icons/check.svg'
 import BackArrow from '../../assets/icons/arrow.svg'
 import ForwardArrow from '../../assets/icons/forward-arrow.svg'
@@ -94,6 +95,7 @@ class CreateImportSplitWalletForm extends React.Component<Props, State> {
       const key = await wallet.decryptAsync(
         accountInStorage.key,
         existingPassphrase,
+        await getScryptParamsForKey(accountInStorage.key, 'neo2'),
       )
       generateNewWalletAccount(
         passphrase,
@@ -122,8 +124,14 @@ class CreateImportSplitWalletForm extends React.Component<Props, State> {
         this.setState({ submitButtonDisabled: true })
         e.preventDefault()
 
-        wallet
-          .decryptAsync(accountInStorage.key, existingPassphrase)
+        getScryptParamsForKey(accountInStorage.key, 'neo2')
+          .then(scrypt =>
+            wallet.decryptAsync(
+              accountInStorage.key,
+              existingPassphrase,
+              scrypt,
+            ),
+          )
           .then(() => {
             if (keypart2 && !wallet.isWIF(keypart2)) {
               showErrorNotification({
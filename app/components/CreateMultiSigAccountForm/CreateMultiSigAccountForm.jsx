@@ -0,0 +1,142 @@
+// @flow
+import React, { Fragment } from 'react'
+import { withRouter } from 'react-router-dom'
+import { IntlShape, injectIntl, FormattedMessage } from 'react-intl'
+
+import TextInput from '../Inputs/TextInput'
+import Label from '../Inputs/Label'
+import Button from '../Button'
+import {
+  createMultiSigAccount as buildMultiSigAccount,
+  parsePublicKeys,
+} from '../../core/multisig'
+import CheckIcon from '../../assets/icons/check.svg'
+import styles from './CreateMultiSigAccountForm.scss'
+
+type Props = {
+  createMultiSigAccount: Function,
+  history: Object,
+  authenticated: boolean,
+  intl: IntlShape,
+}
+
+type State = {
+  walletName: string,
+  publicKeys: string,
+  threshold: string,
+  submitButtonDisabled: boolean,
+}
+
+class CreateMultiSigAccountForm extends React.Component<Props, State> {
+  state = {
+    walletName: '',
+    publicKeys: '',
+    threshold: '1',
+    submitButtonDisabled: false,
+  }
+
+  getPreviewAddress = (): ?string => {
+    const { walletName, publicKeys, threshold } = this.state
+    try {
+      return buildMultiSigAccount({
+        label: walletName,
+        threshold: Number(threshold),
+        publicKeys: parsePublicKeys(publicKeys),
+      }).address
+    } catch (e) {
+      return null
+    }
+  }
+
+  handleSubmit = (e: SyntheticEvent<*>) => {
+    e.preventDefault()
+    const { walletName, publicKeys, threshold } = this.state
+    const { createMultiSigAccount, history, authenticated } = this.props
+
+    this.setState({ submitButtonDisabled: true })
+    createMultiSigAccount({
+      label: walletName,
+      threshold: Number(threshold),
+      publicKeys: parsePublicKeys(publicKeys),
+      history,
+      authenticated,
+      onFailure: () => this.setState({ submitButtonDisabled: false }),
+    })
+  }
+
+  render() {
+    const {
+      walletName,
+      publicKeys,
+      threshold,
+      submitButtonDisabled,
+    } = this.state
+    const { intl } = this.props
+    const previewAddress = this.getPreviewAddress()
+    const keyCount = parsePublicKeys(publicKeys).length
+
+    return (
+      <Fragment>
+        <p className={styles.multiSigInstructions}>
+          <FormattedMessage id="multiSigInstructions" />
+        </p>
+        <div className={styles.flexContainer}>
+          <form className={styles.multiSigForm} onSubmit={this.handleSubmit}>
+            <TextInput
+              value={walletName}
+              label={intl.formatMessage({
+                id: 'walletCreationWalletNameLabel',
+              })}
+              placeholder={intl.formatMessage({
+                id: 'walletCreationWalletNamePlaceholder',
+              })}
+              onChange={e => this.setState({ walletName: e.target.value })}
+              autoFocus
+            />
+            <Label
+              label={intl.formatMessage({ id: 'multiSigPublicKeysLabel' })}
+            />
+            <textarea
+              className={styles.publicKeysInput}
+              value={publicKeys}
+              onChange={e => this.setState({ publicKeys: e.target.value })}
+            />
+            <TextInput
+              type="number"
+              min={1}
+              max={keyCount || 1}
+              value={threshold}
+              label={intl.formatMessage(
+                { id: 'multiSigThresholdLabel' },
+                { keyCount },
+              )}
+              onChange={e => this.setState({ threshold: e.target.value })}
+            />
+            {previewAddress && (
+              <div className={styles.addressPreview}>
+                <FormattedMessage id="multiSigAddressPreview" />
+                <code>{previewAddress}</code>
+              </div>
+            )}
+            <div className={styles.buttonContainer}>
+              <Button
+                renderIcon={CheckIcon}
+                type="submit"
+                shouldCenterButtonLabelText
+                primary
+                disabled={
+                  !previewAddress || !walletName || submitButtonDisabled
+                }
+              >
+                <FormattedMessage id="authImportWallet" />
+              </Button>
+            </div>
+          </form>
+        </div>
+      </Fragment>
+    )
+  }
+}
+
+// $FlowFixMe
+export default withRouter(injectIntl(CreateMultiSigAccountForm))
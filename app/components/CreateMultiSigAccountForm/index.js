@@ -0,0 +1,19 @@
+// @flow
+import { connect } from 'react-redux'
+import { bindActionCreators } from 'redux'
+
+import CreateMultiSigAccountForm from './CreateMultiSigAccountForm'
+import { createMultiSigAccount } from '../../modules/generateWallet'
+
+const actionCreators = {
+  createMultiSigAccount,
+}
+
+const mapDispatchToProps = dispatch =>
+  bindActionCreators(actionCreators, dispatch)
+
+// $FlowFixMe
+export default connect(
+  null,
+  mapDispatchToProps,
+)(CreateMultiSigAccountForm)
@@ -0,0 +1,295 @@
+// @flow
+import React, { Fragment } from 'react'
+import fs from 'fs'
+import { wallet } from '@cityofzion/neon-js'
+import { withRouter } from 'react-router-dom'
+import { uniq } from 'lodash-es'
+import { IntlShape, injectIntl, FormattedMessage } from 'react-intl'
+
+import TextInput from '../Inputs/TextInput'
+import PasswordInput from '../Inputs/PasswordInput'
+import Label from '../Inputs/Label'
+import Button from '../Button'
+import QrCodeScanner from '../QrCodeScanner'
+import {
+  combineShares,
+  isShareFile,
+  parseShare,
+  readShareFile,
+} from '../../core/shamir'
+import { MODAL_TYPES } from '../../core/constants'
+import { MIN_PASSPHRASE_LEN } from '../../core/wallet'
+import CheckIcon from '../../assets/icons/check.svg'
+import AddIcon from '../../assets/icons/add.svg'
+import GridIcon from '../../assets/icons/grid.svg'
+import Close from '../../assets/icons/close.svg'
+import styles from './ImportKeySharesForm.scss'
+
+const { dialog } = require('electron').remote
+
+type Props = {
+  generateNewWalletAccount: Function,
+  showModal: Function,
+  showErrorNotification: Object => any,
+  history: Object,
+  authenticated: boolean,
+  cameraAvailable: boolean,
+  chain: string,
+  intl: IntlShape,
+}
+
+type State = {
+  shares: string,
+  walletName: string,
+  passphrase: string,
+  passphrase2: string,
+  scannerActive: boolean,
+  submitButtonDisabled: boolean,
+}
+
+class ImportKeySharesForm extends React.Component<Props, State> {
+  state = {
+    shares: '',
+    walletName: '',
+    passphrase: '',
+    passphrase2: '',
+    scannerActive: false,
+    submitButtonDisabled: false,
+  }
+
+  getShares = (): Array<string> =>
+    uniq(
+      this.state.shares
+        .split(/\s+/)
+        .map(share => share.trim())
+        .filter(share => !!share),
+    )
+
+  getShareCount = (): ?{ count: number, threshold: number } => {
+    try {
+      const shares = this.getShares().map(parseShare)
+      if (!shares.length) return null
+      return {
+        count: uniq(shares.map(({ index }) => index)).length,
+        threshold: shares[0].threshold,
+      }
+    } catch (e) {
+      return null
+    }
+  }
+
+  getPassphraseError = (): string => {
+    const { passphrase } = this.state
+    const { intl } = this.props
+    return passphrase && passphrase.length < MIN_PASSPHRASE_LEN
+      ? intl.formatMessage(
+          { id: 'errors.password.length' },
+          { PASS_MIN_LENGTH: MIN_PASSPHRASE_LEN },
+        )
+      : ''
+  }
+
+  getPassphrase2Error = (): string => {
+    const { passphrase, passphrase2 } = this.state
+    const { intl } = this.props
+    return passphrase2 && passphrase !== passphrase2
+      ? intl.formatMessage({ id: 'errors.password.match' })
+      : ''
+  }
+
+  addShare = (share: string) => {
+    this.setState(({ shares }) => ({
+      shares: shares.trim() ? `${shares.trim()}\n${share}` : share,
+    }))
+  }
+
+  loadShareFile = async () => {
+    const { showModal, showErrorNotification } = this.props
+    const { canceled, filePaths } = await dialog.showOpenDialog({
+      filters: [{ name: 'JSON', extensions: ['json'] }],
+    })
+    if (canceled || !filePaths) return
+
+    fs.readFile(filePaths[0], 'utf-8', (err, data) => {
+      try {
+        if (err) throw err
+        const file = JSON.parse(data)
+        if (!isShareFile(file)) {
+          throw new Error('This is not a Neon key share file.')
+        }
+        showModal(MODAL_TYPES.BACKUP_PASSWORD, {
+          title: 'Load key share',
+          text: `Enter the password that was used to encrypt key share ${
+            file.index
+          }.`,
+          isNewPassword: false,
+          onConfirm: password => readShareFile(file, password),
+          onComplete: this.addShare,
+        })
+      } catch (e) {
+        showErrorNotification({
+          message: `An error occurred reading the file: ${e.message}`,
+        })
+      }
+    })
+  }
+
+  toggleScanner = () => {
+    this.setState(({ scannerActive }) => ({ scannerActive: !scannerActive }))
+  }
+
+  handleScan = (share: string) => {
+    this.addShare(share)
+    this.toggleScanner()
+  }
+
+  handleSubmit = (e: SyntheticEvent<*>) => {
+    e.preventDefault()
+    const { walletName, passphrase, passphrase2 } = this.state
+    const {
+      generateNewWalletAccount,
+      showErrorNotification,
+      history,
+      authenticated,
+      chain,
+    } = this.props
+
+    let wif
+    try {
+      wif = wallet.getWIFFromPrivateKey(combineShares(this.getShares()))
+    } catch (err) {
+      showErrorNotification({ message: err.message })
+      return
+    }
+
+    this.setState({ submitButtonDisabled: true })
+    generateNewWalletAccount(
+      passphrase,
+      passphrase2,
+      wif,
+      null,
+      'WIF',
+      history,
+      walletName,
+      authenticated,
+      () => this.setState({ submitButtonDisabled: false }),
+      chain,
+    )
+  }
+
+  isSubmitDisabled = () => {
+    const { walletName, passphrase, passphrase2 } = this.state
+    const shareCount = this.getShareCount()
+    return (
+      this.state.submitButtonDisabled ||
+      !walletName ||
+      !passphrase ||
+      passphrase !== passphrase2 ||
+      !!this.getPassphraseError() ||
+      !shareCount ||
+      shareCount.count < shareCount.threshold
+    )
+  }
+
+  render() {
+    const { walletName, shares, scannerActive } = this.state
+    const { intl, cameraAvailable } = this.props
+    const shareCount = this.getShareCount()
+
+    if (scannerActive) {
+      return (
+        <div className={styles.flexContainer}>
+          <div className={styles.scannerContainer}>
+            <QrCodeScanner
+              callback={this.handleScan}
+              width="316"
+              height="178"
+            />
+          </div>
+          <div className={styles.buttonContainer}>
+            <Button renderIcon={Close} onClick={this.toggleScanner} primary>
+              <FormattedMessage id="auth.cancel" />
+            </Button>
+          </div>
+        </div>
+      )
+    }
+
+    return (
+      <Fragment>
+        <p className={styles.keySharesInstructions}>
+          <FormattedMessage id="keySharesImportInstructions" />
+        </p>
+        <div className={styles.flexContainer}>
+          <form className={styles.keySharesForm} onSubmit={this.handleSubmit}>
+            <Label label={intl.formatMessage({ id: 'keySharesInputLabel' })} />
+            <textarea
+              className={styles.sharesInput}
+              value={shares}
+              onChange={e => this.setState({ shares: e.target.value })}
+            />
+            <div className={styles.shareActions}>
+              <span>
+                {shareCount && (
+                  <FormattedMessage id="keySharesCount" values={shareCount} />
+                )}
+              </span>
+              <div>
+                {cameraAvailable && (
+                  <Button renderIcon={GridIcon} onClick={this.toggleScanner}>
+                    <FormattedMessage id="keySharesScanQr" />
+                  </Button>
+                )}
+                <Button renderIcon={AddIcon} onClick={this.loadShareFile}>
+                  <FormattedMessage id="keySharesLoadFile" />
+                </Button>
+              </div>
+            </div>
+            <TextInput
+              value={walletName}
+              label={intl.formatMessage({
+                id: 'walletCreationWalletNameLabel',
+              })}
+              placeholder={intl.formatMessage({
+                id: 'walletCreationWalletNamePlaceholder',
+              })}
+              onChange={e => this.setState({ walletName: e.target.value })}
+            />
+            <PasswordInput
+              label={intl.formatMessage({ id: 'inputPasswordPlaceholder' })}
+              placeholder={intl.formatMessage({
+                id: 'inputPasswordPlaceholder',
+              })}
+              onChange={e => this.setState({ passphrase: e.target.value })}
+              error={this.getPassphraseError()}
+            />
+            <PasswordInput
+              label={intl.formatMessage({
+                id: 'walletCreationWalletPasswordConfirmPlaceholder',
+              })}
+              placeholder={intl.formatMessage({
+                id: 'walletCreationWalletPasswordConfirmPlaceholder',
+              })}
+              onChange={e => this.setState({ passphrase2: e.target.value })}
+              error={this.getPassphrase2Error()}
+            />
+            <div className={styles.buttonContainer}>
+              <Button
+                renderIcon={CheckIcon}
+                type="submit"
+                shouldCenterButtonLabelText
+                primary
+                disabled={this.isSubmitDisabled()}
+              >
+                <FormattedMessage id="authImportWallet" />
+              </Button>
+            </div>
+          </form>
+        </div>
+      </Fragment>
+    )
+  }
+}
+
+// $FlowFixMe
+export default withRouter(injectIntl(ImportKeySharesForm))
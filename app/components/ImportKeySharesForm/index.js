@@ -0,0 +1,29 @@
+// @flow
+import { compose } from 'recompose'
+import { connect } from 'react-redux'
+import { bindActionCreators } from 'redux'
+
+import ImportKeySharesForm from './ImportKeySharesForm'
+import { generateNewWalletAccount } from '../../modules/generateWallet'
+import { showErrorNotification } from '../../modules/notifications'
+import { showModal } from '../../modules/modal'
+import withChainData from '../../hocs/withChainData'
+import withCameraAvailability from '../../hocs/withCameraAvailability'
+
+const actionCreators = {
+  generateNewWalletAccount,
+  showErrorNotification,
+  showModal,
+}
+
+const mapDispatchToProps = dispatch =>
+  bindActionCreators(actionCreators, dispatch)
+
+export default compose(
+  connect(
+    null,
+    mapDispatchToProps,
+  ),
+  withChainData(),
+  withCameraAvailability,
+)(ImportKeySharesForm)
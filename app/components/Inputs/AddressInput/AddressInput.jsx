@@ -24,7 +24,7 @@ export default class AddressInput extends React.Component<Props> {
   }
 
   render = () => {
-    const passDownProps = omit(this.props, 'contacts', 'dispatch')
+    const passDownProps = omit(this.props, 'contacts', 'chain', 'dispatch')
 
     return (
       <SelectInput
@@ -1,9 +1,17 @@
 // @flow
+import { compose } from 'recompose'
 import { withData } from 'spunky'
 
 import AddressInput from './AddressInput'
 import contactsActions from '../../../actions/contactsActions'
+import withChainData from '../../../hocs/withChainData'
+import { getContactAddressBook } from '../../../core/contacts'
 
-const mapContactsDataToProps = (contacts: Object) => ({ contacts })
+const mapContactsDataToProps = (contacts: Object, { chain }: Object) => ({
+  contacts: getContactAddressBook(contacts, chain),
+})
 
-export default withData(contactsActions, mapContactsDataToProps)(AddressInput)
+export default compose(
+  withChainData(),
+  withData(contactsActions, mapContactsDataToProps),
+)(AddressInput)
@@ -0,0 +1,82 @@
+// @flow
+import React from 'react'
+import classNames from 'classnames'
+import { groupBy } from 'lodash-es'
+import { FormattedMessage } from 'react-intl'
+
+import DialogueBox from '../DialogueBox'
+import WarningIcon from '../../assets/icons/warning.svg'
+import { toBigNumber } from '../../core/math'
+import { type InvocationPreview as InvocationPreviewType } from '../../core/invocationPreview'
+import styles from './InvocationPreview.scss'
+
+type Props = {
+  preview: ?InvocationPreviewType,
+  address: string,
+}
+
+const formatAmount = (amount: string): string =>
+  toBigNumber(amount).gt(0) ? `+${amount}` : amount
+
+const InvocationPreview = ({ preview, address }: Props) => {
+  if (!preview) return null
+  const changesByAddress = groupBy(preview.balanceChanges, 'address')
+
+  return (
+    <div className={styles.invocationPreview}>
+      {preview.state === 'FAULT' && (
+        <DialogueBox
+          icon={<WarningIcon className={styles.warningIcon} />}
+          renderText={() => (
+            <div>
+              <FormattedMessage
+                id="invocationPreviewFault"
+                values={{ exception: preview.exception || '' }}
+              />
+            </div>
+          )}
+          className={styles.fault}
+        />
+      )}
+      <div className={styles.title}>
+        <FormattedMessage id="invocationPreviewTitle" />
+      </div>
+      {Object.keys(changesByAddress).map(changeAddress => (
+        <div key={changeAddress} className={styles.addressChanges}>
+          <div className={styles.address}>
+            {changeAddress === address ? (
+              <FormattedMessage id="invocationPreviewYou" />
+            ) : (
+              changeAddress
+            )}
+          </div>
+          {changesByAddress[changeAddress].map(change => (
+            <div key={change.contract} className={styles.change}>
+              <span
+                className={classNames({
+                  [styles.received]: toBigNumber(change.amount).gt(0),
+                  [styles.sent]: toBigNumber(change.amount).lt(0),
+                })}
+              >
+                {formatAmount(change.amount)} {change.symbol}
+              </span>
+              {!!change.tokenIds.length && (
+                <span className={styles.tokenIds}>
+                  {change.tokenIds.join(', ')}
+                </span>
+              )}
+            </div>
+          ))}
+        </div>
+      ))}
+      <div className={styles.gasBurned}>
+        <FormattedMessage
+          id="invocationPreviewGasBurned"
+          values={{ gas: preview.gasBurned }}
+        />
+      </div>
+    </div>
+  )
+}
+
+export default InvocationPreview
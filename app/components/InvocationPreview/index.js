@@ -0,0 +1,3 @@
+import InvocationPreview from './InvocationPreview'
+
+export default InvocationPreview
@@ -0,0 +1,170 @@
+// @flow
+import React from 'react'
+import classNames from 'classnames'
+import { omit, values } from 'lodash-es'
+
+import Button from '../Button'
+import {
+  discoverN3Accounts,
+  type DiscoveredAccount,
+} from '../../ledger/n3AccountDiscovery'
+import { verifyAddressOnDevice } from '../../ledger/n3NeonLedger'
+import ConfirmIcon from '../../assets/icons/confirm.svg'
+import styles from './LedgerAccountDiscovery.scss'
+
+type Props = {
+  net: string,
+  selectedKey: ?string,
+  onSelect: ({ account: number, key: string }) => any,
+}
+
+type State = {
+  accounts: Array<DiscoveredAccount>,
+  isScanning: boolean,
+  verifyingAccount: ?number,
+  verifiedAccounts: Array<number>,
+  error: ?string,
+}
+
+const formatBalances = (balances: Object) => {
+  const tokenCount = values(omit(balances, 'NEO', 'GAS')).length
+  const summary = `${balances.NEO || 0} NEO, ${balances.GAS || 0} GAS`
+  return tokenCount ? `${summary} +${tokenCount} tokens` : summary
+}
+
+export default class LedgerAccountDiscovery extends React.Component<
+  Props,
+  State,
+> {
+  state = {
+    accounts: [],
+    isScanning: false,
+    verifyingAccount: null,
+    verifiedAccounts: [],
+    error: null,
+  }
+
+  isUnmounted = false
+
+  componentWillUnmount() {
+    this.isUnmounted = true
+  }
+
+  render() {
+    const { accounts, isScanning, error } = this.state
+
+    return (
+      <div className={styles.discovery}>
+        <div className={styles.header}>
+          <span>
+            {isScanning
+              ? 'Scanning Ledger accounts…'
+              : `${accounts.length} account(s) found`}
+          </span>
+          <Button
+            className={styles.scanButton}
+            disabled={isScanning || this.state.verifyingAccount !== null}
+            onClick={this.scan}
+          >
+            {accounts.length ? 'Scan further' : 'Scan accounts'}
+          </Button>
+        </div>
+        {error && <div className={styles.error}>{error}</div>}
+        <div className={styles.accounts}>
+          {accounts.map(this.renderAccount)}
+        </div>
+      </div>
+    )
+  }
+
+  renderAccount = (discovered: DiscoveredAccount) => {
+    const { selectedKey, onSelect } = this.props
+    const { isScanning, verifyingAccount, verifiedAccounts } = this.state
+    const { account, key, address, isUsed, balances } = discovered
+    const isVerified = verifiedAccounts.includes(account)
+
+    return (
+      <div
+        key={account}
+        className={classNames(styles.account, {
+          [styles.selected]: selectedKey === key,
+        })}
+      >
+        <div className={styles.details}>
+          <div className={styles.address}>
+            #{account} {address}
+          </div>
+          <div className={styles.balances}>
+            {isUsed ? formatBalances(balances) : 'Unused'}
+            {isVerified && (
+              <span className={styles.verified}>
+                <ConfirmIcon /> Verified on device
+              </span>
+            )}
+          </div>
+        </div>
+        <div className={styles.actions}>
+          <a
+            className={classNames({
+              [styles.disabled]: isScanning || verifyingAccount !== null,
+            })}
+            onClick={() => this.verify(discovered)}
+          >
+            {verifyingAccount === account
+              ? 'Confirm on your Ledger…'
+              : 'Verify on device'}
+          </a>
+          <a onClick={() => onSelect({ account, key })}>Select</a>
+        </div>
+      </div>
+    )
+  }
+
+  scan = async () => {
+    const { net } = this.props
+    const { accounts } = this.state
+    const startAccount = accounts.length
+      ? accounts[accounts.length - 1].account + 1
+      : 0
+
+    this.setState({ isScanning: true, error: null })
+    try {
+      await discoverN3Accounts({
+        net,
+        startAccount,
+        onAccount: discovered => {
+          if (!this.isUnmounted) {
+            this.setState(state => ({
+              accounts: [...state.accounts, discovered],
+            }))
+          }
+        },
+      })
+    } catch (e) {
+      if (!this.isUnmounted) {
+        this.setState({
+          error: `The scan stopped before finding every account: ${e.message}`,
+        })
+      }
+    }
+    if (!this.isUnmounted) this.setState({ isScanning: false })
+  }
+
+  verify = async ({ account, address }: DiscoveredAccount) => {
+    const { isScanning, verifyingAccount } = this.state
+    if (isScanning || verifyingAccount !== null) return
+
+    this.setState({ verifyingAccount: account, error: null })
+    try {
+      await verifyAddressOnDevice(account, address)
+      if (!this.isUnmounted) {
+        this.setState(state => ({
+          verifiedAccounts: [...state.verifiedAccounts, account],
+        }))
+      }
+    } catch (e) {
+      if (!this.isUnmounted) this.setState({ error: e.message })
+    }
+    if (!this.isUnmounted) this.setState({ verifyingAccount: null })
+  }
+}
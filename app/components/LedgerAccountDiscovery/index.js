@@ -0,0 +1,7 @@
+// @flow
+import { compose } from 'recompose'
+
+import LedgerAccountDiscovery from './LedgerAccountDiscovery'
+import withNetworkData from '../../hocs/withNetworkData'
+
+export default compose(withNetworkData())(LedgerAccountDiscovery)
@@ -4,20 +4,20 @@ import { FormattedMessage } from 'react-intl'
 
 import BaseModal from '../BaseModal'
 import ContactForm from '../../Contacts/ContactForm'
+import { type Contact } from '../../../core/contacts'
 
 type Props = {
   address: string,
   hideModal: () => null,
   triggerSuccessNotification: (text: string) => void,
-  onSave: (name: string, address: string, chain: string) => any,
-  chain: string,
+  onSave: (contact: Contact) => any,
 }
 
 class AddContactModal extends Component<Props> {
-  handleSubmit = (name: string, address: string) => {
-    const { onSave, hideModal, triggerSuccessNotification, chain } = this.props
+  handleSubmit = (contact: Contact) => {
+    const { onSave, hideModal, triggerSuccessNotification } = this.props
 
-    onSave(name, address, chain)
+    onSave(contact)
     triggerSuccessNotification('Contact added.')
     hideModal()
   }
@@ -26,7 +26,7 @@ class AddContactModal extends Component<Props> {
     const { address, hideModal } = this.props
 
     return (
-      <BaseModal hideModal={hideModal} height="600px">
+      <BaseModal hideModal={hideModal} height="700px">
         <ContactForm
           showScanner
           formAddress={address}
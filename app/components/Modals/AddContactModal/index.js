@@ -1,18 +1,16 @@
 // @flow
 import { compose } from 'recompose'
 import { withActions } from 'spunky'
-import { trim } from 'lodash-es'
 import { connect } from 'react-redux'
 
 import { showSuccessNotification } from '../../../modules/notifications'
 
 import AddContactModal from './AddContactModal'
 import { addContactActions } from '../../../actions/contactsActions'
-import withChainData from '../../../hocs/withChainData'
+import { type Contact } from '../../../core/contacts'
 
 const mapContactActionsToProps = (actions: Object) => ({
-  onSave: (name: string, address: string, chain: string) =>
-    actions.call({ name: trim(name), address: trim(address), chain }),
+  onSave: (contact: Contact) => actions.call({ contact }),
 })
 
 const mapDispatchToProps = (dispatch: Function) => ({
@@ -26,6 +24,5 @@ export default compose(
     null,
     mapDispatchToProps,
   ),
-  withChainData(),
   withActions(addContactActions, mapContactActionsToProps),
 )(AddContactModal)
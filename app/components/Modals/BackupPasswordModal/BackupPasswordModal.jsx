@@ -0,0 +1,125 @@
+// @flow
+import React from 'react'
+import { FormattedMessage, IntlShape } from 'react-intl'
+
+import BaseModal from '../BaseModal'
+import Button from '../../Button'
+import PasswordInput from '../../Inputs/PasswordInput'
+import {
+  MIN_PASSPHRASE_LEN,
+  validatePassphraseLength,
+} from '../../../core/wallet'
+import styles from './BackupPasswordModal.scss'
+
+type Props = {
+  title: string,
+  text: string,
+  // a new password is entered twice, an existing one only once
+  isNewPassword: boolean,
+  onConfirm: (password: string) => Promise<any>,
+  onComplete: (result: any) => any,
+  hideModal: () => any,
+  intl: IntlShape,
+}
+
+type State = {
+  password: string,
+  confirmPassword: string,
+  error: ?string,
+  loading: boolean,
+}
+
+export default class BackupPasswordModal extends React.Component<Props, State> {
+  state = {
+    password: '',
+    confirmPassword: '',
+    error: null,
+    loading: false,
+  }
+
+  render() {
+    const { title, text, isNewPassword, hideModal } = this.props
+    const { password, confirmPassword, error, loading } = this.state
+
+    return (
+      <BaseModal
+        title={title}
+        hideModal={hideModal}
+        style={{ content: { width: '500px', height: 'auto' } }}
+      >
+        <form className={styles.contentContainer} onSubmit={this.handleSubmit}>
+          <p>{text}</p>
+          <PasswordInput
+            label="PASSWORD"
+            value={password}
+            disabled={loading}
+            onChange={e => this.setState({ password: e.target.value })}
+            autoFocus
+          />
+          {isNewPassword && (
+            <PasswordInput
+              label="CONFIRM PASSWORD"
+              value={confirmPassword}
+              disabled={loading}
+              onChange={e => this.setState({ confirmPassword: e.target.value })}
+            />
+          )}
+          {error && <div className={styles.error}>{error}</div>}
+          <div className={styles.modalFooter}>
+            <Button
+              id="confirmBackupPassword"
+              primary
+              type="submit"
+              disabled={
+                loading || !password || (isNewPassword && !confirmPassword)
+              }
+            >
+              <FormattedMessage id="modalActionConfirm" />
+            </Button>
+          </div>
+        </form>
+      </BaseModal>
+    )
+  }
+
+  validate = (): boolean => {
+    const { isNewPassword, intl } = this.props
+    const { password, confirmPassword } = this.state
+
+    if (!isNewPassword) return true
+    if (password !== confirmPassword) {
+      this.setState({
+        error: intl.formatMessage({ id: 'errors.password.match' }),
+      })
+      return false
+    }
+    if (!validatePassphraseLength(password)) {
+      this.setState({
+        error: intl.formatMessage(
+          { id: 'errors.password.length' },
+          { PASS_MIN_LENGTH: MIN_PASSPHRASE_LEN },
+        ),
+      })
+      return false
+    }
+    return true
+  }
+
+  handleSubmit = async (event: Object) => {
+    const { onConfirm, onComplete, hideModal } = this.props
+
+    event.preventDefault()
+    if (this.state.loading || !this.validate()) return
+
+    this.setState({ loading: true, error: null })
+    let result
+    try {
+      result = await onConfirm(this.state.password)
+    } catch (e) {
+      this.setState({ loading: false, error: e.message })
+      return
+    }
+    hideModal()
+    onComplete(result)
+  }
+}
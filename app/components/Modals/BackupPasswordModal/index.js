@@ -0,0 +1,6 @@
+// @flow
+import { injectIntl } from 'react-intl'
+
+import BackupPasswordModal from './BackupPasswordModal'
+
+export default injectIntl(BackupPasswordModal)
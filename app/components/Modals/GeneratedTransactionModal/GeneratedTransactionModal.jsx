@@ -14,6 +14,10 @@ import CopyIcon from '../../../assets/icons/copy.svg'
 import ConfirmIcon from '../../../assets/icons/confirm.svg'
 import SaveIcon from '../../../assets/icons/save-icon.svg'
 import Button from '../../Button'
+import {
+  SIGNING_CONTEXT_TYPE,
+  getSigningContextSummary,
+} from '../../../core/signingContext'
 
 const electron = require('electron').remote
 
@@ -92,8 +96,42 @@ export default class GeneratedTransactionModal extends React.Component<
     }
   }
 
+  renderN3Summary = () => {
+    const {
+      hash,
+      network,
+      validUntilBlock,
+      systemFee,
+      networkFee,
+    } = getSigningContextSummary(this.props.tx)
+
+    return (
+      <div className={baseStyles.section}>
+        <div className={baseStyles.sectionTitle}>TRANSACTION DETAILS</div>
+        <div className={styles.summary}>
+          <div>
+            Hash <code>{hash}</code>
+          </div>
+          <div>
+            Network magic <code>{network}</code>
+          </div>
+          <div>
+            Valid until block <code>{validUntilBlock}</code>
+          </div>
+          <div>
+            Fees{' '}
+            <code>
+              {systemFee} GAS system, {networkFee} GAS network
+            </code>
+          </div>
+        </div>
+      </div>
+    )
+  }
+
   render() {
-    const { hideModal } = this.props
+    const { hideModal, tx } = this.props
+    const isN3Transaction = tx && tx.type === SIGNING_CONTEXT_TYPE
 
     return (
       <BaseModal
@@ -114,11 +152,14 @@ export default class GeneratedTransactionModal extends React.Component<
 
           <div className={baseStyles.section}>
             <div className={baseStyles.sectionContent}>
-              Login with a private key, or ledger in order to sign and broadcast
-              to the network.
+              {isN3Transaction
+                ? 'Save the transaction and sign it with a private key, encrypted key or ledger using "Sign Transaction". The signed transaction can then be broadcast from any online wallet before it expires.'
+                : 'Login with a private key, or ledger in order to sign and broadcast to the network.'}
             </div>
           </div>
 
+          {isN3Transaction && this.renderN3Summary()}
+
           <div className={baseStyles.section}>
             <div className={baseStyles.sectionTitle}>TRANSACTION OUPUT</div>{' '}
             <div className={styles.transactionOutput}>
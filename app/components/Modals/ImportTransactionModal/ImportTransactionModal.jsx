@@ -8,6 +8,13 @@ import { isEmpty } from 'lodash-es'
 import fs from 'fs'
 
 import { getNode, getRPCEndpoint } from '../../../actions/nodeStorageActions'
+import {
+  parseSigningContext,
+  getSigningStatus,
+  isSigningContextComplete,
+  getSigningContextSummary,
+  type SigningContext,
+} from '../../../core/signingContext'
 import baseStyles from '../SendModal/SendModal.scss'
 import styles from './ImportTransactionModal.scss'
 import BaseModal from '../BaseModal'
@@ -44,6 +51,9 @@ type Props = {
   signingFunction?: () => void,
   publicKey?: string,
   isWatchOnly: boolean,
+  chain: string,
+  signN3SigningContext: SigningContext => Promise<SigningContext>,
+  broadcastN3SigningContext: SigningContext => Promise<string>,
 }
 
 type State = {
@@ -66,8 +76,6 @@ export default class GeneratedTransactionModal extends React.Component<
     loading: false,
   }
 
-  handleSave = async () => {}
-
   signTransaction = () => {
     try {
       const { Transaction } = tx
@@ -111,6 +119,48 @@ export default class GeneratedTransactionModal extends React.Component<
     }
   }
 
+  getSigningContext = (): ?SigningContext => {
+    try {
+      return parseSigningContext(this.state.transaction)
+    } catch (e) {
+      return null
+    }
+  }
+
+  signN3Transaction = async () => {
+    const { signN3SigningContext, showErrorNotification } = this.props
+    try {
+      const context = await signN3SigningContext(
+        parseSigningContext(this.state.transaction),
+      )
+      this.setState({ transaction: JSON.stringify(context, null, 2) })
+    } catch (error) {
+      showErrorNotification({
+        message: `An error occurred signing the transaction: ${error.message}`,
+      })
+    }
+  }
+
+  broadcastN3Transaction = async (context: SigningContext) => {
+    const {
+      broadcastN3SigningContext,
+      showErrorNotification,
+      hideModal,
+    } = this.props
+    this.setState({ loading: true })
+    try {
+      await broadcastN3SigningContext(context)
+      hideModal()
+    } catch (e) {
+      showErrorNotification({
+        message: `There was an issue broadcasting the transaction to the network... ${
+          e.message
+        }`,
+      })
+      this.setState({ loading: false })
+    }
+  }
+
   handleImport = async (isSignedRawTx: boolean = false) => {
     const { showErrorNotification } = this.props
     const { dialog } = electron
@@ -142,7 +192,7 @@ export default class GeneratedTransactionModal extends React.Component<
     }
   }
 
-  handleSave = async (isSignedRawTx: boolean = false) => {
+  handleSave = async (isSignedRawTx: boolean = false, content?: string) => {
     const { showSuccessNotification, showErrorNotification } = this.props
     const { dialog, app } = electron
     try {
@@ -164,9 +214,10 @@ export default class GeneratedTransactionModal extends React.Component<
           }
           fs.writeFile(
             fileName,
-            isSignedRawTx && this.state.signedTx
-              ? this.state.signedTx.serialize()
-              : JSON.stringify(this.props.tx),
+            content ||
+              (isSignedRawTx && this.state.signedTx
+                ? this.state.signedTx.serialize()
+                : JSON.stringify(this.props.tx)),
             errorWriting => {
               if (errorWriting) {
                 showErrorNotification({
@@ -220,6 +271,7 @@ export default class GeneratedTransactionModal extends React.Component<
   generateOptions = (): {
     signTransaction: { render: () => any, display: string },
     broadcastTransaction: { render: () => any, display: string },
+    signN3Transaction: { render: () => any, display: string },
   } => ({
     signTransaction: {
       render: () => {
@@ -340,13 +392,118 @@ export default class GeneratedTransactionModal extends React.Component<
       ),
       display: 'Add Signed Raw Transaction',
     },
+    signN3Transaction: {
+      render: () => {
+        const { isWatchOnly, isOfflineMode } = this.props
+        const context = this.getSigningContext()
+        const isComplete = !!context && isSigningContextComplete(context)
+
+        return (
+          <Fragment>
+            <div className={baseStyles.section}>
+              <textarea
+                value={this.state.transaction}
+                rows={context ? '12' : '17'}
+                className={styles.transactionInput}
+                onChange={e => this.setState({ transaction: e.target.value })}
+              />
+            </div>
+            {context && this.renderSigningStatus(context)}
+            <div className={styles.n3ButtonContainer}>
+              <Button
+                shouldCenterButtonLabelText
+                className={styles.submitButton}
+                renderIcon={() => <ImportIcon />}
+                type="submit"
+                onClick={() => this.handleImport()}
+              >
+                Import File
+              </Button>
+              {context && (
+                <Button
+                  shouldCenterButtonLabelText
+                  className={styles.submitButton}
+                  renderIcon={() => <SaveIcon />}
+                  type="submit"
+                  onClick={() => this.handleSave(false, this.state.transaction)}
+                >
+                  Save
+                </Button>
+              )}
+              {!isWatchOnly &&
+                !isComplete && (
+                  <Button
+                    shouldCenterButtonLabelText
+                    primary
+                    className={styles.submitButton}
+                    renderIcon={() => <ConfirmIcon />}
+                    type="submit"
+                    disabled={!context}
+                    onClick={this.signN3Transaction}
+                  >
+                    Sign Transaction
+                  </Button>
+                )}
+              {context &&
+                isComplete &&
+                !isOfflineMode && (
+                  <Button
+                    shouldCenterButtonLabelText
+                    primary
+                    className={styles.submitButton}
+                    renderIcon={() => <ConfirmIcon />}
+                    type="submit"
+                    onClick={() => this.broadcastN3Transaction(context)}
+                  >
+                    Broadcast Transaction
+                  </Button>
+                )}
+            </div>
+          </Fragment>
+        )
+      },
+      display: 'Sign Transaction',
+    },
   })
 
+  renderSigningStatus = (context: SigningContext) => {
+    const {
+      network,
+      validUntilBlock,
+      systemFee,
+      networkFee,
+    } = getSigningContextSummary(context)
+
+    return (
+      <div className={styles.signingStatus}>
+        {getSigningStatus(context).map(status => (
+          <div key={status.scriptHash}>
+            <code>{status.address}</code>
+            <span>
+              {status.signedBy.length} / {status.threshold} signatures
+            </span>
+          </div>
+        ))}
+        <div>
+          <span>
+            Network {network}, valid until block {validUntilBlock}
+          </span>
+          <span>
+            {systemFee} + {networkFee} GAS fees
+          </span>
+        </div>
+      </div>
+    )
+  }
+
   tabOptions = (): Array<{
     render: () => any,
     display: string,
   }> => {
-    const { isOfflineMode, isWatchOnly } = this.props
+    const { isOfflineMode, isWatchOnly, chain } = this.props
+    if (chain === 'neo3') {
+      return [this.generateOptions().signN3Transaction]
+    }
     if (isOfflineMode) {
       return [this.generateOptions().signTransaction]
     }
@@ -11,9 +11,14 @@ import {
   showInfoNotification,
   hideNotification,
 } from '../../../modules/notifications'
+import {
+  signN3SigningContext,
+  broadcastN3SigningContext,
+} from '../../../modules/transactions'
 import withAuthData from '../../../hocs/withAuthData'
 import withNetworkData from '../../../hocs/withNetworkData'
 import withThemeData from '../../../hocs/withThemeData'
+import withChainData from '../../../hocs/withChainData'
 import { internetConnectionPromptPresented } from '../../../actions/internetConnectivityPromptActions'
 
 const actionCreators = {
@@ -21,6 +26,8 @@ const actionCreators = {
   showSuccessNotification,
   showInfoNotification,
   hideNotification,
+  signN3SigningContext,
+  broadcastN3SigningContext,
 }
 
 const mapDispatchToProps = dispatch =>
@@ -34,5 +41,6 @@ export default compose(
   withAuthData(),
   withNetworkData(),
   withThemeData(),
+  withChainData(),
   withData(internetConnectionPromptPresented),
 )(ImportTransactionModal)
@@ -19,13 +19,17 @@ type Props = {
   hideModal: Function,
   address: string,
   asset: string,
+  // the symbol of the asset, for tokens the wallet knows only on N3
+  symbol?: string,
   amount: string,
   description: string,
+  fee?: string,
 }
 
 type State = {
   loading: boolean,
   copied: boolean,
+  uri: string,
 }
 
 export default class ReceiveModal extends React.Component<Props, State> {
@@ -38,6 +42,7 @@ export default class ReceiveModal extends React.Component<Props, State> {
   state = {
     loading: true,
     copied: false,
+    uri: '',
   }
 
   handleCopyIcon = () => {
@@ -48,7 +53,7 @@ export default class ReceiveModal extends React.Component<Props, State> {
   }
 
   componentDidMount() {
-    const { address, asset, amount, description } = this.props
+    const { address, asset, symbol, amount, description, fee } = this.props
 
     const qrCode = new Nep9QrGenerator({
       nep9Data: {
@@ -56,8 +61,12 @@ export default class ReceiveModal extends React.Component<Props, State> {
         asset,
         amount,
         description,
+        fee,
       },
+      symbol,
     })
+    // $FlowFixMe
+    this.setState({ uri: qrCode.uri })
 
     qrCode.toDataURL().then(imgData => {
       if (this.image) this.image.src = imgData
@@ -66,19 +75,29 @@ export default class ReceiveModal extends React.Component<Props, State> {
   }
 
   render() {
-    const { hideModal, address, asset, amount, description } = this.props
-
-    const { loading } = this.state
+    const {
+      hideModal,
+      address,
+      asset,
+      symbol,
+      amount,
+      description,
+      fee,
+    } = this.props
+
+    const { loading, uri } = this.state
 
     const tokensList: Array<any> = Object.values(TOKENS)
 
-    const assetSymbol = ASSETS[asset]
-      ? asset
-      : tokensList.reduce(
-          (accum, token) =>
-            token.networks['1'].hash === asset ? token.symbol : accum,
-          asset,
-        )
+    const assetSymbol =
+      symbol ||
+      (ASSETS[asset]
+        ? asset
+        : tokensList.reduce(
+            (accum, token) =>
+              token.networks['1'].hash === asset ? token.symbol : accum,
+            asset,
+          ))
     return (
       <BaseModal
         title="Your QR Code"
@@ -125,6 +144,15 @@ export default class ReceiveModal extends React.Component<Props, State> {
                 </label>
                 {description || '(No Reference)'}
               </div>
+              {fee && (
+                <div className={styles.assetAmount}>
+                  <label>
+                    <FormattedMessage id="requestAssetsFeeLabel" />:{' '}
+                  </label>
+                  {fee} GAS
+                </div>
+              )}
+              <div className={styles.uri}>{uri}</div>
             </div>
           </div>
 
@@ -165,6 +193,14 @@ export default class ReceiveModal extends React.Component<Props, State> {
             >
               <FormattedMessage id="receiveCopyCodeButton" />
             </Button>
+            <Button
+              shouldCenterButtonLabelText
+              className={styles.submitButton}
+              renderIcon={() => <CopyIcon />}
+              onClick={() => clipboard.writeText(uri)}
+            >
+              <FormattedMessage id="receiveCopyLinkButton" />
+            </Button>
           </div>
         </div>
       </BaseModal>
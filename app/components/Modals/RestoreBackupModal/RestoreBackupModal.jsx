@@ -0,0 +1,202 @@
+// @flow
+import React from 'react'
+import classNames from 'classnames'
+import { groupBy } from 'lodash-es'
+
+import BaseModal from '../BaseModal'
+import Button from '../../Button'
+import Loading from '../../../containers/App/Loading'
+import {
+  getRestorePreview,
+  restoreBackup,
+  type BackupData,
+  type RestoreAction,
+  type RestoreItem,
+} from '../../../core/backup'
+import ConfirmIcon from '../../../assets/icons/confirm.svg'
+import styles from './RestoreBackupModal.scss'
+
+type Props = {
+  backup: BackupData,
+  onRestore: ({ wallets: { [chain: string]: Object } }) => any,
+  hideModal: () => any,
+  showErrorNotification: ({ message: string }) => any,
+  reloadSettings: () => any,
+  theme: string,
+}
+
+type State = {
+  items: ?Array<RestoreItem>,
+  loading: boolean,
+}
+
+const CHAIN_NAMES = { neo2: 'Neo Legacy', neo3: 'Neo N3' }
+
+const ACTION_LABELS = {
+  import: 'Import',
+  merge: 'Merge',
+  rename: 'Rename',
+  skip: 'Skip',
+}
+
+const getGroupTitle = (item: RestoreItem): string => {
+  const chain = item.chain ? ` (${CHAIN_NAMES[item.chain]})` : ''
+  switch (item.category) {
+    case 'account':
+      return `Accounts${chain}`
+    case 'contact':
+      return `Contacts${chain}`
+    case 'token':
+      return 'Custom tokens'
+    case 'node':
+      return 'Selected nodes'
+    default:
+      return 'Settings'
+  }
+}
+
+const getConflictText = (item: RestoreItem): ?string => {
+  switch (item.conflict) {
+    case 'address':
+      return 'This account already exists.'
+    case 'label':
+      return `The name is already used, a copy is named "${item.renameTo ||
+        ''}".`
+    case 'exists':
+      return item.actions.includes('merge')
+        ? 'Merging replaces the current value.'
+        : 'This is already stored.'
+    default:
+      return null
+  }
+}
+
+export default class RestoreBackupModal extends React.Component<Props, State> {
+  state = {
+    items: null,
+    loading: false,
+  }
+
+  async componentDidMount() {
+    const { backup, hideModal, showErrorNotification } = this.props
+    try {
+      this.setState({ items: await getRestorePreview(backup) })
+    } catch (e) {
+      hideModal()
+      showErrorNotification({
+        message: `An error occurred reading the backup: ${e.message}`,
+      })
+    }
+  }
+
+  render() {
+    const { hideModal, theme } = this.props
+    const { items, loading } = this.state
+
+    return (
+      <BaseModal
+        title="Restore backup"
+        hideModal={hideModal}
+        style={{ content: { width: '700px', height: '600px' } }}
+      >
+        <div className={styles.contentContainer}>
+          {items ? (
+            this.renderItems(items)
+          ) : (
+            <Loading theme={theme} nobackground />
+          )}
+          <div className={styles.modalFooter}>
+            <Button
+              id="restoreBackup"
+              primary
+              renderIcon={ConfirmIcon}
+              disabled={!items || loading}
+              onClick={this.handleRestore}
+            >
+              Restore
+            </Button>
+          </div>
+        </div>
+      </BaseModal>
+    )
+  }
+
+  renderItems = (items: Array<RestoreItem>) => {
+    if (!items.length) {
+      return <div className={styles.items}>The backup is empty.</div>
+    }
+    const groups = groupBy(items, getGroupTitle)
+    return (
+      <div className={styles.items}>
+        {Object.keys(groups).map(title => (
+          <div key={title} className={styles.group}>
+            <h3>{title}</h3>
+            {groups[title].map(this.renderItem)}
+          </div>
+        ))}
+      </div>
+    )
+  }
+
+  renderItem = (item: RestoreItem) => {
+    const conflict = getConflictText(item)
+    return (
+      <div key={item.id} className={styles.item}>
+        <div className={styles.itemDetails}>
+          <div className={styles.itemLabel}>{item.label}</div>
+          <div className={styles.itemDescription}>{item.description}</div>
+          {conflict && <div className={styles.conflict}>{conflict}</div>}
+        </div>
+        <div className={styles.actions}>
+          {item.actions.map(action => (
+            <button
+              key={action}
+              type="button"
+              className={classNames(styles.action, {
+                [styles.selectedAction]: item.action === action,
+              })}
+              onClick={() => this.setAction(item.id, action)}
+            >
+              {ACTION_LABELS[action]}
+            </button>
+          ))}
+        </div>
+      </div>
+    )
+  }
+
+  setAction = (id: string, action: RestoreAction) => {
+    const { items } = this.state
+    if (!items) return
+    this.setState({
+      items: items.map(item => (item.id === id ? { ...item, action } : item)),
+    })
+  }
+
+  handleRestore = async () => {
+    const {
+      backup,
+      onRestore,
+      hideModal,
+      showErrorNotification,
+      reloadSettings,
+    } = this.props
+    const { items } = this.state
+    if (!items) return
+
+    this.setState({ loading: true })
+    let result
+    try {
+      result = await restoreBackup(backup, items)
+    } catch (e) {
+      this.setState({ loading: false })
+      showErrorNotification({
+        message: `An error occurred restoring the backup: ${e.message}`,
+      })
+      return
+    }
+    hideModal()
+    reloadSettings()
+    onRestore(result)
+  }
+}
@@ -0,0 +1,30 @@
+// @flow
+import { compose } from 'recompose'
+import { bindActionCreators } from 'redux'
+import { connect } from 'react-redux'
+import { withActions } from 'spunky'
+
+import RestoreBackupModal from './RestoreBackupModal'
+import { showErrorNotification } from '../../../modules/notifications'
+import settingsActions from '../../../actions/settingsActions'
+import withThemeData from '../../../hocs/withThemeData'
+
+const actionCreators = {
+  showErrorNotification,
+}
+
+const mapDispatchToProps = dispatch =>
+  bindActionCreators(actionCreators, dispatch)
+
+const mapSettingsActionsToProps = actions => ({
+  reloadSettings: () => actions.call({}),
+})
+
+export default compose(
+  connect(
+    null,
+    mapDispatchToProps,
+  ),
+  withActions(settingsActions, mapSettingsActionsToProps),
+  withThemeData(),
+)(RestoreBackupModal)
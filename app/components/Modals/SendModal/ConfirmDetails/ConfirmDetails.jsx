@@ -43,10 +43,24 @@ export default class ConfirmDetails extends React.Component<Props> {
               <div>{this.getRecipientData('address')}</div>
             </div>
 
+            {this.props.recipientData.name && (
+              <div className={styles.detailGroup}>
+                <div className={styles.detailName}>Name:</div>
+                <div>{this.props.recipientData.name}</div>
+              </div>
+            )}
+
             <div className={styles.detailGroup}>
               <div className={styles.detailName}>Reference:</div>
               <div>{this.getRecipientData('reference')}</div>
             </div>
+
+            {this.props.recipientData.fee && (
+              <div className={styles.detailGroup}>
+                <div className={styles.detailName}>Fee:</div>
+                <div>{this.props.recipientData.fee} GAS</div>
+              </div>
+            )}
           </div>
         </div>
         <div className={styles.scanButtonContainer}>
@@ -0,0 +1,195 @@
+// @flow
+import React from 'react'
+import { FormattedMessage, IntlShape } from 'react-intl'
+
+import BaseModal from '../BaseModal'
+import Button from '../../Button'
+import PasswordInput from '../../Inputs/PasswordInput'
+import {
+  changeStoragePassword,
+  disableStorageEncryption,
+  enableStorageEncryption,
+} from '../../../core/storage'
+import {
+  MIN_PASSPHRASE_LEN,
+  validatePassphraseLength,
+} from '../../../core/wallet'
+import styles from './StoragePasswordModal.scss'
+
+type Props = {
+  isEncrypted: boolean,
+  onComplete: (isEncrypted: boolean) => any,
+  hideModal: () => any,
+  showErrorNotification: ({ message: string }) => any,
+  showSuccessNotification: ({ message: string }) => any,
+  intl: IntlShape,
+}
+
+type State = {
+  currentPassword: string,
+  newPassword: string,
+  confirmPassword: string,
+  error: ?string,
+  loading: boolean,
+}
+
+export default class StoragePasswordModal extends React.Component<
+  Props,
+  State,
+> {
+  state = {
+    currentPassword: '',
+    newPassword: '',
+    confirmPassword: '',
+    error: null,
+    loading: false,
+  }
+
+  render() {
+    const { isEncrypted, hideModal } = this.props
+    const {
+      currentPassword,
+      newPassword,
+      confirmPassword,
+      error,
+      loading,
+    } = this.state
+
+    return (
+      <BaseModal
+        title={isEncrypted ? 'Change master password' : 'Set master password'}
+        hideModal={hideModal}
+        style={{ content: { width: '500px', height: 'auto' } }}
+      >
+        <form className={styles.contentContainer} onSubmit={this.handleSubmit}>
+          <p>
+            {isEncrypted
+              ? 'Everything Neon stores will be encrypted again with the new master password. Removing the master password stores it unencrypted again.'
+              : 'Everything Neon stores on this computer, including wallets, contacts and settings, will be encrypted. The master password is required every time Neon starts and can not be recovered if it is lost.'}
+          </p>
+          {isEncrypted && (
+            <PasswordInput
+              label="CURRENT MASTER PASSWORD"
+              value={currentPassword}
+              disabled={loading}
+              onChange={e => this.setState({ currentPassword: e.target.value })}
+              autoFocus
+            />
+          )}
+          <PasswordInput
+            label="NEW MASTER PASSWORD"
+            value={newPassword}
+            disabled={loading}
+            onChange={e => this.setState({ newPassword: e.target.value })}
+            autoFocus={!isEncrypted}
+          />
+          <PasswordInput
+            label="CONFIRM MASTER PASSWORD"
+            value={confirmPassword}
+            disabled={loading}
+            onChange={e => this.setState({ confirmPassword: e.target.value })}
+          />
+          {error && <div className={styles.error}>{error}</div>}
+          <div className={styles.modalFooter}>
+            {isEncrypted && (
+              <Button
+                id="removeMasterPassword"
+                disabled={loading || !currentPassword}
+                onClick={this.handleDisable}
+              >
+                Remove master password
+              </Button>
+            )}
+            <Button
+              id="saveMasterPassword"
+              primary
+              type="submit"
+              disabled={
+                loading ||
+                !newPassword ||
+                !confirmPassword ||
+                (isEncrypted && !currentPassword)
+              }
+            >
+              <FormattedMessage id="modalActionConfirm" />
+            </Button>
+          </div>
+        </form>
+      </BaseModal>
+    )
+  }
+
+  validate = (): boolean => {
+    const { intl } = this.props
+    const { newPassword, confirmPassword } = this.state
+
+    if (newPassword !== confirmPassword) {
+      this.setState({
+        error: intl.formatMessage({ id: 'errors.password.match' }),
+      })
+      return false
+    }
+    if (!validatePassphraseLength(newPassword)) {
+      this.setState({
+        error: intl.formatMessage(
+          { id: 'errors.password.length' },
+          { PASS_MIN_LENGTH: MIN_PASSPHRASE_LEN },
+        ),
+      })
+      return false
+    }
+    return true
+  }
+
+  run = async (
+    update: () => Promise<void>,
+    message: string,
+    isEncrypted: boolean,
+  ) => {
+    const {
+      onComplete,
+      hideModal,
+      showSuccessNotification,
+      showErrorNotification,
+    } = this.props
+
+    this.setState({ loading: true, error: null })
+    try {
+      await update()
+    } catch (e) {
+      this.setState({ loading: false })
+      showErrorNotification({
+        message: `An error occurred updating the master password: ${e.message}`,
+      })
+      return
+    }
+    showSuccessNotification({ message })
+    hideModal()
+    onComplete(isEncrypted)
+  }
+
+  enable = () => enableStorageEncryption(this.state.newPassword)
+
+  change = () =>
+    changeStoragePassword(this.state.currentPassword, this.state.newPassword)
+
+  disable = () => disableStorageEncryption(this.state.currentPassword)
+
+  handleSubmit = (event: Object) => {
+    const { isEncrypted } = this.props
+
+    event.preventDefault()
+    if (this.state.loading || !this.validate()) return
+
+    if (isEncrypted) {
+      this.run(this.change, 'The master password was changed.', true)
+    } else {
+      this.run(this.enable, 'The master password was set.', true)
+    }
+  }
+
+  handleDisable = () => {
+    if (this.state.loading) return
+    this.run(this.disable, 'The master password was removed.', false)
+  }
+}
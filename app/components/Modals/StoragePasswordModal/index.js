@@ -0,0 +1,27 @@
+// @flow
+import { compose } from 'recompose'
+import { bindActionCreators } from 'redux'
+import { connect } from 'react-redux'
+import { injectIntl } from 'react-intl'
+
+import StoragePasswordModal from './StoragePasswordModal'
+import {
+  showErrorNotification,
+  showSuccessNotification,
+} from '../../../modules/notifications'
+
+const actionCreators = {
+  showErrorNotification,
+  showSuccessNotification,
+}
+
+const mapDispatchToProps = dispatch =>
+  bindActionCreators(actionCreators, dispatch)
+
+export default compose(
+  connect(
+    null,
+    mapDispatchToProps,
+  ),
+  injectIntl,
+)(StoragePasswordModal)
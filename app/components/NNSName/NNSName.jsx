@@ -0,0 +1,40 @@
+// @flow
+import React, { useEffect, useState } from 'react'
+import classNames from 'classnames'
+
+import { lookupNNSName } from '../../core/nns'
+
+import styles from './NNSName.scss'
+
+type Props = {
+  address: string,
+  chain: string,
+  net: string,
+  className?: string,
+}
+
+// shows the NNS name that resolves to an address, nothing while it is looked
+// up or when the address has no name
+export default function NNSName({ address, chain, net, className }: Props) {
+  const [name, setName] = useState(null)
+
+  useEffect(
+    () => {
+      let isMounted = true
+      setName(null)
+      if (chain === 'neo3' && address) {
+        lookupNNSName(address, net).then(result => {
+          if (isMounted) setName(result)
+        })
+      }
+      return () => {
+        isMounted = false
+      }
+    },
+    [address, chain, net],
+  )
+
+  return name ? (
+    <span className={classNames(styles.nnsName, className)}>{name}</span>
+  ) : null
+}
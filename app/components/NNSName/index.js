@@ -0,0 +1,11 @@
+// @flow
+import { compose } from 'recompose'
+
+import NNSName from './NNSName'
+import withChainData from '../../hocs/withChainData'
+import withNetworkData from '../../hocs/withNetworkData'
+
+export default compose(
+  withChainData(),
+  withNetworkData(),
+)(NNSName)
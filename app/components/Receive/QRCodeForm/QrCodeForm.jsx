@@ -1,7 +1,7 @@
 // @flow
 import React from 'react'
 import classNames from 'classnames'
-import { get } from 'lodash-es'
+import { get, mapValues } from 'lodash-es'
 import { IntlShape, FormattedMessage } from 'react-intl'
 
 import AssetInput from '../../Inputs/AssetInput'
@@ -20,6 +20,8 @@ type Props = {
   address: string,
   onSubmit: Function,
   networkId: string,
+  chain: string,
+  tokens: Array<TokenItemType>,
   intl: IntlShape,
 }
 
@@ -27,23 +29,35 @@ type State = {
   asset: ?string,
   amount: ?number | ?string,
   description: ?string,
+  fee: ?string,
   error: ?string,
 }
 
+type RequestTokens = {
+  [symbol: string]: { hash: string, decimals: number },
+}
+
 export default class QRCodeForm extends React.Component<Props, State> {
   image: ?HTMLImageElement
 
+  static defaultProps = {
+    chain: 'neo2',
+    tokens: [],
+  }
+
   state = {
     asset: ASSETS.NEO,
     amount: undefined,
     description: undefined,
+    fee: undefined,
     error: undefined,
   }
 
   render() {
-    const { className, address, onSubmit, intl } = this.props
-    const { asset, amount, description } = this.state
-    const symbols = [ASSETS.NEO, ASSETS.GAS, ...Object.keys(TOKENS)]
+    const { className, address, onSubmit, intl, chain } = this.props
+    const { asset, amount, description, fee } = this.state
+    const requestTokens = this.getRequestTokens()
+    const symbols = [ASSETS.NEO, ASSETS.GAS, ...Object.keys(requestTokens)]
 
     return (
       <div className={classNames(styles.receivePanel, className)}>
@@ -51,12 +65,14 @@ export default class QRCodeForm extends React.Component<Props, State> {
           className={styles.form}
           onSubmit={() => {
             if (this.validateForm()) {
+              const requestToken = asset ? requestTokens[asset] : null
               onSubmit({
                 address,
-                asset:
-                  (TOKENS[asset] && TOKENS[asset].networks['1'].hash) || asset,
+                asset: (requestToken && requestToken.hash) || asset,
+                symbol: asset,
                 amount,
                 description,
+                fee: chain === 'neo3' ? fee : undefined,
               })
             }
           }}
@@ -114,6 +130,23 @@ export default class QRCodeForm extends React.Component<Props, State> {
               onChange={e => this.setState({ description: e.target.value })}
             />
           </div>
+          {chain === 'neo3' && (
+            <div className={styles.rowContainer}>
+              <div className={styles.inputDescription}>
+                <FormattedMessage id="requestAssetFee" />
+              </div>
+              <NumberInput
+                value={fee}
+                placeholder={intl.formatMessage({
+                  id: 'requestAssetFeePlaceholder',
+                })}
+                options={{
+                  numeralDecimalScale: 8,
+                }}
+                onChange={e => this.setState({ fee: e.target.rawValue })}
+              />
+            </div>
+          )}
           <Button
             primary
             shouldCenterButtonLabelText
@@ -129,9 +162,33 @@ export default class QRCodeForm extends React.Component<Props, State> {
     )
   }
 
+  // the tokens besides NEO and GAS a payment can be requested in, N3 tokens
+  // come from the settings of the network
+  getRequestTokens = (): RequestTokens => {
+    const { chain, tokens, networkId } = this.props
+    if (chain === 'neo3') {
+      return tokens
+        .filter(({ symbol }) => symbol !== ASSETS.NEO && symbol !== ASSETS.GAS)
+        .reduce((accum, { symbol, scriptHash, decimals }) => {
+          if (!symbol) return accum
+          return {
+            ...accum,
+            [symbol]: {
+              hash: `0x${scriptHash.replace(/^0x/, '')}`,
+              decimals: decimals === undefined ? 8 : decimals,
+            },
+          }
+        }, {})
+    }
+    return mapValues(TOKENS, token => ({
+      hash: token.networks['1'].hash,
+      decimals: get(token, `networks.${networkId}.decimals`, 8),
+    }))
+  }
+
   validateForm = () => {
     const { amount, asset } = this.state
-    const { networkId, intl } = this.props
+    const { intl } = this.props
 
     let valid = false
 
@@ -140,11 +197,7 @@ export default class QRCodeForm extends React.Component<Props, State> {
       const decpoint =
         amountNum.toString().length - 1 - amountNum.toString().indexOf('.')
 
-      let validDecimals = get(
-        TOKENS[asset],
-        `networks.${networkId}.decimals`,
-        8,
-      )
+      let validDecimals = get(this.getRequestTokens(), [asset, 'decimals'], 8)
 
       if (asset === 'NEO') validDecimals = 0
 
@@ -190,9 +243,8 @@ export default class QRCodeForm extends React.Component<Props, State> {
 
   determineDecimalScale = () => {
     const { asset } = this.state
-    const { networkId } = this.props
     if (asset === ASSETS.NEO) return 0
-    if (asset === ASSETS.GAS) return 8
-    return get(TOKENS[this.state.asset], `networks.${networkId}.decimals`, 8)
+    if (!asset || asset === ASSETS.GAS) return 8
+    return get(this.getRequestTokens(), [asset, 'decimals'], 8)
   }
 }
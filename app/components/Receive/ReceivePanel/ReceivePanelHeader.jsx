@@ -8,9 +8,15 @@ import styles from './styles.scss'
 
 type Props = {
   address: string,
+  onVerifyAddress?: () => any,
+  isVerifyingAddress?: boolean,
 }
 
-const ReceivePanelHeader = ({ address }: Props) => (
+const ReceivePanelHeader = ({
+  address,
+  onVerifyAddress,
+  isVerifyingAddress,
+}: Props) => (
   <section className={styles.receivePanelHeader}>
     <div className={styles.receivePanelHeaderInfo}>
       <FormattedMessage id="recieveSelectMethod" />
@@ -21,6 +27,13 @@ const ReceivePanelHeader = ({ address }: Props) => (
       </div>
       <div className={styles.address}>{address}</div>
       <CopyToClipboard className={styles.copy} text={address} />
+      {onVerifyAddress && (
+        <a className={styles.verifyAddress} onClick={onVerifyAddress}>
+          {isVerifyingAddress
+            ? 'Confirm the address on your Ledger…'
+            : 'Verify on Ledger'}
+        </a>
+      )}
     </div>
   </section>
 )
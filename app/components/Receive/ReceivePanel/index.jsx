@@ -15,8 +15,11 @@ import styles from './styles.scss'
 type Props = {
   address: string,
   onSubmit: Function,
+  onVerifyAddress?: () => any,
+  isVerifyingAddress?: boolean,
   networkId: string,
   chain: string,
+  tokens: Array<TokenItemType>,
 }
 
 type State = {
@@ -46,6 +49,8 @@ export default class ReceivePanel extends React.Component<Props, State> {
         <div className={styles.dynamicReceiveContent}>
           <QRCodeForm
             networkId={this.props.networkId}
+            chain={this.props.chain}
+            tokens={this.props.tokens}
             address={this.props.address}
             onSubmit={this.props.onSubmit}
           />
@@ -59,10 +64,16 @@ export default class ReceivePanel extends React.Component<Props, State> {
   tabOptions = Object.keys(this.options).map((key: string) => this.options[key])
 
   render() {
-    const { address, chain } = this.props
+    const { address, onVerifyAddress, isVerifyingAddress } = this.props
     return (
       <Panel
-        renderHeader={() => <ReceivePanelHeader address={address} />}
+        renderHeader={() => (
+          <ReceivePanelHeader
+            address={address}
+            onVerifyAddress={onVerifyAddress}
+            isVerifyingAddress={isVerifyingAddress}
+          />
+        )}
         contentClassName={styles.receivePanelContent}
       >
         <ReceiveExplanation />
@@ -74,29 +85,16 @@ export default class ReceivePanel extends React.Component<Props, State> {
           className={classNames(styles.tabs, 'neon-tabs')}
         >
           <TabList>
-            {chain === 'neo2' ? (
-              this.tabOptions.map(option => (
-                <Tab key={option.key}>{option.display}</Tab>
-              ))
-            ) : (
-              <Tab>{this.options.default.display}</Tab>
-            )}
+            {this.tabOptions.map(option => (
+              <Tab key={option.key}>{option.display}</Tab>
+            ))}
           </TabList>
 
-          {chain === 'neo2' ? (
-            this.tabOptions.map(option => (
-              <TabPanel
-                key={option.key}
-                selectedClassName={styles.homeTabPanel}
-              >
-                {option.render()}
-              </TabPanel>
-            ))
-          ) : (
-            <TabPanel selectedClassName={styles.homeTabPanel}>
-              {this.options.default.render()}
+          {this.tabOptions.map(option => (
+            <TabPanel key={option.key} selectedClassName={styles.homeTabPanel}>
+              {option.render()}
             </TabPanel>
-          )}
+          ))}
         </Tabs>
       </Panel>
     )
@@ -3,8 +3,10 @@ import React from 'react'
 import { Provider } from 'react-redux'
 import { HashRouter } from 'react-router-dom'
 import { WalletConnectContextProvider } from '../../context/WalletConnect/WalletConnectContext'
+import { DEFAULT_METHODS } from '../../context/WalletConnect/constants'
 
 import IntlWrapper from './IntlWrapper'
+import StorageUnlock from '../../containers/StorageUnlock'
 import Routes from './Routes'
 
 type Props = {
@@ -13,14 +15,7 @@ type Props = {
 
 const wcOptions = {
   chainIds: ['neo3:testnet', 'neo3:mainnet'],
-  methods: [
-    'invokeFunction',
-    'testInvoke',
-    'multiInvoke',
-    'multiTestInvoke',
-    'signMessage',
-    'verifyMessage',
-  ],
+  methods: DEFAULT_METHODS,
   relayServer: 'wss://relay.walletconnect.org',
   appMetadata: {
     name: 'Neon Wallet',
@@ -37,9 +32,11 @@ const Root = ({ store }: Props) => (
   <Provider store={store}>
     <WalletConnectContextProvider options={wcOptions}>
       <IntlWrapper lang="english">
-        <HashRouter>
-          <Routes store={store} />
-        </HashRouter>
+        <StorageUnlock>
+          <HashRouter>
+            <Routes store={store} />
+          </HashRouter>
+        </StorageUnlock>
       </IntlWrapper>
     </WalletConnectContextProvider>
   </Provider>
@@ -21,6 +21,10 @@ import DisplayWalletAccountsQrCodes from '../../containers/DisplayWalletAccounts
 import Send from '../../containers/Send'
 import TokenSale from '../../containers/TokenSale'
 import Encrypt from '../../containers/Encrypt'
+import KeyShares from '../../containers/KeyShares'
+import ChangePassphrase from '../../containers/ChangePassphrase'
+import BulkPayout from '../../containers/BulkPayout'
+import RecurringPayments from '../../containers/RecurringPayments'
 import NodeSelect from '../../containers/NodeSelect'
 import News from '../../containers/News'
 import EncryptQR from '../Settings/EncryptQR'
@@ -30,6 +34,9 @@ import NetworkConfiguration from '../../containers/NetworkConfiguration'
 import Mobile from '../../containers/Mobile'
 import Migration from '../../containers/Migration'
 import ConnectDapp from '../../containers/ConnectDapp'
+import DappPermissions from '../../containers/DappPermissions'
+import LocalConnector from '../../containers/LocalConnector'
+import InvokeContract from '../../containers/InvokeContract'
 
 export default ({ store }: { store: any }) => (
   <App store={store}>
@@ -118,6 +125,18 @@ export default ({ store }: { store: any }) => (
       />
       <PrivateRoute exact path={ROUTES.SEND_ADDRESS} component={Send} />
       <PrivateRoute exact path={ROUTES.ENCRYPT} component={Encrypt} />
+      <PrivateRoute exact path={ROUTES.KEY_SHARES} component={KeyShares} />
+      <PrivateRoute
+        exact
+        path={ROUTES.CHANGE_PASSPHRASE}
+        component={ChangePassphrase}
+      />
+      <PrivateRoute exact path={ROUTES.BULK_PAYOUT} component={BulkPayout} />
+      <PrivateRoute
+        exact
+        path={ROUTES.RECURRING_PAYMENTS}
+        component={RecurringPayments}
+      />
       <PrivateRoute exact path={ROUTES.NODE_SELECT} component={NodeSelect} />
       <PrivateRoute
         exact
@@ -133,6 +152,21 @@ export default ({ store }: { store: any }) => (
       <PrivateRoute exact path={ROUTES.MOBILE} component={Mobile} />
       <PrivateRoute exact path={ROUTES.MIGRATION} component={Migration} />
       <PrivateRoute exact path={ROUTES.CONNECT_DAPP} component={ConnectDapp} />
+      <PrivateRoute
+        exact
+        path={ROUTES.DAPP_PERMISSIONS}
+        component={DappPermissions}
+      />
+      <PrivateRoute
+        exact
+        path={ROUTES.LOCAL_CONNECTOR}
+        component={LocalConnector}
+      />
+      <PrivateRoute
+        exact
+        path={ROUTES.INVOKE_CONTRACT}
+        component={InvokeContract}
+      />
       <Redirect to={ROUTES.DASHBOARD} />
     </Switch>
   </App>
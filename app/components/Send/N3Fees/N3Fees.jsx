@@ -1,6 +1,7 @@
 // @flow
 import React from 'react'
 import classNames from 'classnames'
+import { FormattedMessage } from 'react-intl'
 
 import { imageMap } from '../../../assets/nep5/svg'
 import WarningIcon from '../../../assets/icons/warning.svg'
@@ -16,6 +17,7 @@ type Props = {
     systemFee: string,
     networkFee: string,
   },
+  priorityFee: number,
   notEnoughGasCallback: boolean => void,
 }
 
@@ -25,6 +27,7 @@ export default class N3Fees extends React.Component<Props> {
       systemFee: 0,
       networkFee: 0,
     },
+    priorityFee: 0,
   }
 
   render() {
@@ -33,6 +36,7 @@ export default class N3Fees extends React.Component<Props> {
       currencyCode,
       gasPrice,
       GAS,
+      priorityFee,
       notEnoughGasCallback,
     } = this.props
 
@@ -88,6 +92,15 @@ export default class N3Fees extends React.Component<Props> {
             {totalFeesInFiat}
           </div>
         </div>
+        {!!totalFees &&
+          !!priorityFee && (
+            <div className={styles.priorityFee}>
+              <FormattedMessage
+                id="n3PriorityFeeIncluded"
+                values={{ fee: priorityFee }}
+              />
+            </div>
+          )}
       </div>
     )
   }
@@ -5,6 +5,7 @@ import { FormattedMessage } from 'react-intl'
 import DialogueBox from '../../../DialogueBox'
 import Button from '../../../Button/Button'
 import { formatGAS } from '../../../../core/formatters'
+import { type ResolvedNNSName } from '../../../../core/nns'
 import WarningIcon from '../../../../assets/icons/warning.svg'
 import CheckMarkIcon from '../../../../assets/icons/confirm.svg'
 import ErrorIcon from '../../../../assets/icons/error.svg'
@@ -15,14 +16,32 @@ type Props = {
   handleEditRecipientsClick: () => any,
   fees: number,
   pendingTransaction: boolean,
+  resolvedNames: Array<ResolvedNNSName>,
 }
 
 const ConfirmSend = ({
   handleEditRecipientsClick,
   fees,
   pendingTransaction,
+  resolvedNames,
 }: Props) => (
   <section>
+    {resolvedNames.map(({ name, address, previousAddress }) => (
+      <div key={name} className={styles.resolvedName}>
+        <FormattedMessage id="nnsResolvedTo" values={{ name, address }} />
+        {previousAddress && (
+          <DialogueBox
+            icon={<WarningIcon />}
+            text={
+              <FormattedMessage
+                id="nnsTargetChanged"
+                values={{ name, previousAddress }}
+              />
+            }
+          />
+        )}
+      </div>
+    ))}
     <DialogueBox
       icon={<WarningIcon />}
       text={<FormattedMessage id="sendDisclaimer" />}
@@ -60,4 +79,8 @@ const ConfirmSend = ({
   </section>
 )
 
+ConfirmSend.defaultProps = {
+  resolvedNames: [],
+}
+
 export default ConfirmSend
@@ -1,12 +1,16 @@
 // @flow
 import React from 'react'
+import { Link } from 'react-router-dom'
+import { noop } from 'lodash-es'
 import { injectIntl, IntlShape, FormattedMessage } from 'react-intl'
 
 import ImportIcon from '../../../../assets/icons/import.svg'
 import AddIcon from '../../../../assets/icons/add.svg'
+import TimeIcon from '../../../../assets/icons/time-icon.svg'
 import GridIcon from '../../../../assets/icons/grid.svg'
 import LightningIcon from '../../../../assets/icons/lightning.svg'
 import PanelHeaderButton from '../../../PanelHeaderButton/PanelHeaderButton'
+import { ROUTES } from '../../../../core/constants'
 
 import styles from '../SendPanel.scss'
 
@@ -61,6 +65,28 @@ const SendPanelHeader = ({
   )
   let buttons = (
     <div className={styles.sendPanelHeaderButtons}>
+      {chain === 'neo3' && (
+        <Link to={ROUTES.BULK_PAYOUT}>
+          <PanelHeaderButton
+            onClick={noop}
+            renderIcon={() => (
+              <ImportIcon className={styles.sendPanelHeaderButtonIcon} />
+            )}
+            buttonText={<FormattedMessage id="bulkPayoutLink" />}
+          />
+        </Link>
+      )}
+      {chain === 'neo3' && (
+        <Link to={ROUTES.RECURRING_PAYMENTS}>
+          <PanelHeaderButton
+            onClick={noop}
+            renderIcon={() => (
+              <TimeIcon className={styles.sendPanelHeaderButtonIcon} />
+            )}
+            buttonText={<FormattedMessage id="recurringPaymentsLink" />}
+          />
+        </Link>
+      )}
       <PanelHeaderButton
         onClick={() => showImportModal({ pushQRCodeData })}
         renderIcon={() => (
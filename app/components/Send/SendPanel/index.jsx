@@ -7,6 +7,8 @@ import Panel from '../../Panel'
 import SendRecipientList from './SendRecipientList'
 import PriorityFee from '../PriorityFee'
 import N3Fees from '../N3Fees'
+import TransactionLifespan from '../TransactionLifespan'
+import InvocationPreview from '../../InvocationPreview'
 import SendPanelHeader from './SendPanelHeader'
 import Button from '../../Button/Button'
 import ConfirmSend from './ConfirmSend'
@@ -34,6 +36,8 @@ type Props = {
   txid: string,
   fees: number,
   handleAddPriorityFee: number => any,
+  validUntilBlockWindow: number,
+  handleChangeLifespan: number => any,
   address: string,
   maxNumberOfRecipients: number,
   isWatchOnly?: boolean,
@@ -87,6 +91,8 @@ const SendPanel = ({
   handleEditRecipientsClick,
   handleAddPriorityFee,
   fees,
+  validUntilBlockWindow,
+  handleChangeLifespan,
   address,
   maxNumberOfRecipients,
   showSendModal,
@@ -127,20 +133,30 @@ const SendPanel = ({
         isWatchOnly={isWatchOnly}
         isMigration={isMigration}
       />
-      {chain === 'neo2' &&
-        !isMigration && (
-          <div className={styles.priorityFeeContainer}>
-            <PriorityFee
-              availableGas={Number(get(sendableAssets, 'GAS.balance', 0))}
-              handleAddPriorityFee={handleAddPriorityFee}
-              fees={fees}
+      {!isMigration && (
+        <div className={styles.priorityFeeContainer}>
+          <PriorityFee
+            availableGas={Number(get(sendableAssets, 'GAS.balance', 0))}
+            handleAddPriorityFee={handleAddPriorityFee}
+            fees={fees}
+            disabled={shouldDisableSendButton(sendRowDetails)}
+          />
+          {chain === 'neo3' && (
+            <TransactionLifespan
+              blocks={validUntilBlockWindow}
+              handleChangeLifespan={handleChangeLifespan}
               disabled={shouldDisableSendButton(sendRowDetails)}
             />
-          </div>
-        )}
+          )}
+        </div>
+      )}
       {chain === 'neo3' && (
         <div className={styles.priorityFeeContainer}>
-          <N3Fees fees={n3Fees} notEnoughGasCallback={toggleHasEnoughGas} />{' '}
+          <N3Fees
+            fees={n3Fees}
+            priorityFee={fees}
+            notEnoughGasCallback={toggleHasEnoughGas}
+          />{' '}
         </div>
       )}
       {/* eslint-disable-next-line */}
@@ -224,6 +240,19 @@ const SendPanel = ({
           showConfirmSend={showConfirmSend}
           calculateMaxValue={calculateMaxValue}
         />
+        {chain === 'neo3' && (
+          <div className={styles.priorityFeeContainer}>
+            <InvocationPreview
+              preview={n3Fees && n3Fees.preview}
+              address={address}
+            />
+            <N3Fees
+              fees={n3Fees}
+              priorityFee={fees}
+              notEnoughGasCallback={toggleHasEnoughGas}
+            />
+          </div>
+        )}
         <ConfirmSend
           handleEditRecipientsClick={handleEditRecipientsClick}
           fees={
@@ -232,6 +261,9 @@ const SendPanel = ({
               : Number(n3Fees.networkFee) + Number(n3Fees.systemFee)
           }
           pendingTransaction={pendingTransaction}
+          resolvedNames={sendRowDetails
+            .filter(row => row.nns)
+            .map(row => row.nns)}
         />
       </form>
     )
@@ -0,0 +1,56 @@
+// @flow
+import React from 'react'
+import { FormattedMessage } from 'react-intl'
+
+import NumberInput from '../../Inputs/NumberInput'
+import {
+  N3_BLOCK_TIME,
+  N3_VALID_UNTIL_BLOCK_WINDOW,
+} from '../../../core/constants'
+import styles from './TransactionLifespan.scss'
+
+type Props = {
+  blocks: number,
+  disabled: boolean,
+  handleChangeLifespan: number => any,
+}
+
+export default class TransactionLifespan extends React.Component<Props> {
+  render() {
+    const { blocks, disabled, handleChangeLifespan } = this.props
+    return (
+      <div>
+        <div className={styles.lifespanExplanationText}>
+          <FormattedMessage id="transactionLifespanQuestion" />
+        </div>
+        <div className={styles.lifespanContainer}>
+          <NumberInput
+            className={styles.lifespanInput}
+            value={blocks || ''}
+            disabled={disabled}
+            max={N3_VALID_UNTIL_BLOCK_WINDOW.MAX}
+            options={{
+              numeralDecimalScale: 0,
+              numeralThousandsGroupStyle: 'none',
+            }}
+            onChange={(e, value) => handleChangeLifespan(this.clamp(value))}
+            handleMaxClick={() =>
+              handleChangeLifespan(N3_VALID_UNTIL_BLOCK_WINDOW.MAX)
+            }
+          />
+          <div className={styles.duration}>
+            <FormattedMessage
+              id="transactionLifespanDuration"
+              values={{
+                minutes: Math.round((blocks * N3_BLOCK_TIME) / 60),
+              }}
+            />
+          </div>
+        </div>
+      </div>
+    )
+  }
+
+  clamp = (value: string): number =>
+    Math.min(Number(value) || 0, N3_VALID_UNTIL_BLOCK_WINDOW.MAX)
+}
@@ -0,0 +1,3 @@
+import TransactionLifespan from './TransactionLifespan'
+
+export default TransactionLifespan
@@ -3,9 +3,10 @@
 import React, { useEffect } from 'react'
 import { wallet } from '@cityofzion/neon-js-next'
 
-import { ROUTES } from '../../core/constants'
+import { ROUTES, N3_BLOCK_TIME } from '../../core/constants'
 import Sidebar from './Sidebar'
 import ModalRenderer from '../ModalRenderer'
+import Unlock from '../Unlock'
 import Notifications from '../Notifications'
 import withThemeData from '../../hocs/withThemeData'
 import { upgradeUserWalletNEP6 } from '../../modules/generateWallet'
@@ -18,6 +19,8 @@ import { useWalletConnect } from '../../context/WalletConnect/WalletConnectConte
 import N3Helper from '../../context/WalletConnect/helpers'
 import { getNode, getRPCEndpoint } from '../../actions/nodeStorageActions'
 import { parseQuery } from '../../core/formatters'
+import { ONE_MINUTE_MS } from '../../core/time'
+import { canAutoApprove } from '../../core/dappPermissions'
 
 const ipc = require('electron').ipcRenderer
 
@@ -37,6 +40,14 @@ type Props = {
   isHardwareLogin: boolean,
   signingFunction: () => void,
   publicKey: any,
+  isLocked?: boolean,
+  autoLockTimeout: number,
+  lockOnSuspend: boolean,
+  lockOnScreenLock: boolean,
+  lockWallet: () => void,
+  trackN3Transactions: () => void,
+  remindRecurringPayments: ({ history: any, remindQueued?: boolean }) => void,
+  chain: string,
 }
 
 const routesWithSideBar = [
@@ -52,6 +63,9 @@ const routesWithSideBar = [
   ROUTES.MIGRATION,
 ]
 
+// any of these events counts as activity and restarts the auto-lock timer
+const ACTIVITY_EVENTS = ['mousemove', 'mousedown', 'keydown', 'wheel']
+
 const App = ({
   children,
   address,
@@ -68,6 +82,14 @@ const App = ({
   publicKey,
   showInfoNotification,
   hideNotification,
+  isLocked,
+  autoLockTimeout,
+  lockOnSuspend,
+  lockOnScreenLock,
+  lockWallet,
+  trackN3Transactions,
+  remindRecurringPayments,
+  chain,
 }: Props) => {
   const walletConnectCtx = useWalletConnect()
 
@@ -114,11 +136,104 @@ const App = ({
 
   useEffect(
     () => {
+      const handleLock = (event, reason) => {
+        if (
+          (reason === 'suspend' && lockOnSuspend) ||
+          (reason === 'lock-screen' && lockOnScreenLock)
+        ) {
+          lockWallet()
+        }
+      }
+      ipc.on('lock', handleLock)
+      return () => ipc.removeListener('lock', handleLock)
+    },
+    [lockOnSuspend, lockOnScreenLock, lockWallet],
+  )
+
+  useEffect(
+    () => {
+      if (!wif || !autoLockTimeout) return () => null
+
+      let timeoutId
+      const restartTimer = () => {
+        clearTimeout(timeoutId)
+        timeoutId = setTimeout(lockWallet, autoLockTimeout * ONE_MINUTE_MS)
+      }
+      ACTIVITY_EVENTS.forEach(type =>
+        window.addEventListener(type, restartTimer, true),
+      )
+      restartTimer()
+
+      return () => {
+        clearTimeout(timeoutId)
+        ACTIVITY_EVENTS.forEach(type =>
+          window.removeEventListener(type, restartTimer, true),
+        )
+      }
+    },
+    [wif, autoLockTimeout, lockWallet],
+  )
+
+  useEffect(
+    () => {
+      if (!address || isLocked) return () => null
+
+      // pending transactions are checked once per block
+      trackN3Transactions()
+      const intervalId = setInterval(trackN3Transactions, N3_BLOCK_TIME * 1000)
+      return () => clearInterval(intervalId)
+    },
+    [address, net, isLocked, trackN3Transactions],
+  )
+
+  useEffect(
+    () => {
+      if (!address || isLocked) return () => null
+
+      // payments that fell due while the wallet was locked are reminded of
+      // when it is unlocked
+      remindRecurringPayments({ history, remindQueued: true })
+      const intervalId = setInterval(
+        () => remindRecurringPayments({ history }),
+        ONE_MINUTE_MS,
+      )
+      return () => clearInterval(intervalId)
+    },
+    [address, net, isLocked, history, remindRecurringPayments],
+  )
+
+  // a state setter, unlike the context value it does not change between renders
+  const { setLocalConnectorAccount } = walletConnectCtx
+  useEffect(
+    () => {
+      // paired origins of the local connector get the account of N3 logins
+      setLocalConnectorAccount(
+        address && chain === 'neo3'
+          ? `neo3:${net.toLowerCase()}:${address}`
+          : null,
+      )
+    },
+    [address, net, chain, setLocalConnectorAccount],
+  )
+
+  useEffect(
+    () => {
+      // requests are refused while the wallet is locked, even the ones the
+      // user approved before, as there is no key to sign them with
+      if (isLocked) {
+        walletConnectCtx.autoAcceptIntercept(() => false)
+        walletConnectCtx.onRequestListener(async () => {
+          throw new Error('The wallet is locked')
+        })
+        return
+      }
+
       const account = new wallet.Account(isHardwareLogin ? publicKey : wif)
 
-      // if the request method is 'testInvoke' we auto-accept it
-      walletConnectCtx.autoAcceptIntercept(
-        (acc, chain, req) => req.method === 'testInvoke',
+      // the policy of each dApp decides which requests are accepted without
+      // asking, read-only ones unless the user wants to be always asked
+      walletConnectCtx.autoAcceptIntercept((acc, chain, req, policy) =>
+        canAutoApprove(policy, req),
       )
 
       walletConnectCtx.onRequestListener(async (acc, chain, req) => {
@@ -136,37 +251,42 @@ const App = ({
         )
       })
     },
-    [wif, net, isHardwareLogin, signingFunction, address, publicKey],
+    [wif, net, isHardwareLogin, signingFunction, address, publicKey, isLocked],
   )
 
   useEffect(
     () => {
-      if (walletConnectCtx.sessionProposals[0]) {
+      if (walletConnectCtx.sessionProposals[0] && !isLocked) {
         history.push(ROUTES.CONNECT_DAPP)
       }
     },
-    [walletConnectCtx.sessionProposals, history],
+    [walletConnectCtx.sessionProposals, history, isLocked],
   )
 
   useEffect(
     () => {
-      if (walletConnectCtx.requests[0]) {
+      if (walletConnectCtx.requests[0] && !isLocked) {
         history.push(ROUTES.CONNECT_DAPP)
       }
     },
-    [walletConnectCtx.requests, history],
+    [walletConnectCtx.requests, history, isLocked],
   )
 
   return (
     <ErrorBoundary>
       <div style={themes[theme]} className={styles.container}>
         {address &&
+          !isLocked &&
           routesWithSideBar.includes(location.pathname) && (
             <Sidebar store={store} theme={theme} className={styles.sidebar} />
           )}
         <div className={styles.wrapper}>
           <FramelessNavigation />
-          <div className={styles.content}>{children}</div>
+          {/* the route is left untouched while locked so the user returns to
+              the same screen once the wallet is unlocked */}
+          <div className={styles.content}>
+            {isLocked ? <Unlock /> : children}
+          </div>
           <Notifications />
           <ModalRenderer />
         </div>
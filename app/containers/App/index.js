@@ -23,11 +23,16 @@ import {
   showInfoNotification,
   hideNotification,
 } from '../../modules/notifications'
+import { lockWallet } from '../../modules/lock'
+import { trackN3Transactions } from '../../modules/transactionTracker'
+import { remindRecurringPayments } from '../../modules/recurringPayments'
 
 import App from './App'
 import Loading from './Loading'
 import n3AccountsActions from '../../actions/n3AccountsActions'
 import withNetworkData from '../../hocs/withNetworkData'
+import withAutoLockData from '../../hocs/withAutoLockData'
+import withChainData from '../../hocs/withChainData'
 
 const { LOADING } = progressValues
 
@@ -36,6 +41,9 @@ const actionCreators = {
   showErrorNotification,
   showInfoNotification,
   hideNotification,
+  lockWallet,
+  trackN3Transactions,
+  remindRecurringPayments,
 }
 
 const mapDispatchToProps = dispatch =>
@@ -75,4 +83,6 @@ export default compose(
   withLogoutReset(accountActions),
   withLogoutReset(n3AccountsActions),
   withNetworkData(),
+  withAutoLockData(),
+  withChainData(),
 )(App)
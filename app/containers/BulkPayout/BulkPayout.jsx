@@ -0,0 +1,403 @@
+// @flow
+import React from 'react'
+import fs from 'fs'
+import path from 'path'
+import classNames from 'classnames'
+import { mapValues } from 'lodash-es'
+import { FormattedMessage } from 'react-intl'
+
+import FullHeightPanel from '../../components/Panel/FullHeightPanel'
+import CloseButton from '../../components/CloseButton'
+import BackButton from '../../components/BackButton'
+import Button from '../../components/Button'
+import Table from '../../components/Table'
+import {
+  parsePayoutFile,
+  validatePayoutRows,
+  getPayoutTotals,
+  createPayoutReport,
+  type PayoutRow,
+  type PayoutResult,
+} from '../../core/payouts'
+import { validateTransactionsBeforeSending } from '../../core/wallet'
+import { toBigNumber } from '../../core/math'
+import { MODAL_TYPES, ROUTES } from '../../core/constants'
+import SendIcon from '../../assets/icons/send.svg'
+import ImportIcon from '../../assets/icons/import.svg'
+import SaveIcon from '../../assets/icons/save-icon.svg'
+import styles from './BulkPayout.scss'
+
+const { dialog } = require('electron').remote
+
+type Fees = {
+  systemFee: string,
+  networkFee: string,
+  transactionCount: number,
+}
+
+type Props = {
+  balances: {
+    [symbol: string]: { balance: string | number, decimals?: number },
+  },
+  isWatchOnly?: boolean,
+  calculateN3Fees: ({ sendEntries: Array<SendEntryType> }) => Promise<Fees>,
+  sendN3Payouts: ({
+    sendEntries: Array<SendEntryType>,
+    onProgress: (done: number, total: number) => any,
+  }) => Promise<Array<{ txid?: string, error?: string }>>,
+  showModal: (modalType: string, modalProps: Object) => any,
+  showErrorNotification: Object => any,
+  showSuccessNotification: Object => any,
+}
+
+type State = {
+  fileName: string,
+  rows: Array<PayoutRow>,
+  fees: ?Fees,
+  feeError: string,
+  loading: boolean,
+  progress: ?{ done: number, total: number },
+  results: Array<PayoutResult>,
+}
+
+const getSendEntries = (rows: Array<PayoutRow>): Array<SendEntryType> =>
+  rows.map(({ address, symbol, amount }) => ({
+    address,
+    symbol,
+    amount: Number(amount),
+  }))
+
+export default class BulkPayout extends React.Component<Props, State> {
+  state = {
+    fileName: '',
+    rows: [],
+    fees: null,
+    feeError: '',
+    loading: false,
+    progress: null,
+    results: [],
+  }
+
+  render() {
+    const { results } = this.state
+
+    return (
+      <FullHeightPanel
+        headerText={<FormattedMessage id="bulkPayoutPanelHeader" />}
+        renderCloseButton={() => <CloseButton routeTo={ROUTES.DASHBOARD} />}
+        renderBackButton={() => <BackButton routeTo={ROUTES.SEND} />}
+        renderHeaderIcon={() => <SendIcon />}
+        renderInstructions={() => (
+          <div>
+            <FormattedMessage
+              id={
+                results.length
+                  ? 'bulkPayoutReportInstructions'
+                  : 'bulkPayoutInstructions'
+              }
+            />
+          </div>
+        )}
+      >
+        <div className={styles.bulkPayout}>
+          {results.length ? this.renderReport() : this.renderReview()}
+        </div>
+      </FullHeightPanel>
+    )
+  }
+
+  renderReview = () => {
+    const { rows, fileName, loading, progress } = this.state
+    const invalidCount = rows.filter(({ error }) => !!error).length
+
+    return (
+      <React.Fragment>
+        <div className={styles.fileActions}>
+          <span>{fileName}</span>
+          <Button
+            renderIcon={ImportIcon}
+            onClick={this.loadFile}
+            disabled={loading}
+          >
+            <FormattedMessage id="bulkPayoutLoadFile" />
+          </Button>
+        </div>
+        {!!rows.length && (
+          <React.Fragment>
+            {this.renderRows(rows)}
+            {this.renderSummary(invalidCount)}
+          </React.Fragment>
+        )}
+        <div className={styles.buttonContainer}>
+          <span>
+            {progress && (
+              <FormattedMessage id="bulkPayoutProgress" values={progress} />
+            )}
+          </span>
+          <Button
+            renderIcon={SendIcon}
+            primary
+            shouldCenterButtonLabelText
+            onClick={this.confirmSend}
+            disabled={this.isSendDisabled(invalidCount)}
+          >
+            <FormattedMessage id="bulkPayoutSend" />
+          </Button>
+        </div>
+      </React.Fragment>
+    )
+  }
+
+  renderRows = (rows: Array<Object>) => (
+    <div className={styles.rows}>
+      <Table className={styles.table}>
+        <thead>
+          <tr>
+            <th>#</th>
+            <th>
+              <FormattedMessage id="bulkPayoutAddress" />
+            </th>
+            <th>
+              <FormattedMessage id="bulkPayoutToken" />
+            </th>
+            <th>
+              <FormattedMessage id="bulkPayoutAmount" />
+            </th>
+            <th>
+              <FormattedMessage id="bulkPayoutStatus" />
+            </th>
+          </tr>
+        </thead>
+        <tbody>
+          {rows.map(row => (
+            <tr
+              key={row.line}
+              className={classNames({ [styles.invalidRow]: !!row.error })}
+            >
+              <td>{row.line}</td>
+              <td className={styles.address}>{row.address}</td>
+              <td>{row.symbol}</td>
+              <td>{row.amount}</td>
+              <td className={styles.status}>
+                {row.error || row.txid || (row.status ? '' : 'OK')}
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </Table>
+    </div>
+  )
+
+  renderSummary = (invalidCount: number) => {
+    const { rows, fees, feeError } = this.state
+    const totals = getPayoutTotals(rows.filter(({ error }) => !error))
+
+    return (
+      <div className={styles.summary}>
+        <div>
+          <FormattedMessage
+            id="bulkPayoutRowCount"
+            values={{ count: rows.length, invalid: invalidCount }}
+          />
+        </div>
+        <div>
+          {Object.keys(totals)
+            .map(symbol => `${totals[symbol]} ${symbol}`)
+            .join(', ')}
+        </div>
+        {fees && (
+          <div>
+            <FormattedMessage
+              id="bulkPayoutFees"
+              values={{
+                fee: toBigNumber(fees.systemFee)
+                  .plus(fees.networkFee)
+                  .toString(),
+                count: fees.transactionCount,
+              }}
+            />
+          </div>
+        )}
+        {feeError && <div className={styles.error}>{feeError}</div>}
+      </div>
+    )
+  }
+
+  renderReport = () => {
+    const { results } = this.state
+    const failedCount = results.filter(({ status }) => status === 'failed')
+      .length
+
+    return (
+      <React.Fragment>
+        <div className={styles.summary}>
+          <FormattedMessage
+            id="bulkPayoutReportSummary"
+            values={{
+              sent: results.length - failedCount,
+              failed: failedCount,
+            }}
+          />
+        </div>
+        {this.renderRows(results)}
+        <div className={styles.buttonContainer}>
+          <div className={styles.reportButtons}>
+            <Button
+              renderIcon={SaveIcon}
+              onClick={() => this.exportReport('csv')}
+            >
+              <FormattedMessage id="bulkPayoutExportCsv" />
+            </Button>
+            <Button
+              renderIcon={SaveIcon}
+              onClick={() => this.exportReport('json')}
+            >
+              <FormattedMessage id="bulkPayoutExportJson" />
+            </Button>
+          </div>
+          <Button
+            primary
+            shouldCenterButtonLabelText
+            onClick={() =>
+              this.setState({ rows: [], results: [], fees: null, fileName: '' })
+            }
+          >
+            <FormattedMessage id="bulkPayoutDone" />
+          </Button>
+        </div>
+      </React.Fragment>
+    )
+  }
+
+  isSendDisabled = (invalidCount: number): boolean => {
+    const { rows, fees, feeError, loading } = this.state
+    return (
+      loading ||
+      !!this.props.isWatchOnly ||
+      !rows.length ||
+      !!invalidCount ||
+      !fees ||
+      !!feeError
+    )
+  }
+
+  loadFile = async () => {
+    const { showErrorNotification } = this.props
+    const { canceled, filePaths } = await dialog.showOpenDialog({
+      filters: [{ name: 'CSV or JSON', extensions: ['csv', 'json', 'txt'] }],
+    })
+    if (canceled || !filePaths || !filePaths.length) return
+
+    fs.readFile(filePaths[0], 'utf-8', async (err, data) => {
+      try {
+        if (err) throw err
+        const fileName = path.basename(filePaths[0])
+        const rows = parsePayoutFile(data, fileName)
+        this.setState({ fileName, rows: [], fees: null, feeError: '' })
+        await this.validateRows(rows)
+      } catch (e) {
+        showErrorNotification({
+          message: `An error occurred reading the file: ${e.message}`,
+        })
+      }
+    })
+  }
+
+  validateRows = async (parsedRows: Array<PayoutRow>) => {
+    const { balances, calculateN3Fees } = this.props
+    this.setState({ loading: true })
+    try {
+      const rows = await validatePayoutRows(parsedRows, balances)
+      this.setState({ rows })
+      if (rows.some(({ error }) => !!error)) return
+
+      const sendEntries = getSendEntries(rows)
+      const fees = await calculateN3Fees({ sendEntries })
+      this.setState({
+        fees,
+        feeError:
+          validateTransactionsBeforeSending(
+            mapValues(balances, 'balance'),
+            sendEntries,
+            {
+              chain: 'neo3',
+              fees: toBigNumber(fees.systemFee)
+                .plus(fees.networkFee)
+                .toString(),
+            },
+          ) || '',
+      })
+    } catch (e) {
+      this.setState({
+        feeError: `The fees could not be calculated: ${e.message}`,
+      })
+    } finally {
+      this.setState({ loading: false })
+    }
+  }
+
+  confirmSend = () => {
+    const { rows, fees } = this.state
+    if (!fees) return
+    this.props.showModal(MODAL_TYPES.CONFIRM, {
+      title: 'Confirm Bulk Payout',
+      text: `Send ${rows.length} payouts in ${
+        fees.transactionCount
+      } transactions?`,
+      height: '200px',
+      onClick: this.send,
+    })
+  }
+
+  send = async () => {
+    const { sendN3Payouts, showErrorNotification } = this.props
+    const { rows } = this.state
+    this.setState({ loading: true })
+    try {
+      const results = await sendN3Payouts({
+        sendEntries: getSendEntries(rows),
+        onProgress: (done, total) =>
+          this.setState({ progress: { done, total } }),
+      })
+      this.setState({
+        results: rows.map((row, index) => {
+          const { txid, error } = results[index] || {}
+          return error
+            ? { ...row, status: 'failed', error }
+            : { ...row, status: 'sent', txid }
+        }),
+      })
+    } catch (e) {
+      showErrorNotification({ message: e.message })
+    } finally {
+      this.setState({ loading: false, progress: null })
+    }
+  }
+
+  exportReport = async (format: 'csv' | 'json') => {
+    const { showSuccessNotification, showErrorNotification } = this.props
+    const { filePath, canceled } = await dialog.showSaveDialog({
+      defaultPath: `neon-payout-report.${format}`,
+      filters: [{ name: format.toUpperCase(), extensions: [format] }],
+    })
+    if (!filePath || canceled) return
+
+    fs.writeFile(
+      filePath,
+      createPayoutReport(this.state.results, format),
+      errorWriting => {
+        if (errorWriting) {
+          showErrorNotification({
+            message: `An error occurred creating the file: ${
+              errorWriting.message
+            }`,
+          })
+        } else {
+          showSuccessNotification({
+            message: 'The file has been succesfully saved',
+          })
+        }
+      },
+    )
+  }
+}
@@ -0,0 +1,54 @@
+// @flow
+import { compose } from 'recompose'
+import { values, omit } from 'lodash-es'
+import { connect } from 'react-redux'
+import { bindActionCreators } from 'redux'
+
+import BulkPayout from './BulkPayout'
+import { calculateN3Fees, sendN3Payouts } from '../../modules/transactions'
+import { showModal } from '../../modules/modal'
+import {
+  showErrorNotification,
+  showSuccessNotification,
+} from '../../modules/notifications'
+import withAuthData from '../../hocs/withAuthData'
+import withBalancesData from '../../hocs/withBalancesData'
+
+const actionCreators = {
+  calculateN3Fees,
+  sendN3Payouts,
+  showModal,
+  showErrorNotification,
+  showSuccessNotification,
+}
+
+const mapDispatchToProps = dispatch =>
+  bindActionCreators(actionCreators, dispatch)
+
+const mapBalanceDataToProps = (balances: Object) => {
+  const payoutBalances = {}
+  if (balances) {
+    if (balances.NEO) {
+      payoutBalances.NEO = { balance: balances.NEO, decimals: 0 }
+    }
+    if (balances.GAS) {
+      payoutBalances.GAS = { balance: balances.GAS, decimals: 8 }
+    }
+    values(omit(balances, 'NEO', 'GAS')).forEach(token => {
+      payoutBalances[token.symbol] = {
+        balance: token.balance,
+        decimals: Number(token.decimals),
+      }
+    })
+  }
+  return { balances: payoutBalances }
+}
+
+export default compose(
+  connect(
+    null,
+    mapDispatchToProps,
+  ),
+  withAuthData(),
+  withBalancesData(mapBalanceDataToProps),
+)(BulkPayout)
@@ -0,0 +1,268 @@
+// @flow
+import React from 'react'
+import { FormattedMessage, IntlShape } from 'react-intl'
+
+import FullHeightPanel from '../../components/Panel/FullHeightPanel'
+import CloseButton from '../../components/CloseButton'
+import BackButton from '../../components/BackButton'
+import Button from '../../components/Button'
+import TextInput from '../../components/Inputs/TextInput'
+import PasswordInput from '../../components/Inputs/PasswordInput'
+import Label from '../../components/Inputs/Label'
+import CheckBox from '../../components/Inputs/CheckBox/CheckBox'
+import {
+  changeAccountsPassphrase,
+  DEFAULT_SCRYPT_PARAMS,
+} from '../../core/passphrase'
+import { MIN_PASSPHRASE_LEN } from '../../core/wallet'
+import { ROUTES } from '../../core/constants'
+import LockIcon from '../../assets/icons/lock.svg'
+import CheckIcon from '../../assets/icons/check.svg'
+import styles from './ChangePassphrase.scss'
+
+type Props = {
+  accounts: Array<Object>,
+  chain: string,
+  location: Object,
+  history: Object,
+  setAccounts: (Array<Object>) => any,
+  setN3Accounts: (Array<Object>) => any,
+  showSuccessNotification: Object => any,
+  showErrorNotification: Object => any,
+  intl: IntlShape,
+}
+
+type State = {
+  selected: Array<string>,
+  oldPassphrase: string,
+  newPassphrase: string,
+  newPassphrase2: string,
+  n: string,
+  r: string,
+  p: string,
+  progress: ?{ done: number, total: number },
+}
+
+export default class ChangePassphrase extends React.Component<Props, State> {
+  static defaultProps = {
+    accounts: [],
+  }
+
+  state = {
+    // the account the page was opened from is selected
+    selected: this.props.location.state
+      ? [this.props.location.state.address]
+      : [],
+    oldPassphrase: '',
+    newPassphrase: '',
+    newPassphrase2: '',
+    n: String(DEFAULT_SCRYPT_PARAMS.n),
+    r: String(DEFAULT_SCRYPT_PARAMS.r),
+    p: String(DEFAULT_SCRYPT_PARAMS.p),
+    progress: null,
+  }
+
+  render() {
+    const { intl } = this.props
+    const { oldPassphrase, newPassphrase, newPassphrase2, n, r, p } = this.state
+
+    return (
+      <FullHeightPanel
+        headerText={<FormattedMessage id="changePassphrasePanelHeader" />}
+        renderCloseButton={() => <CloseButton routeTo={ROUTES.DASHBOARD} />}
+        renderBackButton={() => <BackButton routeTo={ROUTES.WALLET_MANAGER} />}
+        renderHeaderIcon={() => <LockIcon />}
+        renderInstructions={() => (
+          <div>
+            <FormattedMessage id="changePassphraseInstructions" />
+          </div>
+        )}
+      >
+        <form
+          className={styles.changePassphraseForm}
+          onSubmit={this.handleSubmit}
+        >
+          <Label
+            label={intl.formatMessage({ id: 'changePassphraseAccountsLabel' })}
+          />
+          <div className={styles.accounts}>{this.renderAccounts()}</div>
+          <PasswordInput
+            value={oldPassphrase}
+            label={intl.formatMessage({ id: 'changePassphraseCurrentLabel' })}
+            placeholder={intl.formatMessage({
+              id: 'changePassphraseCurrentLabel',
+            })}
+            onChange={e => this.setState({ oldPassphrase: e.target.value })}
+          />
+          <PasswordInput
+            value={newPassphrase}
+            label={intl.formatMessage({ id: 'changePassphraseNewLabel' })}
+            placeholder={intl.formatMessage({ id: 'changePassphraseNewLabel' })}
+            onChange={e => this.setState({ newPassphrase: e.target.value })}
+            error={this.getPassphraseError()}
+          />
+          <PasswordInput
+            value={newPassphrase2}
+            label={intl.formatMessage({
+              id: 'walletCreationWalletPasswordConfirmPlaceholder',
+            })}
+            placeholder={intl.formatMessage({
+              id: 'walletCreationWalletPasswordConfirmPlaceholder',
+            })}
+            onChange={e => this.setState({ newPassphrase2: e.target.value })}
+            error={this.getPassphrase2Error()}
+          />
+          <Label
+            label={intl.formatMessage({ id: 'changePassphraseScryptLabel' })}
+          />
+          <div className={styles.scryptInputs}>
+            <TextInput
+              type="number"
+              value={n}
+              label="N"
+              onChange={e => this.setState({ n: e.target.value })}
+            />
+            <TextInput
+              type="number"
+              value={r}
+              label="r"
+              onChange={e => this.setState({ r: e.target.value })}
+            />
+            <TextInput
+              type="number"
+              value={p}
+              label="p"
+              onChange={e => this.setState({ p: e.target.value })}
+            />
+          </div>
+          <div className={styles.buttonContainer}>
+            <span>{this.renderProgress()}</span>
+            <Button
+              renderIcon={CheckIcon}
+              type="submit"
+              shouldCenterButtonLabelText
+              primary
+              disabled={this.isSubmitDisabled()}
+            >
+              <FormattedMessage id="changePassphraseButton" />
+            </Button>
+          </div>
+        </form>
+      </FullHeightPanel>
+    )
+  }
+
+  // watch only, Ledger and multi-signature accounts have no passphrase
+  getEncryptedAccounts = (): Array<Object> =>
+    this.props.accounts.filter(account => !!account.key)
+
+  getSelectedAddresses = (): Array<string> =>
+    this.getEncryptedAccounts()
+      .map(({ address }) => address)
+      .filter(address => this.state.selected.includes(address))
+
+  renderAccounts = (): Array<React$Node> => {
+    const { selected } = this.state
+    return this.getEncryptedAccounts().map((account: Object) => (
+      <div key={account.address} className={styles.account}>
+        <div>
+          <div className={styles.accountLabel}>{account.label}</div>
+          <div className={styles.accountAddress}>{account.address}</div>
+        </div>
+        <CheckBox
+          checked={selected.includes(account.address)}
+          onChange={() => this.toggleAccount(account.address)}
+          renderIcon={() => <CheckIcon />}
+        />
+      </div>
+    ))
+  }
+
+  renderProgress = () => {
+    const { progress } = this.state
+    if (!progress) return null
+    return <FormattedMessage id="changePassphraseProgress" values={progress} />
+  }
+
+  toggleAccount = (address: string) => {
+    this.setState(({ selected }) => ({
+      selected: selected.includes(address)
+        ? selected.filter(item => item !== address)
+        : [...selected, address],
+    }))
+  }
+
+  getPassphraseError = (): string => {
+    const { newPassphrase } = this.state
+    const { intl } = this.props
+    return newPassphrase && newPassphrase.length < MIN_PASSPHRASE_LEN
+      ? intl.formatMessage(
+          { id: 'errors.password.length' },
+          { PASS_MIN_LENGTH: MIN_PASSPHRASE_LEN },
+        )
+      : ''
+  }
+
+  getPassphrase2Error = (): string => {
+    const { newPassphrase, newPassphrase2 } = this.state
+    const { intl } = this.props
+    return newPassphrase2 && newPassphrase !== newPassphrase2
+      ? intl.formatMessage({ id: 'errors.password.match' })
+      : ''
+  }
+
+  isSubmitDisabled = (): boolean => {
+    const {
+      oldPassphrase,
+      newPassphrase,
+      newPassphrase2,
+      progress,
+    } = this.state
+    return (
+      !!progress ||
+      !this.getSelectedAddresses().length ||
+      !oldPassphrase ||
+      !newPassphrase ||
+      newPassphrase !== newPassphrase2 ||
+      !!this.getPassphraseError()
+    )
+  }
+
+  handleSubmit = async (e: SyntheticEvent<*>) => {
+    e.preventDefault()
+    const { oldPassphrase, newPassphrase, n, r, p } = this.state
+    const {
+      chain,
+      history,
+      setAccounts,
+      setN3Accounts,
+      showSuccessNotification,
+      showErrorNotification,
+    } = this.props
+
+    const selected = this.getSelectedAddresses()
+    this.setState({ progress: { done: 0, total: selected.length } })
+    try {
+      const accounts = await changeAccountsPassphrase({
+        chain,
+        addresses: selected,
+        oldPassphrase,
+        newPassphrase,
+        scrypt: { n: Number(n), r: Number(r), p: Number(p) },
+        onProgress: (done, total) =>
+          this.setState({ progress: { done, total } }),
+      })
+      // eslint-disable-next-line
+      chain === 'neo3' ? setN3Accounts(accounts) : setAccounts(accounts)
+      showSuccessNotification({
+        message: `The passphrase of ${selected.length} ${
+          selected.length === 1 ? 'account was' : 'accounts were'
+        } changed.`,
+      })
+      history.push(ROUTES.WALLET_MANAGER)
+    } catch (err) {
+      showErrorNotification({ message: err.message })
+      this.setState({ progress: null })
+    }
+  }
+}
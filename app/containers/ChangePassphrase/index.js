@@ -0,0 +1,49 @@
+// @flow
+import { compose } from 'recompose'
+import { connect } from 'react-redux'
+import { bindActionCreators } from 'redux'
+import { withCall, withData, withActions } from 'spunky'
+import { injectIntl } from 'react-intl'
+
+import ChangePassphrase from './ChangePassphrase'
+import walletLabelActions from '../../actions/walletLabelActions'
+import { updateAccountsActions } from '../../actions/accountsActions'
+import { updateAccountsActions as updateN3AccountsActions } from '../../actions/n3AccountsActions'
+import withChainData from '../../hocs/withChainData'
+import {
+  showErrorNotification,
+  showSuccessNotification,
+} from '../../modules/notifications'
+
+const actionCreators = {
+  showErrorNotification,
+  showSuccessNotification,
+}
+
+const mapDispatchToProps = dispatch =>
+  bindActionCreators(actionCreators, dispatch)
+
+const mapAccountsDataToProps = accounts => ({
+  accounts,
+})
+
+const mapSaveAccountsActionsToProps = actions => ({
+  setAccounts: accounts => actions.call(accounts),
+})
+
+const mapSaveN3AccountsActionsToProps = actions => ({
+  setN3Accounts: accounts => actions.call(accounts),
+})
+
+export default compose(
+  connect(
+    null,
+    mapDispatchToProps,
+  ),
+  withCall(walletLabelActions),
+  withData(walletLabelActions, mapAccountsDataToProps),
+  withActions(updateAccountsActions, mapSaveAccountsActionsToProps),
+  withActions(updateN3AccountsActions, mapSaveN3AccountsActionsToProps),
+  withChainData(),
+  injectIntl,
+)(ChangePassphrase)
@@ -1,19 +1,45 @@
 // @flow
-import React, { useEffect, useState } from 'react'
+import React, { useEffect, useRef, useState } from 'react'
 import classNames from 'classnames'
 import { wallet, rpc } from '@cityofzion/neon-js-next'
 import axios from 'axios'
-import { isEmpty } from 'lodash-es'
+import {
+  flatMap,
+  isEmpty,
+  mapValues,
+  omit,
+  pickBy,
+  uniq,
+  zipObject,
+} from 'lodash-es'
 
 import CloseButton from '../../components/CloseButton'
 import TextInput from '../../components/Inputs/TextInput'
 import FullHeightPanel from '../../components/Panel/FullHeightPanel'
-import { ROUTES } from '../../core/constants'
+import { N3_NATIVE_TOKENS, ROUTES } from '../../core/constants'
 import { convertToArbitraryDecimals, parseQuery } from '../../core/formatters'
+import {
+  getN3TransferEntries,
+  getTokenBalancesMap,
+  normalizeScriptHash,
+  validateTransactionsBeforeSending,
+} from '../../core/wallet'
+import {
+  fetchTokenInfos,
+  getInvocationPreview,
+  getTokenInfoMap,
+} from '../../core/invocationPreview'
+import {
+  decodeInvocation,
+  describeWitnessScopes,
+  getContractManifest,
+  isNep17Contract,
+} from '../../core/contractManifests'
 import styles from './styles.scss'
 import Button from '../../components/Button'
 import { useWalletConnect } from '../../context/WalletConnect/WalletConnectContext'
 import N3Helper from '../../context/WalletConnect/helpers'
+import { MESSAGE_METHODS } from '../../context/WalletConnect/constants'
 import LockIcon from '../../assets/icons/add.svg'
 import Confirm from '../../assets/icons/confirm_connection.svg'
 import Deny from '../../assets/icons/deny_connection.svg'
@@ -34,6 +60,8 @@ import ConnectionLoader from '../../components/ConnectDapp/ConnectionLoader'
 import ConnectionError from '../../components/ConnectDapp/ConnectionError'
 import MessageSuccess from '../../components/ConnectDapp/MessageSuccess'
 import TransactionSuccess from '../../components/ConnectDapp/TransactionSuccess'
+import TransactionSigned from '../../components/ConnectDapp/TransactionSigned'
+import ApproveInformationRequest from '../../components/ConnectDapp/ApproveInformationRequest'
 import VerifyOrSignMessage from '../../components/ConnectDapp/VerifyOrSignMessage'
 import ApproveConnection from '../../components/ConnectDapp/ApproveConnection'
 import ApproveTransaction from '../../components/ConnectDapp/ApproveTransaction'
@@ -50,6 +78,8 @@ type Props = {
   showErrorNotification: ({ message: string }) => void,
   isHardwareLogin?: boolean,
   theme: string,
+  balances: Object,
+  contacts: { [address: string]: string },
 }
 
 const CONNECTION_STEPS = {
@@ -58,11 +88,16 @@ const CONNECTION_STEPS = {
   APPROVE_TRANSACTION: 'APPROVE_TRANSACTION',
   TRANSACTION_SUCCESS: 'TRANSACTION_SUCCESS',
   TRANSACTION_ERROR: 'TRANSACTION_ERROR',
+  TRANSACTION_SIGNED: 'TRANSACTION_SIGNED',
+  APPROVE_INFORMATION: 'APPROVE_INFORMATION',
   SIGN_MESSAGE: 'SIGN_MESSAGE',
   VERIFY_MESSAGE: 'VERIFY_MESSAGE',
   MESSAGE_SUCCESS: 'MESSAGE_SUCCESS',
 }
 
+const getInvocations = (requestEvent: Object): ?Array<Object> =>
+  requestEvent.request.params && requestEvent.request.params.invocations
+
 const ConnectDapp = ({
   address,
   history,
@@ -71,6 +106,8 @@ const ConnectDapp = ({
   showErrorNotification,
   isHardwareLogin,
   theme,
+  balances,
+  contacts,
 }: Props) => {
   const [connectionUrl, setConnectionUrl] = useState('')
   const [connectionStep, setConnectionStep] = useState(
@@ -81,8 +118,16 @@ const ConnectDapp = ({
   const [request, setRequest] = useState(null)
   const [loading, setLoading] = useState(false)
   const [fee, setFee] = useState('')
+  const [validationError, setValidationError] = useState('')
+  const [preview, setPreview] = useState(null)
+  const [decodedInvocations, setDecodedInvocations] = useState([])
+  const [witnessScopes, setWitnessScopes] = useState([])
   const [requestParamsVisible, setRequestParamsVisible] = useState({})
   const [pairingMap, setPairingMap] = useState({})
+  // a request is previewed with the balances and contacts of when it arrived,
+  // refreshing them does not start it over
+  const requestData = useRef({ balances, contacts })
+  requestData.current = { balances, contacts }
 
   const walletConnectCtx = useWalletConnect()
   const firstProposal = walletConnectCtx.sessionProposals[0]
@@ -96,6 +141,10 @@ const ConnectDapp = ({
     setRequest(null)
     setLoading(false)
     setFee('')
+    setValidationError('')
+    setPreview(null)
+    setDecodedInvocations([])
+    setWitnessScopes([])
     // walletConnectCtx.setMessageVerificationResult({})
   }
 
@@ -192,6 +241,15 @@ const ConnectDapp = ({
     [walletConnectCtx.txHash],
   )
 
+  useEffect(
+    () => {
+      if (walletConnectCtx.signedTransaction) {
+        setConnectionStep(CONNECTION_STEPS.TRANSACTION_SIGNED)
+      }
+    },
+    [walletConnectCtx.signedTransaction],
+  )
+
   useEffect(
     () => {
       if (!isEmpty(walletConnectCtx.messageVerification)) {
@@ -223,6 +281,9 @@ const ConnectDapp = ({
 
   useEffect(
     () => {
+      const { balances: requestBalances, contacts: requestContacts } =
+        requestData.current || {}
+
       const getGasFee = async request => {
         const account = new wallet.Account(address)
         const testReq = {
@@ -236,37 +297,77 @@ const ConnectDapp = ({
         const results = await new N3Helper(endpoint).rpcCall(account, testReq)
         const fee = convertToArbitraryDecimals(results.result.gasconsumed)
         setFee(fee)
+        setPreview(
+          await getInvocationPreview(results.result, {
+            sender: account.address,
+            tokens: getTokenInfoMap(requestBalances || {}),
+            client: new rpc.RPCClient(endpoint),
+          }),
+        )
       }
 
-      const getContractManifest = async invocation => {
+      // labels the invocations and signers with the manifests of the
+      // contracts involved
+      const decodeRequest = async request => {
         setLoading(true)
 
         let endpoint = await getNode(net)
         if (!endpoint) {
           endpoint = await getRPCEndpoint(net)
         }
-        const rpcClient = new rpc.RPCClient(endpoint)
-
-        const {
-          manifest: { name, abi },
-        } = await rpcClient.execute(
-          new rpc.Query({
-            method: 'getcontractstate',
-            params: [invocation.scriptHash],
-          }),
+        const { invocations, signers = [] } = request.request.params
+        const hashes = uniq(
+          [
+            ...invocations.map(({ scriptHash }) => scriptHash),
+            ...flatMap(signers, signer => signer.allowedContracts || []),
+          ].map(normalizeScriptHash),
+        )
+        const manifests = zipObject(
+          hashes,
+          await Promise.all(
+            hashes.map(hash =>
+              getContractManifest(hash, endpoint).catch(e => {
+                console.warn('An error occurred fetching a manifest', e)
+                return null
+              }),
+            ),
+          ),
         )
-        setLoading(false)
-        return { name, abi }
-      }
 
-      const mapContractDataToInvocation = async request => {
-        for (const invocation of request.request.params.invocations) {
-          const { name, abi } = await getContractManifest(invocation)
-          invocation.contract = {
-            name,
-            abi,
-          }
-        }
+        // NEP-17 tokens the account does not hold are looked up
+        const tokens = getTokenInfoMap(requestBalances || {})
+        const unknownTokens = hashes.filter(
+          hash =>
+            isNep17Contract(manifests[hash]) &&
+            !N3_NATIVE_TOKENS[hash] &&
+            !tokens[hash],
+        )
+        Object.assign(
+          tokens,
+          await fetchTokenInfos(unknownTokens, new rpc.RPCClient(endpoint)),
+        )
+
+        setDecodedInvocations(
+          invocations.map(invocation =>
+            decodeInvocation(
+              invocation,
+              manifests[normalizeScriptHash(invocation.scriptHash)],
+              { tokens, contacts: requestContacts },
+            ),
+          ),
+        )
+        const contractNames = mapValues(
+          pickBy(manifests),
+          manifest => manifest.name,
+        )
+        setWitnessScopes(
+          signers.length
+            ? flatMap(signers, signer =>
+                describeWitnessScopes(signer, contractNames),
+              )
+            : describeWitnessScopes(null),
+        )
+        setLoading(false)
         setRequest(request)
         setConnectionStep(CONNECTION_STEPS.APPROVE_TRANSACTION)
       }
@@ -285,19 +386,20 @@ const ConnectDapp = ({
         // }
 
         // if (!firstRequest.request.params.error) {
-        if (
-          firstRequest.request.method === 'signMessage' ||
-          firstRequest.request.method === 'verifyMessage'
-        ) {
+        if (MESSAGE_METHODS.includes(firstRequest.request.method)) {
           setConnectionStep(
-            firstRequest.request.method === 'signMessage'
-              ? CONNECTION_STEPS.SIGN_MESSAGE
-              : CONNECTION_STEPS.VERIFY_MESSAGE,
+            firstRequest.request.method === 'verifyMessage'
+              ? CONNECTION_STEPS.VERIFY_MESSAGE
+              : CONNECTION_STEPS.SIGN_MESSAGE,
           )
           setRequest(firstRequest)
+        } else if (!getInvocations(firstRequest)) {
+          // requests without invocations only share information
+          setConnectionStep(CONNECTION_STEPS.APPROVE_INFORMATION)
+          setRequest(firstRequest)
         } else {
           getGasFee(firstRequest.request)
-          mapContractDataToInvocation(firstRequest)
+          decodeRequest(firstRequest)
         }
       }
       // }
@@ -305,6 +407,36 @@ const ConnectDapp = ({
     [firstRequest, address, net],
   )
 
+  // transfers requested by a dApp are checked like the ones of the send form,
+  // fee estimates do not transfer anything
+  useEffect(
+    () => {
+      if (
+        request &&
+        fee &&
+        getInvocations(request) &&
+        request.request.method !== 'calculateFee'
+      ) {
+        const n3Balances = balances || {}
+        setValidationError(
+          validateTransactionsBeforeSending(
+            {
+              NEO: n3Balances.NEO,
+              GAS: n3Balances.GAS,
+              ...getTokenBalancesMap(omit(n3Balances, 'NEO', 'GAS')),
+            },
+            getN3TransferEntries(
+              request.request.params.invocations,
+              n3Balances,
+            ),
+            { chain: 'neo3', fees: fee },
+          ) || '',
+        )
+      }
+    },
+    [request, fee, balances],
+  )
+
   switch (true) {
     case loading:
       return <ConnectionLoader />
@@ -314,6 +446,8 @@ const ConnectDapp = ({
       return <MessageSuccess />
     case connectionStep === CONNECTION_STEPS.TRANSACTION_SUCCESS:
       return <TransactionSuccess />
+    case connectionStep === CONNECTION_STEPS.TRANSACTION_SIGNED:
+      return <TransactionSigned />
     case connectionStep === CONNECTION_STEPS.APPROVE_CONNECTION:
       return (
         <ApproveConnection
@@ -323,6 +457,20 @@ const ConnectDapp = ({
           history={history}
         />
       )
+    case connectionStep === CONNECTION_STEPS.APPROVE_INFORMATION:
+      return (
+        <ApproveInformationRequest
+          request={request}
+          peer={peer}
+          isHardwareLogin={!!isHardwareLogin}
+          resetState={resetState}
+          history={history}
+          showSuccessNotification={showSuccessNotification}
+          setLoading={setLoading}
+          loading={loading}
+          net={net}
+        />
+      )
     case connectionStep === CONNECTION_STEPS.SIGN_MESSAGE:
       return (
         <VerifyOrSignMessage
@@ -365,6 +513,11 @@ const ConnectDapp = ({
           theme={theme}
           net={net}
           fee={fee}
+          validationError={validationError}
+          preview={preview}
+          decodedInvocations={decodedInvocations}
+          witnessScopes={witnessScopes}
+          address={address}
           requestParamsVisible={requestParamsVisible}
           setRequestParamsVisible={setRequestParamsVisible}
         />
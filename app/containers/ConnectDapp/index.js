@@ -4,11 +4,16 @@ import { withRouter } from 'react-router-dom'
 import { compose } from 'recompose'
 import { bindActionCreators } from 'redux'
 import { connect } from 'react-redux'
+import { withData } from 'spunky'
+import { invert } from 'lodash-es'
 
 import ConnectDapp from './ConnectDapp'
 import withAuthData from '../../hocs/withAuthData'
 import withThemeData from '../../hocs/withThemeData'
 import withNetworkData from '../../hocs/withNetworkData'
+import withBalancesData from '../../hocs/withBalancesData'
+import contactsActions from '../../actions/contactsActions'
+import { getContactAddressBook } from '../../core/contacts'
 import {
   showErrorNotification,
   showSuccessNotification,
@@ -22,6 +27,11 @@ const actionCreators = {
 const mapDispatchToProps = dispatch =>
   bindActionCreators(actionCreators, dispatch)
 
+// dApps are only connected on N3
+const mapContactsDataToProps = (contacts: Object) => ({
+  contacts: invert(getContactAddressBook(contacts, 'neo3')),
+})
+
 export default compose(
   connect(
     null,
@@ -31,4 +41,6 @@ export default compose(
   withAuthData(),
   withNetworkData(),
   withThemeData(),
+  withBalancesData(balances => ({ balances })),
+  withData(contactsActions, mapContactsDataToProps),
 )(ConnectDapp)
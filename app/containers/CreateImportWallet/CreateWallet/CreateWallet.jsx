@@ -1,11 +1,13 @@
 // @flow
 import React from 'react'
+import { Tab, Tabs, TabList, TabPanel } from 'react-tabs'
 import { FormattedMessage } from 'react-intl'
 
 import { ROUTES } from '../../../core/constants'
 import CloseButton from '../../../components/CloseButton'
 import BackButton from '../../../components/BackButton'
 import CreateImportWalletForm from '../../../components/CreateImportWalletForm'
+import CreateImportMnemonicWalletForm from '../../../components/CreateImportMnemonicWalletForm'
 import AddIcon from '../../../assets/icons/add.svg'
 import FullHeightPanel from '../../../components/Panel/FullHeightPanel'
 import styles from './CreateWallet.scss'
@@ -14,8 +16,40 @@ type Props = {
   authenticated: boolean,
 }
 
-export default class CreateWallet extends React.Component<Props> {
+type State = {
+  tabIndex: number,
+}
+
+const CREATE_OPTIONS = {
+  WIF: {
+    render: () => <CreateImportWalletForm option="CREATE" />,
+    translationId: 'privateKeyLabel',
+    display: 'Private Key',
+  },
+  MNEMONIC: {
+    render: (props: Props) => (
+      <CreateImportMnemonicWalletForm
+        option="CREATE"
+        authenticated={props.authenticated}
+      />
+    ),
+    translationId: 'recoveryPhraseLabel',
+    display: 'Recovery Phrase',
+  },
+}
+
+export default class CreateWallet extends React.Component<Props, State> {
+  state = {
+    tabIndex: 0,
+  }
+
+  // $FlowFixMe
+  options = Object.keys(CREATE_OPTIONS).map(
+    (key: string) => CREATE_OPTIONS[key],
+  )
+
   render = () => {
+    const { tabIndex } = this.state
     const { authenticated } = this.props
     const conditionalPanelProps = {}
     if (authenticated) {
@@ -36,6 +70,7 @@ export default class CreateWallet extends React.Component<Props> {
         {translation => (
           <FullHeightPanel
             headerText={translation}
+            renderInstructions={false}
             renderHeaderIcon={() => (
               <div className={styles.iconDisplay}>
                 <AddIcon />
@@ -43,8 +78,27 @@ export default class CreateWallet extends React.Component<Props> {
             )}
             {...conditionalPanelProps}
           >
-            <div className={styles.inputContainer}>
-              <CreateImportWalletForm option="CREATE" />
+            <div className={styles.tabContainer}>
+              <Tabs
+                selectedIndex={tabIndex}
+                onSelect={tabIndex => this.setState({ tabIndex })}
+                className="neon-tabs"
+              >
+                <TabList>
+                  {this.options.map(option => (
+                    <Tab key={option.display}>
+                      <FormattedMessage id={option.translationId} />
+                    </Tab>
+                  ))}
+                </TabList>
+                <div>
+                  {this.options.map(option => (
+                    <TabPanel key={option.display}>
+                      {option.render(this.props)}
+                    </TabPanel>
+                  ))}
+                </div>
+              </Tabs>
             </div>
           </FullHeightPanel>
         )}
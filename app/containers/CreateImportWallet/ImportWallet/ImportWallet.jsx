@@ -9,6 +9,9 @@ import BackButton from '../../../components/BackButton'
 import Button from '../../../components/Button'
 import CreateImportWalletForm from '../../../components/CreateImportWalletForm'
 import CreateImportSplitWalletForm from '../../../components/CreateImportSplitWalletForm'
+import ImportKeySharesForm from '../../../components/ImportKeySharesForm'
+import CreateImportMnemonicWalletForm from '../../../components/CreateImportMnemonicWalletForm'
+import CreateMultiSigAccountForm from '../../../components/CreateMultiSigAccountForm'
 import FullHeightPanel from '../../../components/Panel/FullHeightPanel'
 import { loadWalletRecovery } from '../../Settings/Settings'
 import ImportIcon from '../../../assets/icons/import.svg'
@@ -22,6 +25,7 @@ type Props = {
   setN3Accounts: (Array<Object>) => any,
   showSuccessNotification: ({ message: string }) => string,
   showErrorNotification: ({ message: string }) => string,
+  showModal: Function,
   chain: string,
 }
 
@@ -55,6 +59,18 @@ const IMPORT_OPTIONS = {
     chainSupport: ['neo2', 'neo3'],
   },
 
+  MNEMONIC: {
+    render: (props: Props) => (
+      <CreateImportMnemonicWalletForm
+        option="IMPORT"
+        authenticated={props.authenticated}
+      />
+    ),
+    translationId: 'recoveryPhraseLabel',
+    display: 'Recovery Phrase',
+    chainSupport: ['neo2', 'neo3'],
+  },
+
   SPLIT: {
     render: (props: Props) => (
       <CreateImportSplitWalletForm authenticated={props.authenticated} />
@@ -64,6 +80,24 @@ const IMPORT_OPTIONS = {
     chainSupport: ['neo2'],
   },
 
+  KEY_SHARES: {
+    render: (props: Props) => (
+      <ImportKeySharesForm authenticated={props.authenticated} />
+    ),
+    translationId: 'keySharesLabel',
+    display: 'Key Shares',
+    chainSupport: ['neo2', 'neo3'],
+  },
+
+  MULTISIG: {
+    render: (props: Props) => (
+      <CreateMultiSigAccountForm authenticated={props.authenticated} />
+    ),
+    translationId: 'multiSigLabel',
+    display: 'Multi-Signature',
+    chainSupport: ['neo3'],
+  },
+
   RECOVER_WALLET: {
     render: (props: Props) => (
       <Fragment>
@@ -79,6 +113,7 @@ const IMPORT_OPTIONS = {
               props.setAccounts,
               props.setN3Accounts,
               props.chain,
+              props.showModal,
             )
           }}
         >
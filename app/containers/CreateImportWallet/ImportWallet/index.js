@@ -16,11 +16,13 @@ import {
   showErrorNotification,
   showSuccessNotification,
 } from '../../../modules/notifications'
+import { showModal } from '../../../modules/modal'
 import withChainData from '../../../hocs/withChainData'
 
 const actionCreators = {
   showErrorNotification,
   showSuccessNotification,
+  showModal,
 }
 
 const mapDispatchToProps = dispatch =>
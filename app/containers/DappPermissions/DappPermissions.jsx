@@ -0,0 +1,360 @@
+// @flow
+import React, { useState } from 'react'
+import moment from 'moment'
+import { omit } from 'lodash-es'
+import { FormattedMessage, IntlShape } from 'react-intl'
+
+import FullHeightPanel from '../../components/Panel/FullHeightPanel'
+import CloseButton from '../../components/CloseButton'
+import BackButton from '../../components/BackButton'
+import Button from '../../components/Button'
+import Switch from '../../components/Inputs/Switch'
+import TextInput from '../../components/Inputs/TextInput'
+import NumberInput from '../../components/Inputs/NumberInput'
+import StyledReactSelect from '../../components/Inputs/StyledReactSelect/StyledReactSelect'
+import { useWalletConnect } from '../../context/WalletConnect/WalletConnectContext'
+import {
+  APPROVAL_MODES,
+  createDappPolicy,
+  revokeDappPolicy,
+  validateDappPolicy,
+  type ApprovalMode,
+  type DappPolicy,
+} from '../../core/dappPermissions'
+import { getTokenInfoMap } from '../../core/invocationPreview'
+import { normalizeScriptHash } from '../../core/wallet'
+import { MODAL_TYPES, N3_NATIVE_TOKENS, ROUTES } from '../../core/constants'
+import AddIcon from '../../assets/icons/add.svg'
+import CloseIcon from '../../assets/icons/close.svg'
+import WalletConnectIcon from '../../assets/icons/wallet_connect.svg'
+import styles from './DappPermissions.scss'
+
+type Cap = {
+  symbol: string,
+  amount: string,
+}
+
+type Draft = {
+  approvalMode: ApprovalMode,
+  allowedMethods: Array<string>,
+  contracts: string,
+  caps: Array<Cap>,
+}
+
+type Props = {
+  policies: { [topic: string]: DappPolicy },
+  balances: Object,
+  theme: string,
+  loadPolicies: () => any,
+  savePolicy: (policy: DappPolicy) => any,
+  showModal: (modalType: string, modalProps: Object) => any,
+  showSuccessNotification: ({ message: string }) => any,
+  intl: IntlShape,
+}
+
+const DATE_FORMAT = 'YYYY-MM-DD HH:mm'
+
+const toDraft = (policy: DappPolicy): Draft => ({
+  approvalMode: policy.approvalMode,
+  allowedMethods: policy.allowedMethods,
+  contracts: policy.allowedContracts.map(hash => `0x${hash}`).join(', '),
+  caps: policy.spendingCaps.map(({ symbol, amount }) => ({ symbol, amount })),
+})
+
+const DappPermissions = ({
+  policies,
+  balances,
+  theme,
+  loadPolicies,
+  savePolicy,
+  showModal,
+  showSuccessNotification,
+  intl,
+}: Props) => {
+  const walletConnectCtx = useWalletConnect()
+  const [drafts, setDrafts] = useState({})
+  const [errors, setErrors] = useState({})
+
+  // the tokens a spending cap can be set for, by symbol
+  const tokens = Object.entries({
+    ...N3_NATIVE_TOKENS,
+    ...getTokenInfoMap(balances || {}),
+  }).reduce(
+    (bySymbol, [scriptHash, token]: [string, any]) => ({
+      ...bySymbol,
+      [token.symbol]: {
+        scriptHash,
+        symbol: token.symbol,
+        decimals: Number(token.decimals),
+      },
+    }),
+    {},
+  )
+  const symbolOptions = Object.keys(tokens).map(symbol => ({
+    label: symbol,
+    value: symbol,
+  }))
+  const modeOptions = [
+    {
+      label: intl.formatMessage({ id: 'dappPermissionsAutoReadOnly' }),
+      value: APPROVAL_MODES.AUTO_READ_ONLY,
+    },
+    {
+      label: intl.formatMessage({ id: 'dappPermissionsAlwaysAsk' }),
+      value: APPROVAL_MODES.ALWAYS_ASK,
+    },
+  ]
+
+  const getPolicy = (session: Object): DappPolicy =>
+    policies[session.topic] || createDappPolicy(session)
+
+  const updateDraft = (policy: DappPolicy, changes: $Shape<Draft>) => {
+    setDrafts({
+      ...drafts,
+      [policy.topic]: {
+        ...(drafts[policy.topic] || toDraft(policy)),
+        ...changes,
+      },
+    })
+    setErrors({ ...errors, [policy.topic]: '' })
+  }
+
+  const clearDraft = (topic: string) => setDrafts(omit(drafts, topic))
+
+  const saveDraft = async (policy: DappPolicy, draft: Draft) => {
+    const newPolicy = {
+      ...policy,
+      approvalMode: draft.approvalMode,
+      allowedMethods: draft.allowedMethods,
+      allowedContracts: draft.contracts
+        .split(/[\s,]+/)
+        .filter(hash => hash)
+        .map(normalizeScriptHash),
+      spendingCaps: draft.caps.map(({ symbol, amount }) => ({
+        ...tokens[symbol],
+        amount,
+      })),
+    }
+    try {
+      // checked here so the changes can be corrected
+      validateDappPolicy(newPolicy)
+    } catch (e) {
+      setErrors({ ...errors, [policy.topic]: e.message })
+      return
+    }
+    await savePolicy(newPolicy)
+    clearDraft(policy.topic)
+  }
+
+  const revoke = async (policy: DappPolicy) => {
+    await savePolicy(revokeDappPolicy(policy))
+    clearDraft(policy.topic)
+    showSuccessNotification({
+      message: `The permissions of ${policy.name} have been revoked.`,
+    })
+  }
+
+  const confirmDisconnect = (policy: DappPolicy) =>
+    showModal(MODAL_TYPES.CONFIRM, {
+      title: 'Disconnect dApp',
+      text: `Disconnect ${
+        policy.name
+      }? It will have to connect again to make any request.`,
+      height: '200px',
+      onClick: async () => {
+        await walletConnectCtx.disconnect(policy.topic)
+        clearDraft(policy.topic)
+        loadPolicies()
+        showSuccessNotification({
+          message: `${policy.name} has been disconnected.`,
+        })
+      },
+    })
+
+  const renderCaps = (policy: DappPolicy, draft: Draft) => (
+    <div className={styles.caps}>
+      <label>
+        <FormattedMessage id="dappPermissionsCaps" />
+      </label>
+      {draft.caps.map((cap, index) => (
+        <div className={styles.capRow} key={`${policy.topic}-cap${index}`}>
+          <div className={styles.capSymbol}>
+            <StyledReactSelect
+              value={symbolOptions.find(option => option.value === cap.symbol)}
+              onChange={option =>
+                updateDraft(policy, {
+                  caps: draft.caps.map(
+                    (item, i) =>
+                      i === index ? { ...item, symbol: option.value } : item,
+                  ),
+                })
+              }
+              options={symbolOptions}
+            />
+          </div>
+          <div className={styles.capAmount}>
+            <NumberInput
+              value={cap.amount}
+              placeholder={intl.formatMessage({
+                id: 'dappPermissionsCapAmount',
+              })}
+              options={{ numeralDecimalScale: 8 }}
+              onChange={event =>
+                updateDraft(policy, {
+                  caps: draft.caps.map(
+                    (item, i) =>
+                      i === index
+                        ? { ...item, amount: event.target.rawValue }
+                        : item,
+                  ),
+                })
+              }
+            />
+          </div>
+          <Button
+            renderIcon={CloseIcon}
+            onClick={() =>
+              updateDraft(policy, {
+                caps: draft.caps.filter((item, i) => i !== index),
+              })
+            }
+          >
+            <FormattedMessage id="dappPermissionsRemoveCap" />
+          </Button>
+        </div>
+      ))}
+      <div>
+        <Button
+          renderIcon={AddIcon}
+          onClick={() =>
+            updateDraft(policy, {
+              caps: [...draft.caps, { symbol: 'GAS', amount: '' }],
+            })
+          }
+        >
+          <FormattedMessage id="dappPermissionsAddCap" />
+        </Button>
+      </div>
+    </div>
+  )
+
+  const renderSession = (session: Object) => {
+    const policy = getPolicy(session)
+    const draft = drafts[policy.topic] || toDraft(policy)
+
+    return (
+      <div className={styles.dapp} key={policy.topic}>
+        <div className={styles.dappHeader}>
+          {policy.icon && <img src={policy.icon} />}
+          <div>
+            <h3>{policy.name}</h3>
+            <div className={styles.url}>{policy.url}</div>
+            <div className={styles.activity}>
+              {policy.lastActivityAt ? (
+                <FormattedMessage
+                  id="dappPermissionsLastActivity"
+                  values={{
+                    date: moment(policy.lastActivityAt).format(DATE_FORMAT),
+                  }}
+                />
+              ) : (
+                <FormattedMessage id="dappPermissionsNoActivity" />
+              )}
+            </div>
+          </div>
+        </div>
+        <div className={styles.mode}>
+          <label>
+            <FormattedMessage id="dappPermissionsApproval" />
+          </label>
+          <StyledReactSelect
+            value={modeOptions.find(
+              option => option.value === draft.approvalMode,
+            )}
+            onChange={option =>
+              updateDraft(policy, { approvalMode: option.value })
+            }
+            options={modeOptions}
+            isSearchable={false}
+          />
+        </div>
+        <div className={styles.methods}>
+          <label>
+            <FormattedMessage id="dappPermissionsMethods" />
+          </label>
+          {session.permissions.jsonrpc.methods.map(method => (
+            <div className={styles.method} key={`${policy.topic}-${method}`}>
+              <span>{method}</span>
+              <Switch
+                theme={theme}
+                checked={draft.allowedMethods.includes(method)}
+                handleCheck={checked =>
+                  updateDraft(policy, {
+                    allowedMethods: checked
+                      ? [...draft.allowedMethods, method]
+                      : draft.allowedMethods.filter(item => item !== method),
+                  })
+                }
+              />
+            </div>
+          ))}
+        </div>
+        <TextInput
+          label={intl.formatMessage({ id: 'dappPermissionsContracts' })}
+          placeholder={intl.formatMessage({
+            id: 'dappPermissionsAnyContract',
+          })}
+          value={draft.contracts}
+          onChange={event =>
+            updateDraft(policy, { contracts: event.target.value })
+          }
+        />
+        {renderCaps(policy, draft)}
+        {errors[policy.topic] && (
+          <div className={styles.error}>{errors[policy.topic]}</div>
+        )}
+        <div className={styles.buttons}>
+          <Button onClick={() => confirmDisconnect(policy)}>
+            <FormattedMessage id="dappPermissionsDisconnect" />
+          </Button>
+          <Button onClick={() => revoke(policy)}>
+            <FormattedMessage id="dappPermissionsRevoke" />
+          </Button>
+          <Button
+            primary
+            disabled={!drafts[policy.topic]}
+            onClick={() => saveDraft(policy, draft)}
+          >
+            <FormattedMessage id="dappPermissionsSave" />
+          </Button>
+        </div>
+      </div>
+    )
+  }
+
+  return (
+    <FullHeightPanel
+      headerText={<FormattedMessage id="dappPermissionsHeader" />}
+      renderCloseButton={() => <CloseButton routeTo={ROUTES.DASHBOARD} />}
+      renderBackButton={() => <BackButton routeTo={ROUTES.SETTINGS} />}
+      renderHeaderIcon={() => <WalletConnectIcon />}
+      renderInstructions={() => (
+        <div>
+          <FormattedMessage id="dappPermissionsInstructions" />
+        </div>
+      )}
+    >
+      <div className={styles.dappPermissions}>
+        {walletConnectCtx.sessions.length ? (
+          walletConnectCtx.sessions.map(renderSession)
+        ) : (
+          <div className={styles.empty}>
+            <FormattedMessage id="dappPermissionsEmpty" />
+          </div>
+        )}
+      </div>
+    </FullHeightPanel>
+  )
+}
+
+export default DappPermissions
@@ -0,0 +1,46 @@
+// @flow
+import { compose } from 'recompose'
+import { withActions, withCall, withData } from 'spunky'
+import { connect } from 'react-redux'
+import { bindActionCreators } from 'redux'
+import { injectIntl } from 'react-intl'
+
+import DappPermissions from './DappPermissions'
+import dappPermissionsActions, {
+  saveDappPolicyActions,
+} from '../../actions/dappPermissionsActions'
+import { showModal } from '../../modules/modal'
+import { showSuccessNotification } from '../../modules/notifications'
+import withThemeData from '../../hocs/withThemeData'
+import withBalancesData from '../../hocs/withBalancesData'
+import withFailureNotification from '../../hocs/withFailureNotification'
+
+const mapDispatchToProps = dispatch =>
+  bindActionCreators({ showModal, showSuccessNotification }, dispatch)
+
+const mapPoliciesDataToProps = (policies: ?Object) => ({
+  policies: policies || {},
+})
+
+const mapLoadActionsToProps = actions => ({
+  loadPolicies: () => actions.call(),
+})
+
+const mapSaveActionsToProps = actions => ({
+  savePolicy: policy => actions.call({ policy }),
+})
+
+export default compose(
+  connect(
+    null,
+    mapDispatchToProps,
+  ),
+  withThemeData(),
+  withBalancesData(balances => ({ balances })),
+  withCall(dappPermissionsActions),
+  withData(dappPermissionsActions, mapPoliciesDataToProps),
+  withActions(dappPermissionsActions, mapLoadActionsToProps),
+  withActions(saveDappPolicyActions, mapSaveActionsToProps),
+  withFailureNotification(dappPermissionsActions),
+  injectIntl,
+)(DappPermissions)
@@ -2,18 +2,19 @@
 import React from 'react'
 
 import EditContactPanel from '../../components/Contacts/EditContactPanel'
+import { type Contact } from '../../core/contacts'
 import { ROUTES } from '../../core/constants'
 import styles from './EditContact.scss'
 
 type Props = {
   history: Object,
   name: string,
-  address: string,
+  contact: ?Contact,
 }
 
 export default class EditContact extends React.Component<Props> {
   componentWillMount = () => {
-    if (!this.props.address) {
+    if (!this.props.contact) {
       this.props.history.push(ROUTES.CONTACTS)
     }
   }
@@ -23,7 +24,7 @@ export default class EditContact extends React.Component<Props> {
       <div className={styles.editContact}>
         <EditContactPanel
           name={this.props.name}
-          address={this.props.address}
+          contact={this.props.contact}
           onSave={this.handleSave}
         />
       </div>
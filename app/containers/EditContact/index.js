@@ -11,7 +11,7 @@ const mapNameToProps = props => ({
 })
 
 const mapContactsDataToProps = (contacts: Object, ownProps: Object) => ({
-  address: contacts[ownProps.name],
+  contact: contacts[ownProps.name],
 })
 
 export default compose(
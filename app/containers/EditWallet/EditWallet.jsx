@@ -10,6 +10,7 @@ import BackButton from '../../components/BackButton'
 import TextInput from '../../components/Inputs/TextInput'
 import FullHeightPanel from '../../components/Panel/FullHeightPanel'
 import EditIcon from '../../assets/icons/edit.svg'
+import LockIcon from '../../assets/icons/lock.svg'
 import Close from '../../assets/icons/close.svg'
 import CheckIcon from '../../assets/icons/check.svg'
 import Button from '../../components/Button'
@@ -52,6 +53,9 @@ class EditWallet extends Component<Props, State> {
             <div>
               <FormattedMessage id="modifyDetails" />
             </div>
+            <span onClick={this.changePassphrase}>
+              <LockIcon /> <FormattedMessage id="changePassphraseLink" />
+            </span>
             {!isCurrentAddress && (
               <span onClick={this.deleteWalletAccount}>
                 <Close /> <FormattedMessage id="walletManagerRemoveWallet" />
@@ -107,6 +111,14 @@ class EditWallet extends Component<Props, State> {
     return true
   }
 
+  changePassphrase = () => {
+    const { history, match } = this.props
+    history.push({
+      pathname: ROUTES.CHANGE_PASSPHRASE,
+      state: { address: match.params.key },
+    })
+  }
+
   deleteWalletAccount = () => {
     const {
       showSuccessNotification,
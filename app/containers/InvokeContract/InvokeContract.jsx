@@ -0,0 +1,685 @@
+// @flow
+import React, { useState } from 'react'
+import classNames from 'classnames'
+import { FormattedMessage, IntlShape } from 'react-intl'
+import { wallet } from '@cityofzion/neon-js-next'
+
+import FullHeightPanel from '../../components/Panel/FullHeightPanel'
+import CloseButton from '../../components/CloseButton'
+import BackButton from '../../components/BackButton'
+import Button from '../../components/Button'
+import TextInput from '../../components/Inputs/TextInput'
+import StyledReactSelect from '../../components/Inputs/StyledReactSelect/StyledReactSelect'
+import N3Helper from '../../context/WalletConnect/helpers'
+import { getNode, getRPCEndpoint } from '../../actions/nodeStorageActions'
+import {
+  getContractManifest,
+  describeWitnessScopes,
+  type ContractManifest,
+} from '../../core/contractManifests'
+import {
+  PARAM_TYPES,
+  SIGNER_SCOPES,
+  DEFAULT_SIGNER,
+  buildInvocation,
+  createInvocationPreset,
+  createParam,
+  decodeStackItem,
+  isContractHash,
+  validateParam,
+  type DecodedStackItem,
+  type InvocationParam,
+  type InvocationPreset,
+  type InvocationSigner,
+} from '../../core/contractInvocation'
+import { convertToArbitraryDecimals } from '../../core/formatters'
+import { normalizeScriptHash } from '../../core/wallet'
+import { ROUTES } from '../../core/constants'
+import AddIcon from '../../assets/icons/add.svg'
+import CloseIcon from '../../assets/icons/close.svg'
+import RawInvokeIcon from '../../assets/icons/raw-invoke-tx.svg'
+import styles from './InvokeContract.scss'
+
+type Props = {
+  net: string,
+  wif: string,
+  publicKey: string,
+  isHardwareLogin: boolean,
+  isWatchOnly: boolean,
+  signingFunction: () => void,
+  presets: Array<InvocationPreset>,
+  savePreset: (preset: InvocationPreset) => any,
+  deletePreset: (id: string) => any,
+  showSuccessNotification: ({ message: string }) => any,
+  showErrorNotification: ({ message: string }) => any,
+  showInfoNotification: (*) => any,
+  hideNotification: (*) => any,
+  intl: IntlShape,
+}
+
+type TestResult = {
+  state: string,
+  gasConsumed: string,
+  exception: ?string,
+  stack: Array<DecodedStackItem>,
+}
+
+const toOption = (value: string) => ({ label: value, value })
+
+const TYPE_OPTIONS = PARAM_TYPES.map(toOption)
+const BOOLEAN_OPTIONS = ['true', 'false'].map(toOption)
+const SCOPE_OPTIONS = Object.keys(SIGNER_SCOPES).map(scope => ({
+  label: scope,
+  value: SIGNER_SCOPES[scope],
+}))
+
+const getEndpoint = async (net: string): Promise<string> =>
+  (await getNode(net)) || getRPCEndpoint(net)
+
+const InvokeContract = ({
+  net,
+  wif,
+  publicKey,
+  isHardwareLogin,
+  isWatchOnly,
+  signingFunction,
+  presets,
+  savePreset,
+  deletePreset,
+  showSuccessNotification,
+  showErrorNotification,
+  showInfoNotification,
+  hideNotification,
+  intl,
+}: Props) => {
+  const [scriptHash, setScriptHash] = useState('')
+  const [manifest, setManifest] = useState(null)
+  const [methodIndex, setMethodIndex] = useState(-1)
+  const [args, setArgs] = useState([])
+  const [signer, setSigner] = useState(DEFAULT_SIGNER)
+  const [allowedContracts, setAllowedContracts] = useState('')
+  const [presetName, setPresetName] = useState('')
+  const [testResult, setTestResult] = useState(null)
+  const [error, setError] = useState('')
+  const [loading, setLoading] = useState(false)
+
+  const methods = manifest ? manifest.abi.methods : []
+  const method = methods[methodIndex]
+  const methodOptions = methods.map(({ name, parameters }, index) => ({
+    label: `${name}(${parameters.map(({ type }) => type).join(', ')})`,
+    value: index,
+  }))
+  const presetOptions = presets.map(preset => ({
+    label: preset.name,
+    value: preset.id,
+  }))
+  const currentSigner: InvocationSigner = {
+    ...signer,
+    allowedContracts: allowedContracts
+      .split(/[\s,]+/)
+      .filter(hash => hash)
+      .map(normalizeScriptHash),
+  }
+
+  // a transaction is only sent after the inputs it was tested with
+  const resetResult = () => {
+    setTestResult(null)
+    setError('')
+  }
+
+  const updateArgs = (newArgs: Array<InvocationParam>) => {
+    setArgs(newArgs)
+    resetResult()
+  }
+
+  const selectMethod = (
+    contractManifest: ContractManifest,
+    index: number,
+    presetArgs?: Array<InvocationParam>,
+  ) => {
+    const { parameters } = contractManifest.abi.methods[index]
+    setMethodIndex(index)
+    updateArgs(presetArgs || parameters.map(({ type }) => createParam(type)))
+  }
+
+  const loadManifest = async (hash: string): Promise<?ContractManifest> => {
+    setManifest(null)
+    setMethodIndex(-1)
+    updateArgs([])
+    if (!isContractHash(hash)) {
+      setError(intl.formatMessage({ id: 'invokeContractInvalidHash' }))
+      return null
+    }
+
+    setLoading(true)
+    try {
+      const contractManifest = await getContractManifest(
+        hash.trim(),
+        await getEndpoint(net),
+      )
+      setManifest(contractManifest)
+      return contractManifest
+    } catch (e) {
+      setError(e.message)
+      return null
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  const loadPreset = async (id: string) => {
+    const preset = presets.find(item => item.id === id)
+    if (!preset) return
+    setScriptHash(preset.scriptHash)
+    setPresetName(preset.name)
+    setSigner(preset.signer)
+    setAllowedContracts(
+      preset.signer.allowedContracts.map(hash => `0x${hash}`).join(', '),
+    )
+    const contractManifest = await loadManifest(preset.scriptHash)
+    if (!contractManifest) return
+    // methods can be overloaded with a different number of parameters
+    const index = contractManifest.abi.methods.findIndex(
+      ({ name, parameters }) =>
+        name === preset.operation && parameters.length === preset.args.length,
+    )
+    if (index >= 0) {
+      selectMethod(contractManifest, index, preset.args)
+    }
+  }
+
+  const getInvocation = () => {
+    const invalid = args.reduce(
+      (message, param, index) =>
+        message || validateParam(param, method.parameters[index].name),
+      null,
+    )
+    if (invalid) throw new Error(invalid)
+    if (
+      currentSigner.scopes === SIGNER_SCOPES.CustomContracts &&
+      !currentSigner.allowedContracts.every(isContractHash)
+    ) {
+      throw new Error('The allowed contracts must be contract hashes.')
+    }
+    return buildInvocation({
+      scriptHash,
+      operation: method.name,
+      args,
+      signer: currentSigner,
+    })
+  }
+
+  const getAccount = () => new wallet.Account(isHardwareLogin ? publicKey : wif)
+
+  const testInvoke = async () => {
+    resetResult()
+    setLoading(true)
+    try {
+      const result = await new N3Helper(await getEndpoint(net)).multiTestInvoke(
+        getAccount(),
+        getInvocation(),
+      )
+      setTestResult({
+        state: result.state,
+        gasConsumed: convertToArbitraryDecimals(result.gasconsumed),
+        exception: result.exception,
+        stack: (result.stack || []).map(decodeStackItem),
+      })
+    } catch (e) {
+      setError(e.message)
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  const send = async () => {
+    setLoading(true)
+    try {
+      const hash = await new N3Helper(await getEndpoint(net)).multiInvoke(
+        getAccount(),
+        getInvocation(),
+        isHardwareLogin,
+        signingFunction,
+        showInfoNotification,
+        hideNotification,
+      )
+      showSuccessNotification({
+        message: `The transaction ${hash} has been sent.`,
+      })
+      resetResult()
+    } catch (e) {
+      showErrorNotification({
+        message: `The transaction could not be sent: ${e.message}`,
+      })
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  const saveCurrentPreset = async () => {
+    const name = presetName.trim()
+    const existing = presets.some(preset => preset.name === name)
+    await savePreset(
+      createInvocationPreset({
+        name,
+        scriptHash: normalizeScriptHash(scriptHash.trim()),
+        operation: method.name,
+        args,
+        signer: currentSigner,
+      }),
+    )
+    showSuccessNotification({
+      message: existing
+        ? `The preset ${name} has been updated.`
+        : `The preset ${name} has been saved.`,
+    })
+  }
+
+  const renderParam = (
+    param: InvocationParam,
+    onChange: (param: InvocationParam) => any,
+    label: string,
+    key: string,
+  ) => {
+    const renderValue = () => {
+      switch (param.type) {
+        case 'Boolean':
+          return (
+            <StyledReactSelect
+              value={toOption(param.value)}
+              onChange={option => onChange({ ...param, value: option.value })}
+              options={BOOLEAN_OPTIONS}
+              isSearchable={false}
+            />
+          )
+        case 'Array':
+          return (
+            <div className={styles.nested}>
+              {param.value.map((item, index) => (
+                <div className={styles.item} key={`${key}-${index}`}>
+                  {renderParam(
+                    item,
+                    newItem =>
+                      onChange({
+                        ...param,
+                        value: param.value.map(
+                          (value, i) => (i === index ? newItem : value),
+                        ),
+                      }),
+                    String(index),
+                    `${key}-${index}`,
+                  )}
+                  <Button
+                    renderIcon={CloseIcon}
+                    onClick={() =>
+                      onChange({
+                        ...param,
+                        value: param.value.filter((value, i) => i !== index),
+                      })
+                    }
+                  >
+                    <FormattedMessage id="invokeContractRemove" />
+                  </Button>
+                </div>
+              ))}
+              <Button
+                renderIcon={AddIcon}
+                onClick={() =>
+                  onChange({
+                    ...param,
+                    value: [...param.value, createParam('String')],
+                  })
+                }
+              >
+                <FormattedMessage id="invokeContractAddItem" />
+              </Button>
+            </div>
+          )
+        case 'Map':
+          return (
+            <div className={styles.nested}>
+              {param.value.map((entry, index) => {
+                const changeEntry = changes =>
+                  onChange({
+                    ...param,
+                    value: param.value.map(
+                      (value, i) =>
+                        i === index ? { ...entry, ...changes } : value,
+                    ),
+                  })
+                return (
+                  <div className={styles.item} key={`${key}-${index}`}>
+                    {renderParam(
+                      entry.key,
+                      newKey => changeEntry({ key: newKey }),
+                      intl.formatMessage({ id: 'invokeContractKey' }),
+                      `${key}-${index}-key`,
+                    )}
+                    {renderParam(
+                      entry.value,
+                      newValue => changeEntry({ value: newValue }),
+                      intl.formatMessage({ id: 'invokeContractValue' }),
+                      `${key}-${index}-value`,
+                    )}
+                    <Button
+                      renderIcon={CloseIcon}
+                      onClick={() =>
+                        onChange({
+                          ...param,
+                          value: param.value.filter((value, i) => i !== index),
+                        })
+                      }
+                    >
+                      <FormattedMessage id="invokeContractRemove" />
+                    </Button>
+                  </div>
+                )
+              })}
+              <Button
+                renderIcon={AddIcon}
+                onClick={() =>
+                  onChange({
+                    ...param,
+                    value: [
+                      ...param.value,
+                      {
+                        key: createParam('String'),
+                        value: createParam('String'),
+                      },
+                    ],
+                  })
+                }
+              >
+                <FormattedMessage id="invokeContractAddEntry" />
+              </Button>
+            </div>
+          )
+        default:
+          return (
+            <TextInput
+              value={param.value}
+              onChange={event =>
+                onChange({ ...param, value: event.target.value })
+              }
+            />
+          )
+      }
+    }
+
+    return (
+      <div className={styles.param} key={key}>
+        <div className={styles.paramHeader}>
+          <label>{label}</label>
+          <div className={styles.type}>
+            <StyledReactSelect
+              value={toOption(param.type)}
+              onChange={option => onChange(createParam(option.value))}
+              options={TYPE_OPTIONS}
+              isSearchable={false}
+            />
+          </div>
+        </div>
+        {renderValue()}
+      </div>
+    )
+  }
+
+  const renderStackItem = (item: DecodedStackItem, key: string) => (
+    <div className={styles.stackItem} key={key}>
+      <span className={styles.stackType}>{item.type}</span>
+      {item.value && <code>{item.value}</code>}
+      {item.text && <div>&quot;{item.text}&quot;</div>}
+      {item.address && <div>{item.address}</div>}
+      {item.items && (
+        <div className={styles.nested}>
+          {item.items.map((child, index) =>
+            renderStackItem(child, `${key}-${index}`),
+          )}
+        </div>
+      )}
+      {item.entries && (
+        <div className={styles.nested}>
+          {item.entries.map((entry, index) => (
+            <div className={styles.stackEntry} key={`${key}-${index}`}>
+              {renderStackItem(entry.key, `${key}-${index}-key`)}
+              {renderStackItem(entry.value, `${key}-${index}-value`)}
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  )
+
+  const renderResult = (result: TestResult) => (
+    <div className={styles.section}>
+      <label>
+        <FormattedMessage id="invokeContractResult" />
+      </label>
+      <div
+        className={classNames(styles.state, {
+          [styles.fault]: result.state !== 'HALT',
+        })}
+      >
+        <FormattedMessage
+          id="invokeContractState"
+          values={{ state: result.state }}
+        />
+      </div>
+      <div>
+        <FormattedMessage
+          id="invokeContractGasConsumed"
+          values={{ gas: result.gasConsumed }}
+        />
+      </div>
+      {result.exception && (
+        <div className={styles.error}>
+          <FormattedMessage
+            id="invokeContractException"
+            values={{ exception: result.exception }}
+          />
+        </div>
+      )}
+      {result.stack.length ? (
+        result.stack.map((item, index) => renderStackItem(item, String(index)))
+      ) : (
+        <div className={styles.empty}>
+          <FormattedMessage id="invokeContractEmptyStack" />
+        </div>
+      )}
+    </div>
+  )
+
+  return (
+    <FullHeightPanel
+      headerText={<FormattedMessage id="invokeContractHeader" />}
+      renderCloseButton={() => <CloseButton routeTo={ROUTES.DASHBOARD} />}
+      renderBackButton={() => <BackButton routeTo={ROUTES.SETTINGS} />}
+      renderHeaderIcon={() => <RawInvokeIcon />}
+      renderInstructions={() => (
+        <div>
+          <FormattedMessage id="invokeContractInstructions" />
+        </div>
+      )}
+    >
+      <div className={styles.invokeContract}>
+        <div className={styles.section}>
+          <label>
+            <FormattedMessage id="invokeContractPresets" />
+          </label>
+          {presets.length ? (
+            <div className={styles.row}>
+              <div className={styles.grow}>
+                <StyledReactSelect
+                  value={presetOptions.find(
+                    option => option.label === presetName,
+                  )}
+                  onChange={option => loadPreset(option.value)}
+                  options={presetOptions}
+                  placeholder={intl.formatMessage({
+                    id: 'invokeContractLoadPreset',
+                  })}
+                />
+              </div>
+              <Button
+                renderIcon={CloseIcon}
+                disabled={!presets.some(({ name }) => name === presetName)}
+                onClick={() => {
+                  const preset = presets.find(({ name }) => name === presetName)
+                  if (preset) deletePreset(preset.id)
+                }}
+              >
+                <FormattedMessage id="invokeContractDeletePreset" />
+              </Button>
+            </div>
+          ) : (
+            <div className={styles.empty}>
+              <FormattedMessage id="invokeContractNoPresets" />
+            </div>
+          )}
+        </div>
+
+        <div className={styles.section}>
+          <div className={styles.row}>
+            <div className={styles.grow}>
+              <TextInput
+                label={intl.formatMessage({ id: 'invokeContractHash' })}
+                placeholder="0x..."
+                value={scriptHash}
+                onChange={event => setScriptHash(event.target.value)}
+              />
+            </div>
+            <Button
+              disabled={loading || !scriptHash}
+              onClick={() => loadManifest(scriptHash)}
+            >
+              <FormattedMessage id="invokeContractLoad" />
+            </Button>
+          </div>
+          {manifest && (
+            <React.Fragment>
+              <h3>{manifest.name}</h3>
+              <label>
+                <FormattedMessage id="invokeContractMethod" />
+              </label>
+              <StyledReactSelect
+                value={methodOptions[methodIndex] || null}
+                onChange={option => selectMethod(manifest, option.value)}
+                options={methodOptions}
+              />
+            </React.Fragment>
+          )}
+        </div>
+
+        {method && (
+          <div className={styles.section}>
+            <label>
+              <FormattedMessage id="invokeContractParameters" />
+            </label>
+            {args.length ? (
+              args.map((param, index) =>
+                renderParam(
+                  param,
+                  newParam =>
+                    updateArgs(
+                      args.map((arg, i) => (i === index ? newParam : arg)),
+                    ),
+                  `${method.parameters[index].name} (${
+                    method.parameters[index].type
+                  })`,
+                  String(index),
+                ),
+              )
+            ) : (
+              <div className={styles.empty}>
+                <FormattedMessage id="invokeContractNoParameters" />
+              </div>
+            )}
+          </div>
+        )}
+
+        {method && (
+          <div className={styles.section}>
+            <label>
+              <FormattedMessage id="invokeContractScope" />
+            </label>
+            <StyledReactSelect
+              value={SCOPE_OPTIONS.find(
+                option => option.value === signer.scopes,
+              )}
+              onChange={option => {
+                setSigner({ ...signer, scopes: option.value })
+                resetResult()
+              }}
+              options={SCOPE_OPTIONS}
+              isSearchable={false}
+            />
+            {signer.scopes === SIGNER_SCOPES.CustomContracts && (
+              <TextInput
+                label={intl.formatMessage({
+                  id: 'invokeContractAllowedContracts',
+                })}
+                placeholder="0x..., 0x..."
+                value={allowedContracts}
+                onChange={event => {
+                  setAllowedContracts(event.target.value)
+                  resetResult()
+                }}
+              />
+            )}
+            {describeWitnessScopes(currentSigner).map(description => (
+              <div
+                className={classNames(styles.scopeDescription, {
+                  [styles.risky]: description.isRisky,
+                })}
+                key={description.scope}
+              >
+                {description.description}
+              </div>
+            ))}
+          </div>
+        )}
+
+        {error && <div className={styles.error}>{error}</div>}
+        {testResult && renderResult(testResult)}
+
+        {method && (
+          <div className={styles.section}>
+            <div className={styles.row}>
+              <div className={styles.grow}>
+                <TextInput
+                  placeholder={intl.formatMessage({
+                    id: 'invokeContractPresetName',
+                  })}
+                  value={presetName}
+                  onChange={event => setPresetName(event.target.value)}
+                />
+              </div>
+              <Button disabled={!presetName.trim()} onClick={saveCurrentPreset}>
+                <FormattedMessage id="invokeContractSavePreset" />
+              </Button>
+            </div>
+            <div className={styles.buttons}>
+              <Button disabled={loading} onClick={testInvoke}>
+                <FormattedMessage id="invokeContractTestInvoke" />
+              </Button>
+              <Button
+                primary
+                disabled={
+                  loading ||
+                  isWatchOnly ||
+                  !testResult ||
+                  testResult.state !== 'HALT'
+                }
+                onClick={send}
+              >
+                <FormattedMessage id="invokeContractSend" />
+              </Button>
+            </div>
+          </div>
+        )}
+      </div>
+    </FullHeightPanel>
+  )
+}
+
+export default InvokeContract
@@ -0,0 +1,60 @@
+// @flow
+import { compose } from 'recompose'
+import { connect } from 'react-redux'
+import { bindActionCreators } from 'redux'
+import { withActions, withCall, withData, withRecall } from 'spunky'
+import { injectIntl } from 'react-intl'
+
+import InvokeContract from './InvokeContract'
+import invocationPresetsActions, {
+  saveInvocationPresetActions,
+  deleteInvocationPresetActions,
+} from '../../actions/invocationPresetsActions'
+import {
+  showErrorNotification,
+  showSuccessNotification,
+  showInfoNotification,
+  hideNotification,
+} from '../../modules/notifications'
+import withAuthData from '../../hocs/withAuthData'
+import withNetworkData from '../../hocs/withNetworkData'
+import withFailureNotification from '../../hocs/withFailureNotification'
+
+const actionCreators = {
+  showErrorNotification,
+  showSuccessNotification,
+  showInfoNotification,
+  hideNotification,
+}
+
+const mapDispatchToProps = dispatch =>
+  bindActionCreators(actionCreators, dispatch)
+
+const mapPresetsDataToProps = (presets: ?Array<Object>) => ({
+  presets: presets || [],
+})
+
+// presets are saved on the network they were created on
+const mapSaveActionsToProps = (actions, { net }) => ({
+  savePreset: preset => actions.call({ net, preset }),
+})
+
+const mapDeleteActionsToProps = (actions, { net }) => ({
+  deletePreset: id => actions.call({ net, id }),
+})
+
+export default compose(
+  connect(
+    null,
+    mapDispatchToProps,
+  ),
+  withAuthData(),
+  withNetworkData(),
+  withCall(invocationPresetsActions),
+  withRecall(invocationPresetsActions, ['net']),
+  withData(invocationPresetsActions, mapPresetsDataToProps),
+  withActions(saveInvocationPresetActions, mapSaveActionsToProps),
+  withActions(deleteInvocationPresetActions, mapDeleteActionsToProps),
+  withFailureNotification(invocationPresetsActions),
+  injectIntl,
+)(InvokeContract)
@@ -0,0 +1,271 @@
+// @flow
+import React from 'react'
+import fs from 'fs'
+import { clipboard } from 'electron'
+import QRCode from 'qrcode/lib/browser'
+import { wallet } from '@cityofzion/neon-js'
+import { IntlShape, FormattedMessage } from 'react-intl'
+
+import FullHeightPanel from '../../components/Panel/FullHeightPanel'
+import CloseButton from '../../components/CloseButton'
+import Button from '../../components/Button'
+import TextInput from '../../components/Inputs/TextInput'
+import PasswordInput from '../../components/Inputs/PasswordInput'
+import Label from '../../components/Inputs/Label'
+import StyledReactSelect from '../../components/Inputs/StyledReactSelect/StyledReactSelect'
+import { createShareFile, splitPrivateKey } from '../../core/shamir'
+import { decryptKey, getScryptParamsForKey } from '../../core/passphrase'
+import { MODAL_TYPES, ROUTES } from '../../core/constants'
+import LockIcon from '../../assets/icons/lock.svg'
+import CopyIcon from '../../assets/icons/copy.svg'
+import SaveIcon from '../../assets/icons/save-icon.svg'
+import CheckIcon from '../../assets/icons/check.svg'
+import styles from './KeyShares.scss'
+
+const { dialog } = require('electron').remote
+
+type Props = {
+  accounts: Array<Object>,
+  chain: string,
+  showModal: Function,
+  showSuccessNotification: Object => any,
+  showErrorNotification: Object => any,
+  intl: IntlShape,
+}
+
+type State = {
+  selectedAccount: ?Object,
+  passphrase: string,
+  shareCount: string,
+  threshold: string,
+  shares: Array<string>,
+  loading: boolean,
+}
+
+export default class KeyShares extends React.Component<Props, State> {
+  static defaultProps = {
+    accounts: [],
+  }
+
+  state = {
+    selectedAccount: null,
+    passphrase: '',
+    shareCount: '3',
+    threshold: '2',
+    shares: [],
+    loading: false,
+  }
+
+  render() {
+    const { shares } = this.state
+    return (
+      <FormattedMessage id="keySharesPanelHeader">
+        {translation => (
+          <FullHeightPanel
+            headerText={translation}
+            renderCloseButton={() => <CloseButton routeTo={ROUTES.SETTINGS} />}
+            renderHeaderIcon={() => <LockIcon />}
+            renderInstructions={() => (
+              <div>
+                <FormattedMessage
+                  id={
+                    shares.length
+                      ? 'keySharesExportInstructions'
+                      : 'keySharesSplitInstructions'
+                  }
+                />
+              </div>
+            )}
+          >
+            {shares.length ? this.renderShares() : this.renderForm()}
+          </FullHeightPanel>
+        )}
+      </FormattedMessage>
+    )
+  }
+
+  renderForm = () => {
+    const { accounts, intl } = this.props
+    const {
+      selectedAccount,
+      passphrase,
+      shareCount,
+      threshold,
+      loading,
+    } = this.state
+    const options = accounts
+      .filter(account => !!account.key)
+      .map(account => ({ ...account, value: account.label }))
+
+    return (
+      <form className={styles.keySharesForm} onSubmit={this.handleSubmit}>
+        <Label label={intl.formatMessage({ id: 'chooseAccount' })} />
+        <div className={styles.selectMargin}>
+          <StyledReactSelect
+            value={selectedAccount}
+            placeholder={intl.formatMessage({ id: 'chooseAccount' })}
+            onChange={selectedAccount => this.setState({ selectedAccount })}
+            options={options}
+          />
+        </div>
+        <PasswordInput
+          value={passphrase}
+          label={intl.formatMessage({ id: 'inputPasswordPlaceholder' })}
+          placeholder={intl.formatMessage({ id: 'inputPasswordPlaceholder' })}
+          onChange={e => this.setState({ passphrase: e.target.value })}
+        />
+        <div className={styles.countInputs}>
+          <TextInput
+            type="number"
+            min={2}
+            max={255}
+            value={shareCount}
+            label={intl.formatMessage({ id: 'keySharesShareCountLabel' })}
+            onChange={e => this.setState({ shareCount: e.target.value })}
+          />
+          <TextInput
+            type="number"
+            min={2}
+            max={shareCount}
+            value={threshold}
+            label={intl.formatMessage({ id: 'keySharesThresholdLabel' })}
+            onChange={e => this.setState({ threshold: e.target.value })}
+          />
+        </div>
+        <div className={styles.buttonContainer}>
+          <Button
+            renderIcon={CheckIcon}
+            type="submit"
+            shouldCenterButtonLabelText
+            primary
+            disabled={loading || !selectedAccount || !passphrase}
+          >
+            <FormattedMessage id="keySharesSplitButton" />
+          </Button>
+        </div>
+      </form>
+    )
+  }
+
+  renderShares = () => {
+    const { shares } = this.state
+    return (
+      <div className={styles.shares}>
+        {shares.map((share, i) => (
+          <div key={share} className={styles.share}>
+            <canvas ref={ref => this.drawQrCode(ref, share)} />
+            <div className={styles.shareDetails}>
+              <h3>
+                <FormattedMessage
+                  id="keySharesShareTitle"
+                  values={{ index: i + 1, count: shares.length }}
+                />
+              </h3>
+              <code>{share}</code>
+              <div className={styles.shareButtons}>
+                <Button
+                  renderIcon={CopyIcon}
+                  onClick={() => clipboard.writeText(share)}
+                >
+                  <FormattedMessage id="keySharesCopy" />
+                </Button>
+                <Button
+                  renderIcon={SaveIcon}
+                  onClick={() => this.saveShareFile(share, i + 1)}
+                >
+                  <FormattedMessage id="keySharesSaveFile" />
+                </Button>
+              </div>
+            </div>
+          </div>
+        ))}
+        <div className={styles.buttonContainer}>
+          <Button
+            renderIcon={CheckIcon}
+            shouldCenterButtonLabelText
+            primary
+            onClick={() => this.setState({ shares: [], passphrase: '' })}
+          >
+            <FormattedMessage id="keySharesDone" />
+          </Button>
+        </div>
+      </div>
+    )
+  }
+
+  drawQrCode = (ref: ?HTMLCanvasElement, share: string) => {
+    if (!ref) return
+    QRCode.toCanvas(
+      ref,
+      share,
+      { errorCorrectionLevel: 'M', width: 160 },
+      err => {
+        if (err) console.error(err)
+      },
+    )
+  }
+
+  handleSubmit = async (e: SyntheticEvent<*>) => {
+    e.preventDefault()
+    const { selectedAccount, passphrase, shareCount, threshold } = this.state
+    const { showErrorNotification, chain } = this.props
+    if (!selectedAccount) return
+
+    this.setState({ loading: true })
+    try {
+      const wif = await decryptKey(
+        selectedAccount.key,
+        passphrase,
+        chain,
+        await getScryptParamsForKey(selectedAccount.key, chain),
+      )
+      const { privateKey } = new wallet.Account(wif)
+      this.setState({
+        shares: splitPrivateKey(
+          privateKey,
+          Number(shareCount),
+          Number(threshold),
+        ),
+      })
+    } catch (err) {
+      showErrorNotification({ message: err.message })
+    } finally {
+      this.setState({ loading: false })
+    }
+  }
+
+  saveShareFile = (share: string, index: number) => {
+    this.props.showModal(MODAL_TYPES.BACKUP_PASSWORD, {
+      title: `Save key share ${index}`,
+      text:
+        'The key share is encrypted with this password. Give the password to the holder of the share separately from the file.',
+      isNewPassword: true,
+      onConfirm: password => createShareFile(share, password),
+      onComplete: content => this.writeFile(content, index),
+    })
+  }
+
+  writeFile = async (content: string, index: number) => {
+    const { showSuccessNotification, showErrorNotification } = this.props
+    const { filePath, canceled } = await dialog.showSaveDialog({
+      defaultPath: `neon-key-share-${index}.json`,
+      filters: [{ name: 'JSON', extensions: ['json'] }],
+    })
+
+    if (filePath && !canceled) {
+      fs.writeFile(filePath, content, errorWriting => {
+        if (errorWriting) {
+          showErrorNotification({
+            message: `An error occurred creating the file: ${
+              errorWriting.message
+            }`,
+          })
+        } else {
+          showSuccessNotification({
+            message: 'The file has been succesfully saved',
+          })
+        }
+      })
+    }
+  }
+}
@@ -0,0 +1,39 @@
+// @flow
+import { compose } from 'recompose'
+import { connect } from 'react-redux'
+import { bindActionCreators } from 'redux'
+import { withCall, withData } from 'spunky'
+import { injectIntl } from 'react-intl'
+
+import KeyShares from './KeyShares'
+import walletLabelActions from '../../actions/walletLabelActions'
+import withChainData from '../../hocs/withChainData'
+import { showModal } from '../../modules/modal'
+import {
+  showErrorNotification,
+  showSuccessNotification,
+} from '../../modules/notifications'
+
+const actionCreators = {
+  showModal,
+  showErrorNotification,
+  showSuccessNotification,
+}
+
+const mapDispatchToProps = dispatch =>
+  bindActionCreators(actionCreators, dispatch)
+
+const mapAccountsDataToProps = accounts => ({
+  accounts,
+})
+
+export default compose(
+  connect(
+    null,
+    mapDispatchToProps,
+  ),
+  withCall(walletLabelActions),
+  withData(walletLabelActions, mapAccountsDataToProps),
+  withChainData(),
+  injectIntl,
+)(KeyShares)
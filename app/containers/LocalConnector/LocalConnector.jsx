@@ -0,0 +1,202 @@
+// @flow
+import React, { useEffect, useState } from 'react'
+import moment from 'moment'
+import { FormattedMessage, IntlShape } from 'react-intl'
+
+import FullHeightPanel from '../../components/Panel/FullHeightPanel'
+import CloseButton from '../../components/CloseButton'
+import BackButton from '../../components/BackButton'
+import Button from '../../components/Button'
+import Switch from '../../components/Inputs/Switch'
+import TextInput from '../../components/Inputs/TextInput'
+import CopyToClipboard from '../../components/CopyToClipboard'
+import { useWalletConnect } from '../../context/WalletConnect/WalletConnectContext'
+import {
+  LOCAL_CONNECTOR_HOST,
+  getLocalTopic,
+  type LocalConnectorLogEntry,
+} from '../../core/localConnector'
+import { ROUTES } from '../../core/constants'
+import WalletConnectIcon from '../../assets/icons/wallet_connect.svg'
+import styles from './LocalConnector.scss'
+
+type Props = {
+  theme: string,
+  showSuccessNotification: ({ message: string }) => any,
+  intl: IntlShape,
+}
+
+const TIME_FORMAT = 'HH:mm:ss'
+
+const isValidPort = (port: string): boolean =>
+  /^\d+$/.test(port) && Number(port) >= 1024 && Number(port) <= 65535
+
+const formatPayload = (payload: any): string => {
+  try {
+    return JSON.stringify(
+      typeof payload === 'string' ? JSON.parse(payload) : payload,
+      null,
+      2,
+    )
+  } catch (e) {
+    // not JSON, shown as received
+    return String(payload)
+  }
+}
+
+const LocalConnector = ({ theme, showSuccessNotification, intl }: Props) => {
+  const walletConnectCtx = useWalletConnect()
+  const {
+    localConnectorSettings: settings,
+    localConnectorAccount,
+    localConnectorStatus: status,
+    localConnectorLog: log,
+  } = walletConnectCtx
+  const [port, setPort] = useState(String(settings.port))
+  const [error, setError] = useState('')
+
+  // the settings are loaded from storage after the first render
+  useEffect(() => setPort(String(settings.port)), [settings.port])
+
+  const save = async (enabled: boolean) => {
+    if (!isValidPort(port)) {
+      setError(intl.formatMessage({ id: 'localConnectorInvalidPort' }))
+      return
+    }
+    setError('')
+    await walletConnectCtx.saveLocalConnectorSettings({
+      ...settings,
+      enabled,
+      port: Number(port),
+    })
+  }
+
+  const unpair = async (origin: string) => {
+    await walletConnectCtx.disconnect(getLocalTopic(origin))
+    showSuccessNotification({ message: `${origin} has been unpaired.` })
+  }
+
+  const renderStatus = () => {
+    if (!settings.enabled) {
+      return <FormattedMessage id="localConnectorStopped" />
+    }
+    if (!localConnectorAccount) {
+      return <FormattedMessage id="localConnectorNeedsN3" />
+    }
+    if (status.error) {
+      return (
+        <FormattedMessage
+          id="localConnectorFailed"
+          values={{ error: status.error }}
+        />
+      )
+    }
+    return (
+      <FormattedMessage
+        id="localConnectorRunning"
+        values={{ address: `${LOCAL_CONNECTOR_HOST}:${settings.port}` }}
+      />
+    )
+  }
+
+  const renderLogEntry = (entry: LocalConnectorLogEntry, index: number) => (
+    <div className={styles.logEntry} key={index}>
+      <div className={styles.logHeader}>
+        <span>{moment(entry.time).format(TIME_FORMAT)}</span>
+        <span>{entry.direction === 'request' ? '→' : '←'}</span>
+        <span>{entry.transport.toUpperCase()}</span>
+        <span>{entry.origin}</span>
+      </div>
+      <pre>{formatPayload(entry.payload)}</pre>
+    </div>
+  )
+
+  return (
+    <FullHeightPanel
+      headerText={<FormattedMessage id="localConnectorHeader" />}
+      renderCloseButton={() => <CloseButton routeTo={ROUTES.DASHBOARD} />}
+      renderBackButton={() => <BackButton routeTo={ROUTES.SETTINGS} />}
+      renderHeaderIcon={() => <WalletConnectIcon />}
+      renderInstructions={() => (
+        <div>
+          <FormattedMessage id="localConnectorInstructions" />
+        </div>
+      )}
+    >
+      <div className={styles.localConnector}>
+        <div className={styles.section}>
+          <div className={styles.enabled}>
+            <label>
+              <FormattedMessage id="localConnectorEnabled" />
+            </label>
+            <Switch
+              theme={theme}
+              checked={settings.enabled}
+              handleCheck={save}
+            />
+          </div>
+          <div className={styles.port}>
+            <TextInput
+              label={intl.formatMessage({ id: 'localConnectorPort' })}
+              value={port}
+              onChange={event => setPort(event.target.value)}
+            />
+            <Button
+              disabled={port === String(settings.port)}
+              onClick={() => save(settings.enabled)}
+            >
+              <FormattedMessage id="localConnectorSave" />
+            </Button>
+          </div>
+          {error && <div className={styles.error}>{error}</div>}
+          <div className={styles.status}>{renderStatus()}</div>
+        </div>
+
+        <div className={styles.section}>
+          <label>
+            <FormattedMessage id="localConnectorPairedOrigins" />
+          </label>
+          {settings.pairedOrigins.length ? (
+            settings.pairedOrigins.map(origin => (
+              <div className={styles.origin} key={origin}>
+                <span>{origin}</span>
+                <Button onClick={() => unpair(origin)}>
+                  <FormattedMessage id="localConnectorUnpair" />
+                </Button>
+              </div>
+            ))
+          ) : (
+            <div className={styles.empty}>
+              <FormattedMessage id="localConnectorNoOrigins" />
+            </div>
+          )}
+        </div>
+
+        <div className={styles.section}>
+          <div className={styles.logTitle}>
+            <label>
+              <FormattedMessage id="localConnectorLog" />
+            </label>
+            <div>
+              <CopyToClipboard text={JSON.stringify(log, null, 2)} />
+              <Button onClick={walletConnectCtx.clearLocalConnectorLog}>
+                <FormattedMessage id="localConnectorClearLog" />
+              </Button>
+            </div>
+          </div>
+          {log.length ? (
+            <div className={styles.log}>
+              {[...log].reverse().map(renderLogEntry)}
+            </div>
+          ) : (
+            <div className={styles.empty}>
+              <FormattedMessage id="localConnectorEmptyLog" />
+            </div>
+          )}
+        </div>
+      </div>
+    </FullHeightPanel>
+  )
+}
+
+export default LocalConnector
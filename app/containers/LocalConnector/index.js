@@ -0,0 +1,21 @@
+// @flow
+import { compose } from 'recompose'
+import { connect } from 'react-redux'
+import { bindActionCreators } from 'redux'
+import { injectIntl } from 'react-intl'
+
+import LocalConnector from './LocalConnector'
+import { showSuccessNotification } from '../../modules/notifications'
+import withThemeData from '../../hocs/withThemeData'
+
+const mapDispatchToProps = dispatch =>
+  bindActionCreators({ showSuccessNotification }, dispatch)
+
+export default compose(
+  connect(
+    null,
+    mapDispatchToProps,
+  ),
+  withThemeData(),
+  injectIntl,
+)(LocalConnector)
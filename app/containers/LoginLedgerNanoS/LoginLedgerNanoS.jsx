@@ -19,6 +19,7 @@ import {
   MESSAGES as N3MESSAGES,
 } from '../../ledger/n3NeonLedger'
 import DialogueBox from '../../components/DialogueBox'
+import LedgerAccountDiscovery from '../../components/LedgerAccountDiscovery'
 import WarningIcon from '../../assets/icons/warning.svg'
 
 const LEDGER_CONNECTION_STAGES = {
@@ -55,6 +56,7 @@ type State = {
   publicKeys: Array<LedgerPublicKey>,
   loadingPublicKeys: boolean,
   error: string | null,
+  showDiscovery: boolean,
 }
 
 const POLL_FREQUENCY_MS = 3000
@@ -70,6 +72,7 @@ export default class LoginLedgerNanoS extends React.Component<Props, State> {
       publicKeys: [],
       loadingPublicKeys: true,
       error: null,
+      showDiscovery: false,
     }
   }
 
@@ -103,6 +106,7 @@ export default class LoginLedgerNanoS extends React.Component<Props, State> {
         addressOption: null,
         ledgerStage: NOT_CONNECTED,
         isLoading: true,
+        showDiscovery: false,
       })
     }
 
@@ -193,6 +197,7 @@ export default class LoginLedgerNanoS extends React.Component<Props, State> {
                 isSearchable
                 isLoading={loadingPublicKeys}
               />
+              {this.renderDiscovery()}
             </React.Fragment>
           )}
           {!this.props.isMigration &&
@@ -258,6 +263,41 @@ export default class LoginLedgerNanoS extends React.Component<Props, State> {
     }
   }
 
+  renderDiscovery = () => {
+    const { chain } = this.props
+    const { ledgerStage, showDiscovery, addressOption } = this.state
+    if (chain !== 'neo3' || ledgerStage !== CONNECTED) return null
+
+    if (!showDiscovery) {
+      return (
+        <a
+          onClick={() => this.setState({ showDiscovery: true })}
+          className={styles.fetchAdditionalLedgerKeysLink}
+        >
+          Discover accounts and balances
+        </a>
+      )
+    }
+    return (
+      <LedgerAccountDiscovery
+        selectedKey={addressOption ? addressOption.value : null}
+        onSelect={this.handleSelectDiscoveredAccount}
+      />
+    )
+  }
+
+  handleSelectDiscoveredAccount = (keyData: LedgerPublicKey) => {
+    this.setState(state => ({
+      publicKeys: state.publicKeys.some(({ key }) => key === keyData.key)
+        ? state.publicKeys
+        : [...state.publicKeys, keyData].sort((a, b) => a.account - b.account),
+      addressOption: {
+        value: keyData.key,
+        label: this.unencodedHexToAddress(keyData.key),
+      },
+    }))
+  }
+
   renderAdditionalLabelContent = () => {
     const { loadingPublicKeys, error } = this.state
     if (!loadingPublicKeys && !error) {
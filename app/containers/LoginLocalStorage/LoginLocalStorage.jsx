@@ -10,10 +10,12 @@ import StyledReactSelect from '../../components/Inputs/StyledReactSelect/StyledR
 import LoginIcon from '../../assets/icons/login.svg'
 import styles from '../Home/Home.scss'
 import { resetCachedNode } from '../../actions/nodeStorageActions'
+import { getVerificationScriptFromAccount } from '../../core/multisig'
 
 type Props = {
   loading: boolean,
   loginNep2: Function,
+  loginWatchOnly: Function,
   accounts: Object,
   n3Accounts: Object,
   chain: string,
@@ -107,18 +109,22 @@ export default class LoginLocalStorage extends Component<Props, State> {
               options={this.returnMappedAccounts()}
             />
           </div>
-          <div className={styles.inputMargin}>
-            <FormattedMessage id="inputPasswordPlaceholder">
-              {placeholder => (
-                <PasswordInput
-                  placeholder={placeholder}
-                  value={passphrase}
-                  disabled={loading}
-                  onChange={e => this.setState({ passphrase: e.target.value })}
-                />
-              )}
-            </FormattedMessage>
-          </div>
+          {!this.isKeylessAccount() && (
+            <div className={styles.inputMargin}>
+              <FormattedMessage id="inputPasswordPlaceholder">
+                {placeholder => (
+                  <PasswordInput
+                    placeholder={placeholder}
+                    value={passphrase}
+                    disabled={loading}
+                    onChange={e =>
+                      this.setState({ passphrase: e.target.value })
+                    }
+                  />
+                )}
+              </FormattedMessage>
+            </div>
+          )}
 
           <Button
             id="loginButton"
@@ -141,7 +147,7 @@ export default class LoginLocalStorage extends Component<Props, State> {
   }
 
   handleSubmit = (event: Object) => {
-    const { loading, loginNep2, accounts, chain } = this.props
+    const { loading, loginNep2, loginWatchOnly, chain } = this.props
     const { passphrase, selectedAccount } = this.state
     if (selectedAccount) {
       const accountInStorage = this.returnMappedAccounts().find(
@@ -151,10 +157,27 @@ export default class LoginLocalStorage extends Component<Props, State> {
       event.preventDefault()
 
       if (!loading) {
-        loginNep2(passphrase, accountInStorage.key, chain)
+        // multi-signature accounts have no key of their own and are opened as
+        // watch-only accounts, signatures are collected from the co-signers
+        if (this.isKeylessAccount()) {
+          loginWatchOnly(
+            accountInStorage.address,
+            chain,
+            getVerificationScriptFromAccount(accountInStorage),
+          )
+        } else {
+          loginNep2(passphrase, accountInStorage.key, chain)
+        }
       }
     }
   }
 
-  isValid = () => !!this.state.selectedAccount && this.state.passphrase !== ''
+  isKeylessAccount = () => {
+    const { selectedAccount } = this.state
+    return !!selectedAccount && !selectedAccount.key
+  }
+
+  isValid = () =>
+    !!this.state.selectedAccount &&
+    (this.isKeylessAccount() || this.state.passphrase !== '')
 }
@@ -5,7 +5,10 @@ import { withData, withActions } from 'spunky'
 import LoginLocalStorage from './LoginLocalStorage'
 import accountsActions from '../../actions/accountsActions'
 import n3AccountsActions from '../../actions/n3AccountsActions'
-import { nep2LoginActions } from '../../actions/authActions'
+import {
+  nep2LoginActions,
+  watchOnlyLoginActions,
+} from '../../actions/authActions'
 import withLoadingProp from '../../hocs/withLoadingProp'
 import withFailureNotification from '../../hocs/withFailureNotification'
 import pureStrategy from '../../hocs/helpers/pureStrategy'
@@ -30,6 +33,11 @@ const mapActionsToProps = actions => ({
     actions.call({ passphrase, encryptedWIF, chain }),
 })
 
+const mapWatchOnlyActionsToProps = actions => ({
+  loginWatchOnly: (address, chain, verificationScript) =>
+    actions.call({ address, chain, verificationScript }),
+})
+
 const mapNewWalletDataToProps = (name: string) => ({
   newMigratedWalletName: name,
 })
@@ -50,9 +58,11 @@ export default compose(
   withData(accountsActions, mapAccountsDataToProps),
   withData(n3AccountsActions, mapN3AccountsDataToProps),
   withActions(nep2LoginActions, mapActionsToProps),
+  withActions(watchOnlyLoginActions, mapWatchOnlyActionsToProps),
   withLoadingProp(nep2LoginActions, { strategy: pureStrategy }),
   withData(newMigrationWalletActions, mapNewWalletDataToProps),
   withActions(newMigrationWalletActions, mapNewWalletActionsToProps),
   withActions(updateSettingsActions, mapSettingsActionsToProps),
   withFailureNotification(nep2LoginActions),
+  withFailureNotification(watchOnlyLoginActions),
 )(LoginLocalStorage)
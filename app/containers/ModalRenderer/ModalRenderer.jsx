@@ -15,6 +15,9 @@ import ReleaseNotesModal from '../../components/Modals/ReleaseNotesModal'
 import ShowQrForExportModal from '../../components/Modals/ShowQrForExportModal'
 import MigrationDetails from '../../components/Modals/MigrationDetails'
 import LedgerMigrationConfirm from '../../components/Modals/LedgerMigrationConfirm'
+import StoragePasswordModal from '../../components/Modals/StoragePasswordModal'
+import BackupPasswordModal from '../../components/Modals/BackupPasswordModal'
+import RestoreBackupModal from '../../components/Modals/RestoreBackupModal'
 
 const {
   CONFIRM,
@@ -29,6 +32,9 @@ const {
   SHOW_QR_FOR_EXPORT,
   MIGRATION_DETAILS,
   LEDGER_MIGRATION_CONFIRM,
+  STORAGE_PASSWORD,
+  BACKUP_PASSWORD,
+  RESTORE_BACKUP,
 } = MODAL_TYPES
 
 const MODAL_COMPONENTS = {
@@ -44,6 +50,9 @@ const MODAL_COMPONENTS = {
   [SHOW_QR_FOR_EXPORT]: ShowQrForExportModal,
   [MIGRATION_DETAILS]: MigrationDetails,
   [LEDGER_MIGRATION_CONFIRM]: LedgerMigrationConfirm,
+  [STORAGE_PASSWORD]: StoragePasswordModal,
+  [BACKUP_PASSWORD]: BackupPasswordModal,
+  [RESTORE_BACKUP]: RestoreBackupModal,
 }
 
 type Props = {
@@ -6,6 +6,7 @@ import HeaderBar from '../../components/HeaderBar'
 import ReceivePanel from '../../components/Receive/ReceivePanel'
 import { PRICE_UNAVAILABLE } from '../../core/constants'
 import { multiplyNumber } from '../../core/math'
+import { verifyAddressOnDevice } from '../../ledger/n3NeonLedger'
 
 import styles from './Receive.scss'
 
@@ -17,10 +18,16 @@ type Props = {
   showReceiveModal: Function,
   networkId: string,
   chain: string,
+  tokens: Array<TokenItemType>,
+  isHardwareLogin: boolean,
+  ledgerAccount?: number,
+  showSuccessNotification: ({ message: string }) => any,
+  showErrorNotification: ({ message: string }) => any,
 }
 
 type State = {
   walletName: ?string,
+  isVerifyingAddress: boolean,
 }
 
 export default class Receive extends React.Component<Props, State> {
@@ -35,13 +42,23 @@ export default class Receive extends React.Component<Props, State> {
         props.address === account.address ? account.label : accum,
       null,
     )
-    this.state = { walletName }
+    this.state = { walletName, isVerifyingAddress: false }
   }
 
   render() {
-    const { address, showReceiveModal, networkId, chain } = this.props
+    const {
+      address,
+      showReceiveModal,
+      networkId,
+      chain,
+      tokens,
+      isHardwareLogin,
+      ledgerAccount,
+    } = this.props
 
-    const { walletName } = this.state
+    const { walletName, isVerifyingAddress } = this.state
+    const canVerifyAddress =
+      chain === 'neo3' && isHardwareLogin && ledgerAccount !== undefined
 
     return (
       <section className={styles.receiveContainer}>
@@ -52,12 +69,36 @@ export default class Receive extends React.Component<Props, State> {
           address={address}
           networkId={networkId}
           chain={chain}
+          tokens={tokens}
           onSubmit={props => showReceiveModal({ ...props, walletName })}
+          onVerifyAddress={canVerifyAddress ? this.verifyAddress : undefined}
+          isVerifyingAddress={isVerifyingAddress}
         />
       </section>
     )
   }
 
+  verifyAddress = async () => {
+    const {
+      address,
+      ledgerAccount,
+      showSuccessNotification,
+      showErrorNotification,
+    } = this.props
+    if (this.state.isVerifyingAddress || ledgerAccount === undefined) return
+
+    this.setState({ isVerifyingAddress: true })
+    try {
+      await verifyAddressOnDevice(ledgerAccount, address)
+      showSuccessNotification({
+        message: 'The address was confirmed on your Ledger.',
+      })
+    } catch (e) {
+      showErrorNotification({ message: e.message })
+    }
+    this.setState({ isVerifyingAddress: false })
+  }
+
   // TODO: Move this logic to AmountsPanel / Centralized place
   createSendAmountsData() {
     const { sendableAssets, prices } = this.props
@@ -9,7 +9,11 @@ import Receive from './Receive'
 
 import { sendTransaction } from '../../modules/transactions'
 import { showModal } from '../../modules/modal'
-import { getNotifications } from '../../modules/notifications'
+import {
+  getNotifications,
+  showSuccessNotification,
+  showErrorNotification,
+} from '../../modules/notifications'
 import withPricesData from '../../hocs/withPricesData'
 import withNetworkData from '../../hocs/withNetworkData'
 import withAuthData from '../../hocs/withAuthData'
@@ -17,6 +21,7 @@ import withBalancesData from '../../hocs/withBalancesData'
 import withCurrencyData from '../../hocs/withCurrencyData'
 import withFilteredTokensData from '../../hocs/withFilteredTokensData'
 import contactsActions from '../../actions/contactsActions'
+import { getContactAddressBook } from '../../core/contacts'
 import accountActions from '../../actions/accountActions'
 import accountsActions from '../../actions/accountsActions'
 import withLoadingProp from '../../hocs/withLoadingProp'
@@ -30,6 +35,8 @@ const mapDispatchToProps = (dispatch: Function) =>
   bindActionCreators(
     {
       sendTransaction,
+      showSuccessNotification,
+      showErrorNotification,
       showReceiveModal: props =>
         dispatch(showModal(MODAL_TYPES.RECEIVE, props)),
     },
@@ -68,7 +75,9 @@ const mapPricesDataToProps = (prices: Object) => ({
   prices,
 })
 
-const mapContactsDataToProps = (contacts: Object) => ({ contacts })
+const mapContactsDataToProps = (contacts: Object, { chain }: Object) => ({
+  contacts: getContactAddressBook(contacts, chain),
+})
 
 const mapBalanceDataToProps = (balances: Object) => ({
   NEO: balances ? balances.NEO : 0,
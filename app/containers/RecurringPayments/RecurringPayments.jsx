@@ -0,0 +1,455 @@
+// @flow
+import React from 'react'
+import moment from 'moment'
+import { FormattedMessage, IntlShape } from 'react-intl'
+
+import FullHeightPanel from '../../components/Panel/FullHeightPanel'
+import CloseButton from '../../components/CloseButton'
+import BackButton from '../../components/BackButton'
+import Button from '../../components/Button'
+import Table from '../../components/Table'
+import TextInput from '../../components/Inputs/TextInput'
+import NumberInput from '../../components/Inputs/NumberInput'
+import StyledReactSelect from '../../components/Inputs/StyledReactSelect/StyledReactSelect'
+import {
+  createRecurringPayment,
+  type PaymentSchedule,
+  type RecurringPayment,
+} from '../../core/recurringPayments'
+import { getRecurringPaymentLocation } from '../../modules/recurringPayments'
+import { MODAL_TYPES, ROUTES } from '../../core/constants'
+import SendIcon from '../../assets/icons/send.svg'
+import AddIcon from '../../assets/icons/add.svg'
+import EditIcon from '../../assets/icons/edit.svg'
+import DeleteIcon from '../../assets/icons/delete.svg'
+import CloseIcon from '../../assets/icons/close.svg'
+import TimeIcon from '../../assets/icons/time-icon.svg'
+import styles from './RecurringPayments.scss'
+
+type Recipient = {
+  address: string,
+  symbol: string,
+  amount: string,
+}
+
+type Form = {
+  id: ?string,
+  name: string,
+  scheduleType: 'monthly' | 'cron',
+  dayOfMonth: string,
+  expression: string,
+  recipients: Array<Recipient>,
+  fees: string,
+}
+
+type Props = {
+  address: string,
+  chain: string,
+  net: string,
+  payments: Array<RecurringPayment>,
+  symbols: Array<string>,
+  savePayment: (payment: $Shape<RecurringPayment>) => any,
+  deletePayment: (id: string) => any,
+  skipPayment: (id: string) => any,
+  showModal: (modalType: string, modalProps: Object) => any,
+  history: Object,
+  intl: IntlShape,
+}
+
+type State = {
+  form: ?Form,
+  error: string,
+}
+
+const DATE_FORMAT = 'YYYY-MM-DD HH:mm'
+
+const getFormSchedule = (form: Form): PaymentSchedule =>
+  form.scheduleType === 'monthly'
+    ? { type: 'monthly', dayOfMonth: Number(form.dayOfMonth) }
+    : { type: 'cron', expression: form.expression.trim() }
+
+export default class RecurringPayments extends React.Component<Props, State> {
+  state = {
+    form: null,
+    error: '',
+  }
+
+  render() {
+    const { form } = this.state
+
+    return (
+      <FullHeightPanel
+        headerText={<FormattedMessage id="recurringPaymentsHeader" />}
+        renderCloseButton={() => <CloseButton routeTo={ROUTES.DASHBOARD} />}
+        renderBackButton={() => <BackButton routeTo={ROUTES.SEND} />}
+        renderHeaderIcon={() => <TimeIcon />}
+        renderInstructions={() => (
+          <div>
+            <FormattedMessage id="recurringPaymentsInstructions" />
+          </div>
+        )}
+      >
+        <div className={styles.recurringPayments}>
+          {form ? this.renderForm(form) : this.renderPayments()}
+        </div>
+      </FullHeightPanel>
+    )
+  }
+
+  renderPayments = () => {
+    const { payments } = this.props
+
+    return (
+      <React.Fragment>
+        <div className={styles.actions}>
+          <Button renderIcon={AddIcon} onClick={() => this.editPayment()}>
+            <FormattedMessage id="recurringPaymentsNew" />
+          </Button>
+        </div>
+        {payments.length ? (
+          <Table className={styles.table}>
+            <thead>
+              <tr>
+                <th>
+                  <FormattedMessage id="recurringPaymentsName" />
+                </th>
+                <th>
+                  <FormattedMessage id="recurringPaymentsRecipients" />
+                </th>
+                <th>
+                  <FormattedMessage id="recurringPaymentsSchedule" />
+                </th>
+                <th>
+                  <FormattedMessage id="recurringPaymentsNextDue" />
+                </th>
+                <th />
+              </tr>
+            </thead>
+            <tbody>{payments.map(this.renderPayment)}</tbody>
+          </Table>
+        ) : (
+          <div className={styles.empty}>
+            <FormattedMessage id="recurringPaymentsEmpty" />
+          </div>
+        )}
+      </React.Fragment>
+    )
+  }
+
+  renderPayment = (payment: RecurringPayment) => {
+    const { history, skipPayment } = this.props
+    const isDue = payment.nextDueAt <= Date.now()
+
+    return (
+      <tr key={payment.id}>
+        <td>{payment.name}</td>
+        <td>
+          {payment.sendEntries.map(({ address, amount, symbol }, index) => (
+            <div key={`${payment.id}-${index}`} className={styles.recipient}>
+              {amount} {symbol}{' '}
+              <span className={styles.address}>{address}</span>
+            </div>
+          ))}
+        </td>
+        <td>{this.describeSchedule(payment.schedule)}</td>
+        <td className={isDue ? styles.due : undefined}>
+          {moment(payment.nextDueAt).format(DATE_FORMAT)}
+          {payment.lastPaidAt && (
+            <div className={styles.lastPaid}>
+              <FormattedMessage
+                id="recurringPaymentsLastPaid"
+                values={{
+                  date: moment(payment.lastPaidAt).format(DATE_FORMAT),
+                }}
+              />
+            </div>
+          )}
+        </td>
+        <td className={styles.paymentButtons}>
+          <Button
+            primary
+            renderIcon={SendIcon}
+            onClick={() =>
+              history.push(getRecurringPaymentLocation(payment.id))
+            }
+          >
+            <FormattedMessage id="recurringPaymentsPay" />
+          </Button>
+          {isDue && (
+            <Button onClick={() => skipPayment(payment.id)}>
+              <FormattedMessage id="recurringPaymentsSkip" />
+            </Button>
+          )}
+          <Button
+            renderIcon={EditIcon}
+            onClick={() => this.editPayment(payment)}
+          >
+            <FormattedMessage id="recurringPaymentsEdit" />
+          </Button>
+          <Button
+            renderIcon={DeleteIcon}
+            onClick={() => this.confirmDelete(payment)}
+          >
+            <FormattedMessage id="recurringPaymentsDelete" />
+          </Button>
+        </td>
+      </tr>
+    )
+  }
+
+  renderForm = (form: Form) => {
+    const { intl, symbols } = this.props
+    const { error } = this.state
+    const scheduleOptions = [
+      {
+        label: intl.formatMessage({ id: 'recurringPaymentsMonthly' }),
+        value: 'monthly',
+      },
+      {
+        label: intl.formatMessage({ id: 'recurringPaymentsCron' }),
+        value: 'cron',
+      },
+    ]
+    const symbolOptions = symbols.map(symbol => ({
+      label: symbol,
+      value: symbol,
+    }))
+
+    return (
+      <form className={styles.form} onSubmit={this.savePayment}>
+        <TextInput
+          id="recurringPaymentName"
+          label={intl.formatMessage({ id: 'recurringPaymentsName' })}
+          value={form.name}
+          onChange={event => this.updateForm({ name: event.target.value })}
+        />
+        <div className={styles.scheduleRow}>
+          <div className={styles.scheduleType}>
+            <StyledReactSelect
+              value={scheduleOptions.find(
+                option => option.value === form.scheduleType,
+              )}
+              onChange={option =>
+                this.updateForm({ scheduleType: option.value })
+              }
+              options={scheduleOptions}
+              isSearchable={false}
+            />
+          </div>
+          {form.scheduleType === 'monthly' ? (
+            <NumberInput
+              value={form.dayOfMonth}
+              placeholder={intl.formatMessage({
+                id: 'recurringPaymentsDayOfMonth',
+              })}
+              options={{ numeralDecimalScale: 0 }}
+              onChange={event =>
+                this.updateForm({ dayOfMonth: event.target.rawValue })
+              }
+            />
+          ) : (
+            <TextInput
+              id="recurringPaymentCron"
+              placeholder="0 9 1 * *"
+              value={form.expression}
+              onChange={event =>
+                this.updateForm({ expression: event.target.value })
+              }
+            />
+          )}
+        </div>
+        {form.recipients.map((recipient, index) => (
+          <div className={styles.recipientRow} key={`recipient${index}`}>
+            <div className={styles.recipientAddress}>
+              <TextInput
+                placeholder={intl.formatMessage({ id: 'enterAWalletAddress' })}
+                value={recipient.address}
+                onChange={event =>
+                  this.updateRecipient(index, { address: event.target.value })
+                }
+              />
+            </div>
+            <div className={styles.recipientSymbol}>
+              <StyledReactSelect
+                value={symbolOptions.find(
+                  option => option.value === recipient.symbol,
+                )}
+                onChange={option =>
+                  this.updateRecipient(index, { symbol: option.value })
+                }
+                options={symbolOptions}
+              />
+            </div>
+            <div className={styles.recipientAmount}>
+              <NumberInput
+                value={recipient.amount}
+                placeholder={intl.formatMessage({
+                  id: 'requestAssetAmountLabel',
+                })}
+                options={{ numeralDecimalScale: 8 }}
+                onChange={event =>
+                  this.updateRecipient(index, {
+                    amount: event.target.rawValue,
+                  })
+                }
+              />
+            </div>
+            {form.recipients.length > 1 && (
+              <Button
+                renderIcon={CloseIcon}
+                onClick={() => this.removeRecipient(index)}
+              >
+                <FormattedMessage id="recurringPaymentsRemoveRecipient" />
+              </Button>
+            )}
+          </div>
+        ))}
+        <div className={styles.actions}>
+          <Button renderIcon={AddIcon} onClick={this.addRecipient}>
+            <FormattedMessage id="recurringPaymentsAddRecipient" />
+          </Button>
+        </div>
+        <NumberInput
+          value={form.fees}
+          placeholder={intl.formatMessage({ id: 'recurringPaymentsFee' })}
+          options={{ numeralDecimalScale: 8 }}
+          onChange={event => this.updateForm({ fees: event.target.rawValue })}
+        />
+        {error && <div className={styles.error}>{error}</div>}
+        <div className={styles.buttonContainer}>
+          <Button onClick={() => this.setState({ form: null, error: '' })}>
+            <FormattedMessage id="auth.cancel" />
+          </Button>
+          <Button primary type="submit">
+            <FormattedMessage id="recurringPaymentsSave" />
+          </Button>
+        </div>
+      </form>
+    )
+  }
+
+  describeSchedule = (schedule: PaymentSchedule) =>
+    schedule.type === 'monthly' ? (
+      <FormattedMessage
+        id="recurringPaymentsMonthlyOn"
+        values={{ day: schedule.dayOfMonth }}
+      />
+    ) : (
+      <span className={styles.address}>{schedule.expression}</span>
+    )
+
+  editPayment = (payment?: RecurringPayment) => {
+    const { symbols } = this.props
+    const emptyRecipient = { address: '', symbol: symbols[0], amount: '' }
+    this.setState({
+      error: '',
+      form: payment
+        ? {
+            id: payment.id,
+            name: payment.name,
+            scheduleType: payment.schedule.type,
+            dayOfMonth:
+              payment.schedule.type === 'monthly'
+                ? String(payment.schedule.dayOfMonth)
+                : '1',
+            expression:
+              payment.schedule.type === 'cron'
+                ? payment.schedule.expression
+                : '',
+            recipients: payment.sendEntries.map(
+              ({ address, symbol, amount }) => ({
+                address,
+                symbol,
+                amount: String(amount),
+              }),
+            ),
+            fees: payment.fees ? String(payment.fees) : '',
+          }
+        : {
+            id: null,
+            name: '',
+            scheduleType: 'monthly',
+            dayOfMonth: '1',
+            expression: '',
+            recipients: [emptyRecipient],
+            fees: '',
+          },
+    })
+  }
+
+  updateForm = (changes: $Shape<Form>) =>
+    this.setState(prevState => ({
+      form: prevState.form && { ...prevState.form, ...changes },
+      error: '',
+    }))
+
+  updateRecipients = (update: (Array<Recipient>) => Array<Recipient>): void =>
+    this.setState(prevState => ({
+      form: prevState.form && {
+        ...prevState.form,
+        recipients: update(prevState.form.recipients),
+      },
+      error: '',
+    }))
+
+  updateRecipient = (index: number, changes: $Shape<Recipient>) =>
+    this.updateRecipients(recipients =>
+      recipients.map(
+        (recipient, i) =>
+          i === index ? { ...recipient, ...changes } : recipient,
+      ),
+    )
+
+  addRecipient = () =>
+    this.updateRecipients(recipients => [
+      ...recipients,
+      { address: '', symbol: this.props.symbols[0], amount: '' },
+    ])
+
+  removeRecipient = (index: number) =>
+    this.updateRecipients(recipients =>
+      recipients.filter((recipient, i) => i !== index),
+    )
+
+  savePayment = (event: Object) => {
+    event.preventDefault()
+    const { address, chain, net, payments, savePayment } = this.props
+    const { form } = this.state
+    if (!form) return
+
+    const fields = {
+      ...(form.id ? { id: form.id } : {}),
+      name: form.name,
+      address,
+      chain,
+      net,
+      sendEntries: form.recipients.map(recipient => ({
+        address: recipient.address,
+        symbol: recipient.symbol,
+        amount: recipient.amount,
+      })),
+      fees: Number(form.fees) || 0,
+      schedule: getFormSchedule(form),
+    }
+    try {
+      // checked here so the form stays open to correct mistakes
+      createRecurringPayment(
+        fields,
+        payments.find(payment => payment.id === form.id),
+      )
+    } catch (e) {
+      this.setState({ error: e.message })
+      return
+    }
+    savePayment(fields)
+    this.setState({ form: null, error: '' })
+  }
+
+  confirmDelete = (payment: RecurringPayment) =>
+    this.props.showModal(MODAL_TYPES.CONFIRM, {
+      title: 'Delete Recurring Payment',
+      text: `Delete the recurring payment "${payment.name}"?`,
+      height: '200px',
+      onClick: () => this.props.deletePayment(payment.id),
+    })
+}
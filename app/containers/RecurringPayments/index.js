@@ -0,0 +1,72 @@
+// @flow
+import { compose } from 'recompose'
+import { keys, omit } from 'lodash-es'
+import { withActions, withCall, withData } from 'spunky'
+import { connect } from 'react-redux'
+import { bindActionCreators } from 'redux'
+import { injectIntl } from 'react-intl'
+
+import RecurringPayments from './RecurringPayments'
+import recurringPaymentsActions, {
+  saveRecurringPaymentActions,
+  deleteRecurringPaymentActions,
+  advanceRecurringPaymentActions,
+} from '../../actions/recurringPaymentsActions'
+import { showModal } from '../../modules/modal'
+import withAuthData from '../../hocs/withAuthData'
+import withBalancesData from '../../hocs/withBalancesData'
+import withChainData from '../../hocs/withChainData'
+import withNetworkData from '../../hocs/withNetworkData'
+import withFailureNotification from '../../hocs/withFailureNotification'
+
+const mapDispatchToProps = dispatch =>
+  bindActionCreators({ showModal }, dispatch)
+
+// only the payments of the current account, chain and network are listed
+const mapPaymentsDataToProps = (
+  payments: ?Array<Object>,
+  { address, chain, net }: Object,
+) => ({
+  payments: (payments || []).filter(
+    payment =>
+      payment.address === address &&
+      payment.chain === chain &&
+      payment.net === net,
+  ),
+})
+
+const mapBalanceDataToProps = (balances: Object) => ({
+  symbols: balances
+    ? ['NEO', 'GAS', ...keys(omit(balances, 'NEO', 'GAS'))]
+    : ['NEO', 'GAS'],
+})
+
+const mapSaveActionsToProps = actions => ({
+  savePayment: payment => actions.call({ payment }),
+})
+
+const mapDeleteActionsToProps = actions => ({
+  deletePayment: id => actions.call({ id }),
+})
+
+const mapAdvanceActionsToProps = actions => ({
+  skipPayment: id => actions.call({ id, paid: false }),
+})
+
+export default compose(
+  connect(
+    null,
+    mapDispatchToProps,
+  ),
+  withAuthData(),
+  withChainData(),
+  withNetworkData(),
+  withBalancesData(mapBalanceDataToProps),
+  withCall(recurringPaymentsActions),
+  withData(recurringPaymentsActions, mapPaymentsDataToProps),
+  withActions(saveRecurringPaymentActions, mapSaveActionsToProps),
+  withActions(deleteRecurringPaymentActions, mapDeleteActionsToProps),
+  withActions(advanceRecurringPaymentActions, mapAdvanceActionsToProps),
+  withFailureNotification(recurringPaymentsActions),
+  injectIntl,
+)(RecurringPayments)
@@ -1,6 +1,6 @@
 // @flow
 import React from 'react'
-import { uniqueId, get } from 'lodash-es'
+import { uniqueId, get, mapValues } from 'lodash-es'
 import { wallet } from '@cityofzion/neon-js'
 import { wallet as n3Wallet } from '@cityofzion/neon-js-next'
 import { FormattedMessage, IntlShape } from 'react-intl'
@@ -12,8 +12,22 @@ import {
   minusNumber,
   addNumber,
 } from '../../core/math'
-import { isBlacklisted } from '../../core/wallet'
-import { MODAL_TYPES, PRICE_UNAVAILABLE } from '../../core/constants'
+import { isBlockedAddress, isBlockedContract } from '../../core/blocklist'
+import { validateTransactionsBeforeSending } from '../../core/wallet'
+import { getRecurringPayments } from '../../core/recurringPayments'
+import {
+  isNNSName,
+  resolveNNSName,
+  getChangedNNSTarget,
+  saveNNSTarget,
+  type ResolvedNNSName,
+} from '../../core/nns'
+import { type InvocationPreview as InvocationPreviewType } from '../../core/invocationPreview'
+import {
+  MODAL_TYPES,
+  PRICE_UNAVAILABLE,
+  N3_VALID_UNTIL_BLOCK_WINDOW,
+} from '../../core/constants'
 import AmountsPanel from '../../components/AmountsPanel'
 import SendPanel from '../../components/Send/SendPanel'
 import HeaderBar from '../../components/HeaderBar'
@@ -24,26 +38,34 @@ import DialogueBox from '../../components/DialogueBox'
 const MAX_NUMBER_OF_RECIPIENTS = 25
 const MIN_EXPECTED_N3_GAS_FEE = 0.072
 
+// rows keep the name that was typed, the address it resolved to is in `nns`
+const getRecipientAddress = (row: Object): string =>
+  row.nns ? row.nns.address : row.address
+
 type Props = {
   sendableAssets: Object,
   prices: Object,
   sendTransaction: ({
     sendEntries: Array<SendEntryType>,
     fees: number,
+    validUntilBlockWindow?: number,
   }) => Object,
   performMigration: ({
     sendEntries: Array<SendEntryType>,
   }) => Object,
   calculateN3Fees: ({
     sendEntries: Array<SendEntryType>,
+    priorityFee?: number,
   }) => Object,
   contacts: Object,
   currencyCode: string,
   address: string,
+  net: string,
   shouldRenderHeaderBar: boolean,
   location: Object,
   showSendModal: (props: Object) => any,
   tokens: Array<TokenItemType>,
+  tokenBalances: Array<TokenBalanceType>,
   networkId: string,
   isWatchOnly?: boolean,
   showGeneratedTransactionModal: Object => void,
@@ -55,6 +77,7 @@ type Props = {
   handleSwapComplete: () => void,
   showModal: (modalType: string, modalProps: Object) => any,
   migrationAddress?: string,
+  advanceRecurringPayment: ({ id: string, paid: boolean }) => any,
 }
 
 type State = {
@@ -65,16 +88,20 @@ type State = {
   sendErrorMessage: string,
   txid: string,
   fees: number,
+  validUntilBlockWindow: number,
   sendRowDetails: Array<Object>,
   address?: string,
   hasEnoughGas: boolean,
   n3Fees: {
     systemFee: string,
     networkFee: string,
+    preview?: InvocationPreviewType,
   },
   loading: boolean,
   expectedGasFee: string | number,
   isSendingTotalAmountOfGas: boolean,
+  // the recurring payment being sent, it falls due next once sent
+  recurringPaymentId?: ?string,
 }
 
 export default class Send extends React.Component<Props, State> {
@@ -89,6 +116,7 @@ export default class Send extends React.Component<Props, State> {
       txid: '',
       sendRowDetails: [],
       fees: 0,
+      validUntilBlockWindow: N3_VALID_UNTIL_BLOCK_WINDOW.DEFAULT,
       n3Fees: {
         systemFee: '0',
         networkFee: '0',
@@ -114,10 +142,13 @@ export default class Send extends React.Component<Props, State> {
       return { sendRowDetails: newState }
     })
     if (this.props.location && this.props.location.state) {
-      const { address } = this.props.location.state
+      const { address, recurringPaymentId } = this.props.location.state
       if (address) {
         this.updateRowField(0, 'address', address)
       }
+      if (recurringPaymentId) {
+        this.loadRecurringPayment(recurringPaymentId)
+      }
     }
 
     if (this.props.isMigration) {
@@ -140,19 +171,56 @@ export default class Send extends React.Component<Props, State> {
     }
   }
 
+  componentDidUpdate(prevProps: Props) {
+    // a reminder may be followed while the Send page is open
+    const recurringPaymentId = get(
+      this.props.location,
+      'state.recurringPaymentId',
+    )
+    if (
+      recurringPaymentId &&
+      recurringPaymentId !== get(prevProps.location, 'state.recurringPaymentId')
+    ) {
+      this.loadRecurringPayment(recurringPaymentId)
+    }
+  }
+
   pushQRCodeData = (data: Object) => {
     const { sendRowDetails } = this.state
-    const { asset, address, amount } = data
+    const { asset, address, amount, name, fee } = data
     const currIndex = sendRowDetails.length - 1
     if (asset) this.updateRowField(currIndex, 'asset', asset)
     if (address) {
+      // names are resolved again when the send is confirmed
+      const recipient = name || address
       this.clearErrors(currIndex, 'address')
-      this.updateRowField(currIndex, 'address', address)
+      this.updateRowField(currIndex, 'address', recipient)
       setTimeout(() => {
-        this.validateAddress(address, currIndex)
+        this.validateAddress(recipient, currIndex)
       }, 500)
     }
     if (amount) this.updateRowField(currIndex, 'amount', amount)
+    if (fee) this.handleAddPriorityFee(Number(fee))
+  }
+
+  // fills in the rows of a recurring payment and opens its confirmation
+  loadRecurringPayment = async (id: string) => {
+    const payment = (await getRecurringPayments()).find(item => item.id === id)
+    if (!payment) return
+
+    const sendRowDetails = payment.sendEntries.map(
+      ({ address, amount, symbol }) =>
+        this.generateRow({ address, amount, asset: symbol }),
+    )
+    this.setState(
+      { sendRowDetails, fees: payment.fees, recurringPaymentId: id },
+      async () => {
+        if (this.props.chain === 'neo3') {
+          await this.attemptToCalculateN3Fees(sendRowDetails)
+        }
+        this.handleSubmit()
+      },
+    )
   }
 
   generateRow = (row: Object = {}) => {
@@ -225,7 +293,11 @@ export default class Send extends React.Component<Props, State> {
     })
   }
 
-  updateRowField = (index: number, field: string, value: string) => {
+  updateRowField = (
+    index: number,
+    field: string,
+    value: string | ResolvedNNSName,
+  ) => {
     this.setState((prevState: Object) => {
       const newState = [...prevState.sendRowDetails]
       const objectToModify = newState[index]
@@ -243,6 +315,7 @@ export default class Send extends React.Component<Props, State> {
 
       if (field === 'address') {
         objectToModify.address = value
+        objectToModify.nns = null
       }
 
       if (this.props.chain === 'neo3') {
@@ -269,10 +342,11 @@ export default class Send extends React.Component<Props, State> {
     }
 
     const sendEntries = sendRowDetails.map((row: Object) => ({
-      address: row.address,
+      address: getRecipientAddress(row),
       amount: toNumber(row.amount.toString()),
       symbol: row.asset || 'GAS',
     }))
+    const { fees: priorityFee } = this.state
 
     if (this.props.sendableAssets.GAS) {
       const totalGasBeingSent = sendEntries.reduce((prev, curr) => {
@@ -307,7 +381,7 @@ export default class Send extends React.Component<Props, State> {
 
     if (shouldCalculateFees) {
       const fees = await this.props
-        .calculateN3Fees({ sendEntries })
+        .calculateN3Fees({ sendEntries, priorityFee })
         .catch(() => {
           console.warn('An error occurred attempting to calculate fees')
         })
@@ -424,6 +498,7 @@ export default class Send extends React.Component<Props, State> {
         sendSuccess: false,
         sendRowDetails: newState,
         fees: 0,
+        recurringPaymentId: null,
       }
     })
   }
@@ -442,6 +517,14 @@ export default class Send extends React.Component<Props, State> {
           return this.handleMigration()
         }
 
+        if (isValid) {
+          // the rows now hold the addresses resolved from names
+          const error = this.validateTransaction(this.state.sendRowDetails)
+          if (error) {
+            return this.setState({ sendError: true, sendErrorMessage: error })
+          }
+        }
+
         if (isValid && !this.props.isWatchOnly && !generateTransaction) {
           this.setState({ showConfirmSend: true })
         }
@@ -452,6 +535,27 @@ export default class Send extends React.Component<Props, State> {
     }
   }
 
+  validateTransaction = (rows: Array<Object>): ?string => {
+    const { sendableAssets, chain } = this.props
+    const { fees, n3Fees } = this.state
+    return validateTransactionsBeforeSending(
+      mapValues(sendableAssets, 'balance'),
+      rows.map((row: Object) => ({
+        address: getRecipientAddress(row),
+        amount: toNumber(row.amount.toString()),
+        symbol: row.asset,
+      })),
+      {
+        chain,
+        fees: String(
+          chain === 'neo3' && n3Fees
+            ? addNumber(n3Fees.systemFee, n3Fees.networkFee)
+            : fees,
+        ),
+      },
+    )
+  }
+
   handleMigration = () => {
     this.setState({ loading: true })
 
@@ -642,10 +746,15 @@ export default class Send extends React.Component<Props, State> {
       chain,
     } = this.props
 
-    const { sendRowDetails, fees } = this.state
+    const {
+      sendRowDetails,
+      fees,
+      validUntilBlockWindow,
+      recurringPaymentId,
+    } = this.state
 
     const entries = sendRowDetails.map((row: Object) => ({
-      address: row.address,
+      address: getRecipientAddress(row),
       amount: toNumber(row.amount.toString()),
       symbol: row.asset,
     }))
@@ -656,12 +765,20 @@ export default class Send extends React.Component<Props, State> {
       fees,
       isWatchOnly: isWatchOnly || showTransactionModal,
       chain,
+      validUntilBlockWindow,
     })
       .then((result: Object) => {
         if (isWatchOnly || showTransactionModal) {
           this.setState({ pendingTransaction: false })
           showGeneratedTransactionModal(result)
         } else {
+          this.saveResolvedNames(sendRowDetails)
+          if (recurringPaymentId) {
+            this.props.advanceRecurringPayment({
+              id: recurringPaymentId,
+              paid: true,
+            })
+          }
           this.setState({
             sendSuccess: true,
             txid: result.txid,
@@ -680,9 +797,24 @@ export default class Send extends React.Component<Props, State> {
       })
   }
 
+  saveResolvedNames = (rows: Array<Object>) =>
+    rows.filter(row => row.nns).forEach(({ nns }) =>
+      saveNNSTarget(nns.name, nns.address, this.props.net).catch(e => {
+        console.warn('An error occurred saving the address of a name', e)
+      }),
+    )
+
   handleEditRecipientsClick = () => this.setState({ showConfirmSend: false })
 
-  handleAddPriorityFee = (fees: number) => this.setState({ fees })
+  handleAddPriorityFee = (fees: number) =>
+    this.setState({ fees }, () => {
+      if (this.props.chain === 'neo3') {
+        this.attemptToCalculateN3Fees(this.state.sendRowDetails)
+      }
+    })
+
+  handleChangeLifespan = (validUntilBlockWindow: number) =>
+    this.setState({ validUntilBlockWindow })
 
   validateRow = async (row: Object, index: number) => {
     const validAmount = this.validateAmount(
@@ -692,8 +824,25 @@ export default class Send extends React.Component<Props, State> {
       index,
     )
     const validAddress = await this.validateAddress(row.address, index)
+    const validAsset = await this.validateAsset(row.asset, index)
+
+    return validAmount && validAddress && validAsset
+  }
+
+  validateAsset = async (asset: string, index: number) => {
+    const { tokenBalances = [], intl } = this.props
+    const token = tokenBalances.find(({ symbol }) => symbol === asset)
 
-    return validAmount && validAddress
+    if (token && (await isBlockedContract(token.scriptHash))) {
+      const { errors } = this.state.sendRowDetails[index]
+      errors.amount = intl.formatMessage(
+        { id: 'errors.send.blockedContract' },
+        { asset },
+      )
+      this.updateRowField(index, 'errors', errors)
+      return false
+    }
+    return true
   }
 
   validateAmount = (
@@ -768,9 +917,39 @@ export default class Send extends React.Component<Props, State> {
     return true
   }
 
-  validateAddress = async (formAddress: string, index: number) => {
+  resolveName = async (name: string, index: number): Promise<?string> => {
+    const { intl, net } = this.props
+    const { errors } = this.state.sendRowDetails[index]
+
+    try {
+      const address = await resolveNNSName(name, net)
+      const previousAddress = await getChangedNNSTarget(
+        name,
+        address,
+        net,
+      ).catch(() => null)
+      this.updateRowField(index, 'nns', { name, address, previousAddress })
+      return address
+    } catch (e) {
+      errors.address = intl.formatMessage(
+        { id: 'errors.send.unresolvedName' },
+        { name },
+      )
+      this.updateRowField(index, 'errors', errors)
+      return null
+    }
+  }
+
+  validateAddress = async (recipient: string, index: number) => {
     const { intl, chain, isMigration } = this.props
     const { errors } = this.state.sendRowDetails[index]
+    let formAddress = recipient
+
+    if (chain === 'neo3' && !isMigration && isNNSName(recipient)) {
+      const address = await this.resolveName(recipient, index)
+      if (!address) return false
+      formAddress = address
+    }
 
     if (chain === 'neo3' || isMigration) {
       if (formAddress[0].toLocaleUpperCase() !== 'N') {
@@ -785,6 +964,10 @@ export default class Send extends React.Component<Props, State> {
         })
       }
 
+      if (await isBlockedAddress(formAddress)) {
+        errors.address = intl.formatMessage({ id: 'errors.send.blackListed' })
+      }
+
       if (errors.address) {
         this.updateRowField(index, 'errors', errors)
         return false
@@ -796,8 +979,7 @@ export default class Send extends React.Component<Props, State> {
         })
       }
 
-      const blackListedAddress = await isBlacklisted(formAddress)
-      if (blackListedAddress) {
+      if (await isBlockedAddress(formAddress)) {
         errors.address = intl.formatMessage({ id: 'errors.send.blackListed' })
       }
 
@@ -839,6 +1021,7 @@ export default class Send extends React.Component<Props, State> {
       sendErrorMessage,
       txid,
       fees,
+      validUntilBlockWindow,
       pendingTransaction,
       n3Fees,
       hasEnoughGas,
@@ -913,6 +1096,8 @@ export default class Send extends React.Component<Props, State> {
           handleSubmit={this.handleSubmit}
           handleAddPriorityFee={this.handleAddPriorityFee}
           fees={fees}
+          validUntilBlockWindow={validUntilBlockWindow}
+          handleChangeLifespan={this.handleChangeLifespan}
           address={address}
           resetViewsAfterError={this.resetViewsAfterError}
           handleEditRecipientsClick={this.handleEditRecipientsClick}
@@ -1,7 +1,7 @@
 // @flow
 import { compose } from 'recompose'
 import { values, omit } from 'lodash-es'
-import { withData, withCall } from 'spunky'
+import { withData, withCall, withActions } from 'spunky'
 import { connect, type MapStateToProps } from 'react-redux'
 import { bindActionCreators } from 'redux'
 import { injectIntl } from 'react-intl'
@@ -18,6 +18,8 @@ import withBalancesData from '../../hocs/withBalancesData'
 import withCurrencyData from '../../hocs/withCurrencyData'
 import withFilteredTokensData from '../../hocs/withFilteredTokensData'
 import contactsActions from '../../actions/contactsActions'
+import { advanceRecurringPaymentActions } from '../../actions/recurringPaymentsActions'
+import { getContactAddressBook } from '../../core/contacts'
 import balancesActions from '../../actions/balancesActions'
 import withSuccessNotification from '../../hocs/withSuccessNotification'
 import withFailureNotification from '../../hocs/withFailureNotification'
@@ -73,7 +75,9 @@ const mapPricesDataToProps = (prices: Object) => ({
   prices,
 })
 
-const mapContactsDataToProps = (contacts: Object) => ({ contacts })
+const mapContactsDataToProps = (contacts: Object, { chain }: Object) => ({
+  contacts: getContactAddressBook(contacts, chain),
+})
 
 const mapBalanceDataToProps = (balances: Object) => ({
   NEO: balances ? balances.NEO : 0,
@@ -82,6 +86,10 @@ const mapBalanceDataToProps = (balances: Object) => ({
   sendableAssets: filterSendableAssets(balances),
 })
 
+const mapRecurringPaymentActionsToProps = actions => ({
+  advanceRecurringPayment: ({ id, paid }) => actions.call({ id, paid }),
+})
+
 export default compose(
   connect(
     mapStateToProps,
@@ -97,6 +105,10 @@ export default compose(
   withNetworkData(),
   withAuthData(),
   withFilteredTokensData(),
+  withActions(
+    advanceRecurringPaymentActions,
+    mapRecurringPaymentActionsToProps,
+  ),
   withSuccessNotification(
     balancesActions,
     'notifications.success.receivedBlockchainInfo',
@@ -1,11 +1,11 @@
 // @flow
 import React, { Component } from 'react'
 import fs from 'fs'
-import storage from 'electron-json-storage'
 import { Link } from 'react-router-dom'
-import { FormattedMessage } from 'react-intl'
+import { FormattedMessage, IntlShape } from 'react-intl'
 
-import { recoverWallet } from '../../modules/generateWallet'
+import { isStorageEncrypted } from '../../core/storage'
+import { createBackup, isEncryptedBackup, readBackup } from '../../core/backup'
 import Panel from '../../components/Panel'
 import StyledReactSelect from '../../components/Inputs/StyledReactSelect/StyledReactSelect'
 import HeaderBar from '../../components/HeaderBar/HeaderBar'
@@ -22,6 +22,7 @@ import {
   THEMES,
   LANGUAGES,
   PIPEFY_SUPPORT,
+  AUTO_LOCK_TIMEOUTS,
 } from '../../core/constants'
 import styles from './Settings.scss'
 import AddIcon from '../../assets/icons/add.svg'
@@ -54,6 +55,11 @@ type Props = {
   soundEnabled: boolean,
   setSoundSetting: boolean => any,
   chain: string,
+  autoLockTimeout: number,
+  lockOnSuspend: boolean,
+  lockOnScreenLock: boolean,
+  setAutoLockSettings: Object => any,
+  intl: IntlShape,
 }
 
 type Language = {
@@ -67,6 +73,10 @@ type State = {
   selectedTheme: SelectOption,
   soundEnabled: boolean,
   selectedLanguage: Language,
+  selectedAutoLockTimeout: SelectOption,
+  lockOnSuspend: boolean,
+  lockOnScreenLock: boolean,
+  isStorageEncrypted: boolean,
 }
 
 export const loadWalletRecovery = async (
@@ -75,6 +85,7 @@ export const loadWalletRecovery = async (
   setAccounts: (Array<Object>) => any,
   setN3Accounts: (Array<Object>) => any,
   chain: string,
+  showModal: Function,
 ) => {
   const { canceled, filePaths } = await dialog.showOpenDialog()
   if (canceled || !filePaths) return
@@ -87,30 +98,38 @@ export const loadWalletRecovery = async (
       })
       return
     }
-    const walletData = JSON.parse(data)
-    const recoveryData = await recoverWallet(walletData, chain).catch(err => {
-      showErrorNotification({
-        message: `An error occurred recovering wallet: ${err.message}`,
+
+    const showRestorePreview = backup =>
+      showModal(MODAL_TYPES.RESTORE_BACKUP, {
+        backup,
+        onRestore: ({ wallets }) => {
+          showSuccessNotification({ message: 'Recovery was successful.' })
+          if (wallets.neo2) setAccounts(wallets.neo2.accounts)
+          if (wallets.neo3) setN3Accounts(wallets.neo3.accounts)
+        },
       })
-    })
 
-    if (recoveryData) {
-      showSuccessNotification({ message: 'Recovery was successful.' })
-      if (chain === 'neo2') return setAccounts(recoveryData.accounts)
-      return setN3Accounts(recoveryData.accounts)
+    try {
+      const file = JSON.parse(data)
+      if (isEncryptedBackup(file)) {
+        showModal(MODAL_TYPES.BACKUP_PASSWORD, {
+          title: 'Restore backup',
+          text: 'Enter the password that was used to encrypt this backup.',
+          isNewPassword: false,
+          onConfirm: password => readBackup(file, password, chain),
+          onComplete: showRestorePreview,
+        })
+      } else {
+        showRestorePreview(await readBackup(file, null, chain))
+      }
+    } catch (e) {
+      showErrorNotification({
+        message: `An error occurred recovering wallet: ${e.message}`,
+      })
     }
   })
 }
 
-async function storageGet(key) {
-  return new Promise((resolve, reject) => {
-    storage.get(key, (err, data) => {
-      if (err) reject(err)
-      resolve(data)
-    })
-  })
-}
-
 export default class Settings extends Component<Props, State> {
   static defaultProps = {
     explorer: DEFAULT_EXPLORER,
@@ -130,24 +149,46 @@ export default class Settings extends Component<Props, State> {
       Object.keys(LANGUAGES)
         .map(key => LANGUAGES[key])
         .find(lang => lang.value === this.props.language) || LANGUAGES.ENGLISH,
+    selectedAutoLockTimeout: this.getAutoLockOption(this.props.autoLockTimeout),
+    lockOnSuspend: this.props.lockOnSuspend,
+    lockOnScreenLock: this.props.lockOnScreenLock,
+    isStorageEncrypted: false,
   }
 
-  saveWalletRecovery = async () => {
-    const { showSuccessNotification, showErrorNotification, chain } = this.props
+  isUnmounted = false
 
-    let content
-    try {
-      if (chain === 'neo2') {
-        content = JSON.stringify(await storageGet('userWallet'))
-      } else {
-        content = JSON.stringify(await storageGet('n3UserWallet'))
-      }
-    } catch (e) {
-      showErrorNotification({
-        message: `An error occurred reading wallet file: ${e.message}`,
-      })
-      return
+  async componentDidMount() {
+    const isEncrypted = await isStorageEncrypted()
+    if (!this.isUnmounted) this.setState({ isStorageEncrypted: isEncrypted })
+  }
+
+  componentWillUnmount() {
+    this.isUnmounted = true
+  }
+
+  getAutoLockOption(minutes: number): SelectOption {
+    const { intl } = this.props
+    return {
+      value: String(minutes),
+      label: minutes
+        ? intl.formatMessage({ id: 'settingsAutoLockMinutes' }, { minutes })
+        : intl.formatMessage({ id: 'settingsAutoLockNever' }),
     }
+  }
+
+  saveWalletRecovery = () => {
+    this.props.showModal(MODAL_TYPES.BACKUP_PASSWORD, {
+      title: 'Back up Neon',
+      text:
+        'The backup holds the wallets and contacts of both chains, custom tokens, selected nodes and settings. It is encrypted with this password, which is needed to restore it.',
+      isNewPassword: true,
+      onConfirm: createBackup,
+      onComplete: this.saveBackupFile,
+    })
+  }
+
+  saveBackupFile = async (content: string) => {
+    const { showSuccessNotification, showErrorNotification } = this.props
     const { filePath, canceled } = await dialog.showSaveDialog({
       filters: [
         {
@@ -192,6 +233,21 @@ export default class Settings extends Component<Props, State> {
     setSoundSetting(soundEnabled)
   }
 
+  updateAutoLockTimeout = (option: SelectOption) => {
+    this.setState({ selectedAutoLockTimeout: option })
+    this.props.setAutoLockSettings({ autoLockTimeout: Number(option.value) })
+  }
+
+  updateLockOnSuspend = (lockOnSuspend: boolean) => {
+    this.setState({ lockOnSuspend })
+    this.props.setAutoLockSettings({ lockOnSuspend })
+  }
+
+  updateLockOnScreenLock = (lockOnScreenLock: boolean) => {
+    this.setState({ lockOnScreenLock })
+    this.props.setAutoLockSettings({ lockOnScreenLock })
+  }
+
   updateLanguageSetting = (selectedLanguage: Language) => {
     this.setState({ selectedLanguage })
     const { setLanguageSetting } = this.props
@@ -202,6 +258,14 @@ export default class Settings extends Component<Props, State> {
     this.props.showModal(MODAL_TYPES.TOKEN)
   }
 
+  showStoragePasswordModal = () => {
+    this.props.showModal(MODAL_TYPES.STORAGE_PASSWORD, {
+      isEncrypted: this.state.isStorageEncrypted,
+      onComplete: isEncrypted =>
+        this.setState({ isStorageEncrypted: isEncrypted }),
+    })
+  }
+
   render() {
     const {
       showSuccessNotification,
@@ -209,6 +273,7 @@ export default class Settings extends Component<Props, State> {
       setAccounts,
       chain,
       setN3Accounts,
+      showModal,
     } = this.props
 
     const parsedCurrencyOptions = Object.keys(CURRENCIES).map(key => ({
@@ -226,6 +291,10 @@ export default class Settings extends Component<Props, State> {
       renderFlag: LANGUAGES[key].renderFlag,
     }))
 
+    const parsedAutoLockOptions = AUTO_LOCK_TIMEOUTS.map(minutes =>
+      this.getAutoLockOption(minutes),
+    )
+
     const arrOfLanguages: Array<Language> = Object.keys(LANGUAGES).map(
       key => LANGUAGES[key],
     )
@@ -330,7 +399,6 @@ export default class Settings extends Component<Props, State> {
                 {translation => (
                   <SettingsItem
                     renderIcon={() => <VolumeIcon />}
-                    noBorderBottom
                     title={translation}
                   >
                     <div className={styles.settingsSwitchContainer}>
@@ -342,6 +410,56 @@ export default class Settings extends Component<Props, State> {
                   </SettingsItem>
                 )}
               </FormattedMessage>
+              <FormattedMessage id="settingsAutoLockLabel">
+                {translation => (
+                  <SettingsItem
+                    renderIcon={() => <TimeIcon />}
+                    title={translation}
+                  >
+                    <div className={styles.settingsSelectContainer}>
+                      <StyledReactSelect
+                        settingsSelect
+                        onChange={this.updateAutoLockTimeout}
+                        isSearchable={false}
+                        transparent
+                        options={parsedAutoLockOptions}
+                        value={this.state.selectedAutoLockTimeout}
+                      />
+                    </div>
+                  </SettingsItem>
+                )}
+              </FormattedMessage>
+              <FormattedMessage id="settingsLockOnSuspendLabel">
+                {translation => (
+                  <SettingsItem
+                    renderIcon={() => <LockIcon />}
+                    title={translation}
+                  >
+                    <div className={styles.settingsSwitchContainer}>
+                      <Switch
+                        checked={this.state.lockOnSuspend}
+                        handleCheck={this.updateLockOnSuspend}
+                      />
+                    </div>
+                  </SettingsItem>
+                )}
+              </FormattedMessage>
+              <FormattedMessage id="settingsLockOnScreenLockLabel">
+                {translation => (
+                  <SettingsItem
+                    renderIcon={() => <LockIcon />}
+                    noBorderBottom
+                    title={translation}
+                  >
+                    <div className={styles.settingsSwitchContainer}>
+                      <Switch
+                        checked={this.state.lockOnScreenLock}
+                        handleCheck={this.updateLockOnScreenLock}
+                      />
+                    </div>
+                  </SettingsItem>
+                )}
+              </FormattedMessage>
               <div className={styles.settingsSpacer} />
 
               <FormattedMessage id="settingsEncryptLink">
@@ -353,6 +471,63 @@ export default class Settings extends Component<Props, State> {
                   />
                 )}
               </FormattedMessage>
+              <FormattedMessage id="settingsKeySharesLink">
+                {translation => (
+                  <SettingsLink
+                    renderIcon={() => <LockIcon />}
+                    to={ROUTES.KEY_SHARES}
+                    title={translation}
+                  />
+                )}
+              </FormattedMessage>
+              {this.props.chain === 'neo3' && (
+                <FormattedMessage id="settingsDappPermissionsLink">
+                  {translation => (
+                    <SettingsLink
+                      renderIcon={() => <LockIcon />}
+                      to={ROUTES.DAPP_PERMISSIONS}
+                      title={translation}
+                    />
+                  )}
+                </FormattedMessage>
+              )}
+              {this.props.chain === 'neo3' && (
+                <FormattedMessage id="settingsLocalConnectorLink">
+                  {translation => (
+                    <SettingsLink
+                      renderIcon={() => <LockIcon />}
+                      to={ROUTES.LOCAL_CONNECTOR}
+                      title={translation}
+                    />
+                  )}
+                </FormattedMessage>
+              )}
+              {this.props.chain === 'neo3' && (
+                <FormattedMessage id="settingsInvokeContractLink">
+                  {translation => (
+                    <SettingsLink
+                      renderIcon={() => <CogIcon />}
+                      to={ROUTES.INVOKE_CONTRACT}
+                      title={translation}
+                    />
+                  )}
+                </FormattedMessage>
+              )}
+              <SettingsLink
+                onClick={this.showStoragePasswordModal}
+                to={ROUTES.SETTINGS}
+                label={
+                  <FormattedMessage
+                    id={
+                      this.state.isStorageEncrypted
+                        ? 'settingsMasterPasswordChange'
+                        : 'settingsMasterPasswordEnable'
+                    }
+                  />
+                }
+                renderIcon={() => <LockIcon />}
+                title={<FormattedMessage id="settingsMasterPasswordLabel" />}
+              />
               <SettingsLink
                 onClick={() =>
                   loadWalletRecovery(
@@ -361,6 +536,7 @@ export default class Settings extends Component<Props, State> {
                     setAccounts,
                     setN3Accounts,
                     chain,
+                    showModal,
                   )
                 }
                 to={ROUTES.ENCRYPT}
@@ -10,6 +10,7 @@ import {
   withRecall,
   withReset,
 } from 'spunky'
+import { injectIntl } from 'react-intl'
 
 import Settings from './Settings'
 import withExplorerData from '../../hocs/withExplorerData'
@@ -17,6 +18,7 @@ import withCurrencyData from '../../hocs/withCurrencyData'
 import withThemeData from '../../hocs/withThemeData'
 import withLanguageData from '../../hocs/withLanguageData'
 import withSoundEnabledData from '../../hocs/withSoundEnabledData'
+import withAutoLockData from '../../hocs/withAutoLockData'
 import accountsActions, {
   updateAccountsActions,
 } from '../../actions/accountsActions'
@@ -70,6 +72,7 @@ const mapSettingsActionsToProps = actions => ({
     }),
   setSoundSetting: soundEnabled => actions.call({ soundEnabled }),
   setLanguageSetting: language => actions.call({ language }),
+  setAutoLockSettings: values => actions.call(values),
 })
 
 const mapActionsToProps = (actions: Actions): Object => ({
@@ -95,6 +98,7 @@ export default compose(
   withThemeData(),
   withSoundEnabledData(),
   withLanguageData(),
+  withAutoLockData(),
   withActions(networkActions, mapActionsToProps),
   withRecall(nodeStorageActions, ['networkId']),
   withActions(updateAccountsActions, mapAccountsActionsToProps),
@@ -105,4 +109,5 @@ export default compose(
   withReset(dashboardActions, ['currency']),
   withReset(pricesActions, ['currency']),
   withRecall(dashboardActions, ['currency']),
+  injectIntl,
 )(Settings)
@@ -0,0 +1,99 @@
+// @flow
+import React, { Component } from 'react'
+import { FormattedMessage, IntlShape } from 'react-intl'
+
+import Button from '../../components/Button'
+import PasswordInput from '../../components/Inputs/PasswordInput'
+import { isStorageEncrypted, unlockStorage } from '../../core/storage'
+import { DEFAULT_THEME } from '../../core/constants'
+import themes from '../../themes'
+import LockIcon from '../../assets/icons/lock.svg'
+import lightLogo from '../../assets/images/logo-light.png'
+import styles from '../Unlock/Unlock.scss'
+
+type Props = {
+  children: React$Node,
+  intl: IntlShape,
+}
+
+type State = {
+  isLocked: ?boolean,
+  password: string,
+  loading: boolean,
+  error: ?string,
+}
+
+// The settings are encrypted along with everything else, so nothing below this
+// component is rendered until the master password has been entered.
+export default class StorageUnlock extends Component<Props, State> {
+  state = {
+    isLocked: null,
+    password: '',
+    loading: false,
+    error: null,
+  }
+
+  async componentDidMount() {
+    this.setState({ isLocked: await isStorageEncrypted() })
+  }
+
+  render() {
+    const { children, intl } = this.props
+    const { isLocked, password, loading, error } = this.state
+
+    if (isLocked === null) return null
+    if (!isLocked) return children
+
+    return (
+      <div
+        id="storageUnlock"
+        style={themes[DEFAULT_THEME]}
+        className={styles.container}
+      >
+        <img className={styles.logo} src={lightLogo} alt="" />
+        <h1>
+          <FormattedMessage id="storageUnlockTitle" />
+        </h1>
+        <div className={styles.address}>
+          {error || <FormattedMessage id="storageUnlockInstructions" />}
+        </div>
+        <form onSubmit={this.handleSubmit}>
+          <PasswordInput
+            placeholder={intl.formatMessage({
+              id: 'inputPasswordPlaceholder',
+            })}
+            value={password}
+            disabled={loading}
+            onChange={e => this.setState({ password: e.target.value })}
+            autoFocus
+          />
+          <Button
+            id="storageUnlockButton"
+            primary
+            type="submit"
+            className={styles.button}
+            renderIcon={LockIcon}
+            disabled={loading || !password}
+          >
+            <FormattedMessage id="unlockButton" />
+          </Button>
+        </form>
+      </div>
+    )
+  }
+
+  handleSubmit = async (event: Object) => {
+    const { password, loading } = this.state
+
+    event.preventDefault()
+    if (loading) return
+
+    this.setState({ loading: true, error: null })
+    try {
+      await unlockStorage(password)
+      this.setState({ isLocked: false, loading: false, password: '' })
+    } catch (e) {
+      this.setState({ loading: false, error: e.message })
+    }
+  }
+}
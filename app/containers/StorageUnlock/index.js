@@ -0,0 +1,6 @@
+// @flow
+import { injectIntl } from 'react-intl'
+
+import StorageUnlock from './StorageUnlock'
+
+export default injectIntl(StorageUnlock)
@@ -0,0 +1,94 @@
+// @flow
+import React, { Component } from 'react'
+import { FormattedMessage, IntlShape } from 'react-intl'
+
+import Button from '../../components/Button'
+import PasswordInput from '../../components/Inputs/PasswordInput'
+import themes from '../../themes'
+import LockIcon from '../../assets/icons/lock.svg'
+import Arrow from '../../assets/icons/arrow.svg'
+import lightLogo from '../../assets/images/logo-light.png'
+import darkLogo from '../../assets/images/logo-dark.png'
+import styles from './Unlock.scss'
+
+type Props = {
+  address: string,
+  encryptedWIF: string,
+  chain: string,
+  theme: string,
+  loading: boolean,
+  unlock: Function,
+  logout: Function,
+  intl: IntlShape,
+}
+
+type State = {
+  passphrase: string,
+}
+
+export default class Unlock extends Component<Props, State> {
+  state = {
+    passphrase: '',
+  }
+
+  render() {
+    const { address, theme, loading, logout, intl } = this.props
+    const { passphrase } = this.state
+
+    return (
+      <div id="unlock" style={themes[theme]} className={styles.container}>
+        <img
+          className={styles.logo}
+          src={theme === 'Light' ? lightLogo : darkLogo}
+          alt=""
+        />
+        <h1>
+          <FormattedMessage id="unlockTitle" />
+        </h1>
+        <div className={styles.address}>
+          <FormattedMessage id="unlockInstructions" values={{ address }} />
+        </div>
+        <form onSubmit={this.handleSubmit}>
+          <PasswordInput
+            placeholder={intl.formatMessage({
+              id: 'inputPasswordPlaceholder',
+            })}
+            value={passphrase}
+            disabled={loading}
+            onChange={e => this.setState({ passphrase: e.target.value })}
+            autoFocus
+          />
+          <Button
+            id="unlockButton"
+            primary
+            type="submit"
+            className={styles.button}
+            renderIcon={LockIcon}
+            disabled={loading || !passphrase}
+          >
+            <FormattedMessage id="unlockButton" />
+          </Button>
+          <Button
+            className={styles.button}
+            renderIcon={Arrow}
+            onClick={logout}
+            disabled={loading}
+          >
+            <FormattedMessage id="sidebarLogout" />
+          </Button>
+        </form>
+      </div>
+    )
+  }
+
+  handleSubmit = (event: Object) => {
+    const { loading, unlock, encryptedWIF, chain } = this.props
+    const { passphrase } = this.state
+
+    event.preventDefault()
+
+    if (!loading) {
+      unlock({ passphrase, encryptedWIF, chain })
+    }
+  }
+}
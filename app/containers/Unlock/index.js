@@ -0,0 +1,33 @@
+// @flow
+import { compose } from 'recompose'
+import { withActions } from 'spunky'
+import { injectIntl } from 'react-intl'
+
+import Unlock from './Unlock'
+import withAuthData from '../../hocs/withAuthData'
+import withChainData from '../../hocs/withChainData'
+import withThemeData from '../../hocs/withThemeData'
+import withLoadingProp from '../../hocs/withLoadingProp'
+import withFailureNotification from '../../hocs/withFailureNotification'
+import pureStrategy from '../../hocs/helpers/pureStrategy'
+import { nep2LoginActions, logoutActions } from '../../actions/authActions'
+
+const mapUnlockActionsToProps = actions => ({
+  unlock: ({ passphrase, encryptedWIF, chain }) =>
+    actions.call({ passphrase, encryptedWIF, chain }),
+})
+
+const mapLogoutActionsToProps = actions => ({
+  logout: () => actions.call(),
+})
+
+export default compose(
+  withAuthData(),
+  withChainData(),
+  withThemeData(),
+  withActions(nep2LoginActions, mapUnlockActionsToProps),
+  withActions(logoutActions, mapLogoutActionsToProps),
+  withLoadingProp(nep2LoginActions, { strategy: pureStrategy }),
+  withFailureNotification(nep2LoginActions),
+  injectIntl,
+)(Unlock)
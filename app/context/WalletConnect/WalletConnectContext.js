@@ -1,9 +1,14 @@
 // @flow
 
-import React, { useCallback, useContext, useEffect, useState } from 'react'
+import React, {
+  useCallback,
+  useContext,
+  useEffect,
+  useRef,
+  useState,
+} from 'react'
 import Client, { CLIENT_EVENTS } from '@walletconnect/client'
 import { ERROR } from '@walletconnect/utils'
-import KeyValueStorage from 'keyvaluestorage'
 import { SessionTypes, AppMetadata } from '@walletconnect/types'
 import {
   formatJsonRpcError,
@@ -11,6 +16,54 @@ import {
   JsonRpcResponse,
 } from '@json-rpc-tools/utils'
 
+import {
+  checkDappRequest,
+  createDappPolicy,
+  getDappPolicies,
+  recordDappActivity,
+  recordDappSpending,
+  setDappPolicies,
+  type DappPolicy,
+} from '../../core/dappPermissions'
+import {
+  DEFAULT_LOCAL_CONNECTOR_SETTINGS,
+  createLocalSession,
+  getLocalConnectorSettings,
+  getLocalTopic,
+  getOriginOfTopic,
+  isLocalTopic,
+  isPairableOrigin,
+  setLocalConnectorSettings,
+  startLocalConnector,
+  type LocalConnectorHandlers,
+  type LocalConnectorLogEntry,
+  type LocalConnectorSettings,
+} from '../../core/localConnector'
+import {
+  clearWalletConnectStorage,
+  createWalletConnectStorage,
+} from '../../core/walletConnectStorage'
+
+// the most requests and responses of the local connector kept in its log
+const MAX_LOCAL_CONNECTOR_LOG = 200
+
+// request ids are only unique per session
+const isSameRequest = (a: Object, b: Object): boolean =>
+  a.request.id === b.request.id && a.topic === b.topic
+
+// the value and the setter returned by useState
+type State<S> = [S, ((S => S) | S) => void]
+
+type LocalResponder = {
+  id: number,
+  respond: (response: JsonRpcResponse) => void,
+}
+
+type LocalPairing = {
+  resolve: (result: Object) => void,
+  reject: (error: Error) => void,
+}
+
 type CtxOptions = {
   appMetadata: AppMetadata,
   chainIds: string[],
@@ -33,8 +86,9 @@ export const WalletConnectContextProvider = ({
   const [wcClient, setWcClient] = useState(undefined)
   // $FlowFixMe
   const [storage, setStorage] = useState(undefined)
-  // $FlowFixMe
-  const [sessionProposals, setSessionProposals] = useState([])
+  const [sessionProposals, setSessionProposals]: State<
+    Array<Object>,
+  > = useState([])
   // $FlowFixMe
   const [initialized, setInitialized] = useState(false)
   // eslint-disable-next-line
@@ -44,8 +98,7 @@ export const WalletConnectContextProvider = ({
   const [accounts, setAccounts] = useState([])
   // $FlowFixMe
   const [sessions, setSessions] = useState([])
-  // $FlowFixMe
-  const [requests, setRequests] = useState([])
+  const [requests, setRequests]: State<Array<Object>> = useState([])
   // $FlowFixMe
   const [results, setResults] = useState([])
   // $FlowFixMe
@@ -55,30 +108,44 @@ export const WalletConnectContextProvider = ({
   const [txHash, setTxHash] = useState('')
   // $FlowFixMe
   const [messageVerification, setMessageVerificationResult] = useState({})
+  // $FlowFixMe
+  const [signedTransaction, setSignedTransaction] = useState(null)
 
   // $FlowFixMe
   const [error, setError] = useState(false)
 
-  const init = async () => {
-    if (!wcClient) {
-      const st = new KeyValueStorage()
-      setStorage(st)
-      const clientOptions = {
-        controller: true,
-        relayProvider: options.relayServer,
-        storage: st,
-      }
-
-      if (process.env.NODE_ENV === 'development') {
-        // $FlowFixMe
-        clientOptions.logger = 'debug'
-      }
-
-      setWcClient(await Client.init(clientOptions))
-    }
-  }
+  const [localConnectorSettings, setLocalConnectorState] = useState(
+    DEFAULT_LOCAL_CONNECTOR_SETTINGS,
+  )
+  // the account paired origins get, as `neo3:<network>:<address>`, the
+  // connector only runs while there is one
+  const [
+    localConnectorAccount,
+    setLocalConnectorAccount,
+  ]: State<?string> = useState(null)
+  const [localConnectorStatus, setLocalConnectorStatus] = useState({
+    running: false,
+    error: '',
+  })
+  const [localConnectorLog, setLocalConnectorLog]: State<
+    Array<LocalConnectorLogEntry>,
+  > = useState([])
+  // the requests and pairings of the local connector waiting for an answer,
+  // the maps are created once and changed in place
+  const [localResponders]: State<Map<string, LocalResponder>> = useState(
+    () => new Map(),
+  )
+  const [localPairings]: State<Map<string, LocalPairing>> = useState(
+    () => new Map(),
+  )
+  const localHandlers = useRef((null: ?LocalConnectorHandlers))
+  const localSessions = localConnectorSettings.pairedOrigins.map(origin =>
+    createLocalSession(origin, options.methods),
+  )
 
   const clearStorage = async () => {
+    await clearWalletConnectStorage()
+    // the client state was kept in localStorage by earlier versions
     const arr = []
     // eslint-disable-next-line
     for (let i = 0; i < localStorage.length; i++) {
@@ -96,10 +163,44 @@ export const WalletConnectContextProvider = ({
     }
   }
 
-  useEffect(() => {
-    init()
-    clearStorage()
-  }, [])
+  const init = async () => {
+    if (!wcClient) {
+      // a new client starts without the pairings and sessions left before it
+      await clearStorage()
+      const st = createWalletConnectStorage()
+      setStorage(st)
+      const clientOptions = {
+        controller: true,
+        relayProvider: options.relayServer,
+        storage: st,
+      }
+
+      if (process.env.NODE_ENV === 'development') {
+        // $FlowFixMe
+        clientOptions.logger = 'debug'
+      }
+
+      setWcClient(await Client.init(clientOptions))
+    }
+  }
+
+  // the settings are encrypted with the rest of the storage, so they are read
+  // again once an account is logged in
+  useEffect(
+    () => {
+      getLocalConnectorSettings()
+        .then(setLocalConnectorState)
+        .catch(() => setLocalConnectorState(DEFAULT_LOCAL_CONNECTOR_SETTINGS))
+    },
+    [localConnectorAccount],
+  )
+
+  const saveLocalConnectorSettings = async (
+    settings: LocalConnectorSettings,
+  ) => {
+    await setLocalConnectorSettings(settings)
+    setLocalConnectorState(settings)
+  }
 
   const resetApp = async () => {
     try {
@@ -138,6 +239,11 @@ export const WalletConnectContextProvider = ({
       }
 
       clearStorage()
+      await setDappPolicies({})
+      await saveLocalConnectorSettings({
+        ...localConnectorSettings,
+        pairedOrigins: [],
+      })
       setWcClient(undefined)
       setSessionProposals([])
       setInitialized(false)
@@ -172,7 +278,13 @@ export const WalletConnectContextProvider = ({
   }
   const makeRequest = useCallback(
     async (request: JsonRpcRequest) => {
-      const [namespace, reference, address] = accounts[0].split(':')
+      // requests of the local connector can come before any WalletConnect
+      // account was added
+      const [namespace, reference, address] = (
+        accounts[0] ||
+        localConnectorAccount ||
+        ''
+      ).split(':')
       const chainId = `${namespace}:${reference}`
       if (!onRequestCallback) {
         throw new Error('There is no onRequestCallback')
@@ -185,6 +297,20 @@ export const WalletConnectContextProvider = ({
       )
 
       if (
+        results &&
+        results.result &&
+        !results.result.error &&
+        (results.result.isTest || results.isInformation)
+      ) {
+        // nothing is shown for read-only requests
+      } else if (
+        results &&
+        results.result &&
+        !results.result.error &&
+        results.isSignedTransaction
+      ) {
+        setSignedTransaction(results.result)
+      } else if (
         results &&
         results.result &&
         !results.result.error &&
@@ -208,32 +334,157 @@ export const WalletConnectContextProvider = ({
       }
       return results
     },
-    [accounts],
+    [accounts, localConnectorAccount],
   )
 
-  const approveAndMakeRequest = async (
-    requestEvent: SessionTypes.RequestEvent,
-  ) => {
-    // $FlowFixMe
-    storage.setItem(`request-${JSON.stringify(requestEvent.request)}`, true)
-    return makeRequest(requestEvent)
+  // ---- PER SESSION POLICIES ------------------------------------------------//
+  // the policy of a session is stored when it is approved, sessions that were
+  // approved before policies existed get the default one
+  const getSessionPolicy = useCallback(
+    async (topic: string): Promise<DappPolicy> => {
+      const policies = await getDappPolicies()
+      if (policies[topic]) return policies[topic]
+      if (isLocalTopic(topic)) {
+        return createDappPolicy(
+          createLocalSession(getOriginOfTopic(topic), options.methods),
+        )
+      }
+      if (typeof wcClient === 'undefined') {
+        throw new Error('Client is not initialized')
+      }
+      return createDappPolicy(await wcClient.session.get(topic))
+    },
+    [wcClient, options.methods],
+  )
+
+  const saveSessionPolicy = async (policy: DappPolicy) => {
+    const policies = await getDappPolicies()
+    await setDappPolicies({ ...policies, [policy.topic]: policy })
   }
 
-  const checkApprovedRequest = useCallback(
-    async (request: JsonRpcRequest) =>
-      // $FlowFixMe
-      storage.getItem(`request-${JSON.stringify(request)}`),
-    [storage],
+  const removeSessionPolicies = async (topics: Array<string>) => {
+    const policies = await getDappPolicies()
+    await setDappPolicies(
+      Object.keys(policies)
+        .filter(topic => !topics.includes(topic))
+        .reduce((kept, topic) => ({ ...kept, [topic]: policies[topic] }), {}),
+    )
+  }
+
+  // the policy is checked again right before a request is made, as it can
+  // change while the request waits for approval
+  const makeSessionRequest = useCallback(
+    async (requestEvent: SessionTypes.RequestEvent) => {
+      const policy = await getSessionPolicy(requestEvent.topic)
+      try {
+        checkDappRequest(policy, requestEvent.request)
+      } catch (e) {
+        setError(e.message)
+        throw e
+      }
+
+      const results = await makeRequest(requestEvent.request)
+      if (results && results.result && !results.result.error) {
+        await saveSessionPolicy(
+          recordDappSpending(
+            await getSessionPolicy(requestEvent.topic),
+            requestEvent.request,
+          ),
+        )
+      }
+      return results
+    },
+    [getSessionPolicy, makeRequest],
   )
 
+  const approveAndMakeRequest = async (
+    requestEvent: SessionTypes.RequestEvent,
+  ) => makeSessionRequest(requestEvent)
+
   const respondRequest = useCallback(
     async (topic: string, response: JsonRpcResponse) => {
+      // requests of the local connector are answered on their connection
+      if (isLocalTopic(topic)) {
+        const key = `${topic}:${response.id}`
+        const responder = localResponders.get(key)
+        localResponders.delete(key)
+        if (responder) responder.respond(response)
+        return
+      }
       if (typeof wcClient === 'undefined') {
         throw new Error('Client is not initialized')
       }
       await wcClient.respond({ topic, response })
     },
-    [wcClient],
+    [wcClient, localResponders],
+  )
+
+  // requests the policy of the session allows are made right away when the
+  // autoAcceptCallback accepts them, the other ones wait for the user
+  const handleRequestEvent = useCallback(
+    async (requestEvent: SessionTypes.RequestEvent) => {
+      const askApproval = () => {
+        setRequests(old => [
+          ...old.filter(i => !isSameRequest(i, requestEvent)),
+          requestEvent,
+        ])
+      }
+
+      const approve = async () => {
+        const response = await makeSessionRequest(requestEvent)
+        await respondRequest(requestEvent.topic, response)
+      }
+
+      const reject = async (message: string) => {
+        const response = formatJsonRpcError(requestEvent.request.id, message)
+        await respondRequest(requestEvent.topic, response)
+      }
+
+      try {
+        const policy = await getSessionPolicy(requestEvent.topic)
+        // requests the policy does not allow are refused without asking
+        checkDappRequest(policy, requestEvent.request)
+        await saveSessionPolicy(recordDappActivity(policy))
+
+        if (autoAcceptCallback) {
+          let address
+          let chainId
+          // local pages get the account of the connector, not the one of the
+          // WalletConnect sessions
+          const account = isLocalTopic(requestEvent.topic)
+            ? localConnectorAccount
+            : accounts[0]
+          if (account) {
+            const [namespace, reference, addr] = account.split(':')
+            address = addr
+            chainId = `${namespace}:${reference}`
+          }
+          const autoAccepted = autoAcceptCallback(
+            address,
+            chainId,
+            requestEvent.request,
+            policy,
+          )
+          if (autoAccepted) {
+            await approve()
+          } else {
+            await askApproval()
+          }
+        } else {
+          await askApproval()
+        }
+      } catch (e) {
+        await reject(e.message)
+      }
+    },
+    [
+      getSessionPolicy,
+      makeSessionRequest,
+      respondRequest,
+      accounts,
+      localConnectorAccount,
+      autoAcceptCallback,
+    ],
   )
 
   const subscribeToEvents = useCallback(
@@ -281,61 +532,7 @@ export const WalletConnectContextProvider = ({
         },
       )
 
-      wcClient.on(
-        CLIENT_EVENTS.session.request,
-        async (requestEvent: SessionTypes.RequestEvent) => {
-          const askApproval = () => {
-            setRequests(old => [
-              ...old.filter(i => i.request.id !== requestEvent.request.id),
-              requestEvent,
-            ])
-          }
-
-          const approve = async () => {
-            const response = await makeRequest(requestEvent.request)
-            await respondRequest(requestEvent.topic, response)
-          }
-
-          const reject = async (message: string) => {
-            const response = formatJsonRpcError(
-              requestEvent.request.id,
-              message,
-            )
-            await respondRequest(requestEvent.topic, response)
-          }
-
-          try {
-            const alreadyApproved = await checkApprovedRequest(
-              requestEvent.request,
-            )
-            if (alreadyApproved) {
-              await approve()
-            } else if (autoAcceptCallback) {
-              let address
-              let chainId
-              if (accounts.length) {
-                const [namespace, reference, addr] = accounts[0].split(':')
-                address = addr
-                chainId = `${namespace}:${reference}`
-              }
-              const autoAccepted = autoAcceptCallback(
-                address,
-                chainId,
-                requestEvent.request,
-              )
-              if (autoAccepted) {
-                await approve()
-              } else {
-                await askApproval()
-              }
-            } else {
-              await askApproval()
-            }
-          } catch (e) {
-            await reject(e.message)
-          }
-        },
-      )
+      wcClient.on(CLIENT_EVENTS.session.request, handleRequestEvent)
 
       wcClient.on(CLIENT_EVENTS.session.created, () => {
         if (typeof wcClient === 'undefined') {
@@ -344,23 +541,18 @@ export const WalletConnectContextProvider = ({
         setSessions(wcClient.session.values)
       })
 
-      wcClient.on(CLIENT_EVENTS.session.deleted, () => {
-        if (typeof wcClient === 'undefined') {
-          throw new Error('Client is not initialized')
-        }
-        setSessions(wcClient.session.values)
-      })
+      wcClient.on(
+        CLIENT_EVENTS.session.deleted,
+        (session: SessionTypes.Settled) => {
+          if (typeof wcClient === 'undefined') {
+            throw new Error('Client is not initialized')
+          }
+          setSessions(wcClient.session.values)
+          removeSessionPolicies([session.topic])
+        },
+      )
     },
-    [
-      chains,
-      checkApprovedRequest,
-      makeRequest,
-      respondRequest,
-      wcClient,
-      accounts,
-      autoAcceptCallback,
-      options.methods,
-    ],
+    [chains, handleRequestEvent, wcClient, accounts, options.methods],
   )
 
   useEffect(
@@ -373,6 +565,188 @@ export const WalletConnectContextProvider = ({
     [wcClient, subscribeToEvents, checkPersistedState],
   )
 
+  // ---- LOCAL CONNECTOR -----------------------------------------------------//
+  // paired origins make requests like WalletConnect sessions, pairing them is
+  // approved like a session proposal
+  const getLocalPairingResult = () => ({
+    accounts: [localConnectorAccount],
+    methods: options.methods,
+  })
+
+  const pairLocalOrigin = (origin: string): Promise<Object> => {
+    if (!localConnectorAccount) {
+      return Promise.reject(new Error('No account is logged in'))
+    }
+    if (!isPairableOrigin(origin)) {
+      return Promise.reject(new Error(`${origin} can not be paired`))
+    }
+    if (localConnectorSettings.pairedOrigins.includes(origin)) {
+      return Promise.resolve(getLocalPairingResult())
+    }
+
+    const [namespace, reference] = localConnectorAccount.split(':')
+    const proposal = {
+      ...createLocalSession(origin, options.methods),
+      proposer: { metadata: createLocalSession(origin, []).peer.metadata },
+      permissions: {
+        blockchain: { chains: [`${namespace}:${reference}`] },
+        jsonrpc: { methods: options.methods },
+      },
+    }
+    return new Promise((resolve, reject) => {
+      // the answer to the proposal goes to the latest request of the origin
+      const pending = localPairings.get(origin)
+      if (pending) {
+        pending.reject(new Error('A newer pairing request replaced this one'))
+      }
+      localPairings.set(origin, { resolve, reject })
+      setSessionProposals(old => [
+        ...old.filter(i => i.topic !== proposal.topic),
+        proposal,
+      ])
+    })
+  }
+
+  const approveLocalPairing = async (proposal: Object) => {
+    const origin = getOriginOfTopic(proposal.topic)
+    await saveLocalConnectorSettings({
+      ...localConnectorSettings,
+      pairedOrigins: [
+        ...localConnectorSettings.pairedOrigins.filter(o => o !== origin),
+        origin,
+      ],
+    })
+    await saveSessionPolicy(
+      createDappPolicy(createLocalSession(origin, options.methods)),
+    )
+    setSessionProposals(old => old.filter(i => i !== proposal))
+
+    const pairing = localPairings.get(origin)
+    localPairings.delete(origin)
+    if (pairing) pairing.resolve(getLocalPairingResult())
+  }
+
+  const rejectLocalPairing = (proposal: Object) => {
+    const origin = getOriginOfTopic(proposal.topic)
+    setSessionProposals(old => old.filter(i => i !== proposal))
+
+    const pairing = localPairings.get(origin)
+    localPairings.delete(origin)
+    if (pairing) pairing.reject(new Error('The pairing was rejected'))
+  }
+
+  const unpairLocalOrigin = async (origin: string) => {
+    await saveLocalConnectorSettings({
+      ...localConnectorSettings,
+      pairedOrigins: localConnectorSettings.pairedOrigins.filter(
+        o => o !== origin,
+      ),
+    })
+    await removeSessionPolicies([getLocalTopic(origin)])
+  }
+
+  const makeLocalRequest = (
+    origin: string,
+    request: JsonRpcRequest,
+  ): Promise<JsonRpcResponse> => {
+    const [namespace, reference] = (localConnectorAccount || '').split(':')
+    const requestEvent = {
+      topic: getLocalTopic(origin),
+      chainId: `${namespace}:${reference}`,
+      request,
+    }
+    // responses are matched to requests by their id, so a page can not have
+    // two requests with the same one waiting
+    const key = `${requestEvent.topic}:${request.id}`
+    if (localResponders.has(key)) {
+      return Promise.resolve(
+        formatJsonRpcError(
+          request.id,
+          `A request with the id ${request.id} is already pending`,
+        ),
+      )
+    }
+    return new Promise(resolve => {
+      localResponders.set(key, { id: request.id, respond: resolve })
+      handleRequestEvent(requestEvent)
+    })
+  }
+
+  const clearLocalConnectorLog = () => setLocalConnectorLog([])
+
+  // the server reads the handlers of the latest render
+  localHandlers.current = {
+    isPaired: (origin: string) =>
+      localConnectorSettings.pairedOrigins.includes(origin),
+    onPair: pairLocalOrigin,
+    onRequest: makeLocalRequest,
+    onLog: (entry: LocalConnectorLogEntry) =>
+      setLocalConnectorLog(old =>
+        [...old, entry].slice(-MAX_LOCAL_CONNECTOR_LOG),
+      ),
+  }
+
+  useEffect(
+    () => {
+      if (!localConnectorSettings.enabled || !localConnectorAccount) {
+        return () => null
+      }
+
+      // the handlers are set on every render, before the effects run
+      const getHandlers = (): LocalConnectorHandlers => {
+        if (!localHandlers.current) {
+          throw new Error('The local connector is not ready')
+        }
+        return localHandlers.current
+      }
+
+      let connector
+      let stopped = false
+      startLocalConnector(localConnectorSettings.port, options.methods, {
+        isPaired: origin => getHandlers().isPaired(origin),
+        onPair: origin => getHandlers().onPair(origin),
+        onRequest: (origin, request) =>
+          getHandlers().onRequest(origin, request),
+        onLog: entry => getHandlers().onLog(entry),
+      })
+        .then(started => {
+          connector = started
+          if (stopped) started.close()
+          else setLocalConnectorStatus({ running: true, error: '' })
+        })
+        .catch(e => {
+          console.error(e)
+          setLocalConnectorStatus({ running: false, error: e.message })
+        })
+
+      return () => {
+        stopped = true
+        if (connector) connector.close()
+        setLocalConnectorStatus({ running: false, error: '' })
+
+        // nothing waiting for the connector can be answered anymore
+        localResponders.forEach(({ id, respond }) =>
+          respond(formatJsonRpcError(id, 'The local connector was stopped')),
+        )
+        localResponders.clear()
+        localPairings.forEach(({ reject }) =>
+          reject(new Error('The local connector was stopped')),
+        )
+        localPairings.clear()
+        setRequests(old => old.filter(i => !isLocalTopic(i.topic)))
+        setSessionProposals(old => old.filter(i => !i.isLocal))
+      }
+    },
+    [
+      localConnectorSettings.enabled,
+      localConnectorSettings.port,
+      localConnectorAccount,
+      options.methods,
+      localResponders,
+      localPairings,
+    ],
+  )
+
   const onURI = async (data: any) => {
     const uri = typeof data === 'string' ? data : ''
     if (!uri) return
@@ -383,6 +757,12 @@ export const WalletConnectContextProvider = ({
   }
 
   const getPeerOfRequest = async (requestEvent: JsonRpcRequest) => {
+    if (isLocalTopic(requestEvent.topic)) {
+      return createLocalSession(
+        getOriginOfTopic(requestEvent.topic),
+        options.methods,
+      ).peer
+    }
     if (typeof wcClient === 'undefined') {
       throw new Error('Client is not initialized')
     }
@@ -391,6 +771,10 @@ export const WalletConnectContextProvider = ({
   }
 
   const approveSession = async (proposal: SessionTypes.Proposal) => {
+    if (proposal.isLocal) {
+      await approveLocalPairing(proposal)
+      return
+    }
     if (typeof wcClient === 'undefined') {
       throw new Error('Client is not initialized')
     }
@@ -407,12 +791,17 @@ export const WalletConnectContextProvider = ({
       metadata: options.appMetadata,
     }
     const session = await wcClient.approve({ proposal, response })
+    await saveSessionPolicy(createDappPolicy(session))
     // $FlowFixMe
     setSessionProposals(old => old.filter(i => i !== proposal))
     setSessions([session])
   }
 
   const rejectSession = async (proposal: SessionTypes.Proposal) => {
+    if (proposal.isLocal) {
+      rejectLocalPairing(proposal)
+      return
+    }
     if (typeof wcClient === 'undefined') {
       throw new Error('Client is not initialized')
     }
@@ -421,6 +810,10 @@ export const WalletConnectContextProvider = ({
   }
 
   const disconnect = async (topic: string) => {
+    if (isLocalTopic(topic)) {
+      await unpairLocalOrigin(getOriginOfTopic(topic))
+      return
+    }
     if (typeof wcClient === 'undefined') {
       throw new Error('Client is not initialized')
     }
@@ -428,48 +821,38 @@ export const WalletConnectContextProvider = ({
       topic,
       reason: ERROR.USER_DISCONNECTED.format(),
     })
+    setSessions(wcClient.session.values)
+    await removeSessionPolicies([topic])
   }
 
   const removeFromPending = async (requestEvent: JsonRpcRequest) => {
     // $FlowFixMe
-    setRequests(requests.filter(x => x.request.id !== requestEvent.request.id))
+    setRequests(requests.filter(x => !isSameRequest(x, requestEvent)))
   }
 
   const approveRequest = async (requestEvent: SessionTypes.RequestEvent) => {
-    if (typeof wcClient === 'undefined') {
-      throw new Error('Client is not initialized')
-    }
     try {
       const response = await approveAndMakeRequest(requestEvent)
-      await wcClient.respond({
-        topic: requestEvent.topic,
-        response,
-      })
+      await respondRequest(requestEvent.topic, response)
     } catch (error) {
       console.error(error)
-      await wcClient.respond({
-        topic: requestEvent.topic,
-        response: formatJsonRpcError(
+      await respondRequest(
+        requestEvent.topic,
+        formatJsonRpcError(
           requestEvent.request.id,
           'Failed or Rejected Request',
         ),
-      })
+      )
     }
 
     await removeFromPending(requestEvent)
   }
 
   const rejectRequest = async (requestEvent: JsonRpcRequest) => {
-    if (typeof wcClient === 'undefined') {
-      throw new Error('Client is not initialized')
-    }
-    await wcClient.respond({
-      topic: requestEvent.topic,
-      response: formatJsonRpcError(
-        requestEvent.request.id,
-        'Failed or Rejected Request',
-      ),
-    })
+    await respondRequest(
+      requestEvent.topic,
+      formatJsonRpcError(requestEvent.request.id, 'Failed or Rejected Request'),
+    )
     await removeFromPending(requestEvent)
   }
 
@@ -498,7 +881,8 @@ export const WalletConnectContextProvider = ({
     setInitialized,
     chains,
     setChains,
-    sessions,
+    // paired origins of the local connector are listed with the sessions
+    sessions: [...sessions, ...localSessions],
     setSessions,
     requests,
     setRequests,
@@ -510,7 +894,8 @@ export const WalletConnectContextProvider = ({
     checkPersistedState,
     approveAndMakeRequest,
     makeRequest,
-    checkApprovedRequest,
+    getSessionPolicy,
+    saveSessionPolicy,
     onURI,
     getPeerOfRequest,
     approveSession,
@@ -531,6 +916,15 @@ export const WalletConnectContextProvider = ({
     setTxHash,
     setMessageVerificationResult,
     messageVerification,
+    signedTransaction,
+    setSignedTransaction,
+    localConnectorSettings,
+    saveLocalConnectorSettings,
+    localConnectorAccount,
+    setLocalConnectorAccount,
+    localConnectorStatus,
+    localConnectorLog,
+    clearLocalConnectorLog,
   }
 
   return (
@@ -1,5 +1,34 @@
 export const DEFAULT_RELAY_PROVIDER = 'wss://relay.walletconnect.org'
-export const DEFAULT_METHODS = ['invokefunction', 'testInvoke']
+// the dAPI methods a dApp can ask for when it connects
+export const DEFAULT_METHODS = [
+  'invokeFunction',
+  'testInvoke',
+  'multiInvoke',
+  'multiTestInvoke',
+  'signTransaction',
+  'calculateFee',
+  'signMessage',
+  'signMessageWithoutSalt',
+  'verifyMessage',
+  'getWalletInfo',
+  'getNetworkVersion',
+  'traverseIterator',
+  'getapplicationlog',
+]
+// methods whose result is shown as a signed or verified message
+export const MESSAGE_METHODS = [
+  'signMessage',
+  'signMessageWithoutSalt',
+  'verifyMessage',
+]
+// methods that only share information with the dApp, nothing is shown once
+// they are approved
+export const INFORMATION_METHODS = [
+  'getWalletInfo',
+  'getNetworkVersion',
+  'traverseIterator',
+  'calculateFee',
+]
 // export const DEFAULT_LOGGER = 'debug'
 export const DEFAULT_APP_METADATA = {
   name: 'CoZ Wallet Prototype',
@@ -5,7 +5,9 @@ import Neon, { rpc, tx, sc, api, wallet } from '@cityofzion/neon-js-next'
 import { JsonRpcRequest, JsonRpcResponse } from '@json-rpc-tools/utils'
 import { randomBytes } from 'crypto'
 
-type WitnessScope = {
+import { INFORMATION_METHODS, MESSAGE_METHODS } from './constants'
+
+export type WitnessScope = {
   None: 0,
   /**
    * CalledByEntry means that this condition must hold: EntryScriptHash == CallingScriptHash
@@ -41,7 +43,7 @@ type ContractInvocation = {
   abortOnFail?: boolean,
 }
 
-type ContractInvocationMulti = {
+export type ContractInvocationMulti = {
   signers: Signer[],
   invocations: ContractInvocation[],
 }
@@ -49,10 +51,37 @@ type ContractInvocationMulti = {
 type SignedMessage = {
   publicKey: string,
   data: string,
-  salt: string,
+  // not set on messages signed without salt
+  salt?: string,
   messageHex: string,
 }
 
+type WalletInfo = {
+  isLedger: boolean,
+}
+
+type NetworkVersion = {
+  rpcAddress: string,
+  tcpport: number,
+  wsport: number,
+  nonce: number,
+  useragent: string,
+  protocol: Object,
+}
+
+// fees in GAS
+type CalculatedFee = {
+  networkFee: string,
+  systemFee: string,
+  total: string,
+}
+
+type SignedTransaction = {
+  hash: string,
+  // the serialized transaction with its witnesses, ready to be relayed
+  transaction: string,
+}
+
 class N3Helper {
   rpcAddress: string
 
@@ -82,54 +111,108 @@ class N3Helper {
   ): Promise<JsonRpcResponse> => {
     let result: any
 
-    if (
-      request.method === 'multiInvoke' ||
-      request.method === 'invokeFunction'
-    ) {
-      result = await this.multiInvoke(
-        account,
-        request.params,
-        isHardwareLogin,
-        signingFunction,
-        showInfoNotification,
-        hideNotification,
-      )
-    }
-    if (
-      request.method === 'multiTestInvoke' ||
-      request.method === 'testInvoke'
-    ) {
-      result = await this.multiTestInvoke(account, request.params)
-      result.isTest = true
-    }
-    if (request.method === 'signMessage') {
-      if (!account) {
-        throw new Error('No account')
+    // each method has its own handler, a handler that resolves to a falsy
+    // value is still the answer to the request
+    switch (request.method) {
+      case 'multiInvoke':
+      case 'invokeFunction':
+        result = await this.multiInvoke(
+          account,
+          request.params,
+          isHardwareLogin,
+          signingFunction,
+          showInfoNotification,
+          hideNotification,
+        )
+        break
+      case 'multiTestInvoke':
+      case 'testInvoke':
+        result = await this.multiTestInvoke(account, request.params)
+        result.isTest = true
+        break
+      case 'signTransaction':
+        result = await this.signTransaction(
+          account,
+          request.params,
+          isHardwareLogin,
+          signingFunction,
+          showInfoNotification,
+          hideNotification,
+        )
+        break
+      case 'calculateFee':
+        result = await this.calculateFee(account, request.params)
+        break
+      case 'signMessage':
+      case 'signMessageWithoutSalt':
+        if (!account) {
+          throw new Error('No account')
+        }
+        result =
+          request.method === 'signMessage'
+            ? this.signMessage(account, request.params)
+            : this.signMessageWithoutSalt(account, request.params)
+        break
+      case 'verifyMessage':
+        result = this.verifyMessage(request.params)
+        break
+      case 'getWalletInfo':
+        result = this.getWalletInfo(isHardwareLogin)
+        break
+      case 'getNetworkVersion':
+        result = await this.getNetworkVersion()
+        break
+      case 'traverseIterator':
+        result = await this.traverseIterator(...request.params)
+        break
+      case 'getapplicationlog':
+        result = await new rpc.RPCClient(this.rpcAddress).getApplicationLog(
+          request.params[0],
+        )
+        break
+      default: {
+        // the other methods are queries of the node
+        const { jsonrpc, ...queryLike } = request
+        result = await new rpc.RPCClient(this.rpcAddress).execute(
+          Neon.create.query({ ...queryLike, jsonrpc: '2.0' }),
+        )
       }
-      result = this.signMessage(account, request.params)
-    }
-    if (request.method === 'verifyMessage') {
-      result = this.verifyMessage(request.params)
-    }
-    if (request.method === 'getapplicationlog') {
-      result = await new rpc.RPCClient(this.rpcAddress).getApplicationLog(
-        request.params[0],
-      )
-    } else if (!result) {
-      const { jsonrpc, ...queryLike } = request
-      result = await new rpc.RPCClient(this.rpcAddress).execute(
-        Neon.create.query({ ...queryLike, jsonrpc: '2.0' }),
-      )
     }
     return {
       id: request.id,
       jsonrpc: '2.0',
       result,
-      isMessage:
-        request.method === 'signMessage' || request.method === 'verifyMessage',
+      isMessage: MESSAGE_METHODS.includes(request.method),
+      isSignedTransaction: request.method === 'signTransaction',
+      isInformation: INFORMATION_METHODS.includes(request.method),
     }
   }
 
+  getWalletInfo = (isHardwareLogin?: boolean): WalletInfo => ({
+    isLedger: !!isHardwareLogin,
+  })
+
+  getNetworkVersion = async (): Promise<NetworkVersion> => ({
+    rpcAddress: this.rpcAddress,
+    ...(await new rpc.RPCClient(this.rpcAddress).execute(
+      Neon.create.query({ method: 'getversion', params: [], jsonrpc: '2.0' }),
+    )),
+  })
+
+  // reads the next items of an iterator returned by a test invocation
+  traverseIterator = async (
+    sessionId: string,
+    iteratorId: string,
+    count: number,
+  ): Promise<Array<Object>> =>
+    new rpc.RPCClient(this.rpcAddress).execute(
+      Neon.create.query({
+        method: 'traverseiterator',
+        params: [sessionId, iteratorId, count],
+        jsonrpc: '2.0',
+      }),
+    )
+
   signMessage = (account: wallet.Account, message: string): SignedMessage => {
     const salt = randomBytes(16).toString('hex')
     const parameterHexString = u.str2hexstring(salt + message)
@@ -144,6 +227,23 @@ class N3Helper {
     }
   }
 
+  // the message is signed as is, so the signature can be verified without
+  // knowing a salt
+  signMessageWithoutSalt = (
+    account: wallet.Account,
+    message: string,
+  ): SignedMessage => {
+    const parameterHexString = u.str2hexstring(message)
+    const lengthHex = u.num2VarInt(parameterHexString.length / 2)
+    const messageHex = `010001f0${lengthHex}${parameterHexString}0000`
+
+    return {
+      publicKey: account.publicKey,
+      data: wallet.sign(messageHex, account.privateKey),
+      messageHex,
+    }
+  }
+
   verifyMessage = (verifyArgs: SignedMessage): boolean =>
     wallet.verify(verifyArgs.messageHex, verifyArgs.data, verifyArgs.publicKey)
 
@@ -154,12 +254,7 @@ class N3Helper {
     const sb = Neon.create.scriptBuilder()
 
     cim.invocations.forEach(c => {
-      sb.emitContractCall({
-        scriptHash: c.scriptHash,
-        operation: c.operation,
-        args: N3Helper.convertParams(c.args),
-      })
-
+      N3Helper.emitContractCall(sb, c)
       if (c.abortOnFail) {
         sb.emit(0x39)
       }
@@ -172,23 +267,16 @@ class N3Helper {
     )
   }
 
-  multiInvoke = async (
+  // the transaction of the invocations with its fees, not signed yet
+  buildTransaction = async (
     account: any,
     cim: ContractInvocationMulti,
-    isHardwareLogin?: boolean,
-    signingFunction?: () => void,
-    showInfoNotification?: (*) => void,
-    hideNotification?: (*) => void,
-  ): Promise<any> => {
+  ): Promise<{ trx: any, networkMagic: number }> => {
     const sb = Neon.create.scriptBuilder()
     const networkMagic = await N3Helper.getMagicOfRpcAddress(this.rpcAddress)
 
     cim.invocations.forEach(c => {
-      sb.emitContractCall({
-        scriptHash: c.scriptHash,
-        operation: c.operation,
-        args: N3Helper.convertParams(c.args),
-      })
+      N3Helper.emitContractCall(sb, c)
       if (c.abortOnFail) {
         sb.emit(0x39)
       }
@@ -198,7 +286,7 @@ class N3Helper {
     const rpcClient = new rpc.RPCClient(this.rpcAddress)
     const currentHeight = await rpcClient.getBlockCount()
 
-    let trx = new tx.Transaction({
+    const trx = new tx.Transaction({
       script: Neon.u.HexString.fromHex(script),
       validUntilBlock: currentHeight + 100,
       signers: N3Helper.buildMultipleSigner(account, cim.signers),
@@ -219,6 +307,33 @@ class N3Helper {
       account,
     })
 
+    return { trx, networkMagic }
+  }
+
+  calculateFee = async (
+    account: any,
+    cim: ContractInvocationMulti,
+  ): Promise<CalculatedFee> => {
+    const { trx } = await this.buildTransaction(account, cim)
+    return {
+      networkFee: trx.networkFee.toDecimal(8),
+      systemFee: trx.systemFee.toDecimal(8),
+      total: trx.networkFee.add(trx.systemFee).toDecimal(8),
+    }
+  }
+
+  buildSignedTransaction = async (
+    account: any,
+    cim: ContractInvocationMulti,
+    isHardwareLogin?: boolean,
+    signingFunction?: () => void,
+    showInfoNotification?: (*) => void,
+    hideNotification?: (*) => void,
+  ): Promise<any> => {
+    const built = await this.buildTransaction(account, cim)
+    const { networkMagic } = built
+    let { trx } = built
+
     if (isHardwareLogin) {
       const facade = await api.NetworkFacade.fromConfig({
         node: this.rpcAddress,
@@ -241,7 +356,52 @@ class N3Helper {
       trx.sign(account, networkMagic)
     }
 
-    return rpcClient.sendRawTransaction(trx)
+    return trx
+  }
+
+  // signs the transaction without relaying it, the dApp relays it itself
+  signTransaction = async (
+    account: any,
+    cim: ContractInvocationMulti,
+    isHardwareLogin?: boolean,
+    signingFunction?: () => void,
+    showInfoNotification?: (*) => void,
+    hideNotification?: (*) => void,
+  ): Promise<SignedTransaction> => {
+    const trx = await this.buildSignedTransaction(
+      account,
+      cim,
+      isHardwareLogin,
+      signingFunction,
+      showInfoNotification,
+      hideNotification,
+    )
+    if (!trx) {
+      throw new Error('The transaction was not signed')
+    }
+    return {
+      hash: `0x${trx.hash()}`,
+      transaction: trx.serialize(true),
+    }
+  }
+
+  multiInvoke = async (
+    account: any,
+    cim: ContractInvocationMulti,
+    isHardwareLogin?: boolean,
+    signingFunction?: () => void,
+    showInfoNotification?: (*) => void,
+    hideNotification?: (*) => void,
+  ): Promise<any> => {
+    const trx = await this.buildSignedTransaction(
+      account,
+      cim,
+      isHardwareLogin,
+      signingFunction,
+      showInfoNotification,
+      hideNotification,
+    )
+    return new rpc.RPCClient(this.rpcAddress).sendRawTransaction(trx)
   }
 
   static buildSigner(account: any, signerEntry?: Signer) {
@@ -283,12 +443,91 @@ class N3Helper {
             : // eslint-disable-next-line
               a.type === 'ScriptHash'
               ? sc.ContractParam.hash160(a.value)
-              : a.type === 'Array'
-                ? sc.ContractParam.array(...N3Helper.convertParams(a.value))
-                : a,
+              : // eslint-disable-next-line
+                a.type === 'Array'
+                ? N3Helper.convertArray(a.value)
+                : a.type === 'Map'
+                  ? N3Helper.convertMap(a.value)
+                  : a,
     )
   }
 
+  // arrays that contain a map are pushed by emitParam
+  static convertArray(items: any[]): any {
+    return N3Helper.hasMap(items)
+      ? { type: 'Array', value: N3Helper.convertParams(items) }
+      : sc.ContractParam.array(...N3Helper.convertParams(items))
+  }
+
+  static convertMap(entries: Array<{ key: any, value: any }>): any {
+    return {
+      type: 'Map',
+      value: entries.map(entry => ({
+        key: N3Helper.convertParams([entry.key])[0],
+        value: N3Helper.convertParams([entry.value])[0],
+      })),
+    }
+  }
+
+  // neon-js cannot push Map parameters, nor arrays that contain one
+  static hasMap(args: any[]): boolean {
+    return args.some(
+      a =>
+        !!a &&
+        (a.type === 'Map' ||
+          (a.type === 'Array' &&
+            Array.isArray(a.value) &&
+            N3Helper.hasMap(a.value))),
+    )
+  }
+
+  // pushes a parameter converted by convertParams, maps are built with
+  // NEWMAP and an entry at a time
+  static emitParam(sb: any, param: any) {
+    if (param && param.type === 'Map') {
+      sb.emit(sc.OpCode.NEWMAP)
+      param.value.forEach(entry => {
+        sb.emit(sc.OpCode.DUP)
+        N3Helper.emitParam(sb, entry.key)
+        N3Helper.emitParam(sb, entry.value)
+        sb.emit(sc.OpCode.SETITEM)
+      })
+    } else if (param && param.type === 'Array' && Array.isArray(param.value)) {
+      N3Helper.emitParams(sb, param.value)
+    } else {
+      sb.emitPush(param)
+    }
+  }
+
+  // pushes the parameters as an array, like ScriptBuilder.emitAppCall does
+  static emitParams(sb: any, params: any[]) {
+    if (!params.length) {
+      sb.emit(sc.OpCode.NEWARRAY0)
+      return
+    }
+    for (let i = params.length - 1; i >= 0; i -= 1) {
+      N3Helper.emitParam(sb, params[i])
+    }
+    sb.emitNumber(params.length)
+    sb.emit(sc.OpCode.PACK)
+  }
+
+  static emitContractCall(sb: any, c: ContractInvocation) {
+    if (!N3Helper.hasMap(c.args)) {
+      sb.emitContractCall({
+        scriptHash: c.scriptHash,
+        operation: c.operation,
+        args: N3Helper.convertParams(c.args),
+      })
+      return
+    }
+    N3Helper.emitParams(sb, N3Helper.convertParams(c.args))
+    sb.emitPush(sc.CallFlags.All)
+      .emitString(c.operation)
+      .emitHexString(Neon.u.HexString.fromHex(c.scriptHash))
+      .emitSysCall(sc.InteropServiceCode.SYSTEM_CONTRACT_CALL)
+  }
+
   static convertError(e: any) {
     return { error: { message: e.message, ...e } }
   }
@@ -14,7 +14,7 @@ export async function upgradeNEP6AddAddresses(
   encryptedWIF: string,
   wif: string,
 ) {
-  const data = getStorage('userWallet')
+  const data = await getStorage('userWallet')
   const loggedIntoAccount = new wallet.Account(wif)
 
   if (data && data.accounts) {
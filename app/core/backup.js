@@ -0,0 +1,447 @@
+// @flow
+import { isEmpty, isEqual, omit } from 'lodash-es'
+
+import { getStorage, getStorageKeys, setStorage } from './storage'
+import { encryptWithPassword, decryptWithPassword } from './encryption'
+import { Account } from './schemas'
+import { DEFAULT_WALLET, N3_DEFAULT_WALLET } from './constants'
+import { getAccountScryptParams, withKeyScryptParams } from './passphrase'
+import {
+  getContacts,
+  setContacts,
+  mergeContacts,
+  migrateLegacyContacts,
+  type Contact,
+  type Contacts,
+} from './contacts'
+
+export const BACKUP_TYPE = 'neon-wallet-backup'
+// version 2 holds the contacts of both chains together
+export const BACKUP_VERSION = 2
+
+const CHAINS = ['neo2', 'neo3']
+const WALLET_KEYS = { neo2: 'userWallet', neo3: 'n3UserWallet' }
+const DEFAULT_WALLETS = { neo2: DEFAULT_WALLET, neo3: N3_DEFAULT_WALLET }
+const SETTINGS_KEY = 'settings'
+const NODE_KEY_PREFIX = 'selectedNode-'
+// settings that describe the current session rather than user preferences
+const EXCLUDED_SETTINGS = ['chain', 'version', 'tokens']
+
+export type BackupData = {
+  wallets: { [chain: string]: Object },
+  contacts: Contacts,
+  tokens: Array<TokenItemType>,
+  nodes: { [net: string]: Object },
+  settings: Object,
+}
+
+export type RestoreAction = 'import' | 'merge' | 'rename' | 'skip'
+
+export type RestoreItem = {
+  id: string,
+  category: 'account' | 'contact' | 'token' | 'node' | 'settings',
+  chain?: string,
+  label: string,
+  description: string,
+  // why the item can not simply be added, if anything is in the way
+  conflict: ?('address' | 'label' | 'exists'),
+  renameTo?: string,
+  actions: Array<RestoreAction>,
+  action: RestoreAction,
+}
+
+const getObject = async (key: string): Promise<Object> => {
+  const value = await getStorage(key)
+  return isEmpty(value) ? {} : value
+}
+
+const getWallet = async (chain: string): Promise<Object> => {
+  const wallet = await getStorage(WALLET_KEYS[chain])
+  return wallet && wallet.accounts ? wallet : { ...DEFAULT_WALLETS[chain] }
+}
+
+const getUserTokens = (settings: Object): Array<TokenItemType> =>
+  (settings.tokens || []).filter(token => token.isUserGenerated)
+
+const getTokenKey = (token: TokenItemType) =>
+  `${token.networkId}-${token.scriptHash}`
+
+const isSameAccount = (a: Object, b: Object) =>
+  (!!a.address && a.address === b.address) || (!!a.key && a.key === b.key)
+
+// A merged account keeps its own key, and the scrypt parameters it was
+// encrypted with, as the one of the backup may use another passphrase.
+const mergeAccount = (local: Object, account: Object): Object => {
+  if (!local.key) return { ...local, ...account, isDefault: local.isDefault }
+  const extra = {
+    ...omit({ ...local.extra, ...account.extra }, 'scrypt'),
+    ...(local.extra && local.extra.scrypt
+      ? { scrypt: local.extra.scrypt }
+      : {}),
+  }
+  return {
+    ...local,
+    ...account,
+    key: local.key,
+    extra: isEmpty(extra) ? null : extra,
+    isDefault: local.isDefault,
+  }
+}
+
+const getUniqueLabel = (label: string, labels: Array<string>): string => {
+  let count = 2
+  while (labels.includes(`${label} (${count})`)) count += 1
+  return `${label} (${count})`
+}
+
+const getBackupData = async (): Promise<BackupData> => {
+  const data = {
+    wallets: {},
+    contacts: await getContacts(),
+    tokens: [],
+    nodes: {},
+  }
+  for (const chain of CHAINS) {
+    data.wallets[chain] = await getWallet(chain)
+  }
+  const settings = await getObject(SETTINGS_KEY)
+  for (const key of await getStorageKeys()) {
+    if (key.startsWith(NODE_KEY_PREFIX)) {
+      data.nodes[key.slice(NODE_KEY_PREFIX.length)] = await getStorage(key)
+    }
+  }
+  return {
+    ...data,
+    tokens: getUserTokens(settings),
+    settings: omit(settings, EXCLUDED_SETTINGS),
+  }
+}
+
+/**
+ * Creates the contents of a backup file holding the wallets, contacts,
+ * custom tokens, selected nodes and settings, encrypted with `password`.
+ */
+export const createBackup = async (password: string): Promise<string> =>
+  JSON.stringify({
+    type: BACKUP_TYPE,
+    version: BACKUP_VERSION,
+    createdAt: new Date().toISOString(),
+    encryption: await encryptWithPassword(password, await getBackupData()),
+  })
+
+export const isEncryptedBackup = (file: Object): boolean =>
+  !!file && file.type === BACKUP_TYPE
+
+/**
+ * Reads a backup file. Wallet files saved by earlier versions only hold the
+ * accounts of one chain, they are restored into `chain`.
+ */
+export const readBackup = async (
+  file: Object,
+  password: ?string,
+  chain: string,
+): Promise<BackupData> => {
+  const empty = {
+    wallets: {},
+    contacts: {},
+    tokens: [],
+    nodes: {},
+    settings: {},
+  }
+
+  if (isEncryptedBackup(file)) {
+    if (file.version > BACKUP_VERSION) {
+      throw new Error('This backup was created by a newer version of Neon.')
+    }
+    const data = await decryptWithPassword(password || '', file.encryption)
+    return {
+      ...empty,
+      ...data,
+      contacts:
+        file.version < 2
+          ? migrateLegacyContacts(data.contacts || {})
+          : data.contacts || {},
+    }
+  }
+
+  if (file && Array.isArray(file.accounts)) {
+    return { ...empty, wallets: { [chain]: file } }
+  }
+
+  // wallets from before NEP-6 map labels to encrypted keys
+  const accounts = Object.keys(file || {})
+    .filter(label => typeof file[label] === 'string')
+    .map((label, index) =>
+      Account({ address: '', label, isDefault: index === 0, key: file[label] }),
+    )
+  if (!accounts.length) {
+    throw new Error('No accounts found in recovery file.')
+  }
+  return {
+    ...empty,
+    wallets: { [chain]: { ...DEFAULT_WALLETS[chain], accounts } },
+  }
+}
+
+const getAccountItems = (
+  chain: string,
+  accounts: Array<Object>,
+  existing: Array<Object>,
+): Array<RestoreItem> => {
+  const labels = existing.map(account => account.label)
+  return accounts.map((account, index) => {
+    const id = `account:${chain}:${index}`
+    const label = account.label || account.address
+    const description = account.address || account.key || ''
+
+    if (existing.some(local => isSameAccount(local, account))) {
+      return {
+        id,
+        category: 'account',
+        chain,
+        label,
+        description,
+        conflict: 'address',
+        actions: ['merge', 'skip'],
+        action: 'merge',
+      }
+    }
+    if (labels.includes(account.label)) {
+      const renameTo = getUniqueLabel(account.label, labels)
+      labels.push(renameTo)
+      return {
+        id,
+        category: 'account',
+        chain,
+        label,
+        description,
+        conflict: 'label',
+        renameTo,
+        actions: ['rename', 'skip'],
+        action: 'rename',
+      }
+    }
+    labels.push(account.label)
+    return {
+      id,
+      category: 'account',
+      chain,
+      label,
+      description,
+      conflict: null,
+      actions: ['import', 'skip'],
+      action: 'import',
+    }
+  })
+}
+
+const getContactAddresses = (contact: Contact) =>
+  contact.addresses.map(({ address }) => address).join(', ')
+
+const getContactItems = (
+  contacts: Contacts,
+  existing: Contacts,
+): Array<RestoreItem> => {
+  const names = Object.keys(existing)
+  return Object.keys(contacts).map(name => {
+    const base = {
+      id: `contact:${name}`,
+      category: 'contact',
+      label: name,
+      description: getContactAddresses(contacts[name]),
+    }
+    if (isEqual(existing[name], contacts[name])) {
+      return { ...base, conflict: 'exists', actions: ['skip'], action: 'skip' }
+    }
+    if (existing[name]) {
+      const renameTo = getUniqueLabel(name, names)
+      names.push(renameTo)
+      return {
+        ...base,
+        conflict: 'label',
+        renameTo,
+        actions: ['rename', 'merge', 'skip'],
+        action: 'rename',
+      }
+    }
+    return {
+      ...base,
+      conflict: null,
+      actions: ['import', 'skip'],
+      action: 'import',
+    }
+  })
+}
+
+/**
+ * Lists everything in the backup with the actions that can be taken for it,
+ * based on what is stored already. Items that clash with local data default
+ * to merging or renaming so nothing is lost.
+ */
+export const getRestorePreview = async (
+  backup: BackupData,
+): Promise<Array<RestoreItem>> => {
+  const items = []
+
+  for (const chain of CHAINS) {
+    const wallet = backup.wallets[chain]
+    if (wallet && wallet.accounts) {
+      const local = await getWallet(chain)
+      items.push(...getAccountItems(chain, wallet.accounts, local.accounts))
+    }
+  }
+  if (!isEmpty(backup.contacts)) {
+    items.push(...getContactItems(backup.contacts, await getContacts()))
+  }
+
+  const settings = await getObject(SETTINGS_KEY)
+  const localTokens = getUserTokens(settings).map(getTokenKey)
+  backup.tokens.forEach(token => {
+    const exists = localTokens.includes(getTokenKey(token))
+    items.push({
+      id: `token:${getTokenKey(token)}`,
+      category: 'token',
+      label: token.symbol || token.scriptHash,
+      description: `${token.scriptHash} (${token.networkId})`,
+      conflict: exists ? 'exists' : null,
+      actions: [exists ? 'merge' : 'import', 'skip'],
+      action: exists ? 'merge' : 'import',
+    })
+  })
+
+  for (const net of Object.keys(backup.nodes)) {
+    const local = await getObject(`${NODE_KEY_PREFIX}${net}`)
+    const { node } = backup.nodes[net] || {}
+    if (node) {
+      items.push({
+        id: `node:${net}`,
+        category: 'node',
+        label: net,
+        description: node,
+        conflict: local.node ? 'exists' : null,
+        actions: [local.node ? 'merge' : 'import', 'skip'],
+        action: local.node ? 'merge' : 'import',
+      })
+    }
+  }
+
+  if (!isEmpty(backup.settings)) {
+    items.push({
+      id: 'settings',
+      category: 'settings',
+      label: 'Settings',
+      description: Object.keys(backup.settings).join(', '),
+      conflict: 'exists',
+      actions: ['merge', 'skip'],
+      action: 'merge',
+    })
+  }
+
+  return items
+}
+
+const restoreAccounts = async (
+  chain: string,
+  backupWallet: Object,
+  items: Array<RestoreItem>,
+) => {
+  const wallet = await getWallet(chain)
+  let restored = [...wallet.accounts]
+
+  backupWallet.accounts.forEach((backupAccount, index) => {
+    const item = items.find(({ id }) => id === `account:${chain}:${index}`)
+    if (!item || item.action === 'skip') return
+
+    // the key keeps the scrypt parameters of the wallet it was backed up from
+    const account = withKeyScryptParams(
+      wallet,
+      backupAccount,
+      getAccountScryptParams(backupWallet, backupAccount),
+    )
+    if (item.action === 'merge') {
+      restored = restored.map(
+        local =>
+          isSameAccount(local, account) ? mergeAccount(local, account) : local,
+      )
+    } else {
+      restored.push({
+        ...account,
+        label: item.action === 'rename' ? item.renameTo : account.label,
+        isDefault: false,
+      })
+    }
+  })
+
+  const result = { ...wallet, accounts: restored }
+  await setStorage(WALLET_KEYS[chain], result)
+  return result
+}
+
+const restoreContacts = async (
+  contacts: Contacts,
+  items: Array<RestoreItem>,
+) => {
+  const restored = await getContacts()
+  Object.keys(contacts).forEach(name => {
+    const item = items.find(({ id }) => id === `contact:${name}`)
+    if (!item || item.action === 'skip') return
+    if (item.action === 'merge' && restored[name]) {
+      restored[name] = mergeContacts(restored[name], contacts[name])
+    } else {
+      const newName = item.action === 'rename' ? item.renameTo || name : name
+      restored[newName] = { ...contacts[name], name: newName }
+    }
+  })
+  await setContacts(restored)
+  return restored
+}
+
+/**
+ * Applies the action chosen for each item of the restore preview.
+ */
+export const restoreBackup = async (
+  backup: BackupData,
+  items: Array<RestoreItem>,
+): Promise<{ wallets: { [chain: string]: Object } }> => {
+  const isSelected = (id: string) =>
+    items.some(item => item.id === id && item.action !== 'skip')
+  const wallets = {}
+
+  for (const chain of CHAINS) {
+    const wallet = backup.wallets[chain]
+    if (wallet && wallet.accounts) {
+      wallets[chain] = await restoreAccounts(chain, wallet, items)
+    }
+  }
+  if (!isEmpty(backup.contacts)) {
+    await restoreContacts(backup.contacts, items)
+  }
+
+  for (const net of Object.keys(backup.nodes)) {
+    if (isSelected(`node:${net}`)) {
+      // the selection expires, so it is restored as if it was just made
+      await setStorage(`${NODE_KEY_PREFIX}${net}`, {
+        ...backup.nodes[net],
+        timestamp: new Date().getTime(),
+      })
+    }
+  }
+
+  const settings = await getObject(SETTINGS_KEY)
+  const tokens = backup.tokens.filter(token =>
+    isSelected(`token:${getTokenKey(token)}`),
+  )
+  const tokenKeys = tokens.map(getTokenKey)
+  await setStorage(SETTINGS_KEY, {
+    ...settings,
+    ...(isSelected('settings') ? omit(backup.settings, EXCLUDED_SETTINGS) : {}),
+    tokens: [
+      ...(settings.tokens || []).filter(
+        token => !tokenKeys.includes(getTokenKey(token)),
+      ),
+      ...tokens,
+    ],
+  })
+
+  return { wallets }
+}
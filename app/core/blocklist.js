@@ -0,0 +1,186 @@
+// @flow
+import axios from 'axios'
+import { union } from 'lodash-es'
+
+import { getStorage, setStorage } from './storage'
+import bundledAddresses from '../util/blacklist'
+
+const STORAGE_KEY = 'blocklist'
+// bumped when the layout of the cached lists changes, older caches are dropped
+const CACHE_VERSION = 2
+const REFRESH_INTERVAL = 24 * 60 * 60 * 1000
+// how long to wait before trying again after a refresh failed, e.g. offline
+const RETRY_INTERVAL = 5 * 60 * 1000
+const REQUEST_TIMEOUT = 10 * 1000
+
+// a list that could never be downloaded is null rather than empty, so that
+// what it would have blocked is not reported as safe
+const SOURCES = {
+  addresses:
+    'https://raw.githubusercontent.com/CityOfZion/phishing/master/blockedAddresses.json',
+  contracts:
+    'https://raw.githubusercontent.com/CityOfZion/phishing/master/blockedContracts.json',
+  domains:
+    'https://raw.githubusercontent.com/CityOfZion/phishing/master/blockedDomains.json',
+}
+
+export type Blocklist = {
+  version: number,
+  updatedAt: number,
+  addresses: Array<string>,
+  contracts: ?Array<string>,
+  domains: ?Array<string>,
+}
+
+const normalizeContract = (hash: string): string =>
+  hash.toLowerCase().replace(/^0x/, '')
+
+const getHostname = (url: string): string => {
+  try {
+    return new URL(url).hostname.toLowerCase()
+  } catch (e) {
+    // not a full URL, compare it as a host name
+    return url.toLowerCase().replace(/\/.*$/, '')
+  }
+}
+
+const BUNDLED: Blocklist = {
+  version: CACHE_VERSION,
+  updatedAt: 0,
+  addresses: bundledAddresses,
+  contracts: null,
+  domains: null,
+}
+
+let blocklist: ?Blocklist = null
+let lastAttempt = 0
+let refreshing: ?Promise<Blocklist> = null
+
+const loadCachedBlocklist = async (): Promise<Blocklist> => {
+  let cached
+  try {
+    cached = await getStorage(STORAGE_KEY)
+  } catch (e) {
+    // the storage may still be locked, the bundled list is used until then
+    return BUNDLED
+  }
+  if (!cached || cached.version !== CACHE_VERSION) return BUNDLED
+  return {
+    ...cached,
+    addresses: union(BUNDLED.addresses, cached.addresses),
+  }
+}
+
+const fetchList = async (url: string): Promise<?Array<string>> => {
+  try {
+    const { data } = await axios.get(url, { timeout: REQUEST_TIMEOUT })
+    return Array.isArray(data)
+      ? data.filter(item => typeof item === 'string')
+      : null
+  } catch (e) {
+    return null
+  }
+}
+
+/**
+ * Downloads the latest lists and stores them. Lists that can not be
+ * downloaded keep their previous entries, so the blocklist keeps working
+ * offline, or stay null if they were never downloaded.
+ */
+export const refreshBlocklist = async (): Promise<Blocklist> => {
+  if (refreshing) return refreshing
+  lastAttempt = new Date().getTime()
+
+  refreshing = (async () => {
+    const current = blocklist || (await loadCachedBlocklist())
+    const [addresses, contracts, domains] = await Promise.all([
+      fetchList(SOURCES.addresses),
+      fetchList(SOURCES.contracts),
+      fetchList(SOURCES.domains),
+    ])
+    if (!addresses && !contracts && !domains) {
+      blocklist = current
+      return current
+    }
+
+    blocklist = {
+      version: CACHE_VERSION,
+      updatedAt: new Date().getTime(),
+      addresses: union(BUNDLED.addresses, addresses || current.addresses),
+      contracts: contracts
+        ? contracts.map(normalizeContract)
+        : current.contracts,
+      domains: domains ? domains.map(getHostname) : current.domains,
+    }
+    try {
+      await setStorage(STORAGE_KEY, blocklist)
+    } catch (e) {
+      // kept in memory and stored on the next refresh
+    }
+    return blocklist
+  })()
+
+  try {
+    return await refreshing
+  } finally {
+    refreshing = null
+  }
+}
+
+/**
+ * Returns the stored blocklist. Once it is older than the refresh interval a
+ * refresh is started in the background, only a list that was never
+ * downloaded waits for it and is retried until it can be.
+ */
+export const getBlocklist = async (): Promise<Blocklist> => {
+  if (!blocklist) blocklist = await loadCachedBlocklist()
+  // the module value can be replaced by a refresh while this one is read
+  const current = blocklist
+  const isIncomplete =
+    !current.updatedAt || !current.contracts || !current.domains
+
+  const now = new Date().getTime()
+  if (
+    (isIncomplete || current.updatedAt + REFRESH_INTERVAL < now) &&
+    lastAttempt + RETRY_INTERVAL < now
+  ) {
+    const refresh = refreshBlocklist()
+    if (isIncomplete) return refresh
+  }
+  return current
+}
+
+export const isBlockedAddress = async (address: string): Promise<boolean> =>
+  (await getBlocklist()).addresses.includes(address)
+
+export const isBlockedContract = async (hash: string): Promise<boolean> => {
+  const { contracts } = await getBlocklist()
+  if (!contracts) {
+    throw new Error(
+      'The blocklist of phishing contracts could not be downloaded, the contracts of this request were not checked.',
+    )
+  }
+  return contracts.includes(normalizeContract(hash))
+}
+
+/**
+ * Checks the host of a dApp URL, including its subdomains, against the list
+ * of phishing domains.
+ */
+export const isBlockedUrl = async (url: string): Promise<boolean> => {
+  const hostname = getHostname(url)
+  const { domains } = await getBlocklist()
+  if (!domains) {
+    throw new Error(
+      'The blocklist of phishing domains could not be downloaded, this dApp was not checked.',
+    )
+  }
+  return domains.some(
+    domain => hostname === domain || hostname.endsWith(`.${domain}`),
+  )
+}
+
+export const resetBlocklist = () => {
+  blocklist = null
+  lastAttempt = 0
+}
@@ -121,6 +121,11 @@ export const DEFAULT_LANGUAGE = LANGUAGES.ENGLISH.value
 
 export const DEFAULT_EXPLORER = EXPLORERS.DORA
 
+// minutes of inactivity before the wallet is locked, 0 disables the timeout
+export const AUTO_LOCK_TIMEOUTS = [0, 1, 5, 15, 30, 60]
+
+export const DEFAULT_AUTO_LOCK_TIMEOUT = 0
+
 export const ROUTES = {
   HOME: '/',
   DASHBOARD: '/dashboard',
@@ -148,6 +153,10 @@ export const ROUTES = {
   SEND: '/send/',
   SEND_ADDRESS: '/send/:address',
   ENCRYPT: '/encrypt-private-key',
+  KEY_SHARES: '/key-shares',
+  CHANGE_PASSPHRASE: '/change-passphrase',
+  BULK_PAYOUT: '/bulk-payout',
+  RECURRING_PAYMENTS: '/recurring-payments',
   NODE_SELECT: '/node-select',
   VOTING: '/voting',
   NEWS: '/news',
@@ -156,6 +165,9 @@ export const ROUTES = {
   MOBILE: '/mobile',
   MIGRATION: '/migration',
   CONNECT_DAPP: '/connect-dapp',
+  DAPP_PERMISSIONS: '/dapp-permissions',
+  LOCAL_CONNECTOR: '/local-connector',
+  INVOKE_CONTRACT: '/invoke-contract',
 }
 
 export const NOTIFICATION_LEVELS = {
@@ -190,6 +202,9 @@ export const MODAL_TYPES = {
   SHOW_QR_FOR_EXPORT: 'SHOW_QR_FOR_EXPORT',
   MIGRATION_DETAILS: 'MIGRATION_DETAILS',
   LEDGER_MIGRATION_CONFIRM: 'LEDGER_MIGRATION_CONFIRM',
+  STORAGE_PASSWORD: 'STORAGE_PASSWORD',
+  BACKUP_PASSWORD: 'BACKUP_PASSWORD',
+  RESTORE_BACKUP: 'RESTORE_BACKUP',
 }
 
 export const TX_TYPES = {
@@ -264,6 +279,18 @@ export const N3_TOKENS_TEST = {
   },
 }
 
+// NEO and GAS are native contracts on N3, they are not in the token balances
+export const N3_NATIVE_TOKENS = {
+  ef4073a0f2b305a38ec4050e4d3d28bc40ea63f5: { symbol: 'NEO', decimals: 0 },
+  d2a4cff31913016155e38e474a2c06d08be276cf: { symbol: 'GAS', decimals: 8 },
+}
+
+// the Neo Name Service contract resolving names such as alice.neo on N3
+export const NNS_CONTRACT_HASH = {
+  MainNet: '0x50ac1c37690cc2cfc594472833cf57505d5f46de',
+  TestNet: '0x50ac1c37690cc2cfc594472833cf57505d5f46de',
+}
+
 export const NEO_ID =
   'c56f33fc6ecfcd0c225c4ab356fee59390af8560be0e930faebe74a6daff7c9b'
 export const GAS_ID =
@@ -362,3 +389,22 @@ export const NODES_N3_TEST_NET = n3NodesTestNet
 export const NODES_N3_MAIN_NET = n3NodesMainNet
 
 export const PRICE_UNAVAILABLE = 'N/A'
+
+export const N3_BLOCK_TIME = 15 // seconds
+
+// how many blocks an N3 transaction stays valid for, the network does not
+// accept transactions valid for more than a day
+export const N3_VALID_UNTIL_BLOCK_WINDOW = {
+  DEFAULT: 240,
+  MAX: 5760,
+}
+
+// what became of a sent N3 transaction, HALT and FAULT are the VM states of
+// its execution, INCLUDED is used when the node does not report them
+export const N3_TX_STATUS = {
+  PENDING: 'PENDING',
+  INCLUDED: 'INCLUDED',
+  HALT: 'HALT',
+  FAULT: 'FAULT',
+  EXPIRED: 'EXPIRED',
+}
@@ -0,0 +1,338 @@
+// @flow
+import { isEmpty, uniq, uniqBy } from 'lodash-es'
+
+import { getStorage, setStorage } from './storage'
+import { isLegacyAddress, isN3Address } from './wallet'
+
+export type ContactAddress = {
+  address: string,
+  chain: string,
+  label: string,
+}
+
+export type Contact = {
+  name: string,
+  addresses: Array<ContactAddress>,
+  notes: string,
+  tags: Array<string>,
+}
+
+export type Contacts = {
+  [name: string]: Contact,
+}
+
+export const CONTACT_CHAINS = ['neo3', 'neo2']
+
+const STORAGE_KEY = 'contacts'
+const STORAGE_VERSION = 1
+// address books from before contacts held several addresses, one per chain
+// mapping names to addresses
+export const LEGACY_STORAGE_KEYS = {
+  neo2: 'addressBook',
+  neo3: 'n3AddressBook',
+}
+
+const MAX_NAME_LENGTH = 100
+const CSV_COLUMNS = ['name', 'chain', 'address', 'label', 'tags', 'notes']
+// tags share a single CSV cell
+const TAG_SEPARATOR = ';'
+
+export const isValidContactAddress = (address: string, chain: string) =>
+  chain === 'neo3' ? isN3Address(address) : isLegacyAddress(address)
+
+export const getAddressChain = (address: string): ?string => {
+  if (isN3Address(address)) return 'neo3'
+  if (isLegacyAddress(address)) return 'neo2'
+  return null
+}
+
+const normalizeTags = (tags: Array<string> | string = []): Array<string> =>
+  uniq(
+    (Array.isArray(tags) ? tags : tags.split(/[,;]/))
+      .map(tag => String(tag).trim())
+      .filter(tag => !!tag),
+  )
+
+/**
+ * Fills in the fields missing from a contact and trims its values, so contacts
+ * typed in, imported or restored are stored the same way.
+ */
+export const normalizeContact = (contact: Object): Contact => ({
+  name: String(contact.name || '').trim(),
+  addresses: uniqBy(
+    (contact.addresses || [])
+      .map(({ address, chain, label }) => ({
+        address: String(address || '').trim(),
+        chain: chain || getAddressChain(String(address || '').trim()) || '',
+        label: String(label || '').trim(),
+      }))
+      .filter(({ address }) => !!address),
+    ({ address, chain }) => `${chain}-${address}`,
+  ),
+  notes: String(contact.notes || '').trim(),
+  tags: normalizeTags(contact.tags),
+})
+
+export const validateContact = (contact: Contact) => {
+  if (isEmpty(contact.name)) {
+    throw new Error('Name cannot be empty.')
+  }
+  if (contact.name.length > MAX_NAME_LENGTH) {
+    throw new Error(`Name cannot be longer than ${MAX_NAME_LENGTH} characters.`)
+  }
+  if (!contact.addresses.length) {
+    throw new Error(`Contact "${contact.name}" needs at least one address.`)
+  }
+  contact.addresses.forEach(({ address, chain }) => {
+    if (!isValidContactAddress(address, chain)) {
+      throw new Error(`Invalid address ${address}.`)
+    }
+  })
+}
+
+/**
+ * Adds the addresses and tags of `other` to `contact`. Notes are kept unless
+ * the contact has none.
+ */
+export const mergeContacts = (contact: Contact, other: Contact): Contact =>
+  normalizeContact({
+    ...contact,
+    addresses: [...contact.addresses, ...other.addresses],
+    notes: contact.notes || other.notes,
+    tags: [...contact.tags, ...other.tags],
+  })
+
+/**
+ * Turns the address books of each chain into contacts, contacts with the same
+ * name on both chains become one contact holding both addresses.
+ */
+export const migrateLegacyContacts = (addressBooks: {
+  [chain: string]: ?{ [name: string]: string },
+}): Contacts => {
+  const contacts = {}
+  CONTACT_CHAINS.forEach(chain => {
+    const addressBook = addressBooks[chain] || {}
+    Object.keys(addressBook).forEach(name => {
+      const contact = contacts[name] || {
+        name,
+        addresses: [],
+        notes: '',
+        tags: [],
+      }
+      contacts[name] = {
+        ...contact,
+        addresses: [
+          ...contact.addresses,
+          { address: addressBook[name], chain, label: '' },
+        ],
+      }
+    })
+  })
+  return contacts
+}
+
+export const setContacts = async (contacts: Contacts): Promise<void> =>
+  setStorage(STORAGE_KEY, { version: STORAGE_VERSION, contacts })
+
+/**
+ * Reads the contacts, migrating the address books of earlier versions the
+ * first time. Those are left in place so older versions still find them.
+ */
+export const getContacts = async (): Promise<Contacts> => {
+  const stored = await getStorage(STORAGE_KEY)
+  if (stored && stored.version) {
+    return stored.contacts || {}
+  }
+  const addressBooks = {}
+  for (const chain of CONTACT_CHAINS) {
+    addressBooks[chain] = await getStorage(LEGACY_STORAGE_KEYS[chain])
+  }
+  const contacts = migrateLegacyContacts(addressBooks)
+  await setContacts(contacts)
+  return contacts
+}
+
+/**
+ * Maps the names of contacts to their addresses on `chain`, the way the
+ * address book of each chain used to be stored. A contact with several
+ * addresses on the chain is listed once per address, with its label.
+ */
+export const getContactAddressBook = (
+  contacts: Contacts,
+  chain: string,
+): { [name: string]: string } => {
+  const addressBook = {}
+  Object.keys(contacts || {}).forEach(name => {
+    const addresses = contacts[name].addresses.filter(
+      address => address.chain === chain,
+    )
+    addresses.forEach(({ address, label }, index) => {
+      const suffix = label || String(index + 1)
+      addressBook[addresses.length > 1 ? `${name} (${suffix})` : name] = address
+    })
+  })
+  return addressBook
+}
+
+export const getContactTags = (contacts: Contacts): Array<string> =>
+  uniq(
+    Object.keys(contacts || {}).reduce(
+      (tags, name) => [...tags, ...contacts[name].tags],
+      [],
+    ),
+  ).sort((a, b) => a.localeCompare(b))
+
+/**
+ * Returns the contacts tagged with every tag in `tags` that mention `search`
+ * in their name, notes, tags, address labels or addresses.
+ */
+export const filterContacts = (
+  contacts: Contacts,
+  { search = '', tags = [] }: { search?: string, tags?: Array<string> },
+): Array<Contact> => {
+  const term = search.trim().toLowerCase()
+  return Object.keys(contacts || {})
+    .map(name => contacts[name])
+    .filter(contact => tags.every(tag => contact.tags.includes(tag)))
+    .filter(
+      ({ name, notes, tags: contactTags, addresses }) =>
+        !term ||
+        [
+          name,
+          notes,
+          ...contactTags,
+          ...addresses.map(({ address, label }) => `${label} ${address}`),
+        ].some(value => value.toLowerCase().includes(term)),
+    )
+}
+
+// cells may be quoted to hold separators, quotes or line breaks
+const parseCsvRows = (content: string): Array<Array<string>> => {
+  const rows = []
+  let row = []
+  let cell = ''
+  let quoted = false
+  for (let i = 0; i < content.length; i += 1) {
+    const char = content[i]
+    if (quoted) {
+      if (char === '"' && content[i + 1] === '"') {
+        cell += '"'
+        i += 1
+      } else if (char === '"') {
+        quoted = false
+      } else {
+        cell += char
+      }
+    } else if (char === '"') {
+      quoted = true
+    } else if (char === ',') {
+      row.push(cell.trim())
+      cell = ''
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && content[i + 1] === '\n') i += 1
+      rows.push([...row, cell.trim()])
+      row = []
+      cell = ''
+    } else {
+      cell += char
+    }
+  }
+  rows.push([...row, cell.trim()])
+  return rows.filter(cells => cells.some(value => !!value))
+}
+
+const parseCsv = (content: string): Array<Contact> => {
+  const [header = [], ...rows] = parseCsvRows(content)
+  const columns = CSV_COLUMNS.map(column =>
+    header.findIndex(value => value.toLowerCase() === column),
+  )
+  const [nameColumn, , addressColumn] = columns
+  if (nameColumn === -1 || addressColumn === -1) {
+    throw new Error('The CSV header must have a name and an address column.')
+  }
+
+  // each row holds one address, rows with the same name form one contact
+  const contacts = {}
+  rows.forEach((cells, index) => {
+    const [name, chain, address, label, tags, notes] = columns.map(
+      column => (column === -1 ? '' : cells[column] || ''),
+    )
+    if (!name) {
+      throw new Error(`The contact on line ${index + 2} has no name.`)
+    }
+    const contact = contacts[name] || {
+      name,
+      addresses: [],
+      notes: '',
+      tags: [],
+    }
+    contacts[name] = {
+      ...contact,
+      addresses: [...contact.addresses, { address, chain, label }],
+      notes: contact.notes || notes,
+      tags: [...contact.tags, ...normalizeTags(tags)],
+    }
+  })
+  return Object.keys(contacts).map(name => contacts[name])
+}
+
+const parseJson = (content: string): Array<Object> => {
+  let data
+  try {
+    data = JSON.parse(content)
+  } catch (e) {
+    throw new Error('The contacts file is not valid JSON.')
+  }
+  const contacts = Array.isArray(data) ? data : data && data.contacts
+  if (!Array.isArray(contacts)) {
+    throw new Error('The JSON contacts file must contain a list of contacts.')
+  }
+  return contacts
+}
+
+/**
+ * Reads the contacts of a CSV or JSON file. CSV files hold one address per
+ * row, the chain of an address is recognized when its column is empty.
+ */
+export const parseContactsFile = (
+  content: string,
+  fileName: string = '',
+): Array<Contact> => {
+  const isJson =
+    fileName.toLowerCase().endsWith('.json') || /^\s*[[{]/.test(content || '')
+  const contacts = (isJson ? parseJson(content) : parseCsv(content)).map(
+    normalizeContact,
+  )
+  if (!contacts.length) {
+    throw new Error('No contacts found in the file.')
+  }
+  contacts.forEach(validateContact)
+  return contacts
+}
+
+const escapeCsvCell = (value: string): string =>
+  /[",\n\r]/.test(value) ? `"${value.replace(/"/g, '""')}"` : value
+
+/**
+ * Creates a CSV or JSON file of the contacts that `parseContactsFile` reads.
+ */
+export const createContactsFile = (
+  contacts: Array<Contact>,
+  format: 'csv' | 'json',
+): string => {
+  if (format === 'json') {
+    return JSON.stringify({ contacts }, null, 2)
+  }
+  const rows = contacts.reduce(
+    (result, { name, addresses, notes, tags }) => [
+      ...result,
+      ...addresses.map(({ address, chain, label }) =>
+        [name, chain, address, label, tags.join(TAG_SEPARATOR), notes]
+          .map(escapeCsvCell)
+          .join(','),
+      ),
+    ],
+    [],
+  )
+  return [CSV_COLUMNS.join(','), ...rows].join('\n')
+}
@@ -0,0 +1,314 @@
+// @flow
+import {
+  tx as n3tx,
+  u as n3U,
+  wallet as n3Wallet,
+} from '@cityofzion/neon-js-next'
+import uuidv4 from 'uuid/v4'
+
+import { getStorage, setStorage } from './storage'
+import { isN3Address, normalizeScriptHash } from './wallet'
+import type {
+  ContractInvocationMulti,
+  WitnessScope,
+} from '../context/WalletConnect/helpers'
+
+export type InvocationParamType =
+  | 'Hash160'
+  | 'Integer'
+  | 'ByteArray'
+  | 'String'
+  | 'Boolean'
+  | 'Array'
+  | 'Map'
+
+export type InvocationParam = {
+  type: InvocationParamType,
+  // the text entered for the primitive types, the items of an Array and the
+  // entries of a Map
+  value: any,
+}
+
+export type InvocationSigner = {
+  scopes: WitnessScope,
+  allowedContracts: Array<string>,
+}
+
+export type InvocationPreset = {
+  id: string,
+  name: string,
+  scriptHash: string,
+  operation: string,
+  args: Array<InvocationParam>,
+  signer: InvocationSigner,
+}
+
+export type DecodedStackItem = {
+  type: string,
+  // the hex of byte strings, the value of the other primitive types
+  value: string,
+  // what a byte string reads as, when it looks like text or a script hash
+  text: ?string,
+  address: ?string,
+  items: ?Array<DecodedStackItem>,
+  entries: ?Array<{ key: DecodedStackItem, value: DecodedStackItem }>,
+}
+
+const STORAGE_KEY = 'invocationPresets'
+const STORAGE_VERSION = 1
+
+export const PARAM_TYPES: Array<InvocationParamType> = [
+  'Hash160',
+  'Integer',
+  'ByteArray',
+  'String',
+  'Boolean',
+  'Array',
+  'Map',
+]
+
+// the scopes a signature can be given with, CustomContracts lets the
+// contracts in `allowedContracts` use it too
+export const SIGNER_SCOPES = {
+  None: n3tx.WitnessScope.None,
+  CalledByEntry: n3tx.WitnessScope.CalledByEntry,
+  CustomContracts: n3tx.WitnessScope.CustomContracts,
+  Global: n3tx.WitnessScope.Global,
+}
+
+export const DEFAULT_SIGNER: InvocationSigner = {
+  scopes: SIGNER_SCOPES.CalledByEntry,
+  allowedContracts: [],
+}
+
+const HASH_REGEX = /^(0x)?[0-9a-f]{40}$/i
+const HEX_REGEX = /^(0x)?([0-9a-f]{2})*$/i
+const INTEGER_REGEX = /^-?\d+$/
+
+export const isContractHash = (hash: string): boolean =>
+  HASH_REGEX.test(hash.trim())
+
+/**
+ * An empty parameter of a type of the ABI, the types that cannot be entered
+ * otherwise are entered as their bytes.
+ */
+export const createParam = (type: string): InvocationParam => {
+  const paramType = PARAM_TYPES.includes(type) ? type : 'ByteArray'
+  switch (paramType) {
+    case 'Boolean':
+      return { type: paramType, value: 'false' }
+    case 'Array':
+    case 'Map':
+      return { type: paramType, value: [] }
+    default:
+      // $FlowFixMe
+      return { type: paramType, value: '' }
+  }
+}
+
+/**
+ * Describes what is wrong with a parameter, null when it can be sent.
+ */
+export const validateParam = (
+  param: InvocationParam,
+  name: string = 'The parameter',
+): ?string => {
+  switch (param.type) {
+    case 'Hash160':
+      return isN3Address(param.value) || HASH_REGEX.test(param.value)
+        ? null
+        : `${name} must be an address or a script hash.`
+    case 'Integer':
+      return INTEGER_REGEX.test(param.value)
+        ? null
+        : `${name} must be a whole number.`
+    case 'ByteArray':
+      return HEX_REGEX.test(param.value)
+        ? null
+        : `${name} must be a hexadecimal string.`
+    case 'Boolean':
+      return ['true', 'false'].includes(param.value)
+        ? null
+        : `${name} must be true or false.`
+    case 'String':
+      return null
+    case 'Array':
+      return param.value.reduce(
+        (error, item, index) =>
+          error || validateParam(item, `${name} item ${index}`),
+        null,
+      )
+    case 'Map':
+      return param.value.reduce((error, entry, index) => {
+        if (error) return error
+        // keys of NeoVM maps are primitive types
+        if (['Array', 'Map'].includes(entry.key.type)) {
+          return `${name} key ${index} cannot be an ${entry.key.type}.`
+        }
+        return (
+          validateParam(entry.key, `${name} key ${index}`) ||
+          validateParam(entry.value, `${name} value ${index}`)
+        )
+      }, null)
+    default:
+      return `${name} has an unknown type.`
+  }
+}
+
+/**
+ * The argument of a parameter in the format of the dApp API, the one
+ * `N3Helper.convertParams` reads.
+ */
+export const toInvocationArg = (param: InvocationParam): Object => {
+  switch (param.type) {
+    case 'Hash160':
+      return {
+        type: 'Hash160',
+        value: isN3Address(param.value)
+          ? param.value
+          : normalizeScriptHash(param.value),
+      }
+    case 'ByteArray':
+      // byte arrays are sent in base64
+      return {
+        type: 'ByteArray',
+        value: Buffer.from(param.value.replace(/^0x/i, ''), 'hex').toString(
+          'base64',
+        ),
+      }
+    case 'Boolean':
+      return { type: 'Boolean', value: param.value === 'true' }
+    case 'Array':
+      return { type: 'Array', value: param.value.map(toInvocationArg) }
+    case 'Map':
+      return {
+        type: 'Map',
+        value: param.value.map(({ key, value }) => ({
+          key: toInvocationArg(key),
+          value: toInvocationArg(value),
+        })),
+      }
+    default:
+      return { type: param.type, value: param.value }
+  }
+}
+
+/**
+ * The invocation of one contract method in the format of the dApp API, signed
+ * by the account of the wallet.
+ */
+export const buildInvocation = ({
+  scriptHash,
+  operation,
+  args,
+  signer,
+}: {
+  scriptHash: string,
+  operation: string,
+  args: Array<InvocationParam>,
+  signer: InvocationSigner,
+}): ContractInvocationMulti => ({
+  invocations: [
+    {
+      scriptHash: `0x${normalizeScriptHash(scriptHash.trim())}`,
+      operation,
+      args: args.map(toInvocationArg),
+    },
+  ],
+  signers: [
+    {
+      scopes: signer.scopes,
+      ...(signer.scopes === SIGNER_SCOPES.CustomContracts
+        ? {
+            allowedContracts: signer.allowedContracts.map(
+              hash => `0x${normalizeScriptHash(hash)}`,
+            ),
+          }
+        : {}),
+    },
+  ],
+})
+
+// printable text without control characters other than whitespace
+const toText = (hex: string): ?string => {
+  if (!hex) return null
+  const text = Buffer.from(hex, 'hex').toString('utf8')
+  // eslint-disable-next-line no-control-regex
+  return /^[^\u0000-\u0008\u000e-\u001f\ufffd]+$/.test(text) ? text : null
+}
+
+/**
+ * Reads a stack item of an `invokescript` result. Byte strings are shown in
+ * hex, and as text or an address when they look like one.
+ */
+export const decodeStackItem = (item: Object): DecodedStackItem => {
+  const decoded = {
+    type: item.type,
+    value: '',
+    text: null,
+    address: null,
+    items: null,
+    entries: null,
+  }
+  switch (item.type) {
+    case 'ByteString':
+    case 'Buffer': {
+      const hex = item.value ? n3U.base642hex(item.value) : ''
+      return {
+        ...decoded,
+        value: hex,
+        text: toText(hex),
+        address:
+          hex.length === 40
+            ? n3Wallet.getAddressFromScriptHash(n3U.reverseHex(hex))
+            : null,
+      }
+    }
+    case 'Array':
+    case 'Struct':
+      return { ...decoded, items: (item.value || []).map(decodeStackItem) }
+    case 'Map':
+      return {
+        ...decoded,
+        entries: (item.value || []).map(({ key, value }) => ({
+          key: decodeStackItem(key),
+          value: decodeStackItem(value),
+        })),
+      }
+    case 'InteropInterface':
+      // iterators of a session are read with `traverseiterator`
+      return { ...decoded, value: item.id || item.interface || '' }
+    case 'Any':
+      return { ...decoded, value: 'null' }
+    default:
+      return { ...decoded, value: String(item.value) }
+  }
+}
+
+export const createInvocationPreset = (
+  preset: $Diff<InvocationPreset, { id: string }>,
+): InvocationPreset => ({ id: uuidv4(), ...preset })
+
+const getAllPresets = async (): Promise<{
+  [net: string]: Array<InvocationPreset>,
+}> => {
+  const stored = await getStorage(STORAGE_KEY)
+  return (stored && stored.presets) || {}
+}
+
+/**
+ * Presets are kept per network, as contracts have different hashes on each
+ * one.
+ */
+export const getInvocationPresets = async (
+  net: string,
+): Promise<Array<InvocationPreset>> => (await getAllPresets())[net] || []
+
+export const setInvocationPresets = async (
+  net: string,
+  presets: Array<InvocationPreset>,
+): Promise<void> =>
+  setStorage(STORAGE_KEY, {
+    version: STORAGE_VERSION,
+    presets: { ...(await getAllPresets()), [net]: presets },
+  })
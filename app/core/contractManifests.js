@@ -0,0 +1,283 @@
+// @flow
+import { rpc, wallet as n3Wallet } from '@cityofzion/neon-js-next'
+
+import { N3_NATIVE_TOKENS } from './constants'
+import { toBigNumber } from './math'
+import { isN3Address, normalizeScriptHash } from './wallet'
+import { type TokenInfoMap } from './invocationPreview'
+
+export type ContractManifest = {
+  name: string,
+  abi: {
+    methods: Array<{
+      name: string,
+      parameters: Array<{ name: string, type: string }>,
+    }>,
+  },
+  supportedstandards: Array<string>,
+}
+
+export type DecodedParam = {
+  name: string,
+  type: string,
+  value: any,
+  // how the value is shown, e.g. an address for a Hash160
+  display: string,
+  // the contact name of a Hash160 value
+  contact: ?string,
+  items: ?Array<DecodedParam>,
+}
+
+export type DecodedInvocation = {
+  scriptHash: string,
+  contractName: string,
+  operation: string,
+  params: Array<DecodedParam>,
+}
+
+export type WitnessScopeDescription = {
+  scope: string,
+  description: string,
+  // scopes that let contracts other than the one called use the signature
+  isRisky: boolean,
+}
+
+const WITNESS_SCOPES = {
+  CalledByEntry: 0x01,
+  CustomContracts: 0x10,
+  CustomGroups: 0x20,
+  WitnessRules: 0x40,
+  Global: 0x80,
+}
+
+// eslint-disable-next-line no-bitwise
+const hasScope = (scopes: number, scope: number): boolean => !!(scopes & scope)
+
+// manifests by RPC endpoint and script hash, they only change when the
+// contract is updated
+const manifests: Map<string, Promise<ContractManifest>> = new Map()
+
+/**
+ * Fetches the manifest of a contract through `getcontractstate`, once per
+ * endpoint and contract.
+ */
+export const getContractManifest = (
+  scriptHash: string,
+  rpcAddress: string,
+): Promise<ContractManifest> => {
+  const hash = normalizeScriptHash(scriptHash)
+  const key = `${rpcAddress}:${hash}`
+  const cached = manifests.get(key)
+  if (cached) return cached
+
+  const request = new rpc.RPCClient(rpcAddress)
+    .execute(
+      new rpc.Query({ method: 'getcontractstate', params: [`0x${hash}`] }),
+    )
+    .then(({ manifest }) => ({
+      name: manifest.name,
+      abi: manifest.abi,
+      supportedstandards: manifest.supportedstandards || [],
+    }))
+  manifests.set(key, request)
+  // failures are not cached so the manifest is fetched again next time
+  request.catch(() => manifests.delete(key))
+  return request
+}
+
+export const isNep17Contract = (manifest: ?ContractManifest): boolean =>
+  !!manifest && manifest.supportedstandards.includes('NEP-17')
+
+const toAddress = (value: any): ?string => {
+  const text = String(value)
+  if (isN3Address(text)) return text
+  try {
+    const hash = normalizeScriptHash(text)
+    return /^[0-9a-f]{40}$/.test(hash)
+      ? n3Wallet.getAddressFromScriptHash(hash)
+      : null
+  } catch (e) {
+    return null
+  }
+}
+
+const decodeParam = (
+  arg: Object,
+  definition: ?{ name: string, type: string },
+  name: string,
+  contacts: { [address: string]: string },
+): DecodedParam => {
+  const type = (definition && definition.type) || arg.type || 'Any'
+  if (Array.isArray(arg.value)) {
+    return {
+      name,
+      type,
+      value: arg.value,
+      display: '',
+      contact: null,
+      items: arg.value.map((item, index) =>
+        decodeParam(item || {}, null, String(index), contacts),
+      ),
+    }
+  }
+
+  const isHash160 = ['Hash160', 'Address', 'ScriptHash'].includes(type)
+  const address = isHash160 ? toAddress(arg.value) : null
+  return {
+    name,
+    type,
+    value: arg.value,
+    display:
+      address ||
+      (arg.value === null || arg.value === undefined
+        ? 'null'
+        : String(arg.value)),
+    contact: (address && contacts[address]) || null,
+    items: null,
+  }
+}
+
+/**
+ * Labels the arguments of an invocation with the parameter names and types of
+ * the contract ABI. Hash160 arguments are shown as addresses and the amount
+ * of a NEP-17 `transfer` in token units.
+ */
+export const decodeInvocation = (
+  invocation: Object,
+  manifest: ?ContractManifest,
+  {
+    tokens = {},
+    contacts = {},
+  }: {
+    tokens?: TokenInfoMap,
+    contacts?: { [address: string]: string },
+  } = {},
+): DecodedInvocation => {
+  const hash = normalizeScriptHash(invocation.scriptHash)
+  // methods can be overloaded with a different number of parameters
+  const methods = manifest
+    ? manifest.abi.methods.filter(({ name }) => name === invocation.operation)
+    : []
+  const method =
+    methods.find(
+      ({ parameters }) => parameters.length === invocation.args.length,
+    ) || methods[0]
+  const params = (invocation.args || []).map((arg, index) =>
+    decodeParam(
+      arg,
+      method && method.parameters[index],
+      method && method.parameters[index]
+        ? method.parameters[index].name
+        : String(index),
+      contacts,
+    ),
+  )
+
+  const token = { ...N3_NATIVE_TOKENS, ...tokens }[hash]
+  if (
+    invocation.operation === 'transfer' &&
+    params.length >= 3 &&
+    token &&
+    (isNep17Contract(manifest) || N3_NATIVE_TOKENS[hash])
+  ) {
+    try {
+      const amount = toBigNumber(params[2].value)
+        .div(toBigNumber(10).pow(Number(token.decimals)))
+        .toString()
+      params[2] = { ...params[2], display: `${amount} ${token.symbol}` }
+    } catch (e) {
+      // not a number, the raw value is shown
+    }
+  }
+
+  return {
+    scriptHash: hash,
+    contractName: manifest ? manifest.name : `0x${hash}`,
+    operation: invocation.operation,
+    params,
+  }
+}
+
+const getContractNames = (
+  hashes: Array<string>,
+  contractNames: { [scriptHash: string]: string },
+): string =>
+  hashes
+    .map(hash => {
+      const normalized = normalizeScriptHash(hash)
+      return contractNames[normalized] || `0x${normalized}`
+    })
+    .join(', ')
+
+/**
+ * Explains in plain language what the witness scopes of a signer let the
+ * contracts of a transaction do with the signature.
+ */
+export const describeWitnessScopes = (
+  signer: ?Object,
+  contractNames: { [scriptHash: string]: string } = {},
+): Array<WitnessScopeDescription> => {
+  // signers without scopes are built as CalledByEntry
+  const scopes = Number(
+    signer && signer.scopes !== undefined
+      ? signer.scopes
+      : WITNESS_SCOPES.CalledByEntry,
+  )
+
+  if (hasScope(scopes, WITNESS_SCOPES.Global)) {
+    return [
+      {
+        scope: 'Global',
+        description:
+          'Any contract can use your signature, including to transfer all of your tokens.',
+        isRisky: true,
+      },
+    ]
+  }
+
+  const descriptions = []
+  if (hasScope(scopes, WITNESS_SCOPES.CalledByEntry)) {
+    descriptions.push({
+      scope: 'CalledByEntry',
+      description:
+        'Only the contracts this request calls directly can use your signature.',
+      isRisky: false,
+    })
+  }
+  if (hasScope(scopes, WITNESS_SCOPES.CustomContracts)) {
+    descriptions.push({
+      scope: 'CustomContracts',
+      description: `These contracts can use your signature even when another contract calls them: ${getContractNames(
+        (signer && signer.allowedContracts) || [],
+        contractNames,
+      )}.`,
+      isRisky: true,
+    })
+  }
+  if (hasScope(scopes, WITNESS_SCOPES.CustomGroups)) {
+    descriptions.push({
+      scope: 'CustomGroups',
+      description: `Any contract of these groups can use your signature: ${(
+        (signer && signer.allowedGroups) ||
+        []
+      ).join(', ')}.`,
+      isRisky: true,
+    })
+  }
+  if (hasScope(scopes, WITNESS_SCOPES.WitnessRules)) {
+    descriptions.push({
+      scope: 'WitnessRules',
+      description:
+        'Custom rules decide which contracts can use your signature.',
+      isRisky: true,
+    })
+  }
+  if (!descriptions.length) {
+    descriptions.push({
+      scope: 'None',
+      description: 'Your signature only pays the fees, no contract can use it.',
+      isRisky: false,
+    })
+  }
+  return descriptions
+}
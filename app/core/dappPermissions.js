@@ -0,0 +1,273 @@
+// @flow
+import { getStorage, setStorage } from './storage'
+import { isNumber, toBigNumber } from './math'
+import { getN3TransferEntries, normalizeScriptHash } from './wallet'
+
+export type ApprovalMode = 'always_ask' | 'auto_read_only'
+
+export type SpendingCap = {
+  scriptHash: string,
+  symbol: string,
+  decimals: number,
+  // the most that can be spent in a day, in token units
+  amount: string,
+}
+
+export type DappPolicy = {
+  topic: string,
+  name: string,
+  url: string,
+  icon: ?string,
+  allowedMethods: Array<string>,
+  // script hashes without 0x, any contract can be called when empty
+  allowedContracts: Array<string>,
+  spendingCaps: Array<SpendingCap>,
+  approvalMode: ApprovalMode,
+  // amounts spent per symbol on the given local day
+  spent: { day: string, amounts: { [symbol: string]: string } },
+  createdAt: number,
+  lastActivityAt: ?number,
+}
+
+const STORAGE_KEY = 'dappPolicies'
+const STORAGE_VERSION = 1
+
+export const APPROVAL_MODES = {
+  ALWAYS_ASK: 'always_ask',
+  AUTO_READ_ONLY: 'auto_read_only',
+}
+
+// requests that neither sign anything nor spend funds
+export const READ_ONLY_METHODS = [
+  'testInvoke',
+  'multiTestInvoke',
+  'verifyMessage',
+  'getapplicationlog',
+  'getWalletInfo',
+  'getNetworkVersion',
+  'traverseIterator',
+  'calculateFee',
+]
+
+// the NEP-17 methods that do not move tokens
+const NEP17_READ_METHODS = ['balanceOf', 'decimals', 'symbol', 'totalSupply']
+
+const WITNESS_SCOPE_NONE = 0
+const WITNESS_SCOPE_CALLED_BY_ENTRY = 1
+
+const getDay = (time: number): string => new Date(time).toDateString()
+
+const getInvocations = (request: Object): Array<Object> =>
+  (request.params && request.params.invocations) || []
+
+export const isReadOnlyRequest = (request: Object): boolean =>
+  READ_ONLY_METHODS.includes(request.method)
+
+/**
+ * The default policy of a newly approved session allows the methods the dApp
+ * asked for on any contract, without spending caps, and only asks for
+ * approval of requests that sign or spend.
+ */
+export const createDappPolicy = (
+  session: Object,
+  now: number = Date.now(),
+): DappPolicy => {
+  const metadata = (session.peer && session.peer.metadata) || {}
+  return {
+    topic: session.topic,
+    name: metadata.name || 'unknown dApp',
+    url: metadata.url || '',
+    icon: metadata.icons && metadata.icons[0],
+    allowedMethods: [...session.permissions.jsonrpc.methods],
+    allowedContracts: [],
+    spendingCaps: [],
+    approvalMode: APPROVAL_MODES.AUTO_READ_ONLY,
+    spent: { day: getDay(now), amounts: {} },
+    createdAt: now,
+    lastActivityAt: null,
+  }
+}
+
+/**
+ * Sums up the tokens a request transfers, for the tokens that are capped.
+ */
+export const getRequestSpending = (
+  policy: DappPolicy,
+  request: Object,
+): { [symbol: string]: string } => {
+  if (isReadOnlyRequest(request) || !policy.spendingCaps.length) return {}
+
+  const cappedTokens = policy.spendingCaps.reduce(
+    (tokens, cap) => ({ ...tokens, [cap.symbol]: cap }),
+    {},
+  )
+  return getN3TransferEntries(getInvocations(request), cappedTokens)
+    .filter(({ symbol }) => cappedTokens[symbol])
+    .reduce(
+      (amounts, { symbol, amount }) => ({
+        ...amounts,
+        [symbol]: toBigNumber(amounts[symbol] || 0)
+          .plus(amount)
+          .toString(),
+      }),
+      {},
+    )
+}
+
+const getSpentToday = (policy: DappPolicy, now: number) =>
+  policy.spent.day === getDay(now) ? policy.spent.amounts : {}
+
+/**
+ * Only the transfers a request makes itself are counted against the caps, so
+ * they only hold when nothing else can move the tokens. With CalledByEntry
+ * the contracts the request calls can not use the signature to transfer
+ * tokens on their own, with any wider scope they could.
+ */
+const checkCappedSpendingIsVisible = (policy: DappPolicy, request: Object) => {
+  const signers = (request.params && request.params.signers) || []
+  signers.forEach(({ scopes = WITNESS_SCOPE_CALLED_BY_ENTRY }) => {
+    if (
+      ![WITNESS_SCOPE_NONE, WITNESS_SCOPE_CALLED_BY_ENTRY].includes(
+        Number(scopes),
+      )
+    ) {
+      throw new Error(
+        `${
+          policy.name
+        } has spending caps, so its requests can only be signed with the CalledByEntry scope.`,
+      )
+    }
+  })
+
+  getInvocations(request).forEach(invocation => {
+    const hash = normalizeScriptHash(invocation.scriptHash)
+    const cap = policy.spendingCaps.find(
+      ({ scriptHash }) => normalizeScriptHash(scriptHash) === hash,
+    )
+    if (
+      cap &&
+      !NEP17_READ_METHODS.includes(invocation.operation) &&
+      !getN3TransferEntries([invocation], { [cap.symbol]: cap }).length
+    ) {
+      throw new Error(
+        `${policy.name} can only transfer ${
+          cap.symbol
+        } while it has a spending cap on it.`,
+      )
+    }
+  })
+}
+
+/**
+ * Throws when the policy does not allow the request, whether or not the user
+ * would approve it.
+ */
+export const checkDappRequest = (
+  policy: DappPolicy,
+  request: Object,
+  now: number = Date.now(),
+): void => {
+  if (!policy.allowedMethods.includes(request.method)) {
+    throw new Error(`${policy.name} is not allowed to use ${request.method}.`)
+  }
+
+  if (policy.allowedContracts.length) {
+    const contract = getInvocations(request)
+      .map(({ scriptHash }) => normalizeScriptHash(scriptHash))
+      .find(hash => !policy.allowedContracts.includes(hash))
+    if (contract) {
+      throw new Error(`${policy.name} is not allowed to call 0x${contract}.`)
+    }
+  }
+
+  if (!policy.spendingCaps.length || isReadOnlyRequest(request)) return
+  checkCappedSpendingIsVisible(policy, request)
+
+  const spending = getRequestSpending(policy, request)
+  const spentToday = getSpentToday(policy, now)
+  policy.spendingCaps.forEach(({ symbol, amount }) => {
+    if (
+      spending[symbol] &&
+      toBigNumber(spentToday[symbol] || 0)
+        .plus(spending[symbol])
+        .gt(amount)
+    ) {
+      throw new Error(
+        `The request exceeds the daily cap of ${amount} ${symbol} set for ${
+          policy.name
+        }.`,
+      )
+    }
+  })
+}
+
+export const canAutoApprove = (policy: DappPolicy, request: Object): boolean =>
+  policy.approvalMode === APPROVAL_MODES.AUTO_READ_ONLY &&
+  isReadOnlyRequest(request)
+
+export const recordDappActivity = (
+  policy: DappPolicy,
+  now: number = Date.now(),
+): DappPolicy => ({ ...policy, lastActivityAt: now })
+
+/**
+ * Adds what a request that was sent transferred to the amounts spent today.
+ */
+export const recordDappSpending = (
+  policy: DappPolicy,
+  request: Object,
+  now: number = Date.now(),
+): DappPolicy => {
+  const spending = getRequestSpending(policy, request)
+  const spentToday = getSpentToday(policy, now)
+  return {
+    ...policy,
+    spent: {
+      day: getDay(now),
+      amounts: Object.keys(spending).reduce(
+        (amounts, symbol) => ({
+          ...amounts,
+          [symbol]: toBigNumber(amounts[symbol] || 0)
+            .plus(spending[symbol])
+            .toString(),
+        }),
+        spentToday,
+      ),
+    },
+  }
+}
+
+/**
+ * Takes back every permission of a dApp, its session stays connected but all
+ * of its requests are refused until methods are allowed again.
+ */
+export const revokeDappPolicy = (policy: DappPolicy): DappPolicy => ({
+  ...policy,
+  allowedMethods: [],
+  approvalMode: APPROVAL_MODES.ALWAYS_ASK,
+})
+
+export const validateDappPolicy = (policy: DappPolicy): void => {
+  policy.allowedContracts.forEach(hash => {
+    if (!/^[0-9a-f]{40}$/.test(hash)) {
+      throw new Error(`Invalid contract hash ${hash}.`)
+    }
+  })
+  policy.spendingCaps.forEach(({ symbol, amount }) => {
+    if (!isNumber(amount) || toBigNumber(amount).lt(0)) {
+      throw new Error(`Invalid spending cap ${amount} for ${symbol}.`)
+    }
+  })
+}
+
+export const getDappPolicies = async (): Promise<{
+  [topic: string]: DappPolicy,
+}> => {
+  const stored = await getStorage(STORAGE_KEY)
+  return (stored && stored.policies) || {}
+}
+
+export const setDappPolicies = async (policies: {
+  [topic: string]: DappPolicy,
+}): Promise<void> =>
+  setStorage(STORAGE_KEY, { version: STORAGE_VERSION, policies })
@@ -40,6 +40,15 @@ export const getPublicKey = (state: Object) =>
 export const getIsHardwareLogin = (state: Object) =>
   get(state, `${PREFIX}.${AUTH_ID}.data.isHardwareLogin`)
 
+export const getEncryptedWIF = (state: Object) =>
+  get(state, `${PREFIX}.${AUTH_ID}.data.encryptedWIF`)
+
+export const getHasInternetConnectivity = (state: Object) =>
+  get(state, `${PREFIX}.${AUTH_ID}.data.hasInternetConnectivity`)
+
+export const getVerificationScript = (state: Object) =>
+  get(state, `${PREFIX}.${AUTH_ID}.data.verificationScript`)
+
 export const getNEO = (state: Object): string => getBalances(state)[ASSETS.NEO]
 
 export const getGAS = (state: Object): string => getBalances(state)[ASSETS.GAS]
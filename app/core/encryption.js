@@ -0,0 +1,106 @@
+// @flow
+import promisify from 'es6-promisify'
+import {
+  createCipheriv,
+  createDecipheriv,
+  randomBytes,
+  // $FlowFixMe the node library of flow does not declare scrypt yet
+  scrypt as scryptCallback,
+} from 'crypto'
+
+const scrypt = promisify(scryptCallback)
+
+const CIPHER = 'aes-256-gcm'
+const KEY_LENGTH = 32
+const SCRYPT_PARAMS = { N: 16384, r: 8, p: 1 }
+
+export type EncryptedValue = {
+  cipher: string,
+  iv: string,
+  tag: string,
+  data: string,
+}
+
+export type KeyParams = {
+  salt: string,
+  N: number,
+  r: number,
+  p: number,
+}
+
+export const isEncryptedValue = (value: any): boolean =>
+  !!value && value.cipher === CIPHER && typeof value.data === 'string'
+
+export const encryptValue = (key: Buffer, value: any): EncryptedValue => {
+  const iv = randomBytes(12)
+  const cipher = createCipheriv(CIPHER, key, iv)
+  const data = Buffer.concat([
+    cipher.update(JSON.stringify(value), 'utf8'),
+    cipher.final(),
+  ])
+  return {
+    cipher: CIPHER,
+    iv: iv.toString('base64'),
+    tag: cipher.getAuthTag().toString('base64'),
+    data: data.toString('base64'),
+  }
+}
+
+/**
+ * Throws if the value was encrypted with a different key or was modified.
+ */
+export const decryptValue = (key: Buffer, value: EncryptedValue): any => {
+  const decipher = createDecipheriv(
+    CIPHER,
+    key,
+    Buffer.from(value.iv, 'base64'),
+  )
+  decipher.setAuthTag(Buffer.from(value.tag, 'base64'))
+  return JSON.parse(
+    Buffer.concat([
+      decipher.update(Buffer.from(value.data, 'base64')),
+      decipher.final(),
+    ]).toString('utf8'),
+  )
+}
+
+export const createKeyParams = (): KeyParams => ({
+  ...SCRYPT_PARAMS,
+  salt: randomBytes(32).toString('base64'),
+})
+
+export const deriveKey = (
+  password: string,
+  { salt, N, r, p }: KeyParams,
+): Promise<Buffer> =>
+  scrypt(password.normalize('NFC'), Buffer.from(salt, 'base64'), KEY_LENGTH, {
+    N,
+    r,
+    p,
+    maxmem: 128 * N * r * 2,
+  })
+
+/**
+ * Encrypts a value with a key derived from `password`. The key parameters
+ * are stored with the result so it can be decrypted on its own.
+ */
+export const encryptWithPassword = async (
+  password: string,
+  value: any,
+): Promise<EncryptedValue & KeyParams> => {
+  const params = createKeyParams()
+  const key = await deriveKey(password, params)
+  return { ...params, ...encryptValue(key, value) }
+}
+
+export const decryptWithPassword = async (
+  password: string,
+  value: EncryptedValue & KeyParams,
+): Promise<any> => {
+  const key = await deriveKey(password, value)
+  try {
+    return decryptValue(key, value)
+  } catch (e) {
+    throw new Error('The password is incorrect.')
+  }
+}
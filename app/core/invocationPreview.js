@@ -0,0 +1,183 @@
+// @flow
+import {
+  api as n3Api,
+  wallet as n3Wallet,
+  u as n3U,
+} from '@cityofzion/neon-js-next'
+import { values } from 'lodash-es'
+
+import { N3_NATIVE_TOKENS } from './constants'
+import { toBigNumber } from './math'
+import { normalizeScriptHash } from './wallet'
+
+export type TokenInfoMap = {
+  [scriptHash: string]: { symbol: string, decimals: number | string },
+}
+
+export type BalanceChange = {
+  address: string,
+  contract: string,
+  symbol: string,
+  amount: string,
+  // NEP-11 tokens that are received or sent
+  tokenIds: Array<string>,
+}
+
+export type InvocationPreview = {
+  state: string,
+  exception: ?string,
+  gasBurned: string,
+  balanceChanges: Array<BalanceChange>,
+}
+
+const GAS_HASH = Object.keys(N3_NATIVE_TOKENS).find(
+  hash => N3_NATIVE_TOKENS[hash].symbol === 'GAS',
+)
+
+// the from and to of a transfer are script hashes in little endian, null
+// when tokens are minted or burned
+const decodeAddress = (item: ?Object): ?string => {
+  if (!item || item.type !== 'ByteString' || !item.value) return null
+  const hex = n3U.base642hex(item.value)
+  return hex.length === 40
+    ? n3Wallet.getAddressFromScriptHash(n3U.reverseHex(hex))
+    : null
+}
+
+const getTransfers = (result: Object) =>
+  (result.notifications || []).filter(
+    ({ eventname, state }) =>
+      eventname === 'Transfer' &&
+      state &&
+      Array.isArray(state.value) &&
+      [3, 4].includes(state.value.length),
+  )
+
+/**
+ * Looks up the symbol and decimals of NEP-17 contracts, the ones that cannot
+ * be looked up are left out.
+ */
+export const fetchTokenInfos = async (
+  hashes: Array<string>,
+  client: Object,
+): Promise<TokenInfoMap> => {
+  if (!hashes.length) return {}
+  try {
+    const infos = await n3Api.getTokenInfos(
+      hashes.map(hash => `0x${hash}`),
+      client,
+    )
+    return hashes.reduce(
+      (tokens, hash, index) => ({ ...tokens, [hash]: infos[index] }),
+      {},
+    )
+  } catch (e) {
+    // contracts that are not NEP-17 are shown by their hash
+    console.warn('An error occurred fetching token information', e)
+    return {}
+  }
+}
+
+/**
+ * Maps the script hashes of the given token balances to their symbol and
+ * decimals.
+ */
+export const getTokenInfoMap = (tokenBalances: Object): TokenInfoMap =>
+  values(tokenBalances)
+    .filter(token => token && token.scriptHash)
+    .reduce(
+      (tokens, { scriptHash, symbol, decimals }) => ({
+        ...tokens,
+        [normalizeScriptHash(scriptHash)]: { symbol, decimals },
+      }),
+      {},
+    )
+
+/**
+ * Decodes the `Transfer` notifications of an `invokeScript` result into the
+ * balance changes of every address involved. The GAS burned to run the script
+ * is charged to `sender`. Tokens missing from `tokens` are looked up with
+ * `client`.
+ */
+export const getInvocationPreview = async (
+  result: Object,
+  {
+    sender,
+    tokens = {},
+    client,
+  }: { sender: string, tokens?: TokenInfoMap, client: Object },
+): Promise<InvocationPreview> => {
+  const transfers = getTransfers(result)
+  const knownTokens = { ...N3_NATIVE_TOKENS, ...tokens }
+  const unknownHashes = transfers
+    .map(({ contract }) => normalizeScriptHash(contract))
+    .filter((hash, index, hashes) => hashes.indexOf(hash) === index)
+    .filter(hash => !knownTokens[hash])
+  Object.assign(knownTokens, await fetchTokenInfos(unknownHashes, client))
+
+  const changes = {}
+  const addChange = (address, contract, amount, tokenId) => {
+    const key = `${address}:${contract}`
+    const token = knownTokens[contract] || { symbol: contract, decimals: 0 }
+    const change = changes[key] || {
+      address,
+      contract,
+      symbol: token.symbol,
+      amount: toBigNumber(0),
+      tokenIds: [],
+    }
+    change.amount = change.amount.plus(
+      toBigNumber(amount).div(toBigNumber(10).pow(Number(token.decimals))),
+    )
+    if (tokenId) change.tokenIds.push(tokenId)
+    changes[key] = change
+  }
+
+  transfers.forEach(({ contract, state }) => {
+    const [from, to, amount, tokenId] = state.value
+    const hash = normalizeScriptHash(contract)
+    const value = amount && amount.value ? amount.value : 0
+    const id = tokenId && tokenId.value ? n3U.base642hex(tokenId.value) : ''
+    const fromAddress = decodeAddress(from)
+    const toAddress = decodeAddress(to)
+    if (fromAddress) addChange(fromAddress, hash, `-${value}`, id)
+    if (toAddress) addChange(toAddress, hash, value, id)
+  })
+
+  const gasBurned = toBigNumber(result.gasconsumed || 0).div(10 ** 8)
+  if (GAS_HASH && gasBurned.gt(0)) {
+    addChange(sender, GAS_HASH, `-${result.gasconsumed}`)
+  }
+
+  return {
+    state: result.state,
+    exception: result.exception || null,
+    gasBurned: gasBurned.toString(),
+    balanceChanges: Object.keys(changes)
+      .map(key => changes[key])
+      .filter(({ amount, tokenIds }) => !amount.equals(0) || tokenIds.length)
+      .map(change => ({ ...change, amount: change.amount.toString() })),
+  }
+}
+
+/**
+ * Combines the `invokeScript` results of the transactions of one send, so
+ * they can be previewed together.
+ */
+export const mergeInvocationResults = (results: Array<Object>): Object => ({
+  state: results.some(({ state }) => state === 'FAULT') ? 'FAULT' : 'HALT',
+  exception: (results.find(({ exception }) => !!exception) || {}).exception,
+  gasconsumed: results
+    .reduce(
+      (total, { gasconsumed }) => total.plus(gasconsumed || 0),
+      toBigNumber(0),
+    )
+    .toString(),
+  notifications: results.reduce(
+    (notifications, result) => [
+      ...notifications,
+      ...(result.notifications || []),
+    ],
+    [],
+  ),
+})
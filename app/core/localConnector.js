@@ -0,0 +1,362 @@
+// @flow
+import http from 'http'
+import WebSocket from 'ws'
+
+import { getStorage, setStorage } from './storage'
+
+export type LocalConnectorSettings = {
+  enabled: boolean,
+  port: number,
+  // origins allowed to make requests other than `pair`
+  pairedOrigins: Array<string>,
+}
+
+export type LocalConnectorLogEntry = {
+  time: number,
+  origin: string,
+  transport: 'http' | 'ws',
+  direction: 'request' | 'response',
+  payload: any,
+}
+
+export type LocalConnectorHandlers = {
+  isPaired: (origin: string) => boolean,
+  // asks the user to pair the origin, rejects when the pairing is refused
+  onPair: (origin: string) => Promise<Object>,
+  onRequest: (origin: string, request: Object) => Promise<Object>,
+  onLog: (entry: LocalConnectorLogEntry) => void,
+}
+
+export type LocalConnector = {
+  port: number,
+  close: () => Promise<void>,
+}
+
+const STORAGE_KEY = 'localConnector'
+const STORAGE_VERSION = 1
+
+export const DEFAULT_LOCAL_CONNECTOR_PORT = 6366
+export const LOCAL_CONNECTOR_HOST = '127.0.0.1'
+// the method a page calls first, the other ones need a paired origin
+export const PAIR_METHOD = 'pair'
+// requests of paired origins are made on this topic, like the ones of a
+// WalletConnect session
+export const LOCAL_TOPIC_PREFIX = 'local:'
+
+const MAX_BODY_SIZE = 1024 * 1024
+
+// JSON-RPC error codes, the last two are the ones of EIP-1193 providers
+export const ERROR_CODES = {
+  PARSE_ERROR: -32700,
+  INVALID_REQUEST: -32600,
+  METHOD_NOT_FOUND: -32601,
+  INTERNAL_ERROR: -32603,
+  REJECTED: 4001,
+  UNAUTHORIZED: 4100,
+}
+
+export const DEFAULT_LOCAL_CONNECTOR_SETTINGS: LocalConnectorSettings = {
+  enabled: false,
+  port: DEFAULT_LOCAL_CONNECTOR_PORT,
+  pairedOrigins: [],
+}
+
+export const getLocalTopic = (origin: string): string =>
+  `${LOCAL_TOPIC_PREFIX}${origin}`
+
+export const isLocalTopic = (topic: ?string): boolean =>
+  !!topic && topic.startsWith(LOCAL_TOPIC_PREFIX)
+
+export const getOriginOfTopic = (topic: string): string =>
+  topic.slice(LOCAL_TOPIC_PREFIX.length)
+
+/**
+ * A paired origin as a WalletConnect session, so its requests get the same
+ * policies and approval screens.
+ */
+export const createLocalSession = (origin: string, methods: Array<string>) => ({
+  topic: getLocalTopic(origin),
+  isLocal: true,
+  peer: {
+    metadata: {
+      name: origin,
+      description: 'A page connected through the local connector',
+      url: origin,
+      icons: [],
+    },
+  },
+  permissions: { jsonrpc: { methods } },
+})
+
+const formatError = (id: any, code: number, message: string) => ({
+  id: id === undefined ? null : id,
+  jsonrpc: '2.0',
+  error: { code, message },
+})
+
+// only requests made to the loopback address are answered, so pages of other
+// hosts cannot reach the connector by rebinding their DNS to it
+const isLocalHost = (host: ?string, port: number): boolean =>
+  !!host &&
+  [`${LOCAL_CONNECTOR_HOST}:${port}`, `localhost:${port}`].includes(host)
+
+/**
+ * Only pages served over http(s) can be paired. Sandboxed frames, files and
+ * extensions send the origin "null" or one that does not name a site, which
+ * could not be told apart once paired.
+ */
+export const isPairableOrigin = (origin: ?string): boolean => {
+  if (!origin || origin === 'null') return false
+  try {
+    const url = new URL(origin)
+    return ['http:', 'https:'].includes(url.protocol) && url.origin === origin
+  } catch (e) {
+    return false
+  }
+}
+
+const isPairMessage = (message: string): boolean => {
+  try {
+    const request = JSON.parse(message)
+    return !!request && request.method === PAIR_METHOD
+  } catch (e) {
+    return false
+  }
+}
+
+/**
+ * Answers a JSON-RPC message of an origin. Origins have to be paired before
+ * any other method can be called.
+ */
+export const handleMessage = async (
+  origin: ?string,
+  message: string,
+  methods: Array<string>,
+  handlers: LocalConnectorHandlers,
+): Promise<Object> => {
+  let request
+  try {
+    request = JSON.parse(message)
+  } catch (e) {
+    return formatError(null, ERROR_CODES.PARSE_ERROR, 'Parse error')
+  }
+
+  if (!request || typeof request.method !== 'string') {
+    return formatError(
+      request && request.id,
+      ERROR_CODES.INVALID_REQUEST,
+      'Invalid request',
+    )
+  }
+  if (!origin) {
+    return formatError(
+      request.id,
+      ERROR_CODES.INVALID_REQUEST,
+      'Requests need an Origin header',
+    )
+  }
+
+  if (request.method === PAIR_METHOD) {
+    if (!isPairableOrigin(origin)) {
+      return formatError(
+        request.id,
+        ERROR_CODES.UNAUTHORIZED,
+        `${origin} can not be paired, only http and https pages can`,
+      )
+    }
+    try {
+      return {
+        id: request.id,
+        jsonrpc: '2.0',
+        result: await handlers.onPair(origin),
+      }
+    } catch (e) {
+      return formatError(request.id, ERROR_CODES.REJECTED, e.message)
+    }
+  }
+  if (!handlers.isPaired(origin)) {
+    return formatError(
+      request.id,
+      ERROR_CODES.UNAUTHORIZED,
+      `${origin} is not paired, call ${PAIR_METHOD} first`,
+    )
+  }
+  if (!methods.includes(request.method)) {
+    return formatError(
+      request.id,
+      ERROR_CODES.METHOD_NOT_FOUND,
+      `The method ${request.method} does not exist`,
+    )
+  }
+  try {
+    return await handlers.onRequest(origin, { ...request, jsonrpc: '2.0' })
+  } catch (e) {
+    return formatError(request.id, ERROR_CODES.INTERNAL_ERROR, e.message)
+  }
+}
+
+const readBody = (req: Object): Promise<string> =>
+  new Promise((resolve, reject) => {
+    let body = ''
+    req.on('data', chunk => {
+      body += chunk
+      if (body.length > MAX_BODY_SIZE) {
+        reject(new Error('The request is too large'))
+        req.destroy()
+      }
+    })
+    req.on('end', () => resolve(body))
+    req.on('error', reject)
+  })
+
+/**
+ * Starts a JSON-RPC server on the loopback address, over HTTP POST and
+ * WebSocket on the same port. Every request and response is logged.
+ */
+export const startLocalConnector = (
+  port: number,
+  methods: Array<string>,
+  handlers: LocalConnectorHandlers,
+): Promise<LocalConnector> => {
+  const log = (
+    origin: ?string,
+    transport: 'http' | 'ws',
+    direction: 'request' | 'response',
+    payload: any,
+  ) =>
+    handlers.onLog({
+      time: Date.now(),
+      origin: origin || '',
+      transport,
+      direction,
+      payload,
+    })
+
+  const handleHttpRequest = async (req: Object, res: Object, port: number) => {
+    const { origin } = req.headers
+    const headers = {
+      'Access-Control-Allow-Methods': 'POST, OPTIONS',
+      'Access-Control-Allow-Headers': 'Content-Type',
+      Vary: 'Origin',
+    }
+    // pages can only read the responses of paired origins and the answer to a
+    // pairing. A preflight is allowed for any origin as it has no response to
+    // read, and pages can make simple requests without one anyway.
+    const withAllowedOrigin = (isAllowed: boolean) =>
+      isAllowed && origin
+        ? { ...headers, 'Access-Control-Allow-Origin': origin }
+        : headers
+
+    if (!isLocalHost(req.headers.host, port)) {
+      res.writeHead(403, headers)
+      res.end()
+      return
+    }
+    if (req.method === 'OPTIONS') {
+      res.writeHead(204, withAllowedOrigin(true))
+      res.end()
+      return
+    }
+    if (req.method !== 'POST') {
+      res.writeHead(405, headers)
+      res.end()
+      return
+    }
+
+    let response
+    let isPairing = false
+    try {
+      const body = await readBody(req)
+      log(origin, 'http', 'request', body)
+      isPairing = isPairMessage(body)
+      response = await handleMessage(origin, body, methods, handlers)
+    } catch (e) {
+      response = formatError(null, ERROR_CODES.INVALID_REQUEST, e.message)
+    }
+    log(origin, 'http', 'response', response)
+    res.writeHead(200, {
+      ...withAllowedOrigin(
+        isPairing || (!!origin && handlers.isPaired(origin)),
+      ),
+      'Content-Type': 'application/json',
+    })
+    res.end(JSON.stringify(response))
+  }
+
+  const server = http.createServer((req, res) => {
+    handleHttpRequest(req, res, server.address().port).catch(e => {
+      console.error(e)
+      if (!res.headersSent) res.writeHead(500)
+      res.end()
+    })
+  })
+
+  // connections waiting for an approval are closed with the server
+  const connections = new Set()
+  server.on('connection', connection => {
+    connections.add(connection)
+    connection.on('close', () => connections.delete(connection))
+  })
+
+  const wsServer = new WebSocket.Server({
+    server,
+    verifyClient: ({ req }) =>
+      isLocalHost(req.headers.host, server.address().port),
+  })
+  wsServer.on('connection', (socket, req) => {
+    const { origin } = req.headers
+    socket.on('message', async message => {
+      log(origin, 'ws', 'request', String(message))
+      const response = await handleMessage(
+        origin,
+        String(message),
+        methods,
+        handlers,
+      )
+      log(origin, 'ws', 'response', response)
+      if (socket.readyState === WebSocket.OPEN) {
+        socket.send(JSON.stringify(response))
+      }
+    })
+  })
+
+  const close = () =>
+    new Promise(resolve => {
+      wsServer.clients.forEach(socket => socket.terminate())
+      wsServer.close(() => server.close(() => resolve()))
+      connections.forEach(connection => connection.destroy())
+    })
+
+  return new Promise((resolve, reject) => {
+    server.once('error', reject)
+    server.listen(port, LOCAL_CONNECTOR_HOST, () => {
+      server.removeListener('error', reject)
+      resolve({ port: server.address().port, close })
+    })
+  })
+}
+
+export const getLocalConnectorSettings = async (): Promise<
+  LocalConnectorSettings,
+> => {
+  const stored = await getStorage(STORAGE_KEY)
+  return stored && stored.version
+    ? {
+        enabled: stored.enabled,
+        port: stored.port,
+        pairedOrigins: stored.pairedOrigins,
+      }
+    : DEFAULT_LOCAL_CONNECTOR_SETTINGS
+}
+
+export const setLocalConnectorSettings = async ({
+  enabled,
+  port,
+  pairedOrigins,
+}: LocalConnectorSettings): Promise<void> =>
+  setStorage(STORAGE_KEY, {
+    version: STORAGE_VERSION,
+    enabled,
+    port,
+    pairedOrigins,
+  })
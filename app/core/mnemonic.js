@@ -0,0 +1,174 @@
+// @flow
+import { createHash, createHmac, pbkdf2Sync, randomBytes } from 'crypto'
+import { ECCurves } from 'ecc-jsbn'
+import { wallet } from '@cityofzion/neon-js'
+
+import { BIP44_PATH } from './constants'
+import wordlist from './bip39-english.json'
+
+const { BigInteger } = require('jsbn')
+
+const HARDENED_OFFSET = 0x80000000
+const SEED_KEY = 'Nist256p1 seed'
+const VALID_WORD_COUNTS = [12, 15, 18, 21, 24]
+const CURVE_ORDER = ECCurves.secp256r1().getN()
+
+export const DEFAULT_MNEMONIC_STRENGTH = 256
+
+const normalize = (value: string) => (value || '').normalize('NFKD')
+
+const toBinary = (bytes: Buffer) =>
+  Array.from(bytes)
+    .map(byte => byte.toString(2).padStart(8, '0'))
+    .join('')
+
+const checksumBits = (entropy: Buffer) =>
+  toBinary(
+    createHash('sha256')
+      .update(entropy)
+      .digest(),
+  ).slice(0, (entropy.length * 8) / 32)
+
+export const splitMnemonic = (mnemonic: string): Array<string> =>
+  normalize(mnemonic)
+    .trim()
+    .toLowerCase()
+    .split(/\s+/)
+    .filter(word => !!word)
+
+export const entropyToMnemonic = (entropy: Buffer): string => {
+  if (entropy.length < 16 || entropy.length > 32 || entropy.length % 4) {
+    throw new Error('Invalid entropy length')
+  }
+  const bits = toBinary(entropy) + checksumBits(entropy)
+  const words = (bits.match(/.{11}/g) || []).map(
+    chunk => wordlist[parseInt(chunk, 2)],
+  )
+  return words.join(' ')
+}
+
+export const mnemonicToEntropy = (mnemonic: string): Buffer => {
+  const words = splitMnemonic(mnemonic)
+  if (!VALID_WORD_COUNTS.includes(words.length)) {
+    throw new Error('A recovery phrase must contain 12, 15, 18, 21 or 24 words')
+  }
+  const bits = words
+    .map(word => {
+      const index = wordlist.indexOf(word)
+      if (index === -1) {
+        throw new Error(`"${word}" is not a valid recovery phrase word`)
+      }
+      return index.toString(2).padStart(11, '0')
+    })
+    .join('')
+  const dividerIndex = Math.floor(bits.length / 33) * 32
+  const entropy = Buffer.from(
+    (bits.slice(0, dividerIndex).match(/.{8}/g) || []).map(byte =>
+      parseInt(byte, 2),
+    ),
+  )
+  if (checksumBits(entropy) !== bits.slice(dividerIndex)) {
+    throw new Error('The recovery phrase checksum is not valid')
+  }
+  return entropy
+}
+
+export const generateMnemonic = (
+  strength: number = DEFAULT_MNEMONIC_STRENGTH,
+): string => entropyToMnemonic(randomBytes(strength / 8))
+
+export const validateMnemonic = (mnemonic: string): boolean => {
+  try {
+    mnemonicToEntropy(mnemonic)
+    return true
+  } catch (e) {
+    return false
+  }
+}
+
+export const mnemonicToSeed = (
+  mnemonic: string,
+  password: string = '',
+): Buffer =>
+  pbkdf2Sync(
+    Buffer.from(splitMnemonic(mnemonic).join(' '), 'utf8'),
+    Buffer.from(`mnemonic${normalize(password)}`, 'utf8'),
+    2048,
+    64,
+    'sha512',
+  )
+
+// Returns the indexes of the NEO BIP-44 path (m/44'/888'/0'/0/account), which
+// is the same path the Ledger NEO apps use to derive their keys.
+export const getDerivationPath = (account: number = 0): Array<number> => [
+  ...(BIP44_PATH.match(/.{8}/g) || []).map(index => parseInt(index, 16)),
+  account,
+]
+
+export const formatDerivationPath = (path: Array<number>): string =>
+  ['m']
+    .concat(
+      path.map(
+        index =>
+          index >= HARDENED_OFFSET
+            ? `${index - HARDENED_OFFSET}'`
+            : index.toString(),
+      ),
+    )
+    .join('/')
+
+const hmacSHA512 = (key: Buffer, data: Buffer) =>
+  createHmac('sha512', key)
+    .update(data)
+    .digest()
+
+const serialize32 = (index: number) => {
+  const buffer = Buffer.alloc(4)
+  buffer.writeUInt32BE(index, 0)
+  return buffer
+}
+
+const toKeyBuffer = (key: Object) =>
+  Buffer.from(key.toString(16).padStart(64, '0'), 'hex')
+
+// SLIP-0010 key derivation for the NIST P-256 curve used by NEO.
+// https://github.com/satoshilabs/slips/blob/master/slip-0010.md
+export const derivePrivateKey = (seed: Buffer, path: Array<number>): string => {
+  let I = hmacSHA512(Buffer.from(SEED_KEY, 'utf8'), seed)
+  let key = new BigInteger(I.slice(0, 32).toString('hex'), 16)
+  while (key.signum() === 0 || key.compareTo(CURVE_ORDER) >= 0) {
+    I = hmacSHA512(Buffer.from(SEED_KEY, 'utf8'), I)
+    key = new BigInteger(I.slice(0, 32).toString('hex'), 16)
+  }
+  let chainCode = I.slice(32)
+
+  path.forEach(index => {
+    let data =
+      index >= HARDENED_OFFSET
+        ? Buffer.concat([Buffer.alloc(1), toKeyBuffer(key), serialize32(index)])
+        : Buffer.concat([
+            Buffer.from(
+              wallet.getPublicKeyFromPrivateKey(
+                toKeyBuffer(key).toString('hex'),
+                true,
+              ),
+              'hex',
+            ),
+            serialize32(index),
+          ])
+
+    for (;;) {
+      I = hmacSHA512(chainCode, data)
+      const tweak = new BigInteger(I.slice(0, 32).toString('hex'), 16)
+      const childKey = tweak.add(key).mod(CURVE_ORDER)
+      if (tweak.compareTo(CURVE_ORDER) < 0 && childKey.signum() !== 0) {
+        key = childKey
+        break
+      }
+      data = Buffer.concat([Buffer.from([1]), I.slice(32), serialize32(index)])
+    }
+    chainCode = I.slice(32)
+  })
+
+  return toKeyBuffer(key).toString('hex')
+}
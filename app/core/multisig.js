@@ -0,0 +1,118 @@
+// @flow
+import { wallet as n3Wallet, u as n3U } from '@cityofzion/neon-js-next'
+import { uniq } from 'lodash-es'
+
+export const MAX_MULTISIG_PUBLIC_KEYS = 1024
+
+// SYSCALL System.Crypto.CheckMultisig, which ends every multi-signature
+// verification script.
+const CHECK_MULTISIG_SYSCALL = '419ed0dc3a'
+
+// Neo orders the keys of a multi-signature contract by their X coordinate so
+// that the same set of keys always produces the same address, regardless of
+// the order they were entered in.
+export const sortPublicKeys = (publicKeys: Array<string>): Array<string> =>
+  [...publicKeys].sort((a, b) => {
+    const left = a.slice(2).toLowerCase()
+    const right = b.slice(2).toLowerCase()
+    if (left === right) return a < b ? -1 : 1
+    return left < right ? -1 : 1
+  })
+
+export const parsePublicKeys = (input: string): Array<string> =>
+  uniq(
+    input
+      .split(/[\s,]+/)
+      .map(key => key.trim().toLowerCase())
+      .filter(key => !!key),
+  )
+
+export const isMultiSigVerificationScript = (script: string): boolean => {
+  try {
+    return (
+      script.toLowerCase().endsWith(CHECK_MULTISIG_SYSCALL) &&
+      n3Wallet.getPublicKeysFromVerificationScript(script).length > 0
+    )
+  } catch (e) {
+    return false
+  }
+}
+
+export const getMultiSigDetails = (
+  verificationScript: string,
+): { threshold: number, publicKeys: Array<string> } => ({
+  threshold: n3Wallet.getSigningThresholdFromVerificationScript(
+    verificationScript,
+  ),
+  publicKeys: n3Wallet.getPublicKeysFromVerificationScript(verificationScript),
+})
+
+export const getVerificationScriptFromAccount = (account: Object): ?string => {
+  const script = account && account.contract && account.contract.script
+  return script ? n3U.HexString.fromBase64(script).toBigEndian() : null
+}
+
+/**
+ * Builds a NEP-6 account for a k-of-n multi-signature contract. The account
+ * has no key; the verification script is kept in `contract` so the wallet
+ * can later build and assemble witnesses for it.
+ */
+export const createMultiSigAccount = ({
+  label,
+  threshold,
+  publicKeys,
+}: {
+  label: string,
+  threshold: number,
+  publicKeys: Array<string>,
+}): Object => {
+  const keys = uniq(publicKeys.map(key => key.toLowerCase()))
+
+  if (keys.length !== publicKeys.length) {
+    throw new Error('Each public key can only be added once.')
+  }
+  if (keys.length < 1 || keys.length > MAX_MULTISIG_PUBLIC_KEYS) {
+    throw new Error(
+      `A multi-signature account requires between 1 and ${MAX_MULTISIG_PUBLIC_KEYS} public keys.`,
+    )
+  }
+  keys.forEach(key => {
+    if (!n3Wallet.isPublicKey(key, true)) {
+      throw new Error(`'${key}' is not a valid compressed public key.`)
+    }
+  })
+  if (
+    !Number.isInteger(threshold) ||
+    threshold < 1 ||
+    threshold > keys.length
+  ) {
+    throw new Error(
+      `The number of required signatures must be between 1 and ${keys.length}.`,
+    )
+  }
+
+  const verificationScript = n3Wallet.constructMultiSigVerificationScript(
+    threshold,
+    sortPublicKeys(keys),
+  )
+  const address = n3Wallet.getAddressFromScriptHash(
+    n3Wallet.getScriptHashFromVerificationScript(verificationScript),
+  )
+
+  return {
+    address,
+    label,
+    isDefault: false,
+    lock: false,
+    key: null,
+    contract: {
+      script: n3U.HexString.fromHex(verificationScript).toBase64(),
+      parameters: Array.from({ length: threshold }, (_, i) => ({
+        name: `signature${i}`,
+        type: 'Signature',
+      })),
+      deployed: false,
+    },
+    extra: { multiSig: { threshold, publicKeys: sortPublicKeys(keys) } },
+  }
+}
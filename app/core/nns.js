@@ -0,0 +1,159 @@
+// @flow
+import {
+  rpc as n3Rpc,
+  sc,
+  u as n3U,
+  wallet as n3Wallet,
+} from '@cityofzion/neon-js-next'
+
+import { NNS_CONTRACT_HASH } from './constants'
+import { getStorage, setStorage } from './storage'
+import { getNode, getRPCEndpoint } from '../actions/nodeStorageActions'
+
+// a name entered as a recipient, with the address it resolved to and, when it
+// changed since the last send, the one it resolved to before
+export type ResolvedNNSName = {
+  name: string,
+  address: string,
+  previousAddress: ?string,
+}
+
+const STORAGE_KEY = 'nnsTargets'
+// addresses are stored in the TXT record of a name
+const TXT_RECORD = 16
+// only the first names an address owns are checked for a reverse lookup
+const MAX_REVERSE_NAMES = 10
+
+const NAME_PATTERN = /^([a-z0-9]([a-z0-9-]{0,61}[a-z0-9])?\.)+neo$/
+
+// reverse lookups are repeated for every row of the activity and contacts
+const reverseLookups: { [key: string]: Promise<?string> } = {}
+
+const getClient = async (net: string) => {
+  let endpoint = await getNode(net)
+  if (!endpoint) {
+    endpoint = await getRPCEndpoint(net)
+  }
+  return new n3Rpc.RPCClient(endpoint)
+}
+
+const decodeString = (item: ?Object): ?string =>
+  item && item.type === 'ByteString' && item.value
+    ? n3U.HexString.fromBase64(item.value).toAscii()
+    : null
+
+// nodes either expand the iterator in the result or keep it in a session
+const getIteratorItems = async (
+  client: Object,
+  result: Object,
+): Promise<Array<Object>> => {
+  const [item] = result.stack || []
+  if (!item || item.type !== 'InteropInterface') return []
+  if (Array.isArray(item.iterator)) return item.iterator
+  if (!result.session || !item.id) return []
+  return client.execute(
+    new n3Rpc.Query({
+      method: 'traverseiterator',
+      params: [result.session, item.id, MAX_REVERSE_NAMES],
+    }),
+  )
+}
+
+export const normalizeNNSName = (name: string): string =>
+  name.trim().toLowerCase()
+
+export const isNNSName = (value: ?string): boolean =>
+  !!value && NAME_PATTERN.test(normalizeNNSName(value))
+
+/**
+ * Resolves a name such as `alice.neo` to the N3 address in its TXT record.
+ */
+export const resolveNNSName = async (
+  name: string,
+  net: string,
+): Promise<string> => {
+  const normalizedName = normalizeNNSName(name)
+  if (!NNS_CONTRACT_HASH[net]) {
+    throw new Error(`The name service is not available on ${net}.`)
+  }
+  const client = await getClient(net)
+  const result = await client.invokeFunction(
+    NNS_CONTRACT_HASH[net],
+    'resolve',
+    [
+      sc.ContractParam.string(normalizedName),
+      sc.ContractParam.integer(TXT_RECORD),
+    ],
+  )
+  const address = result.state === 'HALT' && decodeString(result.stack[0])
+  if (!address || !n3Wallet.isAddress(address)) {
+    throw new Error(`${normalizedName} does not resolve to an N3 address.`)
+  }
+  return address
+}
+
+/**
+ * Finds a name owned by `address` that also resolves back to it. Names that
+ * point elsewhere are skipped so a name can not claim an address it does not
+ * resolve to.
+ */
+export const lookupNNSName = (
+  address: string,
+  net: string,
+): Promise<?string> => {
+  const key = `${net}-${address}`
+  if (!reverseLookups[key]) {
+    reverseLookups[key] = (async () => {
+      if (!NNS_CONTRACT_HASH[net] || !n3Wallet.isAddress(address)) return null
+      const client = await getClient(net)
+      const result = await client.invokeFunction(
+        NNS_CONTRACT_HASH[net],
+        'tokensOf',
+        [sc.ContractParam.hash160(address)],
+      )
+      if (result.state !== 'HALT') return null
+      const names = (await getIteratorItems(client, result))
+        .slice(0, MAX_REVERSE_NAMES)
+        .map(decodeString)
+        .filter(Boolean)
+        .filter(isNNSName)
+      for (const name of names) {
+        // eslint-disable-next-line no-await-in-loop
+        const target = await resolveNNSName(name, net).catch(() => null)
+        if (target === address) return name
+      }
+      return null
+    })().catch(e => {
+      console.warn('An error occurred looking up the name of an address', e)
+      delete reverseLookups[key]
+      return null
+    })
+  }
+  return reverseLookups[key]
+}
+
+/**
+ * Returns the address a name resolved to the last time it was used, when it
+ * differs from `address`.
+ */
+export const getChangedNNSTarget = async (
+  name: string,
+  address: string,
+  net: string,
+): Promise<?string> => {
+  const targets = (await getStorage(STORAGE_KEY)) || {}
+  const previous = (targets[net] || {})[normalizeNNSName(name)]
+  return !!previous && previous !== address ? previous : null
+}
+
+export const saveNNSTarget = async (
+  name: string,
+  address: string,
+  net: string,
+): Promise<void> => {
+  const targets = (await getStorage(STORAGE_KEY)) || {}
+  await setStorage(STORAGE_KEY, {
+    ...targets,
+    [net]: { ...targets[net], [normalizeNNSName(name)]: address },
+  })
+}
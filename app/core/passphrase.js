@@ -0,0 +1,226 @@
+// @flow
+import { wallet } from '@cityofzion/neon-js'
+import { wallet as n3Wallet } from '@cityofzion/neon-js-next'
+
+import { getStorage, setStorage } from './storage'
+import { DEFAULT_WALLET, N3_DEFAULT_WALLET } from './constants'
+import { validatePassphraseLength } from './wallet'
+
+export type ScryptParams = {
+  n: number,
+  r: number,
+  p: number,
+}
+
+export const DEFAULT_SCRYPT_PARAMS: ScryptParams = { n: 16384, r: 8, p: 8 }
+
+// scrypt needs 128 * N * r bytes of memory, these limits keep it below 1 GB
+const MIN_COST = 1024
+const MAX_COST = 1048576
+const MAX_BLOCK_SIZE = 8
+const MAX_PARALLEL = 16
+
+const getStorageKey = (chain: string): string =>
+  chain === 'neo3' ? 'n3UserWallet' : 'userWallet'
+
+const getDefaultWallet = (chain: string): Object =>
+  chain === 'neo3' ? N3_DEFAULT_WALLET : DEFAULT_WALLET
+
+// the NEP-6 wallet stores them as cost/blockSize/parallel
+const fromNep6Scrypt = (scrypt: ?Object): ScryptParams =>
+  scrypt
+    ? {
+        n: Number(scrypt.n || scrypt.cost),
+        r: Number(scrypt.r || scrypt.blockSize),
+        p: Number(scrypt.p || scrypt.parallel),
+      }
+    : DEFAULT_SCRYPT_PARAMS
+
+const toNep6Scrypt = ({ n, r, p }: ScryptParams): Object => ({
+  cost: n,
+  blockSize: r,
+  parallel: p,
+  size: 64,
+})
+
+const isSameScrypt = (a: ScryptParams, b: ScryptParams): boolean =>
+  a.n === b.n && a.r === b.r && a.p === b.p
+
+/**
+ * NEP-6 has a single scrypt block per wallet. Accounts that were left out of
+ * a passphrase change keep their own parameters in `extra.scrypt`.
+ */
+export const getAccountScryptParams = (
+  walletData: Object,
+  account: Object,
+): ScryptParams =>
+  account.extra && account.extra.scrypt
+    ? fromNep6Scrypt(account.extra.scrypt)
+    : fromNep6Scrypt(walletData.scrypt)
+
+/**
+ * Records the scrypt parameters of a key that is added to a wallet when they
+ * differ from the wallet's own, new keys are encrypted with the defaults.
+ */
+export const withKeyScryptParams = (
+  walletData: Object,
+  account: Object,
+  scrypt: ScryptParams = DEFAULT_SCRYPT_PARAMS,
+): Object =>
+  !account.key || isSameScrypt(fromNep6Scrypt(walletData.scrypt), scrypt)
+    ? account
+    : {
+        ...account,
+        extra: { ...account.extra, scrypt: toNep6Scrypt(scrypt) },
+      }
+
+const withoutKeyScryptParams = (account: Object): Object => {
+  if (!account.extra || !account.extra.scrypt) return account
+  const { scrypt, ...extra } = account.extra
+  return { ...account, extra: Object.keys(extra).length ? extra : null }
+}
+
+/**
+ * Returns the scrypt parameters of a stored encrypted key, keys that are not
+ * in the wallet use the NEP-2 defaults.
+ */
+export const getScryptParamsForKey = async (
+  encryptedWIF: string,
+  chain: string,
+): Promise<ScryptParams> => {
+  const walletData = await getStorage(getStorageKey(chain))
+  const account =
+    walletData &&
+    walletData.accounts &&
+    walletData.accounts.find(({ key }) => key === encryptedWIF)
+  return account
+    ? getAccountScryptParams(walletData, account)
+    : DEFAULT_SCRYPT_PARAMS
+}
+
+export const decryptKey = (
+  encryptedWIF: string,
+  passphrase: string,
+  chain: string,
+  scrypt: ScryptParams = DEFAULT_SCRYPT_PARAMS,
+): Promise<string> =>
+  chain === 'neo3'
+    ? n3Wallet.decrypt(encryptedWIF, passphrase, scrypt)
+    : wallet.decryptAsync(encryptedWIF, passphrase, scrypt)
+
+const encryptKey = (
+  wif: string,
+  passphrase: string,
+  chain: string,
+  scrypt: ScryptParams,
+): Promise<string> =>
+  chain === 'neo3'
+    ? n3Wallet.encrypt(wif, passphrase, scrypt)
+    : wallet.encryptAsync(wif, passphrase, scrypt)
+
+export const validateScryptParams = ({ n, r, p }: ScryptParams) => {
+  // eslint-disable-next-line no-bitwise
+  if (!Number.isInteger(n) || n < MIN_COST || n > MAX_COST || n & (n - 1)) {
+    throw new Error(
+      `The scrypt cost (N) must be a power of 2 between ${MIN_COST} and ${MAX_COST}.`,
+    )
+  }
+  if (!Number.isInteger(r) || r < 1 || r > MAX_BLOCK_SIZE) {
+    throw new Error(
+      `The scrypt block size (r) must be between 1 and ${MAX_BLOCK_SIZE}.`,
+    )
+  }
+  if (!Number.isInteger(p) || p < 1 || p > MAX_PARALLEL) {
+    throw new Error(
+      `The scrypt parallelization (p) must be between 1 and ${MAX_PARALLEL}.`,
+    )
+  }
+}
+
+type ChangePassphraseArgs = {
+  chain: string,
+  addresses: Array<string>,
+  oldPassphrase: string,
+  newPassphrase: string,
+  scrypt: ScryptParams,
+  onProgress?: (done: number, total: number) => any,
+}
+
+/**
+ * Re-encrypts the keys of the given accounts, which must all share
+ * `oldPassphrase`, with `newPassphrase` and the given scrypt parameters.
+ * Nothing is stored unless every account could be re-encrypted.
+ */
+export const changeAccountsPassphrase = async ({
+  chain,
+  addresses,
+  oldPassphrase,
+  newPassphrase,
+  scrypt,
+  onProgress = () => undefined,
+}: ChangePassphraseArgs): Promise<Array<Object>> => {
+  if (!validatePassphraseLength(newPassphrase)) {
+    throw new Error('Passphrase too short')
+  }
+  validateScryptParams(scrypt)
+
+  const storageKey = getStorageKey(chain)
+  const walletData = (await getStorage(storageKey)) || getDefaultWallet(chain)
+  const selected = walletData.accounts.filter(
+    account => addresses.includes(account.address) && !!account.key,
+  )
+  if (!selected.length || selected.length !== addresses.length) {
+    throw new Error('Select the accounts whose passphrase should be changed.')
+  }
+
+  const newKeys = {}
+  for (let i = 0; i < selected.length; i += 1) {
+    const account = selected[i]
+    let wif
+    try {
+      // eslint-disable-next-line no-await-in-loop
+      wif = await decryptKey(
+        account.key,
+        oldPassphrase,
+        chain,
+        getAccountScryptParams(walletData, account),
+      )
+    } catch (e) {
+      throw new Error(
+        `The current passphrase is not correct for '${account.label}'.`,
+      )
+    }
+    // eslint-disable-next-line no-await-in-loop
+    newKeys[account.address] = await encryptKey(
+      wif,
+      newPassphrase,
+      chain,
+      scrypt,
+    )
+    onProgress(i + 1, selected.length)
+  }
+
+  // the scrypt block of the wallet only changes once it describes every key,
+  // until then the re-encrypted keys carry their parameters themselves
+  const keyCount = walletData.accounts.filter(account => !!account.key).length
+  const updatedWallet =
+    selected.length === keyCount
+      ? { ...walletData, scrypt: toNep6Scrypt(scrypt) }
+      : walletData
+  const accounts = walletData.accounts.map(account => {
+    const keyScrypt = newKeys[account.address]
+      ? scrypt
+      : getAccountScryptParams(walletData, account)
+    return withKeyScryptParams(
+      updatedWallet,
+      {
+        ...withoutKeyScryptParams(account),
+        key: newKeys[account.address] || account.key,
+      },
+      keyScrypt,
+    )
+  })
+
+  await setStorage(storageKey, { ...updatedWallet, accounts })
+  return accounts
+}
@@ -0,0 +1,220 @@
+// @flow
+import { toBigNumber } from './math'
+import { isBlockedAddress } from './blocklist'
+import { validateTransactionBeforeSending } from './wallet'
+
+export type PayoutRow = {
+  line: number,
+  address: string,
+  symbol: string,
+  amount: string,
+  error?: string,
+}
+
+export type PayoutResult = PayoutRow & {
+  status: 'sent' | 'failed',
+  txid?: string,
+}
+
+type PayoutBalances = {
+  [symbol: string]: { balance: string | number, decimals?: number },
+}
+
+const ADDRESS_COLUMNS = ['address', 'to', 'recipient']
+const SYMBOL_COLUMNS = ['token', 'symbol', 'asset']
+const AMOUNT_COLUMNS = ['amount', 'value']
+
+const findColumn = (header: Array<string>, names: Array<string>): number =>
+  header.findIndex(column => names.includes(column.toLowerCase()))
+
+const splitCsvLine = (line: string): Array<string> =>
+  line
+    .split(line.includes(';') ? ';' : /[,\t]/)
+    .map(cell => cell.trim().replace(/^"(.*)"$/, '$1'))
+
+const parseCsv = (content: string): Array<PayoutRow> => {
+  const lines = content
+    .split(/\r?\n/)
+    .map((text, index) => ({ text: text.trim(), line: index + 1 }))
+    .filter(({ text }) => text && !text.startsWith('#'))
+  if (!lines.length) return []
+
+  // the header is optional, without one the columns are address, token, amount
+  let columns = [0, 1, 2]
+  const header = splitCsvLine(lines[0].text)
+  if (findColumn(header, ADDRESS_COLUMNS) !== -1) {
+    columns = [ADDRESS_COLUMNS, SYMBOL_COLUMNS, AMOUNT_COLUMNS].map(names =>
+      findColumn(header, names),
+    )
+    if (columns.includes(-1)) {
+      throw new Error(
+        'The CSV header must have an address, a token and an amount column.',
+      )
+    }
+    lines.shift()
+  }
+
+  return lines.map(({ text, line }) => {
+    const cells = splitCsvLine(text)
+    const [address, symbol, amount] = columns.map(column => cells[column] || '')
+    return { line, address, symbol, amount }
+  })
+}
+
+const parseJson = (content: string): Array<PayoutRow> => {
+  let data
+  try {
+    data = JSON.parse(content)
+  } catch (e) {
+    throw new Error('The payout file is not valid JSON.')
+  }
+  const payouts = Array.isArray(data) ? data : data && data.payouts
+  if (!Array.isArray(payouts)) {
+    throw new Error('The JSON payout file must contain a list of payouts.')
+  }
+  return payouts.map((payout, index) => ({
+    line: index + 1,
+    address: String(payout.address || payout.to || ''),
+    symbol: String(payout.token || payout.symbol || payout.asset || ''),
+    amount: String(payout.amount || ''),
+  }))
+}
+
+/**
+ * Reads the rows of a CSV or JSON payout file. JSON files are recognized by
+ * their extension or content, rows are numbered by their line (CSV) or
+ * position (JSON) so errors can be traced back to the file.
+ */
+export const parsePayoutFile = (
+  content: string,
+  fileName: string = '',
+): Array<PayoutRow> => {
+  const isJson =
+    fileName.toLowerCase().endsWith('.json') || /^\s*[[{]/.test(content || '')
+  const rows = isJson ? parseJson(content) : parseCsv(content)
+  if (!rows.length) {
+    throw new Error('No payouts found in the file.')
+  }
+  return rows
+}
+
+const getDecimalPlaces = (amount: string): number => {
+  const [, decimals = ''] = amount.split('.')
+  return decimals.length
+}
+
+/**
+ * Checks each row like any other N3 send, and against the blocklist and the
+ * decimals of its token. Rows are paid in order, so the rows that take a
+ * token's total past its balance are the ones marked.
+ */
+export const validatePayoutRows = async (
+  rows: Array<PayoutRow>,
+  balances: PayoutBalances,
+): Promise<Array<PayoutRow>> => {
+  const totals = {}
+  const validated = []
+
+  for (const row of rows) {
+    const { address, symbol, amount } = row
+    const asset = balances[symbol]
+    const decimals = asset ? asset.decimals : undefined
+    let error
+
+    if (!asset) {
+      error = `No ${symbol || 'token'} balance to send from`
+    } else if (!/^\d*\.?\d+$/.test(amount)) {
+      error = 'The amount must be a positive number'
+    } else {
+      error = validateTransactionBeforeSending(
+        toBigNumber(asset.balance)
+          .minus(totals[symbol] || 0)
+          .toString(),
+        { address, symbol, amount },
+        'neo3',
+      )
+    }
+
+    if (!error && (await isBlockedAddress(address))) {
+      error = 'The address is on the phishing blocklist'
+    } else if (
+      !error &&
+      typeof decimals === 'number' &&
+      getDecimalPlaces(amount) > decimals
+    ) {
+      error = `${symbol} has only ${decimals} decimals`
+    }
+
+    if (!error) {
+      totals[symbol] = toBigNumber(totals[symbol] || 0).plus(amount)
+    }
+
+    validated.push(error ? { ...row, error } : row)
+  }
+  return validated
+}
+
+/**
+ * Sums the amounts of the given rows per token.
+ */
+export const getPayoutTotals = (
+  rows: Array<PayoutRow>,
+): { [symbol: string]: string } => {
+  const totals = {}
+  rows.forEach(({ symbol, amount }) => {
+    totals[symbol] = toBigNumber(totals[symbol] || 0).plus(amount)
+  })
+  Object.keys(totals).forEach(symbol => {
+    totals[symbol] = totals[symbol].toString()
+  })
+  return totals
+}
+
+const REPORT_COLUMNS = [
+  'line',
+  'address',
+  'symbol',
+  'amount',
+  'status',
+  'txid',
+  'error',
+]
+
+const getReportRow = (
+  result: PayoutResult,
+): { [column: string]: string | number | null } => ({
+  line: result.line,
+  address: result.address,
+  symbol: result.symbol,
+  amount: result.amount,
+  status: result.status,
+  txid: result.txid || null,
+  error: result.error || null,
+})
+
+const escapeCsvCell = (value: any): string => {
+  const cell = value === undefined || value === null ? '' : String(value)
+  return /[",\n]/.test(cell) ? `"${cell.replace(/"/g, '""')}"` : cell
+}
+
+/**
+ * Creates the per-row report of a bulk payout as CSV or JSON.
+ */
+export const createPayoutReport = (
+  results: Array<PayoutResult>,
+  format: 'csv' | 'json',
+): string => {
+  if (format === 'json') {
+    return JSON.stringify(results.map(getReportRow), null, 2)
+  }
+  return [REPORT_COLUMNS.join(',')]
+    .concat(
+      results.map(result => {
+        const row = getReportRow(result)
+        return REPORT_COLUMNS.map(column => escapeCsvCell(row[column])).join(
+          ',',
+        )
+      }),
+    )
+    .join('\n')
+}
@@ -0,0 +1,278 @@
+// @flow
+import uuidv4 from 'uuid/v4'
+
+import { getStorage, setStorage } from './storage'
+import { isLegacyAddress, isN3Address } from './wallet'
+
+export type PaymentSchedule =
+  // due at the start of the day, on the last day of shorter months
+  | { type: 'monthly', dayOfMonth: number }
+  // minute, hour, day of month, month and day of week, in local time
+  | { type: 'cron', expression: string }
+
+export type RecurringPayment = {
+  id: string,
+  name: string,
+  // payments are made from the account, chain and network they were created on
+  address: string,
+  chain: string,
+  net: string,
+  sendEntries: Array<SendEntryType>,
+  fees: number,
+  schedule: PaymentSchedule,
+  createdAt: number,
+  lastPaidAt: ?number,
+  nextDueAt: number,
+}
+
+type CronSchedule = {
+  minutes: Set<number>,
+  hours: Set<number>,
+  days: Set<number>,
+  months: Set<number>,
+  weekdays: Set<number>,
+  anyDay: boolean,
+  anyWeekday: boolean,
+}
+
+const STORAGE_KEY = 'recurringPayments'
+const STORAGE_VERSION = 1
+
+const CRON_FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'day of month', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12 },
+  // both 0 and 7 are Sunday
+  { name: 'day of week', min: 0, max: 7 },
+]
+// schedules such as February 30th never fall due
+const MAX_SEARCH_YEARS = 5
+
+const toInteger = (value: string): number =>
+  /^\d+$/.test(value) ? Number(value) : NaN
+
+const parseCronField = (
+  field: string,
+  { name, min, max }: { name: string, min: number, max: number },
+): Set<number> => {
+  const values = new Set()
+  field.split(',').forEach(part => {
+    const [range, stepText] = part.split('/')
+    const step = stepText === undefined ? 1 : toInteger(stepText)
+    let start
+    let end
+    if (range === '*') {
+      start = min
+      end = max
+    } else if (range.includes('-')) {
+      const [first, last, ...rest] = range.split('-').map(toInteger)
+      start = rest.length ? NaN : first
+      end = last
+    } else {
+      start = toInteger(range)
+      end = stepText === undefined ? start : max
+    }
+    if (
+      ![start, end, step].every(Number.isInteger) ||
+      step < 1 ||
+      start < min ||
+      end > max ||
+      start > end
+    ) {
+      throw new Error(`Invalid ${name} "${part}" in the schedule.`)
+    }
+    for (let value = start; value <= end; value += step) {
+      values.add(value)
+    }
+  })
+  return values
+}
+
+export const parseCronExpression = (expression: string): CronSchedule => {
+  const fields = expression.trim().split(/\s+/)
+  if (fields.length !== 5) {
+    throw new Error(
+      'A cron schedule needs five fields: minute, hour, day of month, month and day of week.',
+    )
+  }
+  const [minutes, hours, days, months, weekdays] = fields.map((field, index) =>
+    parseCronField(field, CRON_FIELDS[index]),
+  )
+  if (weekdays.has(7)) weekdays.add(0)
+  return {
+    minutes,
+    hours,
+    days,
+    months,
+    weekdays,
+    anyDay: fields[2] === '*',
+    anyWeekday: fields[4] === '*',
+  }
+}
+
+// as in cron, a day matches either field when both are restricted
+const matchesCronDay = (cron: CronSchedule, date: Date): boolean => {
+  const dayMatches = cron.days.has(date.getDate())
+  const weekdayMatches = cron.weekdays.has(date.getDay())
+  if (!cron.anyDay && !cron.anyWeekday) return dayMatches || weekdayMatches
+  return dayMatches && weekdayMatches
+}
+
+const getNextCronTime = (expression: string, after: number): number => {
+  const cron = parseCronExpression(expression)
+  const date = new Date(after)
+  date.setSeconds(0, 0)
+  date.setMinutes(date.getMinutes() + 1)
+  const limit = new Date(after)
+  limit.setFullYear(limit.getFullYear() + MAX_SEARCH_YEARS)
+
+  while (date < limit) {
+    if (!cron.months.has(date.getMonth() + 1)) {
+      date.setMonth(date.getMonth() + 1, 1)
+      date.setHours(0, 0, 0, 0)
+    } else if (!matchesCronDay(cron, date)) {
+      date.setDate(date.getDate() + 1)
+      date.setHours(0, 0, 0, 0)
+    } else if (!cron.hours.has(date.getHours())) {
+      date.setHours(date.getHours() + 1, 0, 0, 0)
+    } else if (!cron.minutes.has(date.getMinutes())) {
+      date.setMinutes(date.getMinutes() + 1, 0, 0)
+    } else {
+      return date.getTime()
+    }
+  }
+  throw new Error('The schedule never falls due.')
+}
+
+const getNextMonthlyTime = (dayOfMonth: number, after: number): number => {
+  if (!Number.isInteger(dayOfMonth) || dayOfMonth < 1 || dayOfMonth > 31) {
+    throw new Error('The day of the month must be between 1 and 31.')
+  }
+  const date = new Date(after)
+  const getDueTime = (monthOffset: number) => {
+    const year = date.getFullYear()
+    const month = date.getMonth() + monthOffset
+    const lastDay = new Date(year, month + 1, 0).getDate()
+    return new Date(year, month, Math.min(dayOfMonth, lastDay)).getTime()
+  }
+  const dueThisMonth = getDueTime(0)
+  return dueThisMonth > after ? dueThisMonth : getDueTime(1)
+}
+
+/**
+ * Returns the first time after `after` the schedule falls due, in
+ * milliseconds. Throws if the schedule is invalid.
+ */
+export const getNextDueTime = (
+  schedule: PaymentSchedule,
+  after: number,
+): number => {
+  if (schedule.type === 'monthly') {
+    return getNextMonthlyTime(Number(schedule.dayOfMonth), after)
+  }
+  if (schedule.type === 'cron') {
+    return getNextCronTime(schedule.expression, after)
+  }
+  throw new Error(`Unknown schedule ${schedule.type}.`)
+}
+
+export const validateRecurringPayment = (payment: RecurringPayment) => {
+  if (!payment.name.trim()) {
+    throw new Error('Name cannot be empty.')
+  }
+  if (!payment.sendEntries.length) {
+    throw new Error('The payment needs at least one recipient.')
+  }
+  const isValidAddress =
+    payment.chain === 'neo3' ? isN3Address : isLegacyAddress
+  payment.sendEntries.forEach(({ address, amount, symbol }) => {
+    if (!isValidAddress(address)) {
+      throw new Error(`Invalid address ${address}.`)
+    }
+    if (!symbol) {
+      throw new Error(`No asset chosen for ${address}.`)
+    }
+    if (!(Number(amount) > 0)) {
+      throw new Error(`Invalid amount ${amount} for ${address}.`)
+    }
+  })
+  if (Number(payment.fees) < 0) {
+    throw new Error(`Invalid fee ${payment.fees}.`)
+  }
+  getNextDueTime(payment.schedule, payment.createdAt)
+}
+
+/**
+ * Fills in the id, the creation time and the next due time of a payment
+ * being saved. A payment whose schedule changed falls due by the new one.
+ */
+export const createRecurringPayment = (
+  fields: $Shape<RecurringPayment>,
+  previous: ?RecurringPayment,
+  now: number = Date.now(),
+): RecurringPayment => {
+  const lastPaidAt: ?number = null
+  const payment = {
+    id: uuidv4(),
+    createdAt: now,
+    lastPaidAt,
+    ...previous,
+    ...fields,
+    name: String(fields.name || '').trim(),
+    sendEntries: (fields.sendEntries || []).map(entry => ({
+      ...entry,
+      address: String(entry.address || '').trim(),
+      amount: String(entry.amount).trim(),
+    })),
+    fees: Number(fields.fees) || 0,
+  }
+  validateRecurringPayment(payment)
+  const scheduleChanged =
+    !previous ||
+    JSON.stringify(previous.schedule) !== JSON.stringify(payment.schedule)
+  return {
+    ...payment,
+    nextDueAt: scheduleChanged
+      ? getNextDueTime(payment.schedule, now)
+      : payment.nextDueAt,
+  }
+}
+
+/**
+ * Moves a payment to its next due time after it was paid or skipped. Missed
+ * occurrences are not paid twice, the next one is the first after `now`.
+ */
+export const advanceRecurringPayment = (
+  payment: RecurringPayment,
+  { paid, now = Date.now() }: { paid: boolean, now?: number },
+): RecurringPayment => ({
+  ...payment,
+  lastPaidAt: paid ? now : payment.lastPaidAt,
+  nextDueAt: getNextDueTime(payment.schedule, now),
+})
+
+export const getDueRecurringPayments = (
+  payments: Array<RecurringPayment>,
+  { address, chain, net }: { address: string, chain: string, net: string },
+  now: number = Date.now(),
+): Array<RecurringPayment> =>
+  payments.filter(
+    payment =>
+      payment.address === address &&
+      payment.chain === chain &&
+      payment.net === net &&
+      payment.nextDueAt <= now,
+  )
+
+export const getRecurringPayments = async (): Promise<
+  Array<RecurringPayment>,
+> => {
+  const stored = await getStorage(STORAGE_KEY)
+  return (stored && stored.payments) || []
+}
+
+export const setRecurringPayments = async (
+  payments: Array<RecurringPayment>,
+): Promise<void> =>
+  setStorage(STORAGE_KEY, { version: STORAGE_VERSION, payments })
@@ -1,6 +1,6 @@
 // @flow
 export const Account = (account: Object) => {
-  const { address, label, isDefault, key } = account
+  const { address, label, isDefault, key, contract, extra } = account
 
   return {
     address,
@@ -8,7 +8,7 @@ export const Account = (account: Object) => {
     isDefault: isDefault || false,
     lock: false,
     key,
-    contract: {},
-    extra: null,
+    contract: contract || {},
+    extra: extra || null,
   }
 }
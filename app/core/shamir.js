@@ -0,0 +1,232 @@
+// @flow
+/* eslint-disable no-bitwise */
+import { createHash, randomBytes } from 'crypto'
+
+import { encryptWithPassword, decryptWithPassword } from './encryption'
+
+// Shares are plain strings so they can be written down, copied or stored in a
+// QR code: neonshare:<version>:<key id>:<threshold>:<index>:<hex data>
+const SHARE_PREFIX = 'neonshare'
+const SHARE_VERSION = 1
+const MAX_SHARES = 255
+
+export const SHARE_FILE_TYPE = 'neon-key-share'
+
+export type KeyShare = {
+  id: string,
+  threshold: number,
+  index: number,
+  data: Buffer,
+}
+
+// Each byte of the key is split separately in GF(2^8), where addition is XOR.
+// These are its log and exp tables for the AES polynomial and generator 3.
+const EXP = new Array(510)
+const LOG = new Array(256)
+;(() => {
+  let x = 1
+  for (let i = 0; i < 255; i += 1) {
+    EXP[i] = x
+    LOG[x] = i
+    // multiply by 3, x * 2 reduced by the polynomial, plus x
+    x ^= (x << 1) ^ (x & 0x80 ? 0x11b : 0)
+  }
+  for (let i = 255; i < 510; i += 1) EXP[i] = EXP[i - 255]
+})()
+
+const multiply = (a: number, b: number): number =>
+  a && b ? EXP[LOG[a] + LOG[b]] : 0
+
+const divide = (a: number, b: number): number =>
+  a ? EXP[LOG[a] + 255 - LOG[b]] : 0
+
+// the id only tells which shares belong together, it is random so that it
+// says nothing about the key
+const createKeyId = (): string => randomBytes(4).toString('hex')
+
+// A checksum of the key is split along with it, so a damaged share is noticed
+// when the key is rebuilt while no share holds any part of it in the clear.
+const CHECKSUM_LENGTH = 4
+
+const getChecksum = (secret: Buffer): Buffer =>
+  createHash('sha256')
+    .update(secret)
+    .digest()
+    .slice(0, CHECKSUM_LENGTH)
+
+const evaluate = (coefficients: Array<number>, x: number): number =>
+  coefficients.reduceRight(
+    (result, coefficient) => multiply(result, x) ^ coefficient,
+  )
+
+const interpolateAtZero = (points: Array<[number, number]>): number =>
+  points.reduce((result, [x, y], i) => {
+    const basis = points.reduce(
+      (product, [otherX], j) =>
+        i === j ? product : multiply(product, divide(otherX, otherX ^ x)),
+      1,
+    )
+    return result ^ multiply(y, basis)
+  }, 0)
+
+export const formatShare = ({ id, threshold, index, data }: KeyShare): string =>
+  [
+    SHARE_PREFIX,
+    SHARE_VERSION,
+    id,
+    threshold,
+    index,
+    data.toString('hex'),
+  ].join(':')
+
+export const parseShare = (share: string): KeyShare => {
+  const parts = share.trim().split(':')
+  const [prefix, version, id, threshold, index, data] = parts
+  if (parts.length !== 6 || prefix !== SHARE_PREFIX) {
+    throw new Error('This is not a Neon key share.')
+  }
+  if (Number(version) !== SHARE_VERSION) {
+    throw new Error('This key share was created by a newer version of Neon.')
+  }
+  if (
+    !/^[0-9a-f]{8}$/.test(id) ||
+    !/^[0-9a-f]+$/.test(data) ||
+    data.length % 2 !== 0 ||
+    !Number.isInteger(Number(threshold)) ||
+    !Number.isInteger(Number(index)) ||
+    Number(index) < 1 ||
+    Number(index) > MAX_SHARES
+  ) {
+    throw new Error('This key share is damaged or incomplete.')
+  }
+  return {
+    id,
+    threshold: Number(threshold),
+    index: Number(index),
+    data: Buffer.from(data, 'hex'),
+  }
+}
+
+/**
+ * Splits a private key into `shareCount` shares, any `threshold` of which
+ * rebuild the key. Fewer shares reveal nothing about it.
+ */
+export const splitPrivateKey = (
+  privateKey: string,
+  shareCount: number,
+  threshold: number,
+): Array<string> => {
+  if (
+    !Number.isInteger(shareCount) ||
+    !Number.isInteger(threshold) ||
+    threshold < 2 ||
+    threshold > shareCount ||
+    shareCount > MAX_SHARES
+  ) {
+    throw new Error(
+      `The threshold must be at least 2 and no more than the number of shares, which can be up to ${MAX_SHARES}.`,
+    )
+  }
+
+  const key = Buffer.from(privateKey, 'hex')
+  const secret = Buffer.concat([key, getChecksum(key)])
+  const id = createKeyId()
+  const shares = Array.from({ length: shareCount }, () =>
+    Buffer.alloc(secret.length),
+  )
+
+  secret.forEach((byte, position) => {
+    const coefficients = [byte, ...randomBytes(threshold - 1)]
+    shares.forEach((share, i) => {
+      // eslint-disable-next-line no-param-reassign
+      share[position] = evaluate(coefficients, i + 1)
+    })
+  })
+
+  return shares.map((data, i) =>
+    formatShare({ id, threshold, index: i + 1, data }),
+  )
+}
+
+/**
+ * Rebuilds the private key from at least as many shares as the threshold
+ * they were created with.
+ */
+export const combineShares = (shares: Array<string>): string => {
+  const parsed = shares.map(parseShare)
+  if (!parsed.length) {
+    throw new Error('No key shares were provided.')
+  }
+
+  const [{ id, threshold, data }] = parsed
+  if (
+    parsed.some(
+      share =>
+        share.id !== id ||
+        share.threshold !== threshold ||
+        share.data.length !== data.length,
+    )
+  ) {
+    throw new Error('The key shares do not belong to the same key.')
+  }
+
+  const unique = parsed.filter(
+    (share, i) => parsed.findIndex(({ index }) => index === share.index) === i,
+  )
+  if (unique.length < threshold) {
+    throw new Error(
+      `${threshold} different key shares are required, only ${
+        unique.length
+      } provided.`,
+    )
+  }
+
+  const used = unique.slice(0, threshold)
+  const secret = Buffer.from(
+    Array.from(data, (byte, position) =>
+      interpolateAtZero(used.map(share => [share.index, share.data[position]])),
+    ),
+  )
+  const key = secret.slice(0, -CHECKSUM_LENGTH)
+  if (
+    secret.length <= CHECKSUM_LENGTH ||
+    !getChecksum(key).equals(secret.slice(-CHECKSUM_LENGTH))
+  ) {
+    throw new Error('The key could not be rebuilt, a key share is damaged.')
+  }
+  return key.toString('hex')
+}
+
+/**
+ * Creates the contents of a file holding a single share encrypted with
+ * `password`. The share number is kept readable so files can be told apart.
+ */
+export const createShareFile = async (
+  share: string,
+  password: string,
+): Promise<string> => {
+  const { id, threshold, index } = parseShare(share)
+  return JSON.stringify({
+    type: SHARE_FILE_TYPE,
+    version: SHARE_VERSION,
+    id,
+    threshold,
+    index,
+    encryption: await encryptWithPassword(password, share),
+  })
+}
+
+export const isShareFile = (file: Object): boolean =>
+  !!file && file.type === SHARE_FILE_TYPE
+
+export const readShareFile = async (
+  file: Object,
+  password: string,
+): Promise<string> => {
+  if (!isShareFile(file)) {
+    throw new Error('This is not a Neon key share file.')
+  }
+  const share = await decryptWithPassword(password, file.encryption)
+  parseShare(share)
+  return share
+}
@@ -0,0 +1,289 @@
+// @flow
+import { tx, wallet as n3Wallet, u as n3U } from '@cityofzion/neon-js-next'
+import { mapValues } from 'lodash-es'
+
+import { isMultiSigVerificationScript } from './multisig'
+
+// Signing contexts use the same JSON layout as the ContractParametersContext
+// of neo-cli, so transactions can be passed between Neon and other N3 wallets
+// while signatures are being collected.
+export const SIGNING_CONTEXT_TYPE = 'Neo.Network.P2P.Payloads.Transaction'
+
+type SigningContextItem = {
+  script: ?string,
+  parameters: Array<{ type: string, value?: string }>,
+  signatures: { [publicKey: string]: string },
+}
+
+export type SigningContext = {
+  type: string,
+  hash: string,
+  data: string,
+  items: { [scriptHash: string]: SigningContextItem },
+  network: number,
+}
+
+export type SignerStatus = {
+  scriptHash: string,
+  address: string,
+  threshold: number,
+  publicKeys: Array<string>,
+  signedBy: Array<string>,
+  isMultiSig: boolean,
+  isComplete: boolean,
+}
+
+const hexToBase64 = (hex: string) => Buffer.from(hex, 'hex').toString('base64')
+
+const base64ToHex = (base64: string) =>
+  Buffer.from(base64, 'base64').toString('hex')
+
+const withPrefix = (hash: string) =>
+  hash.startsWith('0x') ? hash : `0x${hash}`
+
+const getScriptDetails = (verificationScript: ?string) => {
+  if (!verificationScript) {
+    // the script of a watch-only account is not known until it is signed
+    return { isMultiSig: false, threshold: 1, publicKeys: [] }
+  }
+  return isMultiSigVerificationScript(verificationScript)
+    ? {
+        isMultiSig: true,
+        threshold: n3Wallet.getSigningThresholdFromVerificationScript(
+          verificationScript,
+        ),
+        publicKeys: n3Wallet.getPublicKeysFromVerificationScript(
+          verificationScript,
+        ),
+      }
+    : {
+        isMultiSig: false,
+        threshold: 1,
+        publicKeys: [
+          n3Wallet.getPublicKeyFromVerificationScript(verificationScript),
+        ],
+      }
+}
+
+export const getTransactionFromContext = (
+  context: SigningContext,
+): tx.Transaction =>
+  // the context only holds the unsigned part of the transaction, so an empty
+  // witness list is appended before deserializing it
+  tx.Transaction.deserialize(`${base64ToHex(context.data)}00`)
+
+export const getMessageForSigning = (context: SigningContext): string =>
+  getTransactionFromContext(context).getMessageForSigning(context.network)
+
+/**
+ * Creates a signing context for an unsigned transaction. Signers without a
+ * known verification script are expected to be standard accounts, their
+ * script is added when they sign.
+ */
+export const createSigningContext = (
+  transaction: tx.Transaction,
+  network: number,
+  verificationScripts: Array<string>,
+): SigningContext => {
+  const scriptsByHash = verificationScripts.reduce((accum, script) => {
+    // eslint-disable-next-line no-param-reassign
+    accum[n3Wallet.getScriptHashFromVerificationScript(script)] = script
+    return accum
+  }, {})
+
+  const items = transaction.signers.reduce((accum, signer) => {
+    const scriptHash = signer.account.toBigEndian()
+    const script = scriptsByHash[scriptHash]
+    const { threshold } = getScriptDetails(script)
+    // eslint-disable-next-line no-param-reassign
+    accum[withPrefix(scriptHash)] = {
+      script: script ? hexToBase64(script) : null,
+      parameters: Array.from({ length: threshold }, () => ({
+        type: 'Signature',
+      })),
+      signatures: {},
+    }
+    return accum
+  }, {})
+
+  return {
+    type: SIGNING_CONTEXT_TYPE,
+    hash: withPrefix(transaction.hash()),
+    data: hexToBase64(transaction.serialize(false)),
+    items,
+    network,
+  }
+}
+
+/**
+ * Validates a signing context loaded from a file or pasted by the user.
+ */
+export const parseSigningContext = (input: string | Object): SigningContext => {
+  let context
+  try {
+    context = typeof input === 'string' ? JSON.parse(input) : input
+  } catch (e) {
+    throw new Error('The transaction could not be read, it is not valid JSON.')
+  }
+
+  if (
+    !context ||
+    context.type !== SIGNING_CONTEXT_TYPE ||
+    typeof context.data !== 'string' ||
+    !context.items ||
+    !Number.isInteger(context.network)
+  ) {
+    throw new Error('This is not a Neo N3 transaction signing request.')
+  }
+
+  const transaction = getTransactionFromContext(context)
+  if (
+    context.hash &&
+    withPrefix(transaction.hash()) !== context.hash.toLowerCase()
+  ) {
+    throw new Error('The transaction hash does not match its contents.')
+  }
+
+  return {
+    ...context,
+    hash: withPrefix(transaction.hash()),
+    items: mapValues(context.items, item => ({
+      ...item,
+      signatures: item.signatures || {},
+    })),
+  }
+}
+
+export const getSigningStatus = (
+  context: SigningContext,
+): Array<SignerStatus> =>
+  Object.keys(context.items).map(key => {
+    const item = context.items[key]
+    const script = item.script ? base64ToHex(item.script) : null
+    const { isMultiSig, threshold, publicKeys } = getScriptDetails(script)
+    const signedBy = publicKeys.filter(
+      publicKey => !!item.signatures[publicKey],
+    )
+    const scriptHash = key.replace(/^0x/, '')
+
+    return {
+      scriptHash,
+      address: n3Wallet.getAddressFromScriptHash(scriptHash),
+      threshold,
+      publicKeys,
+      signedBy,
+      isMultiSig,
+      isComplete: signedBy.length >= threshold,
+    }
+  })
+
+export const isSigningContextComplete = (context: SigningContext): boolean =>
+  getSigningStatus(context).every(status => status.isComplete)
+
+/**
+ * Adds a signature made by `publicKey` to every signer of the context that
+ * the key belongs to. Returns a new context, the given one is not modified.
+ */
+export const addSignatureToContext = (
+  context: SigningContext,
+  publicKey: string,
+  signature: string,
+): SigningContext => {
+  if (!n3Wallet.verify(getMessageForSigning(context), signature, publicKey)) {
+    throw new Error('The signature does not match this transaction.')
+  }
+
+  const keyScriptHash = n3Wallet.getScriptHashFromPublicKey(publicKey)
+  const statuses = getSigningStatus(context).filter(
+    status =>
+      status.publicKeys.includes(publicKey) ||
+      (!status.publicKeys.length && status.scriptHash === keyScriptHash),
+  )
+  if (!statuses.length) {
+    throw new Error(
+      'The current account is not one of the signers of this transaction.',
+    )
+  }
+
+  const items = { ...context.items }
+  statuses.forEach(({ scriptHash }) => {
+    const key = withPrefix(scriptHash)
+    items[key] = {
+      ...items[key],
+      script:
+        items[key].script ||
+        hexToBase64(n3Wallet.getVerificationScriptFromPublicKey(publicKey)),
+      signatures: {
+        ...items[key].signatures,
+        [publicKey]: hexToBase64(signature),
+      },
+    }
+  })
+
+  return { ...context, items }
+}
+
+/**
+ * Assembles the witnesses of a fully signed context and returns the
+ * transaction, ready to be broadcast.
+ */
+export const buildSignedTransaction = (
+  context: SigningContext,
+): tx.Transaction => {
+  const transaction = getTransactionFromContext(context)
+  const statuses = getSigningStatus(context)
+
+  const incomplete = statuses.find(status => !status.isComplete)
+  if (incomplete) {
+    throw new Error(
+      `${incomplete.address} requires ${
+        incomplete.threshold
+      } signature(s) but only has ${incomplete.signedBy.length}.`,
+    )
+  }
+
+  transaction.witnesses = transaction.signers.map(signer => {
+    const scriptHash = signer.account.toBigEndian()
+    const status = statuses.find(item => item.scriptHash === scriptHash)
+    if (!status) {
+      throw new Error(
+        `The signing context has no item for the signer ${scriptHash}.`,
+      )
+    }
+    // $FlowFixMe
+    const item = context.items[withPrefix(scriptHash)]
+    // signatures must be pushed in the same order as the keys appear in the
+    // verification script
+    const invocationScript = status.signedBy
+      .slice(0, status.threshold)
+      .map(publicKey => `0c40${base64ToHex(item.signatures[publicKey])}`)
+      .join('')
+
+    return new tx.Witness({
+      invocationScript: n3U.HexString.fromHex(invocationScript),
+      // $FlowFixMe
+      verificationScript: n3U.HexString.fromBase64(item.script),
+    })
+  })
+
+  return transaction
+}
+
+export const getSigningContextSummary = (
+  context: SigningContext,
+): {
+  hash: string,
+  network: number,
+  validUntilBlock: number,
+  systemFee: string,
+  networkFee: string,
+} => {
+  const transaction = getTransactionFromContext(context)
+  return {
+    hash: context.hash,
+    network: context.network,
+    validUntilBlock: transaction.validUntilBlock,
+    systemFee: transaction.systemFee.toDecimal(8),
+    networkFee: transaction.networkFee.toDecimal(8),
+  }
+}
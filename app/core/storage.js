@@ -1,9 +1,192 @@
+// @flow
 import storage from 'electron-json-storage'
 import promisify from 'es6-promisify'
+import { isEmpty, omit } from 'lodash-es'
 
-const get = promisify(storage.get, storage)
-const set = promisify(storage.set, storage)
+import {
+  createKeyParams,
+  decryptValue,
+  deriveKey,
+  encryptValue,
+  isEncryptedValue,
+} from './encryption'
 
-export const getStorage = async key => get(key)
+// the methods are looked up on every call so they can be replaced in tests
+const get = (key: string) => promisify(storage.get, storage)(key)
+const set = (key: string, value: any) =>
+  promisify(storage.set, storage)(key, value)
+const remove = (key: string) => promisify(storage.remove, storage)(key)
+const keys = () => promisify(storage.keys, storage)()
 
-export const setStorage = async (key, value) => set(key, value)
+// Describes how the master password is turned into a key. It is the only
+// value that is never encrypted, as it is needed before anything else can be
+// read.
+const ENCRYPTION_STORAGE_KEY = 'storageEncryption'
+const CHECK_VALUE = 'neon-wallet'
+
+let masterKey: ?Buffer = null
+// the key used before the master password was last changed, only kept until
+// every value has been encrypted again with the new one
+let previousKey: ?Buffer = null
+
+const isEncryptedWithKey = (key: Buffer, value: any): boolean => {
+  if (!isEncryptedValue(value)) return false
+  try {
+    decryptValue(key, value)
+    return true
+  } catch (e) {
+    return false
+  }
+}
+
+const getEncryptionConfig = async (): Promise<?Object> => {
+  const config = await get(ENCRYPTION_STORAGE_KEY)
+  return isEmpty(config) ? null : config
+}
+
+const createEncryptionConfig = async (password: string) => {
+  const params = createKeyParams()
+  const key = await deriveKey(password, params)
+  return { key, config: { ...params, check: encryptValue(key, CHECK_VALUE) } }
+}
+
+const verifyPassword = async (config: Object, password: string) => {
+  const key = await deriveKey(password, config)
+  try {
+    if (decryptValue(key, config.check) === CHECK_VALUE) return key
+  } catch (e) {
+    // an authentication failure means the key is wrong
+  }
+  throw new Error('The master password is incorrect.')
+}
+
+export const getStorageKeys = async (): Promise<Array<string>> =>
+  (await keys()).filter(key => key !== ENCRYPTION_STORAGE_KEY)
+
+export const isStorageEncrypted = async (): Promise<boolean> =>
+  !!(await getEncryptionConfig())
+
+export const isStorageUnlocked = (): boolean => !!masterKey
+
+export const getStorage = async (key: string): Promise<any> => {
+  const value = await get(key)
+  if (!isEncryptedValue(value)) return value
+
+  if (!masterKey) {
+    throw new Error('Storage is locked, the master password is required.')
+  }
+  try {
+    return decryptValue(masterKey, value)
+  } catch (e) {
+    if (!previousKey) throw e
+    return decryptValue(previousKey, value)
+  }
+}
+
+export const setStorage = async (key: string, value: any): Promise<any> => {
+  if (masterKey) return set(key, encryptValue(masterKey, value))
+  if (await isStorageEncrypted()) {
+    throw new Error('Storage is locked, the master password is required.')
+  }
+  return set(key, value)
+}
+
+// removing a value does not need the master password
+export const removeStorage = async (key: string): Promise<void> => remove(key)
+
+// Encrypts every value that is still in plaintext or was encrypted with the
+// previous master password, which also finishes an interrupted migration.
+const encryptAllValues = async () => {
+  if (!masterKey) return
+  const key = masterKey
+  for (const storageKey of await getStorageKeys()) {
+    if (!isEncryptedWithKey(key, await get(storageKey))) {
+      await setStorage(storageKey, await getStorage(storageKey))
+    }
+  }
+  const config = await getEncryptionConfig()
+  if (config && config.previousKey) {
+    await set(ENCRYPTION_STORAGE_KEY, omit(config, 'previousKey'))
+  }
+  previousKey = null
+}
+
+export const unlockStorage = async (password: string): Promise<void> => {
+  const config = await getEncryptionConfig()
+  if (!config) return
+
+  masterKey = await verifyPassword(config, password)
+  previousKey = config.previousKey
+    ? Buffer.from(decryptValue(masterKey, config.previousKey), 'base64')
+    : null
+  await encryptAllValues()
+}
+
+export const lockStorage = () => {
+  masterKey = null
+  previousKey = null
+}
+
+/**
+ * Turns on the master password and encrypts the data that is already stored.
+ */
+export const enableStorageEncryption = async (
+  password: string,
+): Promise<void> => {
+  if (await isStorageEncrypted()) {
+    throw new Error('A master password is already set.')
+  }
+  const { key, config } = await createEncryptionConfig(password)
+  // the config is written first, so if the migration is interrupted the
+  // remaining plaintext values are encrypted on the next unlock
+  await set(ENCRYPTION_STORAGE_KEY, config)
+  masterKey = key
+  await encryptAllValues()
+}
+
+/**
+ * Encrypts all stored data again with a key derived from a new master
+ * password. Until this completes the previous key is kept, encrypted with the
+ * new one, so that an interruption does not leave values behind that can not
+ * be read with the new password.
+ */
+export const changeStoragePassword = async (
+  currentPassword: string,
+  newPassword: string,
+): Promise<void> => {
+  const currentConfig = await getEncryptionConfig()
+  if (!currentConfig) {
+    throw new Error('No master password is set.')
+  }
+  const currentKey = await verifyPassword(currentConfig, currentPassword)
+  const { key, config } = await createEncryptionConfig(newPassword)
+
+  await set(ENCRYPTION_STORAGE_KEY, {
+    ...config,
+    previousKey: encryptValue(key, currentKey.toString('base64')),
+  })
+  masterKey = key
+  previousKey = currentKey
+  await encryptAllValues()
+}
+
+/**
+ * Turns off the master password and stores all data in plaintext again.
+ */
+export const disableStorageEncryption = async (
+  password: string,
+): Promise<void> => {
+  const config = await getEncryptionConfig()
+  if (!config) return
+  masterKey = await verifyPassword(config, password)
+
+  const values = {}
+  for (const key of await getStorageKeys()) {
+    values[key] = await getStorage(key)
+  }
+  for (const key of Object.keys(values)) {
+    await set(key, values[key])
+  }
+  await remove(ENCRYPTION_STORAGE_KEY)
+  lockStorage()
+}
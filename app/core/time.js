@@ -1,2 +1,3 @@
 export const ONE_SECOND_MS = 1000
+export const ONE_MINUTE_MS = 60000
 export const FIVE_MINUTES_MS = 300000
@@ -0,0 +1,42 @@
+// @flow
+import { u as n3U } from '@cityofzion/neon-js-next'
+
+// The Conflicts attribute is its type followed by the hash of the transaction
+// it replaces. neon-js only knows the attributes of older protocol versions,
+// so it is built here with the methods a transaction calls on its attributes.
+const CONFLICTS_ATTRIBUTE_TYPE = 0x21
+export const CONFLICTS_ATTRIBUTE_SIZE = 1 + 32
+
+export const createConflictsAttribute = (hash: string): Object => {
+  const bigEndianHash = hash.replace(/^0x/, '').toLowerCase()
+  if (!/^[0-9a-f]{64}$/.test(bigEndianHash)) {
+    throw new Error(`${hash} is not a transaction hash.`)
+  }
+  const data = n3U.reverseHex(bigEndianHash)
+  return {
+    usage: CONFLICTS_ATTRIBUTE_TYPE,
+    data,
+    size: CONFLICTS_ATTRIBUTE_SIZE,
+    serialize: () => `${CONFLICTS_ATTRIBUTE_TYPE.toString(16)}${data}`,
+    export: () => ({ usage: CONFLICTS_ATTRIBUTE_TYPE, data }),
+    toJson: () => ({ type: 'Conflicts', hash: `0x${bigEndianHash}` }),
+  }
+}
+
+/**
+ * Returns the network fee of a transaction replacing another one. Nodes only
+ * accept it when it pays more than the transaction it replaces, so it pays
+ * the fee of its own size or the replaced fee increased by the price of one
+ * byte, whichever is higher. `networkFee` must already include the bytes of
+ * the Conflicts attribute.
+ */
+export const getReplacementNetworkFee = (
+  networkFee: n3U.BigInteger,
+  replacedNetworkFee: string,
+  feePerByte: n3U.BigInteger,
+): n3U.BigInteger => {
+  const minimumFee = n3U.BigInteger.fromDecimal(replacedNetworkFee, 0).add(
+    feePerByte,
+  )
+  return networkFee.compare(minimumFee) > 0 ? networkFee : minimumFee
+}
@@ -1,31 +1,13 @@
 // @flow
 import { wallet } from '@cityofzion/neon-js'
+import { wallet as n3Wallet } from '@cityofzion/neon-js-next'
 import { map, extend } from 'lodash-es'
-import axios from 'axios'
 
-import { ASSETS } from './constants'
+import { ASSETS, N3_NATIVE_TOKENS } from './constants'
 import { toBigNumber } from './math'
 
-import blacklist from '../util/blacklist'
-
 export const MIN_PASSPHRASE_LEN = 4
 
-let addressBlacklist: Array<string> | null = null
-
-export const isBlacklisted = async (address: string): Promise<boolean> => {
-  if (addressBlacklist === null) {
-    const { data } = await axios.get(
-      'https://raw.githubusercontent.com/CityOfZion/phishing/master/blockedAddresses.json',
-    )
-    if (data) {
-      addressBlacklist = data
-    } else {
-      addressBlacklist = blacklist
-    }
-  }
-  return addressBlacklist.includes(address)
-}
-
 export const validatePassphraseLength = (passphrase: string): boolean =>
   passphrase.length >= MIN_PASSPHRASE_LEN
 
@@ -43,9 +25,41 @@ export const getTokenBalancesMap = (tokenBalances: {
     ...map(tokenBalances, ({ symbol, balance }) => ({ [symbol]: balance })),
   )
 
+export const isLegacyAddress = (address: string): boolean => {
+  try {
+    // Neo N3 addresses pass the Neo Legacy checksum check, only their first
+    // character tells them apart
+    return wallet.isAddress(address) === true && address.charAt(0) === 'A'
+  } catch (e) {
+    return false
+  }
+}
+
+export const isN3Address = (address: string): boolean => {
+  try {
+    return n3Wallet.isAddress(address)
+  } catch (e) {
+    return false
+  }
+}
+
+const validateAddress = (address: string, chain: string): ?string => {
+  if (chain === 'neo3') {
+    if (isN3Address(address)) return null
+    return isLegacyAddress(address)
+      ? 'That is a Neo Legacy address, it can not receive assets on Neo N3.'
+      : 'The address you entered is not a valid Neo N3 address.'
+  }
+  if (isLegacyAddress(address)) return null
+  return isN3Address(address)
+    ? 'That is a Neo N3 address, it can not receive assets on Neo Legacy.'
+    : 'The address you entered was not valid.'
+}
+
 export const validateTransactionBeforeSending = (
   balance: number | string,
   sendEntry: SendEntryType,
+  chain: string = 'neo2',
 ) => {
   const { address, amount, symbol } = sendEntry
 
@@ -57,12 +71,9 @@ export const validateTransactionBeforeSending = (
     return 'That asset is not NEO, GAS or NEP-5 Token.'
   }
 
-  try {
-    if (wallet.isAddress(address) !== true || address.charAt(0) !== 'A') {
-      return 'The address you entered was not valid.'
-    }
-  } catch (e) {
-    return 'The address you entered was not valid.'
+  const addressError = validateAddress(address, chain)
+  if (addressError) {
+    return addressError
   }
 
   if (symbol === ASSETS.NEO && !toBigNumber(amount).isInteger()) {
@@ -82,16 +93,100 @@ export const validateTransactionBeforeSending = (
   return null
 }
 
+/**
+ * Checks a transfer of `sendEntries` on `chain` before it is sent. Besides
+ * each entry, the totals per asset are checked against `balances`, and on N3
+ * there must be enough GAS left for the `fees` (system plus network fee).
+ */
 export const validateTransactionsBeforeSending = (
   balances: Object,
   sendEntries: Array<SendEntryType>,
+  { chain = 'neo2', fees = '0' }: { chain?: string, fees?: string } = {},
 ) => {
   const getValidationError = sendEntry => {
     const balance = obtainBalance(balances, sendEntry.symbol)
-    return validateTransactionBeforeSending(balance, sendEntry)
+    return validateTransactionBeforeSending(balance, sendEntry, chain)
   }
 
   const errorEntry = sendEntries.find(getValidationError)
+  if (errorEntry) {
+    return getValidationError(errorEntry)
+  }
+
+  const totals = {}
+  sendEntries.forEach(({ symbol, amount }) => {
+    totals[symbol] = toBigNumber(totals[symbol] || 0).plus(amount)
+  })
+  const overspent = Object.keys(totals).find(symbol =>
+    totals[symbol].gt(toBigNumber(obtainBalance(balances, symbol))),
+  )
+  if (overspent) {
+    return `You do not have enough ${overspent} to send ${totals[
+      overspent
+    ].toString()} ${overspent} in total.`
+  }
 
-  return errorEntry ? getValidationError(errorEntry) : null
+  if (
+    toBigNumber(fees).gt(0) &&
+    toBigNumber(totals[ASSETS.GAS] || 0)
+      .plus(fees)
+      .gt(toBigNumber(obtainBalance(balances, ASSETS.GAS)))
+  ) {
+    return `You do not have enough GAS to pay the ${toBigNumber(
+      fees,
+    ).toString()} GAS transaction fee.`
+  }
+
+  return null
 }
+
+export const normalizeScriptHash = (hash: string): string =>
+  String(hash)
+    .replace(/^0x/, '')
+    .toLowerCase()
+
+/**
+ * Finds the NEP-17 transfers of the given dApp invocations that move a token
+ * of the account, so they can be validated like any other send. `balances`
+ * are the N3 balances, with the tokens keyed by their script hash.
+ */
+export const getN3TransferEntries = (
+  invocations: Array<Object>,
+  balances: Object,
+): Array<SendEntryType> =>
+  invocations.reduce((entries, { scriptHash, operation, args = [] }) => {
+    const hash = normalizeScriptHash(scriptHash)
+    const token =
+      N3_NATIVE_TOKENS[hash] ||
+      Object.keys(balances)
+        .map(key => balances[key])
+        .find(
+          balance =>
+            balance &&
+            balance.scriptHash &&
+            normalizeScriptHash(balance.scriptHash) === hash,
+        )
+    if (!token || operation !== 'transfer' || args.length < 3) {
+      return entries
+    }
+
+    const to = String(args[1].value)
+    let address = to
+    if (!isN3Address(to)) {
+      try {
+        address = n3Wallet.getAddressFromScriptHash(normalizeScriptHash(to))
+      } catch (e) {
+        return entries
+      }
+    }
+    return [
+      ...entries,
+      {
+        address,
+        symbol: token.symbol,
+        amount: toBigNumber(args[2].value)
+          .div(toBigNumber(10).pow(Number(token.decimals)))
+          .toString(),
+      },
+    ]
+  }, [])
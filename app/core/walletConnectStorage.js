@@ -0,0 +1,68 @@
+// @flow
+import { getStorage, removeStorage, setStorage } from './storage'
+
+// The pairings, sessions and pending requests of the WalletConnect client are
+// kept under one key of the app storage rather than in localStorage, so they
+// are encrypted with the rest of the data when a master password is set.
+const STORAGE_KEY = 'walletConnect'
+
+// the storage interface the WalletConnect client reads and writes through,
+// the one of `keyvaluestorage`
+export type KeyValueStorage = {
+  getKeys: () => Promise<Array<string>>,
+  getEntries: () => Promise<Array<[string, any]>>,
+  getItem: (key: string) => Promise<any>,
+  setItem: (key: string, value: any) => Promise<void>,
+  removeItem: (key: string) => Promise<void>,
+}
+
+export const createWalletConnectStorage = (): KeyValueStorage => {
+  let loading: ?Promise<{ [key: string]: any }> = null
+  // writes are queued so that an earlier one never finishes after a later one
+  let writing: Promise<void> = Promise.resolve()
+
+  const load = () => {
+    if (!loading) {
+      loading = getStorage(STORAGE_KEY).then(
+        stored => stored || {},
+        error => {
+          loading = null
+          throw error
+        },
+      )
+    }
+    return loading
+  }
+
+  const save = (items: { [key: string]: any }): Promise<void> => {
+    const result = writing.then(() => setStorage(STORAGE_KEY, items))
+    writing = result.catch(() => undefined)
+    return result
+  }
+
+  return {
+    getKeys: async () => Object.keys(await load()),
+    getEntries: async () => {
+      const items = await load()
+      return Object.keys(items).map(key => [key, items[key]])
+    },
+    getItem: async (key: string) => (await load())[key],
+    setItem: async (key: string, value: any) => {
+      const items = await load()
+      items[key] = value
+      await save(items)
+    },
+    removeItem: async (key: string) => {
+      const items = await load()
+      delete items[key]
+      await save(items)
+    },
+  }
+}
+
+/**
+ * Forgets the state of the WalletConnect client, which does not need the
+ * master password.
+ */
+export const clearWalletConnectStorage = (): Promise<void> =>
+  removeStorage(STORAGE_KEY)
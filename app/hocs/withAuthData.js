@@ -10,6 +10,7 @@ type Mapping = {
   signingFunction?: string,
   isWatchOnly?: boolean,
   isHardwareLogin: boolean,
+  ledgerAccount?: number,
 }
 
 export default function withAuthData(): Mapping {
@@ -0,0 +1,17 @@
+// @flow
+import { withData } from 'spunky'
+
+import settingsActions from '../actions/settingsActions'
+import { DEFAULT_AUTO_LOCK_TIMEOUT } from '../core/constants'
+
+export default function withAutoLockData() {
+  const mapSettingsDataToProps = settings => ({
+    autoLockTimeout:
+      settings && Number.isInteger(settings.autoLockTimeout)
+        ? settings.autoLockTimeout
+        : DEFAULT_AUTO_LOCK_TIMEOUT,
+    lockOnSuspend: !!settings && !!settings.lockOnSuspend,
+    lockOnScreenLock: !!settings && !!settings.lockOnScreenLock,
+  })
+  return withData(settingsActions, mapSettingsDataToProps)
+}
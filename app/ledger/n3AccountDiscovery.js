@@ -0,0 +1,82 @@
+// @flow
+import { rpc as n3Rpc } from '@cityofzion/neon-js-next'
+
+import NeonLedger3, { getAddressFromPublicKey } from './n3NeonLedger'
+import { getNode, getRPCEndpoint } from '../actions/nodeStorageActions'
+import { getN3Balances } from '../actions/balancesActions'
+
+// BIP-44 wallets stop looking for accounts after this many unused ones in a
+// row, an account after that gap is not expected to have been used
+export const DISCOVERY_GAP_LIMIT = 5
+
+export type DiscoveredAccount = {
+  account: number,
+  key: string,
+  address: string,
+  isUsed: boolean,
+  balances: Object,
+}
+
+const isAddressUsed = async (
+  client: n3Rpc.NeoServerRpcClient,
+  address: string,
+): Promise<boolean> => {
+  // errors are not caught, an account that can not be checked must not be
+  // reported as unused
+  const { balance } = await client.execute(
+    new n3Rpc.Query({ method: 'getnep17balances', params: [address] }),
+  )
+  if (balance.length) return true
+
+  const { sent, received } = await client.execute(
+    new n3Rpc.Query({ method: 'getnep17transfers', params: [address, 0] }),
+  )
+  return sent.length > 0 || received.length > 0
+}
+
+/**
+ * Reads the accounts of the connected Ledger from `startAccount` on until
+ * `gapLimit` unused accounts follow each other, reporting each one to
+ * `onAccount` as soon as it has been checked.
+ */
+export const discoverN3Accounts = async ({
+  net,
+  startAccount = 0,
+  gapLimit = DISCOVERY_GAP_LIMIT,
+  onAccount,
+}: {
+  net: string,
+  startAccount?: number,
+  gapLimit?: number,
+  onAccount: DiscoveredAccount => any,
+}): Promise<Array<DiscoveredAccount>> => {
+  let endpoint = await getNode(net)
+  if (!endpoint) {
+    endpoint = await getRPCEndpoint(net)
+  }
+  const client = new n3Rpc.NeoServerRpcClient(endpoint)
+
+  const ledger = await NeonLedger3.init()
+  const discovered = []
+  try {
+    let gap = 0
+    for (let account = startAccount; gap < gapLimit; account += 1) {
+      const { key } = await ledger.getPublicKey(account)
+      const address = getAddressFromPublicKey(key)
+      const isUsed = await isAddressUsed(client, address)
+      const result = {
+        account,
+        key,
+        address,
+        isUsed,
+        balances: isUsed ? await getN3Balances({ net, address }) : {},
+      }
+      discovered.push(result)
+      onAccount(result)
+      gap = isUsed ? 0 : gap + 1
+    }
+  } finally {
+    await ledger.close()
+  }
+  return discovered
+}
@@ -11,6 +11,8 @@ const APP_CLOSED = 0x6e00
 const APP_CLOSED_V2 = 0x6e01
 const TX_DENIED = 0x6985
 const TX_PARSE_ERR = 0x6d07
+const INS_NOT_SUPPORTED = 0x6d00
+const WRONG_P1P2 = 0x6b00
 
 export const MESSAGES = {
   NOT_SUPPORTED: 'Your computer does not support the ledger',
@@ -20,6 +22,9 @@ export const MESSAGES = {
   TX_DENIED: 'You have denied the transaction on your ledger',
   TX_PARSE_ERR:
     'Error parsing transaction. Make sure your NEO3 Ledger app version is up to date',
+  ADDRESS_REJECTED: 'You have rejected the address on your ledger',
+  DISPLAY_NOT_SUPPORTED:
+    'Your NEO3 Ledger app can not display addresses. Update it to the latest version',
 }
 
 /**
@@ -143,6 +148,41 @@ export default class NeonLedger3 {
     }
   }
 
+  /**
+   * Shows the address of an account on the Ledger screen so the user can
+   * compare it with the one displayed by the wallet, and waits until they
+   * approve or reject it.
+   * @param {number} [acct] - Account to display.
+   * @return {{account: number, key: string }}
+   */
+  async showAddress(
+    acct: number = 0,
+  ): Promise<{ account: number, key: string }> {
+    try {
+      // same as GET_PUBLIC_KEY, with P1 asking the device to display it
+      const response = await this.device.send(
+        0x80,
+        0x04,
+        0x01,
+        0x00,
+        Buffer.from(n3ledger.BIP44(acct), 'hex'),
+        [VALID_STATUS],
+      )
+      return { account: acct, key: response.toString('hex').substring(0, 130) }
+    } catch (err) {
+      if (err.statusCode === TX_DENIED) {
+        throw new Error(MESSAGES.ADDRESS_REJECTED)
+      }
+      if (
+        err.statusCode === INS_NOT_SUPPORTED ||
+        err.statusCode === WRONG_P1P2
+      ) {
+        throw new Error(MESSAGES.DISPLAY_NOT_SUPPORTED)
+      }
+      throw evalTransportError(err)
+    }
+  }
+
   getDeviceInfo() {
     try {
       return this.device.device.getDeviceInfo()
@@ -207,6 +247,33 @@ export const getPublicKeys = async (
   }
 }
 
+export const getAddressFromPublicKey = (publicKey: string): string =>
+  new neonJs.wallet.Account(neonJs.wallet.getPublicKeyEncoded(publicKey))
+    .address
+
+/**
+ * Displays the address of `acct` on the Ledger and checks that it is the one
+ * the wallet expects. Resolves only once the user has approved it on the
+ * device.
+ */
+export const verifyAddressOnDevice = async (
+  acct: number,
+  expectedAddress: string,
+): Promise<void> => {
+  const ledger = await NeonLedger3.init()
+  try {
+    const { key } = await ledger.showAddress(acct)
+    const address = getAddressFromPublicKey(key)
+    if (address !== expectedAddress) {
+      throw new Error(
+        `The Ledger returned ${address} for this account instead of ${expectedAddress}. Do not use this address.`,
+      )
+    }
+  } finally {
+    await ledger.close()
+  }
+}
+
 export const getStartInfo = async () => {
   const ledger = await NeonLedger3.init()
 
@@ -1,24 +1,39 @@
 // @flow
-import storage from 'electron-json-storage'
 import { wallet } from '@cityofzion/neon-js'
 import { wallet as n3Wallet } from '@cityofzion/neon-js-next'
-import { isEmpty, intersectionBy } from 'lodash-es'
+import { isEmpty, intersectionBy, get } from 'lodash-es'
 import { ECCurves } from 'ecc-jsbn'
 import {
   showErrorNotification,
   showInfoNotification,
+  showSuccessNotification,
   hideNotification,
 } from './notifications'
 
 import { validatePassphraseLength } from '../core/wallet'
+import { getStorage, setStorage } from '../core/storage'
 import { ROUTES, DEFAULT_WALLET } from '../core/constants'
 import { Account } from '../core/schemas'
+import {
+  validateMnemonic,
+  mnemonicToSeed,
+  getDerivationPath,
+  formatDerivationPath,
+  derivePrivateKey,
+} from '../core/mnemonic'
+import { createMultiSigAccount as buildMultiSigAccount } from '../core/multisig'
+import { getAccountScryptParams, withKeyScryptParams } from '../core/passphrase'
 import toSentence from '../util/toSentence'
 
 // Actions
-import { saveAccountActions, getWallet } from '../actions/accountsActions'
+import {
+  saveAccountActions,
+  updateAccountsActions,
+  getWallet,
+} from '../actions/accountsActions'
 import {
   saveAccountActions as n3SaveAccountActions,
+  updateAccountsActions as n3UpdateAccountsActions,
   getWallet as n3GetWallet,
 } from '../actions/n3AccountsActions'
 
@@ -75,132 +90,109 @@ export const convertOldWalletAccount = (
   })
 }
 
-export const upgradeUserWalletNEP6 = (): Promise<*> =>
-  new Promise((resolve, reject) => {
-    storage.get('userWallet', (readNEP6Error, data) => {
-      if (readNEP6Error) {
-        reject(readNEP6Error)
-      }
+export const upgradeUserWalletNEP6 = async (): Promise<*> => {
+  const data = await getStorage('userWallet')
+  if (!isEmpty(data)) return
 
-      if (isEmpty(data)) {
-        storage.get('keys', (readLegacyError, keyData) => {
-          if (readLegacyError) {
-            reject(readLegacyError)
-          }
-          const wallet = { ...DEFAULT_WALLET }
-
-          if (isEmpty(keyData)) {
-            // create empty nep-6 wallet
-            storage.set('userWallet', wallet)
-          } else {
-            const accounts = []
-            // eslint-disable-next-line
-            Object.keys(keyData).map((label: string) => {
-              const newAccount = convertOldWalletAccount(
-                label,
-                keyData[label],
-                accounts.length === 0,
-              )
-              if (newAccount) {
-                accounts.push(newAccount)
-              }
-            })
-
-            wallet.accounts = accounts
-
-            storage.set('userWallet', wallet, saveError => {
-              if (saveError) {
-                reject(saveError)
-              } else {
-                resolve()
-              }
-            })
-          }
-        })
-      } else {
-        resolve()
-      }
-    })
+  const keyData = await getStorage('keys')
+  const wallet = { ...DEFAULT_WALLET }
+
+  if (isEmpty(keyData)) {
+    // create empty nep-6 wallet
+    await setStorage('userWallet', wallet)
+    return
+  }
+
+  const accounts = []
+  // eslint-disable-next-line
+  Object.keys(keyData).map((label: string) => {
+    const newAccount = convertOldWalletAccount(
+      label,
+      keyData[label],
+      accounts.length === 0,
+    )
+    if (newAccount) {
+      accounts.push(newAccount)
+    }
   })
 
-export const recoverWallet = (
+  wallet.accounts = accounts
+  await setStorage('userWallet', wallet)
+}
+
+export const recoverWallet = async (
   wallet: Object,
   chain: string = 'neo2',
-): Promise<*> =>
-  new Promise((resolve, reject) => {
-    storage.get(
-      chain === 'neo2' ? 'userWallet' : 'n3UserWallet',
-      (readError, data) => {
-        if (readError) {
-          reject(readError)
-        }
-
-        let accounts: Array<any> = []
+): Promise<*> => {
+  const storageKey = chain === 'neo2' ? 'userWallet' : 'n3UserWallet'
+  let data = await getStorage(storageKey)
 
-        // If for some reason we have no NEP-6 wallet stored, create a default.
-        if (!data || !data.accounts) {
-          // eslint-disable-next-line no-param-reassign
-          data = { ...DEFAULT_WALLET }
-        }
+  let accounts: Array<any> = []
 
-        if (!wallet.accounts) {
-          // Load the old wallet type
-          // eslint-disable-next-line
-          Object.keys(wallet).map((label: string) => {
-            const isDefault = accounts.length === 0 && wallet.length === 0
-            const newAccount = convertOldWalletAccount(
-              label,
-              wallet[label],
-              isDefault,
-            )
-            if (newAccount && newAccount.key) {
-              accounts.push(newAccount)
-            }
-          })
-        } else {
-          accounts = wallet.accounts // eslint-disable-line
-        }
+  // If for some reason we have no NEP-6 wallet stored, create a default.
+  if (!data || !data.accounts) {
+    data = { ...DEFAULT_WALLET }
+  }
 
-        if (!accounts.length) {
-          reject(Error('No accounts found in recovery file.'))
-        }
+  if (!wallet.accounts) {
+    // Load the old wallet type
+    // eslint-disable-next-line
+    Object.keys(wallet).map((label: string) => {
+      const isDefault = accounts.length === 0 && wallet.length === 0
+      const newAccount = convertOldWalletAccount(
+        label,
+        wallet[label],
+        isDefault,
+      )
+      if (newAccount && newAccount.key) {
+        accounts.push(newAccount)
+      }
+    })
+  } else {
+    accounts = wallet.accounts // eslint-disable-line
+  }
 
-        // check if wallet label already exists
-        const dupAccounts = intersectionBy(data.accounts, accounts, 'label')
+  if (!accounts.length) {
+    throw Error('No accounts found in recovery file.')
+  }
 
-        if (dupAccounts.length > 0) {
-          const labels = dupAccounts.map(acc => `"${acc.label}"`)
-          const errMsg =
-            labels.length === 1
-              ? `A wallet named ${labels[0]} already exists locally.`
-              : `Wallets named ${toSentence(labels)} already exist locally.`
+  // check if wallet label already exists
+  const dupAccounts = intersectionBy(data.accounts, accounts, 'label')
 
-          reject(Error(errMsg))
-          return
-        }
+  if (dupAccounts.length > 0) {
+    const labels = dupAccounts.map(acc => `"${acc.label}"`)
+    const errMsg =
+      labels.length === 1
+        ? `A wallet named ${labels[0]} already exists locally.`
+        : `Wallets named ${toSentence(labels)} already exist locally.`
 
-        // eslint-disable-next-line
-        accounts.some(account => {
-          if (account.key && !walletHasKey(data, account.key)) {
-            data.accounts.push(account)
-          }
-        })
+    throw Error(errMsg)
+  }
 
-        storage.set(
-          chain === 'neo2' ? 'userWallet' : 'n3UserWallet',
+  // eslint-disable-next-line
+  accounts.some(account => {
+    if (account.key && !walletHasKey(data, account.key)) {
+      data.accounts.push(
+        withKeyScryptParams(
           data,
-          saveError => {
-            if (saveError) {
-              reject(saveError)
-            } else {
-              resolve(data)
-            }
-          },
-        )
-      },
-    )
+          account,
+          getAccountScryptParams(wallet, account),
+        ),
+      )
+    } else if (
+      // multi-signature accounts are stored without a key
+      !account.key &&
+      get(account, 'contract.script') &&
+      !data.accounts.some(({ address }) => address === account.address)
+    ) {
+      data.accounts.push(account)
+    }
   })
 
+  await setStorage(storageKey, data)
+  return data
+}
+
 // This method return the WIF from the encryptedWIF and passphrase
 export async function decryptEncryptedWIF(
   encryptedWIF: string,
@@ -508,6 +500,184 @@ export const generateNewWalletAccount = (
     })
 }
 
+// Derives `accountCount` accounts from a BIP-39 recovery phrase along the NEO
+// BIP-44 path and stores them in the NEP-6 wallet of the given chain. Accounts
+// that already exist locally are skipped, so importing the same phrase with a
+// higher count only adds the missing accounts.
+export const generateMnemonicWalletAccounts = ({
+  mnemonic,
+  passphrase,
+  passphrase2,
+  walletName,
+  accountCount,
+  history,
+  authenticated = false,
+  onFailure = () => undefined,
+  chain = 'neo2',
+}: {
+  mnemonic: string,
+  passphrase: string,
+  passphrase2: string,
+  walletName: string,
+  accountCount: number,
+  history: Object,
+  authenticated?: boolean,
+  onFailure?: () => any,
+  chain?: string,
+}) => async (dispatch: DispatchType) => {
+  const dispatchError = (message: string) => {
+    onFailure()
+    dispatch(showErrorNotification({ message }))
+    return false
+  }
+
+  if (!validateMnemonic(mnemonic)) {
+    return dispatchError('The recovery phrase is not valid.')
+  }
+  if (!walletName) {
+    return dispatchError('A valid name is required.')
+  }
+  if (!Number.isInteger(accountCount) || accountCount < 1) {
+    return dispatchError('Please choose at least one account to derive.')
+  }
+
+  const infoNotificationId: any = dispatch(
+    showInfoNotification({
+      message: 'Generating encoded keys...',
+      autoDismiss: 0,
+    }),
+  )
+
+  try {
+    validateInputs('', passphrase, passphrase2)
+
+    const isN3 = chain === 'neo3'
+    const storedWallet = isN3 ? await n3GetWallet() : await getWallet()
+    const seed = mnemonicToSeed(mnemonic)
+    const newAccounts = []
+
+    for (let index = 0; index < accountCount; index += 1) {
+      const path = getDerivationPath(index)
+      const privateKey = derivePrivateKey(seed, path)
+      const account = isN3
+        ? new n3Wallet.Account(privateKey)
+        : new wallet.Account(privateKey)
+
+      if (
+        !storedWallet.accounts.some(
+          ({ address }) => address === account.address,
+        )
+      ) {
+        const label =
+          accountCount === 1 ? walletName : `${walletName} ${index + 1}`
+        if (walletHasLabel(storedWallet, label)) {
+          dispatch(hideNotification(infoNotificationId))
+          return dispatchError(
+            `A wallet named "${label}" already exists locally.`,
+          )
+        }
+
+        newAccounts.push(
+          withKeyScryptParams(
+            storedWallet,
+            new Account({
+              address: account.address,
+              label,
+              key: isN3
+                ? await n3Wallet.encrypt(account.WIF, passphrase)
+                : wallet.encrypt(account.WIF, passphrase),
+              extra: { derivationPath: formatDerivationPath(path) },
+            }),
+          ),
+        )
+      }
+    }
+
+    dispatch(hideNotification(infoNotificationId))
+
+    if (!newAccounts.length) {
+      return dispatchError(
+        'All accounts for this recovery phrase already exist locally.',
+      )
+    }
+
+    const updateActions = isN3 ? n3UpdateAccountsActions : updateAccountsActions
+    dispatch(updateActions.call([...storedWallet.accounts, ...newAccounts]))
+    dispatch(
+      showSuccessNotification({
+        message: `${newAccounts.length} ${
+          newAccounts.length === 1 ? 'account' : 'accounts'
+        } added from your recovery phrase.`,
+      }),
+    )
+
+    history.push(authenticated ? ROUTES.WALLET_MANAGER : ROUTES.HOME)
+    return true
+  } catch (e) {
+    console.error(e)
+    dispatch(hideNotification(infoNotificationId))
+    return dispatchError(e.message)
+  }
+}
+
+export const createMultiSigAccount = ({
+  label,
+  threshold,
+  publicKeys,
+  history,
+  authenticated = false,
+  onFailure = () => {},
+}: {
+  label: string,
+  threshold: number,
+  publicKeys: Array<string>,
+  history: Object,
+  authenticated?: boolean,
+  onFailure?: () => any,
+}) => async (dispatch: DispatchType) => {
+  const dispatchError = (message: string) => {
+    onFailure()
+    dispatch(showErrorNotification({ message }))
+    return false
+  }
+
+  if (!label) {
+    return dispatchError('A valid name is required.')
+  }
+
+  try {
+    const account = buildMultiSigAccount({ label, threshold, publicKeys })
+    const storedWallet = await n3GetWallet()
+
+    if (
+      storedWallet.accounts.some(({ address }) => address === account.address)
+    ) {
+      return dispatchError(`Address '${account.address}' already exists.`)
+    }
+    if (walletHasLabel(storedWallet, label)) {
+      return dispatchError(`A wallet named "${label}" already exists locally.`)
+    }
+
+    dispatch(
+      n3UpdateAccountsActions.call([
+        ...storedWallet.accounts,
+        new Account(account),
+      ]),
+    )
+    dispatch(
+      showSuccessNotification({
+        message: `Multi-signature account ${account.address} added.`,
+      }),
+    )
+
+    history.push(authenticated ? ROUTES.WALLET_MANAGER : ROUTES.HOME)
+    return true
+  } catch (e) {
+    console.error(e)
+    return dispatchError(e.message)
+  }
+}
+
 // state getters
 export const getWIF = (state: Object) => state.generateWallet.wif
 export const getAddress = (state: Object) => state.generateWallet.address
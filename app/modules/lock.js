@@ -0,0 +1,39 @@
+// @flow
+import { lockActions, logoutActions } from '../actions/authActions'
+import { hideModal } from './modal'
+import {
+  getAddress,
+  getWIF,
+  getEncryptedWIF,
+  getHasInternetConnectivity,
+} from '../core/deprecated'
+
+export const lockWallet = () => (
+  dispatch: DispatchType,
+  getState: GetStateType,
+) => {
+  const state = getState()
+
+  // hardware and watch-only sessions have no key to protect, and a locked
+  // session has already dropped it
+  if (!getWIF(state)) return
+
+  // modals can hold transactions that were being prepared with the key
+  dispatch(hideModal())
+
+  const encryptedWIF = getEncryptedWIF(state)
+  // a session opened with a plain private key has no passphrase to unlock it
+  // with, so it is ended instead
+  if (!encryptedWIF) {
+    dispatch(logoutActions.call())
+    return
+  }
+
+  dispatch(
+    lockActions.call({
+      address: getAddress(state),
+      encryptedWIF,
+      hasInternetConnectivity: getHasInternetConnectivity(state),
+    }),
+  )
+}
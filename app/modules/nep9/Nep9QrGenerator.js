@@ -3,6 +3,7 @@
 import QRCode from 'qrcode/lib/browser'
 import nep9 from './nep9'
 import tokenList from '../../core/tokenList.json'
+import { N3_NATIVE_TOKENS } from '../../core/constants'
 import { imageMap } from '../../assets/nep5/svg'
 
 const TOKENS = Object.keys(tokenList)
@@ -12,13 +13,22 @@ const TOKENS = Object.keys(tokenList)
     return accum
   }, {})
 
+// the asset of a payment request is NEO, GAS or the hash of a Neo Legacy or
+// N3 contract
+const getAssetSymbol = (asset: ?string): ?string => {
+  if (!asset || asset === 'NEO' || asset === 'GAS') return asset
+  const hash = asset.replace(/^0x/, '').toLowerCase()
+  const token = N3_NATIVE_TOKENS[hash] || TOKENS[hash] || {}
+  return token.symbol
+}
+
 export default class Nep9QrGenerator {
   static parseUri(uri: string) {
     return nep9.parseUri(uri)
   }
 
   // $FlowFixMe
-  constructor({ nep9Data, width = 250, canvasEl, imgEl }) {
+  constructor({ nep9Data, symbol, width = 250, canvasEl, imgEl }) {
     let canvas
     // $FlowFixMe
     this.uri = nep9.generateUri(nep9Data)
@@ -41,20 +51,12 @@ export default class Nep9QrGenerator {
     ])
       .then(([nep5Data, c]) => {
         canvas = c
-        const token = {}
-        if (nep9Data.asset === 'NEO') token.symbol = 'NEO'
-        if (nep9Data.asset === 'GAS') token.symbol = 'GAS'
-        else {
-          const foundToken =
-            Object.keys(tokenList)
-              .map(key => tokenList[key])
-              .find(token => token.networks[1].hash === nep9Data.asset) || {}
-          token.symbol = foundToken.symbol
-        }
-        const logo = imageMap[token.symbol] || imageMap.NEO
+        // tokens unknown to the wallet may be named by the caller
+        const assetSymbol = symbol || getAssetSymbol(nep9Data.asset)
+        const logo = imageMap[assetSymbol] || imageMap.NEO
         return {
           logoSrc: logo,
-          isGasOrNeo: nep9Data.asset === 'NEO' || nep9Data.asset === 'GAS',
+          isGasOrNeo: assetSymbol === 'NEO' || assetSymbol === 'GAS',
         }
       })
       .then(
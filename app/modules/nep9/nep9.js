@@ -1,60 +1,137 @@
 // @flow
-function generateUri(nep9Data: Object): string {
-  const parameters = Object.keys(nep9Data).reduce((accum, key) => {
-    if (
-      nep9Data[key] !== null &&
-      nep9Data[key] !== undefined &&
-      nep9Data[key] !== ''
-    ) {
-      const value = encodeURIComponent(nep9Data[key])
-      accum.push(`${key}=${value}`)
-    }
-    return accum
-  }, [])
-
-  let output = `neo:${nep9Data.address}`
+export type Nep9Data = {
+  // an address or, on N3, a name such as alice.neo
+  address: string,
+  // NEO, GAS or the hash of a contract
+  asset?: ?string,
+  amount?: ?string,
+  description?: ?string,
+  // the network fee in GAS the payer is asked to add
+  fee?: ?string,
+  // parameters NEP-9 leaves to the wallets
+  extra?: { [key: string]: string },
+}
 
-  if (parameters.length) {
-    output += `?${parameters.join('&')}`
+export const INVALID_PROTOCOL = 'Invalid protocol'
+export const INVALID_FORMAT = 'Invalid format'
+export const MISSING_ADDRESS = 'Missing recipient address'
+
+const PARAMETERS = ['asset', 'amount', 'description', 'fee']
+const NATIVE_ASSETS = ['NEO', 'GAS']
+// N3 and Neo Legacy NEP-5 contracts have 20 byte hashes, Neo Legacy UTXO
+// assets 32 byte ones
+const ASSET_HASH_REGEX = /^(0x)?([0-9a-f]{40}|[0-9a-f]{64})$/i
+const DECIMAL_REGEX = /^\d+(\.\d+)?$/
+// parameters a wallet must understand to read the URI, as in BIP-21
+const REQUIRED_PREFIX = 'req-'
+
+const decode = (value: string): string => {
+  try {
+    return decodeURIComponent(value.replace(/\+/g, ' '))
+  } catch (e) {
+    throw new Error(INVALID_FORMAT)
   }
+}
 
-  return output
+const normalizeAsset = (asset: string): string => {
+  if (NATIVE_ASSETS.includes(asset.toUpperCase())) {
+    return asset.toUpperCase()
+  }
+  const match = asset.match(ASSET_HASH_REGEX)
+  if (!match) {
+    throw new Error(`Invalid asset ${asset}`)
+  }
+  return match[2].toLowerCase()
 }
 
-function parseUri(uri: string) {
-  if (!uri.startsWith('neo:')) {
-    throw new Error('Not a valid NEP9 uri')
+const validateDecimal = (key: string, value: string): string => {
+  if (!DECIMAL_REGEX.test(value) || !(Number(value) > 0)) {
+    throw new Error(`Invalid ${key} ${value}`)
   }
+  return value
+}
 
-  // eslint-disable-next-line
-  uri = uri.replace(/^(neo\:)/, '')
+const normalizeParameter = (key: string, value: string): string => {
+  if (key === 'asset') return normalizeAsset(value)
+  if (key === 'amount' || key === 'fee') return validateDecimal(key, value)
+  return value
+}
 
-  const uriParts = uri.split('?')
-  const nep9 = {
-    address: uriParts[0],
-  }
+/**
+ * Creates a NEP-9 URI such as neo:<address>?asset=GAS&amount=1.5, leaving out
+ * the parameters that are empty.
+ */
+export function generateUri(nep9Data: Nep9Data): string {
+  const { address, extra = {} } = nep9Data
+  const parameters = [
+    ...PARAMETERS.map(key => [key, nep9Data[key]]),
+    ...Object.keys(extra).map(key => [key, extra[key]]),
+  ]
+    .filter(
+      ([, value]) => value !== null && value !== undefined && value !== '',
+    )
+    .map(
+      ([key, value]) =>
+        `${encodeURIComponent(key)}=${encodeURIComponent(String(value))}`,
+    )
+
+  let output = `neo:${encodeURIComponent(address)}`
 
-  if (uriParts.length === 1) {
-    return nep9
+  if (parameters.length) {
+    output += `?${parameters.join('&')}`
   }
 
-  const attributes = uriParts[1]
-  const attributesList = attributes.split('&')
+  return output
+}
 
-  attributesList.forEach(attribute => {
-    const attributeParts = attribute.split('=')
+/**
+ * Reads a NEP-9 URI. Keys and values are percent-decoded, assets normalized
+ * to NEO, GAS or a lowercase hash without 0x and amounts checked. Parameters
+ * NEP-9 does not define are kept in `extra`, unless they start with `req-`,
+ * which means the URI cannot be paid without understanding them.
+ */
+export function parseUri(uri: string): Nep9Data {
+  const match = uri.trim().match(/^neo:(?:\/\/)?([^?#]*)(?:\?([^#]*))?/i)
+  if (!match) {
+    throw new Error(INVALID_PROTOCOL)
+  }
+
+  const address = decode(match[1])
+  if (!address) {
+    throw new Error(MISSING_ADDRESS)
+  }
 
-    if (attributeParts.length < 2) {
-      return
-    }
+  const nep9: Object = { address }
+  const extra = {}
+  const query = match[2] || ''
 
-    const key = attributeParts[0]
-    const value = attributeParts[1]
+  query
+    .split('&')
+    .filter(attribute => !!attribute)
+    .forEach(attribute => {
+      const separator = attribute.indexOf('=')
+      const key = decode(
+        separator === -1 ? attribute : attribute.slice(0, separator),
+      )
+      const value =
+        separator === -1 ? '' : decode(attribute.slice(separator + 1))
 
-    nep9[key] = value
-  })
+      if (PARAMETERS.includes(key.toLowerCase())) {
+        const parameter = key.toLowerCase()
+        if (nep9[parameter] !== undefined) {
+          throw new Error(`Duplicate parameter ${parameter}`)
+        }
+        if (value) {
+          nep9[parameter] = normalizeParameter(parameter, value)
+        }
+      } else if (key.toLowerCase().startsWith(REQUIRED_PREFIX)) {
+        throw new Error(`Unsupported required parameter ${key}`)
+      } else if (key) {
+        extra[key] = value
+      }
+    })
 
-  return nep9
+  return { ...nep9, extra }
 }
 
 export default {
@@ -12,6 +12,8 @@ type NotificationArgsType = {
   autoDismiss?: number,
   stack?: boolean,
   children?: React$Node,
+  // a button in the notification
+  action?: { label: string, callback: () => any },
 }
 
 type NotificationFactoryArgsType = {
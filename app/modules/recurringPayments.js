@@ -0,0 +1,73 @@
+// @flow
+import { getSettings } from '../actions/settingsActions'
+import { getAddress, getNetwork } from '../core/deprecated'
+import { ROUTES } from '../core/constants'
+import {
+  getRecurringPayments,
+  getDueRecurringPayments,
+  type RecurringPayment,
+} from '../core/recurringPayments'
+import { showInfoNotification } from './notifications'
+
+// the due times already reminded of, a payment that was not sent is
+// reminded of again after the next unlock
+const reminded: Set<string> = new Set()
+
+// the Send page opens the confirmation of the payment it is given
+export const getRecurringPaymentLocation = (id: string) => ({
+  pathname: ROUTES.SEND,
+  state: { recurringPaymentId: id },
+})
+
+const describePayment = ({ name, sendEntries }: RecurringPayment): string =>
+  `${name}: ${sendEntries
+    .map(({ amount, symbol }) => `${amount} ${symbol}`)
+    .join(', ')} to ${sendEntries.length} recipient${
+    sendEntries.length === 1 ? '' : 's'
+  } is due.`
+
+/**
+ * Shows a reminder for each recurring payment of the current account that
+ * fell due. Payments that fell due while the wallet was locked or closed are
+ * reminded of once `remindQueued` is set, when the wallet is unlocked.
+ */
+export const remindRecurringPayments = ({
+  history,
+  remindQueued = false,
+}: {
+  history: Object,
+  remindQueued?: boolean,
+}) => async (dispatch: DispatchType, getState: GetStateType) => {
+  if (remindQueued) reminded.clear()
+  const state = getState()
+
+  try {
+    const { chain } = await getSettings()
+    const due = getDueRecurringPayments(await getRecurringPayments(), {
+      address: getAddress(state),
+      chain,
+      net: getNetwork(state),
+    })
+    due.forEach(payment => {
+      const key = `${payment.id}-${payment.nextDueAt}`
+      if (reminded.has(key)) return
+      reminded.add(key)
+      dispatch(
+        showInfoNotification({
+          title: 'Payment due',
+          message: describePayment(payment),
+          autoDismiss: 0,
+          stack: true,
+          action: {
+            label: 'Review',
+            callback: () =>
+              history.push(getRecurringPaymentLocation(payment.id)),
+          },
+        }),
+      )
+    })
+  } catch (e) {
+    // the storage is locked, tried again later
+    console.warn('An error occurred checking recurring payments', e)
+  }
+}
@@ -0,0 +1,116 @@
+// @flow
+import { rpc as n3Rpc } from '@cityofzion/neon-js-next'
+
+import {
+  getPendingTransactions,
+  getPendingTransactionInfo,
+  getN3TransactionStatus,
+  pruneConfirmedOrStaleTransaction,
+} from '../actions/pendingTransactionActions'
+import { getNode, getRPCEndpoint } from '../actions/nodeStorageActions'
+import { getSettings } from '../actions/settingsActions'
+import { getAddress, getNetwork } from '../core/deprecated'
+import { N3_TX_STATUS } from '../core/constants'
+import {
+  showSuccessNotification,
+  showErrorNotification,
+  showWarningNotification,
+} from './notifications'
+
+// a check that takes longer than the polling interval is not started twice
+let tracking = false
+
+const notifyOutcome = (
+  dispatch: DispatchType,
+  transaction: Object,
+  { status, exception }: { status: string, exception?: ?string },
+) => {
+  const { hash, validUntilBlock } = transaction
+  switch (status) {
+    case N3_TX_STATUS.HALT:
+      return dispatch(
+        showSuccessNotification({
+          message: `Transaction ${hash} was confirmed.`,
+        }),
+      )
+    case N3_TX_STATUS.INCLUDED:
+      return dispatch(
+        showSuccessNotification({
+          message: `Transaction ${hash} was included in a block.`,
+        }),
+      )
+    case N3_TX_STATUS.FAULT:
+      return dispatch(
+        showErrorNotification({
+          message: `Transaction ${hash} failed (FAULT)${
+            exception ? `: ${exception}` : '.'
+          } Only the fees were spent.`,
+          autoDismiss: 30,
+        }),
+      )
+    default:
+      return dispatch(
+        showWarningNotification({
+          message: `Transaction ${hash} expired at block ${validUntilBlock} without being included. Nothing was sent.`,
+        }),
+      )
+  }
+}
+
+/**
+ * Checks the stored pending N3 transactions of the current account. Each one
+ * that was included or expired raises a notification and is removed, the rest
+ * are checked again on the next call. They are read from storage, so
+ * transactions sent before a restart are still followed.
+ */
+export const trackN3Transactions = () => async (
+  dispatch: DispatchType,
+  getState: GetStateType,
+) => {
+  if (tracking) return
+  const state = getState()
+  const address = getAddress(state)
+  const net = getNetwork(state)
+
+  tracking = true
+  try {
+    const { chain } = await getSettings()
+    const transactions = (await getPendingTransactions()) || {}
+    const pending = (transactions[address] || []).filter(
+      transaction => transaction && transaction.hash,
+    )
+    if (chain !== 'neo3' || !pending.length) return
+
+    let endpoint = await getNode(net)
+    if (!endpoint) {
+      endpoint = await getRPCEndpoint(net)
+    }
+    const client = new n3Rpc.RPCClient(endpoint)
+
+    let changed = false
+    for (const transaction of pending) {
+      // eslint-disable-next-line no-await-in-loop
+      const outcome = await getN3TransactionStatus(client, transaction).catch(
+        e => {
+          console.warn(`Unable to check transaction ${transaction.hash}`, e)
+          return { status: N3_TX_STATUS.PENDING }
+        },
+      )
+      if (outcome.status !== N3_TX_STATUS.PENDING) {
+        // eslint-disable-next-line no-await-in-loop
+        await pruneConfirmedOrStaleTransaction(address, transaction.hash)
+        notifyOutcome(dispatch, transaction, outcome)
+        changed = true
+      }
+    }
+
+    if (changed) {
+      dispatch(getPendingTransactionInfo.call({ address, net }))
+    }
+  } catch (e) {
+    // the storage is locked or the node is unreachable, tried again later
+    console.warn('An error occurred tracking pending transactions', e)
+  } finally {
+    tracking = false
+  }
+}
@@ -5,15 +5,17 @@ import {
   wallet as n3Wallet,
   u as n3U,
   rpc as n3Rpc,
+  sc as n3Sc,
   tx,
 } from '@cityofzion/neon-js-next'
-import { flatMap, keyBy, isEmpty, get } from 'lodash-es'
+import { flatMap, keyBy, isEmpty, get, uniq, noop } from 'lodash-es'
 import axios from 'axios'
 
 import {
   showErrorNotification,
   showInfoNotification,
   showSuccessNotification,
+  hideNotification,
 } from './notifications'
 import {
   getNetwork,
@@ -24,6 +26,7 @@ import {
   getIsHardwareLogin,
   getAssetBalances,
   getTokenBalances,
+  getVerificationScript,
 } from '../core/deprecated'
 import {
   isToken,
@@ -31,8 +34,34 @@ import {
   getTokenBalancesMap,
 } from '../core/wallet'
 import { toNumber } from '../core/math'
+import {
+  createSigningContext,
+  addSignatureToContext,
+  buildSignedTransaction,
+  getMessageForSigning,
+  getTransactionFromContext,
+  type SigningContext,
+} from '../core/signingContext'
+import {
+  N3_VALID_UNTIL_BLOCK_WINDOW,
+  N3_NATIVE_TOKENS,
+} from '../core/constants'
+import {
+  getInvocationPreview,
+  getTokenInfoMap,
+  mergeInvocationResults,
+} from '../core/invocationPreview'
+import {
+  CONFLICTS_ATTRIBUTE_SIZE,
+  createConflictsAttribute,
+  getReplacementNetworkFee,
+} from '../core/transactionReplacement'
 import { getNode, getRPCEndpoint } from '../actions/nodeStorageActions'
-import { addPendingTransaction } from '../actions/pendingTransactionActions'
+import {
+  addPendingTransaction,
+  getPendingTransactions,
+  pruneConfirmedOrStaleTransaction,
+} from '../actions/pendingTransactionActions'
 
 const N2 = require('@cityofzion/neon-js-legacy-latest')
 
@@ -47,6 +76,12 @@ const FEE_OPTIONS = {
   MEDIUM: 0.05,
   HIGH: 0.1,
 }
+// N3 rejects transactions over 100 KiB, the margin leaves room for the
+// header, signers and witnesses (including the ones of multi-signature accounts)
+const MAX_N3_TRANSFERS_SCRIPT_SIZE = 102400 - 4096
+// nodes stop invokescript calls after 20 GAS by default, which would fail the
+// fee calculation of larger transactions
+const MAX_N3_TRANSFERS_PER_TRANSACTION = 100
 
 settings.timeout.rpc = RPC_TIMEOUT_OVERRIDE
 
@@ -202,10 +237,7 @@ const buildNep17IntentsFromEntries = (
 ) =>
   sendEntries.map(entry => {
     const { address, amount, symbol } = entry
-    const token = tokens.find(
-      // eslint-disable-next-line eqeqeq
-      t => t.networkId == 2 && t.symbol === symbol,
-    )
+    const token = tokens.find(t => t.networkId === '2' && t.symbol === symbol)
     const contractHash = token
       ? token.scriptHash
       : tokensBalanceMap[symbol] && tokensBalanceMap[symbol].scriptHash
@@ -220,17 +252,253 @@ const buildNep17IntentsFromEntries = (
     return intent
   })
 
+// Any standard signature script has the same size and verification cost, so
+// this one stands in for the script of watch-only accounts when estimating
+// fees. The key is the generator point of the secp256r1 curve.
+const PLACEHOLDER_VERIFICATION_SCRIPT =
+  '0c21036b17d1f2e12c4247f8bce6e563a440f277037d812deb33a0f4a13945d898c2964156e7b327'
+
+/**
+ * Returns the N3 account the logged in user sends from. Watch-only accounts
+ * (including multi-signature accounts, which carry the verification script of
+ * their contract) have no key, so an account is built from their address.
+ */
+export const getN3SendingAccount = (state: Object, key: ?string) => {
+  const verificationScript = getVerificationScript(state)
+  if (verificationScript || !key) {
+    return new n3Wallet.Account({
+      address: getAddress(state),
+      contract: {
+        script: n3U.HexString.fromHex(
+          verificationScript || PLACEHOLDER_VERIFICATION_SCRIPT,
+        ).toBase64(),
+        parameters: [],
+      },
+    })
+  }
+  return new n3Wallet.Account(key)
+}
+
+const addNep17Transfers = async (
+  txBuilder: Object,
+  intents: Array<*>,
+  client: Object,
+) => {
+  for (const intent of intents) {
+    if (intent.decimalAmt) {
+      const [tokenInfo] = await n3Api.getTokenInfos(
+        [intent.contractHash],
+        client,
+      )
+      txBuilder.addNep17Transfer(
+        intent.from,
+        intent.to,
+        intent.contractHash,
+        n3U.BigInteger.fromDecimal(intent.decimalAmt, tokenInfo.decimals),
+      )
+    }
+  }
+}
+
+type N3PriorityOptions = {
+  priorityFee?: number,
+  validUntilBlockWindow?: number,
+}
+
+/**
+ * Adds the priority fee on top of the minimum network fee of `txn` and makes
+ * it valid for `validUntilBlockWindow` blocks. Neither changes the size of the
+ * transaction, so the minimum network fee it already carries still holds.
+ */
+const applyN3Priority = async (
+  txn: Object,
+  client: Object,
+  { priorityFee = 0, validUntilBlockWindow }: N3PriorityOptions,
+) => {
+  if (priorityFee) {
+    // eslint-disable-next-line no-param-reassign
+    txn.networkFee = txn.networkFee.add(
+      n3U.BigInteger.fromDecimal(priorityFee, 8),
+    )
+  }
+  if (validUntilBlockWindow) {
+    // eslint-disable-next-line no-param-reassign
+    txn.validUntilBlock =
+      (await client.getBlockCount()) +
+      Math.min(validUntilBlockWindow, N3_VALID_UNTIL_BLOCK_WINDOW.MAX) -
+      1
+  }
+}
+
+// a signature is only valid on the network it was made for, so the magic
+// number is never assumed to be the one of MainNet
+const getN3NetworkMagic = async (client: Object): Promise<number> => {
+  const version = await client.execute(
+    new n3Rpc.Query({
+      method: 'getversion',
+      params: [],
+    }),
+  )
+  const networkMagic =
+    version.protocol.network || version.network || version.magic
+  if (!networkMagic) {
+    throw new Error('The node did not report the magic number of its network.')
+  }
+  return networkMagic
+}
+
+/**
+ * Builds the transaction in `txBuilder` without signing it and wraps it in a
+ * signing context, so it can be signed on another machine (for example an
+ * offline one) or by the co-signers of a multi-signature account. Without a
+ * `validUntilBlockWindow` the transaction gets the longest lifespan allowed.
+ */
+export const buildN3SigningContext = async ({
+  net,
+  account,
+  txBuilder,
+  priorityFee = 0,
+  validUntilBlockWindow,
+}: {
+  net: string,
+  account: Object,
+  txBuilder: Object,
+  priorityFee?: number,
+  validUntilBlockWindow?: number,
+}): Promise<SigningContext> => {
+  let endpoint = await getNode(net)
+  if (!endpoint) {
+    endpoint = await getRPCEndpoint(net)
+  }
+  const client = new n3Rpc.NeoServerRpcClient(endpoint)
+
+  const networkMagic = await getN3NetworkMagic(client)
+
+  const txn = txBuilder.build()
+  // signing offline can take a while, so the transaction is given the
+  // longest lifespan the network accepts
+  txn.validUntilBlock =
+    (await client.getBlockCount()) + tx.Transaction.MAX_TRANSACTION_LIFESPAN - 1
+
+  const { state, gasconsumed, exception } = await client.invokeScript(
+    txn.script,
+    txn.signers,
+  )
+  if (state === 'FAULT') {
+    throw new Error(`The transaction would fail: ${exception}`)
+  }
+  txn.systemFee = n3U.BigInteger.fromNumber(gasconsumed)
+
+  const { feePerByte, executionFeeFactor } = await n3Api.getFeeInformation(
+    client,
+  )
+  txn.networkFee = n3Api.calculateNetworkFee(
+    txn,
+    feePerByte,
+    executionFeeFactor,
+  )
+  await applyN3Priority(txn, client, { priorityFee, validUntilBlockWindow })
+
+  const verificationScript = n3U.HexString.fromBase64(
+    account.contract.script,
+  ).toBigEndian()
+
+  return createSigningContext(
+    txn,
+    networkMagic,
+    verificationScript === PLACEHOLDER_VERIFICATION_SCRIPT
+      ? []
+      : [verificationScript],
+  )
+}
+
+type N3TransferBatch = {
+  entries: Array<SendEntryType>,
+  script: string,
+}
+
+/**
+ * Splits the transfers of `sendEntries` into as many transactions as needed
+ * to stay under the size limit. Each transfer is asserted, so a transfer the
+ * token contract refuses fails its whole transaction instead of being skipped.
+ */
+export const buildN3TransferBatches = async ({
+  sendEntries,
+  account,
+  tokens,
+  tokensBalanceMap,
+  client,
+}: {
+  sendEntries: Array<SendEntryType>,
+  account: Object,
+  tokens: Array<TokenItemType>,
+  tokensBalanceMap: Object,
+  client: Object,
+}): Promise<Array<N3TransferBatch>> => {
+  const entries = sendEntries.filter(({ amount }) => !!amount)
+  const intents = buildNep17IntentsFromEntries(
+    entries,
+    tokens,
+    tokensBalanceMap,
+    { account },
+  )
+  const contractHashes = uniq(intents.map(({ contractHash }) => contractHash))
+  const tokenInfos = await n3Api.getTokenInfos(contractHashes, client)
+
+  const batches = []
+  let current
+  intents.forEach((intent, index) => {
+    const { decimals } = tokenInfos[contractHashes.indexOf(intent.contractHash)]
+    const script = new n3Sc.ScriptBuilder()
+      .emitContractCall(
+        new n3Sc.Nep17Contract(intent.contractHash).transfer(
+          account.address,
+          intent.to,
+          n3U.BigInteger.fromDecimal(intent.decimalAmt, decimals),
+        ),
+      )
+      .emit(n3Sc.OpCode.ASSERT)
+      .build()
+
+    if (
+      !current ||
+      current.entries.length >= MAX_N3_TRANSFERS_PER_TRANSACTION ||
+      (current.script.length + script.length) / 2 > MAX_N3_TRANSFERS_SCRIPT_SIZE
+    ) {
+      current = { entries: [], script: '' }
+      batches.push(current)
+    }
+    current.entries.push(entries[index])
+    current.script += script
+  })
+  return batches
+}
+
+const buildN3BatchTransaction = (batch: N3TransferBatch, account: Object) =>
+  new n3Api.TransactionBuilder()
+    .addScript(batch.script)
+    .addBasicSignatureField(account)
+    .build()
+
+/**
+ * Calculates the fees of sending `sendEntries`. Large batches are split into
+ * several transactions, the fees returned are their sum. The priority fee is
+ * paid on top of the network fee of each transaction. The scripts are run
+ * with our signers, their outcome is returned as `preview`.
+ */
 export const calculateN3Fees = ({
   sendEntries,
+  priorityFee = 0,
 }: {
   sendEntries: Array<SendEntryType>,
+  priorityFee?: number,
 }) => (dispatch: DispatchType, getState: GetStateType): Promise<*> =>
   new Promise(async (resolve, reject) => {
     try {
       const state = getState()
       const net = getNetwork(state)
       const wif = getWIF(state)
-      const FROM_ACCOUNT = new n3Wallet.Account(wif)
+      const FROM_ACCOUNT = getN3SendingAccount(state, wif)
       const tokenBalances = getTokenBalances(state)
       const tokensBalanceMap = keyBy(tokenBalances, 'symbol')
       const { tokens } = state.spunky.settings.data
@@ -241,60 +509,56 @@ export const calculateN3Fees = ({
       }
       const client = new n3Rpc.NeoServerRpcClient(endpoint)
 
-      const intents = buildNep17IntentsFromEntries(
+      const batches = await buildN3TransferBatches({
         sendEntries,
+        account: FROM_ACCOUNT,
         tokens,
         tokensBalanceMap,
-        { account: FROM_ACCOUNT },
-      )
-
-      const txBuilder = new n3Api.TransactionBuilder()
-      for (const intent of intents) {
-        if (intent.decimalAmt) {
-          const [tokenInfo] = await n3Api.getTokenInfos(
-            [intent.contractHash],
-            client,
-          )
-          const amt = n3U.BigInteger.fromDecimal(
-            intent.decimalAmt,
-            tokenInfo.decimals,
-          )
-          txBuilder.addNep17Transfer(
-            intent.from,
-            intent.to,
-            intent.contractHash,
-            amt,
-          )
-        }
-      }
+        client,
+      })
       const { feePerByte, executionFeeFactor } = await n3Api.getFeeInformation(
         client,
       )
 
-      const txn = txBuilder.build()
+      let systemFee = n3U.BigInteger.fromNumber(0)
+      let networkFee = n3U.BigInteger.fromNumber(0)
+      const invokeResults = []
+      for (const batch of batches) {
+        const txn = buildN3BatchTransaction(batch, FROM_ACCOUNT)
 
-      const networkFee = await n3Api.calculateNetworkFee(
-        txn,
-        feePerByte,
-        executionFeeFactor,
-      )
+        networkFee = networkFee
+          .add(n3Api.calculateNetworkFee(txn, feePerByte, executionFeeFactor))
+          .add(n3U.BigInteger.fromDecimal(priorityFee, 8))
 
-      const invokeFunctionResponse = await client.invokeScript(
-        n3U.HexString.fromHex(txn.script),
-        [
-          {
-            account: FROM_ACCOUNT.scriptHash,
-            scopes: tx.WitnessScope.CalledByEntry,
-          },
-        ],
-      )
-      const requiredSystemFee = n3U.BigInteger.fromNumber(
-        invokeFunctionResponse.gasconsumed,
+        const invokeFunctionResponse = await client.invokeScript(
+          n3U.HexString.fromHex(txn.script),
+          [
+            {
+              account: FROM_ACCOUNT.scriptHash,
+              scopes: tx.WitnessScope.CalledByEntry,
+            },
+          ],
+        )
+        systemFee = systemFee.add(
+          n3U.BigInteger.fromNumber(invokeFunctionResponse.gasconsumed),
+        )
+        invokeResults.push(invokeFunctionResponse)
+      }
+
+      const preview = await getInvocationPreview(
+        mergeInvocationResults(invokeResults),
+        {
+          sender: FROM_ACCOUNT.address,
+          tokens: getTokenInfoMap(tokenBalances),
+          client,
+        },
       )
 
       return resolve({
-        systemFee: requiredSystemFee.toDecimal(8),
+        systemFee: systemFee.toDecimal(8),
         networkFee: networkFee.toDecimal(8),
+        transactionCount: batches.length,
+        preview,
       })
     } catch (e) {
       console.error(e)
@@ -302,15 +566,258 @@ export const calculateN3Fees = ({
     }
   })
 
+/**
+ * Sends a bulk payout, split into as many transactions as needed. A failed
+ * transaction does not stop the ones after it, the result of each entry is
+ * returned in the order of `sendEntries`.
+ */
+export const sendN3Payouts = ({
+  sendEntries,
+  onProgress = noop,
+}: {
+  sendEntries: Array<SendEntryType>,
+  onProgress?: (done: number, total: number) => any,
+}) => async (
+  dispatch: DispatchType,
+  getState: GetStateType,
+): Promise<Array<{ txid?: string, error?: string }>> => {
+  const state = getState()
+  const net = getNetwork(state)
+  const wif = getWIF(state)
+  const publicKey = getPublicKey(state)
+  const isHardwareSend = getIsHardwareLogin(state)
+  const signingFunction = getSigningFunction(state)
+  const tokensBalanceMap = keyBy(getTokenBalances(state), 'symbol')
+  const { tokens } = state.spunky.settings.data
+
+  if (!wif && !isHardwareSend) {
+    throw new Error('Bulk payouts can not be sent from a watch-only account.')
+  }
+  const FROM_ACCOUNT = getN3SendingAccount(
+    state,
+    isHardwareSend ? publicKey : wif,
+  )
+
+  let endpoint = await getNode(net)
+  if (!endpoint) {
+    endpoint = await getRPCEndpoint(net)
+  }
+  const client = new n3Rpc.NeoServerRpcClient(endpoint)
+  const facade = await n3Api.NetworkFacade.fromConfig({ node: endpoint })
+  const signingConfig = {
+    signingCallback: isHardwareSend
+      ? signingFunction
+      : n3Api.signWithAccount(FROM_ACCOUNT),
+  }
+
+  const batches = await buildN3TransferBatches({
+    sendEntries,
+    account: FROM_ACCOUNT,
+    tokens,
+    tokensBalanceMap,
+    client,
+  })
+
+  const results = []
+  for (let index = 0; index < batches.length; index += 1) {
+    const batch = batches[index]
+    onProgress(index, batches.length)
+    try {
+      const txn = buildN3BatchTransaction(batch, FROM_ACCOUNT)
+      const { state: vmState, exception } = await client.invokeScript(
+        txn.script,
+        txn.signers,
+      )
+      if (vmState === 'FAULT') {
+        throw new Error(`The transaction would fail: ${exception}`)
+      }
+      const { valid } = await facade.validate(txn)
+      if (!valid) {
+        throw new Error('Unable to validate transaction')
+      }
+      const txid = await client.sendRawTransaction(
+        await facade.sign(txn, signingConfig),
+      )
+
+      dispatch(
+        addPendingTransaction.call({
+          address: FROM_ACCOUNT.address,
+          tx: {
+            hash: txid,
+            txid,
+            sendEntries: batch.entries,
+            validUntilBlock: txn.validUntilBlock,
+          },
+          net,
+        }),
+      )
+      batch.entries.forEach(() => results.push({ txid }))
+    } catch (e) {
+      console.error(e)
+      batch.entries.forEach(() => results.push({ error: e.message }))
+    }
+  }
+  onProgress(batches.length, batches.length)
+  return results
+}
+
+/**
+ * Replaces a pending N3 transaction of the current account with one carrying
+ * the `Conflicts` attribute and a higher network fee, so nodes drop the
+ * original. Speeding up sends the same transfers again, cancelling sends 0 GAS
+ * to the account itself so only the fees are spent.
+ */
+export const replaceN3Transaction = ({
+  hash,
+  cancel = false,
+}: {
+  hash: string,
+  cancel?: boolean,
+}) => async (
+  dispatch: DispatchType,
+  getState: GetStateType,
+): Promise<string> => {
+  const state = getState()
+  const net = getNetwork(state)
+  const wif = getWIF(state)
+  const publicKey = getPublicKey(state)
+  const isHardwareSend = getIsHardwareLogin(state)
+  const signingFunction = getSigningFunction(state)
+  const tokenBalances = getTokenBalances(state)
+  const tokensBalanceMap = keyBy(tokenBalances, 'symbol')
+  const { tokens } = state.spunky.settings.data
+
+  if (!wif && !isHardwareSend) {
+    throw new Error(
+      'Transactions can not be replaced from a watch-only account.',
+    )
+  }
+  const FROM_ACCOUNT = getN3SendingAccount(
+    state,
+    isHardwareSend ? publicKey : wif,
+  )
+
+  const pending = ((await getPendingTransactions()) || {})[FROM_ACCOUNT.address]
+  // use includes here to be indifferent to 0x prefix
+  const original = (pending || []).find(
+    transaction => transaction && transaction.hash.includes(hash),
+  )
+
+  let endpoint = await getNode(net)
+  if (!endpoint) {
+    endpoint = await getRPCEndpoint(net)
+  }
+  const client = new n3Rpc.RPCClient(endpoint)
+  // only a transaction that is still in the memory pool can be replaced
+  const originalTx =
+    original &&
+    (await client.getRawTransaction(original.hash, true).catch(() => null))
+  if (!original || !originalTx || originalTx.blockhash) {
+    throw new Error('The transaction is no longer pending.')
+  }
+
+  const sendEntries = cancel
+    ? [{ address: FROM_ACCOUNT.address, amount: 0, symbol: 'GAS' }]
+    : original.sendEntries
+  if (!sendEntries || !sendEntries.length) {
+    throw new Error('Only transfers sent from this wallet can be sped up.')
+  }
+  const txBuilder = new n3Api.TransactionBuilder()
+  if (cancel) {
+    txBuilder.addNep17Transfer(
+      FROM_ACCOUNT,
+      FROM_ACCOUNT.address,
+      Object.keys(N3_NATIVE_TOKENS).find(
+        contractHash => N3_NATIVE_TOKENS[contractHash].symbol === 'GAS',
+      ),
+      n3U.BigInteger.fromNumber(0),
+    )
+  } else {
+    await addNep17Transfers(
+      txBuilder,
+      buildNep17IntentsFromEntries(sendEntries, tokens, tokensBalanceMap, {
+        account: FROM_ACCOUNT,
+      }),
+      client,
+    )
+  }
+
+  const txn = txBuilder.build()
+  const facade = await n3Api.NetworkFacade.fromConfig({ node: endpoint })
+  const { valid } = await facade.validate(txn)
+  if (!valid) {
+    throw new Error('Unable to validate transaction')
+  }
+
+  // the attribute can only be added once the fees are known as neon-js fails
+  // to copy it when estimating them, so its bytes are paid for here
+  const { feePerByte } = await n3Api.getFeeInformation(client)
+  txn.attributes.push(createConflictsAttribute(original.hash))
+  txn.networkFee = getReplacementNetworkFee(
+    txn.networkFee.add(feePerByte.mul(CONFLICTS_ATTRIBUTE_SIZE)),
+    originalTx.netfee,
+    feePerByte,
+  )
+
+  const feeError = validateTransactionsBeforeSending(
+    { ...getAssetBalances(state), ...getTokenBalancesMap(tokenBalances) },
+    cancel ? [] : sendEntries,
+    { chain: 'neo3', fees: txn.systemFee.add(txn.networkFee).toDecimal(8) },
+  )
+  if (feeError) {
+    throw new Error(feeError)
+  }
+
+  if (isHardwareSend) {
+    dispatch(
+      showInfoNotification({
+        message: 'Please sign the transaction on your hardware device',
+        autoDismiss: 0,
+      }),
+    )
+  }
+  const signedTxn = await facade.sign(txn, {
+    signingCallback: isHardwareSend
+      ? signingFunction
+      : n3Api.signWithAccount(FROM_ACCOUNT),
+  })
+  const txid = await client.sendRawTransaction(signedTxn)
+
+  await pruneConfirmedOrStaleTransaction(FROM_ACCOUNT.address, original.hash)
+  dispatch(
+    addPendingTransaction.call({
+      address: FROM_ACCOUNT.address,
+      tx: {
+        hash: txid,
+        txid,
+        sendEntries,
+        validUntilBlock: txn.validUntilBlock,
+      },
+      net,
+    }),
+  )
+  dispatch(
+    showSuccessNotification({
+      message: cancel
+        ? 'Cancellation sent! The original transaction will be dropped once it is processed.'
+        : 'Transaction resent with a higher fee! It replaces the original one.',
+    }),
+  )
+  return txid
+}
+
 export const sendTransaction = ({
   sendEntries,
   fees = 0,
   isWatchOnly,
+  validUntilBlockWindow,
 }: {
   sendEntries: Array<SendEntryType>,
   fees: number,
   isWatchOnly?: boolean,
   chain: string,
+  // N3 only, `fees` is then paid on top of the minimum network fee
+  validUntilBlockWindow?: number,
 }) => (dispatch: DispatchType, getState: GetStateType): Promise<*> => {
   const state = getState()
   const wif = getWIF(state)
@@ -329,6 +836,15 @@ export const sendTransaction = ({
   return chain === 'neo3'
     ? new Promise(async (resolve, reject) => {
         try {
+          const error = validateTransactionsBeforeSending(
+            balances,
+            sendEntries,
+            { chain },
+          )
+          if (error) {
+            throw new Error(error)
+          }
+
           if (!isWatchOnly)
             dispatch(
               showInfoNotification({
@@ -337,6 +853,42 @@ export const sendTransaction = ({
               }),
             )
 
+          const FROM_ACCOUNT = getN3SendingAccount(
+            state,
+            isHardwareSend ? publicKey : wif,
+          )
+
+          // watch-only transfers (including the ones of multi-signature
+          // accounts) are exported unsigned, so they can be signed on another
+          // machine or by the co-signers before being broadcast
+          if (isWatchOnly) {
+            let endpoint = await getNode(net)
+            if (!endpoint) {
+              endpoint = await getRPCEndpoint(net)
+            }
+            const txBuilder = new n3Api.TransactionBuilder()
+            await addNep17Transfers(
+              txBuilder,
+              buildNep17IntentsFromEntries(
+                sendEntries,
+                tokens,
+                tokensBalanceMap,
+                {
+                  account: FROM_ACCOUNT,
+                },
+              ),
+              new n3Rpc.RPCClient(endpoint),
+            )
+            const context = await buildN3SigningContext({
+              net,
+              account: FROM_ACCOUNT,
+              txBuilder,
+              priorityFee: fees,
+              validUntilBlockWindow,
+            })
+            return resolve({ tx: context })
+          }
+
           let endpoint = await getNode(net)
           if (!endpoint) {
             endpoint = await getRPCEndpoint(net)
@@ -356,10 +908,6 @@ export const sendTransaction = ({
             version.magic ||
             860833102
 
-          const FROM_ACCOUNT = new n3Wallet.Account(
-            isHardwareSend ? publicKey : wif,
-          )
-
           const CONFIG = {
             account: FROM_ACCOUNT,
             rpcAddress: endpoint,
@@ -392,10 +940,29 @@ export const sendTransaction = ({
             CONFIG,
           )
 
-          const results = await facade.transferToken(
-            nep17Intents,
-            signingConfig,
+          const txBuilder = new n3Api.TransactionBuilder()
+          await addNep17Transfers(txBuilder, nep17Intents, facade.getRpcNode())
+          const txn = txBuilder.build()
+          const { valid } = await facade.validate(txn)
+          if (!valid) {
+            throw new Error('Unable to validate transaction')
+          }
+          await applyN3Priority(txn, facade.getRpcNode(), {
+            priorityFee: fees,
+            validUntilBlockWindow,
+          })
+          const feeError = validateTransactionsBeforeSending(
+            balances,
+            sendEntries,
+            { chain, fees: txn.systemFee.add(txn.networkFee).toDecimal(8) },
           )
+          if (feeError) {
+            throw new Error(feeError)
+          }
+
+          const results = await facade
+            .getRpcNode()
+            .sendRawTransaction(await facade.sign(txn, signingConfig))
 
           dispatch(
             showSuccessNotification({
@@ -412,6 +979,7 @@ export const sendTransaction = ({
                   hash: results,
                   txid: results,
                   sendEntries,
+                  validUntilBlock: txn.validUntilBlock,
                 },
                 net,
               }),
@@ -432,7 +1000,10 @@ export const sendTransaction = ({
         const rejectTransaction = (message: string) =>
           dispatch(showErrorNotification({ message }))
 
-        const error = validateTransactionsBeforeSending(balances, sendEntries)
+        const error = validateTransactionsBeforeSending(balances, sendEntries, {
+          chain,
+          fees: String(fees),
+        })
 
         if (error) {
           console.error({ error })
@@ -586,3 +1157,79 @@ export const sendTransaction = ({
         }
       })
 }
+
+/**
+ * Signs a transaction signing request with the account that is logged in
+ * (software or Ledger) and returns the request with the signature added.
+ */
+export const signN3SigningContext = (context: SigningContext) => async (
+  dispatch: DispatchType,
+  getState: GetStateType,
+): Promise<SigningContext> => {
+  const state = getState()
+
+  if (getIsHardwareLogin(state)) {
+    const publicKey = n3Wallet.getPublicKeyEncoded(getPublicKey(state))
+    const signingFunction = getSigningFunction(state)
+    const transaction = getTransactionFromContext(context)
+    // the Ledger app checks the witness it is asked to sign against its own
+    // key, so a single signature witness is used regardless of the signer
+    transaction.witnesses = [
+      new tx.Witness({
+        invocationScript: '',
+        verificationScript: n3Wallet.getVerificationScriptFromPublicKey(
+          publicKey,
+        ),
+      }),
+    ]
+    const notificationId: any = dispatch(
+      showInfoNotification({
+        message: 'Please sign the transaction on your hardware device',
+        autoDismiss: 0,
+      }),
+    )
+    try {
+      const signature = await signingFunction(transaction, {
+        network: context.network,
+        witnessIndex: 0,
+      })
+      return addSignatureToContext(context, publicKey, signature)
+    } finally {
+      dispatch(hideNotification(notificationId))
+    }
+  }
+
+  const account = new n3Wallet.Account(getWIF(state))
+  return addSignatureToContext(
+    context,
+    account.publicKey,
+    n3Wallet.sign(getMessageForSigning(context), account.privateKey),
+  )
+}
+
+export const broadcastN3SigningContext = (context: SigningContext) => async (
+  dispatch: DispatchType,
+  getState: GetStateType,
+): Promise<string> => {
+  const net = getNetwork(getState())
+  const transaction = buildSignedTransaction(context)
+
+  let endpoint = await getNode(net)
+  if (!endpoint) {
+    endpoint = await getRPCEndpoint(net)
+  }
+
+  const client = new n3Rpc.RPCClient(endpoint)
+  if ((await getN3NetworkMagic(client)) !== context.network) {
+    throw new Error('This transaction was signed for another network.')
+  }
+  const hash = await client.sendRawTransaction(transaction)
+
+  dispatch(
+    showSuccessNotification({
+      message:
+        'Transaction pending! Your balance will automatically update when the blockchain has processed it.',
+    }),
+  )
+  return hash
+}
@@ -36,6 +36,16 @@ const MISCELLANEOUS = {
   modifyDetails: 'تعديل التفاصيل',
   removeContact: 'إزالة جهة إتصال',
   saveContactButtonText: 'حفظ جهة الاتصال',
+  enterAnAddressLabel: 'التسمية (اختياري)...',
+  addContactAddress: 'إضافة عنوان',
+  removeContactAddress: 'إزالة',
+  contactTags: 'الوسوم',
+  enterContactTags: 'افصل الوسوم بفواصل...',
+  contactNotes: 'ملاحظات',
+  contactsSearch: 'البحث في جهات الاتصال...',
+  contactsAllTags: 'كل الوسوم',
+  contactsImport: 'استيراد',
+  contactsExport: 'تصدير',
 
   editContactDisclaimer:
     'الرجاء قم بالمراجعة والتأكد من أنك أدخلت العنوان بشكل صحيح تجنباً لخسارة أموالك',
@@ -113,6 +123,8 @@ const ERRORS = {
   'errors.contact.nameDupe': 'لديك بالفعل حساب محفوظ بهذا الاسم.',
   'errors.contact.invalidAddress': 'العنوان غير صالح.',
   'errors.contact.contactExists': 'لديك بالفعل اتصال بهذا العنوان.',
+  'errors.contact.blocked':
+    'هذا العنوان موجود في قائمة حظر التصيد ولا يمكن حفظه كجهة اتصال.',
 
   'errors.password.length': `يجب أن تحتوي عبارة المرور على 4 أحرف على الأقل`,
   'errors.password.match': 'يجب أن تتطابق عبارات المرور',
@@ -134,6 +146,9 @@ const ERRORS = {
   'errors.send.invalidN3Address': 'تحتاج إلى تحديد عنوان NEO N3 صالح.',
   'errors.send.blackListed':
     'تم إدراج العنوان في القائمة السوداء. هذا عنوان تصيد معروف.',
+  'errors.send.blockedContract':
+    '{asset} موجود في قائمة حظر التصيد. عقده عملية احتيال معروفة.',
+  'errors.send.unresolvedName': 'لا يشير {name} إلى عنوان N3.',
 }
 
 const NOTIFICATIONS = {
@@ -161,6 +176,12 @@ const AUTH = {
   authLedgerFirstStep: 'قم بتوصيل وإلغاء قفل محفظة ليدجر',
   authLedgerSecondStep: 'انتقل إلى تطبيق NEO على جهازك',
   authLedgerAddressLabel: 'المفتاح العمومي',
+  unlockTitle: 'المحفظة مقفلة',
+  unlockInstructions: 'أدخل كلمة مرور {address} لفتحها.',
+  unlockButton: 'فتح',
+  storageUnlockTitle: 'Neon مقفل',
+  storageUnlockInstructions:
+    'أدخل كلمة المرور الرئيسية لفك تشفير محافظك وإعداداتك.',
 }
 
 const WALLET_CREATION = {
@@ -182,6 +203,155 @@ const WALLET_CREATION = {
   addressLabel: 'العنوان العام',
   splitKeyLabel: 'SPLIT KEY',
   recoverWalletLabel: 'RECOVER WALLET',
+  recoveryPhraseLabel: 'عبارة الاسترداد',
+  mnemonicCreateInstructions:
+    'اكتب هذه الكلمات الـ 24 بالترتيب واحفظها في مكان آمن. إنها النسخة الاحتياطية الوحيدة التي تحتاجها لاسترداد كل حساب مشتق من هذه العبارة.',
+  mnemonicImportInstructions:
+    'أدخل عبارة الاسترداد لاستعادة الحسابات المشتقة منها.',
+  mnemonicBackupConfirmation: 'لقد قمت بتدوين عبارة الاسترداد الخاصة بي',
+  mnemonicAccountCountLabel: 'عدد الحسابات',
+  multiSigLabel: 'متعدد التوقيع',
+  multiSigInstructions:
+    'أدخل المفتاح العام لكل موقّع مشارك، مفتاح واحد في كل سطر، وعدد التوقيعات المطلوبة للمعاملة. تتم إضافة الحساب للمشاهدة فقط ويتم تصدير معاملاته ليقوم كل موقّع مشارك بتوقيعها.',
+  multiSigPublicKeysLabel: 'المفاتيح العامة',
+  multiSigThresholdLabel: 'التوقيعات المطلوبة (من {keyCount})',
+  multiSigAddressPreview: 'عنوان متعدد التوقيع:',
+  keySharesLabel: 'أجزاء المفتاح',
+  keySharesImportInstructions:
+    'أدخل أجزاء مفتاح الحساب، جزءًا في كل سطر، أو حمّلها من ملفات مشفرة أو رموز QR. يلزم عدد الأجزاء نفسه الذي تم تحديده عند تقسيم المفتاح.',
+  keySharesInputLabel: 'أجزاء المفتاح',
+  keySharesCount: 'تم إدخال {count} من {threshold} أجزاء مطلوبة',
+  keySharesScanQr: 'مسح رمز QR',
+  keySharesLoadFile: 'تحميل ملف',
+  keySharesPanelHeader: 'تقسيم المفتاح الخاص',
+  keySharesSplitInstructions:
+    'قسّم المفتاح الخاص لحساب إلى أجزاء يحتفظ بها أشخاص مختلفون. لا يمكن إعادة بناء الحساب إلا بالعدد المطلوب من الأجزاء، والأجزاء الأقل لا تكشف شيئًا عن المفتاح.',
+  keySharesExportInstructions:
+    'أعطِ كل جزء لشخص مختلف كرمز QR أو نص أو ملف مشفر. يمكن لأي شخص يملك العدد المطلوب من الأجزاء استيراد الحساب.',
+  keySharesShareCountLabel: 'عدد الأجزاء',
+  keySharesThresholdLabel: 'الأجزاء المطلوبة لإعادة البناء',
+  keySharesSplitButton: 'تقسيم المفتاح',
+  keySharesShareTitle: 'الجزء {index} من {count}',
+  keySharesCopy: 'نسخ',
+  keySharesSaveFile: 'حفظ الملف المشفر',
+  keySharesDone: 'تم',
+  changePassphraseLink: 'تغيير كلمة المرور',
+  changePassphrasePanelHeader: 'تغيير كلمة المرور',
+  changePassphraseInstructions:
+    'أعد تشفير مفاتيح الحسابات التي تشترك في كلمة مرور باستخدام كلمة مرور جديدة. تحتفظ الحسابات غير المحددة بكلمة المرور الحالية.',
+  changePassphraseAccountsLabel: 'الحسابات',
+  changePassphraseCurrentLabel: 'كلمة المرور الحالية',
+  changePassphraseNewLabel: 'كلمة المرور الجديدة',
+  changePassphraseScryptLabel: 'معلمات scrypt (N, r, p)',
+  changePassphraseButton: 'تغيير كلمة المرور',
+  changePassphraseProgress: 'جارٍ إعادة التشفير {done} من {total}...',
+  bulkPayoutLink: 'دفع جماعي',
+  bulkPayoutPanelHeader: 'دفع جماعي',
+  bulkPayoutInstructions:
+    'حمّل ملف CSV أو JSON بدفعة واحدة في كل صف: العنوان والرمز والمبلغ. يتم فحص كل صف قبل الإرسال.',
+  bulkPayoutReportInstructions:
+    'يعرض كل صف المعاملة التي دفعته أو سبب فشله. صدّر التقرير للاحتفاظ بسجل.',
+  bulkPayoutLoadFile: 'تحميل CSV أو JSON',
+  bulkPayoutAddress: 'العنوان',
+  bulkPayoutToken: 'الرمز',
+  bulkPayoutAmount: 'المبلغ',
+  bulkPayoutStatus: 'الحالة',
+  bulkPayoutRowCount: '{count} صفوف، {invalid} بها أخطاء',
+  bulkPayoutFees: 'الرسوم: {fee} GAS في {count} معاملات',
+  bulkPayoutProgress: 'جارٍ إرسال المعاملة {done} من {total}...',
+  bulkPayoutSend: 'إرسال الدفعة',
+  bulkPayoutReportSummary: 'تم دفع {sent} صفوف، فشل {failed}',
+  bulkPayoutExportCsv: 'تصدير CSV',
+  bulkPayoutExportJson: 'تصدير JSON',
+  bulkPayoutDone: 'تم',
+  recurringPaymentsLink: 'متكررة',
+  recurringPaymentsHeader: 'المدفوعات المتكررة',
+  recurringPaymentsInstructions:
+    'احفظ المدفوعات التي تجريها وفق جدول. عند حلول موعد إحداها سيتم تذكيرك بمراجعتها وإرسالها. يتم التذكير بالمدفوعات التي يحل موعدها أثناء قفل المحفظة عند فتحها.',
+  recurringPaymentsNew: 'دفعة جديدة',
+  recurringPaymentsName: 'الاسم',
+  recurringPaymentsRecipients: 'المستلمون',
+  recurringPaymentsSchedule: 'الجدول',
+  recurringPaymentsNextDue: 'الاستحقاق التالي',
+  recurringPaymentsLastPaid: 'آخر دفع {date}',
+  recurringPaymentsEmpty: 'لا توجد مدفوعات متكررة بعد.',
+  recurringPaymentsPay: 'ادفع',
+  recurringPaymentsSkip: 'تخطَّ',
+  recurringPaymentsEdit: 'تعديل',
+  recurringPaymentsDelete: 'حذف',
+  recurringPaymentsMonthly: 'شهري',
+  recurringPaymentsCron: 'تعبير cron',
+  recurringPaymentsMonthlyOn: 'شهريًا في اليوم {day}',
+  recurringPaymentsDayOfMonth: 'يوم الشهر',
+  recurringPaymentsAddRecipient: 'إضافة مستلم',
+  recurringPaymentsRemoveRecipient: 'إزالة',
+  recurringPaymentsFee: 'رسوم الأولوية بعملة GAS (اختياري)',
+  recurringPaymentsSave: 'حفظ الدفعة',
+  dappPermissionsHeader: 'تطبيقات dApp المتصلة',
+  dappPermissionsInstructions:
+    'اختر ما يمكن لكل تطبيق dApp متصل القيام به. يتم رفض الطلبات خارج هذه الأذونات دون سؤالك.',
+  dappPermissionsEmpty: 'لا توجد تطبيقات dApp متصلة.',
+  dappPermissionsLastActivity: 'آخر نشاط {date}',
+  dappPermissionsNoActivity: 'لا يوجد نشاط بعد',
+  dappPermissionsApproval: 'الموافقة',
+  dappPermissionsAutoReadOnly: 'الموافقة تلقائيًا على طلبات القراءة فقط',
+  dappPermissionsAlwaysAsk: 'اسأل دائمًا',
+  dappPermissionsMethods: 'الطرق المسموح بها',
+  dappPermissionsContracts: 'العقود المسموح بها',
+  dappPermissionsAnyContract: 'أي عقد، أو تجزئات نصوص مفصولة بفواصل',
+  dappPermissionsCaps: 'حدود الإنفاق اليومية',
+  dappPermissionsCapAmount: 'المبلغ في اليوم',
+  dappPermissionsAddCap: 'إضافة حد',
+  dappPermissionsRemoveCap: 'إزالة',
+  dappPermissionsDisconnect: 'قطع الاتصال',
+  dappPermissionsRevoke: 'إلغاء الأذونات',
+  dappPermissionsSave: 'حفظ',
+  localConnectorHeader: 'الموصل المحلي',
+  localConnectorInstructions:
+    'يسمح للصفحات والأدوات على هذا الكمبيوتر بإرسال طلبات dApp عبر HTTP أو WebSocket على 127.0.0.1 دون مرحّل WalletConnect. يجب إقران المصدر قبل أن يتمكن من إرسال الطلبات، وتتم الموافقة على الطلبات مثل طلبات تطبيقات dApp المتصلة.',
+  localConnectorEnabled: 'تفعيل الموصل المحلي',
+  localConnectorPort: 'المنفذ',
+  localConnectorSave: 'حفظ',
+  localConnectorInvalidPort: 'يجب أن يكون المنفذ رقمًا بين 1024 و 65535.',
+  localConnectorStopped: 'متوقف',
+  localConnectorNeedsN3: 'يبدأ بمجرد تسجيل الدخول إلى حساب N3',
+  localConnectorFailed: 'تعذر البدء: {error}',
+  localConnectorRunning: 'يستمع على {address}',
+  localConnectorPairedOrigins: 'المصادر المقترنة',
+  localConnectorNoOrigins: 'لا توجد مصادر مقترنة بعد.',
+  localConnectorUnpair: 'إلغاء الإقران',
+  localConnectorLog: 'سجل الطلبات',
+  localConnectorEmptyLog: 'لا توجد طلبات بعد.',
+  localConnectorClearLog: 'مسح',
+  invokeContractHeader: 'استدعاء عقد',
+  invokeContractInstructions:
+    'استدعِ أي دالة في عقد N3 دون كتابة تطبيق dApp. يتم اختبار الاستدعاء أولاً، ثم يمكن توقيعه وإرساله بنطاق الموقّع الذي تختاره.',
+  invokeContractPresets: 'الإعدادات المسبقة',
+  invokeContractLoadPreset: 'تحميل إعداد مسبق',
+  invokeContractDeletePreset: 'حذف',
+  invokeContractNoPresets: 'لا توجد إعدادات مسبقة محفوظة على هذه الشبكة.',
+  invokeContractHash: 'تجزئة العقد',
+  invokeContractLoad: 'تحميل',
+  invokeContractInvalidHash: 'أدخل تجزئة عقد من 40 حرفًا سداسيًا عشريًا.',
+  invokeContractMethod: 'الدالة',
+  invokeContractParameters: 'المعاملات',
+  invokeContractNoParameters: 'هذه الدالة ليس لها معاملات.',
+  invokeContractAddItem: 'إضافة عنصر',
+  invokeContractAddEntry: 'إضافة إدخال',
+  invokeContractRemove: 'إزالة',
+  invokeContractKey: 'المفتاح',
+  invokeContractValue: 'القيمة',
+  invokeContractScope: 'نطاق الموقّع',
+  invokeContractAllowedContracts: 'العقود المسموح بها',
+  invokeContractTestInvoke: 'اختبار الاستدعاء',
+  invokeContractSend: 'التوقيع والإرسال',
+  invokeContractPresetName: 'اسم الإعداد المسبق',
+  invokeContractSavePreset: 'حفظ الإعداد المسبق',
+  invokeContractResult: 'النتيجة',
+  invokeContractState: 'الحالة: {state}',
+  invokeContractGasConsumed: 'GAS المستهلك: {gas}',
+  invokeContractException: 'استثناء: {exception}',
+  invokeContractEmptyStack: 'المكدس فارغ.',
   print: 'طباعة',
   generateQrCodes: 'QRتوليد رمز ',
   copyCodeImage: 'نسخ صورة الكود',
@@ -233,6 +403,12 @@ const MANAGE_WALLETS = {
 const ACTIVITY = {
   activityAddAddress: 'إضافة',
   activityViewTx: 'عرض',
+  activitySpeedUpTx: 'تسريع',
+  activityCancelTx: 'إلغاء',
+  activitySpeedUpTxConfirm:
+    'سيتم إرسال التحويل مرة أخرى برسوم شبكة أعلى ليحل محل التحويل المعلق.',
+  activityCancelTxConfirm:
+    'سيحل تحويل 0 GAS إلى نفسك محل التحويل المعلق. سيتم إنفاق رسوم الشبكة فقط.',
   activityPageLabel: 'كافة الأنشطة',
   activityExport: 'تصدير',
 }
@@ -257,6 +433,10 @@ const REQUEST_ASSETS = {
   requestAssetDepositLabel: 'إيداع إلى هذه المحفظة',
   requestAssetRefLabel: 'المرجع',
   requestAssetRefPlaceholder: 'أضف ملاحظة',
+  requestAssetFee: 'رسوم الشبكة (GAS)',
+  requestAssetFeePlaceholder: 'اختياري',
+  requestAssetsFeeLabel: 'رسوم الشبكة',
+  receiveCopyLinkButton: 'نسخ الرابط',
   requestAssetQRButton: 'توليد رمز QR',
   requestAssetYourQRHeader: 'رمز QR الخاص بك',
   requestAssetsPaymentDetails: 'تفاصيل طلب المدفوعات الخاص بك',
@@ -270,6 +450,18 @@ const REQUEST_ASSETS = {
 const TRANSACTION_FEE = {
   transactionFeeQuestion:
     'تعطي الأولوية لعمليات التحويل الخاصة بك مقابل الرسوم؟',
+  transactionLifespanQuestion:
+    'كم عدد الكتل التي يجب أن تظل المعاملة صالحة خلالها؟',
+  transactionLifespanDuration: 'حوالي {minutes} دقيقة',
+  n3PriorityFeeIncluded: 'تتضمن رسوم أولوية بقيمة {fee} GAS',
+  invocationPreviewTitle: 'تغييرات الرصيد',
+  invocationPreviewYou: 'حسابك',
+  invocationPreviewGasBurned: 'يتم حرق {gas} GAS لتشغيل المعاملة',
+  invocationPreviewFault:
+    'ستفشل المعاملة (FAULT) ولن تُنفق سوى الرسوم. {exception}',
+  nnsResolvedTo: 'يشير {name} إلى {address}',
+  nnsTargetChanged:
+    'كان {name} يشير إلى {previousAddress} آخر مرة استخدمته فيها. تحقق من صحة العنوان الجديد.',
   fast: 'سريع',
   faster: 'أسرع',
   fastest: 'الأسرع',
@@ -319,7 +511,20 @@ const SETTINGS = {
   settingCurrencyLabel: 'العملة',
   settingsThemeLabel: 'الخلفية',
   settingsSoundLabel: 'الصوت',
+  settingsAutoLockLabel: 'القفل التلقائي',
+  settingsAutoLockNever: 'أبداً',
+  settingsAutoLockMinutes:
+    'بعد {minutes, plural, one {# دقيقة} other {# دقائق}}',
+  settingsLockOnSuspendLabel: 'القفل عند السكون',
+  settingsLockOnScreenLockLabel: 'القفل مع قفل الشاشة',
+  settingsMasterPasswordLabel: 'كلمة المرور الرئيسية',
+  settingsMasterPasswordEnable: 'تعيين',
+  settingsMasterPasswordChange: 'تغيير',
   settingsEncryptLink: 'مفتاح التشفير',
+  settingsKeySharesLink: 'تقسيم مفتاح إلى أجزاء',
+  settingsDappPermissionsLink: 'تطبيقات DAPP المتصلة',
+  settingsLocalConnectorLink: 'الموصل المحلي',
+  settingsInvokeContractLink: 'استدعاء عقد',
   recoverWallet: 'مفتاح التشفير',
   settingsRecoverWalletLink: 'استرداد',
   settingsBackUpLinkLabel: 'استرجاع المحفظة',
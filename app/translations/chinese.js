@@ -34,6 +34,16 @@ const MISCELLANEOUS = {
   modifyDetails: '修改详细资料',
   removeContact: '移除联系人',
   saveContactButtonText: '储存联络人',
+  enterAnAddressLabel: '标签（可选）...',
+  addContactAddress: '添加地址',
+  removeContactAddress: '移除',
+  contactTags: '标记',
+  enterContactTags: '用逗号分隔标记...',
+  contactNotes: '备注',
+  contactsSearch: '搜索联系人...',
+  contactsAllTags: '所有标记',
+  contactsImport: '导入',
+  contactsExport: '导出',
 
   editContactDisclaimer: '请检查并确保您正确输入了地址，以免造成资金损失',
   addAContact: '添加联系人',
@@ -106,6 +116,7 @@ const ERRORS = {
   'errors.contact.nameDupe': '您已经用该名称保存了一个帐户.',
   'errors.contact.invalidAddress': '地址无效.',
   'errors.contact.contactExists': '您已经有该地址的联系人.',
+  'errors.contact.blocked': '该地址在钓鱼黑名单中，无法保存为联系人。',
   'errors.password.length': `密码短语必须至少包含{PASS_MIN_LENGTH，number}个字符`,
   'errors.password.match': '密码必须匹配',
   'errors.request.fractional': `您可以请求分数{asset}.`,
@@ -125,6 +136,8 @@ const ERRORS = {
   'errors.send.invalidAddress': '您需要指定一个有效的NEO地址.',
   'errors.send.invalidN3Address': '您需要指定一个有效的NEO N3地址.',
   'errors.send.blackListed': '地址已列入黑名单。这是已知的网络钓鱼地址。',
+  'errors.send.blockedContract': '{asset} 在钓鱼黑名单中。其合约是已知的诈骗合约。',
+  'errors.send.unresolvedName': '{name} 无法解析为 N3 地址。',
 }
 
 const NOTIFICATIONS = {
@@ -148,6 +161,11 @@ const AUTH = {
   authLedgerFirstStep: '连接并解锁您的 Ledger',
   authLedgerSecondStep: '导航到 NEO App',
   authLedgerAddressLabel: '公钥',
+  unlockTitle: '钱包已锁定',
+  unlockInstructions: '输入 {address} 的密码以解锁。',
+  unlockButton: '解锁',
+  storageUnlockTitle: 'Neon 已锁定',
+  storageUnlockInstructions: '请输入主密码以解密您的钱包和设置。',
 }
 
 const WALLET_CREATION = {
@@ -169,6 +187,149 @@ const WALLET_CREATION = {
   addressLabel: '账户地址',
   splitKeyLabel: '分割键',
   recoverWalletLabel: '复苏',
+  recoveryPhraseLabel: '助记词',
+  mnemonicCreateInstructions: '请按顺序抄写这24个单词并妥善保管。它们是恢复由该助记词派生的所有账户所需的唯一备份。',
+  mnemonicImportInstructions: '输入您的助记词以恢复由其派生的账户。',
+  mnemonicBackupConfirmation: '我已抄写我的助记词',
+  mnemonicAccountCountLabel: '账户数量',
+  multiSigLabel: '多签',
+  multiSigInstructions:
+    '输入每个共同签名人的公钥（每行一个），以及交易需要多少个签名。该账户将以仅观察模式添加，其交易会被导出以供每个共同签名人签名。',
+  multiSigPublicKeysLabel: '公钥',
+  multiSigThresholdLabel: '所需签名数（共 {keyCount} 个）',
+  multiSigAddressPreview: '多签地址：',
+  keySharesLabel: '私钥分片',
+  keySharesImportInstructions:
+    '每行输入一个账户的私钥分片，或从加密分片文件或二维码中加载。所需分片数量与拆分私钥时设定的相同。',
+  keySharesInputLabel: '私钥分片',
+  keySharesCount: '已输入 {count} / {threshold} 个所需分片',
+  keySharesScanQr: '扫描二维码',
+  keySharesLoadFile: '加载分片文件',
+  keySharesPanelHeader: '拆分私钥',
+  keySharesSplitInstructions:
+    '将账户的私钥拆分为多个分片，交由不同的人保管。只有集齐所需数量的分片才能恢复账户，少于该数量的分片不会泄露任何私钥信息。',
+  keySharesExportInstructions:
+    '以二维码、文本或加密文件的形式将每个分片交给不同的人。持有所需数量分片的任何人都可以导入该账户。',
+  keySharesShareCountLabel: '分片数量',
+  keySharesThresholdLabel: '恢复所需分片数',
+  keySharesSplitButton: '拆分私钥',
+  keySharesShareTitle: '分片 {index} / {count}',
+  keySharesCopy: '复制',
+  keySharesSaveFile: '保存加密文件',
+  keySharesDone: '完成',
+  changePassphraseLink: '更改密码',
+  changePassphrasePanelHeader: '更改密码',
+  changePassphraseInstructions: '使用新密码重新加密共享同一密码的账户密钥。未选择的账户保留当前密码。',
+  changePassphraseAccountsLabel: '账户',
+  changePassphraseCurrentLabel: '当前密码',
+  changePassphraseNewLabel: '新密码',
+  changePassphraseScryptLabel: 'Scrypt 参数 (N, r, p)',
+  changePassphraseButton: '更改密码',
+  changePassphraseProgress: '正在重新加密 {done}/{total}...',
+  bulkPayoutLink: '批量付款',
+  bulkPayoutPanelHeader: '批量付款',
+  bulkPayoutInstructions: '加载每行一笔付款（地址、代币和金额）的 CSV 或 JSON 文件。发送前会检查每一行。',
+  bulkPayoutReportInstructions: '每行显示支付该行的交易或失败原因。导出报告以保留付款记录。',
+  bulkPayoutLoadFile: '加载 CSV 或 JSON',
+  bulkPayoutAddress: '地址',
+  bulkPayoutToken: '代币',
+  bulkPayoutAmount: '金额',
+  bulkPayoutStatus: '状态',
+  bulkPayoutRowCount: '{count} 行，{invalid} 行有错误',
+  bulkPayoutFees: '手续费：{count} 笔交易共 {fee} GAS',
+  bulkPayoutProgress: '正在发送第 {done}/{total} 笔交易...',
+  bulkPayoutSend: '发送付款',
+  bulkPayoutReportSummary: '已支付 {sent} 行，失败 {failed} 行',
+  bulkPayoutExportCsv: '导出 CSV',
+  bulkPayoutExportJson: '导出 JSON',
+  bulkPayoutDone: '完成',
+  recurringPaymentsLink: '定期',
+  recurringPaymentsHeader: '定期付款',
+  recurringPaymentsInstructions:
+    '保存按计划进行的付款。付款到期时会提醒您检查并发送。钱包锁定期间到期的付款会在解锁后提醒。',
+  recurringPaymentsNew: '新付款',
+  recurringPaymentsName: '名称',
+  recurringPaymentsRecipients: '收款人',
+  recurringPaymentsSchedule: '计划',
+  recurringPaymentsNextDue: '下次到期',
+  recurringPaymentsLastPaid: '上次付款 {date}',
+  recurringPaymentsEmpty: '还没有定期付款。',
+  recurringPaymentsPay: '付款',
+  recurringPaymentsSkip: '跳过',
+  recurringPaymentsEdit: '编辑',
+  recurringPaymentsDelete: '删除',
+  recurringPaymentsMonthly: '每月',
+  recurringPaymentsCron: 'Cron 表达式',
+  recurringPaymentsMonthlyOn: '每月 {day} 日',
+  recurringPaymentsDayOfMonth: '每月日期',
+  recurringPaymentsAddRecipient: '添加收款人',
+  recurringPaymentsRemoveRecipient: '移除',
+  recurringPaymentsFee: 'GAS 优先费用（可选）',
+  recurringPaymentsSave: '保存付款',
+  dappPermissionsHeader: '已连接的 dApp',
+  dappPermissionsInstructions: '选择每个已连接的 dApp 可以执行的操作。超出这些权限的请求会被直接拒绝。',
+  dappPermissionsEmpty: '没有已连接的 dApp。',
+  dappPermissionsLastActivity: '最近活动 {date}',
+  dappPermissionsNoActivity: '暂无活动',
+  dappPermissionsApproval: '批准',
+  dappPermissionsAutoReadOnly: '自动批准只读请求',
+  dappPermissionsAlwaysAsk: '始终询问',
+  dappPermissionsMethods: '允许的方法',
+  dappPermissionsContracts: '允许的合约',
+  dappPermissionsAnyContract: '任意合约，或用逗号分隔的脚本哈希',
+  dappPermissionsCaps: '每日支出上限',
+  dappPermissionsCapAmount: '每日金额',
+  dappPermissionsAddCap: '添加上限',
+  dappPermissionsRemoveCap: '移除',
+  dappPermissionsDisconnect: '断开连接',
+  dappPermissionsRevoke: '撤销',
+  dappPermissionsSave: '保存',
+  localConnectorHeader: '本地连接器',
+  localConnectorInstructions:
+    '允许此计算机上的页面和工具通过 127.0.0.1 上的 HTTP 或 WebSocket 发送 dApp 请求，无需 WalletConnect 中继。来源必须先配对才能发送请求，请求的批准方式与已连接的 dApp 相同。',
+  localConnectorEnabled: '启用本地连接器',
+  localConnectorPort: '端口',
+  localConnectorSave: '保存',
+  localConnectorInvalidPort: '端口必须是 1024 到 65535 之间的数字。',
+  localConnectorStopped: '已停止',
+  localConnectorNeedsN3: '登录 N3 账户后启动',
+  localConnectorFailed: '无法启动：{error}',
+  localConnectorRunning: '正在监听 {address}',
+  localConnectorPairedOrigins: '已配对的来源',
+  localConnectorNoOrigins: '尚未配对任何来源。',
+  localConnectorUnpair: '取消配对',
+  localConnectorLog: '请求日志',
+  localConnectorEmptyLog: '暂无请求。',
+  localConnectorClearLog: '清除',
+  invokeContractHeader: '调用合约',
+  invokeContractInstructions:
+    '无需编写 dApp 即可调用 N3 合约的任意方法。调用会先进行测试，然后可以使用您选择的签名者范围签名并发送。',
+  invokeContractPresets: '预设',
+  invokeContractLoadPreset: '加载预设',
+  invokeContractDeletePreset: '删除',
+  invokeContractNoPresets: '此网络上没有已保存的预设。',
+  invokeContractHash: '合约哈希',
+  invokeContractLoad: '加载',
+  invokeContractInvalidHash: '请输入 40 个十六进制字符的合约哈希。',
+  invokeContractMethod: '方法',
+  invokeContractParameters: '参数',
+  invokeContractNoParameters: '此方法没有参数。',
+  invokeContractAddItem: '添加项',
+  invokeContractAddEntry: '添加条目',
+  invokeContractRemove: '移除',
+  invokeContractKey: '键',
+  invokeContractValue: '值',
+  invokeContractScope: '签名者范围',
+  invokeContractAllowedContracts: '允许的合约',
+  invokeContractTestInvoke: '测试调用',
+  invokeContractSend: '签名并发送',
+  invokeContractPresetName: '预设名称',
+  invokeContractSavePreset: '保存预设',
+  invokeContractResult: '结果',
+  invokeContractState: '状态：{state}',
+  invokeContractGasConsumed: '消耗的 GAS：{gas}',
+  invokeContractException: '异常：{exception}',
+  invokeContractEmptyStack: '堆栈为空。',
   print: '打印',
   generateQrCodes: '生成二维码',
   copyCodeImage: '复制图片',
@@ -220,6 +381,10 @@ const MANAGE_WALLETS = {
 const ACTIVITY = {
   activityAddAddress: '加',
   activityViewTx: '视图',
+  activitySpeedUpTx: '加速',
+  activityCancelTx: '取消',
+  activitySpeedUpTxConfirm: '将以更高的网络费用重新发送该转账并替换待处理的转账。',
+  activityCancelTxConfirm: '一笔发给自己的 0 GAS 转账将替换待处理的转账。只会花费网络费用。',
   activityPageLabel: '所有活动',
   activityExport: '出口',
 }
@@ -245,6 +410,10 @@ const REQUEST_ASSETS = {
   requestAssetDepositLabel: '接收地址',
   requestAssetRefLabel: '参考',
   requestAssetRefPlaceholder: '添加注释...',
+  requestAssetFee: '网络费用 (GAS)',
+  requestAssetFeePlaceholder: '可选',
+  requestAssetsFeeLabel: '网络费用',
+  receiveCopyLinkButton: '复制链接',
   requestAssetQRButton: '生成QR码',
   requestAssetYourQRHeader: '您的QR码',
   requestAssetsPaymentDetails: '交易明细',
@@ -257,6 +426,15 @@ const REQUEST_ASSETS = {
 
 const TRANSACTION_FEE = {
   transactionFeeQuestion: '使用优先费用进行交易？',
+  transactionLifespanQuestion: '交易应在多少个区块内有效？',
+  transactionLifespanDuration: '约 {minutes} 分钟',
+  n3PriorityFeeIncluded: '包含 {fee} GAS 优先费',
+  invocationPreviewTitle: '余额变动',
+  invocationPreviewYou: '您的账户',
+  invocationPreviewGasBurned: '运行交易燃烧 {gas} GAS',
+  invocationPreviewFault: '交易将失败（FAULT），只会花费手续费。{exception}',
+  nnsResolvedTo: '{name} 解析为 {address}',
+  nnsTargetChanged: '上次使用时 {name} 指向 {previousAddress}。请确认新地址是否正确。',
   fast: '快速',
   faster: '更快',
   fastest: '最快',
@@ -303,7 +481,19 @@ const SETTINGS = {
   settingCurrencyLabel: '货币',
   settingsThemeLabel: '主题',
   settingsSoundLabel: '声音',
+  settingsAutoLockLabel: '自动锁定',
+  settingsAutoLockNever: '从不',
+  settingsAutoLockMinutes: '{minutes} 分钟后',
+  settingsLockOnSuspendLabel: '睡眠时锁定',
+  settingsLockOnScreenLockLabel: '锁屏时锁定',
+  settingsMasterPasswordLabel: '主密码',
+  settingsMasterPasswordEnable: '设置',
+  settingsMasterPasswordChange: '更改',
   settingsEncryptLink: '加密',
+  settingsKeySharesLink: '将私钥拆分为多份',
+  settingsDappPermissionsLink: '已连接的 DAPP',
+  settingsLocalConnectorLink: '本地连接器',
+  settingsInvokeContractLink: '调用合约',
   recoverWallet: '恢复钱包',
   settingsRecoverWalletLink: '导入',
   settingsBackUpLinkLabel: '后备钱包',
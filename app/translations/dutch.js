@@ -36,6 +36,16 @@ const MISCELLANEOUS = {
   modifyDetails: 'Details aanpassen',
   removeContact: 'Verwijder contact',
   saveContactButtonText: 'Sla contact op',
+  enterAnAddressLabel: 'Label (optioneel)...',
+  addContactAddress: 'Adres toevoegen',
+  removeContactAddress: 'Verwijderen',
+  contactTags: 'Tags',
+  enterContactTags: "Scheid tags met komma's...",
+  contactNotes: 'Notities',
+  contactsSearch: 'Contacten zoeken...',
+  contactsAllTags: 'Alle tags',
+  contactsImport: 'Importeren',
+  contactsExport: 'Exporteren',
 
   editContactDisclaimer:
     'Controleer of je het adres correct hebt ingevoerd om ervoor te zorgen dat je geen bezit verliest',
@@ -116,6 +126,8 @@ const ERRORS = {
   'errors.contact.invalidAddress': 'Adres is niet geldig.',
   'errors.contact.contactExists':
     'Je hebt als een contact met deze naam.',
+  'errors.contact.blocked':
+    'Dit adres staat op de phishing-blokkeerlijst en kan niet als contact worden opgeslagen.',
 
   'errors.password.length': `Wachtwoord moet tenminste {PASS_MIN_LENGTH, number} tekens bevatten.`,
   'errors.password.match': 'Wachtwoorden moeten overeen komen.',
@@ -137,6 +149,9 @@ const ERRORS = {
   'errors.send.invalidN3Address': 'Je moet een geldig NEO N3 adres invoeren..',
   'errors.send.blackListed':
     'Adres is geblacklist, dit is een bekend phising adres.',
+  'errors.send.blockedContract':
+    '{asset} staat op de phishing-blokkeerlijst. Het contract is bekende oplichting.',
+  'errors.send.unresolvedName': '{name} verwijst niet naar een N3-adres.',
 }
 
 const NOTIFICATIONS = {
@@ -162,6 +177,13 @@ const AUTH = {
   authLedgerFirstStep: 'Verbind en ontgrendel je Ledger-apparaat',
   authLedgerSecondStep: 'Navigeer naar de NEO-app op je apparaat',
   authLedgerAddressLabel: 'PUBLIEK ADRES',
+  unlockTitle: 'Wallet vergrendeld',
+  unlockInstructions:
+    'Voer het wachtwoord van {address} in om het te ontgrendelen.',
+  unlockButton: 'Ontgrendelen',
+  storageUnlockTitle: 'Neon is vergrendeld',
+  storageUnlockInstructions:
+    'Voer het hoofdwachtwoord in om je wallets en instellingen te ontsleutelen.',
 }
 
 const WALLET_CREATION = {
@@ -183,6 +205,158 @@ const WALLET_CREATION = {
   addressLabel: 'PUBLIEK ADRES',
   splitKeyLabel: 'GESPLITSTE SLEUTEL',
   recoverWalletLabel: 'HERSTEL WALLET',
+  recoveryPhraseLabel: 'HERSTELZIN',
+  mnemonicCreateInstructions:
+    'Schrijf deze 24 woorden in volgorde op en bewaar ze op een veilige plek. Ze zijn de enige back-up die je nodig hebt om elk account te herstellen dat van deze zin is afgeleid.',
+  mnemonicImportInstructions:
+    'Voer je herstelzin in om de daarvan afgeleide accounts te herstellen.',
+  mnemonicBackupConfirmation: 'Ik heb mijn herstelzin opgeschreven',
+  mnemonicAccountCountLabel: 'AANTAL ACCOUNTS',
+  multiSigLabel: 'Multi-Sig',
+  multiSigInstructions:
+    'Voer de publieke sleutel van elke medeondertekenaar in, één per regel, en hoeveel van hen een transactie moeten ondertekenen. Het account wordt toegevoegd als alleen-lezen en de transacties worden geëxporteerd zodat elke medeondertekenaar ze kan ondertekenen.',
+  multiSigPublicKeysLabel: 'PUBLIEKE SLEUTELS',
+  multiSigThresholdLabel: 'VEREISTE HANDTEKENINGEN (VAN {keyCount})',
+  multiSigAddressPreview: 'Multi-signature adres:',
+  keySharesLabel: 'SLEUTELDELEN',
+  keySharesImportInstructions:
+    'Voer de sleuteldelen van het account in, één per regel, of laad ze uit versleutelde bestanden of QR-codes. Er zijn evenveel delen nodig als bij het splitsen van de sleutel is gekozen.',
+  keySharesInputLabel: 'SLEUTELDELEN',
+  keySharesCount: '{count} van {threshold} benodigde delen ingevoerd',
+  keySharesScanQr: 'QR-code scannen',
+  keySharesLoadFile: 'Bestand laden',
+  keySharesPanelHeader: 'Privésleutel splitsen',
+  keySharesSplitInstructions:
+    'Splits de privésleutel van een account in delen die door verschillende mensen worden bewaard. Het account kan alleen met het benodigde aantal delen worden hersteld, minder delen onthullen niets over de sleutel.',
+  keySharesExportInstructions:
+    'Geef elk deel als QR-code, tekst of versleuteld bestand aan een andere persoon. Iedereen met het benodigde aantal delen kan het account importeren.',
+  keySharesShareCountLabel: 'AANTAL DELEN',
+  keySharesThresholdLabel: 'DELEN NODIG VOOR HERSTEL',
+  keySharesSplitButton: 'Sleutel splitsen',
+  keySharesShareTitle: 'Deel {index} van {count}',
+  keySharesCopy: 'Kopiëren',
+  keySharesSaveFile: 'Versleuteld bestand opslaan',
+  keySharesDone: 'Klaar',
+  changePassphraseLink: 'Wachtwoord wijzigen',
+  changePassphrasePanelHeader: 'Wachtwoord Wijzigen',
+  changePassphraseInstructions:
+    'Versleutel de sleutels van accounts met hetzelfde wachtwoord opnieuw met een nieuw wachtwoord. Niet geselecteerde accounts behouden hun huidige wachtwoord.',
+  changePassphraseAccountsLabel: 'Accounts',
+  changePassphraseCurrentLabel: 'Huidig wachtwoord',
+  changePassphraseNewLabel: 'Nieuw wachtwoord',
+  changePassphraseScryptLabel: 'Scrypt-parameters (N, r, p)',
+  changePassphraseButton: 'Wachtwoord Wijzigen',
+  changePassphraseProgress: '{done} van {total} opnieuw versleutelen...',
+  bulkPayoutLink: 'Bulkuitbetaling',
+  bulkPayoutPanelHeader: 'Bulkuitbetaling',
+  bulkPayoutInstructions:
+    'Laad een CSV- of JSON-bestand met één uitbetaling per regel: adres, token en bedrag. Elke regel wordt gecontroleerd voordat er iets wordt verzonden.',
+  bulkPayoutReportInstructions:
+    'Elke regel toont de transactie die hem betaalde of de reden dat hij mislukte. Exporteer het rapport om het vast te leggen.',
+  bulkPayoutLoadFile: 'CSV of JSON laden',
+  bulkPayoutAddress: 'Adres',
+  bulkPayoutToken: 'Token',
+  bulkPayoutAmount: 'Bedrag',
+  bulkPayoutStatus: 'Status',
+  bulkPayoutRowCount: '{count} regels, {invalid} met fouten',
+  bulkPayoutFees: 'Kosten: {fee} GAS in {count} transacties',
+  bulkPayoutProgress: 'Transactie {done} van {total} verzenden...',
+  bulkPayoutSend: 'Uitbetaling Verzenden',
+  bulkPayoutReportSummary: '{sent} regels betaald, {failed} mislukt',
+  bulkPayoutExportCsv: 'CSV exporteren',
+  bulkPayoutExportJson: 'JSON exporteren',
+  bulkPayoutDone: 'Klaar',
+  recurringPaymentsLink: 'Terugkerend',
+  recurringPaymentsHeader: 'Terugkerende betalingen',
+  recurringPaymentsInstructions:
+    'Sla betalingen op die u volgens een schema doet. Wanneer er een vervalt, wordt u eraan herinnerd deze te controleren en te verzenden. Betalingen die vervallen terwijl de wallet vergrendeld is, worden getoond zodra deze ontgrendeld is.',
+  recurringPaymentsNew: 'Nieuwe betaling',
+  recurringPaymentsName: 'Naam',
+  recurringPaymentsRecipients: 'Ontvangers',
+  recurringPaymentsSchedule: 'Schema',
+  recurringPaymentsNextDue: 'Volgende vervaldatum',
+  recurringPaymentsLastPaid: 'Laatst betaald {date}',
+  recurringPaymentsEmpty: 'Nog geen terugkerende betalingen.',
+  recurringPaymentsPay: 'Betalen',
+  recurringPaymentsSkip: 'Overslaan',
+  recurringPaymentsEdit: 'Bewerken',
+  recurringPaymentsDelete: 'Verwijderen',
+  recurringPaymentsMonthly: 'Maandelijks',
+  recurringPaymentsCron: 'Cron-expressie',
+  recurringPaymentsMonthlyOn: 'Maandelijks op dag {day}',
+  recurringPaymentsDayOfMonth: 'Dag van de maand',
+  recurringPaymentsAddRecipient: 'Ontvanger toevoegen',
+  recurringPaymentsRemoveRecipient: 'Verwijderen',
+  recurringPaymentsFee: 'Prioriteitskosten in GAS (optioneel)',
+  recurringPaymentsSave: 'Betaling opslaan',
+  dappPermissionsHeader: 'Verbonden dApps',
+  dappPermissionsInstructions:
+    'Kies wat elke verbonden dApp mag doen. Verzoeken buiten deze rechten worden zonder te vragen geweigerd.',
+  dappPermissionsEmpty: 'Er zijn geen dApps verbonden.',
+  dappPermissionsLastActivity: 'Laatste activiteit {date}',
+  dappPermissionsNoActivity: 'Nog geen activiteit',
+  dappPermissionsApproval: 'Goedkeuring',
+  dappPermissionsAutoReadOnly: 'Alleen-lezen verzoeken automatisch goedkeuren',
+  dappPermissionsAlwaysAsk: 'Altijd vragen',
+  dappPermissionsMethods: 'Toegestane methodes',
+  dappPermissionsContracts: 'Toegestane contracten',
+  dappPermissionsAnyContract:
+    "Elk contract, of script hashes gescheiden door komma's",
+  dappPermissionsCaps: 'Dagelijkse uitgavenlimieten',
+  dappPermissionsCapAmount: 'Bedrag per dag',
+  dappPermissionsAddCap: 'Limiet toevoegen',
+  dappPermissionsRemoveCap: 'Verwijderen',
+  dappPermissionsDisconnect: 'Verbinding verbreken',
+  dappPermissionsRevoke: 'Intrekken',
+  dappPermissionsSave: 'Opslaan',
+  localConnectorHeader: 'Lokale connector',
+  localConnectorInstructions:
+    "Laat pagina's en tools op deze computer dApp-verzoeken doen via HTTP of WebSocket op 127.0.0.1, zonder de WalletConnect-relay. Een origin moet gekoppeld zijn voordat hij verzoeken kan doen, en verzoeken worden goedgekeurd zoals die van verbonden dApps.",
+  localConnectorEnabled: 'De lokale connector inschakelen',
+  localConnectorPort: 'Poort',
+  localConnectorSave: 'Opslaan',
+  localConnectorInvalidPort:
+    'De poort moet een getal tussen 1024 en 65535 zijn.',
+  localConnectorStopped: 'Gestopt',
+  localConnectorNeedsN3: 'Start zodra je bent ingelogd met een N3-account',
+  localConnectorFailed: 'Kon niet starten: {error}',
+  localConnectorRunning: 'Luistert op {address}',
+  localConnectorPairedOrigins: 'Gekoppelde origins',
+  localConnectorNoOrigins: 'Er is nog geen origin gekoppeld.',
+  localConnectorUnpair: 'Ontkoppelen',
+  localConnectorLog: 'Verzoeklog',
+  localConnectorEmptyLog: 'Nog geen verzoeken.',
+  localConnectorClearLog: 'Wissen',
+  invokeContractHeader: 'Contract aanroepen',
+  invokeContractInstructions:
+    'Roep elke methode van een N3-contract aan zonder een dApp te schrijven. De aanroep wordt eerst getest en kan daarna worden ondertekend en verzonden met de ondertekenaarsscope die je kiest.',
+  invokeContractPresets: 'Voorinstellingen',
+  invokeContractLoadPreset: 'Een voorinstelling laden',
+  invokeContractDeletePreset: 'Verwijderen',
+  invokeContractNoPresets: 'Geen voorinstellingen opgeslagen op dit netwerk.',
+  invokeContractHash: 'Contracthash',
+  invokeContractLoad: 'Laden',
+  invokeContractInvalidHash:
+    'Voer een contracthash van 40 hexadecimale tekens in.',
+  invokeContractMethod: 'Methode',
+  invokeContractParameters: 'Parameters',
+  invokeContractNoParameters: 'Deze methode heeft geen parameters.',
+  invokeContractAddItem: 'Item toevoegen',
+  invokeContractAddEntry: 'Invoer toevoegen',
+  invokeContractRemove: 'Verwijderen',
+  invokeContractKey: 'Sleutel',
+  invokeContractValue: 'Waarde',
+  invokeContractScope: 'Ondertekenaarsscope',
+  invokeContractAllowedContracts: 'Toegestane contracten',
+  invokeContractTestInvoke: 'Testaanroep',
+  invokeContractSend: 'Ondertekenen en verzenden',
+  invokeContractPresetName: 'Naam van de voorinstelling',
+  invokeContractSavePreset: 'Voorinstelling opslaan',
+  invokeContractResult: 'Resultaat',
+  invokeContractState: 'Status: {state}',
+  invokeContractGasConsumed: 'Verbruikt GAS: {gas}',
+  invokeContractException: 'Uitzondering: {exception}',
+  invokeContractEmptyStack: 'De stack is leeg.',
   print: 'Print',
   generateQrCodes: 'Genereer QR-Codes',
   copyCodeImage: 'Kopieer Code Image',
@@ -234,6 +408,12 @@ const MANAGE_WALLETS = {
 const ACTIVITY = {
   activityAddAddress: 'Toevoegen',
   activityViewTx: 'Bekijken',
+  activitySpeedUpTx: 'Versnellen',
+  activityCancelTx: 'Annuleren',
+  activitySpeedUpTxConfirm:
+    'De overdracht wordt opnieuw verzonden met hogere netwerkkosten en vervangt de openstaande.',
+  activityCancelTxConfirm:
+    'Een overdracht van 0 GAS naar uzelf vervangt de openstaande overdracht. Alleen de netwerkkosten worden uitgegeven.',
   activityPageLabel: 'Alle activiteiten',
   activityExport: 'Exporteren',
 }
@@ -259,6 +439,10 @@ const REQUEST_ASSETS = {
   requestAssetDepositLabel: 'SORT IN DEZE WALLET',
   requestAssetRefLabel: 'REFERENTIE',
   requestAssetRefPlaceholder: 'Voeg een notitie toe...',
+  requestAssetFee: 'NETWERKKOSTEN (GAS)',
+  requestAssetFeePlaceholder: 'Optioneel',
+  requestAssetsFeeLabel: 'NETWERKKOSTEN',
+  receiveCopyLinkButton: 'Link kopiëren',
   requestAssetQRButton: 'Genereer QR-Code',
   requestAssetYourQRHeader: 'Jou QR Code',
   requestAssetsPaymentDetails: 'BETAALVERZOEK DETAILS',
@@ -271,6 +455,19 @@ const REQUEST_ASSETS = {
 
 const TRANSACTION_FEE = {
   transactionFeeQuestion: 'PRIORITEER JOUW TRANSACTIE MET EEN VERGOEDING?',
+  transactionLifespanQuestion:
+    'HOEVEEL BLOKKEN MOET DE TRANSACTIE GELDIG BLIJVEN?',
+  transactionLifespanDuration: 'Ongeveer {minutes} minuten',
+  n3PriorityFeeIncluded: 'Inclusief een prioriteitsvergoeding van {fee} GAS',
+  invocationPreviewTitle: 'Saldowijzigingen',
+  invocationPreviewYou: 'Uw account',
+  invocationPreviewGasBurned:
+    '{gas} GAS verbrand om de transactie uit te voeren',
+  invocationPreviewFault:
+    'De transactie zou mislukken (FAULT) en alleen de kosten zouden worden betaald. {exception}',
+  nnsResolvedTo: '{name} verwijst naar {address}',
+  nnsTargetChanged:
+    '{name} verwees naar {previousAddress} toen u het de laatste keer gebruikte. Controleer of het nieuwe adres klopt.',
   fast: 'Snel',
   faster: 'Sneller',
   fastest: 'Snelst',
@@ -322,7 +519,20 @@ const SETTINGS = {
   settingCurrencyLabel: 'VALUTA',
   settingsThemeLabel: 'THEMA',
   settingsSoundLabel: 'GELUID',
+  settingsAutoLockLabel: 'AUTOMATISCH VERGRENDELEN',
+  settingsAutoLockNever: 'Nooit',
+  settingsAutoLockMinutes:
+    'Na {minutes, plural, one {# minuut} other {# minuten}}',
+  settingsLockOnSuspendLabel: 'VERGRENDELEN BIJ SLAAPSTAND',
+  settingsLockOnScreenLockLabel: 'VERGRENDELEN MET SCHERMVERGRENDELING',
+  settingsMasterPasswordLabel: 'HOOFDWACHTWOORD',
+  settingsMasterPasswordEnable: 'INSTELLEN',
+  settingsMasterPasswordChange: 'WIJZIGEN',
   settingsEncryptLink: 'BEVEILIG EEN SLEUTEL',
+  settingsKeySharesLink: 'SLEUTEL IN DELEN SPLITSEN',
+  settingsDappPermissionsLink: 'VERBONDEN DAPPS',
+  settingsLocalConnectorLink: 'LOKALE CONNECTOR',
+  settingsInvokeContractLink: 'CONTRACT AANROEPEN',
   recoverWallet: 'HERSTEL WALLET',
   settingsRecoverWalletLink: 'IMPORTEREN',
   settingsBackUpLinkLabel: 'BACKUP WALLET',
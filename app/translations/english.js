@@ -36,6 +36,16 @@ const MISCELLANEOUS = {
   modifyDetails: 'Modify Details',
   removeContact: 'Remove Contact',
   saveContactButtonText: 'Save Contact',
+  enterAnAddressLabel: 'Label (optional)...',
+  addContactAddress: 'Add Address',
+  removeContactAddress: 'Remove',
+  contactTags: 'Tags',
+  enterContactTags: 'Separate tags with commas...',
+  contactNotes: 'Notes',
+  contactsSearch: 'Search contacts...',
+  contactsAllTags: 'All tags',
+  contactsImport: 'Import',
+  contactsExport: 'Export',
 
   editContactDisclaimer:
     'Please review and ensure that you have entered the address correctly to avoid loss of funds',
@@ -116,6 +126,8 @@ const ERRORS = {
   'errors.contact.invalidAddress': 'Address is not valid.',
   'errors.contact.contactExists':
     'You already have a contact with that address.',
+  'errors.contact.blocked':
+    'This address is on the phishing blocklist and can not be saved as a contact.',
 
   'errors.password.length': `Passphrase must contain at least {PASS_MIN_LENGTH, number} characters.`,
   'errors.password.match': 'Passphrases must match.',
@@ -137,6 +149,9 @@ const ERRORS = {
   'errors.send.invalidN3Address': 'You need to specify a valid NEO N3 address.',
   'errors.send.blackListed':
     'Address is blacklisted. This is a known phishing address.',
+  'errors.send.blockedContract':
+    '{asset} is on the phishing blocklist. Its contract is a known scam.',
+  'errors.send.unresolvedName': '{name} does not resolve to an N3 address.',
 }
 
 const NOTIFICATIONS = {
@@ -162,6 +177,12 @@ const AUTH = {
   authLedgerFirstStep: 'Connect and unlock your Ledger device',
   authLedgerSecondStep: 'Navigate to the NEO app on your device',
   authLedgerAddressLabel: 'PUBLIC ADDRESS',
+  unlockTitle: 'Wallet locked',
+  unlockInstructions: 'Enter the password of {address} to unlock it.',
+  unlockButton: 'Unlock',
+  storageUnlockTitle: 'Neon is locked',
+  storageUnlockInstructions:
+    'Enter the master password to decrypt your wallets and settings.',
 }
 
 const WALLET_CREATION = {
@@ -183,6 +204,158 @@ const WALLET_CREATION = {
   addressLabel: 'PUBLIC ADDRESS',
   splitKeyLabel: 'SPLIT KEY',
   recoverWalletLabel: 'RECOVER WALLET',
+  recoveryPhraseLabel: 'RECOVERY PHRASE',
+  mnemonicCreateInstructions:
+    'Write down these 24 words in order and keep them somewhere safe. They are the only backup you need to recover every account derived from this phrase.',
+  mnemonicImportInstructions:
+    'Enter your recovery phrase to restore the accounts derived from it.',
+  mnemonicBackupConfirmation: 'I have written down my recovery phrase',
+  mnemonicAccountCountLabel: 'NUMBER OF ACCOUNTS',
+  multiSigLabel: 'Multi-Sig',
+  multiSigInstructions:
+    'Enter the public key of every co-signer, one per line, and how many of them must sign a transaction. The account is added as watch-only and its transactions are exported so each co-signer can sign them.',
+  multiSigPublicKeysLabel: 'PUBLIC KEYS',
+  multiSigThresholdLabel: 'REQUIRED SIGNATURES (OF {keyCount})',
+  multiSigAddressPreview: 'Multi-signature address:',
+  keySharesLabel: 'KEY SHARES',
+  keySharesImportInstructions:
+    'Enter the key shares of the account, one per line, or load them from encrypted share files or QR codes. As many shares are needed as were required when the key was split.',
+  keySharesInputLabel: 'KEY SHARES',
+  keySharesCount: '{count} of {threshold} required shares entered',
+  keySharesScanQr: 'Scan QR Code',
+  keySharesLoadFile: 'Load Share File',
+  keySharesPanelHeader: 'Split Private Key',
+  keySharesSplitInstructions:
+    'Split the private key of an account into shares for different people to keep. The account can only be rebuilt from the required number of shares, fewer reveal nothing about the key.',
+  keySharesExportInstructions:
+    'Give each share to a different person as a QR code, text or encrypted file. Anyone holding the required number of shares can import the account.',
+  keySharesShareCountLabel: 'NUMBER OF SHARES',
+  keySharesThresholdLabel: 'SHARES REQUIRED TO REBUILD',
+  keySharesSplitButton: 'Split Key',
+  keySharesShareTitle: 'Share {index} of {count}',
+  keySharesCopy: 'Copy',
+  keySharesSaveFile: 'Save Encrypted File',
+  keySharesDone: 'Done',
+  changePassphraseLink: 'Change passphrase',
+  changePassphrasePanelHeader: 'Change Passphrase',
+  changePassphraseInstructions:
+    'Re-encrypt the keys of accounts that share a passphrase with a new passphrase. Accounts left out keep their current passphrase.',
+  changePassphraseAccountsLabel: 'Accounts',
+  changePassphraseCurrentLabel: 'Current passphrase',
+  changePassphraseNewLabel: 'New passphrase',
+  changePassphraseScryptLabel: 'Scrypt parameters (N, r, p)',
+  changePassphraseButton: 'Change Passphrase',
+  changePassphraseProgress: 'Re-encrypting {done} of {total}...',
+  bulkPayoutLink: 'Bulk Payout',
+  bulkPayoutPanelHeader: 'Bulk Payout',
+  bulkPayoutInstructions:
+    'Load a CSV or JSON file with one payout per row: address, token and amount. Every row is checked before anything is sent.',
+  bulkPayoutReportInstructions:
+    'Each row shows the transaction that paid it or the reason it failed. Export the report to keep a record of the payout.',
+  bulkPayoutLoadFile: 'Load CSV or JSON',
+  bulkPayoutAddress: 'Address',
+  bulkPayoutToken: 'Token',
+  bulkPayoutAmount: 'Amount',
+  bulkPayoutStatus: 'Status',
+  bulkPayoutRowCount: '{count} rows, {invalid} with errors',
+  bulkPayoutFees: 'Fees: {fee} GAS in {count} transactions',
+  bulkPayoutProgress: 'Sending transaction {done} of {total}...',
+  bulkPayoutSend: 'Send Payout',
+  bulkPayoutReportSummary: '{sent} rows paid, {failed} failed',
+  bulkPayoutExportCsv: 'Export CSV',
+  bulkPayoutExportJson: 'Export JSON',
+  bulkPayoutDone: 'Done',
+  recurringPaymentsLink: 'Recurring',
+  recurringPaymentsHeader: 'Recurring Payments',
+  recurringPaymentsInstructions:
+    'Save the payments you make on a schedule. When one falls due you are reminded to review and send it. Payments that fall due while the wallet is locked are reminded of once it is unlocked.',
+  recurringPaymentsNew: 'New Payment',
+  recurringPaymentsName: 'Name',
+  recurringPaymentsRecipients: 'Recipients',
+  recurringPaymentsSchedule: 'Schedule',
+  recurringPaymentsNextDue: 'Next Due',
+  recurringPaymentsLastPaid: 'Last paid {date}',
+  recurringPaymentsEmpty: 'No recurring payments yet.',
+  recurringPaymentsPay: 'Pay',
+  recurringPaymentsSkip: 'Skip',
+  recurringPaymentsEdit: 'Edit',
+  recurringPaymentsDelete: 'Delete',
+  recurringPaymentsMonthly: 'Monthly',
+  recurringPaymentsCron: 'Cron expression',
+  recurringPaymentsMonthlyOn: 'Monthly on day {day}',
+  recurringPaymentsDayOfMonth: 'Day of the month',
+  recurringPaymentsAddRecipient: 'Add Recipient',
+  recurringPaymentsRemoveRecipient: 'Remove',
+  recurringPaymentsFee: 'Priority fee in GAS (optional)',
+  recurringPaymentsSave: 'Save Payment',
+  dappPermissionsHeader: 'Connected dApps',
+  dappPermissionsInstructions:
+    'Choose what each connected dApp may do. Requests outside of these permissions are refused without asking.',
+  dappPermissionsEmpty: 'No dApps are connected.',
+  dappPermissionsLastActivity: 'Last activity {date}',
+  dappPermissionsNoActivity: 'No activity yet',
+  dappPermissionsApproval: 'Approval',
+  dappPermissionsAutoReadOnly: 'Approve read-only requests automatically',
+  dappPermissionsAlwaysAsk: 'Always ask',
+  dappPermissionsMethods: 'Allowed methods',
+  dappPermissionsContracts: 'Allowed contracts',
+  dappPermissionsAnyContract:
+    'Any contract, or script hashes separated by commas',
+  dappPermissionsCaps: 'Daily spending caps',
+  dappPermissionsCapAmount: 'Amount per day',
+  dappPermissionsAddCap: 'Add Cap',
+  dappPermissionsRemoveCap: 'Remove',
+  dappPermissionsDisconnect: 'Disconnect',
+  dappPermissionsRevoke: 'Revoke',
+  dappPermissionsSave: 'Save',
+  localConnectorHeader: 'Local Connector',
+  localConnectorInstructions:
+    'Lets pages and tools on this computer make dApp requests over HTTP or WebSocket on 127.0.0.1, without the WalletConnect relay. An origin has to be paired before it can make requests, and requests are approved like the ones of connected dApps.',
+  localConnectorEnabled: 'Enable the local connector',
+  localConnectorPort: 'Port',
+  localConnectorSave: 'Save',
+  localConnectorInvalidPort:
+    'The port must be a number between 1024 and 65535.',
+  localConnectorStopped: 'Stopped',
+  localConnectorNeedsN3: 'Starts once you are logged in to an N3 account',
+  localConnectorFailed: 'Could not start: {error}',
+  localConnectorRunning: 'Listening on {address}',
+  localConnectorPairedOrigins: 'Paired origins',
+  localConnectorNoOrigins: 'No origin is paired yet.',
+  localConnectorUnpair: 'Unpair',
+  localConnectorLog: 'Request log',
+  localConnectorEmptyLog: 'No requests yet.',
+  localConnectorClearLog: 'Clear',
+  invokeContractHeader: 'Invoke Contract',
+  invokeContractInstructions:
+    'Call any method of an N3 contract without writing a dApp. The call is test-invoked first, then it can be signed and sent with the signer scope you choose.',
+  invokeContractPresets: 'Presets',
+  invokeContractLoadPreset: 'Load a preset',
+  invokeContractDeletePreset: 'Delete',
+  invokeContractNoPresets: 'No presets saved on this network.',
+  invokeContractHash: 'Contract hash',
+  invokeContractLoad: 'Load',
+  invokeContractInvalidHash:
+    'Enter a contract hash of 40 hexadecimal characters.',
+  invokeContractMethod: 'Method',
+  invokeContractParameters: 'Parameters',
+  invokeContractNoParameters: 'This method has no parameters.',
+  invokeContractAddItem: 'Add item',
+  invokeContractAddEntry: 'Add entry',
+  invokeContractRemove: 'Remove',
+  invokeContractKey: 'Key',
+  invokeContractValue: 'Value',
+  invokeContractScope: 'Signer scope',
+  invokeContractAllowedContracts: 'Allowed contracts',
+  invokeContractTestInvoke: 'Test invoke',
+  invokeContractSend: 'Sign and send',
+  invokeContractPresetName: 'Preset name',
+  invokeContractSavePreset: 'Save preset',
+  invokeContractResult: 'Result',
+  invokeContractState: 'State: {state}',
+  invokeContractGasConsumed: 'GAS consumed: {gas}',
+  invokeContractException: 'Exception: {exception}',
+  invokeContractEmptyStack: 'The stack is empty.',
   print: 'Print',
   generateQrCodes: 'Generate QR Codes',
   copyCodeImage: 'Copy Code Image',
@@ -234,6 +407,12 @@ const MANAGE_WALLETS = {
 const ACTIVITY = {
   activityAddAddress: 'Add',
   activityViewTx: 'View',
+  activitySpeedUpTx: 'Speed up',
+  activityCancelTx: 'Cancel',
+  activitySpeedUpTxConfirm:
+    'The transfer will be sent again with a higher network fee and replace the pending one.',
+  activityCancelTxConfirm:
+    'A 0 GAS transfer to yourself will replace the pending transfer. Only the network fee will be spent.',
   activityPageLabel: 'All Activity',
   activityExport: 'Export',
 }
@@ -259,6 +438,10 @@ const REQUEST_ASSETS = {
   requestAssetDepositLabel: 'DEPOSIT INTO THIS WALLET',
   requestAssetRefLabel: 'REFERENCE',
   requestAssetRefPlaceholder: 'Add a note...',
+  requestAssetFee: 'NETWORK FEE (GAS)',
+  requestAssetFeePlaceholder: 'Optional',
+  requestAssetsFeeLabel: 'NETWORK FEE',
+  receiveCopyLinkButton: 'Copy Link',
   requestAssetQRButton: 'Generate QR Code',
   requestAssetYourQRHeader: 'Your QR Code',
   requestAssetsPaymentDetails: 'PAYMENT REQUEST DETAILS',
@@ -271,6 +454,18 @@ const REQUEST_ASSETS = {
 
 const TRANSACTION_FEE = {
   transactionFeeQuestion: 'PRIORITIZE YOUR TRANSACTION WITH A FEE?',
+  transactionLifespanQuestion:
+    'HOW MANY BLOCKS SHOULD THE TRANSACTION STAY VALID FOR?',
+  transactionLifespanDuration: 'About {minutes} minutes',
+  n3PriorityFeeIncluded: 'Includes a {fee} GAS priority fee',
+  invocationPreviewTitle: 'Balance changes',
+  invocationPreviewYou: 'Your account',
+  invocationPreviewGasBurned: '{gas} GAS burned to run the transaction',
+  invocationPreviewFault:
+    'The transaction would fail (FAULT) and only the fees would be spent. {exception}',
+  nnsResolvedTo: '{name} resolves to {address}',
+  nnsTargetChanged:
+    '{name} pointed to {previousAddress} the last time you used it. Check that the new address is correct.',
   fast: 'Fast',
   faster: 'Faster',
   fastest: 'Fastest',
@@ -322,7 +517,20 @@ const SETTINGS = {
   settingCurrencyLabel: 'CURRENCY',
   settingsThemeLabel: 'THEME',
   settingsSoundLabel: 'SOUND',
+  settingsAutoLockLabel: 'AUTO-LOCK',
+  settingsAutoLockNever: 'Never',
+  settingsAutoLockMinutes:
+    'After {minutes, plural, one {# minute} other {# minutes}}',
+  settingsLockOnSuspendLabel: 'LOCK ON SLEEP',
+  settingsLockOnScreenLockLabel: 'LOCK WITH SCREEN LOCK',
+  settingsMasterPasswordLabel: 'MASTER PASSWORD',
+  settingsMasterPasswordEnable: 'SET',
+  settingsMasterPasswordChange: 'CHANGE',
   settingsEncryptLink: 'ENCRYPT A KEY',
+  settingsKeySharesLink: 'SPLIT A KEY INTO SHARES',
+  settingsDappPermissionsLink: 'CONNECTED DAPPS',
+  settingsLocalConnectorLink: 'LOCAL CONNECTOR',
+  settingsInvokeContractLink: 'INVOKE CONTRACT',
   recoverWallet: 'RECOVER WALLET',
   settingsRecoverWalletLink: 'IMPORT',
   settingsBackUpLinkLabel: 'BACKUP WALLET',
@@ -34,6 +34,16 @@ const MISCELLANEOUS = {
   modifyDetails: 'Modifier Détails',
   removeContact: 'Supprimer Contact',
   saveContactButtonText: 'Sauvegarder Contact',
+  enterAnAddressLabel: 'Libellé (facultatif)...',
+  addContactAddress: 'Ajouter une adresse',
+  removeContactAddress: 'Supprimer',
+  contactTags: 'Étiquettes',
+  enterContactTags: 'Séparez les étiquettes par des virgules...',
+  contactNotes: 'Notes',
+  contactsSearch: 'Rechercher des contacts...',
+  contactsAllTags: 'Toutes les étiquettes',
+  contactsImport: 'Importer',
+  contactsExport: 'Exporter',
 
   editContactDisclaimer: `Vérifier et assurez-vous que vous avez entré l'adresse correctement pour éviter de risquer une perte de fonds`,
   addAContact: 'Ajouter un Contact',
@@ -109,6 +119,8 @@ const ERRORS = {
   'errors.contact.invalidAddress': `L'adresse n'est pas valide.`,
   'errors.contact.contactExists':
     'Vous avez déjà un contact avec cette adresse.',
+  'errors.contact.blocked':
+    'Cette adresse figure sur la liste de blocage anti-phishing et ne peut pas être enregistrée comme contact.',
   'errors.password.length': `La phrase secrète doit contenir au moins {PASS_MIN_LENGTH, number} caractères`,
   'errors.password.match': 'Les mots de passe doivent correspondre',
   'errors.request.fractional': `Vous ne pouvez pas demander un {asset} fractionné.`,
@@ -129,6 +141,9 @@ const ERRORS = {
   'errors.send.invalidN3Address':
     'Vous devez spécifier une adresse NEO N3 valide.',
   'errors.send.blackListed': `L'adresse est sur liste noire. Il s'agit d'une adresse de phishing connue.`,
+  'errors.send.blockedContract':
+    '{asset} figure sur la liste de blocage anti-phishing. Son contrat est une arnaque connue.',
+  'errors.send.unresolvedName': '{name} ne correspond à aucune adresse N3.',
 }
 
 const NOTIFICATIONS = {
@@ -155,6 +170,13 @@ const AUTH = {
   authLedgerFirstStep: 'Connecter et déverouiller votre Ledger',
   authLedgerSecondStep: 'Sélectionner l`application NEO sur votre périphérique',
   authLedgerAddressLabel: 'ADRESSE PUBLIQUE',
+  unlockTitle: 'Portefeuille verrouillé',
+  unlockInstructions:
+    'Saisissez le mot de passe de {address} pour le déverrouiller.',
+  unlockButton: 'Déverrouiller',
+  storageUnlockTitle: 'Neon est verrouillé',
+  storageUnlockInstructions:
+    'Saisissez le mot de passe principal pour déchiffrer vos portefeuilles et paramètres.',
 }
 
 const WALLET_CREATION = {
@@ -176,6 +198,159 @@ const WALLET_CREATION = {
   addressLabel: 'ADRESSE PUBLIQUE',
   splitKeyLabel: 'DIVISÉ CLÉ',
   recoverWalletLabel: 'RÉCUPÉRATION',
+  recoveryPhraseLabel: 'PHRASE DE RÉCUPÉRATION',
+  mnemonicCreateInstructions:
+    "Notez ces 24 mots dans l'ordre et conservez-les en lieu sûr. Ils sont la seule sauvegarde nécessaire pour récupérer chaque compte dérivé de cette phrase.",
+  mnemonicImportInstructions:
+    'Saisissez votre phrase de récupération pour restaurer les comptes qui en sont dérivés.',
+  mnemonicBackupConfirmation: "J'ai noté ma phrase de récupération",
+  mnemonicAccountCountLabel: 'NOMBRE DE COMPTES',
+  multiSigLabel: 'Multi-Sig',
+  multiSigInstructions:
+    'Saisissez la clé publique de chaque cosignataire, une par ligne, ainsi que le nombre de signatures requises pour une transaction. Le compte est ajouté en lecture seule et ses transactions sont exportées pour que chaque cosignataire puisse les signer.',
+  multiSigPublicKeysLabel: 'CLÉS PUBLIQUES',
+  multiSigThresholdLabel: 'SIGNATURES REQUISES (SUR {keyCount})',
+  multiSigAddressPreview: 'Adresse multi-signature :',
+  keySharesLabel: 'PARTS DE CLÉ',
+  keySharesImportInstructions:
+    'Saisissez les parts de clé du compte, une par ligne, ou chargez-les depuis des fichiers chiffrés ou des codes QR. Il faut autant de parts que lors de la division de la clé.',
+  keySharesInputLabel: 'PARTS DE CLÉ',
+  keySharesCount: '{count} sur {threshold} parts requises saisies',
+  keySharesScanQr: 'Scanner un code QR',
+  keySharesLoadFile: 'Charger un fichier',
+  keySharesPanelHeader: 'Diviser la clé privée',
+  keySharesSplitInstructions:
+    "Divisez la clé privée d'un compte en parts confiées à différentes personnes. Le compte ne peut être reconstitué qu'avec le nombre de parts requis, moins de parts ne révèlent rien de la clé.",
+  keySharesExportInstructions:
+    'Remettez chaque part à une personne différente sous forme de code QR, de texte ou de fichier chiffré. Toute personne détenant le nombre de parts requis peut importer le compte.',
+  keySharesShareCountLabel: 'NOMBRE DE PARTS',
+  keySharesThresholdLabel: 'PARTS REQUISES POUR RECONSTITUER',
+  keySharesSplitButton: 'Diviser la clé',
+  keySharesShareTitle: 'Part {index} sur {count}',
+  keySharesCopy: 'Copier',
+  keySharesSaveFile: 'Enregistrer le fichier chiffré',
+  keySharesDone: 'Terminé',
+  changePassphraseLink: 'Changer la phrase secrète',
+  changePassphrasePanelHeader: 'Changer la phrase secrète',
+  changePassphraseInstructions:
+    'Chiffrez à nouveau les clés des comptes partageant une phrase secrète avec une nouvelle phrase secrète. Les comptes non sélectionnés conservent leur phrase secrète actuelle.',
+  changePassphraseAccountsLabel: 'Comptes',
+  changePassphraseCurrentLabel: 'Phrase secrète actuelle',
+  changePassphraseNewLabel: 'Nouvelle phrase secrète',
+  changePassphraseScryptLabel: 'Paramètres scrypt (N, r, p)',
+  changePassphraseButton: 'Changer la phrase secrète',
+  changePassphraseProgress: 'Chiffrement {done} sur {total}...',
+  bulkPayoutLink: 'Paiement groupé',
+  bulkPayoutPanelHeader: 'Paiement groupé',
+  bulkPayoutInstructions:
+    'Chargez un fichier CSV ou JSON avec un paiement par ligne : adresse, jeton et montant. Chaque ligne est vérifiée avant tout envoi.',
+  bulkPayoutReportInstructions:
+    "Chaque ligne indique la transaction qui l'a payée ou la raison de son échec. Exportez le rapport pour garder une trace du paiement.",
+  bulkPayoutLoadFile: 'Charger CSV ou JSON',
+  bulkPayoutAddress: 'Adresse',
+  bulkPayoutToken: 'Jeton',
+  bulkPayoutAmount: 'Montant',
+  bulkPayoutStatus: 'Statut',
+  bulkPayoutRowCount: '{count} lignes, {invalid} avec erreurs',
+  bulkPayoutFees: 'Frais : {fee} GAS en {count} transactions',
+  bulkPayoutProgress: 'Envoi de la transaction {done} sur {total}...',
+  bulkPayoutSend: 'Envoyer le paiement',
+  bulkPayoutReportSummary: '{sent} lignes payées, {failed} en échec',
+  bulkPayoutExportCsv: 'Exporter en CSV',
+  bulkPayoutExportJson: 'Exporter en JSON',
+  bulkPayoutDone: 'Terminé',
+  recurringPaymentsLink: 'Récurrent',
+  recurringPaymentsHeader: 'Paiements récurrents',
+  recurringPaymentsInstructions:
+    "Enregistrez les paiements que vous effectuez selon un calendrier. Lorsqu'un paiement arrive à échéance, un rappel vous invite à le vérifier et à l'envoyer. Les paiements arrivés à échéance pendant que le portefeuille est verrouillé sont rappelés dès son déverrouillage.",
+  recurringPaymentsNew: 'Nouveau paiement',
+  recurringPaymentsName: 'Nom',
+  recurringPaymentsRecipients: 'Destinataires',
+  recurringPaymentsSchedule: 'Calendrier',
+  recurringPaymentsNextDue: 'Prochaine échéance',
+  recurringPaymentsLastPaid: 'Dernier paiement {date}',
+  recurringPaymentsEmpty: 'Aucun paiement récurrent pour le moment.',
+  recurringPaymentsPay: 'Payer',
+  recurringPaymentsSkip: 'Ignorer',
+  recurringPaymentsEdit: 'Modifier',
+  recurringPaymentsDelete: 'Supprimer',
+  recurringPaymentsMonthly: 'Mensuel',
+  recurringPaymentsCron: 'Expression cron',
+  recurringPaymentsMonthlyOn: 'Mensuel le {day}',
+  recurringPaymentsDayOfMonth: 'Jour du mois',
+  recurringPaymentsAddRecipient: 'Ajouter un destinataire',
+  recurringPaymentsRemoveRecipient: 'Retirer',
+  recurringPaymentsFee: 'Frais prioritaires en GAS (facultatif)',
+  recurringPaymentsSave: 'Enregistrer le paiement',
+  dappPermissionsHeader: 'dApps connectées',
+  dappPermissionsInstructions:
+    'Choisissez ce que chaque dApp connectée peut faire. Les requêtes en dehors de ces autorisations sont refusées sans vous le demander.',
+  dappPermissionsEmpty: 'Aucune dApp connectée.',
+  dappPermissionsLastActivity: 'Dernière activité {date}',
+  dappPermissionsNoActivity: 'Aucune activité pour le moment',
+  dappPermissionsApproval: 'Approbation',
+  dappPermissionsAutoReadOnly:
+    'Approuver automatiquement les requêtes en lecture seule',
+  dappPermissionsAlwaysAsk: 'Toujours demander',
+  dappPermissionsMethods: 'Méthodes autorisées',
+  dappPermissionsContracts: 'Contrats autorisés',
+  dappPermissionsAnyContract:
+    'Tout contrat, ou des hash de script séparés par des virgules',
+  dappPermissionsCaps: 'Plafonds de dépenses quotidiens',
+  dappPermissionsCapAmount: 'Montant par jour',
+  dappPermissionsAddCap: 'Ajouter un plafond',
+  dappPermissionsRemoveCap: 'Retirer',
+  dappPermissionsDisconnect: 'Déconnecter',
+  dappPermissionsRevoke: 'Révoquer',
+  dappPermissionsSave: 'Enregistrer',
+  localConnectorHeader: 'Connecteur local',
+  localConnectorInstructions:
+    "Permet aux pages et outils de cet ordinateur d'envoyer des requêtes dApp en HTTP ou WebSocket sur 127.0.0.1, sans le relais WalletConnect. Une origine doit être appairée avant de pouvoir envoyer des requêtes, et les requêtes sont approuvées comme celles des dApps connectées.",
+  localConnectorEnabled: 'Activer le connecteur local',
+  localConnectorPort: 'Port',
+  localConnectorSave: 'Enregistrer',
+  localConnectorInvalidPort:
+    'Le port doit être un nombre compris entre 1024 et 65535.',
+  localConnectorStopped: 'Arrêté',
+  localConnectorNeedsN3: 'Démarre une fois connecté à un compte N3',
+  localConnectorFailed: 'Impossible de démarrer : {error}',
+  localConnectorRunning: 'En écoute sur {address}',
+  localConnectorPairedOrigins: 'Origines appairées',
+  localConnectorNoOrigins: "Aucune origine n'est appairée.",
+  localConnectorUnpair: 'Désappairer',
+  localConnectorLog: 'Journal des requêtes',
+  localConnectorEmptyLog: 'Aucune requête pour le moment.',
+  localConnectorClearLog: 'Effacer',
+  invokeContractHeader: 'Invoquer un contrat',
+  invokeContractInstructions:
+    "Appelez n'importe quelle méthode d'un contrat N3 sans écrire de dApp. L'appel est d'abord testé, puis il peut être signé et envoyé avec la portée de signataire de votre choix.",
+  invokeContractPresets: 'Préréglages',
+  invokeContractLoadPreset: 'Charger un préréglage',
+  invokeContractDeletePreset: 'Supprimer',
+  invokeContractNoPresets: 'Aucun préréglage enregistré sur ce réseau.',
+  invokeContractHash: 'Hash du contrat',
+  invokeContractLoad: 'Charger',
+  invokeContractInvalidHash:
+    'Saisissez un hash de contrat de 40 caractères hexadécimaux.',
+  invokeContractMethod: 'Méthode',
+  invokeContractParameters: 'Paramètres',
+  invokeContractNoParameters: "Cette méthode n'a pas de paramètres.",
+  invokeContractAddItem: 'Ajouter un élément',
+  invokeContractAddEntry: 'Ajouter une entrée',
+  invokeContractRemove: 'Retirer',
+  invokeContractKey: 'Clé',
+  invokeContractValue: 'Valeur',
+  invokeContractScope: 'Portée du signataire',
+  invokeContractAllowedContracts: 'Contrats autorisés',
+  invokeContractTestInvoke: 'Tester',
+  invokeContractSend: 'Signer et envoyer',
+  invokeContractPresetName: 'Nom du préréglage',
+  invokeContractSavePreset: 'Enregistrer le préréglage',
+  invokeContractResult: 'Résultat',
+  invokeContractState: 'État : {state}',
+  invokeContractGasConsumed: 'GAS consommé : {gas}',
+  invokeContractException: 'Exception : {exception}',
+  invokeContractEmptyStack: 'La pile est vide.',
   print: 'Imprimer',
   generateQrCodes: 'Générer codes QR',
   copyCodeImage: 'Copier le code QR',
@@ -227,6 +402,12 @@ const MANAGE_WALLETS = {
 const ACTIVITY = {
   activityAddAddress: 'Ajouter',
   activityViewTx: 'Voir',
+  activitySpeedUpTx: 'Accélérer',
+  activityCancelTx: 'Annuler',
+  activitySpeedUpTxConfirm:
+    'Le transfert sera renvoyé avec des frais de réseau plus élevés et remplacera celui en attente.',
+  activityCancelTxConfirm:
+    'Un transfert de 0 GAS vers vous-même remplacera le transfert en attente. Seuls les frais de réseau seront dépensés.',
   activityPageLabel: 'Toute les activités',
   activityExport: 'Exporter',
 }
@@ -252,6 +433,10 @@ const REQUEST_ASSETS = {
   requestAssetDepositLabel: 'DÉPOSER DANS CE PORTEFEUILLE',
   requestAssetRefLabel: 'RÉFÉRENCE',
   requestAssetRefPlaceholder: 'Ajouter une note...',
+  requestAssetFee: 'FRAIS DE RÉSEAU (GAS)',
+  requestAssetFeePlaceholder: 'Facultatif',
+  requestAssetsFeeLabel: 'FRAIS DE RÉSEAU',
+  receiveCopyLinkButton: 'Copier le lien',
   requestAssetQRButton: 'Générer code QR',
   requestAssetYourQRHeader: 'Votre code QR',
   requestAssetsPaymentDetails: 'DÉTAILS DE LA DEMANDE DE PAIEMENT',
@@ -264,6 +449,18 @@ const REQUEST_ASSETS = {
 
 const TRANSACTION_FEE = {
   transactionFeeQuestion: 'Prioriser votre transaction avec des frais ?',
+  transactionLifespanQuestion:
+    'PENDANT COMBIEN DE BLOCS LA TRANSACTION DOIT-ELLE RESTER VALIDE ?',
+  transactionLifespanDuration: 'Environ {minutes} minutes',
+  n3PriorityFeeIncluded: 'Inclut des frais de priorité de {fee} GAS',
+  invocationPreviewTitle: 'Variations de solde',
+  invocationPreviewYou: 'Votre compte',
+  invocationPreviewGasBurned: '{gas} GAS brûlés pour exécuter la transaction',
+  invocationPreviewFault:
+    'La transaction échouerait (FAULT) et seuls les frais seraient dépensés. {exception}',
+  nnsResolvedTo: '{name} correspond à {address}',
+  nnsTargetChanged:
+    '{name} pointait vers {previousAddress} lors de votre dernière utilisation. Vérifiez que la nouvelle adresse est correcte.',
   fast: 'Rapide',
   faster: 'Plus rapide',
   fastest: 'Tres rapide',
@@ -315,7 +512,20 @@ const SETTINGS = {
   settingCurrencyLabel: 'MONNAIE',
   settingsThemeLabel: 'THÈME',
   settingsSoundLabel: 'SON',
+  settingsAutoLockLabel: 'VERROUILLAGE AUTOMATIQUE',
+  settingsAutoLockNever: 'Jamais',
+  settingsAutoLockMinutes:
+    'Après {minutes, plural, one {# minute} other {# minutes}}',
+  settingsLockOnSuspendLabel: 'VERROUILLER EN VEILLE',
+  settingsLockOnScreenLockLabel: "VERROUILLER AVEC L'ÉCRAN",
+  settingsMasterPasswordLabel: 'MOT DE PASSE PRINCIPAL',
+  settingsMasterPasswordEnable: 'DÉFINIR',
+  settingsMasterPasswordChange: 'MODIFIER',
   settingsEncryptLink: 'CHIFFRER UNE CLÉ',
+  settingsKeySharesLink: 'DIVISER UNE CLÉ EN PARTS',
+  settingsDappPermissionsLink: 'DAPPS CONNECTÉES',
+  settingsLocalConnectorLink: 'CONNECTEUR LOCAL',
+  settingsInvokeContractLink: 'INVOQUER UN CONTRAT',
   recoverWallet: 'RESTAURER UN PORTEFEUILLE',
   settingsRecoverWalletLink: 'IMPORTER',
   settingsBackUpLinkLabel: 'SAUVEGARDER PORTEFEUILLE',
@@ -36,6 +36,16 @@ const MISCELLANEOUS = {
   modifyDetails: 'Details ändern',
   removeContact: 'Kontakt entfernen',
   saveContactButtonText: 'Kontakt speichern',
+  enterAnAddressLabel: 'Bezeichnung (optional)...',
+  addContactAddress: 'Adresse hinzufügen',
+  removeContactAddress: 'Entfernen',
+  contactTags: 'Tags',
+  enterContactTags: 'Tags durch Kommas trennen...',
+  contactNotes: 'Notizen',
+  contactsSearch: 'Kontakte suchen...',
+  contactsAllTags: 'Alle Tags',
+  contactsImport: 'Importieren',
+  contactsExport: 'Exportieren',
 
   editContactDisclaimer:
     'Bitte überprüfen Sie und stellen Sie sicher, dass Sie die Adresse korrekt eingegeben haben, um einen Verlust von Geldern zu vermeiden',
@@ -116,6 +126,8 @@ const ERRORS = {
   'errors.contact.invalidAddress': 'Adresse ist ungültig.',
   'errors.contact.contactExists':
     'Sie haben bereits einen Kontakt mit dieser Adresse.',
+  'errors.contact.blocked':
+    'Diese Adresse steht auf der Phishing-Sperrliste und kann nicht als Kontakt gespeichert werden.',
   'errors.password.length': `Die Passphrase muss mindestens {PASS_MIN_LENGTH, number} Zeichen enthalten`,
   'errors.password.match': 'Passphrasen müssen übereinstimmen',
   'errors.request.fractional': `Sie können kein gebrochenes {asset} anfordern.`,
@@ -137,6 +149,9 @@ const ERRORS = {
     'Sie müssen eine gültige NEO N3-Adresse angeben.',
   'errors.send.blackListed':
     'Die Adresse ist auf der schwarzen Liste. Dies ist eine bekannte Phishing-Adresse.',
+  'errors.send.blockedContract':
+    '{asset} steht auf der Phishing-Sperrliste. Der Vertrag ist ein bekannter Betrug.',
+  'errors.send.unresolvedName': '{name} wird in keine N3-Adresse aufgelöst.',
 }
 
 const NOTIFICATIONS = {
@@ -163,6 +178,13 @@ const AUTH = {
   authLedgerFirstStep: 'Ledger verbinden und freischalten',
   authLedgerSecondStep: 'Öffne die NEO-App auf deinem Gerät',
   authLedgerAddressLabel: 'ÖFFENTLICHE ADRESSE',
+  unlockTitle: 'Wallet gesperrt',
+  unlockInstructions:
+    'Gib das Passwort von {address} ein, um es zu entsperren.',
+  unlockButton: 'Entsperren',
+  storageUnlockTitle: 'Neon ist gesperrt',
+  storageUnlockInstructions:
+    'Geben Sie das Masterpasswort ein, um Ihre Wallets und Einstellungen zu entschlüsseln.',
 }
 
 const WALLET_CREATION = {
@@ -184,6 +206,160 @@ const WALLET_CREATION = {
   addressLabel: 'ÖFFENTLICHE ADRESSE',
   splitKeyLabel: 'TEILT KEY',
   recoverWalletLabel: 'WALLET WIEDERHERSTELLEN',
+  recoveryPhraseLabel: 'WIEDERHERSTELLUNGSPHRASE',
+  mnemonicCreateInstructions:
+    'Schreibe diese 24 Wörter in der richtigen Reihenfolge auf und bewahre sie sicher auf. Sie sind die einzige Sicherung, die du brauchst, um jedes aus dieser Phrase abgeleitete Konto wiederherzustellen.',
+  mnemonicImportInstructions:
+    'Gib deine Wiederherstellungsphrase ein, um die daraus abgeleiteten Konten wiederherzustellen.',
+  mnemonicBackupConfirmation:
+    'Ich habe meine Wiederherstellungsphrase aufgeschrieben',
+  mnemonicAccountCountLabel: 'ANZAHL DER KONTEN',
+  multiSigLabel: 'Multi-Sig',
+  multiSigInstructions:
+    'Geben Sie den öffentlichen Schlüssel jedes Mitunterzeichners ein, einen pro Zeile, und wie viele von ihnen eine Transaktion unterschreiben müssen. Das Konto wird als Nur-Lesen-Konto hinzugefügt und seine Transaktionen werden exportiert, damit jeder Mitunterzeichner sie signieren kann.',
+  multiSigPublicKeysLabel: 'ÖFFENTLICHE SCHLÜSSEL',
+  multiSigThresholdLabel: 'ERFORDERLICHE SIGNATUREN (VON {keyCount})',
+  multiSigAddressPreview: 'Multi-Signatur-Adresse:',
+  keySharesLabel: 'SCHLÜSSELTEILE',
+  keySharesImportInstructions:
+    'Geben Sie die Schlüsselteile des Kontos ein, einen pro Zeile, oder laden Sie sie aus verschlüsselten Dateien oder QR-Codes. Es werden so viele Teile benötigt, wie beim Aufteilen festgelegt wurden.',
+  keySharesInputLabel: 'SCHLÜSSELTEILE',
+  keySharesCount: '{count} von {threshold} benötigten Teilen eingegeben',
+  keySharesScanQr: 'QR-Code scannen',
+  keySharesLoadFile: 'Datei laden',
+  keySharesPanelHeader: 'Privaten Schlüssel aufteilen',
+  keySharesSplitInstructions:
+    'Teilen Sie den privaten Schlüssel eines Kontos in Teile auf, die verschiedene Personen aufbewahren. Das Konto lässt sich nur mit der benötigten Anzahl an Teilen wiederherstellen, weniger Teile verraten nichts über den Schlüssel.',
+  keySharesExportInstructions:
+    'Geben Sie jeden Teil als QR-Code, Text oder verschlüsselte Datei an eine andere Person. Wer die benötigte Anzahl an Teilen besitzt, kann das Konto importieren.',
+  keySharesShareCountLabel: 'ANZAHL DER TEILE',
+  keySharesThresholdLabel: 'ZUM WIEDERHERSTELLEN BENÖTIGT',
+  keySharesSplitButton: 'Schlüssel aufteilen',
+  keySharesShareTitle: 'Teil {index} von {count}',
+  keySharesCopy: 'Kopieren',
+  keySharesSaveFile: 'Verschlüsselte Datei speichern',
+  keySharesDone: 'Fertig',
+  changePassphraseLink: 'Passwort ändern',
+  changePassphrasePanelHeader: 'Passwort ändern',
+  changePassphraseInstructions:
+    'Verschlüsselt die Schlüssel von Konten mit demselben Passwort mit einem neuen Passwort. Nicht ausgewählte Konten behalten ihr aktuelles Passwort.',
+  changePassphraseAccountsLabel: 'Konten',
+  changePassphraseCurrentLabel: 'Aktuelles Passwort',
+  changePassphraseNewLabel: 'Neues Passwort',
+  changePassphraseScryptLabel: 'Scrypt-Parameter (N, r, p)',
+  changePassphraseButton: 'Passwort ändern',
+  changePassphraseProgress: 'Verschlüssele {done} von {total}...',
+  bulkPayoutLink: 'Sammelauszahlung',
+  bulkPayoutPanelHeader: 'Sammelauszahlung',
+  bulkPayoutInstructions:
+    'Laden Sie eine CSV- oder JSON-Datei mit einer Auszahlung pro Zeile: Adresse, Token und Betrag. Jede Zeile wird vor dem Senden geprüft.',
+  bulkPayoutReportInstructions:
+    'Jede Zeile zeigt die Transaktion, mit der sie bezahlt wurde, oder den Grund des Fehlers. Exportieren Sie den Bericht als Nachweis.',
+  bulkPayoutLoadFile: 'CSV oder JSON laden',
+  bulkPayoutAddress: 'Adresse',
+  bulkPayoutToken: 'Token',
+  bulkPayoutAmount: 'Betrag',
+  bulkPayoutStatus: 'Status',
+  bulkPayoutRowCount: '{count} Zeilen, {invalid} mit Fehlern',
+  bulkPayoutFees: 'Gebühren: {fee} GAS in {count} Transaktionen',
+  bulkPayoutProgress: 'Sende Transaktion {done} von {total}...',
+  bulkPayoutSend: 'Auszahlung senden',
+  bulkPayoutReportSummary: '{sent} Zeilen bezahlt, {failed} fehlgeschlagen',
+  bulkPayoutExportCsv: 'Als CSV exportieren',
+  bulkPayoutExportJson: 'Als JSON exportieren',
+  bulkPayoutDone: 'Fertig',
+  recurringPaymentsLink: 'Wiederkehrend',
+  recurringPaymentsHeader: 'Wiederkehrende Zahlungen',
+  recurringPaymentsInstructions:
+    'Speichern Sie Zahlungen, die Sie nach einem Zeitplan ausführen. Wird eine fällig, werden Sie erinnert, sie zu prüfen und zu senden. Zahlungen, die fällig werden, während die Wallet gesperrt ist, werden nach dem Entsperren angezeigt.',
+  recurringPaymentsNew: 'Neue Zahlung',
+  recurringPaymentsName: 'Name',
+  recurringPaymentsRecipients: 'Empfänger',
+  recurringPaymentsSchedule: 'Zeitplan',
+  recurringPaymentsNextDue: 'Nächste Fälligkeit',
+  recurringPaymentsLastPaid: 'Zuletzt bezahlt {date}',
+  recurringPaymentsEmpty: 'Noch keine wiederkehrenden Zahlungen.',
+  recurringPaymentsPay: 'Bezahlen',
+  recurringPaymentsSkip: 'Überspringen',
+  recurringPaymentsEdit: 'Bearbeiten',
+  recurringPaymentsDelete: 'Löschen',
+  recurringPaymentsMonthly: 'Monatlich',
+  recurringPaymentsCron: 'Cron-Ausdruck',
+  recurringPaymentsMonthlyOn: 'Monatlich am {day}.',
+  recurringPaymentsDayOfMonth: 'Tag des Monats',
+  recurringPaymentsAddRecipient: 'Empfänger hinzufügen',
+  recurringPaymentsRemoveRecipient: 'Entfernen',
+  recurringPaymentsFee: 'Prioritätsgebühr in GAS (optional)',
+  recurringPaymentsSave: 'Zahlung speichern',
+  dappPermissionsHeader: 'Verbundene dApps',
+  dappPermissionsInstructions:
+    'Legen Sie fest, was jede verbundene dApp tun darf. Anfragen außerhalb dieser Berechtigungen werden ohne Rückfrage abgelehnt.',
+  dappPermissionsEmpty: 'Keine dApps verbunden.',
+  dappPermissionsLastActivity: 'Letzte Aktivität {date}',
+  dappPermissionsNoActivity: 'Noch keine Aktivität',
+  dappPermissionsApproval: 'Freigabe',
+  dappPermissionsAutoReadOnly: 'Nur-Lese-Anfragen automatisch freigeben',
+  dappPermissionsAlwaysAsk: 'Immer fragen',
+  dappPermissionsMethods: 'Erlaubte Methoden',
+  dappPermissionsContracts: 'Erlaubte Verträge',
+  dappPermissionsAnyContract:
+    'Jeder Vertrag, oder durch Kommas getrennte Script-Hashes',
+  dappPermissionsCaps: 'Tägliche Ausgabenlimits',
+  dappPermissionsCapAmount: 'Betrag pro Tag',
+  dappPermissionsAddCap: 'Limit hinzufügen',
+  dappPermissionsRemoveCap: 'Entfernen',
+  dappPermissionsDisconnect: 'Trennen',
+  dappPermissionsRevoke: 'Widerrufen',
+  dappPermissionsSave: 'Speichern',
+  localConnectorHeader: 'Lokaler Connector',
+  localConnectorInstructions:
+    'Ermöglicht Seiten und Tools auf diesem Computer dApp-Anfragen über HTTP oder WebSocket auf 127.0.0.1, ohne das WalletConnect-Relay. Ein Origin muss gekoppelt sein, bevor er Anfragen stellen kann, und Anfragen werden wie die verbundener dApps freigegeben.',
+  localConnectorEnabled: 'Lokalen Connector aktivieren',
+  localConnectorPort: 'Port',
+  localConnectorSave: 'Speichern',
+  localConnectorInvalidPort:
+    'Der Port muss eine Zahl zwischen 1024 und 65535 sein.',
+  localConnectorStopped: 'Gestoppt',
+  localConnectorNeedsN3:
+    'Startet, sobald Sie mit einem N3-Konto angemeldet sind',
+  localConnectorFailed: 'Start fehlgeschlagen: {error}',
+  localConnectorRunning: 'Lauscht auf {address}',
+  localConnectorPairedOrigins: 'Gekoppelte Origins',
+  localConnectorNoOrigins: 'Noch kein Origin gekoppelt.',
+  localConnectorUnpair: 'Entkoppeln',
+  localConnectorLog: 'Anfrageprotokoll',
+  localConnectorEmptyLog: 'Noch keine Anfragen.',
+  localConnectorClearLog: 'Leeren',
+  invokeContractHeader: 'Vertrag aufrufen',
+  invokeContractInstructions:
+    'Rufen Sie eine beliebige Methode eines N3-Vertrags auf, ohne eine dApp zu schreiben. Der Aufruf wird zuerst getestet und kann dann mit dem gewählten Signer-Scope signiert und gesendet werden.',
+  invokeContractPresets: 'Vorlagen',
+  invokeContractLoadPreset: 'Vorlage laden',
+  invokeContractDeletePreset: 'Löschen',
+  invokeContractNoPresets: 'Keine Vorlagen in diesem Netzwerk gespeichert.',
+  invokeContractHash: 'Vertrags-Hash',
+  invokeContractLoad: 'Laden',
+  invokeContractInvalidHash:
+    'Geben Sie einen Vertrags-Hash aus 40 hexadezimalen Zeichen ein.',
+  invokeContractMethod: 'Methode',
+  invokeContractParameters: 'Parameter',
+  invokeContractNoParameters: 'Diese Methode hat keine Parameter.',
+  invokeContractAddItem: 'Element hinzufügen',
+  invokeContractAddEntry: 'Eintrag hinzufügen',
+  invokeContractRemove: 'Entfernen',
+  invokeContractKey: 'Schlüssel',
+  invokeContractValue: 'Wert',
+  invokeContractScope: 'Signer-Scope',
+  invokeContractAllowedContracts: 'Erlaubte Verträge',
+  invokeContractTestInvoke: 'Testaufruf',
+  invokeContractSend: 'Signieren und senden',
+  invokeContractPresetName: 'Name der Vorlage',
+  invokeContractSavePreset: 'Vorlage speichern',
+  invokeContractResult: 'Ergebnis',
+  invokeContractState: 'Status: {state}',
+  invokeContractGasConsumed: 'Verbrauchtes GAS: {gas}',
+  invokeContractException: 'Ausnahme: {exception}',
+  invokeContractEmptyStack: 'Der Stack ist leer.',
   print: 'Drucken',
   generateQrCodes: 'QR-Code generieren',
   copyCodeImage: 'QR-Code kopieren',
@@ -235,6 +411,12 @@ const MANAGE_WALLETS = {
 const ACTIVITY = {
   activityAddAddress: 'Hinzufügen',
   activityViewTx: 'Anzeigen',
+  activitySpeedUpTx: 'Beschleunigen',
+  activityCancelTx: 'Abbrechen',
+  activitySpeedUpTxConfirm:
+    'Die Überweisung wird mit einer höheren Netzwerkgebühr erneut gesendet und ersetzt die ausstehende.',
+  activityCancelTxConfirm:
+    'Eine Überweisung von 0 GAS an Sie selbst ersetzt die ausstehende Überweisung. Nur die Netzwerkgebühr wird ausgegeben.',
   activityPageLabel: 'Alle Aktivitäten',
   activityExport: 'Exportieren',
 }
@@ -260,6 +442,10 @@ const REQUEST_ASSETS = {
   requestAssetDepositLabel: 'IN DIESES WALLET EINZAHLEN',
   requestAssetRefLabel: 'REFERENZ',
   requestAssetRefPlaceholder: 'Notiz hinzufügen...',
+  requestAssetFee: 'NETZWERKGEBÜHR (GAS)',
+  requestAssetFeePlaceholder: 'Optional',
+  requestAssetsFeeLabel: 'NETZWERKGEBÜHR',
+  receiveCopyLinkButton: 'Link kopieren',
   requestAssetQRButton: 'QR-Code generieren',
   requestAssetYourQRHeader: 'Dein QR-Code',
   requestAssetsPaymentDetails: 'PZAHLUNGSDETAILS ANFORDERN',
@@ -272,6 +458,19 @@ const REQUEST_ASSETS = {
 
 const TRANSACTION_FEE = {
   transactionFeeQuestion: 'TRANSAKTION GEBÜHRENPFLICHTIG PRIORISIEREN?',
+  transactionLifespanQuestion:
+    'WIE VIELE BLÖCKE SOLL DIE TRANSAKTION GÜLTIG BLEIBEN?',
+  transactionLifespanDuration: 'Etwa {minutes} Minuten',
+  n3PriorityFeeIncluded: 'Enthält eine Prioritätsgebühr von {fee} GAS',
+  invocationPreviewTitle: 'Saldoänderungen',
+  invocationPreviewYou: 'Ihr Konto',
+  invocationPreviewGasBurned:
+    '{gas} GAS werden für die Ausführung der Transaktion verbrannt',
+  invocationPreviewFault:
+    'Die Transaktion würde fehlschlagen (FAULT) und nur die Gebühren kosten. {exception}',
+  nnsResolvedTo: '{name} wird in {address} aufgelöst',
+  nnsTargetChanged:
+    '{name} zeigte bei Ihrer letzten Verwendung auf {previousAddress}. Prüfen Sie, ob die neue Adresse korrekt ist.',
   fast: 'Schnell',
   faster: 'Schneller',
   fastest: 'Am schnellsten',
@@ -323,7 +522,20 @@ const SETTINGS = {
   settingCurrencyLabel: 'WÄHRUNG',
   settingsThemeLabel: 'THEME',
   settingsSoundLabel: 'SOUND',
+  settingsAutoLockLabel: 'AUTOMATISCH SPERREN',
+  settingsAutoLockNever: 'Nie',
+  settingsAutoLockMinutes:
+    'Nach {minutes, plural, one {# Minute} other {# Minuten}}',
+  settingsLockOnSuspendLabel: 'BEIM RUHEZUSTAND SPERREN',
+  settingsLockOnScreenLockLabel: 'MIT BILDSCHIRMSPERRE SPERREN',
+  settingsMasterPasswordLabel: 'MASTERPASSWORT',
+  settingsMasterPasswordEnable: 'FESTLEGEN',
+  settingsMasterPasswordChange: 'ÄNDERN',
   settingsEncryptLink: 'KEY VERSCHLÜSSELN',
+  settingsKeySharesLink: 'SCHLÜSSEL IN TEILE AUFTEILEN',
+  settingsDappPermissionsLink: 'VERBUNDENE DAPPS',
+  settingsLocalConnectorLink: 'LOKALER CONNECTOR',
+  settingsInvokeContractLink: 'VERTRAG AUFRUFEN',
   recoverWallet: 'WALLET WIEDERHERSTELLEN',
   settingsRecoverWalletLink: 'IMPORTIEREN',
   settingsBackUpLinkLabel: 'WALLET-BACKUP',
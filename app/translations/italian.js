@@ -36,6 +36,16 @@ const MISCELLANEOUS = {
   modifyDetails: 'Modifica dettagli',
   removeContact: 'Rimuovi il contatto',
   saveContactButtonText: 'Salva contatto',
+  enterAnAddressLabel: 'Etichetta (facoltativa)...',
+  addContactAddress: 'Aggiungi indirizzo',
+  removeContactAddress: 'Rimuovi',
+  contactTags: 'Tag',
+  enterContactTags: 'Separa i tag con virgole...',
+  contactNotes: 'Note',
+  contactsSearch: 'Cerca contatti...',
+  contactsAllTags: 'Tutti i tag',
+  contactsImport: 'Importa',
+  contactsExport: 'Esporta',
 
   editContactDisclaimer: `Esamina e assicurati di aver inserito correttamente l'indirizzo per evitare la perdita di fondi`,
   addAContact: 'Aggiungi un contatto',
@@ -111,6 +121,8 @@ const ERRORS = {
   'errors.contact.nameDupe': 'Hai già un account salvato con quel nome.',
   'errors.contact.invalidAddress': `L'indirizzo non è valido`,
   'errors.contact.contactExists': `Hai già un contatto con quell'indirizzo.`,
+  'errors.contact.blocked':
+    'Questo indirizzo è nella lista di blocco anti-phishing e non può essere salvato come contatto.',
   'errors.password.length': `La passphrase deve contenere almeno {PASS_MIN_LENGTH, number} caratteri`,
   'errors.password.match': 'Le passphrase devono corrispondere',
   'errors.request.fractional': `Non puoi richiedere {asset} frazionario.`,
@@ -131,6 +143,9 @@ const ERRORS = {
   'errors.send.invalidN3Address':
     'Devi specificare un indirizzo NEO N3 valido.',
   'errors.send.blackListed': `L'indirizzo è nella lista nera. Questo è un indirizzo di phishing noto.`,
+  'errors.send.blockedContract':
+    '{asset} è nella lista di blocco anti-phishing. Il suo contratto è una truffa nota.',
+  'errors.send.unresolvedName': '{name} non corrisponde a un indirizzo N3.',
 }
 
 const NOTIFICATIONS = {
@@ -157,6 +172,12 @@ const AUTH = {
   authLedgerFirstStep: 'Connetti e sblocca il tuo dispositivo Ledger',
   authLedgerSecondStep: `Vai all'app NEO sul tuo dispositivo`,
   authLedgerAddressLabel: 'INDIRIZZO PUBBLICO',
+  unlockTitle: 'Wallet bloccato',
+  unlockInstructions: 'Inserisci la password di {address} per sbloccarlo.',
+  unlockButton: 'Sblocca',
+  storageUnlockTitle: 'Neon è bloccato',
+  storageUnlockInstructions:
+    'Inserisci la password principale per decifrare i tuoi portafogli e le impostazioni.',
 }
 
 const WALLET_CREATION = {
@@ -177,6 +198,159 @@ const WALLET_CREATION = {
   addressLabel: 'INDIRIZZO PUBBLICO',
   splitKeyLabel: 'SPLIT KEY',
   recoverWalletLabel: 'RECOVER WALLET',
+  recoveryPhraseLabel: 'FRASE DI RECUPERO',
+  mnemonicCreateInstructions:
+    "Scrivi queste 24 parole in ordine e conservale in un luogo sicuro. Sono l'unico backup necessario per recuperare ogni account derivato da questa frase.",
+  mnemonicImportInstructions:
+    'Inserisci la tua frase di recupero per ripristinare gli account derivati da essa.',
+  mnemonicBackupConfirmation: 'Ho scritto la mia frase di recupero',
+  mnemonicAccountCountLabel: 'NUMERO DI ACCOUNT',
+  multiSigLabel: 'Multi-Firma',
+  multiSigInstructions:
+    "Inserisci la chiave pubblica di ogni cofirmatario, una per riga, e quante firme sono necessarie per una transazione. L'account viene aggiunto in sola lettura e le sue transazioni vengono esportate affinché ogni cofirmatario possa firmarle.",
+  multiSigPublicKeysLabel: 'CHIAVI PUBBLICHE',
+  multiSigThresholdLabel: 'FIRME RICHIESTE (SU {keyCount})',
+  multiSigAddressPreview: 'Indirizzo multi-firma:',
+  keySharesLabel: 'PARTI DELLA CHIAVE',
+  keySharesImportInstructions:
+    "Inserisci le parti della chiave dell'account, una per riga, oppure caricale da file cifrati o codici QR. Servono tante parti quante ne sono state richieste quando la chiave è stata divisa.",
+  keySharesInputLabel: 'PARTI DELLA CHIAVE',
+  keySharesCount: '{count} di {threshold} parti richieste inserite',
+  keySharesScanQr: 'Scansiona codice QR',
+  keySharesLoadFile: 'Carica file',
+  keySharesPanelHeader: 'Dividi chiave privata',
+  keySharesSplitInstructions:
+    "Dividi la chiave privata di un account in parti da affidare a persone diverse. L'account può essere ricostruito solo con il numero di parti richiesto, un numero inferiore non rivela nulla della chiave.",
+  keySharesExportInstructions:
+    "Consegna ogni parte a una persona diversa come codice QR, testo o file cifrato. Chiunque possieda il numero di parti richiesto può importare l'account.",
+  keySharesShareCountLabel: 'NUMERO DI PARTI',
+  keySharesThresholdLabel: 'PARTI RICHIESTE PER RICOSTRUIRE',
+  keySharesSplitButton: 'Dividi chiave',
+  keySharesShareTitle: 'Parte {index} di {count}',
+  keySharesCopy: 'Copia',
+  keySharesSaveFile: 'Salva file cifrato',
+  keySharesDone: 'Fatto',
+  changePassphraseLink: 'Cambia password',
+  changePassphrasePanelHeader: 'Cambia Password',
+  changePassphraseInstructions:
+    'Cripta di nuovo le chiavi degli account che condividono una password con una nuova password. Gli account non selezionati mantengono la password attuale.',
+  changePassphraseAccountsLabel: 'Account',
+  changePassphraseCurrentLabel: 'Password attuale',
+  changePassphraseNewLabel: 'Nuova password',
+  changePassphraseScryptLabel: 'Parametri scrypt (N, r, p)',
+  changePassphraseButton: 'Cambia Password',
+  changePassphraseProgress: 'Crittografia {done} di {total}...',
+  bulkPayoutLink: 'Pagamento multiplo',
+  bulkPayoutPanelHeader: 'Pagamento Multiplo',
+  bulkPayoutInstructions:
+    "Carica un file CSV o JSON con un pagamento per riga: indirizzo, token e importo. Ogni riga viene controllata prima dell'invio.",
+  bulkPayoutReportInstructions:
+    "Ogni riga mostra la transazione che l'ha pagata o il motivo del fallimento. Esporta il report per conservarne traccia.",
+  bulkPayoutLoadFile: 'Carica CSV o JSON',
+  bulkPayoutAddress: 'Indirizzo',
+  bulkPayoutToken: 'Token',
+  bulkPayoutAmount: 'Importo',
+  bulkPayoutStatus: 'Stato',
+  bulkPayoutRowCount: '{count} righe, {invalid} con errori',
+  bulkPayoutFees: 'Commissioni: {fee} GAS in {count} transazioni',
+  bulkPayoutProgress: 'Invio transazione {done} di {total}...',
+  bulkPayoutSend: 'Invia Pagamento',
+  bulkPayoutReportSummary: '{sent} righe pagate, {failed} fallite',
+  bulkPayoutExportCsv: 'Esporta CSV',
+  bulkPayoutExportJson: 'Esporta JSON',
+  bulkPayoutDone: 'Fatto',
+  recurringPaymentsLink: 'Ricorrente',
+  recurringPaymentsHeader: 'Pagamenti ricorrenti',
+  recurringPaymentsInstructions:
+    'Salva i pagamenti che effettui secondo una pianificazione. Quando uno scade ti viene ricordato di verificarlo e inviarlo. I pagamenti scaduti mentre il portafoglio è bloccato vengono ricordati allo sblocco.',
+  recurringPaymentsNew: 'Nuovo pagamento',
+  recurringPaymentsName: 'Nome',
+  recurringPaymentsRecipients: 'Destinatari',
+  recurringPaymentsSchedule: 'Pianificazione',
+  recurringPaymentsNextDue: 'Prossima scadenza',
+  recurringPaymentsLastPaid: 'Ultimo pagamento {date}',
+  recurringPaymentsEmpty: 'Ancora nessun pagamento ricorrente.',
+  recurringPaymentsPay: 'Paga',
+  recurringPaymentsSkip: 'Salta',
+  recurringPaymentsEdit: 'Modifica',
+  recurringPaymentsDelete: 'Elimina',
+  recurringPaymentsMonthly: 'Mensile',
+  recurringPaymentsCron: 'Espressione cron',
+  recurringPaymentsMonthlyOn: 'Mensile il giorno {day}',
+  recurringPaymentsDayOfMonth: 'Giorno del mese',
+  recurringPaymentsAddRecipient: 'Aggiungi destinatario',
+  recurringPaymentsRemoveRecipient: 'Rimuovi',
+  recurringPaymentsFee: 'Commissione prioritaria in GAS (facoltativa)',
+  recurringPaymentsSave: 'Salva pagamento',
+  dappPermissionsHeader: 'dApp connesse',
+  dappPermissionsInstructions:
+    'Scegli cosa può fare ogni dApp connessa. Le richieste al di fuori di questi permessi vengono rifiutate senza chiedere.',
+  dappPermissionsEmpty: 'Nessuna dApp connessa.',
+  dappPermissionsLastActivity: 'Ultima attività {date}',
+  dappPermissionsNoActivity: 'Ancora nessuna attività',
+  dappPermissionsApproval: 'Approvazione',
+  dappPermissionsAutoReadOnly:
+    'Approva automaticamente le richieste di sola lettura',
+  dappPermissionsAlwaysAsk: 'Chiedi sempre',
+  dappPermissionsMethods: 'Metodi consentiti',
+  dappPermissionsContracts: 'Contratti consentiti',
+  dappPermissionsAnyContract:
+    'Qualsiasi contratto, o script hash separati da virgole',
+  dappPermissionsCaps: 'Limiti di spesa giornalieri',
+  dappPermissionsCapAmount: 'Importo al giorno',
+  dappPermissionsAddCap: 'Aggiungi limite',
+  dappPermissionsRemoveCap: 'Rimuovi',
+  dappPermissionsDisconnect: 'Disconnetti',
+  dappPermissionsRevoke: 'Revoca',
+  dappPermissionsSave: 'Salva',
+  localConnectorHeader: 'Connettore locale',
+  localConnectorInstructions:
+    "Consente a pagine e strumenti su questo computer di inviare richieste dApp tramite HTTP o WebSocket su 127.0.0.1, senza il relay WalletConnect. Un'origine deve essere associata prima di poter inviare richieste, e le richieste vengono approvate come quelle delle dApp connesse.",
+  localConnectorEnabled: 'Attiva il connettore locale',
+  localConnectorPort: 'Porta',
+  localConnectorSave: 'Salva',
+  localConnectorInvalidPort:
+    'La porta deve essere un numero compreso tra 1024 e 65535.',
+  localConnectorStopped: 'Fermo',
+  localConnectorNeedsN3: "Si avvia dopo l'accesso a un account N3",
+  localConnectorFailed: 'Impossibile avviare: {error}',
+  localConnectorRunning: 'In ascolto su {address}',
+  localConnectorPairedOrigins: 'Origini associate',
+  localConnectorNoOrigins: 'Nessuna origine associata.',
+  localConnectorUnpair: 'Dissocia',
+  localConnectorLog: 'Registro delle richieste',
+  localConnectorEmptyLog: 'Ancora nessuna richiesta.',
+  localConnectorClearLog: 'Cancella',
+  invokeContractHeader: 'Invoca contratto',
+  invokeContractInstructions:
+    "Chiama qualsiasi metodo di un contratto N3 senza scrivere una dApp. La chiamata viene prima testata, poi può essere firmata e inviata con l'ambito del firmatario scelto.",
+  invokeContractPresets: 'Preimpostazioni',
+  invokeContractLoadPreset: 'Carica una preimpostazione',
+  invokeContractDeletePreset: 'Elimina',
+  invokeContractNoPresets: 'Nessuna preimpostazione salvata su questa rete.',
+  invokeContractHash: 'Hash del contratto',
+  invokeContractLoad: 'Carica',
+  invokeContractInvalidHash:
+    'Inserisci un hash di contratto di 40 caratteri esadecimali.',
+  invokeContractMethod: 'Metodo',
+  invokeContractParameters: 'Parametri',
+  invokeContractNoParameters: 'Questo metodo non ha parametri.',
+  invokeContractAddItem: 'Aggiungi elemento',
+  invokeContractAddEntry: 'Aggiungi voce',
+  invokeContractRemove: 'Rimuovi',
+  invokeContractKey: 'Chiave',
+  invokeContractValue: 'Valore',
+  invokeContractScope: 'Ambito del firmatario',
+  invokeContractAllowedContracts: 'Contratti consentiti',
+  invokeContractTestInvoke: 'Test di invocazione',
+  invokeContractSend: 'Firma e invia',
+  invokeContractPresetName: 'Nome della preimpostazione',
+  invokeContractSavePreset: 'Salva preimpostazione',
+  invokeContractResult: 'Risultato',
+  invokeContractState: 'Stato: {state}',
+  invokeContractGasConsumed: 'GAS consumato: {gas}',
+  invokeContractException: 'Eccezione: {exception}',
+  invokeContractEmptyStack: 'Lo stack è vuoto.',
   print: 'Stampa',
   generateQrCodes: 'Genera codici QR',
   copyCodeImage: 'Copia immagine codice',
@@ -228,6 +402,12 @@ const MANAGE_WALLETS = {
 const ACTIVITY = {
   activityAddAddress: 'Inserisci',
   activityViewTx: 'Visualizza',
+  activitySpeedUpTx: 'Accelera',
+  activityCancelTx: 'Annulla',
+  activitySpeedUpTxConfirm:
+    'Il trasferimento verrà inviato di nuovo con una commissione di rete più alta e sostituirà quello in sospeso.',
+  activityCancelTxConfirm:
+    'Un trasferimento di 0 GAS a te stesso sostituirà il trasferimento in sospeso. Verrà spesa solo la commissione di rete.',
   activityPageLabel: 'Tutte le attività',
   activityExport: 'Esportare',
 }
@@ -251,6 +431,10 @@ const REQUEST_ASSETS = {
   requestAssetDepositLabel: 'DEPOSITO IN QUESTO PORTAFOGLIO',
   requestAssetRefLabel: 'RIFERIMENTO',
   requestAssetRefPlaceholder: 'Aggiungi una nota...',
+  requestAssetFee: 'COMMISSIONE DI RETE (GAS)',
+  requestAssetFeePlaceholder: 'Facoltativo',
+  requestAssetsFeeLabel: 'COMMISSIONE DI RETE',
+  receiveCopyLinkButton: 'Copia link',
   requestAssetQRButton: 'Genera codice QR',
   requestAssetYourQRHeader: 'Il tuo codice QR',
   requestAssetsPaymentDetails: 'DETTAGLI RICHIESTA DI PAGAMENTO',
@@ -263,6 +447,18 @@ const REQUEST_ASSETS = {
 
 const TRANSACTION_FEE = {
   transactionFeeQuestion: 'PRIORITIZZARE LA TUA TRANSAZIONE CON UNA QUOTA?',
+  transactionLifespanQuestion:
+    'PER QUANTI BLOCCHI LA TRANSAZIONE DEVE RESTARE VALIDA?',
+  transactionLifespanDuration: 'Circa {minutes} minuti',
+  n3PriorityFeeIncluded: 'Include una commissione di priorità di {fee} GAS',
+  invocationPreviewTitle: 'Variazioni del saldo',
+  invocationPreviewYou: 'Il tuo account',
+  invocationPreviewGasBurned: '{gas} GAS bruciati per eseguire la transazione',
+  invocationPreviewFault:
+    'La transazione fallirebbe (FAULT) e verrebbero spese solo le commissioni. {exception}',
+  nnsResolvedTo: '{name} corrisponde a {address}',
+  nnsTargetChanged:
+    "{name} puntava a {previousAddress} l'ultima volta che lo hai usato. Verifica che il nuovo indirizzo sia corretto.",
   fast: 'Veloce',
   faster: 'Più Veloce',
   fastest: 'più veloce',
@@ -315,7 +511,20 @@ const SETTINGS = {
   settingCurrencyLabel: 'MONETA',
   settingsThemeLabel: 'TEMA',
   settingsSoundLabel: 'SUONO',
+  settingsAutoLockLabel: 'BLOCCO AUTOMATICO',
+  settingsAutoLockNever: 'Mai',
+  settingsAutoLockMinutes:
+    'Dopo {minutes, plural, one {# minuto} other {# minuti}}',
+  settingsLockOnSuspendLabel: 'BLOCCA IN SOSPENSIONE',
+  settingsLockOnScreenLockLabel: 'BLOCCA CON IL BLOCCO SCHERMO',
+  settingsMasterPasswordLabel: 'PASSWORD PRINCIPALE',
+  settingsMasterPasswordEnable: 'IMPOSTA',
+  settingsMasterPasswordChange: 'CAMBIA',
   settingsEncryptLink: 'ENCRYPT A KEY',
+  settingsKeySharesLink: 'DIVIDI UNA CHIAVE IN PARTI',
+  settingsDappPermissionsLink: 'DAPP CONNESSE',
+  settingsLocalConnectorLink: 'CONNETTORE LOCALE',
+  settingsInvokeContractLink: 'INVOCA CONTRATTO',
   recoverWallet: 'PORTAFOGLIO RECUPERO',
   settingsRecoverWalletLink: 'IMPORTARE',
   settingsBackUpLinkLabel: 'PORTAFOGLIO DI BACKUP',
@@ -31,6 +31,16 @@ const MISCELLANEOUS = {
   modifyDetails: '세부 사항 수정',
   removeContact: '연락처를 없 에다',
   saveContactButtonText: '연락처 저장',
+  enterAnAddressLabel: '라벨 (선택 사항)...',
+  addContactAddress: '주소 추가',
+  removeContactAddress: '삭제',
+  contactTags: '태그',
+  enterContactTags: '쉼표로 태그를 구분하세요...',
+  contactNotes: '메모',
+  contactsSearch: '연락처 검색...',
+  contactsAllTags: '모든 태그',
+  contactsImport: '가져오기',
+  contactsExport: '내보내기',
   editContactDisclaimer:
     '자금 손실을 피하기 위해 주소를 올바르게 입력했는지 확인하고 입력하십시오',
   addAContact: '연락처 추가',
@@ -96,6 +106,7 @@ const ERRORS = {
   'errors.contact.nameDupe': '해당 이름으로 저장된 계정이 이미 있습니다.',
   'errors.contact.invalidAddress': '주소가 유효하지 않습니다.',
   'errors.contact.contactExists': '해당 주소로 이미 연락하고 있습니다.',
+  'errors.contact.blocked': '이 주소는 피싱 차단 목록에 있어 연락처로 저장할 수 없습니다.',
 
   'errors.password.length':
     '암호는 {PASS_MIN_LENGTH, number} 자 이상이어야합니다.',
@@ -119,6 +130,8 @@ const ERRORS = {
   'errors.send.invalidN3Address': '유효한 NEO N3 주소를 지정해야합니다.',
   'errors.send.blackListed':
     '주소가 블랙리스트에 있습니다. 이것은 알려진 피싱 주소입니다.',
+  'errors.send.blockedContract': '{asset}은(는) 피싱 차단 목록에 있습니다. 알려진 사기 컨트랙트입니다.',
+  'errors.send.unresolvedName': '{name}은(는) N3 주소로 확인되지 않습니다.',
 }
 
 const NOTIFICATIONS = {
@@ -147,6 +160,11 @@ const AUTH = {
   authLedgerFirstStep: '연결 후 원장 기기를 잠금 해제 해주세요',
   authLedgerSecondStep: 'NEO 앱을 기기로 이동합니다',
   authLedgerAddressLabel: '퍼블릭 주소',
+  unlockTitle: '지갑이 잠겼습니다',
+  unlockInstructions: '잠금을 해제하려면 {address}의 비밀번호를 입력하세요.',
+  unlockButton: '잠금 해제',
+  storageUnlockTitle: 'Neon이 잠겨 있습니다',
+  storageUnlockInstructions: '지갑과 설정을 복호화하려면 마스터 비밀번호를 입력하세요.',
 }
 
 const WALLET_CREATION = {
@@ -168,6 +186,154 @@ const WALLET_CREATION = {
   addressLabel: '퍼블릭 주소',
   splitKeyLabel: '스플릿 키',
   recoverWalletLabel: '리커버 지갑',
+  recoveryPhraseLabel: '복구 문구',
+  mnemonicCreateInstructions:
+    '이 24개의 단어를 순서대로 적어 안전한 곳에 보관하세요. 이 문구에서 파생된 모든 계정을 복구하는 데 필요한 유일한 백업입니다.',
+  mnemonicImportInstructions: '복구 문구를 입력하여 파생된 계정을 복원하세요.',
+  mnemonicBackupConfirmation: '복구 문구를 적어 두었습니다',
+  mnemonicAccountCountLabel: '계정 수',
+  multiSigLabel: '다중 서명',
+  multiSigInstructions:
+    '각 공동 서명자의 공개 키를 한 줄에 하나씩 입력하고, 거래에 필요한 서명 수를 입력하세요. 계정은 보기 전용으로 추가되며, 각 공동 서명자가 서명할 수 있도록 거래가 내보내집니다.',
+  multiSigPublicKeysLabel: '공개 키',
+  multiSigThresholdLabel: '필요한 서명 수 ({keyCount}개 중)',
+  multiSigAddressPreview: '다중 서명 주소:',
+  keySharesLabel: '키 조각',
+  keySharesImportInstructions:
+    '계정의 키 조각을 한 줄에 하나씩 입력하거나 암호화된 조각 파일 또는 QR 코드에서 불러오세요. 키를 분할할 때 지정한 만큼의 조각이 필요합니다.',
+  keySharesInputLabel: '키 조각',
+  keySharesCount: '필요한 {threshold}개 중 {count}개 입력됨',
+  keySharesScanQr: 'QR 코드 스캔',
+  keySharesLoadFile: '조각 파일 불러오기',
+  keySharesPanelHeader: '개인 키 분할',
+  keySharesSplitInstructions:
+    '계정의 개인 키를 여러 조각으로 나누어 서로 다른 사람이 보관하도록 하세요. 필요한 수의 조각이 있어야만 계정을 복구할 수 있으며, 그보다 적은 조각으로는 키에 대해 아무것도 알 수 없습니다.',
+  keySharesExportInstructions:
+    '각 조각을 QR 코드, 텍스트 또는 암호화된 파일로 서로 다른 사람에게 전달하세요. 필요한 수의 조각을 가진 사람은 누구나 계정을 가져올 수 있습니다.',
+  keySharesShareCountLabel: '조각 수',
+  keySharesThresholdLabel: '복구에 필요한 조각 수',
+  keySharesSplitButton: '키 분할',
+  keySharesShareTitle: '조각 {index} / {count}',
+  keySharesCopy: '복사',
+  keySharesSaveFile: '암호화된 파일 저장',
+  keySharesDone: '완료',
+  changePassphraseLink: '비밀번호 변경',
+  changePassphrasePanelHeader: '비밀번호 변경',
+  changePassphraseInstructions:
+    '같은 비밀번호를 사용하는 계정의 키를 새 비밀번호로 다시 암호화합니다. 선택하지 않은 계정은 현재 비밀번호를 유지합니다.',
+  changePassphraseAccountsLabel: '계정',
+  changePassphraseCurrentLabel: '현재 비밀번호',
+  changePassphraseNewLabel: '새 비밀번호',
+  changePassphraseScryptLabel: 'Scrypt 매개변수 (N, r, p)',
+  changePassphraseButton: '비밀번호 변경',
+  changePassphraseProgress: '{total}개 중 {done}개 다시 암호화 중...',
+  bulkPayoutLink: '일괄 지급',
+  bulkPayoutPanelHeader: '일괄 지급',
+  bulkPayoutInstructions:
+    '한 행에 하나의 지급(주소, 토큰, 금액)이 있는 CSV 또는 JSON 파일을 불러오세요. 전송 전에 모든 행을 확인합니다.',
+  bulkPayoutReportInstructions:
+    '각 행에 지급한 트랜잭션 또는 실패 이유가 표시됩니다. 기록을 위해 보고서를 내보내세요.',
+  bulkPayoutLoadFile: 'CSV 또는 JSON 불러오기',
+  bulkPayoutAddress: '주소',
+  bulkPayoutToken: '토큰',
+  bulkPayoutAmount: '금액',
+  bulkPayoutStatus: '상태',
+  bulkPayoutRowCount: '{count}개 행, 오류 {invalid}개',
+  bulkPayoutFees: '수수료: {count}개 트랜잭션에 {fee} GAS',
+  bulkPayoutProgress: '트랜잭션 {total}개 중 {done}개 전송 중...',
+  bulkPayoutSend: '지급 보내기',
+  bulkPayoutReportSummary: '{sent}개 행 지급, {failed}개 실패',
+  bulkPayoutExportCsv: 'CSV 내보내기',
+  bulkPayoutExportJson: 'JSON 내보내기',
+  bulkPayoutDone: '완료',
+  recurringPaymentsLink: '정기',
+  recurringPaymentsHeader: '정기 결제',
+  recurringPaymentsInstructions:
+    '일정에 따라 보내는 결제를 저장하세요. 결제 기한이 되면 확인하고 보내도록 알려 드립니다. 지갑이 잠겨 있는 동안 기한이 된 결제는 잠금 해제 시 알려 드립니다.',
+  recurringPaymentsNew: '새 결제',
+  recurringPaymentsName: '이름',
+  recurringPaymentsRecipients: '받는 사람',
+  recurringPaymentsSchedule: '일정',
+  recurringPaymentsNextDue: '다음 기한',
+  recurringPaymentsLastPaid: '마지막 결제 {date}',
+  recurringPaymentsEmpty: '아직 정기 결제가 없습니다.',
+  recurringPaymentsPay: '결제',
+  recurringPaymentsSkip: '건너뛰기',
+  recurringPaymentsEdit: '편집',
+  recurringPaymentsDelete: '삭제',
+  recurringPaymentsMonthly: '매월',
+  recurringPaymentsCron: 'Cron 표현식',
+  recurringPaymentsMonthlyOn: '매월 {day}일',
+  recurringPaymentsDayOfMonth: '일자',
+  recurringPaymentsAddRecipient: '받는 사람 추가',
+  recurringPaymentsRemoveRecipient: '제거',
+  recurringPaymentsFee: 'GAS 우선 수수료 (선택 사항)',
+  recurringPaymentsSave: '결제 저장',
+  dappPermissionsHeader: '연결된 dApp',
+  dappPermissionsInstructions:
+    '연결된 각 dApp이 할 수 있는 작업을 선택하세요. 이 권한을 벗어난 요청은 묻지 않고 거부됩니다.',
+  dappPermissionsEmpty: '연결된 dApp이 없습니다.',
+  dappPermissionsLastActivity: '마지막 활동 {date}',
+  dappPermissionsNoActivity: '아직 활동이 없습니다',
+  dappPermissionsApproval: '승인',
+  dappPermissionsAutoReadOnly: '읽기 전용 요청 자동 승인',
+  dappPermissionsAlwaysAsk: '항상 묻기',
+  dappPermissionsMethods: '허용된 메서드',
+  dappPermissionsContracts: '허용된 컨트랙트',
+  dappPermissionsAnyContract: '모든 컨트랙트, 또는 쉼표로 구분된 스크립트 해시',
+  dappPermissionsCaps: '일일 지출 한도',
+  dappPermissionsCapAmount: '하루 금액',
+  dappPermissionsAddCap: '한도 추가',
+  dappPermissionsRemoveCap: '제거',
+  dappPermissionsDisconnect: '연결 해제',
+  dappPermissionsRevoke: '권한 취소',
+  dappPermissionsSave: '저장',
+  localConnectorHeader: '로컬 커넥터',
+  localConnectorInstructions:
+    '이 컴퓨터의 페이지와 도구가 WalletConnect 릴레이 없이 127.0.0.1에서 HTTP 또는 WebSocket으로 dApp 요청을 보낼 수 있게 합니다. 오리진은 요청을 보내기 전에 페어링되어야 하며, 요청은 연결된 dApp의 요청처럼 승인됩니다.',
+  localConnectorEnabled: '로컬 커넥터 사용',
+  localConnectorPort: '포트',
+  localConnectorSave: '저장',
+  localConnectorInvalidPort: '포트는 1024에서 65535 사이의 숫자여야 합니다.',
+  localConnectorStopped: '중지됨',
+  localConnectorNeedsN3: 'N3 계정에 로그인하면 시작됩니다',
+  localConnectorFailed: '시작할 수 없습니다: {error}',
+  localConnectorRunning: '{address}에서 수신 중',
+  localConnectorPairedOrigins: '페어링된 오리진',
+  localConnectorNoOrigins: '페어링된 오리진이 없습니다.',
+  localConnectorUnpair: '페어링 해제',
+  localConnectorLog: '요청 로그',
+  localConnectorEmptyLog: '아직 요청이 없습니다.',
+  localConnectorClearLog: '지우기',
+  invokeContractHeader: '컨트랙트 호출',
+  invokeContractInstructions:
+    'dApp을 작성하지 않고 N3 컨트랙트의 모든 메서드를 호출합니다. 호출은 먼저 테스트되며, 그 후 선택한 서명자 범위로 서명하여 전송할 수 있습니다.',
+  invokeContractPresets: '프리셋',
+  invokeContractLoadPreset: '프리셋 불러오기',
+  invokeContractDeletePreset: '삭제',
+  invokeContractNoPresets: '이 네트워크에 저장된 프리셋이 없습니다.',
+  invokeContractHash: '컨트랙트 해시',
+  invokeContractLoad: '불러오기',
+  invokeContractInvalidHash: '16진수 40자로 된 컨트랙트 해시를 입력하세요.',
+  invokeContractMethod: '메서드',
+  invokeContractParameters: '매개변수',
+  invokeContractNoParameters: '이 메서드에는 매개변수가 없습니다.',
+  invokeContractAddItem: '항목 추가',
+  invokeContractAddEntry: '엔트리 추가',
+  invokeContractRemove: '제거',
+  invokeContractKey: '키',
+  invokeContractValue: '값',
+  invokeContractScope: '서명자 범위',
+  invokeContractAllowedContracts: '허용된 컨트랙트',
+  invokeContractTestInvoke: '테스트 호출',
+  invokeContractSend: '서명 후 전송',
+  invokeContractPresetName: '프리셋 이름',
+  invokeContractSavePreset: '프리셋 저장',
+  invokeContractResult: '결과',
+  invokeContractState: '상태: {state}',
+  invokeContractGasConsumed: '소모된 GAS: {gas}',
+  invokeContractException: '예외: {exception}',
+  invokeContractEmptyStack: '스택이 비어 있습니다.',
   print: '인쇄',
   generateQrCodes: 'QR 코드 생성',
   copyCodeImage: '코드 이미지 복사',
@@ -221,6 +387,11 @@ const MANAGE_WALLETS = {
 const ACTIVITY = {
   activityAddAddress: '추가',
   activityViewTx: '보기',
+  activitySpeedUpTx: '속도 올리기',
+  activityCancelTx: '취소',
+  activitySpeedUpTxConfirm: '더 높은 네트워크 수수료로 전송을 다시 보내 대기 중인 전송을 대체합니다.',
+  activityCancelTxConfirm:
+    '자신에게 보내는 0 GAS 전송이 대기 중인 전송을 대체합니다. 네트워크 수수료만 사용됩니다.',
   activityPageLabel: '활동',
   activityExport: '내보내기',
 }
@@ -246,6 +417,10 @@ const REQUEST_ASSETS = {
   requestAssetDepositLabel: '월렛으로 예금',
   requestAssetRefLabel: '레퍼런스',
   requestAssetRefPlaceholder: '노트 추가...',
+  requestAssetFee: '네트워크 수수료 (GAS)',
+  requestAssetFeePlaceholder: '선택 사항',
+  requestAssetsFeeLabel: '네트워크 수수료',
+  receiveCopyLinkButton: '링크 복사',
   requestAssetQRButton: 'QR코드 생성',
   requestAssetYourQRHeader: 'QR코드',
   requestAssetsPaymentDetails: '지불 요청 세부 사항',
@@ -258,6 +433,16 @@ const REQUEST_ASSETS = {
 
 const TRANSACTION_FEE = {
   transactionFeeQuestion: '수수료로 우선 순위를 매겨 거래하시겠습니까?',
+  transactionLifespanQuestion: '트랜잭션이 몇 블록 동안 유효해야 합니까?',
+  transactionLifespanDuration: '약 {minutes}분',
+  n3PriorityFeeIncluded: '{fee} GAS 우선 수수료 포함',
+  invocationPreviewTitle: '잔액 변경',
+  invocationPreviewYou: '내 계정',
+  invocationPreviewGasBurned: '트랜잭션 실행에 {gas} GAS 소각',
+  invocationPreviewFault: '트랜잭션이 실패(FAULT)하여 수수료만 소비됩니다. {exception}',
+  nnsResolvedTo: '{name}은(는) {address}(으)로 확인됩니다',
+  nnsTargetChanged:
+    '{name}은(는) 마지막 사용 시 {previousAddress}을(를) 가리켰습니다. 새 주소가 올바른지 확인하세요.',
   fast: '빠르게',
   faster: '더 빠르게',
   fastest: '제일 빠르게',
@@ -311,7 +496,19 @@ const SETTINGS = {
   settingCurrencyLabel: '통화',
   settingsThemeLabel: '테마',
   settingsSoundLabel: '소리',
+  settingsAutoLockLabel: '자동 잠금',
+  settingsAutoLockNever: '사용 안 함',
+  settingsAutoLockMinutes: '{minutes}분 후',
+  settingsLockOnSuspendLabel: '절전 시 잠금',
+  settingsLockOnScreenLockLabel: '화면 잠금 시 잠금',
+  settingsMasterPasswordLabel: '마스터 비밀번호',
+  settingsMasterPasswordEnable: '설정',
+  settingsMasterPasswordChange: '변경',
   settingsEncryptLink: '키 암호화',
+  settingsKeySharesLink: '키를 여러 조각으로 분할',
+  settingsDappPermissionsLink: '연결된 DAPP',
+  settingsLocalConnectorLink: '로컬 커넥터',
+  settingsInvokeContractLink: '컨트랙트 호출',
   recoverWallet: '월렛 복구',
   settingsRecoverWalletLink: '불러오기',
   settingsBackUpLinkLabel: '월렛 백업',
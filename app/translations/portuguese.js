@@ -36,6 +36,16 @@ const MISCELLANEOUS = {
   modifyDetails: 'Modificar Detalhes',
   removeContact: 'Remover Contato',
   saveContactButtonText: 'Salvar Contato',
+  enterAnAddressLabel: 'Rótulo (opcional)...',
+  addContactAddress: 'Adicionar endereço',
+  removeContactAddress: 'Remover',
+  contactTags: 'Tags',
+  enterContactTags: 'Separe as tags com vírgulas...',
+  contactNotes: 'Notas',
+  contactsSearch: 'Pesquisar contatos...',
+  contactsAllTags: 'Todas as tags',
+  contactsImport: 'Importar',
+  contactsExport: 'Exportar',
 
   editContactDisclaimer:
     'Por favor, reveja e assegure-se de que inseriu o endereço corretamente para evitar perda de fundos',
@@ -116,6 +126,8 @@ const ERRORS = {
   'errors.contact.nameDupe': 'Você já tem uma conta salva com esse nome.',
   'errors.contact.invalidAddress': 'O endereço não é válido.',
   'errors.contact.contactExists': 'Você já tem um contato com esse endereço.',
+  'errors.contact.blocked':
+    'Este endereço está na lista de bloqueio de phishing e não pode ser salvo como contato.',
   'errors.password.length': `A senha deve conter pelo menos {PASS_MIN_LENGTH, number} caracteres`,
   'errors.password.match': 'As senhas devem corresponder',
   'errors.request.fractional': `Você não pode solicitar {asset} fracionário.`,
@@ -139,6 +151,9 @@ const ERRORS = {
     'Você precisa especificar um endereço NEO N3 válido.',
   'errors.send.blackListed':
     'O endereço está na lista negra. Este é um endereço de phishing conhecido.',
+  'errors.send.blockedContract':
+    '{asset} está na lista de bloqueio de phishing. Seu contrato é um golpe conhecido.',
+  'errors.send.unresolvedName': '{name} não corresponde a um endereço N3.',
 }
 
 const NOTIFICATIONS = {
@@ -165,6 +180,13 @@ const AUTH = {
   authLedgerFirstStep: 'Conectar e desbloquear seu Registro',
   authLedgerSecondStep: 'Selecionar o aplicativo NEO no seu dispositivo',
   authLedgerAddressLabel: 'ENDEREÇO PÚBLICO',
+  unlockTitle: 'Carteira bloqueada',
+  unlockInstructions:
+    'Introduza a palavra-passe de {address} para a desbloquear.',
+  unlockButton: 'Desbloquear',
+  storageUnlockTitle: 'O Neon está bloqueado',
+  storageUnlockInstructions:
+    'Digite a senha mestra para descriptografar suas carteiras e configurações.',
 }
 
 const WALLET_CREATION = {
@@ -186,6 +208,158 @@ const WALLET_CREATION = {
   addressLabel: 'ENDEREÇO PÚBLICO',
   splitKeyLabel: 'SPLIT KEY',
   recoverWalletLabel: 'RECUPERAR',
+  recoveryPhraseLabel: 'FRASE DE RECUPERAÇÃO',
+  mnemonicCreateInstructions:
+    'Anote estas 24 palavras em ordem e guarde-as em um lugar seguro. Elas são o único backup necessário para recuperar todas as contas derivadas desta frase.',
+  mnemonicImportInstructions:
+    'Digite sua frase de recuperação para restaurar as contas derivadas dela.',
+  mnemonicBackupConfirmation: 'Eu anotei minha frase de recuperação',
+  mnemonicAccountCountLabel: 'NÚMERO DE CONTAS',
+  multiSigLabel: 'Multi-Assinatura',
+  multiSigInstructions:
+    'Insira a chave pública de cada cossignatário, uma por linha, e quantas assinaturas são necessárias para uma transação. A conta é adicionada apenas para visualização e as suas transações são exportadas para que cada cossignatário as possa assinar.',
+  multiSigPublicKeysLabel: 'CHAVES PÚBLICAS',
+  multiSigThresholdLabel: 'ASSINATURAS NECESSÁRIAS (DE {keyCount})',
+  multiSigAddressPreview: 'Endereço multi-assinatura:',
+  keySharesLabel: 'PARTES DA CHAVE',
+  keySharesImportInstructions:
+    'Insira as partes da chave da conta, uma por linha, ou carregue-as de arquivos criptografados ou códigos QR. São necessárias tantas partes quanto as exigidas ao dividir a chave.',
+  keySharesInputLabel: 'PARTES DA CHAVE',
+  keySharesCount: '{count} de {threshold} partes necessárias inseridas',
+  keySharesScanQr: 'Escanear código QR',
+  keySharesLoadFile: 'Carregar arquivo',
+  keySharesPanelHeader: 'Dividir chave privada',
+  keySharesSplitInstructions:
+    'Divida a chave privada de uma conta em partes para serem guardadas por pessoas diferentes. A conta só pode ser reconstruída com o número necessário de partes, menos partes não revelam nada sobre a chave.',
+  keySharesExportInstructions:
+    'Entregue cada parte a uma pessoa diferente como código QR, texto ou arquivo criptografado. Qualquer pessoa com o número necessário de partes pode importar a conta.',
+  keySharesShareCountLabel: 'NÚMERO DE PARTES',
+  keySharesThresholdLabel: 'PARTES NECESSÁRIAS PARA RECONSTRUIR',
+  keySharesSplitButton: 'Dividir chave',
+  keySharesShareTitle: 'Parte {index} de {count}',
+  keySharesCopy: 'Copiar',
+  keySharesSaveFile: 'Salvar arquivo criptografado',
+  keySharesDone: 'Concluído',
+  changePassphraseLink: 'Alterar senha',
+  changePassphrasePanelHeader: 'Alterar Senha',
+  changePassphraseInstructions:
+    'Criptografa novamente as chaves das contas que compartilham uma senha com uma nova senha. As contas não selecionadas mantêm a senha atual.',
+  changePassphraseAccountsLabel: 'Contas',
+  changePassphraseCurrentLabel: 'Senha atual',
+  changePassphraseNewLabel: 'Nova senha',
+  changePassphraseScryptLabel: 'Parâmetros scrypt (N, r, p)',
+  changePassphraseButton: 'Alterar Senha',
+  changePassphraseProgress: 'Criptografando {done} de {total}...',
+  bulkPayoutLink: 'Pagamento em lote',
+  bulkPayoutPanelHeader: 'Pagamento em Lote',
+  bulkPayoutInstructions:
+    'Carregue um arquivo CSV ou JSON com um pagamento por linha: endereço, token e valor. Cada linha é verificada antes do envio.',
+  bulkPayoutReportInstructions:
+    'Cada linha mostra a transação que a pagou ou o motivo da falha. Exporte o relatório para manter um registro.',
+  bulkPayoutLoadFile: 'Carregar CSV ou JSON',
+  bulkPayoutAddress: 'Endereço',
+  bulkPayoutToken: 'Token',
+  bulkPayoutAmount: 'Valor',
+  bulkPayoutStatus: 'Status',
+  bulkPayoutRowCount: '{count} linhas, {invalid} com erros',
+  bulkPayoutFees: 'Taxas: {fee} GAS em {count} transações',
+  bulkPayoutProgress: 'Enviando transação {done} de {total}...',
+  bulkPayoutSend: 'Enviar Pagamento',
+  bulkPayoutReportSummary: '{sent} linhas pagas, {failed} com falha',
+  bulkPayoutExportCsv: 'Exportar CSV',
+  bulkPayoutExportJson: 'Exportar JSON',
+  bulkPayoutDone: 'Concluído',
+  recurringPaymentsLink: 'Recorrente',
+  recurringPaymentsHeader: 'Pagamentos recorrentes',
+  recurringPaymentsInstructions:
+    'Salve os pagamentos que você faz em uma programação. Quando um vencer, você será lembrado de revisá-lo e enviá-lo. Pagamentos que vencerem enquanto a carteira estiver bloqueada são lembrados quando ela for desbloqueada.',
+  recurringPaymentsNew: 'Novo pagamento',
+  recurringPaymentsName: 'Nome',
+  recurringPaymentsRecipients: 'Destinatários',
+  recurringPaymentsSchedule: 'Programação',
+  recurringPaymentsNextDue: 'Próximo vencimento',
+  recurringPaymentsLastPaid: 'Último pagamento {date}',
+  recurringPaymentsEmpty: 'Nenhum pagamento recorrente ainda.',
+  recurringPaymentsPay: 'Pagar',
+  recurringPaymentsSkip: 'Pular',
+  recurringPaymentsEdit: 'Editar',
+  recurringPaymentsDelete: 'Excluir',
+  recurringPaymentsMonthly: 'Mensal',
+  recurringPaymentsCron: 'Expressão cron',
+  recurringPaymentsMonthlyOn: 'Mensal no dia {day}',
+  recurringPaymentsDayOfMonth: 'Dia do mês',
+  recurringPaymentsAddRecipient: 'Adicionar destinatário',
+  recurringPaymentsRemoveRecipient: 'Remover',
+  recurringPaymentsFee: 'Taxa de prioridade em GAS (opcional)',
+  recurringPaymentsSave: 'Salvar pagamento',
+  dappPermissionsHeader: 'dApps conectados',
+  dappPermissionsInstructions:
+    'Escolha o que cada dApp conectado pode fazer. Solicitações fora dessas permissões são recusadas sem perguntar.',
+  dappPermissionsEmpty: 'Nenhum dApp conectado.',
+  dappPermissionsLastActivity: 'Última atividade {date}',
+  dappPermissionsNoActivity: 'Nenhuma atividade ainda',
+  dappPermissionsApproval: 'Aprovação',
+  dappPermissionsAutoReadOnly:
+    'Aprovar automaticamente solicitações somente leitura',
+  dappPermissionsAlwaysAsk: 'Sempre perguntar',
+  dappPermissionsMethods: 'Métodos permitidos',
+  dappPermissionsContracts: 'Contratos permitidos',
+  dappPermissionsAnyContract:
+    'Qualquer contrato, ou script hashes separados por vírgulas',
+  dappPermissionsCaps: 'Limites de gastos diários',
+  dappPermissionsCapAmount: 'Valor por dia',
+  dappPermissionsAddCap: 'Adicionar limite',
+  dappPermissionsRemoveCap: 'Remover',
+  dappPermissionsDisconnect: 'Desconectar',
+  dappPermissionsRevoke: 'Revogar',
+  dappPermissionsSave: 'Salvar',
+  localConnectorHeader: 'Conector local',
+  localConnectorInstructions:
+    'Permite que páginas e ferramentas neste computador façam solicitações de dApp por HTTP ou WebSocket em 127.0.0.1, sem o relay do WalletConnect. Uma origem precisa ser pareada antes de fazer solicitações, e as solicitações são aprovadas como as de dApps conectados.',
+  localConnectorEnabled: 'Ativar o conector local',
+  localConnectorPort: 'Porta',
+  localConnectorSave: 'Salvar',
+  localConnectorInvalidPort: 'A porta deve ser um número entre 1024 e 65535.',
+  localConnectorStopped: 'Parado',
+  localConnectorNeedsN3: 'Inicia assim que você entrar em uma conta N3',
+  localConnectorFailed: 'Não foi possível iniciar: {error}',
+  localConnectorRunning: 'Escutando em {address}',
+  localConnectorPairedOrigins: 'Origens pareadas',
+  localConnectorNoOrigins: 'Nenhuma origem pareada ainda.',
+  localConnectorUnpair: 'Desparear',
+  localConnectorLog: 'Registro de solicitações',
+  localConnectorEmptyLog: 'Nenhuma solicitação ainda.',
+  localConnectorClearLog: 'Limpar',
+  invokeContractHeader: 'Invocar contrato',
+  invokeContractInstructions:
+    'Chame qualquer método de um contrato N3 sem escrever um dApp. A chamada é testada primeiro e depois pode ser assinada e enviada com o escopo de assinante que você escolher.',
+  invokeContractPresets: 'Predefinições',
+  invokeContractLoadPreset: 'Carregar uma predefinição',
+  invokeContractDeletePreset: 'Excluir',
+  invokeContractNoPresets: 'Nenhuma predefinição salva nesta rede.',
+  invokeContractHash: 'Hash do contrato',
+  invokeContractLoad: 'Carregar',
+  invokeContractInvalidHash:
+    'Insira um hash de contrato de 40 caracteres hexadecimais.',
+  invokeContractMethod: 'Método',
+  invokeContractParameters: 'Parâmetros',
+  invokeContractNoParameters: 'Este método não tem parâmetros.',
+  invokeContractAddItem: 'Adicionar item',
+  invokeContractAddEntry: 'Adicionar entrada',
+  invokeContractRemove: 'Remover',
+  invokeContractKey: 'Chave',
+  invokeContractValue: 'Valor',
+  invokeContractScope: 'Escopo do assinante',
+  invokeContractAllowedContracts: 'Contratos permitidos',
+  invokeContractTestInvoke: 'Testar invocação',
+  invokeContractSend: 'Assinar e enviar',
+  invokeContractPresetName: 'Nome da predefinição',
+  invokeContractSavePreset: 'Salvar predefinição',
+  invokeContractResult: 'Resultado',
+  invokeContractState: 'Estado: {state}',
+  invokeContractGasConsumed: 'GAS consumido: {gas}',
+  invokeContractException: 'Exceção: {exception}',
+  invokeContractEmptyStack: 'A pilha está vazia.',
   print: 'Imprimir',
   generateQrCodes: 'Gerar QR Codes',
   copyCodeImage: 'Copiar QR Code',
@@ -237,6 +411,12 @@ const MANAGE_WALLETS = {
 const ACTIVITY = {
   activityAddAddress: 'Adicionar',
   activityViewTx: 'Ver',
+  activitySpeedUpTx: 'Acelerar',
+  activityCancelTx: 'Cancelar',
+  activitySpeedUpTxConfirm:
+    'A transferência será enviada novamente com uma taxa de rede maior e substituirá a pendente.',
+  activityCancelTxConfirm:
+    'Uma transferência de 0 GAS para você mesmo substituirá a transferência pendente. Somente a taxa de rede será gasta.',
   activityPageLabel: 'Todas as Atividades',
   activityExport: 'Exportar',
 }
@@ -262,6 +442,10 @@ const REQUEST_ASSETS = {
   requestAssetDepositLabel: 'DEPOSITAR NESTA WALLET',
   requestAssetRefLabel: 'REFERÊNCIA',
   requestAssetRefPlaceholder: 'Adicionar nota...',
+  requestAssetFee: 'TAXA DE REDE (GAS)',
+  requestAssetFeePlaceholder: 'Opcional',
+  requestAssetsFeeLabel: 'TAXA DE REDE',
+  receiveCopyLinkButton: 'Copiar link',
   requestAssetQRButton: 'Gerar QR Code',
   requestAssetYourQRHeader: 'Seu QR Code',
   requestAssetsPaymentDetails: 'DETALHES DA SOLICITAÇÃO DE PAGAMENTO',
@@ -274,6 +458,18 @@ const REQUEST_ASSETS = {
 
 const TRANSACTION_FEE = {
   transactionFeeQuestion: 'PAGAR TAXA PARA PRIORIZAR SUA TRANSAÇÃO?',
+  transactionLifespanQuestion:
+    'POR QUANTOS BLOCOS A TRANSAÇÃO DEVE PERMANECER VÁLIDA?',
+  transactionLifespanDuration: 'Cerca de {minutes} minutos',
+  n3PriorityFeeIncluded: 'Inclui uma taxa de prioridade de {fee} GAS',
+  invocationPreviewTitle: 'Alterações de saldo',
+  invocationPreviewYou: 'Sua conta',
+  invocationPreviewGasBurned: '{gas} GAS queimados para executar a transação',
+  invocationPreviewFault:
+    'A transação falharia (FAULT) e apenas as taxas seriam gastas. {exception}',
+  nnsResolvedTo: '{name} corresponde a {address}',
+  nnsTargetChanged:
+    '{name} apontava para {previousAddress} da última vez que você o usou. Verifique se o novo endereço está correto.',
   fast: 'Rápido',
   faster: 'Mais Rápido',
   fastest: 'Muito Rápido',
@@ -326,7 +522,20 @@ const SETTINGS = {
   settingCurrencyLabel: 'MOEDA',
   settingsThemeLabel: 'TEMA',
   settingsSoundLabel: 'SOM',
+  settingsAutoLockLabel: 'BLOQUEIO AUTOMÁTICO',
+  settingsAutoLockNever: 'Nunca',
+  settingsAutoLockMinutes:
+    'Após {minutes, plural, one {# minuto} other {# minutos}}',
+  settingsLockOnSuspendLabel: 'BLOQUEAR AO SUSPENDER',
+  settingsLockOnScreenLockLabel: 'BLOQUEAR COM O ECRÃ',
+  settingsMasterPasswordLabel: 'SENHA MESTRA',
+  settingsMasterPasswordEnable: 'DEFINIR',
+  settingsMasterPasswordChange: 'ALTERAR',
   settingsEncryptLink: 'CRIPTOGRAFE UMA CHAVE',
+  settingsKeySharesLink: 'DIVIDIR UMA CHAVE EM PARTES',
+  settingsDappPermissionsLink: 'DAPPS CONECTADOS',
+  settingsLocalConnectorLink: 'CONECTOR LOCAL',
+  settingsInvokeContractLink: 'INVOCAR CONTRATO',
   recoverWallet: 'RECUPERAR WALLET',
   settingsRecoverWalletLink: 'IMPORTAR',
   settingsBackUpLinkLabel: 'FAZER BACKUP DA WALLET',
@@ -36,6 +36,16 @@ const MISCELLANEOUS = {
   modifyDetails: 'Изменить данные',
   removeContact: 'Удалить Контакт',
   saveContactButtonText: 'Сохранить Контакт',
+  enterAnAddressLabel: 'Метка (необязательно)...',
+  addContactAddress: 'Добавить адрес',
+  removeContactAddress: 'Удалить',
+  contactTags: 'Теги',
+  enterContactTags: 'Разделяйте теги запятыми...',
+  contactNotes: 'Заметки',
+  contactsSearch: 'Поиск контактов...',
+  contactsAllTags: 'Все теги',
+  contactsImport: 'Импорт',
+  contactsExport: 'Экспорт',
 
   editContactDisclaimer:
     'Пожалуйста, проверьте и убедитесь, что вы ввели адрес правильно во избежание потери средств',
@@ -116,6 +126,8 @@ const ERRORS = {
   'errors.contact.nameDupe': 'У вас уже есть аккаунт с таким именем.',
   'errors.contact.invalidAddress': 'Неправильный адрес.',
   'errors.contact.contactExists': 'У вас уже есть контакт с таким адресом.',
+  'errors.contact.blocked':
+    'Этот адрес находится в списке блокировки фишинга и не может быть сохранён как контакт.',
 
   'errors.password.length': `Пароль должен быть не меньше {PASS_MIN_LENGTH, number} символов.`,
   'errors.password.match': 'Пароли должны совпадать.',
@@ -137,6 +149,9 @@ const ERRORS = {
   'errors.send.invalidN3Address': 'Вы должны ввести правильный адрес NEO N3.',
   'errors.send.blackListed':
     'Адрес в черном списке. Он был отмечен как фишинговый.',
+  'errors.send.blockedContract':
+    '{asset} находится в списке блокировки фишинга. Его контракт является известным мошенничеством.',
+  'errors.send.unresolvedName': '{name} не указывает на адрес N3.',
 }
 
 const NOTIFICATIONS = {
@@ -163,6 +178,12 @@ const AUTH = {
   authLedgerFirstStep: 'Подключите и разблокируйте своё Ledger устройство',
   authLedgerSecondStep: 'Перейдите в NEO приложение на вашем устройстве',
   authLedgerAddressLabel: 'ОТКРЫТЫЙ АДРЕС',
+  unlockTitle: 'Кошелек заблокирован',
+  unlockInstructions: 'Введите пароль от {address}, чтобы разблокировать его.',
+  unlockButton: 'Разблокировать',
+  storageUnlockTitle: 'Neon заблокирован',
+  storageUnlockInstructions:
+    'Введите мастер-пароль, чтобы расшифровать кошельки и настройки.',
 }
 
 const WALLET_CREATION = {
@@ -184,6 +205,157 @@ const WALLET_CREATION = {
   addressLabel: 'ОТКРЫЙ КЛЮЧ',
   splitKeyLabel: 'РАЗДЕЛИТЬ КЛЮЧ',
   recoverWalletLabel: 'ВОССТАНОВИТЬ КОШЕЛЁК',
+  recoveryPhraseLabel: 'ФРАЗА ВОССТАНОВЛЕНИЯ',
+  mnemonicCreateInstructions:
+    'Запишите эти 24 слова по порядку и храните их в надёжном месте. Это единственная резервная копия, необходимая для восстановления всех аккаунтов, полученных из этой фразы.',
+  mnemonicImportInstructions:
+    'Введите фразу восстановления, чтобы восстановить полученные из неё аккаунты.',
+  mnemonicBackupConfirmation: 'Я записал свою фразу восстановления',
+  mnemonicAccountCountLabel: 'КОЛИЧЕСТВО АККАУНТОВ',
+  multiSigLabel: 'Мультиподпись',
+  multiSigInstructions:
+    'Введите открытый ключ каждого соподписанта, по одному в строке, и количество подписей, необходимых для транзакции. Аккаунт добавляется только для просмотра, а его транзакции экспортируются, чтобы каждый соподписант мог их подписать.',
+  multiSigPublicKeysLabel: 'ОТКРЫТЫЕ КЛЮЧИ',
+  multiSigThresholdLabel: 'НЕОБХОДИМО ПОДПИСЕЙ (ИЗ {keyCount})',
+  multiSigAddressPreview: 'Адрес с мультиподписью:',
+  keySharesLabel: 'ЧАСТИ КЛЮЧА',
+  keySharesImportInstructions:
+    'Введите части ключа аккаунта, по одной в строке, или загрузите их из зашифрованных файлов или QR-кодов. Нужно столько частей, сколько было указано при разделении ключа.',
+  keySharesInputLabel: 'ЧАСТИ КЛЮЧА',
+  keySharesCount: 'Введено {count} из {threshold} необходимых частей',
+  keySharesScanQr: 'Сканировать QR-код',
+  keySharesLoadFile: 'Загрузить файл',
+  keySharesPanelHeader: 'Разделить закрытый ключ',
+  keySharesSplitInstructions:
+    'Разделите закрытый ключ аккаунта на части, которые будут хранить разные люди. Аккаунт можно восстановить только из необходимого числа частей, меньшее число ничего не раскрывает о ключе.',
+  keySharesExportInstructions:
+    'Передайте каждую часть разным людям в виде QR-кода, текста или зашифрованного файла. Любой, у кого есть необходимое число частей, может импортировать аккаунт.',
+  keySharesShareCountLabel: 'ЧИСЛО ЧАСТЕЙ',
+  keySharesThresholdLabel: 'ЧАСТЕЙ ДЛЯ ВОССТАНОВЛЕНИЯ',
+  keySharesSplitButton: 'Разделить ключ',
+  keySharesShareTitle: 'Часть {index} из {count}',
+  keySharesCopy: 'Копировать',
+  keySharesSaveFile: 'Сохранить зашифрованный файл',
+  keySharesDone: 'Готово',
+  changePassphraseLink: 'Сменить пароль',
+  changePassphrasePanelHeader: 'Сменить пароль',
+  changePassphraseInstructions:
+    'Повторно зашифруйте ключи аккаунтов с общим паролем новым паролем. Невыбранные аккаунты сохраняют текущий пароль.',
+  changePassphraseAccountsLabel: 'Аккаунты',
+  changePassphraseCurrentLabel: 'Текущий пароль',
+  changePassphraseNewLabel: 'Новый пароль',
+  changePassphraseScryptLabel: 'Параметры scrypt (N, r, p)',
+  changePassphraseButton: 'Сменить пароль',
+  changePassphraseProgress: 'Шифрование {done} из {total}...',
+  bulkPayoutLink: 'Массовая выплата',
+  bulkPayoutPanelHeader: 'Массовая выплата',
+  bulkPayoutInstructions:
+    'Загрузите файл CSV или JSON с одной выплатой на строку: адрес, токен и сумма. Каждая строка проверяется перед отправкой.',
+  bulkPayoutReportInstructions:
+    'Для каждой строки показана оплатившая её транзакция или причина ошибки. Экспортируйте отчёт, чтобы сохранить запись.',
+  bulkPayoutLoadFile: 'Загрузить CSV или JSON',
+  bulkPayoutAddress: 'Адрес',
+  bulkPayoutToken: 'Токен',
+  bulkPayoutAmount: 'Сумма',
+  bulkPayoutStatus: 'Статус',
+  bulkPayoutRowCount: '{count} строк, {invalid} с ошибками',
+  bulkPayoutFees: 'Комиссии: {fee} GAS в {count} транзакциях',
+  bulkPayoutProgress: 'Отправка транзакции {done} из {total}...',
+  bulkPayoutSend: 'Отправить выплату',
+  bulkPayoutReportSummary: 'Оплачено строк: {sent}, ошибок: {failed}',
+  bulkPayoutExportCsv: 'Экспорт CSV',
+  bulkPayoutExportJson: 'Экспорт JSON',
+  bulkPayoutDone: 'Готово',
+  recurringPaymentsLink: 'Регулярные',
+  recurringPaymentsHeader: 'Регулярные платежи',
+  recurringPaymentsInstructions:
+    'Сохраняйте платежи, которые вы совершаете по расписанию. Когда наступает срок платежа, вам напомнят проверить и отправить его. О платежах, срок которых наступил, пока кошелёк был заблокирован, напомнят после разблокировки.',
+  recurringPaymentsNew: 'Новый платёж',
+  recurringPaymentsName: 'Название',
+  recurringPaymentsRecipients: 'Получатели',
+  recurringPaymentsSchedule: 'Расписание',
+  recurringPaymentsNextDue: 'Следующий срок',
+  recurringPaymentsLastPaid: 'Последняя оплата {date}',
+  recurringPaymentsEmpty: 'Регулярных платежей пока нет.',
+  recurringPaymentsPay: 'Оплатить',
+  recurringPaymentsSkip: 'Пропустить',
+  recurringPaymentsEdit: 'Изменить',
+  recurringPaymentsDelete: 'Удалить',
+  recurringPaymentsMonthly: 'Ежемесячно',
+  recurringPaymentsCron: 'Выражение cron',
+  recurringPaymentsMonthlyOn: 'Ежемесячно, {day} числа',
+  recurringPaymentsDayOfMonth: 'День месяца',
+  recurringPaymentsAddRecipient: 'Добавить получателя',
+  recurringPaymentsRemoveRecipient: 'Убрать',
+  recurringPaymentsFee: 'Приоритетная комиссия в GAS (необязательно)',
+  recurringPaymentsSave: 'Сохранить платёж',
+  dappPermissionsHeader: 'Подключённые dApps',
+  dappPermissionsInstructions:
+    'Выберите, что может делать каждое подключённое dApp. Запросы за пределами этих разрешений отклоняются без вопроса.',
+  dappPermissionsEmpty: 'Нет подключённых dApps.',
+  dappPermissionsLastActivity: 'Последняя активность {date}',
+  dappPermissionsNoActivity: 'Активности пока нет',
+  dappPermissionsApproval: 'Подтверждение',
+  dappPermissionsAutoReadOnly:
+    'Автоматически подтверждать запросы только на чтение',
+  dappPermissionsAlwaysAsk: 'Всегда спрашивать',
+  dappPermissionsMethods: 'Разрешённые методы',
+  dappPermissionsContracts: 'Разрешённые контракты',
+  dappPermissionsAnyContract: 'Любой контракт или хеши скриптов через запятую',
+  dappPermissionsCaps: 'Дневные лимиты расходов',
+  dappPermissionsCapAmount: 'Сумма в день',
+  dappPermissionsAddCap: 'Добавить лимит',
+  dappPermissionsRemoveCap: 'Убрать',
+  dappPermissionsDisconnect: 'Отключить',
+  dappPermissionsRevoke: 'Отозвать',
+  dappPermissionsSave: 'Сохранить',
+  localConnectorHeader: 'Локальный коннектор',
+  localConnectorInstructions:
+    'Позволяет страницам и инструментам на этом компьютере отправлять запросы dApp по HTTP или WebSocket на 127.0.0.1 без ретранслятора WalletConnect. Источник нужно сопрячь, прежде чем он сможет отправлять запросы, а запросы подтверждаются так же, как запросы подключённых dApps.',
+  localConnectorEnabled: 'Включить локальный коннектор',
+  localConnectorPort: 'Порт',
+  localConnectorSave: 'Сохранить',
+  localConnectorInvalidPort: 'Порт должен быть числом от 1024 до 65535.',
+  localConnectorStopped: 'Остановлен',
+  localConnectorNeedsN3: 'Запустится после входа в аккаунт N3',
+  localConnectorFailed: 'Не удалось запустить: {error}',
+  localConnectorRunning: 'Слушает {address}',
+  localConnectorPairedOrigins: 'Сопряжённые источники',
+  localConnectorNoOrigins: 'Сопряжённых источников пока нет.',
+  localConnectorUnpair: 'Отменить сопряжение',
+  localConnectorLog: 'Журнал запросов',
+  localConnectorEmptyLog: 'Запросов пока нет.',
+  localConnectorClearLog: 'Очистить',
+  invokeContractHeader: 'Вызов контракта',
+  invokeContractInstructions:
+    'Вызывайте любой метод контракта N3 без написания dApp. Сначала вызов выполняется в тестовом режиме, затем его можно подписать и отправить с выбранной областью подписи.',
+  invokeContractPresets: 'Шаблоны',
+  invokeContractLoadPreset: 'Загрузить шаблон',
+  invokeContractDeletePreset: 'Удалить',
+  invokeContractNoPresets: 'В этой сети нет сохранённых шаблонов.',
+  invokeContractHash: 'Хеш контракта',
+  invokeContractLoad: 'Загрузить',
+  invokeContractInvalidHash:
+    'Введите хеш контракта из 40 шестнадцатеричных символов.',
+  invokeContractMethod: 'Метод',
+  invokeContractParameters: 'Параметры',
+  invokeContractNoParameters: 'У этого метода нет параметров.',
+  invokeContractAddItem: 'Добавить элемент',
+  invokeContractAddEntry: 'Добавить запись',
+  invokeContractRemove: 'Убрать',
+  invokeContractKey: 'Ключ',
+  invokeContractValue: 'Значение',
+  invokeContractScope: 'Область подписи',
+  invokeContractAllowedContracts: 'Разрешённые контракты',
+  invokeContractTestInvoke: 'Тестовый вызов',
+  invokeContractSend: 'Подписать и отправить',
+  invokeContractPresetName: 'Название шаблона',
+  invokeContractSavePreset: 'Сохранить шаблон',
+  invokeContractResult: 'Результат',
+  invokeContractState: 'Состояние: {state}',
+  invokeContractGasConsumed: 'Израсходовано GAS: {gas}',
+  invokeContractException: 'Исключение: {exception}',
+  invokeContractEmptyStack: 'Стек пуст.',
   print: 'Напечатать',
   generateQrCodes: 'Сгенерировать QR-код',
   copyCodeImage: 'Скопировать Изображение с QR-кодом',
@@ -235,6 +407,12 @@ const MANAGE_WALLETS = {
 const ACTIVITY = {
   activityAddAddress: 'Добавить',
   activityViewTx: 'Открыть',
+  activitySpeedUpTx: 'Ускорить',
+  activityCancelTx: 'Отменить',
+  activitySpeedUpTxConfirm:
+    'Перевод будет отправлен повторно с более высокой сетевой комиссией и заменит ожидающий.',
+  activityCancelTxConfirm:
+    'Перевод 0 GAS самому себе заменит ожидающий перевод. Будет потрачена только сетевая комиссия.',
   activityPageLabel: 'Все Операции',
   activityExport: 'Экспортировать',
 }
@@ -260,6 +438,10 @@ const REQUEST_ASSETS = {
   requestAssetDepositLabel: 'КОШЕЛЁК ДЛЯ ПОЛУЧЕНИЯ',
   requestAssetRefLabel: 'ПРИМЕЧАНИЕ',
   requestAssetRefPlaceholder: 'Добавить заметку...',
+  requestAssetFee: 'СЕТЕВАЯ КОМИССИЯ (GAS)',
+  requestAssetFeePlaceholder: 'Необязательно',
+  requestAssetsFeeLabel: 'СЕТЕВАЯ КОМИССИЯ',
+  receiveCopyLinkButton: 'Копировать ссылку',
   requestAssetQRButton: 'Сгенерировать QR-код',
   requestAssetYourQRHeader: 'Ваш QR-код',
   requestAssetsPaymentDetails: 'ДЕТАЛИ ЗАПРОСА ПЛАТЕЖА',
@@ -272,6 +454,18 @@ const REQUEST_ASSETS = {
 
 const TRANSACTION_FEE = {
   transactionFeeQuestion: 'ПРИОРИТИЗИРОВАТЬ ВАШУ ТРАНЗАКЦИЮ ДОБАВИВ КОМИССИЮ?',
+  transactionLifespanQuestion:
+    'СКОЛЬКО БЛОКОВ ТРАНЗАКЦИЯ ДОЛЖНА ОСТАВАТЬСЯ ДЕЙСТВИТЕЛЬНОЙ?',
+  transactionLifespanDuration: 'Около {minutes} минут',
+  n3PriorityFeeIncluded: 'Включает приоритетную комиссию {fee} GAS',
+  invocationPreviewTitle: 'Изменения баланса',
+  invocationPreviewYou: 'Ваш аккаунт',
+  invocationPreviewGasBurned: '{gas} GAS сжигается для выполнения транзакции',
+  invocationPreviewFault:
+    'Транзакция завершится ошибкой (FAULT), будут потрачены только комиссии. {exception}',
+  nnsResolvedTo: '{name} указывает на {address}',
+  nnsTargetChanged:
+    'При последнем использовании {name} указывал на {previousAddress}. Проверьте, что новый адрес верный.',
   fast: 'Быстро',
   faster: 'Ещё Быстрее',
   fastest: 'Быстрее Всего',
@@ -323,7 +517,19 @@ const SETTINGS = {
   settingCurrencyLabel: 'ВАЛЮТА',
   settingsThemeLabel: 'ТЕМА ОФОРМЛЕНИЯ',
   settingsSoundLabel: 'ЗВУКОВЫЕ ЭФФЕКТЫ',
+  settingsAutoLockLabel: 'АВТОБЛОКИРОВКА',
+  settingsAutoLockNever: 'Никогда',
+  settingsAutoLockMinutes: 'Через {minutes} мин.',
+  settingsLockOnSuspendLabel: 'БЛОКИРОВАТЬ ПРИ СНЕ',
+  settingsLockOnScreenLockLabel: 'БЛОКИРОВАТЬ ВМЕСТЕ С ЭКРАНОМ',
+  settingsMasterPasswordLabel: 'МАСТЕР-ПАРОЛЬ',
+  settingsMasterPasswordEnable: 'УСТАНОВИТЬ',
+  settingsMasterPasswordChange: 'ИЗМЕНИТЬ',
   settingsEncryptLink: 'ЗАШИФРОВАТЬ КЛЮЧ',
+  settingsKeySharesLink: 'РАЗДЕЛИТЬ КЛЮЧ НА ЧАСТИ',
+  settingsDappPermissionsLink: 'ПОДКЛЮЧЁННЫЕ DAPPS',
+  settingsLocalConnectorLink: 'ЛОКАЛЬНЫЙ КОННЕКТОР',
+  settingsInvokeContractLink: 'ВЫЗОВ КОНТРАКТА',
   recoverWallet: 'ВОССТАНОВИТЬ КОШЕЛЁК',
   settingsRecoverWalletLink: 'ИМПОРТИРОВАТЬ',
   settingsBackUpLinkLabel: 'СДЕЛАТЬ РЕЗЕРВНУЮ КОПИЮ КОШЕЛЬКА',
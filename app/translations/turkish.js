@@ -35,6 +35,16 @@ const MISCELLANEOUS = {
   modifyDetails: 'Ayrıntıları Değiştirin',
   removeContact: 'Kişiyi Kaldır',
   saveContactButtonText: 'Kişiyi Kaydet',
+  enterAnAddressLabel: 'Etiket (isteğe bağlı)...',
+  addContactAddress: 'Adres Ekle',
+  removeContactAddress: 'Kaldır',
+  contactTags: 'Etiketler',
+  enterContactTags: 'Etiketleri virgülle ayırın...',
+  contactNotes: 'Notlar',
+  contactsSearch: 'Kişilerde ara...',
+  contactsAllTags: 'Tüm etiketler',
+  contactsImport: 'İçe Aktar',
+  contactsExport: 'Dışa Aktar',
 
   editContactDisclaimer:
     'Fon kaybını önlemek için lütfen adresi doğru girdiğinizden emin olun',
@@ -112,6 +122,8 @@ const ERRORS = {
   'errors.contact.nameDupe': 'Bu adla kaydedilmiş bir hesabınız var.',
   'errors.contact.invalidAddress': 'Adres geçerli değil.',
   'errors.contact.contactExists': 'Bu adresle zaten bir kişiniz var.',
+  'errors.contact.blocked':
+    'Bu adres kimlik avı engelleme listesinde ve kişi olarak kaydedilemez.',
   'errors.password.length': `Parola en az {PASS_MIN_LENGTH, number} karakter içermelidir`,
   'errors.password.match': 'Parola cümleleri eşleşmelidir',
   'errors.request.fractional': `Kesirli {asset} isteğinde bulunamazsınız.`,
@@ -133,6 +145,9 @@ const ERRORS = {
     'Geçerli bir NEO N3 adresi belirtmeniz gerekiyor.',
   'errors.send.blackListed':
     'Adres kara listeye alındı. Bu bilinen bir kimlik avı adresidir.',
+  'errors.send.blockedContract':
+    '{asset} kimlik avı engelleme listesinde. Sözleşmesi bilinen bir dolandırıcılıktır.',
+  'errors.send.unresolvedName': '{name} bir N3 adresine çözümlenmiyor.',
 }
 
 const NOTIFICATIONS = {
@@ -159,6 +174,12 @@ const AUTH = {
   authLedgerFirstStep: 'Ledger cihazınızı bağlayın ve kilidini açın',
   authLedgerSecondStep: 'Cihazınızdaki NEO uygulamasına gidin',
   authLedgerAddressLabel: 'GENEL ADRES',
+  unlockTitle: 'Cüzdan kilitli',
+  unlockInstructions: 'Kilidi açmak için {address} şifresini girin.',
+  unlockButton: 'Kilidi aç',
+  storageUnlockTitle: 'Neon kilitli',
+  storageUnlockInstructions:
+    'Cüzdanlarınızın ve ayarlarınızın şifresini çözmek için ana şifreyi girin.',
 }
 
 const WALLET_CREATION = {
@@ -180,6 +201,157 @@ const WALLET_CREATION = {
   addressLabel: 'GENEL ADRES',
   splitKeyLabel: 'SPLIT KEY',
   recoverWalletLabel: 'RECOVER WALLET',
+  recoveryPhraseLabel: 'KURTARMA İFADESİ',
+  mnemonicCreateInstructions:
+    'Bu 24 kelimeyi sırasıyla yazın ve güvenli bir yerde saklayın. Bu ifadeden türetilen her hesabı kurtarmak için ihtiyacınız olan tek yedek bunlardır.',
+  mnemonicImportInstructions:
+    'Türetilen hesapları geri yüklemek için kurtarma ifadenizi girin.',
+  mnemonicBackupConfirmation: 'Kurtarma ifademi yazdım',
+  mnemonicAccountCountLabel: 'HESAP SAYISI',
+  multiSigLabel: 'Çoklu İmza',
+  multiSigInstructions:
+    'Her ortak imzacının açık anahtarını satır başına bir tane olacak şekilde ve bir işlem için kaç imza gerektiğini girin. Hesap yalnızca izleme olarak eklenir ve işlemleri her ortak imzacının imzalayabilmesi için dışa aktarılır.',
+  multiSigPublicKeysLabel: 'AÇIK ANAHTARLAR',
+  multiSigThresholdLabel: 'GEREKLİ İMZALAR ({keyCount} İÇİNDEN)',
+  multiSigAddressPreview: 'Çoklu imza adresi:',
+  keySharesLabel: 'ANAHTAR PARÇALARI',
+  keySharesImportInstructions:
+    'Hesabın anahtar parçalarını her satıra bir tane gelecek şekilde girin veya şifreli dosyalardan ya da QR kodlarından yükleyin. Anahtar bölünürken belirlenen sayıda parça gerekir.',
+  keySharesInputLabel: 'ANAHTAR PARÇALARI',
+  keySharesCount: 'Gerekli {threshold} parçadan {count} tanesi girildi',
+  keySharesScanQr: 'QR Kodu Tara',
+  keySharesLoadFile: 'Dosya Yükle',
+  keySharesPanelHeader: 'Özel Anahtarı Böl',
+  keySharesSplitInstructions:
+    'Bir hesabın özel anahtarını farklı kişilerin saklayacağı parçalara bölün. Hesap yalnızca gerekli sayıda parçayla yeniden oluşturulabilir, daha az parça anahtar hakkında hiçbir şey açığa çıkarmaz.',
+  keySharesExportInstructions:
+    'Her parçayı QR kodu, metin veya şifreli dosya olarak farklı bir kişiye verin. Gerekli sayıda parçaya sahip olan herkes hesabı içe aktarabilir.',
+  keySharesShareCountLabel: 'PARÇA SAYISI',
+  keySharesThresholdLabel: 'YENİDEN OLUŞTURMAK İÇİN GEREKEN',
+  keySharesSplitButton: 'Anahtarı Böl',
+  keySharesShareTitle: 'Parça {index} / {count}',
+  keySharesCopy: 'Kopyala',
+  keySharesSaveFile: 'Şifreli Dosyayı Kaydet',
+  keySharesDone: 'Tamam',
+  changePassphraseLink: 'Parolayı değiştir',
+  changePassphrasePanelHeader: 'Parolayı Değiştir',
+  changePassphraseInstructions:
+    'Aynı parolayı paylaşan hesapların anahtarlarını yeni bir parolayla yeniden şifreler. Seçilmeyen hesaplar mevcut parolalarını korur.',
+  changePassphraseAccountsLabel: 'Hesaplar',
+  changePassphraseCurrentLabel: 'Mevcut parola',
+  changePassphraseNewLabel: 'Yeni parola',
+  changePassphraseScryptLabel: 'Scrypt parametreleri (N, r, p)',
+  changePassphraseButton: 'Parolayı Değiştir',
+  changePassphraseProgress: '{total} hesaptan {done} tanesi şifreleniyor...',
+  bulkPayoutLink: 'Toplu ödeme',
+  bulkPayoutPanelHeader: 'Toplu Ödeme',
+  bulkPayoutInstructions:
+    'Her satırda bir ödeme (adres, token ve miktar) bulunan bir CSV veya JSON dosyası yükleyin. Gönderilmeden önce her satır kontrol edilir.',
+  bulkPayoutReportInstructions:
+    'Her satır, onu ödeyen işlemi veya başarısızlık nedenini gösterir. Kayıt için raporu dışa aktarın.',
+  bulkPayoutLoadFile: 'CSV veya JSON yükle',
+  bulkPayoutAddress: 'Adres',
+  bulkPayoutToken: 'Token',
+  bulkPayoutAmount: 'Miktar',
+  bulkPayoutStatus: 'Durum',
+  bulkPayoutRowCount: '{count} satır, {invalid} hatalı',
+  bulkPayoutFees: 'Ücretler: {count} işlemde {fee} GAS',
+  bulkPayoutProgress: '{total} işlemden {done} tanesi gönderiliyor...',
+  bulkPayoutSend: 'Ödemeyi Gönder',
+  bulkPayoutReportSummary: '{sent} satır ödendi, {failed} başarısız',
+  bulkPayoutExportCsv: 'CSV olarak dışa aktar',
+  bulkPayoutExportJson: 'JSON olarak dışa aktar',
+  bulkPayoutDone: 'Tamam',
+  recurringPaymentsLink: 'Düzenli',
+  recurringPaymentsHeader: 'Düzenli Ödemeler',
+  recurringPaymentsInstructions:
+    'Bir takvime göre yaptığınız ödemeleri kaydedin. Biri vadesi geldiğinde gözden geçirip göndermeniz hatırlatılır. Cüzdan kilitliyken vadesi gelen ödemeler kilit açıldığında hatırlatılır.',
+  recurringPaymentsNew: 'Yeni Ödeme',
+  recurringPaymentsName: 'Ad',
+  recurringPaymentsRecipients: 'Alıcılar',
+  recurringPaymentsSchedule: 'Takvim',
+  recurringPaymentsNextDue: 'Sonraki Vade',
+  recurringPaymentsLastPaid: 'Son ödeme {date}',
+  recurringPaymentsEmpty: 'Henüz düzenli ödeme yok.',
+  recurringPaymentsPay: 'Öde',
+  recurringPaymentsSkip: 'Atla',
+  recurringPaymentsEdit: 'Düzenle',
+  recurringPaymentsDelete: 'Sil',
+  recurringPaymentsMonthly: 'Aylık',
+  recurringPaymentsCron: 'Cron ifadesi',
+  recurringPaymentsMonthlyOn: 'Her ayın {day}. günü',
+  recurringPaymentsDayOfMonth: 'Ayın günü',
+  recurringPaymentsAddRecipient: 'Alıcı Ekle',
+  recurringPaymentsRemoveRecipient: 'Kaldır',
+  recurringPaymentsFee: 'GAS cinsinden öncelik ücreti (isteğe bağlı)',
+  recurringPaymentsSave: 'Ödemeyi Kaydet',
+  dappPermissionsHeader: "Bağlı dApp'ler",
+  dappPermissionsInstructions:
+    "Her bağlı dApp'in neler yapabileceğini seçin. Bu izinlerin dışındaki istekler sorulmadan reddedilir.",
+  dappPermissionsEmpty: 'Bağlı dApp yok.',
+  dappPermissionsLastActivity: 'Son etkinlik {date}',
+  dappPermissionsNoActivity: 'Henüz etkinlik yok',
+  dappPermissionsApproval: 'Onay',
+  dappPermissionsAutoReadOnly: 'Salt okunur istekleri otomatik onayla',
+  dappPermissionsAlwaysAsk: 'Her zaman sor',
+  dappPermissionsMethods: 'İzin verilen yöntemler',
+  dappPermissionsContracts: 'İzin verilen kontratlar',
+  dappPermissionsAnyContract:
+    "Herhangi bir kontrat veya virgülle ayrılmış script hash'leri",
+  dappPermissionsCaps: 'Günlük harcama limitleri',
+  dappPermissionsCapAmount: 'Günlük tutar',
+  dappPermissionsAddCap: 'Limit Ekle',
+  dappPermissionsRemoveCap: 'Kaldır',
+  dappPermissionsDisconnect: 'Bağlantıyı Kes',
+  dappPermissionsRevoke: 'İptal Et',
+  dappPermissionsSave: 'Kaydet',
+  localConnectorHeader: 'Yerel Bağlayıcı',
+  localConnectorInstructions:
+    "Bu bilgisayardaki sayfaların ve araçların WalletConnect rölesi olmadan 127.0.0.1 üzerinde HTTP veya WebSocket ile dApp istekleri yapmasını sağlar. Bir kaynağın istek yapabilmesi için önce eşleştirilmesi gerekir ve istekler bağlı dApp'lerin istekleri gibi onaylanır.",
+  localConnectorEnabled: 'Yerel bağlayıcıyı etkinleştir',
+  localConnectorPort: 'Port',
+  localConnectorSave: 'Kaydet',
+  localConnectorInvalidPort: 'Port 1024 ile 65535 arasında bir sayı olmalıdır.',
+  localConnectorStopped: 'Durduruldu',
+  localConnectorNeedsN3: 'Bir N3 hesabına giriş yaptığınızda başlar',
+  localConnectorFailed: 'Başlatılamadı: {error}',
+  localConnectorRunning: '{address} dinleniyor',
+  localConnectorPairedOrigins: 'Eşleştirilmiş kaynaklar',
+  localConnectorNoOrigins: 'Henüz eşleştirilmiş kaynak yok.',
+  localConnectorUnpair: 'Eşleştirmeyi Kaldır',
+  localConnectorLog: 'İstek günlüğü',
+  localConnectorEmptyLog: 'Henüz istek yok.',
+  localConnectorClearLog: 'Temizle',
+  invokeContractHeader: 'Sözleşme Çağır',
+  invokeContractInstructions:
+    'Bir dApp yazmadan bir N3 sözleşmesinin herhangi bir yöntemini çağırın. Çağrı önce test edilir, ardından seçtiğiniz imzalayan kapsamıyla imzalanıp gönderilebilir.',
+  invokeContractPresets: 'Ön ayarlar',
+  invokeContractLoadPreset: 'Bir ön ayar yükle',
+  invokeContractDeletePreset: 'Sil',
+  invokeContractNoPresets: 'Bu ağda kayıtlı ön ayar yok.',
+  invokeContractHash: "Sözleşme hash'i",
+  invokeContractLoad: 'Yükle',
+  invokeContractInvalidHash:
+    "40 onaltılık karakterden oluşan bir sözleşme hash'i girin.",
+  invokeContractMethod: 'Yöntem',
+  invokeContractParameters: 'Parametreler',
+  invokeContractNoParameters: 'Bu yöntemin parametresi yok.',
+  invokeContractAddItem: 'Öğe ekle',
+  invokeContractAddEntry: 'Girdi ekle',
+  invokeContractRemove: 'Kaldır',
+  invokeContractKey: 'Anahtar',
+  invokeContractValue: 'Değer',
+  invokeContractScope: 'İmzalayan kapsamı',
+  invokeContractAllowedContracts: 'İzin verilen sözleşmeler',
+  invokeContractTestInvoke: 'Test çağrısı',
+  invokeContractSend: 'İmzala ve gönder',
+  invokeContractPresetName: 'Ön ayar adı',
+  invokeContractSavePreset: 'Ön ayarı kaydet',
+  invokeContractResult: 'Sonuç',
+  invokeContractState: 'Durum: {state}',
+  invokeContractGasConsumed: 'Harcanan GAS: {gas}',
+  invokeContractException: 'İstisna: {exception}',
+  invokeContractEmptyStack: 'Yığın boş.',
   print: 'Yazdır',
   generateQrCodes: 'QR Kodları Oluşturma',
   copyCodeImage: 'Kod Resmini Kopyala',
@@ -231,6 +403,12 @@ const MANAGE_WALLETS = {
 const ACTIVITY = {
   activityAddAddress: 'Ekle',
   activityViewTx: 'Görüntüle',
+  activitySpeedUpTx: 'Hızlandır',
+  activityCancelTx: 'İptal',
+  activitySpeedUpTxConfirm:
+    'Transfer daha yüksek bir ağ ücretiyle yeniden gönderilecek ve bekleyen transferin yerini alacak.',
+  activityCancelTxConfirm:
+    'Kendinize 0 GAS transferi bekleyen transferin yerini alacak. Yalnızca ağ ücreti harcanacak.',
   activityPageLabel: 'Tüm Faaliyetler',
   activityExport: 'Dışa Aktar',
 }
@@ -255,6 +433,10 @@ const REQUEST_ASSETS = {
   requestAssetDepositLabel: 'BU CÜZDANA YATIR',
   requestAssetRefLabel: 'REFERANS',
   requestAssetRefPlaceholder: 'Bir not ekle...',
+  requestAssetFee: 'AĞ ÜCRETİ (GAS)',
+  requestAssetFeePlaceholder: 'İsteğe bağlı',
+  requestAssetsFeeLabel: 'AĞ ÜCRETİ',
+  receiveCopyLinkButton: 'Bağlantıyı kopyala',
   requestAssetQRButton: 'QR Kodu Oluştur',
   requestAssetYourQRHeader: 'QR Kodunuz',
   requestAssetsPaymentDetails: 'ÖDEME TALEBİ DETAYLARI',
@@ -267,6 +449,17 @@ const REQUEST_ASSETS = {
 
 const TRANSACTION_FEE = {
   transactionFeeQuestion: 'İŞLEMİNİZ ÜCRETLE ÖNCELİKLENDİRİLSİN Mİ?',
+  transactionLifespanQuestion: 'İŞLEM KAÇ BLOK BOYUNCA GEÇERLİ KALMALI?',
+  transactionLifespanDuration: 'Yaklaşık {minutes} dakika',
+  n3PriorityFeeIncluded: '{fee} GAS öncelik ücreti dahil',
+  invocationPreviewTitle: 'Bakiye değişiklikleri',
+  invocationPreviewYou: 'Hesabınız',
+  invocationPreviewGasBurned: 'İşlemi çalıştırmak için {gas} GAS yakılır',
+  invocationPreviewFault:
+    'İşlem başarısız olur (FAULT) ve yalnızca ücretler harcanır. {exception}',
+  nnsResolvedTo: '{name}, {address} adresine çözümleniyor',
+  nnsTargetChanged:
+    '{name} son kullandığınızda {previousAddress} adresini gösteriyordu. Yeni adresin doğru olduğunu kontrol edin.',
   fast: 'Hızlı',
   faster: 'Daha Hızlı',
   fastest: 'En Hızlı',
@@ -318,7 +511,19 @@ const SETTINGS = {
   settingCurrencyLabel: 'PARA BİRİMİ',
   settingsThemeLabel: 'TEMA',
   settingsSoundLabel: 'SES',
+  settingsAutoLockLabel: 'OTOMATİK KİLİT',
+  settingsAutoLockNever: 'Asla',
+  settingsAutoLockMinutes: '{minutes} dakika sonra',
+  settingsLockOnSuspendLabel: 'UYKU MODUNDA KİLİTLE',
+  settingsLockOnScreenLockLabel: 'EKRAN KİLİDİYLE KİLİTLE',
+  settingsMasterPasswordLabel: 'ANA ŞİFRE',
+  settingsMasterPasswordEnable: 'AYARLA',
+  settingsMasterPasswordChange: 'DEĞİŞTİR',
   settingsEncryptLink: 'ANAHTARI ŞİFRELE',
+  settingsKeySharesLink: 'ANAHTARI PARÇALARA BÖL',
+  settingsDappPermissionsLink: "BAĞLI DAPP'LER",
+  settingsLocalConnectorLink: 'YEREL BAĞLAYICI',
+  settingsInvokeContractLink: 'SÖZLEŞME ÇAĞIR',
   recoverWallet: 'CÜZDANI KURTAR',
   settingsRecoverWalletLink: 'İÇE AKTAR',
   settingsBackUpLinkLabel: 'CÜZDANI YEDEKLE',
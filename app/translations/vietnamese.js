@@ -35,6 +35,16 @@ const MISCELLANEOUS = {
   modifyDetails: 'Sửa đổi Chi tiết',
   removeContact: 'Xóa Liên hệ',
   saveContactButtonText: 'Lưu Liên hệ',
+  enterAnAddressLabel: 'Nhãn (không bắt buộc)...',
+  addContactAddress: 'Thêm địa chỉ',
+  removeContactAddress: 'Xóa',
+  contactTags: 'Thẻ',
+  enterContactTags: 'Phân tách các thẻ bằng dấu phẩy...',
+  contactNotes: 'Ghi chú',
+  contactsSearch: 'Tìm kiếm liên hệ...',
+  contactsAllTags: 'Tất cả thẻ',
+  contactsImport: 'Nhập',
+  contactsExport: 'Xuất',
 
   editContactDisclaimer:
     'Vui lòng xem lại và đảm bảo rằng bạn đã nhập đúng địa chỉ để tránh mất tiền',
@@ -108,6 +118,8 @@ const ERRORS = {
   'errors.contact.nameDupe': 'Bạn đã có một tài khoản được lưu với tên đó.',
   'errors.contact.invalidAddress': 'Địa chỉ không hợp lệ.',
   'errors.contact.contactExists': 'Bạn đã có một liên hệ với địa chỉ đó.',
+  'errors.contact.blocked':
+    'Địa chỉ này nằm trong danh sách chặn lừa đảo và không thể lưu làm liên hệ.',
   'errors.password.length': `Cụm mật khẩu phải chứa ít nhất {PASS_MIN_LENGTH, number} ký tự`,
   'errors.password.match': 'Cụm mật khẩu phải khớp',
   'errors.request.fractional': `Bạn không thể yêu cầu phân đoạn {asset}.`,
@@ -129,6 +141,9 @@ const ERRORS = {
   'errors.send.invalidN3Address': 'Bạn cần chỉ định một địa chỉ NEO N3 hợp lệ.',
   'errors.send.blackListed':
     'Địa chỉ được liệt kê vào danh sách đen. Đây là một địa chỉ lừa đảo được biết đến.',
+  'errors.send.blockedContract':
+    '{asset} nằm trong danh sách chặn lừa đảo. Hợp đồng của nó là một trò lừa đảo đã biết.',
+  'errors.send.unresolvedName': '{name} không phân giải thành địa chỉ N3.',
 }
 
 const NOTIFICATIONS = {
@@ -154,6 +169,12 @@ const AUTH = {
   authLedgerFirstStep: 'Kết nối và mở khóa một thiết bị Ledger',
   authLedgerSecondStep: 'Điều hướng đến một ứng dụng NEO trên thiết bị của bạn',
   authLedgerAddressLabel: 'ĐỊA CHỈ CÔNG KHAI',
+  unlockTitle: 'Ví đã bị khóa',
+  unlockInstructions: 'Nhập mật khẩu của {address} để mở khóa.',
+  unlockButton: 'Mở khóa',
+  storageUnlockTitle: 'Neon đã bị khóa',
+  storageUnlockInstructions:
+    'Nhập mật khẩu chính để giải mã ví và cài đặt của bạn.',
 }
 
 const WALLET_CREATION = {
@@ -175,6 +196,156 @@ const WALLET_CREATION = {
   addressLabel: 'ĐỊA CHỈ CÔNG KHAI',
   splitKeyLabel: 'KHÓA CHIA',
   recoverWalletLabel: 'PHỤC HỒI VÍ',
+  recoveryPhraseLabel: 'CỤM TỪ KHÔI PHỤC',
+  mnemonicCreateInstructions:
+    'Hãy ghi lại 24 từ này theo thứ tự và cất giữ ở nơi an toàn. Đây là bản sao lưu duy nhất bạn cần để khôi phục mọi tài khoản được tạo từ cụm từ này.',
+  mnemonicImportInstructions:
+    'Nhập cụm từ khôi phục của bạn để khôi phục các tài khoản được tạo từ nó.',
+  mnemonicBackupConfirmation: 'Tôi đã ghi lại cụm từ khôi phục của mình',
+  mnemonicAccountCountLabel: 'SỐ LƯỢNG TÀI KHOẢN',
+  multiSigLabel: 'Đa chữ ký',
+  multiSigInstructions:
+    'Nhập khóa công khai của từng người đồng ký, mỗi dòng một khóa, và số chữ ký cần thiết cho một giao dịch. Tài khoản được thêm ở chế độ chỉ xem và các giao dịch của nó được xuất ra để từng người đồng ký có thể ký.',
+  multiSigPublicKeysLabel: 'KHÓA CÔNG KHAI',
+  multiSigThresholdLabel: 'SỐ CHỮ KÝ CẦN THIẾT (TRÊN {keyCount})',
+  multiSigAddressPreview: 'Địa chỉ đa chữ ký:',
+  keySharesLabel: 'PHẦN KHÓA',
+  keySharesImportInstructions:
+    'Nhập các phần khóa của tài khoản, mỗi dòng một phần, hoặc tải chúng từ tệp đã mã hóa hay mã QR. Cần đủ số phần đã chọn khi chia khóa.',
+  keySharesInputLabel: 'PHẦN KHÓA',
+  keySharesCount: 'Đã nhập {count} trên {threshold} phần cần thiết',
+  keySharesScanQr: 'Quét mã QR',
+  keySharesLoadFile: 'Tải tệp phần khóa',
+  keySharesPanelHeader: 'Chia khóa riêng tư',
+  keySharesSplitInstructions:
+    'Chia khóa riêng tư của tài khoản thành nhiều phần để những người khác nhau giữ. Tài khoản chỉ có thể được khôi phục khi có đủ số phần cần thiết, ít hơn sẽ không tiết lộ gì về khóa.',
+  keySharesExportInstructions:
+    'Giao mỗi phần cho một người khác nhau dưới dạng mã QR, văn bản hoặc tệp đã mã hóa. Bất kỳ ai có đủ số phần cần thiết đều có thể nhập tài khoản.',
+  keySharesShareCountLabel: 'SỐ PHẦN',
+  keySharesThresholdLabel: 'SỐ PHẦN CẦN ĐỂ KHÔI PHỤC',
+  keySharesSplitButton: 'Chia khóa',
+  keySharesShareTitle: 'Phần {index} trên {count}',
+  keySharesCopy: 'Sao chép',
+  keySharesSaveFile: 'Lưu tệp đã mã hóa',
+  keySharesDone: 'Xong',
+  changePassphraseLink: 'Đổi mật khẩu',
+  changePassphrasePanelHeader: 'Đổi Mật Khẩu',
+  changePassphraseInstructions:
+    'Mã hóa lại khóa của các tài khoản dùng chung mật khẩu bằng mật khẩu mới. Các tài khoản không được chọn giữ mật khẩu hiện tại.',
+  changePassphraseAccountsLabel: 'Tài khoản',
+  changePassphraseCurrentLabel: 'Mật khẩu hiện tại',
+  changePassphraseNewLabel: 'Mật khẩu mới',
+  changePassphraseScryptLabel: 'Tham số scrypt (N, r, p)',
+  changePassphraseButton: 'Đổi Mật Khẩu',
+  changePassphraseProgress: 'Đang mã hóa lại {done} / {total}...',
+  bulkPayoutLink: 'Thanh toán hàng loạt',
+  bulkPayoutPanelHeader: 'Thanh Toán Hàng Loạt',
+  bulkPayoutInstructions:
+    'Tải tệp CSV hoặc JSON với mỗi dòng một khoản thanh toán: địa chỉ, token và số lượng. Mọi dòng được kiểm tra trước khi gửi.',
+  bulkPayoutReportInstructions:
+    'Mỗi dòng hiển thị giao dịch đã thanh toán hoặc lý do thất bại. Xuất báo cáo để lưu lại.',
+  bulkPayoutLoadFile: 'Tải CSV hoặc JSON',
+  bulkPayoutAddress: 'Địa chỉ',
+  bulkPayoutToken: 'Token',
+  bulkPayoutAmount: 'Số lượng',
+  bulkPayoutStatus: 'Trạng thái',
+  bulkPayoutRowCount: '{count} dòng, {invalid} dòng lỗi',
+  bulkPayoutFees: 'Phí: {fee} GAS trong {count} giao dịch',
+  bulkPayoutProgress: 'Đang gửi giao dịch {done} / {total}...',
+  bulkPayoutSend: 'Gửi Thanh Toán',
+  bulkPayoutReportSummary: '{sent} dòng đã thanh toán, {failed} thất bại',
+  bulkPayoutExportCsv: 'Xuất CSV',
+  bulkPayoutExportJson: 'Xuất JSON',
+  bulkPayoutDone: 'Xong',
+  recurringPaymentsLink: 'Định kỳ',
+  recurringPaymentsHeader: 'Thanh toán định kỳ',
+  recurringPaymentsInstructions:
+    'Lưu các khoản thanh toán bạn thực hiện theo lịch. Khi một khoản đến hạn, bạn sẽ được nhắc kiểm tra và gửi. Các khoản đến hạn khi ví bị khóa sẽ được nhắc khi ví được mở khóa.',
+  recurringPaymentsNew: 'Thanh toán mới',
+  recurringPaymentsName: 'Tên',
+  recurringPaymentsRecipients: 'Người nhận',
+  recurringPaymentsSchedule: 'Lịch',
+  recurringPaymentsNextDue: 'Hạn tiếp theo',
+  recurringPaymentsLastPaid: 'Thanh toán lần cuối {date}',
+  recurringPaymentsEmpty: 'Chưa có thanh toán định kỳ nào.',
+  recurringPaymentsPay: 'Thanh toán',
+  recurringPaymentsSkip: 'Bỏ qua',
+  recurringPaymentsEdit: 'Sửa',
+  recurringPaymentsDelete: 'Xóa',
+  recurringPaymentsMonthly: 'Hàng tháng',
+  recurringPaymentsCron: 'Biểu thức cron',
+  recurringPaymentsMonthlyOn: 'Hàng tháng vào ngày {day}',
+  recurringPaymentsDayOfMonth: 'Ngày trong tháng',
+  recurringPaymentsAddRecipient: 'Thêm người nhận',
+  recurringPaymentsRemoveRecipient: 'Xóa bỏ',
+  recurringPaymentsFee: 'Phí ưu tiên bằng GAS (không bắt buộc)',
+  recurringPaymentsSave: 'Lưu thanh toán',
+  dappPermissionsHeader: 'dApp đã kết nối',
+  dappPermissionsInstructions:
+    'Chọn những gì mỗi dApp đã kết nối được phép làm. Các yêu cầu ngoài các quyền này sẽ bị từ chối mà không hỏi.',
+  dappPermissionsEmpty: 'Không có dApp nào được kết nối.',
+  dappPermissionsLastActivity: 'Hoạt động gần nhất {date}',
+  dappPermissionsNoActivity: 'Chưa có hoạt động',
+  dappPermissionsApproval: 'Phê duyệt',
+  dappPermissionsAutoReadOnly: 'Tự động phê duyệt yêu cầu chỉ đọc',
+  dappPermissionsAlwaysAsk: 'Luôn hỏi',
+  dappPermissionsMethods: 'Phương thức được phép',
+  dappPermissionsContracts: 'Hợp đồng được phép',
+  dappPermissionsAnyContract:
+    'Mọi hợp đồng, hoặc các script hash cách nhau bởi dấu phẩy',
+  dappPermissionsCaps: 'Hạn mức chi tiêu hằng ngày',
+  dappPermissionsCapAmount: 'Số tiền mỗi ngày',
+  dappPermissionsAddCap: 'Thêm hạn mức',
+  dappPermissionsRemoveCap: 'Xóa bỏ',
+  dappPermissionsDisconnect: 'Ngắt kết nối',
+  dappPermissionsRevoke: 'Thu hồi',
+  dappPermissionsSave: 'Lưu',
+  localConnectorHeader: 'Trình kết nối cục bộ',
+  localConnectorInstructions:
+    'Cho phép các trang và công cụ trên máy tính này gửi yêu cầu dApp qua HTTP hoặc WebSocket trên 127.0.0.1, không cần relay WalletConnect. Một nguồn phải được ghép nối trước khi có thể gửi yêu cầu, và các yêu cầu được phê duyệt như của các dApp đã kết nối.',
+  localConnectorEnabled: 'Bật trình kết nối cục bộ',
+  localConnectorPort: 'Cổng',
+  localConnectorSave: 'Lưu',
+  localConnectorInvalidPort: 'Cổng phải là một số từ 1024 đến 65535.',
+  localConnectorStopped: 'Đã dừng',
+  localConnectorNeedsN3: 'Khởi động khi bạn đăng nhập vào một tài khoản N3',
+  localConnectorFailed: 'Không thể khởi động: {error}',
+  localConnectorRunning: 'Đang lắng nghe trên {address}',
+  localConnectorPairedOrigins: 'Nguồn đã ghép nối',
+  localConnectorNoOrigins: 'Chưa có nguồn nào được ghép nối.',
+  localConnectorUnpair: 'Hủy ghép nối',
+  localConnectorLog: 'Nhật ký yêu cầu',
+  localConnectorEmptyLog: 'Chưa có yêu cầu nào.',
+  localConnectorClearLog: 'Xóa',
+  invokeContractHeader: 'Gọi hợp đồng',
+  invokeContractInstructions:
+    'Gọi bất kỳ phương thức nào của một hợp đồng N3 mà không cần viết dApp. Lệnh gọi được chạy thử trước, sau đó có thể được ký và gửi với phạm vi người ký bạn chọn.',
+  invokeContractPresets: 'Mẫu đặt sẵn',
+  invokeContractLoadPreset: 'Tải mẫu đặt sẵn',
+  invokeContractDeletePreset: 'Xóa',
+  invokeContractNoPresets: 'Không có mẫu đặt sẵn nào được lưu trên mạng này.',
+  invokeContractHash: 'Hash hợp đồng',
+  invokeContractLoad: 'Tải',
+  invokeContractInvalidHash: 'Nhập hash hợp đồng gồm 40 ký tự thập lục phân.',
+  invokeContractMethod: 'Phương thức',
+  invokeContractParameters: 'Tham số',
+  invokeContractNoParameters: 'Phương thức này không có tham số.',
+  invokeContractAddItem: 'Thêm mục',
+  invokeContractAddEntry: 'Thêm cặp khóa-giá trị',
+  invokeContractRemove: 'Gỡ bỏ',
+  invokeContractKey: 'Khóa',
+  invokeContractValue: 'Giá trị',
+  invokeContractScope: 'Phạm vi người ký',
+  invokeContractAllowedContracts: 'Hợp đồng được phép',
+  invokeContractTestInvoke: 'Chạy thử',
+  invokeContractSend: 'Ký và gửi',
+  invokeContractPresetName: 'Tên mẫu đặt sẵn',
+  invokeContractSavePreset: 'Lưu mẫu đặt sẵn',
+  invokeContractResult: 'Kết quả',
+  invokeContractState: 'Trạng thái: {state}',
+  invokeContractGasConsumed: 'GAS đã dùng: {gas}',
+  invokeContractException: 'Ngoại lệ: {exception}',
+  invokeContractEmptyStack: 'Ngăn xếp trống.',
   print: 'In ra giấy',
   generateQrCodes: 'Quét Mã QR',
   copyCodeImage: 'Sao chép Hình ảnh Mã',
@@ -225,6 +396,12 @@ const MANAGE_WALLETS = {
 const ACTIVITY = {
   activityAddAddress: 'Thêm',
   activityViewTx: 'Xem',
+  activitySpeedUpTx: 'Tăng tốc',
+  activityCancelTx: 'Hủy',
+  activitySpeedUpTxConfirm:
+    'Giao dịch chuyển sẽ được gửi lại với phí mạng cao hơn và thay thế giao dịch đang chờ.',
+  activityCancelTxConfirm:
+    'Một giao dịch chuyển 0 GAS cho chính bạn sẽ thay thế giao dịch đang chờ. Chỉ phí mạng bị tiêu tốn.',
   activityPageLabel: 'Tất cả Hoạt động',
   activityExport: 'Xuất ra',
 }
@@ -250,6 +427,10 @@ const REQUEST_ASSETS = {
   requestAssetDepositLabel: 'NẠP TIỀN VÀO VÍ NÀY',
   requestAssetRefLabel: 'LƯU Ý',
   requestAssetRefPlaceholder: 'Thêm một lưu ý...',
+  requestAssetFee: 'PHÍ MẠNG (GAS)',
+  requestAssetFeePlaceholder: 'Không bắt buộc',
+  requestAssetsFeeLabel: 'PHÍ MẠNG',
+  receiveCopyLinkButton: 'Sao chép liên kết',
   requestAssetQRButton: 'Tạo mã QR',
   requestAssetYourQRHeader: 'Mã QR của Bạn',
   requestAssetsPaymentDetails: 'PCHI TIẾT YÊU CẦU THANH TOÁN',
@@ -263,6 +444,18 @@ const REQUEST_ASSETS = {
 const TRANSACTION_FEE = {
   transactionFeeQuestion:
     'TĂNG ĐỘ ƯU TIÊN CHO GIAO DỊCH CỦA BẠN BẰNG VIỆC TRẢ PHÍ?',
+  transactionLifespanQuestion:
+    'GIAO DỊCH NÊN CÓ HIỆU LỰC TRONG BAO NHIÊU KHỐI?',
+  transactionLifespanDuration: 'Khoảng {minutes} phút',
+  n3PriorityFeeIncluded: 'Bao gồm phí ưu tiên {fee} GAS',
+  invocationPreviewTitle: 'Thay đổi số dư',
+  invocationPreviewYou: 'Tài khoản của bạn',
+  invocationPreviewGasBurned: '{gas} GAS bị đốt để chạy giao dịch',
+  invocationPreviewFault:
+    'Giao dịch sẽ thất bại (FAULT) và chỉ mất phí. {exception}',
+  nnsResolvedTo: '{name} phân giải thành {address}',
+  nnsTargetChanged:
+    '{name} đã trỏ tới {previousAddress} lần cuối bạn sử dụng. Hãy kiểm tra địa chỉ mới có chính xác không.',
   fast: 'Nhanh',
   faster: 'Nhanh hơn',
   fastest: 'Nhanh nhất',
@@ -313,7 +506,19 @@ const SETTINGS = {
   settingCurrencyLabel: 'TIỀN TỆ',
   settingsThemeLabel: 'CHỦ ĐỀ',
   settingsSoundLabel: 'ÂM THANH',
+  settingsAutoLockLabel: 'TỰ ĐỘNG KHÓA',
+  settingsAutoLockNever: 'Không bao giờ',
+  settingsAutoLockMinutes: 'Sau {minutes} phút',
+  settingsLockOnSuspendLabel: 'KHÓA KHI NGỦ',
+  settingsLockOnScreenLockLabel: 'KHÓA CÙNG MÀN HÌNH',
+  settingsMasterPasswordLabel: 'MẬT KHẨU CHÍNH',
+  settingsMasterPasswordEnable: 'ĐẶT',
+  settingsMasterPasswordChange: 'THAY ĐỔI',
   settingsEncryptLink: 'MÃ HOÁ MỘT KHOÁ',
+  settingsKeySharesLink: 'CHIA KHÓA THÀNH NHIỀU PHẦN',
+  settingsDappPermissionsLink: 'DAPP ĐÃ KẾT NỐI',
+  settingsLocalConnectorLink: 'TRÌNH KẾT NỐI CỤC BỘ',
+  settingsInvokeContractLink: 'GỌI HỢP ĐỒNG',
   recoverWallet: 'PHỤC HỒI VÍ',
   settingsRecoverWalletLink: 'NHẬP',
   settingsBackUpLinkLabel: 'SAO LƯU VÍ',
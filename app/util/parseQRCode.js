@@ -1,20 +1,50 @@
 // @flow
 import { rpc as n3Rpc } from '@cityofzion/neon-js-next'
-import { api, u, rpc, sc, wallet } from '@cityofzion/neon-js'
 
 import hashToSymbol from './hashToSymbol'
+import { parseUri, type Nep9Data } from '../modules/nep9/nep9'
+import { N3_NATIVE_TOKENS } from '../core/constants'
+import { isNNSName, normalizeNNSName, resolveNNSName } from '../core/nns'
 import { getNode, getRPCEndpoint } from '../actions/nodeStorageActions'
 
-const INVALID_FORMAT = 'Invalid format'
-const INVALID_PROTOCOL = 'Invalid protocol'
-const MISSING_ADDRESS = 'Missing recipient address'
 const UNRECOGNIZED_ASSET = 'Unrecognized asset'
+const UNRESOLVED_NAME = 'Name does not resolve to an address'
 
 export type RecipientData = {
   address: string,
+  // the NNS name the address was resolved from
+  name?: ?string,
   asset: ?string,
   amount: ?string,
   reference: ?string,
+  // the network fee in GAS the recipient asks for
+  fee?: ?string,
+  // parameters of the request the wallet does not use
+  extra?: { [key: string]: string },
+}
+
+// the symbol of an N3 contract, asked to the node only for tokens the wallet
+// does not know
+const getN3TokenSymbol = async (
+  hash: string,
+  net: string,
+): Promise<?string> => {
+  if (N3_NATIVE_TOKENS[hash]) return N3_NATIVE_TOKENS[hash].symbol
+
+  let endpoint = await getNode(net)
+  if (!endpoint) {
+    endpoint = await getRPCEndpoint(net)
+  }
+  try {
+    const response = await new n3Rpc.RPCClient(endpoint).invokeFunction(
+      `0x${hash}`,
+      'symbol',
+    )
+    return response.state === 'HALT' ? atob(response.stack[0].value) : null
+  } catch (e) {
+    console.error({ e })
+    return null
+  }
 }
 
 const parseQRCode = async ({
@@ -26,47 +56,42 @@ const parseQRCode = async ({
   net: string,
   chain: string,
 }): Promise<RecipientData> => {
-  let parsedData
+  let parsedData: Nep9Data
 
   try {
-    parsedData = new URL(url)
+    parsedData = parseUri(url)
   } catch (err) {
-    throw INVALID_FORMAT
+    throw err.message
   }
 
-  const { protocol, pathname, searchParams } = parsedData
+  const { address: target, amount, description, fee, extra } = parsedData
 
-  if (protocol !== 'neo:') throw INVALID_PROTOCOL
-  if (!pathname) throw MISSING_ADDRESS
-
-  let asset = searchParams.get('asset')
-  const assetIsHash = asset && asset !== 'NEO' && asset !== 'GAS'
+  let address = target
+  let name = null
+  if (chain === 'neo3' && isNNSName(target)) {
+    name = normalizeNNSName(target)
+    address = await resolveNNSName(name, net).catch(() => {
+      throw UNRESOLVED_NAME
+    })
+  }
 
-  if (assetIsHash && chain === 'neo2') {
-    asset = hashToSymbol(asset)
+  let { asset } = parsedData
+  if (asset && asset !== 'NEO' && asset !== 'GAS') {
+    asset =
+      chain === 'neo2'
+        ? hashToSymbol(asset)
+        : await getN3TokenSymbol(asset, net)
     if (!asset) throw UNRECOGNIZED_ASSET
-  } else {
-    let endpoint = await getNode(net)
-    if (!endpoint) {
-      endpoint = await getRPCEndpoint(net)
-    }
-    const tokenNameResponse = await new n3Rpc.RPCClient(endpoint)
-      .invokeFunction(asset, 'symbol')
-      .catch(e => {
-        console.error({ e })
-      })
-    const symbol = atob(tokenNameResponse.stack[0].value)
-    if (symbol) asset = symbol
-    else {
-      throw UNRECOGNIZED_ASSET
-    }
   }
 
   return {
-    address: pathname,
-    asset,
-    amount: searchParams.get('amount'),
-    reference: searchParams.get('description'),
+    address,
+    name,
+    asset: asset || null,
+    amount: amount || null,
+    reference: description || null,
+    fee: fee || null,
+    extra,
   }
 }
 
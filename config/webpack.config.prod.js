@@ -24,6 +24,7 @@ module.exports = {
   externals: {
     'node-hid': 'require("node-hid")',
     usb: 'require("usb")',
+    ws: 'require("ws")',
   },
   output: {
     path: path.join(__dirname, '..', 'app/dist/'),
@@ -56,6 +56,7 @@ declare type NotificationType = {
   position: $Values<typeof NOTIFICATION_POSITIONS>,
   dismissible: boolean,
   autoDismiss: number,
+  action?: { label: string, callback: () => any },
 }
 
 declare type TransactionHistoryType = {
@@ -95,6 +96,8 @@ type PendingTransaction = {
   net_fee: string,
   blocktime: number,
   type: string,
+  // N3 only, the last block the transaction can be included in
+  validUntilBlock?: number,
 }
 
 type ParsedPendingTransaction = {
@@ -6,6 +6,7 @@ const {
   globalShortcut,
   session,
   ipcMain,
+  powerMonitor,
 } = require('electron') // eslint-disable-line import/no-extraneous-dependencies
 const path = require('path')
 const url = require('url')
@@ -209,6 +210,19 @@ app.on('ready', () => {
     })
   }
 
+  // let the renderer lock the wallet when the machine sleeps or its screen
+  // is locked, it decides whether the user enabled this in the settings
+  powerMonitor.on('suspend', () => {
+    if (mainWindow?.webContents) {
+      mainWindow.webContents.send('lock', 'suspend')
+    }
+  })
+  powerMonitor.on('lock-screen', () => {
+    if (mainWindow?.webContents) {
+      mainWindow.webContents.send('lock', 'lock-screen')
+    }
+  })
+
   // register any shortcuts here
   globalShortcut.register('CommandOrControl+M', () => {
     mainWindow.minimize()